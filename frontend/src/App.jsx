@@ -8,11 +8,14 @@ import AdminLogin from './pages/AdminLogin';
 import PoliceDashboard from './pages/PoliceDashboard';
 import HospitalDashboard from './pages/HospitalDashboard';
 import AdminDashboard from './pages/AdminDashboard';
+import UserDashboard from './pages/UserDashboard';
 import IncidentReportForm from './components/IncidentReportForm';
 import IncidentConfirmation from './pages/IncidentConfirmation';
 import IncidentUpvote from './components/IncidentUpvote';
 import MapsDemo from './pages/MapsDemo';
 import Unauthorized from './pages/Unauthorized';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import './index.css';
 
 function App() {
@@ -26,6 +29,8 @@ function App() {
             <Route path="/login/hospital" element={<HospitalLogin />} />
             <Route path="/login/admin" element={<AdminLogin />} />
             <Route path="/unauthorized" element={<Unauthorized />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
             
             {/* Protected Routes */}
             <Route 
@@ -56,7 +61,7 @@ function App() {
               path="/user/dashboard" 
               element={
                 <ProtectedRoute requiredRole="user">
-                  <div>User Dashboard - Coming Soon</div>
+                  <UserDashboard />
                 </ProtectedRoute>
               } 
             />
@@ -0,0 +1,303 @@
+import { useState, useEffect } from 'react';
+import { useApi } from '../hooks/useApi';
+import { alertAPI } from '../services/api';
+import LocationPicker from './LocationPicker';
+
+const INCIDENT_TYPES = [
+  { value: 'accident', label: 'Accident' },
+  { value: 'fire', label: 'Fire' },
+  { value: 'medical_emergency', label: 'Medical Emergency' },
+  { value: 'crime', label: 'Crime' },
+  { value: 'natural_disaster', label: 'Natural Disaster' },
+  { value: 'infrastructure_failure', label: 'Infrastructure Failure' },
+  { value: 'public_safety', label: 'Public Safety' },
+  { value: 'environmental', label: 'Environmental' },
+  { value: 'other', label: 'Other' }
+];
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+const EMPTY_AREA = {
+  name: '',
+  location: null,
+  radiusMeters: 2000,
+  types: [],
+  minSeverity: 'high',
+  triggers: ['created', 'verified']
+};
+
+/**
+ * Manage the current user's alert areas
+ * New areas are circles picked on the map; polygon areas saved through
+ * the API are listed and can be paused or deleted here
+ */
+const AlertAreasPanel = () => {
+  const [showForm, setShowForm] = useState(false);
+  const [newArea, setNewArea] = useState(EMPTY_AREA);
+  const [formError, setFormError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const {
+    data: areasData,
+    isLoading: areasLoading,
+    execute: fetchAreas
+  } = useApi(alertAPI.getAreas);
+
+  useEffect(() => {
+    fetchAreas();
+  }, [fetchAreas]);
+
+  const areas = areasData?.data?.areas || [];
+  const areaLimit = areasData?.data?.limit || 10;
+
+  const toggleListValue = (field, value) => {
+    setNewArea(prev => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter(item => item !== value)
+        : [...prev[field], value]
+    }));
+  };
+
+  const handleCreateArea = async (e) => {
+    e.preventDefault();
+
+    if (!newArea.name.trim() || !newArea.location) {
+      setFormError('Enter a name and pick the centre of the area on the map');
+      return;
+    }
+    if (newArea.triggers.length === 0) {
+      setFormError('Choose at least one event to be alerted about');
+      return;
+    }
+
+    setIsSaving(true);
+    setFormError(null);
+
+    const result = await alertAPI.createArea({
+      name: newArea.name.trim(),
+      shape: 'circle',
+      latitude: newArea.location.latitude,
+      longitude: newArea.location.longitude,
+      radiusMeters: Number(newArea.radiusMeters),
+      types: newArea.types,
+      minSeverity: newArea.minSeverity,
+      triggers: newArea.triggers
+    });
+
+    setIsSaving(false);
+
+    if (result.success) {
+      setNewArea(EMPTY_AREA);
+      setShowForm(false);
+      fetchAreas();
+    } else {
+      setFormError(result.error || 'Failed to save alert area');
+    }
+  };
+
+  const handleToggleArea = async (area) => {
+    const result = await alertAPI.updateArea(area.id, { isActive: !area.isActive });
+    if (result.success) {
+      fetchAreas();
+    }
+  };
+
+  const handleDeleteArea = async (area) => {
+    if (!window.confirm(`Delete the alert area "${area.name}"?`)) {
+      return;
+    }
+
+    const result = await alertAPI.deleteArea(area.id);
+    if (result.success) {
+      fetchAreas();
+    }
+  };
+
+  const describeArea = (area) => {
+    const where = area.shape === 'circle'
+      ? `${(area.radiusMeters / 1000).toFixed(1)} km around ${area.center.latitude.toFixed(4)}, ${area.center.longitude.toFixed(4)}`
+      : 'Custom boundary';
+    const types = area.types.length > 0
+      ? area.types.map(type => INCIDENT_TYPES.find(option => option.value === type)?.label || type).join(', ')
+      : 'All incident types';
+
+    return `${where} · ${types} · ${area.minSeverity} severity and above`;
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Alert Areas</h3>
+          <p className="text-sm text-gray-500">
+            Get alerted about serious incidents near home, work or school ({areas.length}/{areaLimit})
+          </p>
+        </div>
+        {!showForm && areas.length < areaLimit && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors"
+          >
+            Add Area
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleCreateArea} className="p-6 border-b border-gray-200 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                type="text"
+                value={newArea.name}
+                maxLength={100}
+                placeholder="Home, Work, School..."
+                onChange={(e) => setNewArea(prev => ({ ...prev, name: e.target.value }))}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Radius: {(newArea.radiusMeters / 1000).toFixed(1)} km
+              </label>
+              <input
+                type="range"
+                min={100}
+                max={20000}
+                step={100}
+                value={newArea.radiusMeters}
+                onChange={(e) => setNewArea(prev => ({ ...prev, radiusMeters: e.target.value }))}
+                className="w-full"
+              />
+            </div>
+          </div>
+
+          <LocationPicker
+            initialLocation={newArea.location}
+            onLocationSelect={(location) => setNewArea(prev => ({ ...prev, location }))}
+            height="300px"
+          />
+
+          <div>
+            <p className="block text-sm font-medium text-gray-700 mb-2">
+              Incident types <span className="text-gray-400 font-normal">(none selected means all)</span>
+            </p>
+            <div className="flex flex-wrap gap-2">
+              {INCIDENT_TYPES.map(type => (
+                <label key={type.value} className="flex items-center text-sm text-gray-700 space-x-1">
+                  <input
+                    type="checkbox"
+                    checked={newArea.types.includes(type.value)}
+                    onChange={() => toggleListValue('types', type.value)}
+                  />
+                  <span>{type.label}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Minimum severity</label>
+              <select
+                value={newArea.minSeverity}
+                onChange={(e) => setNewArea(prev => ({ ...prev, minSeverity: e.target.value }))}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {SEVERITIES.map(severity => (
+                  <option key={severity} value={severity}>{severity}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <p className="block text-sm font-medium text-gray-700 mb-2">Alert me when an incident is</p>
+              <div className="flex space-x-4">
+                {['created', 'verified'].map(trigger => (
+                  <label key={trigger} className="flex items-center text-sm text-gray-700 space-x-1">
+                    <input
+                      type="checkbox"
+                      checked={newArea.triggers.includes(trigger)}
+                      onChange={() => toggleListValue('triggers', trigger)}
+                    />
+                    <span>{trigger === 'created' ? 'Reported' : 'Verified'}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          {formError && (
+            <p className="text-sm text-red-600">{formError}</p>
+          )}
+
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={() => {
+                setShowForm(false);
+                setNewArea(EMPTY_AREA);
+                setFormError(null);
+              }}
+              className="bg-gray-200 hover:bg-gray-300 text-gray-700 px-4 py-2 rounded-md text-sm font-medium transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors"
+            >
+              {isSaving ? 'Saving...' : 'Save Area'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="divide-y divide-gray-200">
+        {areasLoading && areas.length === 0 ? (
+          <div className="p-6 text-center text-gray-500">Loading alert areas...</div>
+        ) : areas.length === 0 ? (
+          <div className="p-6 text-center text-gray-500">
+            You have no alert areas yet
+          </div>
+        ) : (
+          areas.map(area => (
+            <div key={area.id} className="p-6 flex items-center justify-between">
+              <div className="min-w-0">
+                <div className="flex items-center space-x-2">
+                  <h4 className="text-sm font-medium text-gray-900">{area.name}</h4>
+                  {!area.isActive && (
+                    <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">Paused</span>
+                  )}
+                </div>
+                <p className="text-sm text-gray-500 truncate">{describeArea(area)}</p>
+                <p className="text-xs text-gray-400">
+                  {area.alertCount} alerts
+                  {area.lastAlertAt && ` · last ${new Date(area.lastAlertAt).toLocaleString()}`}
+                </p>
+              </div>
+              <div className="flex items-center space-x-2 ml-4">
+                <button
+                  onClick={() => handleToggleArea(area)}
+                  className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+                >
+                  {area.isActive ? 'Pause' : 'Resume'}
+                </button>
+                <button
+                  onClick={() => handleDeleteArea(area)}
+                  className="text-sm text-red-600 hover:text-red-800 font-medium"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AlertAreasPanel;
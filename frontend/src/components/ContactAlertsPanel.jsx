@@ -0,0 +1,227 @@
+import { useState, useEffect } from 'react';
+import { useApi } from '../hooks/useApi';
+import { contactAlertAPI } from '../services/api';
+
+const TRIGGER_LABELS = {
+  incident_reported: 'Emergency reported',
+  patient_admitted: 'Admitted to hospital',
+  test: 'Test message'
+};
+
+const OUTCOME_STYLES = {
+  notified: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  rate_limited: 'bg-yellow-100 text-yellow-800'
+};
+
+/**
+ * Opt in to text alerts for the current user's emergency contacts
+ * Shows the contacts that would be alerted, a preview of each message,
+ * a test button and the history of alerts sent
+ */
+const ContactAlertsPanel = () => {
+  const [showPreview, setShowPreview] = useState(false);
+  const [statusMessage, setStatusMessage] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const {
+    data: settingsData,
+    isLoading: settingsLoading,
+    execute: fetchSettings
+  } = useApi(contactAlertAPI.getSettings);
+
+  const {
+    data: previewData,
+    isLoading: previewLoading,
+    execute: fetchPreview
+  } = useApi(contactAlertAPI.getPreview);
+
+  const {
+    data: historyData,
+    execute: fetchHistory
+  } = useApi(contactAlertAPI.getHistory);
+
+  useEffect(() => {
+    fetchSettings();
+    fetchHistory({ limit: 20 });
+  }, [fetchSettings, fetchHistory]);
+
+  const settings = settingsData?.data;
+  const previews = previewData?.data?.contacts || [];
+  const history = historyData?.data?.alerts || [];
+
+  const handleToggle = async () => {
+    setIsSaving(true);
+    setStatusMessage(null);
+
+    const result = await contactAlertAPI.updateSettings(!settings.enabled);
+
+    setIsSaving(false);
+    if (result.success) {
+      fetchSettings();
+    } else {
+      setStatusMessage({ type: 'error', text: result.details?.error?.message || result.error || 'Failed to update emergency contact alerts' });
+    }
+  };
+
+  const handleShowPreview = () => {
+    setShowPreview(prev => !prev);
+    if (!previewData) {
+      fetchPreview();
+    }
+  };
+
+  const handleSendTest = async () => {
+    if (!window.confirm('Send a test text message to all of your emergency contacts?')) {
+      return;
+    }
+
+    setIsSaving(true);
+    setStatusMessage(null);
+
+    const result = await contactAlertAPI.sendTest();
+
+    setIsSaving(false);
+    if (result.success) {
+      setStatusMessage({ type: 'success', text: result.data.message });
+      fetchHistory({ limit: 20 });
+    } else {
+      setStatusMessage({ type: 'error', text: result.details?.error?.message || result.error || 'Failed to send the test message' });
+    }
+  };
+
+  if (settingsLoading && !settings) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6 text-center text-gray-500">
+        Loading emergency contact alerts...
+      </div>
+    );
+  }
+
+  if (!settings) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6 text-center text-gray-500">
+        Emergency contact alerts are unavailable right now
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Emergency Contact Alerts</h3>
+            <p className="text-sm text-gray-500">
+              Text your emergency contacts when you report a medical emergency or accident, or are admitted to hospital
+            </p>
+          </div>
+          <button
+            onClick={handleToggle}
+            disabled={isSaving}
+            className={`${
+              settings.enabled ? 'bg-gray-600 hover:bg-gray-700' : 'bg-blue-600 hover:bg-blue-700'
+            } disabled:opacity-50 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors`}
+          >
+            {settings.enabled ? 'Turn Off' : 'Turn On'}
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <p className="text-sm text-gray-700">
+            {settings.enabled
+              ? `On since ${new Date(settings.enabledAt).toLocaleString()}. Your contacts will be told the incident status and hospital.`
+              : 'Off. Your contacts will not be messaged about incidents.'}
+          </p>
+          <p className="text-xs text-gray-500">
+            At most {settings.limits.alerts} alerts and {settings.limits.tests} test messages are sent every {settings.limits.windowHours} hours.
+          </p>
+
+          <div className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+            {settings.contacts.map(contact => (
+              <div key={contact.id} className="px-4 py-3 flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">{contact.name}</p>
+                  <p className="text-xs text-gray-500 capitalize">{contact.relation}</p>
+                </div>
+                <p className="text-sm text-gray-600 font-mono">{contact.phone || 'No phone number'}</p>
+              </div>
+            ))}
+          </div>
+
+          {statusMessage && (
+            <p className={`text-sm ${statusMessage.type === 'error' ? 'text-red-600' : 'text-green-600'}`}>
+              {statusMessage.text}
+            </p>
+          )}
+
+          <div className="flex space-x-3">
+            <button
+              onClick={handleShowPreview}
+              className="bg-gray-200 hover:bg-gray-300 text-gray-700 px-4 py-2 rounded-md text-sm font-medium transition-colors"
+            >
+              {showPreview ? 'Hide Preview' : 'Preview Messages'}
+            </button>
+            <button
+              onClick={handleSendTest}
+              disabled={isSaving}
+              className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors"
+            >
+              Send Test Message
+            </button>
+          </div>
+
+          {showPreview && (
+            <div className="space-y-3">
+              {previewLoading && previews.length === 0 ? (
+                <p className="text-sm text-gray-500">Loading preview...</p>
+              ) : (
+                previews.map(preview => (
+                  <div key={preview.id} className="bg-gray-50 rounded-md p-4 space-y-2">
+                    <p className="text-xs font-medium text-gray-500">To {preview.name} ({preview.phone})</p>
+                    <p className="text-sm text-gray-800">{preview.alertMessage}</p>
+                    <p className="text-xs text-gray-500">Test message: {preview.testMessage}</p>
+                  </div>
+                ))
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-medium text-gray-900">Alerts Sent</h3>
+        </div>
+        <div className="divide-y divide-gray-200">
+          {history.length === 0 ? (
+            <div className="p-6 text-center text-gray-500">No alerts have been sent to your contacts</div>
+          ) : (
+            history.map(alert => (
+              <div key={alert._id} className="p-6 flex items-start justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">{TRIGGER_LABELS[alert.trigger] || alert.trigger}</p>
+                  {alert.incident?.status && (
+                    <p className="text-sm text-gray-600">
+                      Status {alert.incident.status.replace(/_/g, ' ')}
+                      {alert.incident.hospital && ` · ${alert.incident.hospital}`}
+                    </p>
+                  )}
+                  <p className="text-xs text-gray-400">
+                    {alert.contacts.map(contact => contact.recipient).join(', ') || 'No contacts messaged'}
+                    {' · '}{new Date(alert.createdAt).toLocaleString()}
+                  </p>
+                </div>
+                <span className={`text-xs px-2 py-0.5 rounded-full font-medium ${OUTCOME_STYLES[alert.outcome] || 'bg-gray-100 text-gray-800'}`}>
+                  {alert.outcome.replace(/_/g, ' ')}
+                </span>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ContactAlertsPanel;
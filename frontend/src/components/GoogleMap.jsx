@@ -8,6 +8,7 @@ const GoogleMap = ({
   markers = [],
   onMapClick = null,
   onMarkerClick = null,
+  onBoundsChange = null,
   showUserLocation = true,
   enableLocationPicker = false,
   selectedLocation = null,
@@ -20,9 +21,15 @@ const GoogleMap = ({
   const markersRef = useRef([]);
   const userLocationMarkerRef = useRef(null);
   const selectedLocationMarkerRef = useRef(null);
+  const boundsChangeRef = useRef(onBoundsChange);
   const [isLoaded, setIsLoaded] = useState(false);
   const [error, setError] = useState(null);
 
+  // Keep the latest viewport callback without re-creating the map
+  useEffect(() => {
+    boundsChangeRef.current = onBoundsChange;
+  }, [onBoundsChange]);
+
   // Load Google Maps API
   useEffect(() => {
     if (window.google && window.google.maps) {
@@ -95,6 +102,9 @@ const GoogleMap = ({
                   });
                 }
               });
+
+              // The real map reports 'idle' once it has rendered
+              setTimeout(() => this.trigger('idle'), 0);
             }
             
             addListener(event, callback) {
@@ -104,6 +114,31 @@ const GoogleMap = ({
               this.listeners[event].push(callback);
             }
             
+            trigger(event) {
+              (this.listeners[event] || []).forEach(callback => callback());
+            }
+            
+            getZoom() {
+              return this.options.zoom;
+            }
+            
+            getBounds() {
+              // Approximate the viewport from the element size (256px world at zoom 0)
+              const degreesPerPixel = 360 / (256 * 2 ** this.options.zoom);
+              const halfWidth = (this.element.clientWidth || 640) * degreesPerPixel / 2;
+              const halfHeight = (this.element.clientHeight || 480) * degreesPerPixel / 2;
+              const { lat, lng } = this.options.center;
+              const corner = (cornerLat, cornerLng) => ({
+                lat: () => Math.max(-85, Math.min(85, cornerLat)),
+                lng: () => Math.max(-180, Math.min(180, cornerLng))
+              });
+              
+              return {
+                getNorthEast: () => corner(lat + halfHeight, lng + halfWidth),
+                getSouthWest: () => corner(lat - halfHeight, lng - halfWidth)
+              };
+            }
+            
             setCenter(center) {
               this.options.center = center;
               // Update display
@@ -111,10 +146,12 @@ const GoogleMap = ({
               if (coordsDiv) {
                 coordsDiv.textContent = `${center.lat.toFixed(4)}, ${center.lng.toFixed(4)}`;
               }
+              this.trigger('idle');
             }
             
             setZoom(zoom) {
               this.options.zoom = zoom;
+              this.trigger('idle');
             }
             
             panTo(center) {
@@ -224,6 +261,25 @@ const GoogleMap = ({
         });
       }
 
+      // Report the viewport after every pan or zoom
+      window.google.maps.event.addListener(mapInstanceRef.current, 'idle', () => {
+        const map = mapInstanceRef.current;
+        const bounds = map && map.getBounds();
+        if (!boundsChangeRef.current || !bounds) return;
+
+        const northEast = bounds.getNorthEast();
+        const southWest = bounds.getSouthWest();
+        boundsChangeRef.current({
+          bounds: {
+            north: northEast.lat(),
+            east: northEast.lng(),
+            south: southWest.lat(),
+            west: southWest.lng()
+          },
+          zoom: map.getZoom()
+        });
+      });
+
       // Add general click listener
       if (onMapClick) {
         window.google.maps.event.addListener(mapInstanceRef.current, 'click', (event) => {
@@ -1,5 +1,6 @@
-import { useState, useEffect, useMemo } from 'react';
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import GoogleMap from './GoogleMap';
+import { incidentAPI } from '../services/api';
 import { 
   getIncidentTypeIcon, 
   getPriorityColor, 
@@ -7,8 +8,22 @@ import {
   calculateDistance 
 } from '../utils/incidentUtils';
 
+// Above this many incidents the server clusters the visible viewport instead
+const MAX_CLIENT_MARKERS = 500;
+const MAX_CLUSTER_ZOOM_IN = 20;
+
+// Convert a server list item to the GeoJSON shape the markers use
+const toMapIncident = (incident) => ({
+  ...incident,
+  id: incident.incidentId,
+  location: {
+    coordinates: [incident.coordinates.longitude, incident.coordinates.latitude]
+  }
+});
+
 const IncidentMap = ({
-  incidents = [],
+  incidents = null, // Omit to load clusters for the visible viewport from the server
+  filters = {}, // Type/status/date filters for server clusters
   center = null,
   zoom = 13,
   height = '500px',
@@ -22,6 +37,17 @@ const IncidentMap = ({
 }) => {
   const [mapCenter, setMapCenter] = useState(center || { lat: 40.7128, lng: -74.0060 });
   const [selectedIncident, setSelectedIncident] = useState(null);
+  const [mapZoom, setMapZoom] = useState(zoom);
+  const [serverData, setServerData] = useState({ clusters: [], incidents: [], total: 0 });
+  const viewportZoomRef = useRef(zoom);
+  const latestRequestRef = useRef(0);
+
+  const useServerClusters = enableClustering &&
+    (incidents === null || incidents.length > MAX_CLIENT_MARKERS);
+
+  useEffect(() => {
+    setMapZoom(zoom);
+  }, [zoom]);
 
   // Get user location and set as center if no center provided
   useEffect(() => {
@@ -40,69 +66,6 @@ const IncidentMap = ({
     }
   }, [center]);
 
-  // Create incident markers with clustering
-  const markers = useMemo(() => {
-    if (!incidents.length) return [];
-
-    // Filter out incidents without valid coordinates
-    const validIncidents = incidents.filter(incident => 
-      incident.location?.coordinates && 
-      incident.location.coordinates.length === 2 &&
-      !isNaN(incident.location.coordinates[0]) &&
-      !isNaN(incident.location.coordinates[1])
-    );
-
-    if (!enableClustering) {
-      return validIncidents.map(incident => createIncidentMarker(incident));
-    }
-
-    // Simple clustering algorithm
-    const clusters = [];
-    const processed = new Set();
-
-    validIncidents.forEach((incident, index) => {
-      if (processed.has(index)) return;
-
-      const cluster = {
-        incidents: [incident],
-        center: {
-          lat: incident.location.coordinates[1],
-          lng: incident.location.coordinates[0]
-        }
-      };
-
-      // Find nearby incidents to cluster
-      validIncidents.forEach((otherIncident, otherIndex) => {
-        if (index === otherIndex || processed.has(otherIndex)) return;
-
-        const distance = calculateDistance(
-          incident.location.coordinates[1],
-          incident.location.coordinates[0],
-          otherIncident.location.coordinates[1],
-          otherIncident.location.coordinates[0]
-        );
-
-        // If within cluster radius (approximate conversion from pixels to meters)
-        if (distance <= clusterRadius * 10) {
-          cluster.incidents.push(otherIncident);
-          processed.add(otherIndex);
-        }
-      });
-
-      processed.add(index);
-      clusters.push(cluster);
-    });
-
-    // Convert clusters to markers
-    return clusters.map(cluster => {
-      if (cluster.incidents.length === 1) {
-        return createIncidentMarker(cluster.incidents[0]);
-      } else {
-        return createClusterMarker(cluster);
-      }
-    });
-  }, [incidents, enableClustering, clusterRadius]);
-
   const createIncidentMarker = (incident) => {
     const isSelected = selectedIncidentId === incident.id;
     const priorityColor = getPriorityColor(incident.priority);
@@ -149,6 +112,30 @@ const IncidentMap = ({
     };
   };
 
+  const createServerClusterMarker = (cluster) => {
+    const highestPriority = getHighestPriority(
+      Object.keys(cluster.bySeverity).map(severity => ({ priority: severity }))
+    );
+    const priorityColor = getPriorityColor(highestPriority);
+
+    return {
+      lat: cluster.center.latitude,
+      lng: cluster.center.longitude,
+      title: `${cluster.count} incidents in this area`,
+      icon: {
+        url: `data:image/svg+xml;charset=UTF-8,${encodeURIComponent(`
+          <svg width="50" height="50" viewBox="0 0 50 50" xmlns="http://www.w3.org/2000/svg">
+            <circle cx="25" cy="25" r="23" fill="${getColorHex(priorityColor)}" stroke="#fff" stroke-width="2"/>
+            <text x="25" y="30" text-anchor="middle" font-size="14" font-weight="bold" fill="white">${cluster.count}</text>
+          </svg>
+        `)}`,
+        scaledSize: { width: 50, height: 50 }
+      },
+      infoContent: createServerClusterInfoWindow(cluster),
+      serverCluster: cluster
+    };
+  };
+
   const createIncidentInfoWindow = (incident) => {
     const typeIcon = getIncidentTypeIcon(incident.type);
     const priorityColor = getPriorityColor(incident.priority);
@@ -235,6 +222,32 @@ const IncidentMap = ({
     `;
   };
 
+  const createServerClusterInfoWindow = (cluster) => {
+    const typeCounts = Object.entries(cluster.byType)
+      .sort(([, a], [, b]) => b - a)
+      .map(([type, count]) => `
+        <div style="display: flex; align-items: center; padding: 4px 0; border-bottom: 1px solid #eee;">
+          <span style="font-size: 16px; margin-right: 8px;">${getIncidentTypeIcon(type)}</span>
+          <div style="flex: 1; font-size: 14px; text-transform: capitalize;">${type.replace(/_/g, ' ')}</div>
+          <div style="font-size: 14px; font-weight: 500;">${count}</div>
+        </div>
+      `).join('');
+
+    return `
+      <div style="max-width: 320px; padding: 12px;">
+        <h3 style="margin: 0 0 12px 0; font-size: 16px; font-weight: bold;">
+          ${cluster.count} Incidents in this Area
+        </h3>
+        <div style="max-height: 200px; overflow-y: auto;">
+          ${typeCounts}
+        </div>
+        <div style="text-align: center; margin-top: 8px; font-size: 12px; color: #666;">
+          Click to zoom in
+        </div>
+      </div>
+    `;
+  };
+
   const getHighestPriority = (incidents) => {
     const priorityOrder = { critical: 4, high: 3, medium: 2, low: 1 };
     return incidents.reduce((highest, incident) => {
@@ -257,6 +270,95 @@ const IncidentMap = ({
     return colors[colorName] || colors.gray;
   };
 
+  // Create incident markers with clustering
+  const markers = useMemo(() => {
+    if (useServerClusters) {
+      return [
+        ...serverData.clusters.map(cluster => createServerClusterMarker(cluster)),
+        ...serverData.incidents.map(incident => createIncidentMarker(incident))
+      ];
+    }
+
+    if (!incidents || !incidents.length) return [];
+
+    // Filter out incidents without valid coordinates
+    const validIncidents = incidents.filter(incident => 
+      incident.location?.coordinates && 
+      incident.location.coordinates.length === 2 &&
+      !isNaN(incident.location.coordinates[0]) &&
+      !isNaN(incident.location.coordinates[1])
+    );
+
+    if (!enableClustering) {
+      return validIncidents.map(incident => createIncidentMarker(incident));
+    }
+
+    // Simple clustering algorithm
+    const clusters = [];
+    const processed = new Set();
+
+    validIncidents.forEach((incident, index) => {
+      if (processed.has(index)) return;
+
+      const cluster = {
+        incidents: [incident],
+        center: {
+          lat: incident.location.coordinates[1],
+          lng: incident.location.coordinates[0]
+        }
+      };
+
+      // Find nearby incidents to cluster
+      validIncidents.forEach((otherIncident, otherIndex) => {
+        if (index === otherIndex || processed.has(otherIndex)) return;
+
+        const distance = calculateDistance(
+          incident.location.coordinates[1],
+          incident.location.coordinates[0],
+          otherIncident.location.coordinates[1],
+          otherIncident.location.coordinates[0]
+        );
+
+        // If within cluster radius (approximate conversion from pixels to meters)
+        if (distance <= clusterRadius * 10) {
+          cluster.incidents.push(otherIncident);
+          processed.add(otherIndex);
+        }
+      });
+
+      processed.add(index);
+      clusters.push(cluster);
+    });
+
+    // Convert clusters to markers
+    return clusters.map(cluster => {
+      if (cluster.incidents.length === 1) {
+        return createIncidentMarker(cluster.incidents[0]);
+      } else {
+        return createClusterMarker(cluster);
+      }
+    });
+  }, [incidents, enableClustering, clusterRadius, useServerClusters, serverData, selectedIncidentId]);
+
+  // Fetch clusters for the viewport the map settled on
+  const handleBoundsChange = useCallback(async ({ bounds, zoom: viewportZoom }) => {
+    viewportZoomRef.current = viewportZoom;
+    if (!useServerClusters) return;
+
+    const requestId = ++latestRequestRef.current;
+    const result = await incidentAPI.getClusters(bounds, viewportZoom, filters);
+
+    // Ignore responses for viewports the user has already left
+    if (requestId !== latestRequestRef.current || !result.success) return;
+
+    const { clusters, incidents: clusterIncidents, total } = result.data.data;
+    setServerData({
+      clusters,
+      incidents: clusterIncidents.map(toMapIncident),
+      total
+    });
+  }, [useServerClusters, filters]);
+
   const handleMarkerClick = (markerData, index) => {
     if (markerData.incidentData) {
       // Single incident marker clicked
@@ -264,21 +366,29 @@ const IncidentMap = ({
       if (onIncidentClick) {
         onIncidentClick(markerData.incidentData);
       }
+    } else if (markerData.serverCluster) {
+      // Server cluster clicked - zoom in on it
+      const { center: clusterCenter } = markerData.serverCluster;
+      setMapCenter({ lat: clusterCenter.latitude, lng: clusterCenter.longitude });
+      setMapZoom(Math.min(viewportZoomRef.current + 2, MAX_CLUSTER_ZOOM_IN));
     } else if (markerData.clusterData) {
       // Cluster marker clicked - could implement zoom in or show list
       console.log('Cluster clicked:', markerData.clusterData);
     }
   };
 
+  const shownCount = useServerClusters ? serverData.total : incidents.length;
+
   return (
     <div className={`relative ${className}`}>
       <GoogleMap
         center={mapCenter}
-        zoom={zoom}
+        zoom={mapZoom}
         height={height}
         width={width}
         markers={markers}
         onMarkerClick={handleMarkerClick}
+        onBoundsChange={handleBoundsChange}
         showUserLocation={showUserLocation}
         className="border border-gray-200"
       />
@@ -315,10 +425,10 @@ const IncidentMap = ({
       </div>
 
       {/* Incident Count */}
-      {incidents.length > 0 && (
+      {shownCount > 0 && (
         <div className="absolute bottom-4 left-4 bg-white rounded-lg shadow-lg px-3 py-2">
           <div className="text-sm font-medium text-gray-900">
-            {incidents.length} incident{incidents.length !== 1 ? 's' : ''} shown
+            {shownCount} incident{shownCount !== 1 ? 's' : ''} shown
           </div>
         </div>
       )}
@@ -7,6 +7,7 @@ import { useProximityDetection } from '../hooks/useProximityDetection';
 import ProximityDetectionModal from './ProximityDetectionModal';
 import LocationPicker from './LocationPicker';
 import { validateIncidentForm, prepareIncidentData } from '../utils/incidentUtils';
+import { reverseGeocode } from '../services/mapsService';
 
 const IncidentReportForm = () => {
   const navigate = useNavigate();
@@ -68,6 +69,10 @@ const IncidentReportForm = () => {
   const [showLocationPicker, setShowLocationPicker] = useState(false);
   const [showProximityModal, setShowProximityModal] = useState(false);
 
+  // Possible duplicates returned by the server after submission
+  const [submittedIncident, setSubmittedIncident] = useState(null);
+  const [duplicateSuggestions, setDuplicateSuggestions] = useState([]);
+
   // Incident types
   const incidentTypes = [
     { value: 'medical', label: 'Medical Emergency', icon: '🏥', color: 'red' },
@@ -184,11 +189,6 @@ const IncidentReportForm = () => {
     );
   };
 
-  const reverseGeocode = async (latitude, longitude) => {
-    // Mock reverse geocoding - in production, use Google Maps Geocoding API
-    return `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`;
-  };
-
   const performProximityCheck = async (latitude, longitude) => {
     try {
       const result = await smartProximityCheck({
@@ -296,9 +296,30 @@ const IncidentReportForm = () => {
       const result = await createIncident(incidentData);
       
       if (result.success) {
+        const { incident, duplicateOf, duplicateSuggestions: suggestions = [] } = result.data?.data || {};
+        const submitted = { ...incidentData, id: incident?.incidentId, status: incident?.status };
+
+        // Weaker matches are shown before leaving so the reporter can confirm one
+        if (!duplicateOf && suggestions.length > 0) {
+          setSubmittedIncident(submitted);
+          setDuplicateSuggestions(suggestions.map(suggestion => ({
+            id: suggestion.incidentId,
+            type: suggestion.type,
+            priority: suggestion.priority,
+            status: suggestion.status,
+            description: suggestion.description,
+            distance: suggestion.distance,
+            createdAt: suggestion.reportedAt,
+            upvotes: suggestion.upvoteCount,
+            matchScore: suggestion.score
+          })));
+          setShowProximityModal(true);
+          return;
+        }
+
         // Success - redirect to confirmation page
-        navigate(`/incident-confirmation/${result.data.id}`, {
-          state: { incident: result.data }
+        navigate(`/incident-confirmation/${submitted.id}`, {
+          state: { incident: submitted, duplicateOf }
         });
       } else {
         setErrors({ submit: result.error || 'Failed to submit incident report' });
@@ -327,7 +348,12 @@ const IncidentReportForm = () => {
   };
 
   const handleProximityChoice = (choice, selectedIncident = null) => {
-    if (choice === 'same' && selectedIncident) {
+    if (submittedIncident && choice !== 'same') {
+      // Report already filed - finish on the confirmation page
+      navigate(`/incident-confirmation/${submittedIncident.id}`, {
+        state: { incident: submittedIncident }
+      });
+    } else if (choice === 'same' && selectedIncident) {
       // Redirect to existing incident for upvoting
       navigate(`/incident/${selectedIncident.id}?action=upvote`);
     } else {
@@ -756,8 +782,8 @@ const IncidentReportForm = () => {
       {/* Proximity Detection Modal */}
       <ProximityDetectionModal
         isOpen={showProximityModal}
-        onClose={() => setShowProximityModal(false)}
-        nearbyIncidents={nearbyIncidents}
+        onClose={() => (submittedIncident ? handleProximityChoice('different') : setShowProximityModal(false))}
+        nearbyIncidents={submittedIncident ? duplicateSuggestions : nearbyIncidents}
         currentLocation={formData.location}
         onContinueWithNew={() => handleProximityChoice('different')}
         onSelectExisting={(incident) => handleProximityChoice('same', incident)}
@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import GoogleMap from './GoogleMap';
+import { reverseGeocode } from '../services/mapsService';
 
 const LocationPicker = ({
   initialLocation = null,
@@ -26,7 +27,7 @@ const LocationPicker = ({
   // Update address when location changes
   useEffect(() => {
     if (selectedLocation) {
-      reverseGeocode(selectedLocation.latitude, selectedLocation.longitude);
+      updateAddress(selectedLocation.latitude, selectedLocation.longitude);
     }
   }, [selectedLocation]);
 
@@ -80,11 +81,9 @@ const LocationPicker = ({
     }
   };
 
-  const reverseGeocode = async (latitude, longitude) => {
+  const updateAddress = async (latitude, longitude) => {
     try {
-      // Mock reverse geocoding - in production, use Google Maps Geocoding API
-      const mockAddress = `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`;
-      setAddress(mockAddress);
+      setAddress(await reverseGeocode(latitude, longitude));
     } catch (error) {
       console.error('Reverse geocoding error:', error);
       setAddress('Address lookup failed');
@@ -58,6 +58,11 @@ const ProximityDetectionModal = ({
               <span className="text-xs text-gray-500">
                 {formatTimeAgo(incident.createdAt)}
               </span>
+              {incident.matchScore !== undefined && (
+                <span className="text-xs font-medium text-blue-700">
+                  {Math.round(incident.matchScore * 100)}% match
+                </span>
+              )}
             </div>
           </div>
         </div>
@@ -0,0 +1,238 @@
+import { useState, useEffect, useRef } from 'react';
+import { API_CONFIG, ENDPOINTS, STORAGE_KEYS } from '../services/apiConfig';
+import { apiCache, invalidateCache } from '../services/apiCache';
+
+// Stream connection states
+export const STREAM_STATUS = {
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  CLOSED: 'closed',
+  ERROR: 'error',
+};
+
+// Incident event types pushed by the backend
+export const INCIDENT_EVENTS = {
+  CREATED: 'incident_created',
+  STATUS_CHANGED: 'incident_status_changed',
+  ASSIGNED: 'incident_assigned',
+  UPVOTED: 'incident_upvoted',
+  ASSIGNMENT_UPDATED: 'incident_assignment_updated',
+  SLA_BREACHED: 'incident_sla_breached',
+};
+
+const DEFAULT_RETRY_MS = 5000;
+const MAX_RETRY_MS = 60000;
+const DASHBOARD_ROLES = ['police', 'hospital', 'admin'];
+
+// Incident fields an event may change in cached responses
+const PATCHABLE_FIELDS = ['status', 'priority', 'severity', 'upvoteCount', 'currentAssignment', 'updatedAt'];
+
+/**
+ * Return a copy of `data` with the matching incident patched, or the same
+ * reference when nothing matched (so untouched cache entries stay as-is)
+ */
+const patchIncident = (data, incidentId, changes, depth = 0) => {
+  if (!data || typeof data !== 'object' || depth > 6) {
+    return data;
+  }
+
+  if (Array.isArray(data)) {
+    let changed = false;
+    const next = data.map(item => {
+      const patched = patchIncident(item, incidentId, changes, depth + 1);
+      changed = changed || patched !== item;
+      return patched;
+    });
+    return changed ? next : data;
+  }
+
+  const id = data.id ?? data._id;
+  if (id !== undefined && String(id) === incidentId) {
+    return { ...data, ...changes };
+  }
+
+  let changed = false;
+  const next = {};
+  Object.keys(data).forEach(key => {
+    next[key] = patchIncident(data[key], incidentId, changes, depth + 1);
+    changed = changed || next[key] !== data[key];
+  });
+  return changed ? next : data;
+};
+
+/**
+ * Apply an incident event to cached API responses
+ * Existing incidents are patched in place; new incidents and dashboard
+ * counters cannot be patched, so those entries are invalidated instead
+ */
+const applyEventToCache = (event) => {
+  if (event.type === INCIDENT_EVENTS.CREATED) {
+    invalidateCache.incidents();
+  } else {
+    const changes = {};
+    PATCHABLE_FIELDS.forEach(field => {
+      if (event.incident[field] !== undefined) {
+        changes[field] = event.incident[field];
+      }
+    });
+
+    apiCache.keys().forEach(key => {
+      apiCache.update(key, data => patchIncident(data, event.incidentId, changes));
+    });
+  }
+
+  DASHBOARD_ROLES.forEach(role => invalidateCache.dashboard(role));
+};
+
+/**
+ * Split a Server-Sent Events buffer into complete frames
+ * @returns {Object} - { frames, rest } where rest is the incomplete tail
+ */
+const parseFrames = (buffer) => {
+  const chunks = buffer.replace(/\r\n/g, '\n').split('\n\n');
+  const rest = chunks.pop();
+
+  const frames = chunks.map(chunk => {
+    const frame = { event: 'message', data: '' };
+    chunk.split('\n').forEach(line => {
+      if (!line || line.startsWith(':')) return;
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+      if (field === 'data') {
+        frame.data += frame.data ? `\n${value}` : value;
+      } else {
+        frame[field] = value;
+      }
+    });
+    return frame;
+  });
+
+  return { frames, rest };
+};
+
+/**
+ * Custom hook subscribing to the real-time incident stream
+ * Uses fetch streaming rather than EventSource so the auth token travels
+ * in the Authorization header instead of the URL
+ * @param {Object} options - Configuration options
+ * @returns {Object} - Stream status, last event and error
+ */
+export const useIncidentStream = (options = {}) => {
+  const {
+    enabled = true,
+    onEvent = null,
+  } = options;
+
+  const [state, setState] = useState({
+    status: STREAM_STATUS.CLOSED,
+    lastEvent: null,
+    error: null,
+  });
+
+  // Keep the latest callback without reconnecting on every render
+  const onEventRef = useRef(onEvent);
+  useEffect(() => {
+    onEventRef.current = onEvent;
+  }, [onEvent]);
+
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    let retryDelay = DEFAULT_RETRY_MS;
+    let retryTimer = null;
+
+    const handleFrame = (frame) => {
+      if (frame.retry) {
+        retryDelay = Number(frame.retry) || DEFAULT_RETRY_MS;
+      }
+
+      if (!frame.data) {
+        return;
+      }
+
+      if (frame.event === 'connected') {
+        setState(prev => ({ ...prev, status: STREAM_STATUS.OPEN, error: null }));
+        return;
+      }
+
+      if (!Object.values(INCIDENT_EVENTS).includes(frame.event)) {
+        return;
+      }
+
+      const event = JSON.parse(frame.data);
+      applyEventToCache(event);
+      setState(prev => ({ ...prev, lastEvent: event }));
+
+      if (onEventRef.current) {
+        onEventRef.current(event);
+      }
+    };
+
+    const connect = async () => {
+      setState(prev => ({ ...prev, status: STREAM_STATUS.CONNECTING }));
+
+      try {
+        const token = localStorage.getItem(STORAGE_KEYS.AUTH_TOKEN);
+        const response = await fetch(`${API_CONFIG.BASE_URL}${ENDPOINTS.STREAM}`, {
+          headers: {
+            Accept: 'text/event-stream',
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          },
+          signal: controller.signal,
+        });
+
+        // Auth failures will not fix themselves by retrying
+        if (response.status === 401 || response.status === 403) {
+          setState(prev => ({ ...prev, status: STREAM_STATUS.ERROR, error: `Stream rejected (${response.status})` }));
+          return;
+        }
+
+        if (!response.ok || !response.body) {
+          throw new Error(`Stream failed (${response.status})`);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+          const { value, done } = await reader.read();
+          if (done) break;
+
+          const { frames, rest } = parseFrames(buffer + decoder.decode(value, { stream: true }));
+          buffer = rest;
+          frames.forEach(handleFrame);
+        }
+
+        throw new Error('Stream closed by server');
+      } catch (error) {
+        if (controller.signal.aborted) {
+          return;
+        }
+
+        setState(prev => ({ ...prev, status: STREAM_STATUS.ERROR, error: error.message }));
+        retryTimer = setTimeout(connect, retryDelay);
+        retryDelay = Math.min(retryDelay * 2, MAX_RETRY_MS);
+      }
+    };
+
+    connect();
+
+    return () => {
+      controller.abort();
+      clearTimeout(retryTimer);
+      setState(prev => ({ ...prev, status: STREAM_STATUS.CLOSED }));
+    };
+  }, [enabled]);
+
+  return {
+    ...state,
+    isConnected: state.status === STREAM_STATUS.OPEN,
+  };
+};
+
+export default useIncidentStream;
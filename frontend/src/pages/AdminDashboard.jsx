@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../hooks/useAuth';
 import { useApi } from '../hooks/useApi';
+import { useIncidentStream, INCIDENT_EVENTS } from '../hooks/useIncidentStream';
 import { adminAPI } from '../services/api';
 
 const AdminDashboard = () => {
@@ -42,6 +43,16 @@ const AdminDashboard = () => {
     fetchAuditLogs({ limit: 50 });
   }, []);
 
+  // Refresh on pushed incident events instead of polling
+  const { isConnected: streamConnected } = useIncidentStream({
+    onEvent: (event) => {
+      fetchDashboard();
+      if (event.type !== INCIDENT_EVENTS.UPVOTED) {
+        fetchSystemStats();
+      }
+    }
+  });
+
   const handleUserAction = async (userId, action, reason = '') => {
     try {
       let result;
@@ -116,6 +127,10 @@ const AdminDashboard = () => {
             </div>
             
             <div className="flex items-center space-x-4">
+              <span className={`flex items-center text-xs font-medium ${streamConnected ? 'text-green-600' : 'text-gray-400'}`}>
+                <span className={`w-2 h-2 rounded-full mr-1 ${streamConnected ? 'bg-green-500' : 'bg-gray-400'}`}></span>
+                {streamConnected ? 'Live' : 'Offline'}
+              </span>
               <div className="text-right">
                 <p className="text-sm font-medium text-gray-900">{user?.fullName}</p>
                 <p className="text-xs text-gray-500">{user?.email}</p>
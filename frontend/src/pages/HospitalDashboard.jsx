@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../hooks/useAuth';
 import { useApi } from '../hooks/useApi';
+import { useIncidentStream } from '../hooks/useIncidentStream';
 import { hospitalAPI } from '../services/api';
 
 const HospitalDashboard = () => {
@@ -34,6 +35,11 @@ const HospitalDashboard = () => {
     fetchDashboard();
   }, []);
 
+  // Refresh on pushed incident events instead of polling
+  const { isConnected: streamConnected } = useIncidentStream({
+    onEvent: () => fetchDashboard()
+  });
+
   const handleSearch = async (e) => {
     e.preventDefault();
     if (!searchQuery.trim()) return;
@@ -97,6 +103,10 @@ const HospitalDashboard = () => {
             </div>
             
             <div className="flex items-center space-x-4">
+              <span className={`flex items-center text-xs font-medium ${streamConnected ? 'text-green-600' : 'text-gray-400'}`}>
+                <span className={`w-2 h-2 rounded-full mr-1 ${streamConnected ? 'bg-green-500' : 'bg-gray-400'}`}></span>
+                {streamConnected ? 'Live' : 'Offline'}
+              </span>
               <div className="text-right">
                 <p className="text-sm font-medium text-gray-900">{user?.fullName}</p>
                 <p className="text-xs text-gray-500">{user?.email}</p>
@@ -284,9 +294,7 @@ const HospitalDashboard = () => {
                         className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-green-500 focus:border-green-500"
                       >
                         <option value="phone">Phone Number</option>
-                        <option value="governmentId">Government ID</option>
-                        <option value="name">Full Name</option>
-                        <option value="medicalId">Medical Record ID</option>
+                        <option value="email">Email Address</option>
                       </select>
                     </div>
                     
@@ -299,7 +307,7 @@ const HospitalDashboard = () => {
                         id="searchQuery"
                         value={searchQuery}
                         onChange={(e) => setSearchQuery(e.target.value)}
-                        placeholder={`Enter ${searchType === 'phone' ? 'phone number' : searchType === 'governmentId' ? 'government ID' : searchType === 'name' ? 'full name' : 'medical record ID'}`}
+                        placeholder={`Enter ${searchType === 'phone' ? 'phone number' : 'email address'}`}
                         className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-green-500 focus:border-green-500"
                       />
                     </div>
@@ -358,7 +366,7 @@ const HospitalDashboard = () => {
                                   <span className="font-medium">Phone:</span> {patient.phone}
                                 </div>
                                 <div>
-                                  <span className="font-medium">Medical ID:</span> {patient.medicalId}
+                                  <span className="font-medium">Blood Group:</span> {patient.bloodGroup}
                                 </div>
                                 <div>
                                   <span className="font-medium">Last Visit:</span> {patient.lastVisit}
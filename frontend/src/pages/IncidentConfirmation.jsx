@@ -10,6 +10,7 @@ const IncidentConfirmation = () => {
   const location = useLocation();
   const navigate = useNavigate();
   const [incident] = useState(location.state?.incident || null);
+  const duplicateOf = location.state?.duplicateOf || null;
 
   useEffect(() => {
     // If no incident data is passed, redirect back to home
@@ -36,6 +37,11 @@ const IncidentConfirmation = () => {
           <p className="text-gray-600">
             Your incident report has been received and emergency responders have been notified.
           </p>
+          {duplicateOf && (
+            <p className="text-sm text-blue-700 bg-blue-50 border border-blue-200 rounded-lg p-3 mt-4">
+              Your report matched an existing incident ("{duplicateOf.title}") and was added to it as a confirmation.
+            </p>
+          )}
         </div>
 
         {/* Incident Details */}
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../hooks/useAuth';
 import { useApi } from '../hooks/useApi';
+import { useIncidentStream, INCIDENT_EVENTS } from '../hooks/useIncidentStream';
 import { policeAPI, incidentAPI } from '../services/api';
 
 const PoliceDashboard = () => {
@@ -34,6 +35,19 @@ const PoliceDashboard = () => {
     fetchNearbyIncidents({ status: 'reported', limit: 10 });
   }, []);
 
+  // Refresh on pushed incident events instead of polling
+  const { isConnected: streamConnected } = useIncidentStream({
+    onEvent: (event) => {
+      fetchDashboard();
+      if (event.type !== INCIDENT_EVENTS.UPVOTED && event.type !== INCIDENT_EVENTS.CREATED) {
+        fetchAssignedIncidents();
+      }
+      if (event.type !== INCIDENT_EVENTS.UPVOTED) {
+        fetchNearbyIncidents({ status: 'reported', limit: 10 });
+      }
+    }
+  });
+
   const handleClaimIncident = async (incidentId) => {
     try {
       const result = await policeAPI.claimIncident(incidentId);
@@ -102,6 +116,10 @@ const PoliceDashboard = () => {
             </div>
             
             <div className="flex items-center space-x-4">
+              <span className={`flex items-center text-xs font-medium ${streamConnected ? 'text-green-600' : 'text-gray-400'}`}>
+                <span className={`w-2 h-2 rounded-full mr-1 ${streamConnected ? 'bg-green-500' : 'bg-gray-400'}`}></span>
+                {streamConnected ? 'Live' : 'Offline'}
+              </span>
               <div className="text-right">
                 <p className="text-sm font-medium text-gray-900">{user?.fullName}</p>
                 <p className="text-xs text-gray-500">{user?.email}</p>
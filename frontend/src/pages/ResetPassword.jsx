@@ -0,0 +1,198 @@
+import { useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+
+const PASSWORD_PATTERN = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/;
+
+const inputClassName = 'w-full px-4 py-3 bg-white/20 border border-white/30 rounded-lg text-white placeholder-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent backdrop-blur-sm';
+
+/**
+ * Password reset page
+ * Without a token it asks for an email address and sends a reset link;
+ * the emailed link opens it with ?token=... to choose a new password
+ */
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const navigate = useNavigate();
+
+  const [email, setEmail] = useState('');
+  const [formData, setFormData] = useState({ newPassword: '', confirmPassword: '' });
+  const [errors, setErrors] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [completed, setCompleted] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+
+  const handleRequestLink = async (e) => {
+    e.preventDefault();
+
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      setErrors({ email: 'Please enter a valid email' });
+      return;
+    }
+
+    setIsLoading(true);
+    const result = await authAPI.forgotPassword(email);
+    setIsLoading(false);
+
+    if (result.success) {
+      setCompleted(result.data.data.message);
+    } else {
+      setErrors({ submit: result.details?.error?.message || result.error || 'Could not send the reset link' });
+    }
+  };
+
+  const handleResetPassword = async (e) => {
+    e.preventDefault();
+
+    const newErrors = {};
+    if (!PASSWORD_PATTERN.test(formData.newPassword)) {
+      newErrors.newPassword = 'Use at least 8 characters with uppercase, lowercase, a number and a special character';
+    }
+    if (formData.confirmPassword !== formData.newPassword) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) {
+      return;
+    }
+
+    setIsLoading(true);
+    const result = await authAPI.resetPassword(token, formData.newPassword);
+    setIsLoading(false);
+
+    if (result.success) {
+      setCompleted('Your password has been reset and you have been signed out everywhere. Please sign in with your new password.');
+    } else {
+      setErrors({ submit: result.details?.error?.message || result.error || 'Could not reset your password' });
+    }
+  };
+
+  return (
+    <div className="min-h-screen gradient-bg hero-pattern flex items-center justify-center p-4">
+      <div className="w-full max-w-md">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-white mb-2 drop-shadow-lg">
+            {token ? 'Choose a New Password' : 'Reset Your Password'}
+          </h1>
+          <p className="text-gray-300 drop-shadow-md">
+            {token ? 'This link can only be used once' : 'We will email you a link to reset your password'}
+          </p>
+        </div>
+
+        <div className="bg-white/10 backdrop-blur-md rounded-xl p-8 border border-white/20 shadow-2xl">
+          {completed ? (
+            <div className="bg-green-500/20 border border-green-400/30 rounded-lg p-4">
+              <p className="text-green-200 text-sm">{completed}</p>
+            </div>
+          ) : token ? (
+            <form onSubmit={handleResetPassword} className="space-y-6">
+              <div>
+                <label htmlFor="newPassword" className="block text-sm font-medium text-white mb-2">
+                  New Password
+                </label>
+                <input
+                  type="password"
+                  id="newPassword"
+                  name="newPassword"
+                  value={formData.newPassword}
+                  onChange={handleChange}
+                  className={inputClassName}
+                  placeholder="Enter a new password"
+                />
+                {errors.newPassword && <p className="mt-1 text-sm text-red-300">{errors.newPassword}</p>}
+              </div>
+
+              <div>
+                <label htmlFor="confirmPassword" className="block text-sm font-medium text-white mb-2">
+                  Confirm Password
+                </label>
+                <input
+                  type="password"
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  value={formData.confirmPassword}
+                  onChange={handleChange}
+                  className={inputClassName}
+                  placeholder="Enter the password again"
+                />
+                {errors.confirmPassword && <p className="mt-1 text-sm text-red-300">{errors.confirmPassword}</p>}
+              </div>
+
+              {errors.submit && (
+                <div className="bg-red-500/20 border border-red-400/30 rounded-lg p-3">
+                  <p className="text-red-300 text-sm">{errors.submit}</p>
+                </div>
+              )}
+
+              <button
+                type="submit"
+                disabled={isLoading}
+                className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white font-semibold py-3 px-6 rounded-lg transition-colors duration-200 shadow-lg hover:shadow-xl disabled:cursor-not-allowed"
+              >
+                {isLoading ? 'Resetting...' : 'Reset Password'}
+              </button>
+            </form>
+          ) : (
+            <form onSubmit={handleRequestLink} className="space-y-6">
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-white mb-2">
+                  Email Address
+                </label>
+                <input
+                  type="email"
+                  id="email"
+                  name="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className={inputClassName}
+                  placeholder="you@example.com"
+                />
+                {errors.email && <p className="mt-1 text-sm text-red-300">{errors.email}</p>}
+              </div>
+
+              {errors.submit && (
+                <div className="bg-red-500/20 border border-red-400/30 rounded-lg p-3">
+                  <p className="text-red-300 text-sm">{errors.submit}</p>
+                </div>
+              )}
+
+              <button
+                type="submit"
+                disabled={isLoading}
+                className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white font-semibold py-3 px-6 rounded-lg transition-colors duration-200 shadow-lg hover:shadow-xl disabled:cursor-not-allowed"
+              >
+                {isLoading ? 'Sending...' : 'Email Reset Link'}
+              </button>
+            </form>
+          )}
+
+          <div className="mt-6 text-center">
+            <button
+              onClick={() => navigate('/')}
+              className="text-blue-300 hover:text-blue-200 text-sm transition-colors"
+            >
+              ← Back to Home
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
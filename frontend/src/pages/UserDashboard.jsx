@@ -0,0 +1,214 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { useApi } from '../hooks/useApi';
+import { alertAPI, authAPI } from '../services/api';
+import AlertAreasPanel from '../components/AlertAreasPanel';
+import ContactAlertsPanel from '../components/ContactAlertsPanel';
+
+const UserDashboard = () => {
+  const { user, logout } = useAuth();
+  const [activeTab, setActiveTab] = useState('alerts');
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const [verificationMessage, setVerificationMessage] = useState(null);
+
+  const {
+    data: alertsData,
+    isLoading: alertsLoading,
+    execute: fetchAlerts
+  } = useApi(alertAPI.getAlerts);
+
+  // Load alerts on mount and when the filter changes
+  useEffect(() => {
+    fetchAlerts({ unread: unreadOnly, limit: 50 });
+  }, [fetchAlerts, unreadOnly]);
+
+  const alerts = alertsData?.data?.alerts || [];
+  const unreadCount = alertsData?.data?.unreadCount || 0;
+
+  const handleMarkRead = async (alertId) => {
+    const result = await alertAPI.markRead(alertId);
+    if (result.success) {
+      fetchAlerts({ unread: unreadOnly, limit: 50 });
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    const result = await alertAPI.markAllRead();
+    if (result.success) {
+      fetchAlerts({ unread: unreadOnly, limit: 50 });
+    }
+  };
+
+  const handleResendVerification = async () => {
+    const result = await authAPI.resendVerification();
+    setVerificationMessage(result.success
+      ? `We sent a new link to ${result.data.data.email}`
+      : result.details?.error?.message || result.error || 'Could not send the verification email');
+  };
+
+  const getSeverityColor = (severity) => {
+    const colors = {
+      low: 'bg-green-100 text-green-800',
+      medium: 'bg-yellow-100 text-yellow-800',
+      high: 'bg-orange-100 text-orange-800',
+      critical: 'bg-red-100 text-red-800'
+    };
+    return colors[severity] || 'bg-gray-100 text-gray-800';
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-4">
+            <div className="flex items-center space-x-4">
+              <div className="w-10 h-10 bg-blue-600 rounded-full flex items-center justify-center">
+                <svg className="w-6 h-6 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+                </svg>
+              </div>
+              <div>
+                <h1 className="text-2xl font-bold text-gray-900">My Dashboard</h1>
+                <p className="text-sm text-gray-600">
+                  {unreadCount > 0 ? `${unreadCount} unread alerts` : 'No unread alerts'}
+                </p>
+              </div>
+            </div>
+
+            <div className="flex items-center space-x-4">
+              <div className="text-right">
+                <p className="text-sm font-medium text-gray-900">{user?.fullName}</p>
+                <p className="text-xs text-gray-500">{user?.email}</p>
+              </div>
+              <button
+                onClick={() => logout()}
+                className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors"
+              >
+                Logout
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Email Verification Notice */}
+      {user?.isVerified === false && (
+        <div className="bg-yellow-50 border-b border-yellow-200">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-3 flex items-center justify-between">
+            <p className="text-sm text-yellow-800">
+              {verificationMessage || 'Please verify your email address. Some actions, such as upvoting, are unavailable until you do.'}
+            </p>
+            <button
+              onClick={handleResendVerification}
+              className="text-sm font-medium text-yellow-800 hover:text-yellow-900 underline"
+            >
+              Resend verification email
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Navigation Tabs */}
+      <div className="bg-white border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <nav className="flex space-x-8">
+            {[
+              { id: 'alerts', name: 'Alerts' },
+              { id: 'areas', name: 'Alert Areas' },
+              { id: 'contacts', name: 'Emergency Contacts' }
+            ].map((tab) => (
+              <button
+                key={tab.id}
+                onClick={() => setActiveTab(tab.id)}
+                className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                  activeTab === tab.id
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                {tab.name}
+              </button>
+            ))}
+          </nav>
+        </div>
+      </div>
+
+      {/* Main Content */}
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {activeTab === 'alerts' && (
+          <div className="bg-white rounded-lg shadow">
+            <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+              <h3 className="text-lg font-medium text-gray-900">Incidents in Your Areas</h3>
+              <div className="flex items-center space-x-4">
+                <label className="flex items-center text-sm text-gray-600 space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={unreadOnly}
+                    onChange={(e) => setUnreadOnly(e.target.checked)}
+                  />
+                  <span>Unread only</span>
+                </label>
+                <button
+                  onClick={handleMarkAllRead}
+                  disabled={unreadCount === 0}
+                  className="text-sm text-blue-600 hover:text-blue-800 disabled:text-gray-400 font-medium"
+                >
+                  Mark all read
+                </button>
+              </div>
+            </div>
+
+            <div className="divide-y divide-gray-200">
+              {alertsLoading && alerts.length === 0 ? (
+                <div className="p-6 text-center text-gray-500">Loading alerts...</div>
+              ) : alerts.length === 0 ? (
+                <div className="p-6 text-center text-gray-500">
+                  No alerts yet. Add an alert area to hear about incidents near you.
+                </div>
+              ) : (
+                alerts.map((alert) => (
+                  <div key={alert.id} className={`p-6 ${alert.read ? '' : 'bg-blue-50'}`}>
+                    <div className="flex items-start justify-between">
+                      <div className="min-w-0">
+                        <div className="flex items-center space-x-2">
+                          <h4 className="text-sm font-medium text-gray-900">{alert.incident?.title}</h4>
+                          <span className={`text-xs px-2 py-0.5 rounded-full font-medium ${getSeverityColor(alert.incident?.severity)}`}>
+                            {alert.incident?.severity}
+                          </span>
+                          <span className="text-xs text-gray-500">
+                            {alert.trigger === 'verified' ? 'Verified' : 'Reported'}
+                          </span>
+                        </div>
+                        <p className="text-sm text-gray-600">
+                          {alert.incident?.address || `${alert.incident?.location?.latitude}, ${alert.incident?.location?.longitude}`}
+                        </p>
+                        <p className="text-xs text-gray-400">
+                          {alert.areas.map(area => area.name).join(', ')} · {new Date(alert.createdAt).toLocaleString()}
+                        </p>
+                      </div>
+                      {!alert.read && (
+                        <button
+                          onClick={() => handleMarkRead(alert.id)}
+                          className="ml-4 text-sm text-blue-600 hover:text-blue-800 font-medium"
+                        >
+                          Mark read
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
+        )}
+
+        {activeTab === 'areas' && <AlertAreasPanel />}
+
+        {activeTab === 'contacts' && <ContactAlertsPanel />}
+      </div>
+    </div>
+  );
+};
+
+export default UserDashboard;
@@ -0,0 +1,98 @@
+import { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+
+/**
+ * Mark the signed-in user as verified in the stored session, if it is the
+ * account that was just verified, so the dashboard stops asking on reload
+ */
+const markStoredUserVerified = (email) => {
+  const userData = localStorage.getItem('user_data');
+  if (!userData) {
+    return;
+  }
+
+  const user = JSON.parse(userData);
+  if (user.email === email) {
+    localStorage.setItem('user_data', JSON.stringify({ ...user, isVerified: true }));
+  }
+};
+
+/**
+ * Email verification page
+ * Opened from the link in the verification email (?token=...)
+ */
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const navigate = useNavigate();
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? 'Verifying your email address...' : 'This verification link is incomplete.');
+
+  useEffect(() => {
+    if (!token) {
+      return;
+    }
+
+    let cancelled = false;
+
+    authAPI.verifyEmail(token).then(result => {
+      if (cancelled) {
+        return;
+      }
+
+      if (result.success) {
+        markStoredUserVerified(result.data.data.email);
+        setStatus('verified');
+        setMessage(`${result.data.data.email} has been verified. Thank you!`);
+      } else {
+        setStatus('error');
+        setMessage(result.details?.error?.message || result.error || 'This verification link is invalid or has expired.');
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  const messageStyles = {
+    verifying: 'bg-white/10 border-white/20 text-gray-200',
+    verified: 'bg-green-500/20 border-green-400/30 text-green-200',
+    error: 'bg-red-500/20 border-red-400/30 text-red-300'
+  };
+
+  return (
+    <div className="min-h-screen gradient-bg hero-pattern flex items-center justify-center p-4">
+      <div className="w-full max-w-md">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-white mb-2 drop-shadow-lg">Verify Your Email</h1>
+        </div>
+
+        <div className="bg-white/10 backdrop-blur-md rounded-xl p-8 border border-white/20 shadow-2xl">
+          <div className={`border rounded-lg p-4 ${messageStyles[status]}`}>
+            <p className="text-sm">{message}</p>
+          </div>
+
+          {status === 'error' && (
+            <p className="mt-4 text-xs text-gray-300">
+              Sign in and use &quot;Resend verification email&quot; on your dashboard to get a new link.
+            </p>
+          )}
+
+          <div className="mt-6 text-center">
+            <button
+              onClick={() => navigate('/')}
+              className="text-blue-300 hover:text-blue-200 text-sm transition-colors"
+            >
+              ← Back to Home
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -215,19 +215,33 @@ export const authAPI = {
     );
   },
 
-  resetPassword: async (email) => {
+  forgotPassword: async (email) => {
     return apiCall(
-      () => api.post('/auth/reset-password', { email }),
+      () => api.post('/auth/forgot-password', { email }),
+      'authAPI.forgotPassword'
+    );
+  },
+
+  resetPassword: async (token, newPassword) => {
+    return apiCall(
+      () => api.post('/auth/reset-password', { token, newPassword }),
       'authAPI.resetPassword'
     );
   },
 
   verifyEmail: async (token) => {
     return apiCall(
-      () => api.post('/auth/verify-email', { token }),
+      () => api.get('/auth/verify-email', { params: { token } }),
       'authAPI.verifyEmail'
     );
   },
+
+  resendVerification: async () => {
+    return apiCall(
+      () => api.post('/auth/resend-verification'),
+      'authAPI.resendVerification'
+    );
+  },
 };
 
 // User API calls
@@ -343,6 +357,13 @@ export const incidentAPI = {
     );
   },
 
+  joinIncident: async (id, { location, upvote = true, information }) => {
+    return apiCall(
+      () => api.post(`/incidents/${id}/join`, { location, upvote, information }),
+      'incidentAPI.joinIncident'
+    );
+  },
+
   uploadMedia: async (incidentId, mediaFiles) => {
     const formData = new FormData();
     mediaFiles.forEach((file, index) => {
@@ -365,6 +386,45 @@ export const incidentAPI = {
       'incidentAPI.getByLocation'
     );
   },
+
+  getInBounds: async ({ north, south, east, west }, filters = {}) => {
+    return apiCall(
+      () => api.get('/incidents', {
+        params: { ...filters, bbox: [west, south, east, north].join(',') }
+      }),
+      'incidentAPI.getInBounds'
+    );
+  },
+
+  getClusters: async ({ north, south, east, west }, zoom, filters = {}) => {
+    return apiCall(
+      () => api.get('/incidents/clusters', {
+        params: { ...filters, bbox: [west, south, east, north].join(','), zoom: Math.round(zoom) }
+      }),
+      'incidentAPI.getClusters'
+    );
+  },
+
+  getNotes: async (incidentId, params = {}) => {
+    return apiCall(
+      () => api.get(`/incidents/${incidentId}/notes`, { params }),
+      'incidentAPI.getNotes'
+    );
+  },
+
+  addNote: async (incidentId, note) => {
+    return apiCall(
+      () => api.post(`/incidents/${incidentId}/notes`, note),
+      'incidentAPI.addNote'
+    );
+  },
+
+  editNote: async (incidentId, noteId, content) => {
+    return apiCall(
+      () => api.patch(`/incidents/${incidentId}/notes/${noteId}`, { content }),
+      'incidentAPI.editNote'
+    );
+  },
 };
 
 // Police API calls
@@ -554,6 +614,253 @@ export const adminAPI = {
   },
 };
 
+// Analytics API calls
+export const analyticsAPI = {
+  getHotspots: async (bounds, filters = {}) => {
+    const { west, south, east, north } = bounds;
+    return apiCall(
+      () => api.get('/analytics/hotspots', {
+        params: { ...filters, bbox: [west, south, east, north].join(',') },
+      }),
+      'analyticsAPI.getHotspots'
+    );
+  },
+
+  getHeatmapTile: async ({ z, x, y }, filters = {}) => {
+    return apiCall(
+      () => api.get(`/analytics/heatmap/${z}/${x}/${y}`, { params: filters }),
+      'analyticsAPI.getHeatmapTile'
+    );
+  },
+};
+
+// Jurisdiction API calls
+export const jurisdictionAPI = {
+  list: async (params = {}) => {
+    return apiCall(
+      () => api.get('/jurisdictions', { params }),
+      'jurisdictionAPI.list'
+    );
+  },
+
+  lookup: async (latitude, longitude, department) => {
+    return apiCall(
+      () => api.get('/jurisdictions/lookup', { params: { latitude, longitude, department } }),
+      'jurisdictionAPI.lookup'
+    );
+  },
+
+  getById: async (jurisdictionId) => {
+    return apiCall(
+      () => api.get(`/jurisdictions/${jurisdictionId}`),
+      'jurisdictionAPI.getById'
+    );
+  },
+
+  create: async (jurisdictionData) => {
+    return apiCall(
+      () => api.post('/jurisdictions', jurisdictionData),
+      'jurisdictionAPI.create'
+    );
+  },
+
+  update: async (jurisdictionId, updates) => {
+    return apiCall(
+      () => api.put(`/jurisdictions/${jurisdictionId}`, updates),
+      'jurisdictionAPI.update'
+    );
+  },
+
+  deactivate: async (jurisdictionId) => {
+    return apiCall(
+      () => api.delete(`/jurisdictions/${jurisdictionId}`),
+      'jurisdictionAPI.deactivate'
+    );
+  },
+
+  importGeoJSON: async (featureCollection, departments = []) => {
+    return apiCall(
+      () => api.post('/jurisdictions/import', featureCollection, {
+        params: departments.length > 0 ? { departments: departments.join(',') } : {},
+      }),
+      'jurisdictionAPI.importGeoJSON'
+    );
+  },
+
+  assignOfficers: async (jurisdictionId, userIds) => {
+    return apiCall(
+      () => api.put(`/jurisdictions/${jurisdictionId}/officers`, { userIds }),
+      'jurisdictionAPI.assignOfficers'
+    );
+  },
+};
+
+// Facility API calls
+export const facilityAPI = {
+  list: async (params = {}) => {
+    return apiCall(
+      () => api.get('/facilities', { params }),
+      'facilityAPI.list'
+    );
+  },
+
+  getById: async (facilityId) => {
+    return apiCall(
+      () => api.get(`/facilities/${facilityId}`),
+      'facilityAPI.getById'
+    );
+  },
+
+  create: async (facilityData) => {
+    return apiCall(
+      () => api.post('/facilities', facilityData),
+      'facilityAPI.create'
+    );
+  },
+
+  update: async (facilityId, updates) => {
+    return apiCall(
+      () => api.put(`/facilities/${facilityId}`, updates),
+      'facilityAPI.update'
+    );
+  },
+
+  updateCapacity: async (facilityId, capacity) => {
+    return apiCall(
+      () => api.put(`/facilities/${facilityId}/capacity`, capacity),
+      'facilityAPI.updateCapacity'
+    );
+  },
+
+  assignStaff: async (facilityId, userIds) => {
+    return apiCall(
+      () => api.put(`/facilities/${facilityId}/staff`, { userIds }),
+      'facilityAPI.assignStaff'
+    );
+  },
+
+  getRecommendations: async (incidentId, params = {}) => {
+    return apiCall(
+      () => api.get(`/facilities/recommendations/${incidentId}`, { params }),
+      'facilityAPI.getRecommendations'
+    );
+  },
+};
+
+// Geocoding proxy API calls
+export const geocodingAPI = {
+  geocode: async (address) => {
+    return apiCall(
+      () => api.get('/geocode', { params: { address } }),
+      'geocodingAPI.geocode'
+    );
+  },
+
+  reverse: async (latitude, longitude) => {
+    return apiCall(
+      () => api.get('/geocode/reverse', { params: { latitude, longitude } }),
+      'geocodingAPI.reverse'
+    );
+  },
+
+  batch: async (addresses) => {
+    return apiCall(
+      () => api.post('/geocode/batch', { addresses }),
+      'geocodingAPI.batch'
+    );
+  },
+};
+
+// Area Alert API functions
+export const alertAPI = {
+  getAlerts: async (params = {}) => {
+    return apiCall(
+      () => api.get('/alerts', { params }),
+      'alertAPI.getAlerts'
+    );
+  },
+
+  markRead: async (alertId) => {
+    return apiCall(
+      () => api.put(`/alerts/${alertId}/read`),
+      'alertAPI.markRead'
+    );
+  },
+
+  markAllRead: async () => {
+    return apiCall(
+      () => api.put('/alerts/read-all'),
+      'alertAPI.markAllRead'
+    );
+  },
+
+  getAreas: async () => {
+    return apiCall(
+      () => api.get('/alerts/areas'),
+      'alertAPI.getAreas'
+    );
+  },
+
+  createArea: async (areaData) => {
+    return apiCall(
+      () => api.post('/alerts/areas', areaData),
+      'alertAPI.createArea'
+    );
+  },
+
+  updateArea: async (areaId, updates) => {
+    return apiCall(
+      () => api.put(`/alerts/areas/${areaId}`, updates),
+      'alertAPI.updateArea'
+    );
+  },
+
+  deleteArea: async (areaId) => {
+    return apiCall(
+      () => api.delete(`/alerts/areas/${areaId}`),
+      'alertAPI.deleteArea'
+    );
+  },
+};
+
+// Emergency contact alert API calls
+export const contactAlertAPI = {
+  getSettings: async () => {
+    return apiCall(
+      () => api.get('/contact-alerts/settings'),
+      'contactAlertAPI.getSettings'
+    );
+  },
+
+  updateSettings: async (enabled) => {
+    return apiCall(
+      () => api.put('/contact-alerts/settings', { enabled }),
+      'contactAlertAPI.updateSettings'
+    );
+  },
+
+  getPreview: async () => {
+    return apiCall(
+      () => api.get('/contact-alerts/preview'),
+      'contactAlertAPI.getPreview'
+    );
+  },
+
+  sendTest: async () => {
+    return apiCall(
+      () => api.post('/contact-alerts/test'),
+      'contactAlertAPI.sendTest'
+    );
+  },
+
+  getHistory: async (params = {}) => {
+    return apiCall(
+      () => api.get('/contact-alerts/history', { params }),
+      'contactAlertAPI.getHistory'
+    );
+  },
+};
+
 // Utility functions for common operations
 export const apiUtils = {
   // Check if API is available
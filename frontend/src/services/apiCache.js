@@ -55,6 +55,28 @@ class ApiCache {
     return entry.data;
   }
 
+  // Replace cached data in place, keeping the original expiry
+  update(key, updater) {
+    const entry = this.cache.get(key);
+
+    if (!entry) {
+      return false;
+    }
+
+    const data = updater(entry.data);
+    if (data === entry.data) {
+      return false;
+    }
+
+    entry.data = data;
+    return true;
+  }
+
+  // List current cache keys
+  keys() {
+    return Array.from(this.cache.keys());
+  }
+
   // Delete cache entry
   delete(key) {
     this.cache.delete(key);
@@ -16,8 +16,10 @@ export const ENDPOINTS = {
     LOGOUT: '/auth/logout',
     REFRESH: '/auth/refresh',
     REGISTER: '/auth/register',
+    FORGOT_PASSWORD: '/auth/forgot-password',
     RESET_PASSWORD: '/auth/reset-password',
     VERIFY_EMAIL: '/auth/verify-email',
+    RESEND_VERIFICATION: '/auth/resend-verification',
   },
 
   // Users
@@ -40,9 +42,13 @@ export const ENDPOINTS = {
     BASE: '/incidents',
     BY_ID: (id) => `/incidents/${id}`,
     UPVOTE: (id) => `/incidents/${id}/upvote`,
+    JOIN: (id) => `/incidents/${id}/join`,
     MEDIA: (id) => `/incidents/${id}/media`,
+    NOTES: (id) => `/incidents/${id}/notes`,
+    NOTE_BY_ID: (id, noteId) => `/incidents/${id}/notes/${noteId}`,
     CHECK_PROXIMITY: '/incidents/check-proximity',
     BY_LOCATION: '/incidents/by-location',
+    CLUSTERS: '/incidents/clusters',
   },
 
   // Police
@@ -86,6 +92,57 @@ export const ENDPOINTS = {
     MANAGE_INCIDENT: (id, action) => `/admin/incidents/${id}/${action}`,
   },
 
+  // Hotspot and heatmap analytics
+  ANALYTICS: {
+    HOTSPOTS: '/analytics/hotspots',
+    HEATMAP_TILE: (z, x, y) => `/analytics/heatmap/${z}/${x}/${y}`,
+  },
+
+  // Jurisdiction boundaries
+  JURISDICTIONS: {
+    LIST: '/jurisdictions',
+    LOOKUP: '/jurisdictions/lookup',
+    IMPORT: '/jurisdictions/import',
+    BY_ID: (id) => `/jurisdictions/${id}`,
+    OFFICERS: (id) => `/jurisdictions/${id}/officers`,
+  },
+
+  // Hospital facility registry
+  FACILITIES: {
+    LIST: '/facilities',
+    BY_ID: (id) => `/facilities/${id}`,
+    CAPACITY: (id) => `/facilities/${id}/capacity`,
+    STAFF: (id) => `/facilities/${id}/staff`,
+    RECOMMENDATIONS: (incidentId) => `/facilities/recommendations/${incidentId}`,
+  },
+
+  // Geocoding proxy
+  GEOCODING: {
+    GEOCODE: '/geocode',
+    REVERSE: '/geocode/reverse',
+    BATCH: '/geocode/batch',
+  },
+
+  // Area alert endpoints
+  ALERTS: {
+    LIST: '/alerts',
+    READ: (id) => `/alerts/${id}/read`,
+    READ_ALL: '/alerts/read-all',
+    AREAS: '/alerts/areas',
+    AREA: (id) => `/alerts/areas/${id}`,
+  },
+
+  // Emergency contact alerts
+  CONTACT_ALERTS: {
+    SETTINGS: '/contact-alerts/settings',
+    PREVIEW: '/contact-alerts/preview',
+    TEST: '/contact-alerts/test',
+    HISTORY: '/contact-alerts/history',
+  },
+
+  // Real-time incident events (Server-Sent Events)
+  STREAM: '/stream',
+
   // System
   HEALTH: '/health',
 };
@@ -1,7 +1,10 @@
 /**
  * Maps service for handling geocoding, reverse geocoding, and other map-related operations
+ * Geocoding goes through the backend geocoding proxy (/api/geocode)
  */
 
+import { geocodingAPI } from './api';
+
 // Configuration
 const MAPS_CONFIG = {
   defaultCenter: { lat: 40.7128, lng: -74.0060 }, // NYC
@@ -123,7 +126,7 @@ export const clearLocationWatch = (watchId) => {
 /**
  * Geocode an address to coordinates
  * @param {string} address - Address to geocode
- * @returns {Promise<Object>} - Location object with latitude and longitude
+ * @returns {Promise<Object>} - Location object with latitude, longitude and formattedAddress
  */
 export const geocodeAddress = async (address) => {
   if (!address || typeof address !== 'string') {
@@ -142,17 +145,29 @@ export const geocodeAddress = async (address) => {
   }
 
   try {
-    // Mock geocoding implementation
-    // In production, use Google Maps Geocoding API
-    const mockResult = await mockGeocode(address);
+    const response = await geocodingAPI.geocode(address.trim());
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    const place = response.data.data.result;
+    if (!place) {
+      throw new Error('No location found for this address');
+    }
+
+    const result = {
+      latitude: place.location.latitude,
+      longitude: place.location.longitude,
+      formattedAddress: place.formattedAddress
+    };
     
     // Cache the result
     geocodingCache.set(cacheKey, {
-      data: mockResult,
+      data: result,
       timestamp: Date.now()
     });
     
-    return mockResult;
+    return result;
   } catch (error) {
     throw new Error(`Geocoding failed: ${error.message}`);
   }
@@ -160,6 +175,7 @@ export const geocodeAddress = async (address) => {
 
 /**
  * Reverse geocode coordinates to address
+ * Falls back to the formatted coordinates when no place is known there
  * @param {number} latitude - Latitude
  * @param {number} longitude - Longitude
  * @returns {Promise<string>} - Address string
@@ -181,17 +197,21 @@ export const reverseGeocode = async (latitude, longitude) => {
   }
 
   try {
-    // Mock reverse geocoding implementation
-    // In production, use Google Maps Geocoding API
-    const mockResult = await mockReverseGeocode(latitude, longitude);
+    const response = await geocodingAPI.reverse(latitude, longitude);
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    const place = response.data.data.result;
+    const result = place ? place.formattedAddress : formatCoordinates(latitude, longitude, 4);
     
     // Cache the result
     geocodingCache.set(cacheKey, {
-      data: mockResult,
+      data: result,
       timestamp: Date.now()
     });
     
-    return mockResult;
+    return result;
   } catch (error) {
     throw new Error(`Reverse geocoding failed: ${error.message}`);
   }
@@ -355,46 +375,6 @@ export const radiansToDegrees = (radians) => {
   return radians * 180 / Math.PI;
 };
 
-// Mock implementations for development
-const mockGeocode = async (address) => {
-  // Simulate API delay
-  await new Promise(resolve => setTimeout(resolve, 500));
-  
-  // Mock geocoding based on common patterns
-  const mockLocations = {
-    'new york': { latitude: 40.7128, longitude: -74.0060 },
-    'los angeles': { latitude: 34.0522, longitude: -118.2437 },
-    'chicago': { latitude: 41.8781, longitude: -87.6298 },
-    'houston': { latitude: 29.7604, longitude: -95.3698 },
-    'phoenix': { latitude: 33.4484, longitude: -112.0740 }
-  };
-
-  const lowerAddress = address.toLowerCase();
-  for (const [city, coords] of Object.entries(mockLocations)) {
-    if (lowerAddress.includes(city)) {
-      return coords;
-    }
-  }
-
-  // Default to NYC with some random offset
-  return {
-    latitude: 40.7128 + (Math.random() - 0.5) * 0.1,
-    longitude: -74.0060 + (Math.random() - 0.5) * 0.1
-  };
-};
-
-const mockReverseGeocode = async (latitude, longitude) => {
-  // Simulate API delay
-  await new Promise(resolve => setTimeout(resolve, 300));
-  
-  // Mock address generation
-  const streetNumber = Math.floor(Math.random() * 9999) + 1;
-  const streetNames = ['Main St', 'Oak Ave', 'Park Blvd', 'First St', 'Broadway', 'Center St'];
-  const streetName = streetNames[Math.floor(Math.random() * streetNames.length)];
-  
-  return `${streetNumber} ${streetName}, City, State ${Math.floor(Math.random() * 99999).toString().padStart(5, '0')}`;
-};
-
 // Clear cache periodically
 setInterval(() => {
   const now = Date.now();
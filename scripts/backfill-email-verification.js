@@ -0,0 +1,114 @@
+/**
+ * Email Verification Backfill Script
+ *
+ * Accounts created before email verification never received a verification
+ * email, so the unverified user policy would block them from actions they
+ * could already perform. By default they are marked verified; with
+ * --send-links they are emailed a verification link instead.
+ * Accounts that were already sent a link are left alone, so the script is
+ * safe to re-run
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const { sendVerificationEmail } = require('../src/services/emailVerification');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/emergency-incident-platform';
+
+/**
+ * Users that are unverified and were never sent a verification link
+ */
+const PRE_VERIFICATION_FILTER = {
+  isVerified: { $ne: true },
+  emailVerificationSentAt: { $exists: false }
+};
+
+/**
+ * Connect to MongoDB
+ */
+async function connectDB() {
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log('✓ Connected to MongoDB');
+  } catch (error) {
+    console.error('✗ MongoDB connection error:', error);
+    process.exit(1);
+  }
+}
+
+/**
+ * Mark or email every account created before email verification
+ * @param {object} options - { sendLinks, dryRun }
+ * @returns {Promise<object>} - { checked, verified, emailed, failed }
+ */
+async function backfillEmailVerification({ sendLinks = false, dryRun = false } = {}) {
+  const stats = { checked: await User.countDocuments(PRE_VERIFICATION_FILTER), verified: 0, emailed: 0, failed: 0 };
+
+  if (dryRun) {
+    return stats;
+  }
+
+  if (!sendLinks) {
+    const result = await User.updateMany(PRE_VERIFICATION_FILTER, { $set: { isVerified: true } });
+    stats.verified = result.modifiedCount;
+    return stats;
+  }
+
+  const cursor = User.find({ ...PRE_VERIFICATION_FILTER, isActive: true }).cursor();
+
+  for await (const user of cursor) {
+    try {
+      await sendVerificationEmail(user);
+      stats.emailed += 1;
+    } catch (error) {
+      stats.failed += 1;
+      console.error(`  ✗ User ${user._id}: ${error.message}`);
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const sendLinks = process.argv.includes('--send-links');
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await connectDB();
+
+    console.log(`${sendLinks ? 'Emailing verification links to' : 'Marking verified'} accounts created before email verification${dryRun ? ' (dry run)' : ''}...\n`);
+    const stats = await backfillEmailVerification({ sendLinks, dryRun });
+
+    console.log('\n=== EMAIL VERIFICATION BACKFILL SUMMARY ===');
+    console.log(`Accounts never sent a verification link: ${stats.checked}`);
+    console.log(`Marked verified: ${stats.verified}`);
+    console.log(`Emailed: ${stats.emailed}`);
+    console.log(`Failed: ${stats.failed}`);
+
+    if (stats.failed > 0) {
+      console.log('\n⚠️  Operation completed with errors');
+      process.exitCode = 1;
+    } else {
+      console.log('\n✓ Operation completed successfully');
+    }
+  } catch (error) {
+    console.error('\n✗ Script execution failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('✓ Disconnected from MongoDB');
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  backfillEmailVerification
+};
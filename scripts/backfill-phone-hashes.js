@@ -0,0 +1,132 @@
+/**
+ * Phone Hash Backfill Script
+ *
+ * Computes the phoneHash blind index for users saved before it existed, so
+ * User.findByPhone (the hospital patient lookup) can find them.
+ * Only users without a phoneHash are updated, so the script is safe to re-run
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const { decryptSensitiveData } = require('../src/utils/encryption');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/emergency-incident-platform';
+const BATCH_SIZE = 500;
+
+/**
+ * Connect to MongoDB
+ */
+async function connectDB() {
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log('✓ Connected to MongoDB');
+  } catch (error) {
+    console.error('✗ MongoDB connection error:', error);
+    process.exit(1);
+  }
+}
+
+/**
+ * Read the plain phone number of a stored user
+ * Phones are stored encrypted, but records written before encryption hold plain text
+ * @param {object|string} phone - Stored phone value
+ * @returns {string|null} - Plain phone number
+ */
+function readPhone(phone) {
+  return typeof phone === 'string' ? phone : decryptSensitiveData(phone);
+}
+
+/**
+ * Compute the phone hash of every user that is missing one
+ * @param {boolean} dryRun - Only count the users that would be updated
+ * @returns {Promise<object>} - { checked, updated, failed }
+ */
+async function backfillPhoneHashes(dryRun = false) {
+  const stats = { checked: 0, updated: 0, failed: 0 };
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length > 0 && !dryRun) {
+      await User.bulkWrite(operations, { ordered: false });
+    }
+    operations = [];
+  };
+
+  // { $in: [null] } matches both a missing and a null phoneHash
+  const cursor = User.find({ phoneHash: { $in: [null] } })
+    .select('phone')
+    .lean()
+    .cursor();
+
+  for await (const user of cursor) {
+    stats.checked += 1;
+
+    try {
+      const phoneHash = User.hashPhone(readPhone(user.phone));
+      if (!phoneHash) {
+        throw new Error('No phone number stored');
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { _id: user._id, phoneHash: { $in: [null] } },
+          update: { $set: { phoneHash } }
+        }
+      });
+      stats.updated += 1;
+    } catch (error) {
+      stats.failed += 1;
+      console.error(`  ✗ User ${user._id}: ${error.message}`);
+    }
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+      console.log(`  ${stats.updated} users hashed so far...`);
+    }
+  }
+
+  await flush();
+  return stats;
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await connectDB();
+
+    console.log(`Backfilling user phone hashes${dryRun ? ' (dry run)' : ''}...\n`);
+    const stats = await backfillPhoneHashes(dryRun);
+
+    console.log('\n=== PHONE HASH BACKFILL SUMMARY ===');
+    console.log(`Users missing a phone hash: ${stats.checked}`);
+    console.log(`${dryRun ? 'Would update' : 'Updated'}: ${stats.updated}`);
+    console.log(`Failed: ${stats.failed}`);
+
+    if (stats.failed > 0) {
+      console.log('\n⚠️  Some users could not be hashed; check ENCRYPTION_KEY matches the one their data was encrypted with');
+      process.exitCode = 1;
+    } else {
+      console.log('\n✓ Operation completed successfully');
+    }
+  } catch (error) {
+    console.error('\n✗ Script execution failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('✓ Disconnected from MongoDB');
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  backfillPhoneHashes
+};
@@ -5,6 +5,19 @@
  */
 
 const app = require('./src/app');
+const { startAssignmentScheduler, stopAssignmentScheduler } = require('./src/services/assignmentScheduler');
+const { startSlaMonitor, stopSlaMonitor } = require('./src/services/slaMonitor');
+const { startAreaAlertMatcher, stopAreaAlertMatcher } = require('./src/services/areaAlerts');
+const { startNotificationWorker, stopNotificationWorker } = require('./src/services/notifications');
+const { startContactAlerts, stopContactAlerts } = require('./src/services/contactAlerts');
+const { validateStorageConfig } = require('./src/config/storage');
+const { validateNotificationConfig } = require('./src/config/notifications');
+
+// Fail fast on an unknown media storage provider or a missing URL signing secret
+validateStorageConfig();
+
+// Fail fast on an unknown notification transport
+validateNotificationConfig();
 
 // Start the server
 const PORT = process.env.PORT || 5000;
@@ -20,11 +33,31 @@ const server = app.listen(PORT, () => {
 🗄️  Database: MongoDB connection established
 📊 Monitoring: Request logging and error tracking active
   `);
+
+  // Release assignments responders have not accepted in time
+  startAssignmentScheduler();
+
+  // Escalate incidents that miss their verify, assign or resolve targets
+  startSlaMonitor();
+
+  // Alert users about incidents inside their saved areas
+  startAreaAlertMatcher();
+
+  // Retry notification deliveries that failed temporarily
+  startNotificationWorker();
+
+  // Text opted-in users' emergency contacts when they report an emergency
+  startContactAlerts();
 });
 
 // Enhanced graceful shutdown handling
 const gracefulShutdown = (signal) => {
   console.log(`\n${signal} received, shutting down gracefully...`);
+  stopAssignmentScheduler();
+  stopSlaMonitor();
+  stopAreaAlertMatcher();
+  stopNotificationWorker();
+  stopContactAlerts();
   
   server.close((err) => {
     if (err) {
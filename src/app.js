@@ -79,8 +79,17 @@ const authRoutes = require('./routes/auth');
 const guestRoutes = require('./routes/guestRoutes');
 const userRoutes = require('./routes/userRoutes');
 const incidentRoutes = require('./routes/incidentRoutes');
-// const policeRoutes = require('./routes/police'); // TODO: Create police routes
-// const hospitalRoutes = require('./routes/hospital'); // TODO: Create hospital routes
+const policeRoutes = require('./routes/policeRoutes');
+const hospitalRoutes = require('./routes/hospitalRoutes');
+const streamRoutes = require('./routes/streamRoutes');
+const dutyRoutes = require('./routes/dutyRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
+const jurisdictionRoutes = require('./routes/jurisdictionRoutes');
+const facilityRoutes = require('./routes/facilityRoutes');
+const geocodingRoutes = require('./routes/geocodingRoutes');
+const areaAlertRoutes = require('./routes/areaAlertRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const contactAlertRoutes = require('./routes/contactAlertRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const mediaRoutes = require('./routes/media');
 
@@ -89,8 +98,17 @@ app.use('/api/auth', authRoutes);
 app.use('/api/guest', guestRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/incidents', incidentRoutes);
-// app.use('/api/police', policeRoutes); // TODO: Create police routes
-// app.use('/api/hospital', hospitalRoutes); // TODO: Create hospital routes
+app.use('/api/police', policeRoutes);
+app.use('/api/hospital', hospitalRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/duty', dutyRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/jurisdictions', jurisdictionRoutes);
+app.use('/api/facilities', facilityRoutes);
+app.use('/api/geocode', geocodingRoutes);
+app.use('/api/alerts', areaAlertRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/contact-alerts', contactAlertRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/media', mediaRoutes);
 
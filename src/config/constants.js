@@ -11,6 +11,7 @@ const USER_ROLES = {
   USER: 'user',
   ADMIN: 'admin',
   HOSPITAL: 'hospital',
+  POLICE: 'police',
 };
 
 /**
@@ -79,6 +80,35 @@ const USER_TYPES = {
 const GUEST_LIMITS = {
   MAX_ACTIONS: 10,
   ACTION_WINDOW_HOURS: 24,
+  MAX_DAILY_MEDIA_UPLOADS: 10,
+};
+
+/**
+ * Incident media limits
+ */
+const INCIDENT_MEDIA = {
+  MAX_FILES: 20, // Per incident
+};
+
+/**
+ * Photo evidence checks against the incident's location and time
+ */
+const MEDIA_EVIDENCE = {
+  MAX_DISTANCE_METERS: 1000, // GPS further than this from the incident is flagged
+  MAX_TIME_OFFSET_MINUTES: 180, // Capture times further than this from incidentTime are flagged
+  UNKNOWN_TIME_ZONE_ALLOWANCE_MINUTES: 14 * 60, // EXIF times without an offset may be in any zone
+  CORROBORATION_BONUS: 5, // Verification points per photo matching the incident
+  MAX_CORROBORATION_BONUS: 10,
+  MISMATCH_PENALTY: 10, // Verification points lost per flagged photo
+  MAX_MISMATCH_PENALTY: 20,
+};
+
+/**
+ * Flags raised by photo evidence checks
+ */
+const MEDIA_EVIDENCE_FLAGS = {
+  GPS_MISMATCH: 'gps_mismatch',
+  CAPTURE_TIME_MISMATCH: 'capture_time_mismatch',
 };
 
 /**
@@ -96,9 +126,276 @@ const PAGINATION = {
 const GEO_CONSTANTS = {
   DEFAULT_RADIUS_METERS: 5000, // 5km default search radius
   MAX_RADIUS_METERS: 50000, // 50km maximum search radius
+  MAX_POLYGON_VERTICES: 500, // Largest polygon accepted by area queries
+  MAX_BOUNDARY_VERTICES: 20000, // Largest jurisdiction boundary
   GEOJSON_TYPE: 'Point',
 };
 
+/**
+ * Server-side map clustering
+ */
+const MAP_CLUSTERING = {
+  CELL_SIZE_PIXELS: 80, // Grid cell edge on screen at the requested zoom
+  EXPAND_ZOOM: 16, // At or above this zoom incidents are returned individually
+  MAX_ZOOM: 22,
+  MAX_CLUSTERS: 500,
+  MAX_INCIDENTS: 500,
+};
+
+/**
+ * Hotspot and heatmap analytics over historical incidents
+ */
+const HOTSPOT_ANALYSIS = {
+  DEFAULT_DAYS: 90,
+  MAX_DAYS: 365,
+  DEFAULT_CELL_SIZE_METERS: 500,
+  MIN_CELL_SIZE_METERS: 100,
+  MAX_CELL_SIZE_METERS: 5000,
+  MAX_GRID_CELLS: 250000, // Largest bbox grid the Gi* statistic is computed over
+  MAX_INCIDENTS: 50000, // Most recent incidents analysed per request
+  MIN_INCIDENTS: 3, // Hotspots need at least this many incidents
+  CONFIDENCE_Z_SCORES: {
+    90: 1.645,
+    95: 1.96,
+    99: 2.576,
+  },
+  DEFAULT_CONFIDENCE: 95,
+  TREND_Z_SCORE: 1.96, // Change between the two halves of the period counted as a trend
+  DEFAULT_HOTSPOTS: 20,
+  MAX_HOTSPOTS: 100,
+  DEFAULT_TIMEZONE: 'Asia/Kolkata', // Time-of-day and day-of-week bins
+  EXCLUDED_STATUSES: ['duplicate', 'false_report', 'cancelled'],
+  HEATMAP_GRID_SIZE: 64, // Bins across one heatmap tile
+  HEATMAP_MIN_ZOOM: 3,
+  HEATMAP_MAX_ZOOM: 18,
+};
+
+/**
+ * Duplicate detection tuning for new incident reports
+ */
+const DUPLICATE_DETECTION = {
+  RADIUS_METERS: 300, // Candidate search radius around the new report
+  TIME_WINDOW_MINUTES: 120, // Candidates must have happened within this window
+  MAX_CANDIDATES: 20,
+  MERGE_THRESHOLD: 0.75, // Score at or above which the report is merged
+  SUGGEST_THRESHOLD: 0.45, // Score at or above which a candidate is suggested
+  MAX_SUGGESTIONS: 5,
+  WEIGHTS: {
+    distance: 0.3,
+    time: 0.2,
+    type: 0.25,
+    text: 0.25,
+  },
+};
+
+/**
+ * Nearby report check run before a new incident is filed
+ */
+const PROXIMITY_CHECK = {
+  DEFAULT_RADIUS_METERS: 500,
+  MAX_RADIUS_METERS: 5000,
+  JOIN_RADIUS_METERS: 5000, // Callers farther than this cannot join an existing report
+  RECENCY_WINDOW_HOURS: 24, // Incidents older than this earn no recency credit
+  MAX_CANDIDATES: 50,
+  MAX_RESULTS: 10,
+  WEIGHTS: {
+    distance: 0.5,
+    type: 0.3,
+    recency: 0.2,
+  },
+};
+
+/**
+ * Incident departments handled by each responder role
+ */
+const RESPONDER_DEPARTMENTS = {
+  [USER_ROLES.POLICE]: ['police', 'traffic'],
+  [USER_ROLES.HOSPITAL]: ['medical'],
+};
+
+/**
+ * Jurisdiction boundary management
+ */
+const JURISDICTIONS = {
+  MAX_IMPORT_FEATURES: 200, // Features accepted by one GeoJSON import
+  // Jurisdiction changes re-stamp incidents in these statuses
+  RESTAMP_STATUSES: ['reported', 'verified', 'assigned', 'in_progress'],
+};
+
+/**
+ * Hospital facility registry and patient destination recommendations
+ */
+const FACILITIES = {
+  SPECIALTIES: ['trauma', 'burns', 'cardiac', 'stroke', 'pediatric', 'obstetrics', 'orthopedic', 'general'],
+  WARDS: ['emergency', 'icu', 'general', 'burns', 'cardiac', 'pediatric', 'maternity'],
+  INTAKE_WARD: 'emergency', // Every patient needs an emergency bed
+  CRITICAL_WARD: 'icu', // Critical incidents also need an ICU bed
+  // Specialties implied by the incident type
+  TYPE_SPECIALTIES: {
+    accident: ['trauma'],
+    fire: ['burns'],
+  },
+  // Specialties implied by words in the incident subtype and tags
+  SPECIALTY_KEYWORDS: {
+    trauma: ['trauma', 'gunshot', 'stab', 'fracture', 'fall'],
+    burns: ['burn', 'scald', 'smoke'],
+    cardiac: ['cardiac', 'heart', 'chest pain'],
+    stroke: ['stroke', 'paralysis', 'seizure'],
+    pediatric: ['child', 'infant', 'baby'],
+    obstetrics: ['pregnan', 'labour', 'labor', 'delivery'],
+  },
+  SEARCH_RADIUS_METERS: 50000,
+  DEFAULT_RECOMMENDATIONS: 5,
+  MAX_RECOMMENDATIONS: 20,
+  CAPACITY_STALE_MINUTES: 240, // Older bed counts are flagged in recommendations
+};
+
+/**
+ * Citizen area alert subscriptions
+ */
+const AREA_ALERTS = {
+  MAX_AREAS_PER_USER: 10,
+  MIN_RADIUS_METERS: 100,
+  MAX_RADIUS_METERS: 20000, // Also bounds the nearest-area search for circular areas
+  DEFAULT_RADIUS_METERS: 2000,
+  SEVERITIES: ['low', 'medium', 'high', 'critical'], // Lowest first
+  DEFAULT_MIN_SEVERITY: 'high',
+  TRIGGERS: ['created', 'verified'], // Incident events that raise alerts
+  RETENTION_DAYS: 90, // Delivered alerts are removed after this
+};
+
+/**
+ * Emergency contact alerts (opt-in SMS to a user's emergency contacts)
+ */
+const CONTACT_ALERTS = {
+  INCIDENT_TYPES: ['medical_emergency', 'accident'], // Reports by the user that alert their contacts
+  TRIGGERS: ['incident_reported', 'patient_admitted', 'test'],
+  RATE_WINDOW_HOURS: 24,
+  MAX_ALERTS_PER_WINDOW: 3, // Incident alerts per user; later ones are recorded as rate limited
+  MAX_TESTS_PER_WINDOW: 2,
+  OUTCOMES: ['notified', 'failed', 'rate_limited'],
+};
+
+/**
+ * Password reset links (single-use tokens stored only as a hash)
+ */
+const PASSWORD_RESET = {
+  TOKEN_BYTES: 32,
+  EXPIRES_MINUTES: 60,
+  MAX_REQUESTS_PER_EMAIL: 3, // Reset emails per address per window
+  EMAIL_WINDOW_MINUTES: 60,
+};
+
+/**
+ * Email verification links for new accounts
+ */
+const EMAIL_VERIFICATION = {
+  TOKEN_BYTES: 32,
+  EXPIRES_HOURS: 24,
+  RESEND_COOLDOWN_MINUTES: 5,
+  // Actions unverified users cannot perform; UNVERIFIED_RESTRICTED_ACTIONS overrides
+  DEFAULT_RESTRICTED_ACTIONS: ['incidents.upvote'],
+};
+
+/**
+ * Responder availability states
+ */
+const DUTY_STATUS = {
+  ON_DUTY: 'on_duty', // Available for dispatch
+  BUSY: 'busy', // On duty but committed to an incident
+  ON_BREAK: 'on_break',
+  OFF_DUTY: 'off_duty',
+};
+
+/**
+ * Duty roster limits
+ */
+const DUTY_ROSTER = {
+  MAX_SHIFT_HOURS: 24,
+  UPCOMING_SHIFT_DAYS: 7, // Window of upcoming shifts shown to a responder
+  // Statuses of responders who are working and can be reached
+  AVAILABLE_STATUSES: [DUTY_STATUS.ON_DUTY, DUTY_STATUS.BUSY],
+};
+
+/**
+ * Incident note visibility
+ */
+const NOTE_VISIBILITY = {
+  INTERNAL: 'internal', // Responders and admins only
+  PUBLIC: 'public', // Reporter and community
+};
+
+/**
+ * Incident note limits
+ */
+const INCIDENT_NOTES = {
+  MAX_ATTACHMENTS: 5,
+  DEFAULT_LIMIT: 20, // Threads per page
+  DETAIL_LIMIT: 5, // Latest threads embedded in the incident detail response
+};
+
+/**
+ * Dispatch policy modes, configurable per incident department
+ */
+const DISPATCH_MODES = {
+  AUTO: 'auto', // Assign the best candidate immediately
+  SUGGEST: 'suggest', // Rank candidates for a dispatcher to pick from
+  MANUAL: 'manual', // No automatic candidate search
+};
+
+/**
+ * Dispatch engine defaults, used when a department has no stored policy
+ */
+const DISPATCH = {
+  DEFAULT_MODE: DISPATCH_MODES.SUGGEST,
+  DEFAULT_AUTO_PRIORITIES: ['high', 'critical'], // Lower priorities fall back to suggest in auto mode
+  MAX_CANDIDATES: 5,
+  MAX_ACTIVE_ASSIGNMENTS: 3, // Responders carrying this many open incidents are skipped
+  SEARCH_RADIUS_METERS: { // Higher priorities search further afield
+    low: 5000,
+    medium: 10000,
+    high: 20000,
+    critical: 40000,
+  },
+};
+
+/**
+ * Assignment acceptance timeouts, enforced by the assignment scheduler
+ */
+const ASSIGNMENT_TIMEOUTS = {
+  ACCEPT_MINUTES: { // Default per priority; a dispatch policy may override it
+    low: 30,
+    medium: 15,
+    high: 10,
+    critical: 5,
+  },
+  MAX_REASSIGNMENTS: 3, // Timeouts and declines after which the incident is only escalated
+  CHECK_INTERVAL_MS: 60 * 1000,
+  BATCH_SIZE: 50,
+};
+
+/**
+ * SLA monitor settings; the targets themselves live in config/slaTargets
+ */
+const SLA_MONITOR = {
+  CHECK_INTERVAL_MS: 5 * 60 * 1000,
+  BATCH_SIZE: 100,
+  REPORT_DEFAULT_DAYS: 7, // Escalation history window of the admin SLA report
+  REPORT_MAX_DAYS: 90,
+};
+
+/**
+ * Real-time incident stream event types
+ */
+const STREAM_EVENTS = {
+  INCIDENT_CREATED: 'incident_created',
+  INCIDENT_STATUS_CHANGED: 'incident_status_changed',
+  INCIDENT_ASSIGNED: 'incident_assigned',
+  INCIDENT_UPVOTED: 'incident_upvoted',
+  INCIDENT_ASSIGNMENT_UPDATED: 'incident_assignment_updated',
+  INCIDENT_SLA_BREACHED: 'incident_sla_breached',
+};
+
 /**
  * HTTP Status codes
  */
@@ -112,6 +409,7 @@ const HTTP_STATUS = {
   CONFLICT: 409,
   TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
+  SERVICE_UNAVAILABLE: 503,
 };
 
 /**
@@ -129,6 +427,8 @@ const ERROR_CODES = {
   UNAUTHORIZED_ACCESS: 'UNAUTHORIZED_ACCESS',
   INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
   ACCOUNT_DEACTIVATED: 'ACCOUNT_DEACTIVATED',
+  EMAIL_NOT_VERIFIED: 'EMAIL_NOT_VERIFIED',
+  EMAIL_ALREADY_VERIFIED: 'EMAIL_ALREADY_VERIFIED',
   
   // Authorization errors
   INSUFFICIENT_PERMISSIONS: 'INSUFFICIENT_PERMISSIONS',
@@ -136,8 +436,16 @@ const ERROR_CODES = {
   
   // Resource errors
   USER_NOT_FOUND: 'USER_NOT_FOUND',
+  ASSIGNMENT_NOT_FOUND: 'ASSIGNMENT_NOT_FOUND',
+  SHIFT_NOT_FOUND: 'SHIFT_NOT_FOUND',
+  JURISDICTION_NOT_FOUND: 'JURISDICTION_NOT_FOUND',
+  FACILITY_NOT_FOUND: 'FACILITY_NOT_FOUND',
+  ALERT_AREA_NOT_FOUND: 'ALERT_AREA_NOT_FOUND',
+  ALERT_NOT_FOUND: 'ALERT_NOT_FOUND',
+  NOTE_NOT_FOUND: 'NOTE_NOT_FOUND',
   INCIDENT_NOT_FOUND: 'INCIDENT_NOT_FOUND',
   GUEST_NOT_FOUND: 'GUEST_NOT_FOUND',
+  ADMISSION_NOT_FOUND: 'ADMISSION_NOT_FOUND',
   
   // Conflict errors
   EMAIL_ALREADY_EXISTS: 'EMAIL_ALREADY_EXISTS',
@@ -145,6 +453,17 @@ const ERROR_CODES = {
   DUPLICATE_UPVOTE: 'DUPLICATE_UPVOTE',
   DUPLICATE_VALUE: 'DUPLICATE_VALUE',
   GUEST_ID_EXISTS: 'GUEST_ID_EXISTS',
+  INCIDENT_ALREADY_ASSIGNED: 'INCIDENT_ALREADY_ASSIGNED',
+  PATIENT_ALREADY_ADMITTED: 'PATIENT_ALREADY_ADMITTED',
+  INVALID_STATUS_TRANSITION: 'INVALID_STATUS_TRANSITION',
+  RESPONDER_NOT_ELIGIBLE: 'RESPONDER_NOT_ELIGIBLE',
+  INVALID_ASSIGNMENT_STATE: 'INVALID_ASSIGNMENT_STATE',
+  INCIDENT_NOT_JOINABLE: 'INCIDENT_NOT_JOINABLE',
+  LOCATION_OUT_OF_RANGE: 'LOCATION_OUT_OF_RANGE',
+  SHIFT_OVERLAP: 'SHIFT_OVERLAP',
+  JURISDICTION_CODE_EXISTS: 'JURISDICTION_CODE_EXISTS',
+  FACILITY_CODE_EXISTS: 'FACILITY_CODE_EXISTS',
+  ALERT_AREA_LIMIT_REACHED: 'ALERT_AREA_LIMIT_REACHED',
   
   // File upload errors
   FILE_TOO_LARGE: 'FILE_TOO_LARGE',
@@ -172,8 +491,31 @@ module.exports = {
   MEDIA_TYPES,
   USER_TYPES,
   GUEST_LIMITS,
+  INCIDENT_MEDIA,
+  MEDIA_EVIDENCE,
+  MEDIA_EVIDENCE_FLAGS,
   PAGINATION,
   GEO_CONSTANTS,
+  MAP_CLUSTERING,
+  HOTSPOT_ANALYSIS,
+  DUPLICATE_DETECTION,
+  PROXIMITY_CHECK,
+  RESPONDER_DEPARTMENTS,
+  JURISDICTIONS,
+  FACILITIES,
+  AREA_ALERTS,
+  CONTACT_ALERTS,
+  PASSWORD_RESET,
+  EMAIL_VERIFICATION,
+  DUTY_STATUS,
+  DUTY_ROSTER,
+  NOTE_VISIBILITY,
+  INCIDENT_NOTES,
+  DISPATCH_MODES,
+  DISPATCH,
+  ASSIGNMENT_TIMEOUTS,
+  SLA_MONITOR,
+  STREAM_EVENTS,
   HTTP_STATUS,
   ERROR_CODES,
 };
\ No newline at end of file
@@ -5,12 +5,26 @@
  * Handles geocoding, reverse geocoding, and location validation
  */
 
+const path = require('path');
+
+/**
+ * Supported geocoding providers
+ */
+const GEOCODING_PROVIDERS = {
+  GOOGLE: 'google',
+  NOMINATIM: 'nominatim', // OpenStreetMap Nominatim or a self-hosted instance
+  GAZETTEER: 'gazetteer' // Offline city/pincode dataset
+};
+
 const MAPS_CONFIG = {
   // Google Maps API configuration
   API_KEY: process.env.GOOGLE_MAPS_API_KEY,
   
   // Geocoding settings
   GEOCODING: {
+    PROVIDER: process.env.GEOCODING_PROVIDER || GEOCODING_PROVIDERS.GOOGLE,
+    // Used when the primary provider fails (not when it finds nothing)
+    FALLBACK_PROVIDER: process.env.GEOCODING_FALLBACK_PROVIDER || null,
     BASE_URL: 'https://maps.googleapis.com/maps/api/geocode/json',
     LANGUAGE: 'en',
     REGION: 'US', // Default region for geocoding bias
@@ -18,6 +32,35 @@ const MAPS_CONFIG = {
     LOCATION_TYPE: 'ROOFTOP|RANGE_INTERPOLATED|GEOMETRIC_CENTER'
   },
   
+  // Nominatim-compatible provider settings
+  NOMINATIM: {
+    BASE_URL: process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org',
+    USER_AGENT: process.env.NOMINATIM_USER_AGENT || 'emergency-incident-platform', // Required by the public usage policy
+    EMAIL: process.env.NOMINATIM_EMAIL || null,
+    COUNTRY_CODES: process.env.NOMINATIM_COUNTRY_CODES || 'in'
+  },
+
+  // Offline gazetteer provider settings
+  GAZETTEER: {
+    DATA_FILE: path.resolve(process.env.GAZETTEER_FILE || path.join(__dirname, '../data/gazetteer.json')), // .json or .csv
+    LOCALITY_RADIUS_METERS: 5000, // Reverse lookups name a locality within this distance
+    MAX_REVERSE_DISTANCE_METERS: 30000 // Beyond this no place is reported
+  },
+
+  // Persistent geocoding cache (MongoDB)
+  CACHE: {
+    ENABLED: process.env.GEOCODING_CACHE_ENABLED !== 'false',
+    TTL_DAYS: parseInt(process.env.GEOCODING_CACHE_TTL_DAYS) || 30,
+    MISS_TTL_HOURS: 24, // Lookups that found nothing are retried after this
+    REVERSE_PRECISION: 5 // Decimal places of reverse lookup keys (about 1m)
+  },
+
+  // Batch geocoding limits
+  BATCH: {
+    MAX_ADDRESSES: 50,
+    CONCURRENCY: 5
+  },
+
   // Distance calculation settings
   DISTANCE: {
     PROXIMITY_THRESHOLD: 100, // meters for duplicate incident detection
@@ -73,21 +116,34 @@ const MAPS_CONFIG = {
     API_KEY_MISSING: 'API_KEY_MISSING',
     RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
     NETWORK_ERROR: 'NETWORK_ERROR',
-    INVALID_ADDRESS: 'INVALID_ADDRESS'
+    INVALID_ADDRESS: 'INVALID_ADDRESS',
+    UNKNOWN_PROVIDER: 'GEOCODING_UNKNOWN_PROVIDER',
+    PROVIDER_ERROR: 'GEOCODING_PROVIDER_ERROR'
   }
 };
 
 /**
- * Validate Google Maps API configuration
+ * Validate maps and geocoding provider configuration
+ * A Google API key is only required when Google is one of the providers
  */
 const validateMapsConfig = () => {
   const errors = [];
-  
-  if (!MAPS_CONFIG.API_KEY) {
+  const providers = Object.values(GEOCODING_PROVIDERS);
+  const { PROVIDER, FALLBACK_PROVIDER } = MAPS_CONFIG.GEOCODING;
+
+  [PROVIDER, FALLBACK_PROVIDER].filter(Boolean).forEach(provider => {
+    if (!providers.includes(provider)) {
+      errors.push(`Unknown geocoding provider "${provider}". Supported: ${providers.join(', ')}`);
+    }
+  });
+
+  const usesGoogle = [PROVIDER, FALLBACK_PROVIDER].includes(GEOCODING_PROVIDERS.GOOGLE);
+
+  if (usesGoogle && !MAPS_CONFIG.API_KEY) {
     errors.push('GOOGLE_MAPS_API_KEY environment variable is required');
   }
   
-  if (MAPS_CONFIG.API_KEY && MAPS_CONFIG.API_KEY.length < 20) {
+  if (usesGoogle && MAPS_CONFIG.API_KEY && MAPS_CONFIG.API_KEY.length < 20) {
     errors.push('GOOGLE_MAPS_API_KEY appears to be invalid (too short)');
   }
   
@@ -108,6 +164,10 @@ const validateMapsConfig = () => {
 const getFeatureConfig = (feature) => {
   const configs = {
     geocoding: MAPS_CONFIG.GEOCODING,
+    nominatim: MAPS_CONFIG.NOMINATIM,
+    gazetteer: MAPS_CONFIG.GAZETTEER,
+    cache: MAPS_CONFIG.CACHE,
+    batch: MAPS_CONFIG.BATCH,
     distance: MAPS_CONFIG.DISTANCE,
     validation: MAPS_CONFIG.VALIDATION,
     rateLimits: MAPS_CONFIG.RATE_LIMITS,
@@ -145,6 +205,7 @@ const buildApiUrl = (endpoint, params = {}) => {
 };
 
 module.exports = {
+  GEOCODING_PROVIDERS,
   MAPS_CONFIG,
   validateMapsConfig,
   getFeatureConfig,
@@ -0,0 +1,136 @@
+/**
+ * Notification Configuration
+ *
+ * Channels, transports and retry policy for outbound notifications. Each
+ * channel has a live transport (SMTP, HTTP SMS gateway, Web Push, HTTP
+ * webhook) and shares the local transport, which records messages in
+ * memory for development and tests instead of sending them
+ */
+
+/**
+ * Supported notification channels
+ */
+const NOTIFICATION_CHANNELS = {
+  EMAIL: 'email',
+  SMS: 'sms',
+  PUSH: 'push',
+  WEBHOOK: 'webhook'
+};
+
+/**
+ * Supported transports
+ */
+const NOTIFICATION_TRANSPORTS = {
+  LIVE: 'live',
+  LOCAL: 'local'
+};
+
+/**
+ * Delivery statuses
+ */
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  RETRYING: 'retrying',
+  FAILED: 'failed'
+};
+
+/**
+ * Channels a user receives notifications on until they change their preferences
+ */
+const DEFAULT_CHANNEL_PREFERENCES = {
+  [NOTIFICATION_CHANNELS.EMAIL]: true,
+  [NOTIFICATION_CHANNELS.SMS]: false,
+  [NOTIFICATION_CHANNELS.PUSH]: true,
+  [NOTIFICATION_CHANNELS.WEBHOOK]: false
+};
+
+const NOTIFICATIONS_CONFIG = {
+  // 'live' sends through the channel providers, 'local' records messages in memory
+  TRANSPORT: process.env.NOTIFICATION_TRANSPORT ||
+    (process.env.NODE_ENV === 'test' ? NOTIFICATION_TRANSPORTS.LOCAL : NOTIFICATION_TRANSPORTS.LIVE),
+
+  // Base URL of the web app, used for links in messages
+  APP_URL: process.env.APP_URL || 'http://localhost:5173',
+
+  EMAIL: {
+    SMTP_HOST: process.env.SMTP_HOST,
+    SMTP_PORT: parseInt(process.env.SMTP_PORT) || 587,
+    SMTP_SECURE: process.env.SMTP_SECURE === 'true',
+    SMTP_USER: process.env.SMTP_USER,
+    SMTP_PASS: process.env.SMTP_PASS,
+    FROM: process.env.EMAIL_FROM || 'Emergency Platform <no-reply@localhost>'
+  },
+
+  SMS: {
+    GATEWAY_URL: process.env.SMS_GATEWAY_URL,
+    API_KEY: process.env.SMS_GATEWAY_API_KEY,
+    SENDER_ID: process.env.SMS_SENDER_ID || 'EMRGCY',
+    MAX_LENGTH: 480
+  },
+
+  PUSH: {
+    VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY,
+    VAPID_PRIVATE_KEY: process.env.VAPID_PRIVATE_KEY,
+    VAPID_SUBJECT: process.env.VAPID_SUBJECT || 'mailto:admin@localhost',
+    TTL_SECONDS: 60 * 60, // Push services drop undelivered messages after an hour
+    MAX_SUBSCRIPTIONS_PER_USER: 5
+  },
+
+  WEBHOOK: {
+    SIGNING_SECRET: process.env.WEBHOOK_SIGNING_SECRET, // Kept separate from JWT_SECRET
+    SIGNATURE_HEADER: 'X-Notification-Signature'
+  },
+
+  // Outbound HTTP requests (SMS gateway, webhooks)
+  REQUEST_TIMEOUT_MS: parseInt(process.env.NOTIFICATION_TIMEOUT_MS) || 10000,
+
+  // Failed deliveries are retried with exponential backoff
+  RETRY: {
+    MAX_ATTEMPTS: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5,
+    BASE_DELAY_MS: 30 * 1000,
+    MAX_DELAY_MS: 60 * 60 * 1000,
+    WORKER_INTERVAL_MS: 15 * 1000,
+    BATCH_SIZE: 50
+  },
+
+  // Delivery log entries are removed after this many days
+  LOG_RETENTION_DAYS: 90
+};
+
+/**
+ * Notification error codes
+ */
+const NOTIFICATION_ERROR_CODES = {
+  UNKNOWN_CHANNEL: 'NOTIFICATION_UNKNOWN_CHANNEL',
+  UNKNOWN_TEMPLATE: 'NOTIFICATION_UNKNOWN_TEMPLATE',
+  CHANNEL_NOT_CONFIGURED: 'NOTIFICATION_CHANNEL_NOT_CONFIGURED',
+  SUBSCRIPTION_EXPIRED: 'PUSH_SUBSCRIPTION_EXPIRED'
+};
+
+/**
+ * Notification configuration validation
+ */
+const validateNotificationConfig = () => {
+  const transports = Object.values(NOTIFICATION_TRANSPORTS);
+
+  if (!transports.includes(NOTIFICATIONS_CONFIG.TRANSPORT)) {
+    throw new Error(`Unknown notification transport "${NOTIFICATIONS_CONFIG.TRANSPORT}". Supported: ${transports.join(', ')}`);
+  }
+
+  if (NOTIFICATIONS_CONFIG.TRANSPORT === NOTIFICATION_TRANSPORTS.LIVE && !NOTIFICATIONS_CONFIG.WEBHOOK.SIGNING_SECRET) {
+    throw new Error('WEBHOOK_SIGNING_SECRET is required for live notifications');
+  }
+
+  return true;
+};
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_TRANSPORTS,
+  DELIVERY_STATUS,
+  DEFAULT_CHANNEL_PREFERENCES,
+  NOTIFICATIONS_CONFIG,
+  NOTIFICATION_ERROR_CODES,
+  validateNotificationConfig
+};
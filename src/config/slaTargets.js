@@ -0,0 +1,128 @@
+/**
+ * Incident SLA Targets
+ *
+ * Response targets for each incident stage, in minutes from the time the
+ * incident was reported. Targets are set per priority, with per-type
+ * overrides for incident types that need a faster response.
+ */
+
+/**
+ * Stages measured against the SLA, in workflow order
+ */
+const SLA_STAGES = ['verify', 'assign', 'resolve'];
+
+/**
+ * Statuses in which each stage is still outstanding
+ */
+const SLA_STAGE_OPEN_STATUSES = {
+  verify: ['reported'],
+  assign: ['reported', 'verified'],
+  resolve: ['reported', 'verified', 'assigned', 'in_progress']
+};
+
+/**
+ * Default targets per priority: { priority: { stage: minutes } }
+ */
+const SLA_TARGETS = {
+  low: { verify: 240, assign: 480, resolve: 2880 },
+  medium: { verify: 60, assign: 120, resolve: 1440 },
+  high: { verify: 15, assign: 30, resolve: 480 },
+  critical: { verify: 5, assign: 10, resolve: 240 }
+};
+
+/**
+ * Per-type overrides: { type: { priority: { stage: minutes } } }
+ * Stages left out fall back to SLA_TARGETS
+ */
+const SLA_TYPE_TARGETS = {
+  medical_emergency: {
+    medium: { verify: 30, assign: 60 },
+    high: { verify: 10, assign: 15, resolve: 240 },
+    critical: { verify: 3, assign: 5, resolve: 120 }
+  },
+  fire: {
+    high: { verify: 10, assign: 15 },
+    critical: { verify: 3, assign: 5 }
+  },
+  accident: {
+    high: { verify: 10, assign: 20 },
+    critical: { verify: 5, assign: 10, resolve: 180 }
+  }
+};
+
+/**
+ * Get the SLA targets for an incident type and priority
+ * @param {string} type - Incident type
+ * @param {string} priority - Incident priority
+ * @returns {object} - { verify, assign, resolve } in minutes
+ */
+const getSlaTargets = (type, priority) => ({
+  ...(SLA_TARGETS[priority] || SLA_TARGETS.medium),
+  ...((SLA_TYPE_TARGETS[type] || {})[priority] || {})
+});
+
+/**
+ * Get the shortest configured target for a stage across all types and priorities
+ * @param {string} stage - SLA stage
+ * @returns {number} - Minutes
+ */
+const getShortestTarget = (stage) => Math.min(
+  ...Object.values(SLA_TARGETS).map(targets => targets[stage]),
+  ...Object.values(SLA_TYPE_TARGETS)
+    .flatMap(byPriority => Object.values(byPriority))
+    .map(targets => targets[stage])
+    .filter(Boolean)
+);
+
+/**
+ * List every target of a stage with the incidents it applies to
+ * For each priority, types with an override are listed by name and the
+ * priority's default target covers every other type
+ * @param {string} stage - SLA stage
+ * @returns {Array<object>} - [{ priority, type, minutes }] or [{ priority, exceptTypes, minutes }]
+ */
+const getStageTargetRules = (stage) => Object.entries(SLA_TARGETS).flatMap(([priority, targets]) => {
+  const overrides = Object.entries(SLA_TYPE_TARGETS)
+    .filter(([, byPriority]) => byPriority[priority]?.[stage]);
+
+  return [
+    ...overrides.map(([type, byPriority]) => ({ priority, type, minutes: byPriority[priority][stage] })),
+    { priority, exceptTypes: overrides.map(([type]) => type), minutes: targets[stage] }
+  ];
+});
+
+/**
+ * Get the SLA stages an incident has breached
+ * A stage is breached while it is still outstanding past its target
+ * @param {object} incident - Incident document
+ * @param {Date} now - Reference time
+ * @returns {Array<object>} - [{ stage, targetMinutes, dueAt, overdueMinutes }]
+ */
+const getSlaBreaches = (incident, now = new Date()) => {
+  const targets = getSlaTargets(incident.type, incident.priority);
+  const reportedAt = new Date(incident.reportedAt);
+
+  return SLA_STAGES
+    .filter(stage => SLA_STAGE_OPEN_STATUSES[stage].includes(incident.status))
+    .map(stage => {
+      const dueAt = new Date(reportedAt.getTime() + targets[stage] * 60 * 1000);
+      return {
+        stage,
+        targetMinutes: targets[stage],
+        dueAt,
+        overdueMinutes: Math.floor((now - dueAt) / (60 * 1000))
+      };
+    })
+    .filter(breach => breach.overdueMinutes >= 0);
+};
+
+module.exports = {
+  SLA_STAGES,
+  SLA_STAGE_OPEN_STATUSES,
+  SLA_TARGETS,
+  SLA_TYPE_TARGETS,
+  getSlaTargets,
+  getShortestTarget,
+  getStageTargetRules,
+  getSlaBreaches
+};
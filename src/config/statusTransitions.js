@@ -0,0 +1,120 @@
+/**
+ * Incident Status Transitions
+ *
+ * Declarative state machine for incident status changes. Each status maps
+ * the statuses reachable from it to the roles allowed to take that
+ * transition; statuses without outgoing transitions are terminal.
+ */
+
+const { USER_ROLES, ERROR_CODES, HTTP_STATUS } = require('./constants');
+
+const { ADMIN, POLICE, HOSPITAL } = USER_ROLES;
+const RESPONDERS = [POLICE, HOSPITAL, ADMIN];
+
+/**
+ * Transition table: { fromStatus: { toStatus: [allowedRoles] } }
+ */
+const STATUS_TRANSITIONS = {
+  reported: {
+    verified: RESPONDERS,
+    assigned: [POLICE, ADMIN],
+    duplicate: [ADMIN],
+    false_report: [POLICE, ADMIN],
+    cancelled: [ADMIN]
+  },
+  verified: {
+    assigned: [POLICE, ADMIN],
+    duplicate: [ADMIN],
+    false_report: [POLICE, ADMIN],
+    cancelled: [ADMIN]
+  },
+  assigned: {
+    in_progress: RESPONDERS,
+    resolved: RESPONDERS,
+    verified: [ADMIN], // Return to the queue for reassignment
+    false_report: [POLICE, ADMIN],
+    cancelled: [ADMIN]
+  },
+  in_progress: {
+    resolved: RESPONDERS,
+    cancelled: [ADMIN]
+  },
+  resolved: {
+    closed: [POLICE, ADMIN],
+    in_progress: RESPONDERS // Reopen
+  },
+  closed: {},
+  duplicate: {},
+  false_report: {},
+  cancelled: {}
+};
+
+/**
+ * Every status known to the state machine
+ */
+const INCIDENT_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+/**
+ * Statuses with no outgoing transitions
+ */
+const TERMINAL_STATUSES = INCIDENT_STATUSES
+  .filter(status => Object.keys(STATUS_TRANSITIONS[status]).length === 0);
+
+/**
+ * Get the statuses reachable from a status
+ * @param {string} fromStatus - Current status
+ * @param {string} role - Restrict to transitions this role may take (optional)
+ * @returns {Array<string>} - Reachable statuses
+ */
+const getAllowedTransitions = (fromStatus, role) => {
+  const transitions = STATUS_TRANSITIONS[fromStatus] || {};
+
+  return Object.keys(transitions)
+    .filter(toStatus => !role || transitions[toStatus].includes(role));
+};
+
+/**
+ * Assert that a status transition exists and, when a role is given,
+ * that the role may take it
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @param {string} role - Acting role (omit for trusted internal changes)
+ * @throws {Error} - 409 for undefined transitions, 403 for role violations
+ */
+const assertStatusTransition = (fromStatus, toStatus, role) => {
+  const allowedRoles = STATUS_TRANSITIONS[fromStatus]?.[toStatus];
+
+  if (!allowedRoles) {
+    const error = new Error(`Cannot change incident status from ${fromStatus} to ${toStatus}`);
+    error.statusCode = HTTP_STATUS.CONFLICT;
+    error.code = ERROR_CODES.INVALID_STATUS_TRANSITION;
+    error.details = {
+      currentStatus: fromStatus,
+      requestedStatus: toStatus,
+      isTerminal: TERMINAL_STATUSES.includes(fromStatus),
+      allowedTransitions: getAllowedTransitions(fromStatus, role)
+    };
+    throw error;
+  }
+
+  if (role && !allowedRoles.includes(role)) {
+    const error = new Error(`Role ${role} cannot change incident status from ${fromStatus} to ${toStatus}`);
+    error.statusCode = HTTP_STATUS.FORBIDDEN;
+    error.code = ERROR_CODES.INSUFFICIENT_PERMISSIONS;
+    error.details = {
+      currentStatus: fromStatus,
+      requestedStatus: toStatus,
+      requiredRoles: allowedRoles,
+      allowedTransitions: getAllowedTransitions(fromStatus, role)
+    };
+    throw error;
+  }
+};
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  INCIDENT_STATUSES,
+  TERMINAL_STATUSES,
+  getAllowedTransitions,
+  assertStatusTransition
+};
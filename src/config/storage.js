@@ -0,0 +1,65 @@
+/**
+ * Media Storage Configuration
+ *
+ * Selects the media storage provider and configures the local-filesystem
+ * provider used for offline development and on-prem deployments
+ */
+
+const path = require('path');
+
+/**
+ * Supported storage providers
+ */
+const STORAGE_PROVIDERS = {
+  CLOUDINARY: 'cloudinary',
+  LOCAL: 'local'
+};
+
+const STORAGE_CONFIG = {
+  // Provider used for new uploads
+  PROVIDER: process.env.MEDIA_STORAGE_PROVIDER || STORAGE_PROVIDERS.CLOUDINARY,
+
+  // Local-filesystem provider settings
+  LOCAL: {
+    ROOT_DIR: path.resolve(process.env.MEDIA_LOCAL_ROOT || 'uploads'),
+    PUBLIC_BASE_URL: process.env.MEDIA_PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`,
+    ROUTE_PREFIX: '/api/media/files',
+    SIGNING_SECRET: process.env.MEDIA_SIGNING_SECRET, // Kept separate from JWT_SECRET
+    URL_TTL_SECONDS: parseInt(process.env.MEDIA_URL_TTL_SECONDS) || 60 * 60 // 1 hour
+  }
+};
+
+/**
+ * Storage error codes
+ */
+const STORAGE_ERROR_CODES = {
+  UNKNOWN_PROVIDER: 'STORAGE_UNKNOWN_PROVIDER',
+  OPERATION_NOT_SUPPORTED: 'STORAGE_OPERATION_NOT_SUPPORTED',
+  INVALID_SIGNATURE: 'STORAGE_INVALID_SIGNATURE',
+  URL_EXPIRED: 'STORAGE_URL_EXPIRED',
+  FILE_NOT_FOUND: 'STORAGE_FILE_NOT_FOUND'
+};
+
+/**
+ * Storage configuration validation
+ */
+const validateStorageConfig = () => {
+  const providers = Object.values(STORAGE_PROVIDERS);
+
+  if (!providers.includes(STORAGE_CONFIG.PROVIDER)) {
+    throw new Error(`Unknown media storage provider "${STORAGE_CONFIG.PROVIDER}". Supported: ${providers.join(', ')}`);
+  }
+
+  if (STORAGE_CONFIG.PROVIDER === STORAGE_PROVIDERS.LOCAL && !STORAGE_CONFIG.LOCAL.SIGNING_SECRET) {
+    throw new Error('MEDIA_SIGNING_SECRET is required for local media storage');
+  }
+
+  return true;
+};
+
+module.exports = {
+  STORAGE_PROVIDERS,
+  STORAGE_CONFIG,
+  STORAGE_ERROR_CODES,
+  validateStorageConfig
+};
@@ -354,22 +354,33 @@ const bulkUpdateIncidentStatus = async (req, res, next) => {
       throw error;
     }
 
-    // Update incidents
-    const updateResult = await Incident.updateMany(
-      { _id: { $in: incidentIds } },
-      { 
-        status,
-        updatedAt: new Date(),
-        ...(reason && { statusReason: reason })
+    // Update incidents one by one so each change follows the state machine
+    let updatedCount = 0;
+    const skippedIncidents = [];
+
+    for (const incident of incidents) {
+      try {
+        await incident.updateStatus(status, req.user.userId, 'User', reason, undefined, req.user.role);
+        updatedCount += 1;
+      } catch (error) {
+        if (error.code !== ERROR_CODES.INVALID_STATUS_TRANSITION) {
+          throw error;
+        }
+        skippedIncidents.push({
+          incidentId: incident._id,
+          currentStatus: incident.status,
+          reason: error.message
+        });
       }
-    );
+    }
 
     const response = {
       success: true,
       data: {
         requestedUpdates: incidentIds.length,
         foundIncidents: incidents.length,
-        updatedIncidents: updateResult.modifiedCount,
+        updatedIncidents: updatedCount,
+        skippedIncidents,
         newStatus: status,
         reason: reason || null,
         updatedBy: {
@@ -378,7 +389,7 @@ const bulkUpdateIncidentStatus = async (req, res, next) => {
         },
         updatedAt: new Date().toISOString()
       },
-      message: `Successfully updated ${updateResult.modifiedCount} incidents to ${status} status`
+      message: `Successfully updated ${updatedCount} incidents to ${status} status`
     };
 
     res.status(HTTP_STATUS.OK).json(response);
@@ -0,0 +1,178 @@
+/**
+ * Analytics Controller
+ * Hotspot and heatmap analytics over historical incidents for patrol
+ * planning and accident black-spot detection
+ */
+
+const { analyzeHotspots, getHeatmapTile } = require('../services/hotspotAnalysis');
+const { parseBbox } = require('../utils/geoQuery');
+const {
+  USER_ROLES,
+  RESPONDER_DEPARTMENTS,
+  HOTSPOT_ANALYSIS,
+  ERROR_CODES,
+  HTTP_STATUS
+} = require('../config/constants');
+
+/**
+ * Build the incident filter for an analytics request
+ * Responders only analyse their role's departments; admins analyse all
+ * @param {object} authUser - req.user from the auth middleware
+ * @param {object} query - { type, department }
+ * @returns {object} - MongoDB filter
+ */
+const buildAnalyticsFilter = (authUser, { type, department }) => {
+  const allowedDepartments = authUser.role === USER_ROLES.ADMIN
+    ? null
+    : RESPONDER_DEPARTMENTS[authUser.role] || [];
+
+  if (department && allowedDepartments && !allowedDepartments.includes(department)) {
+    const error = new Error(`You can only analyse incidents of the ${allowedDepartments.join(', ')} departments`);
+    error.statusCode = 403;
+    error.code = ERROR_CODES.INSUFFICIENT_PERMISSIONS;
+    error.details = { department, allowedDepartments };
+    throw error;
+  }
+
+  const filter = {};
+  if (type) {
+    filter.type = type;
+  }
+  if (department) {
+    filter.department = department;
+  } else if (allowedDepartments) {
+    filter.department = { $in: allowedDepartments };
+  }
+
+  return filter;
+};
+
+/**
+ * Parse a comma-separated list of days of the week
+ * @param {string} daysOfWeek - e.g. "5,6" with Sunday as 0
+ * @returns {Array<number>|undefined}
+ */
+const parseDaysOfWeek = (daysOfWeek) => (daysOfWeek ? daysOfWeek.split(',').map(Number) : undefined);
+
+/**
+ * Get incident hotspots
+ * GET /api/analytics/hotspots
+ *
+ * Finds statistically significant clusters of incidents inside a bounding
+ * box, optionally limited to hours of the day and days of the week, ranked
+ * by Gi* z-score with each hotspot's trend between the two halves of the period
+ */
+const getHotspots = async (req, res, next) => {
+  try {
+    const {
+      bbox,
+      days = HOTSPOT_ANALYSIS.DEFAULT_DAYS,
+      cellSize = HOTSPOT_ANALYSIS.DEFAULT_CELL_SIZE_METERS,
+      confidence = HOTSPOT_ANALYSIS.DEFAULT_CONFIDENCE,
+      limit = HOTSPOT_ANALYSIS.DEFAULT_HOTSPOTS,
+      timezone = HOTSPOT_ANALYSIS.DEFAULT_TIMEZONE,
+      hours,
+      daysOfWeek,
+      type,
+      department
+    } = req.query;
+
+    const bounds = parseBbox(bbox);
+    const result = await analyzeHotspots({
+      bounds,
+      days,
+      filter: buildAnalyticsFilter(req.user, { type, department }),
+      cellSizeMeters: cellSize,
+      confidence,
+      limit,
+      timezone,
+      hours,
+      daysOfWeek: parseDaysOfWeek(daysOfWeek)
+    });
+
+    const response = {
+      success: true,
+      data: {
+        hotspots: result.hotspots,
+        period: {
+          start: result.since.toISOString(),
+          end: result.until.toISOString()
+        },
+        filters: { type, department, hours, daysOfWeek, timezone },
+        summary: {
+          bbox: { west: bounds[0], south: bounds[1], east: bounds[2], north: bounds[3] },
+          cellSizeMeters: cellSize,
+          grid: result.grid,
+          confidence,
+          incidentsAnalysed: result.analysed,
+          truncated: result.truncated
+        }
+      },
+      message: 'Incident hotspots retrieved successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a heatmap tile
+ * GET /api/analytics/heatmap/:z/:x/:y
+ *
+ * Counts incidents per pixel bin of a z/x/y map tile with an intensity
+ * relative to the busiest bin, for drawing a heatmap layer
+ */
+const getHeatmap = async (req, res, next) => {
+  try {
+    const { z, x, y } = req.params;
+    const {
+      days = HOTSPOT_ANALYSIS.DEFAULT_DAYS,
+      timezone = HOTSPOT_ANALYSIS.DEFAULT_TIMEZONE,
+      hours,
+      daysOfWeek,
+      type,
+      department
+    } = req.query;
+
+    const tile = await getHeatmapTile({
+      z,
+      x,
+      y,
+      days,
+      filter: buildAnalyticsFilter(req.user, { type, department }),
+      timezone,
+      hours,
+      daysOfWeek: parseDaysOfWeek(daysOfWeek)
+    });
+
+    const response = {
+      success: true,
+      data: {
+        tile: { z, x, y, bounds: tile.bounds },
+        gridSize: HOTSPOT_ANALYSIS.HEATMAP_GRID_SIZE,
+        cells: tile.cells,
+        maxCount: tile.maxCount,
+        total: tile.total,
+        truncated: tile.truncated,
+        period: {
+          start: tile.since.toISOString(),
+          end: tile.until.toISOString()
+        }
+      },
+      message: 'Heatmap tile retrieved successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getHotspots,
+  getHeatmap
+};
@@ -0,0 +1,338 @@
+/**
+ * Area Alert Controller
+ * Handles users' alert areas (named circles or polygons with type and
+ * severity filters) and the inbox of alerts raised when incidents are
+ * created or verified inside them
+ */
+
+const AlertArea = require('../models/AlertArea');
+const AreaAlert = require('../models/AreaAlert');
+const { parsePolygon } = require('../utils/geoQuery');
+const {
+  AREA_ALERTS,
+  ERROR_CODES,
+  HTTP_STATUS
+} = require('../config/constants');
+
+/**
+ * Format an alert area for API responses
+ * @param {object} area - AlertArea document
+ * @returns {object} - Area summary
+ */
+const formatArea = (area) => ({
+  id: area._id,
+  name: area.name,
+  shape: area.shape,
+  ...(area.shape === 'circle' ? {
+    center: {
+      latitude: area.center.coordinates[1],
+      longitude: area.center.coordinates[0]
+    },
+    radiusMeters: area.radiusMeters
+  } : {
+    boundary: area.boundary
+  }),
+  types: area.types,
+  minSeverity: area.minSeverity,
+  triggers: area.triggers,
+  isActive: area.isActive,
+  alertCount: area.alertCount,
+  lastAlertAt: area.lastAlertAt || null,
+  createdAt: area.createdAt,
+  updatedAt: area.updatedAt
+});
+
+/**
+ * Format an alert for API responses
+ * @param {object} alert - AreaAlert document
+ * @returns {object} - Alert summary
+ */
+const formatAlert = (alert) => ({
+  id: alert._id,
+  incidentId: alert.incidentId,
+  trigger: alert.trigger,
+  areas: alert.areas,
+  incident: alert.incident,
+  read: Boolean(alert.readAt),
+  readAt: alert.readAt || null,
+  createdAt: alert.createdAt
+});
+
+/**
+ * Build the geometry fields of an area from a request body
+ * @param {object} body - Request body with shape and its geometry
+ * @returns {object} - center and radiusMeters, or boundary
+ */
+const buildGeometry = ({ shape, latitude, longitude, radiusMeters, polygon }) => {
+  if (shape === 'polygon') {
+    return { boundary: parsePolygon(polygon) };
+  }
+
+  return {
+    center: { type: 'Point', coordinates: [longitude, latitude] },
+    radiusMeters: radiusMeters || AREA_ALERTS.DEFAULT_RADIUS_METERS
+  };
+};
+
+/**
+ * Load one of the current user's areas or throw a 404 error
+ * Other users' areas are reported as missing
+ * @param {string} areaId - Area id
+ * @param {string} userId - Current user id
+ * @returns {Promise<object>} - AlertArea document
+ */
+const findAreaOrFail = async (areaId, userId) => {
+  const area = await AlertArea.findOne({ _id: areaId, userId });
+  if (!area) {
+    const error = new Error('Alert area not found');
+    error.statusCode = 404;
+    error.code = ERROR_CODES.ALERT_AREA_NOT_FOUND;
+    throw error;
+  }
+
+  return area;
+};
+
+/**
+ * List alert areas
+ * GET /api/alerts/areas
+ */
+const listAreas = async (req, res, next) => {
+  try {
+    const areas = await AlertArea.find({ userId: req.user.userId }).sort({ createdAt: 1 });
+
+    const response = {
+      success: true,
+      data: {
+        areas: areas.map(formatArea),
+        limit: AREA_ALERTS.MAX_AREAS_PER_USER
+      },
+      message: `Retrieved ${areas.length} alert areas`
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an alert area
+ * POST /api/alerts/areas
+ *
+ * Saves a circle (latitude, longitude, radiusMeters) or a polygon. Users
+ * can keep up to AREA_ALERTS.MAX_AREAS_PER_USER areas
+ */
+const createArea = async (req, res, next) => {
+  try {
+    const { shape, latitude, longitude, radiusMeters, polygon, ...fields } = req.body;
+
+    const areaCount = await AlertArea.countDocuments({ userId: req.user.userId });
+    if (areaCount >= AREA_ALERTS.MAX_AREAS_PER_USER) {
+      const error = new Error(`You can save up to ${AREA_ALERTS.MAX_AREAS_PER_USER} alert areas`);
+      error.statusCode = 409;
+      error.code = ERROR_CODES.ALERT_AREA_LIMIT_REACHED;
+      error.details = { limit: AREA_ALERTS.MAX_AREAS_PER_USER };
+      throw error;
+    }
+
+    const area = await new AlertArea({
+      ...fields,
+      ...buildGeometry({ shape, latitude, longitude, radiusMeters, polygon }),
+      shape,
+      userId: req.user.userId
+    }).save();
+
+    const response = {
+      success: true,
+      data: {
+        area: formatArea(area)
+      },
+      message: 'Alert area created successfully'
+    };
+
+    res.status(HTTP_STATUS.CREATED).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update an alert area
+ * PUT /api/alerts/areas/:id
+ *
+ * Updates the name, filters or active state. Sending a shape replaces the
+ * area's geometry; a radius alone resizes a circle
+ */
+const updateArea = async (req, res, next) => {
+  try {
+    const area = await findAreaOrFail(req.params.id, req.user.userId);
+    const { shape, latitude, longitude, radiusMeters, polygon, ...fields } = req.body;
+
+    area.set(fields);
+    if (shape) {
+      area.set({ shape, ...buildGeometry({ shape, latitude, longitude, radiusMeters, polygon }) });
+    } else if (radiusMeters !== undefined && area.shape === 'circle') {
+      area.radiusMeters = radiusMeters;
+    }
+
+    await area.save();
+
+    const response = {
+      success: true,
+      data: {
+        area: formatArea(area)
+      },
+      message: 'Alert area updated successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an alert area
+ * DELETE /api/alerts/areas/:id
+ *
+ * Alerts already raised for the area are kept
+ */
+const deleteArea = async (req, res, next) => {
+  try {
+    const area = await findAreaOrFail(req.params.id, req.user.userId);
+    await area.deleteOne();
+
+    const response = {
+      success: true,
+      data: {
+        areaId: area._id
+      },
+      message: 'Alert area deleted successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List alerts
+ * GET /api/alerts
+ *
+ * Lists the current user's alerts, newest first, optionally unread only
+ */
+const listAlerts = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = { userId: req.user.userId };
+    if (unread) {
+      filter.readAt = null;
+    }
+
+    const [alerts, totalAlerts, unreadCount] = await Promise.all([
+      AreaAlert.find(filter).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+      AreaAlert.countDocuments(filter),
+      AreaAlert.countDocuments({ userId: req.user.userId, readAt: null })
+    ]);
+
+    const response = {
+      success: true,
+      data: {
+        alerts: alerts.map(formatAlert),
+        unreadCount,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: totalAlerts,
+          pages: Math.ceil(totalAlerts / parseInt(limit)),
+          hasNext: skip + parseInt(limit) < totalAlerts,
+          hasPrev: parseInt(page) > 1
+        }
+      },
+      message: `Retrieved ${alerts.length} alerts`
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark an alert as read
+ * PUT /api/alerts/:id/read
+ */
+const markAlertRead = async (req, res, next) => {
+  try {
+    const alert = await AreaAlert.findOne({ _id: req.params.id, userId: req.user.userId });
+    if (!alert) {
+      const error = new Error('Alert not found');
+      error.statusCode = 404;
+      error.code = ERROR_CODES.ALERT_NOT_FOUND;
+      throw error;
+    }
+
+    if (!alert.readAt) {
+      alert.readAt = new Date();
+      await alert.save();
+    }
+
+    const response = {
+      success: true,
+      data: {
+        alert: formatAlert(alert)
+      },
+      message: 'Alert marked as read'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark all alerts as read
+ * PUT /api/alerts/read-all
+ */
+const markAllAlertsRead = async (req, res, next) => {
+  try {
+    const result = await AreaAlert.updateMany(
+      { userId: req.user.userId, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    const response = {
+      success: true,
+      data: {
+        updated: result.modifiedCount
+      },
+      message: `Marked ${result.modifiedCount} alerts as read`
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listAreas,
+  createArea,
+  updateArea,
+  deleteArea,
+  listAlerts,
+  markAlertRead,
+  markAllAlertsRead
+};
@@ -0,0 +1,176 @@
+/**
+ * Assignment Controller
+ * Handles the responder side of the assignment lifecycle: accepting,
+ * declining and completing the incident currently assigned to them
+ */
+
+const Incident = require('../models/Incident');
+const { redispatchIncident } = require('../services/dispatch');
+const { ERROR_CODES, HTTP_STATUS } = require('../config/constants');
+
+/**
+ * Load an incident and the caller's open assignment on it
+ * @param {string} incidentId - Incident ID
+ * @param {object} authUser - req.user from the auth middleware
+ * @param {Array} allowedStatuses - Assignment statuses the action applies to
+ * @returns {Promise<object>} - { incident, assignment }
+ */
+const findOwnAssignmentOrFail = async (incidentId, authUser, allowedStatuses) => {
+  const incident = await Incident.findById(incidentId);
+
+  if (!incident) {
+    const error = new Error('Incident not found');
+    error.statusCode = 404;
+    error.code = ERROR_CODES.INCIDENT_NOT_FOUND;
+    throw error;
+  }
+
+  const assignment = incident.getCurrentAssignment();
+
+  if (!assignment || assignment.assignedTo.toString() !== authUser.userId.toString()) {
+    const error = new Error('Incident is not assigned to you');
+    error.statusCode = 404;
+    error.code = ERROR_CODES.ASSIGNMENT_NOT_FOUND;
+    throw error;
+  }
+
+  if (!allowedStatuses.includes(assignment.status)) {
+    const error = new Error(`Assignment is already ${assignment.status}`);
+    error.statusCode = 409;
+    error.code = ERROR_CODES.INVALID_ASSIGNMENT_STATE;
+    error.details = {
+      assignmentStatus: assignment.status,
+      allowedStatuses
+    };
+    throw error;
+  }
+
+  return { incident, assignment };
+};
+
+/**
+ * Format an assignment for API responses
+ * @param {object} assignment - Assignment subdocument
+ * @returns {object} - Assignment summary
+ */
+const formatAssignment = (assignment) => ({
+  id: assignment._id,
+  assignedTo: assignment.assignedTo,
+  source: assignment.source,
+  status: assignment.status,
+  priority: assignment.priority,
+  assignedAt: assignment.assignedAt,
+  acceptedAt: assignment.acceptedAt || null,
+  declinedAt: assignment.declinedAt || null,
+  completedAt: assignment.completedAt || null,
+  actualResponseTime: assignment.actualResponseTime ?? null
+});
+
+/**
+ * Accept an assignment
+ * POST /api/incidents/:id/assignment/accept
+ *
+ * Records the acceptance time and the incident's response time
+ */
+const acceptAssignment = async (req, res, next) => {
+  try {
+    const { incident, assignment } = await findOwnAssignmentOrFail(req.params.id, req.user, ['pending']);
+
+    await incident.acceptAssignment(assignment);
+
+    const response = {
+      success: true,
+      data: {
+        incidentId: incident._id,
+        status: incident.status,
+        responseTime: incident.responseTime,
+        assignment: formatAssignment(assignment)
+      },
+      message: 'Assignment accepted'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Decline an assignment
+ * POST /api/incidents/:id/assignment/decline
+ *
+ * Releases the incident and hands it back to the dispatch engine. Only
+ * pending assignments can be declined; once accepted, work on the incident
+ * may have started and it cannot return to the dispatch queue
+ */
+const declineAssignment = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    const { incident, assignment } = await findOwnAssignmentOrFail(req.params.id, req.user, ['pending']);
+
+    await incident.releaseAssignment(assignment, {
+      reason,
+      changedBy: req.user.userId,
+      changedByModel: 'User'
+    });
+
+    const redispatch = await redispatchIncident(incident, { reason });
+
+    const response = {
+      success: true,
+      data: {
+        incidentId: incident._id,
+        status: incident.status,
+        assignment: formatAssignment(assignment),
+        reassigned: !redispatch.escalated,
+        escalated: redispatch.escalated
+      },
+      message: redispatch.escalated ?
+        'Assignment declined and escalated to dispatchers' :
+        'Assignment declined and incident reassigned'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Complete an assignment
+ * POST /api/incidents/:id/assignment/complete
+ *
+ * Closes out the assignment and resolves the incident
+ */
+const completeAssignment = async (req, res, next) => {
+  try {
+    const { notes } = req.body;
+    const { incident, assignment } = await findOwnAssignmentOrFail(req.params.id, req.user, ['accepted']);
+
+    await incident.completeAssignment(assignment, req.user.userId, req.user.role, notes);
+
+    const response = {
+      success: true,
+      data: {
+        incidentId: incident._id,
+        status: incident.status,
+        resolutionTime: incident.resolutionTime ?? null,
+        assignment: formatAssignment(assignment)
+      },
+      message: 'Assignment completed'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  acceptAssignment,
+  declineAssignment,
+  completeAssignment
+};
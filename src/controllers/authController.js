@@ -8,12 +8,41 @@ const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Guest = require('../models/Guest');
-const { USER_ROLES, ERROR_CODES, HTTP_STATUS } = require('../config/constants');
+const AuditLog = require('../models/AuditLog');
+const { USER_ROLES, ERROR_CODES, HTTP_STATUS, EMAIL_VERIFICATION } = require('../config/constants');
 const { generateUserToken, refreshToken } = require('../middleware/auth');
+const { buildRequestContext } = require('../utils/helpers');
+const { sendVerificationEmail, getResendCooldownSeconds } = require('../services/emailVerification');
+const { sendPasswordResetEmail } = require('../services/passwordReset');
 
 // In-memory token blacklist (in production, use Redis or database)
 const tokenBlacklist = new Set();
 
+/**
+ * Record a password reset event in the audit log
+ * Requests for unknown accounts and invalid tokens are logged as system events
+ * @param {object} req - Express request object
+ * @param {string} action - Short action name
+ * @param {string} description - Human readable description
+ * @param {object|null} user - User the event concerns, if known
+ * @param {string} outcome - Audit outcome
+ * @param {object} [metadata] - Additional metadata
+ * @returns {Promise<object|null>} - Audit log entry (null if logging failed)
+ */
+const logPasswordResetEvent = (req, action, description, user, outcome, metadata = {}) => AuditLog.logUserAction(
+  'password_reset',
+  action,
+  description,
+  user ? user._id : undefined,
+  user ? 'User' : 'System',
+  user ? user.role : 'system',
+  'User',
+  user ? user._id : undefined,
+  buildRequestContext(req),
+  outcome,
+  metadata
+);
+
 /**
  * Login endpoint for all user types
  * POST /api/auth/login
@@ -92,6 +121,7 @@ const login = async (req, res, next) => {
       email: user.email,
       role: user.role,
       fullName: user.getDecryptedField('fullName'),
+      isVerified: user.isVerified,
       lastLogin: user.lastLogin,
       profileComplete: !!(
         user.fullName && 
@@ -282,7 +312,8 @@ const verifyToken = async (req, res, next) => {
  * Password reset request endpoint
  * POST /api/auth/forgot-password
  * 
- * Initiates password reset process (placeholder for email integration)
+ * Emails a single-use reset link. Only a hash of the token is stored, and a
+ * new request replaces any earlier link
  */
 const forgotPassword = async (req, res, next) => {
   try {
@@ -299,23 +330,23 @@ const forgotPassword = async (req, res, next) => {
     const user = await User.findByEmail(email);
     
     // Always return success to prevent email enumeration attacks
-    // In production, send actual password reset email if user exists
-    
-    if (user) {
-      // Generate password reset token (placeholder)
-      const resetToken = jwt.sign(
-        { userId: user._id, purpose: 'password_reset' },
-        process.env.JWT_SECRET || 'development-secret-key',
-        { expiresIn: '1h' }
-      );
-      
-      // In production: Send email with reset link containing resetToken
-      console.log(`Password reset token for ${email}: ${resetToken}`);
+    
+    if (user && user.isActive) {
+      // Failed sends are retried by the notification worker with a new link
+      await sendPasswordResetEmail(user);
       
-      // Store reset token in user document (optional)
-      user.passwordResetToken = resetToken;
-      user.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
-      await user.save();
+      await logPasswordResetEvent(req, 'password_reset_requested', 'Password reset link emailed', user, 'success', {
+        expiresAt: user.passwordResetExpires
+      });
+    } else {
+      await logPasswordResetEvent(
+        req,
+        'password_reset_requested',
+        'Password reset requested for an unknown or inactive account',
+        user,
+        'failure',
+        { reason: user ? 'account_inactive' : 'account_not_found' }
+      );
     }
     
     const response = {
@@ -338,7 +369,8 @@ const forgotPassword = async (req, res, next) => {
  * Password reset endpoint
  * POST /api/auth/reset-password
  * 
- * Resets password using reset token
+ * Resets password using the emailed token. The token can be used once, and
+ * every session issued before the reset is invalidated
  */
 const resetPassword = async (req, res, next) => {
   try {
@@ -359,57 +391,129 @@ const resetPassword = async (req, res, next) => {
       throw error;
     }
     
-    try {
-      // Verify reset token
-      const jwtSecret = process.env.JWT_SECRET || 'development-secret-key';
-      const decoded = jwt.verify(token, jwtSecret);
-      
-      if (decoded.purpose !== 'password_reset') {
-        throw new Error('Invalid token purpose');
-      }
-      
-      // Find user and check if reset token is still valid
-      const user = await User.findById(decoded.userId);
-      
-      if (!user) {
-        throw new Error('User not found');
-      }
-      
-      if (user.passwordResetToken !== token || 
-          !user.passwordResetExpires || 
-          user.passwordResetExpires < new Date()) {
-        throw new Error('Reset token is invalid or expired');
-      }
-      
-      // Hash new password
-      const saltRounds = 12;
-      const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
-      
-      // Update user password and clear reset token
-      user.password = hashedPassword;
-      user.passwordResetToken = undefined;
-      user.passwordResetExpires = undefined;
-      await user.save();
-      
-      const response = {
-        success: true,
-        data: {
-          passwordReset: true,
-          userId: user._id
-        },
-        message: 'Password reset successful. Please login with your new password.'
-      };
-      
-      res.status(HTTP_STATUS.OK).json(response);
+    // Sets the password, claims the token and bumps the session version in one save
+    const user = await User.redeemPasswordResetToken(token, newPassword);
+    
+    if (!user) {
+      await logPasswordResetEvent(req, 'password_reset_failed', 'Password reset attempted with an invalid or expired token', null, 'failure', {
+        reason: 'invalid_token'
+      });
       
-    } catch (tokenError) {
       const error = new Error('Invalid or expired reset token');
       error.statusCode = 401;
       error.code = ERROR_CODES.INVALID_TOKEN;
-      error.details = { reason: tokenError.message };
+      error.details = { reason: 'Reset token is invalid, expired or already used' };
+      throw error;
+    }
+    
+    await logPasswordResetEvent(req, 'password_reset_completed', 'Password reset and all sessions invalidated', user, 'success', {
+      sessionVersion: user.sessionVersion
+    });
+    
+    const response = {
+      success: true,
+      data: {
+        passwordReset: true,
+        userId: user._id
+      },
+      message: 'Password reset successful. Please login with your new password.'
+    };
+    
+    res.status(HTTP_STATUS.OK).json(response);
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Email verification endpoint
+ * GET /api/auth/verify-email?token=...
+ * 
+ * Marks the user's email address as verified using the emailed token
+ */
+const verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.query;
+    
+    const user = await User.redeemEmailVerificationToken(token);
+    
+    if (!user) {
+      const error = new Error('Invalid or expired verification link');
+      error.statusCode = 400;
+      error.code = ERROR_CODES.INVALID_TOKEN;
+      error.details = {
+        reason: 'Verification token is invalid, expired or already used',
+        suggestion: 'Sign in and request a new verification email'
+      };
+      throw error;
+    }
+    
+    const response = {
+      success: true,
+      data: {
+        verified: true,
+        email: user.email,
+        verifiedAt: user.emailVerifiedAt
+      },
+      message: 'Email address verified successfully'
+    };
+    
+    res.status(HTTP_STATUS.OK).json(response);
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resend verification email endpoint
+ * POST /api/auth/resend-verification
+ * 
+ * Emails a new verification link to the signed-in user, at most once every
+ * EMAIL_VERIFICATION.RESEND_COOLDOWN_MINUTES
+ */
+const resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      error.code = ERROR_CODES.USER_NOT_FOUND;
+      throw error;
+    }
+    
+    if (user.isVerified) {
+      const error = new Error('Email address is already verified');
+      error.statusCode = 409;
+      error.code = ERROR_CODES.EMAIL_ALREADY_VERIFIED;
+      throw error;
+    }
+    
+    const retryAfter = getResendCooldownSeconds(user);
+    if (retryAfter > 0) {
+      const error = new Error(`Please wait ${EMAIL_VERIFICATION.RESEND_COOLDOWN_MINUTES} minutes between verification emails`);
+      error.statusCode = 429;
+      error.code = ERROR_CODES.RATE_LIMIT_EXCEEDED;
+      error.details = { retryAfter };
       throw error;
     }
     
+    await sendVerificationEmail(user);
+    
+    const response = {
+      success: true,
+      data: {
+        emailSent: true,
+        email: user.email,
+        expiresInHours: EMAIL_VERIFICATION.EXPIRES_HOURS
+      },
+      message: 'Verification email sent'
+    };
+    
+    res.status(HTTP_STATUS.OK).json(response);
+    
   } catch (error) {
     next(error);
   }
@@ -505,6 +609,8 @@ module.exports = {
   verifyToken,
   forgotPassword,
   resetPassword,
+  verifyEmail,
+  resendVerification,
   getAuthStats,
   isTokenBlacklisted
 };
\ No newline at end of file
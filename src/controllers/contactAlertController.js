@@ -0,0 +1,252 @@
+/**
+ * Emergency Contact Alert Controller
+ * Handles a user's opt-in to alerts for their emergency contacts, message
+ * previews, test messages and the history of alerts sent
+ */
+
+const User = require('../models/User');
+const ContactAlert = require('../models/ContactAlert');
+const AuditLog = require('../models/AuditLog');
+const { sendContactAlert, previewContactAlert } = require('../services/contactAlerts');
+const { buildRequestContext } = require('../utils/helpers');
+const { CONTACT_ALERTS, ERROR_CODES, HTTP_STATUS } = require('../config/constants');
+
+/**
+ * Load the current user or throw a 404 error
+ * @param {string} userId - User id
+ * @returns {Promise<object>} - User document
+ */
+const findUserOrFail = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    error.code = ERROR_CODES.USER_NOT_FOUND;
+    throw error;
+  }
+
+  return user;
+};
+
+/**
+ * Record a change to the user's contact alerts in the audit log
+ * @param {object} req - Express request object
+ * @param {string} action - Short action name
+ * @param {string} description - Human readable description
+ * @param {object} [metadata] - Additional metadata
+ * @returns {Promise<object|null>} - Audit log entry (null if logging failed)
+ */
+const logContactAlertAction = (req, action, description, metadata = {}) => AuditLog.logUserAction(
+  'user_updated',
+  action,
+  description,
+  req.user.userId,
+  'User',
+  req.user.role,
+  'User',
+  req.user.userId,
+  buildRequestContext(req),
+  'success',
+  metadata
+);
+
+/**
+ * Format a user's contact alert settings for API responses
+ * @param {object} user - User document
+ * @returns {object} - Settings, contacts and limits
+ */
+const formatSettings = (user) => {
+  const settings = user.emergencyContactAlerts || {};
+
+  return {
+    enabled: Boolean(settings.enabled),
+    enabledAt: settings.enabledAt || null,
+    disabledAt: settings.disabledAt || null,
+    contacts: previewContactAlert(user).contacts.map(({ id, name, relation, phone }) => ({ id, name, relation, phone })),
+    incidentTypes: CONTACT_ALERTS.INCIDENT_TYPES,
+    limits: {
+      windowHours: CONTACT_ALERTS.RATE_WINDOW_HOURS,
+      alerts: CONTACT_ALERTS.MAX_ALERTS_PER_WINDOW,
+      tests: CONTACT_ALERTS.MAX_TESTS_PER_WINDOW
+    }
+  };
+};
+
+/**
+ * Get contact alert settings
+ * GET /api/contact-alerts/settings
+ */
+const getSettings = async (req, res, next) => {
+  try {
+    const user = await findUserOrFail(req.user.userId);
+
+    const response = {
+      success: true,
+      data: formatSettings(user),
+      message: 'Emergency contact alert settings retrieved successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Turn contact alerts on or off
+ * PUT /api/contact-alerts/settings
+ *
+ * The user's consent is recorded in the audit log
+ */
+const updateSettings = async (req, res, next) => {
+  try {
+    const { enabled } = req.body;
+    const user = await findUserOrFail(req.user.userId);
+    const wasEnabled = Boolean(user.emergencyContactAlerts?.enabled);
+
+    if (enabled !== wasEnabled) {
+      user.set('emergencyContactAlerts.enabled', enabled);
+      user.set(enabled ? 'emergencyContactAlerts.enabledAt' : 'emergencyContactAlerts.disabledAt', new Date());
+      await user.save();
+
+      await logContactAlertAction(
+        req,
+        enabled ? 'contact_alerts_enabled' : 'contact_alerts_disabled',
+        `User ${enabled ? 'enabled' : 'disabled'} emergency contact alerts`,
+        { contacts: user.emergencyContacts.length }
+      );
+    }
+
+    const response = {
+      success: true,
+      data: formatSettings(user),
+      message: `Emergency contact alerts ${enabled ? 'enabled' : 'disabled'}`
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Preview contact alert messages
+ * GET /api/contact-alerts/preview
+ *
+ * Renders the alert and test message each contact would receive for an
+ * example medical emergency
+ */
+const previewAlert = async (req, res, next) => {
+  try {
+    const user = await findUserOrFail(req.user.userId);
+
+    const response = {
+      success: true,
+      data: previewContactAlert(user),
+      message: 'Emergency contact alert preview generated'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a test message to every emergency contact
+ * POST /api/contact-alerts/test
+ *
+ * Works before alerts are enabled so users can check their contacts'
+ * numbers. Limited to CONTACT_ALERTS.MAX_TESTS_PER_WINDOW per window
+ */
+const sendTestAlert = async (req, res, next) => {
+  try {
+    const user = await findUserOrFail(req.user.userId);
+    const alert = await sendContactAlert({ userId: user._id, trigger: 'test', triggeredBy: user._id });
+
+    if (!alert) {
+      const error = new Error('Test messages cannot be sent for this account');
+      error.statusCode = 403;
+      error.code = ERROR_CODES.INSUFFICIENT_PERMISSIONS;
+      throw error;
+    }
+
+    await logContactAlertAction(req, 'contact_alert_test', 'User sent a test message to their emergency contacts', {
+      contactAlertId: alert._id,
+      outcome: alert.outcome
+    });
+
+    if (alert.outcome === 'rate_limited') {
+      const error = new Error(`Only ${CONTACT_ALERTS.MAX_TESTS_PER_WINDOW} test messages can be sent every ${CONTACT_ALERTS.RATE_WINDOW_HOURS} hours`);
+      error.statusCode = 429;
+      error.code = ERROR_CODES.RATE_LIMIT_EXCEEDED;
+      error.details = {
+        limit: CONTACT_ALERTS.MAX_TESTS_PER_WINDOW,
+        windowHours: CONTACT_ALERTS.RATE_WINDOW_HOURS
+      };
+      throw error;
+    }
+
+    const response = {
+      success: true,
+      data: { alert },
+      message: alert.outcome === 'notified'
+        ? `Test message sent to ${alert.contacts.length} contacts`
+        : 'Test message could not be sent'
+    };
+
+    res.status(HTTP_STATUS.CREATED).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List alerts sent to the user's contacts
+ * GET /api/contact-alerts/history
+ */
+const listHistory = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const filter = { userId: req.user.userId };
+
+    const [alerts, totalAlerts] = await Promise.all([
+      ContactAlert.find(filter).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+      ContactAlert.countDocuments(filter)
+    ]);
+
+    const response = {
+      success: true,
+      data: {
+        alerts,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: totalAlerts,
+          pages: Math.ceil(totalAlerts / parseInt(limit)),
+          hasNext: skip + parseInt(limit) < totalAlerts,
+          hasPrev: parseInt(page) > 1
+        }
+      },
+      message: `Retrieved ${alerts.length} contact alerts`
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  previewAlert,
+  sendTestAlert,
+  listHistory
+};
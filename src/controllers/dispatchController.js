@@ -0,0 +1,264 @@
+/**
+ * Dispatch Controller
+ * Handles per-department dispatch policies and dispatcher-driven
+ * assignment of incidents to ranked responder candidates
+ */
+
+const Incident = require('../models/Incident');
+const User = require('../models/User');
+const DispatchPolicy = require('../models/DispatchPolicy');
+const {
+  getResponderRole,
+  resolveDispatchAction,
+  findCandidates
+} = require('../services/dispatch');
+const { TERMINAL_STATUSES } = require('../config/statusTransitions');
+const { calculateDistance } = require('../utils/helpers');
+const { ERROR_CODES, HTTP_STATUS } = require('../config/constants');
+
+/**
+ * Incident departments a policy can be configured for
+ */
+const POLICY_DEPARTMENTS = DispatchPolicy.schema.path('department').enumValues;
+
+/**
+ * Load an incident or throw a 404
+ * @param {string} incidentId - Incident ID
+ * @returns {Promise<object>} - Incident document
+ */
+const findIncidentOrFail = async (incidentId) => {
+  const incident = await Incident.findById(incidentId);
+
+  if (!incident) {
+    const error = new Error('Incident not found');
+    error.statusCode = 404;
+    error.code = ERROR_CODES.INCIDENT_NOT_FOUND;
+    throw error;
+  }
+
+  return incident;
+};
+
+/**
+ * Get dispatch policies
+ * GET /api/admin/dispatch/policies
+ *
+ * Returns the effective policy for every department, including defaults
+ */
+const getDispatchPolicies = async (req, res, next) => {
+  try {
+    const policies = await Promise.all(
+      POLICY_DEPARTMENTS.map(department => DispatchPolicy.resolve(department))
+    );
+
+    const response = {
+      success: true,
+      data: {
+        policies: policies.map(policy => ({
+          ...policy,
+          responderRole: getResponderRole(policy.department)
+        }))
+      },
+      message: 'Dispatch policies retrieved successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a department's dispatch policy
+ * PUT /api/admin/dispatch/policies/:department
+ *
+ * Creates the policy on first update
+ */
+const updateDispatchPolicy = async (req, res, next) => {
+  try {
+    const { department } = req.params;
+    const {
+      mode,
+      autoAssignPriorities,
+      searchRadiusMeters,
+      maxActiveAssignments,
+      acceptTimeoutMinutes
+    } = req.body;
+
+    const update = { updatedBy: req.user.userId };
+    if (mode !== undefined) update.mode = mode;
+    if (autoAssignPriorities !== undefined) update.autoAssignPriorities = autoAssignPriorities;
+    if (searchRadiusMeters !== undefined) update.searchRadiusMeters = searchRadiusMeters;
+    if (maxActiveAssignments !== undefined) update.maxActiveAssignments = maxActiveAssignments;
+    if (acceptTimeoutMinutes !== undefined) update.acceptTimeoutMinutes = acceptTimeoutMinutes;
+
+    const updateOps = { $set: update };
+
+    // A null override restores the priority-based default
+    ['searchRadiusMeters', 'acceptTimeoutMinutes'].forEach(field => {
+      if (update[field] === null) {
+        delete update[field];
+        updateOps.$unset = { ...updateOps.$unset, [field]: '' };
+      }
+    });
+
+    await DispatchPolicy.findOneAndUpdate({ department }, updateOps, {
+      upsert: true,
+      runValidators: true,
+      setDefaultsOnInsert: true
+    });
+
+    const policy = await DispatchPolicy.resolve(department);
+
+    const response = {
+      success: true,
+      data: {
+        policy: {
+          ...policy,
+          responderRole: getResponderRole(department)
+        }
+      },
+      message: `Dispatch policy for ${department} updated successfully`
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get dispatch candidates for an incident
+ * GET /api/admin/incidents/:incidentId/dispatch
+ *
+ * Ranks on-duty responders by distance and workload, regardless of the
+ * department's policy mode
+ */
+const getDispatchCandidates = async (req, res, next) => {
+  try {
+    const incident = await findIncidentOrFail(req.params.incidentId);
+    const policy = await DispatchPolicy.resolve(incident.department);
+    const candidates = await findCandidates(incident, policy);
+
+    const response = {
+      success: true,
+      data: {
+        incidentId: incident._id,
+        department: incident.department,
+        priority: incident.priority,
+        status: incident.status,
+        currentAssignment: incident.currentAssignment || null,
+        policy: {
+          mode: policy.mode,
+          action: resolveDispatchAction(policy, incident)
+        },
+        candidates
+      },
+      message: `Found ${candidates.length} dispatch candidates`
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Dispatch an incident to a responder
+ * POST /api/admin/incidents/:incidentId/dispatch
+ *
+ * Assigns the incident to the chosen responder, who must hold the role
+ * that handles the incident's department
+ */
+const dispatchToResponder = async (req, res, next) => {
+  try {
+    const { responderId, notes } = req.body;
+    const incident = await findIncidentOrFail(req.params.incidentId);
+    const responderRole = getResponderRole(incident.department);
+
+    if (TERMINAL_STATUSES.includes(incident.status) || incident.status === 'resolved') {
+      const error = new Error('Incident can no longer be dispatched');
+      error.statusCode = 409;
+      error.code = ERROR_CODES.INVALID_STATUS_TRANSITION;
+      error.details = {
+        currentStatus: incident.status
+      };
+      throw error;
+    }
+
+    const responder = await User.findOne({
+      _id: responderId,
+      isActive: true,
+      isBanned: false
+    });
+
+    if (!responder) {
+      const error = new Error('Responder not found');
+      error.statusCode = 404;
+      error.code = ERROR_CODES.USER_NOT_FOUND;
+      throw error;
+    }
+
+    if (!responderRole || responder.role !== responderRole) {
+      const error = new Error('Responder cannot handle incidents of this department');
+      error.statusCode = 422;
+      error.code = ERROR_CODES.RESPONDER_NOT_ELIGIBLE;
+      error.details = {
+        department: incident.department,
+        requiredRole: responderRole,
+        responderRole: responder.role
+      };
+      throw error;
+    }
+
+    const distanceMeters = responder.currentLocation
+      ? Math.round(calculateDistance(
+        incident.location.coordinates[1],
+        incident.location.coordinates[0],
+        responder.currentLocation.coordinates[1],
+        responder.currentLocation.coordinates[0]
+      ))
+      : undefined;
+
+    await incident.assignTo(responder._id, req.user.userId, incident.priority, notes, {
+      source: 'manual',
+      distanceMeters
+    });
+
+    const assignment = incident.assignments[incident.assignments.length - 1];
+
+    const response = {
+      success: true,
+      data: {
+        incidentId: incident._id,
+        status: incident.status,
+        assignment: {
+          id: assignment._id,
+          assignedTo: assignment.assignedTo,
+          assignedBy: assignment.assignedBy,
+          source: assignment.source,
+          status: assignment.status,
+          priority: assignment.priority,
+          distanceMeters: assignment.distanceMeters ?? null,
+          assignedAt: assignment.assignedAt
+        }
+      },
+      message: 'Incident dispatched successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getDispatchPolicies,
+  updateDispatchPolicy,
+  getDispatchCandidates,
+  dispatchToResponder
+};
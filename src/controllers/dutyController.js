@@ -0,0 +1,489 @@
+/**
+ * Duty Controller
+ * Handles responder availability (on duty, busy, on break, off duty),
+ * live location updates, unit rosters and scheduled shifts
+ */
+
+const Incident = require('../models/Incident');
+const User = require('../models/User');
+const Shift = require('../models/Shift');
+const { decryptSensitiveData } = require('../utils/encryption');
+const {
+  USER_ROLES,
+  DUTY_STATUS,
+  DUTY_ROSTER,
+  ERROR_CODES,
+  HTTP_STATUS
+} = require('../config/constants');
+
+/**
+ * Roles that keep a duty roster
+ */
+const RESPONDER_ROLES = [USER_ROLES.POLICE, USER_ROLES.HOSPITAL];
+
+/**
+ * Incident statuses counted as a responder's open work
+ */
+const OPEN_INCIDENT_STATUSES = ['assigned', 'in_progress'];
+
+/**
+ * Build the filter selecting members of a responder's unit
+ * A unit is everyone sharing the role and department; police units are
+ * further scoped to the jurisdiction
+ * @param {object} user - Responder user document
+ * @returns {object} - MongoDB filter
+ */
+const buildUnitFilter = (user) => {
+  const filter = {
+    role: user.role,
+    department: user.department,
+    isActive: true,
+    isBanned: false
+  };
+
+  if (user.role === USER_ROLES.POLICE && user.jurisdiction) {
+    filter.jurisdiction = user.jurisdiction;
+  }
+
+  return filter;
+};
+
+/**
+ * Check whether a responder or shift belongs to a supervisor's unit
+ * @param {object} supervisor - Supervisor user document
+ * @param {object} member - Responder user or shift document
+ * @returns {boolean}
+ */
+const isInUnit = (supervisor, member) => {
+  const unit = buildUnitFilter(supervisor);
+
+  return member.role === unit.role &&
+    member.department === unit.department &&
+    (!unit.jurisdiction || member.jurisdiction === unit.jurisdiction);
+};
+
+/**
+ * Ensure the caller may manage a unit roster
+ * Admins manage every unit; responders only when flagged as supervisors
+ * @param {object} reqUser - Authenticated user context
+ */
+const assertRosterManager = (reqUser) => {
+  if (reqUser.role === USER_ROLES.ADMIN || reqUser.user?.isSupervisor) {
+    return;
+  }
+
+  const error = new Error('Only unit supervisors can manage the duty roster');
+  error.statusCode = 403;
+  error.code = ERROR_CODES.INSUFFICIENT_PERMISSIONS;
+  error.details = {
+    userRole: reqUser.role,
+    isSupervisor: false
+  };
+  throw error;
+};
+
+/**
+ * Load a responder by id or throw a 404 error
+ * @param {string} userId - User id
+ * @returns {Promise<object>} - Responder user document
+ */
+const findResponderOrFail = async (userId) => {
+  const responder = await User.findOne({ _id: userId, role: { $in: RESPONDER_ROLES } });
+
+  if (!responder) {
+    const error = new Error('Responder not found');
+    error.statusCode = 404;
+    error.code = ERROR_CODES.USER_NOT_FOUND;
+    throw error;
+  }
+
+  return responder;
+};
+
+/**
+ * Format a shift for API responses
+ * @param {object} shift - Shift document
+ * @returns {object} - Shift summary
+ */
+const formatShift = (shift) => ({
+  id: shift._id,
+  responderId: shift.responder,
+  role: shift.role,
+  department: shift.department,
+  jurisdiction: shift.jurisdiction || null,
+  startsAt: shift.startsAt,
+  endsAt: shift.endsAt,
+  isCurrent: shift.isCurrent,
+  notes: shift.notes || null
+});
+
+/**
+ * Format a responder's availability for API responses
+ * @param {object} user - Responder user document
+ * @returns {object} - Availability summary
+ */
+const formatAvailability = (user) => ({
+  dutyStatus: user.dutyStatus,
+  dutyStatusUpdatedAt: user.dutyStatusUpdatedAt || null,
+  currentLocation: user.currentLocation || null,
+  locationUpdatedAt: user.locationUpdatedAt || null
+});
+
+/**
+ * Build a location update from [longitude, latitude] coordinates
+ * @param {Array} coordinates - [longitude, latitude]
+ * @returns {object} - User fields to set
+ */
+const buildLocationUpdate = (coordinates) => ({
+  currentLocation: { type: 'Point', coordinates },
+  locationUpdatedAt: new Date()
+});
+
+/**
+ * Get own duty status
+ * GET /api/duty/me
+ *
+ * Returns the responder's availability, current shift and upcoming shifts
+ */
+const getMyDuty = async (req, res, next) => {
+  try {
+    const now = new Date();
+    const windowEnd = new Date(now.getTime() + DUTY_ROSTER.UPCOMING_SHIFT_DAYS * 24 * 60 * 60 * 1000);
+
+    const [user, shifts, openIncidents] = await Promise.all([
+      User.findById(req.user.userId),
+      Shift.find({
+        responder: req.user.userId,
+        endsAt: { $gt: now },
+        startsAt: { $lt: windowEnd }
+      }).sort({ startsAt: 1 }),
+      Incident.countDocuments({
+        currentAssignment: req.user.userId,
+        status: { $in: OPEN_INCIDENT_STATUSES }
+      })
+    ]);
+
+    const currentShift = shifts.find(shift => shift.isCurrent);
+
+    const response = {
+      success: true,
+      data: {
+        ...formatAvailability(user),
+        isSupervisor: user.isSupervisor,
+        openIncidents,
+        currentShift: currentShift ? formatShift(currentShift) : null,
+        upcomingShifts: shifts.filter(shift => !shift.isCurrent).map(formatShift)
+      },
+      message: 'Duty status retrieved successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update own duty status
+ * PUT /api/duty/me/status
+ *
+ * Toggles availability, optionally reporting the current location
+ */
+const updateMyDutyStatus = async (req, res, next) => {
+  try {
+    const { status, coordinates } = req.body;
+
+    const update = {
+      dutyStatus: status,
+      dutyStatusUpdatedAt: new Date(),
+      ...(coordinates ? buildLocationUpdate(coordinates) : {})
+    };
+
+    const [user, openIncidents] = await Promise.all([
+      User.findByIdAndUpdate(req.user.userId, { $set: update }, { new: true, runValidators: true }),
+      Incident.countDocuments({
+        currentAssignment: req.user.userId,
+        status: { $in: OPEN_INCIDENT_STATUSES }
+      })
+    ]);
+
+    const response = {
+      success: true,
+      data: {
+        ...formatAvailability(user),
+        openIncidents
+      },
+      message: status === DUTY_STATUS.OFF_DUTY && openIncidents > 0
+        ? `Now off duty with ${openIncidents} open incidents still assigned`
+        : `Duty status updated to ${status}`
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update own location
+ * PUT /api/duty/me/location
+ *
+ * Records the responder's position for dispatch distance ranking
+ */
+const updateMyLocation = async (req, res, next) => {
+  try {
+    const { coordinates } = req.body;
+
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { $set: buildLocationUpdate(coordinates) },
+      { new: true, runValidators: true }
+    );
+
+    const response = {
+      success: true,
+      data: formatAvailability(user),
+      message: 'Location updated successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get unit roster
+ * GET /api/duty/unit
+ *
+ * Supervisors see their own unit; admins filter by role, department and
+ * jurisdiction. Each member is listed with availability, current shift
+ * and open incident count
+ */
+const getUnitRoster = async (req, res, next) => {
+  try {
+    assertRosterManager(req.user);
+
+    const { role, department, jurisdiction, dutyStatus } = req.query;
+
+    const filter = req.user.role === USER_ROLES.ADMIN
+      ? {
+        role: role || { $in: RESPONDER_ROLES },
+        isActive: true,
+        isBanned: false,
+        ...(department ? { department } : {}),
+        ...(jurisdiction ? { jurisdiction } : {})
+      }
+      : buildUnitFilter(req.user.user);
+
+    const members = await User.find(dutyStatus ? { ...filter, dutyStatus } : filter)
+      .select('fullName role department jurisdiction badgeNumber isSupervisor dutyStatus dutyStatusUpdatedAt currentLocation locationUpdatedAt')
+      .sort({ dutyStatus: 1, department: 1 });
+
+    const memberIds = members.map(member => member._id);
+
+    const [currentShifts, workload, statusCounts] = await Promise.all([
+      Shift.findCurrentForResponders(memberIds),
+      Incident.aggregate([
+        {
+          $match: {
+            currentAssignment: { $in: memberIds },
+            status: { $in: OPEN_INCIDENT_STATUSES }
+          }
+        },
+        { $group: { _id: '$currentAssignment', count: { $sum: 1 } } }
+      ]),
+      User.aggregate([
+        { $match: filter },
+        { $group: { _id: '$dutyStatus', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const shiftByResponder = new Map(currentShifts.map(shift => [shift.responder.toString(), shift]));
+    const workloadByResponder = new Map(workload.map(entry => [entry._id.toString(), entry.count]));
+
+    const summary = Object.values(DUTY_STATUS).reduce((counts, status) => ({ ...counts, [status]: 0 }), {});
+    statusCounts.forEach(entry => {
+      summary[entry._id || DUTY_STATUS.OFF_DUTY] += entry.count;
+    });
+
+    const response = {
+      success: true,
+      data: {
+        unit: {
+          role: typeof filter.role === 'string' ? filter.role : null,
+          department: filter.department || null,
+          jurisdiction: filter.jurisdiction || null
+        },
+        summary,
+        members: members.map(member => {
+          const shift = shiftByResponder.get(member._id.toString());
+          return {
+            id: member._id,
+            fullName: decryptSensitiveData(member.fullName),
+            role: member.role,
+            department: member.department,
+            jurisdiction: member.jurisdiction || null,
+            badgeNumber: member.badgeNumber || null,
+            isSupervisor: member.isSupervisor,
+            ...formatAvailability(member),
+            currentShift: shift ? formatShift(shift) : null,
+            openIncidents: workloadByResponder.get(member._id.toString()) || 0
+          };
+        })
+      },
+      message: `Retrieved ${members.length} unit members`
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Schedule a shift
+ * POST /api/duty/shifts
+ *
+ * Supervisors schedule members of their own unit; admins any responder
+ */
+const createShift = async (req, res, next) => {
+  try {
+    assertRosterManager(req.user);
+
+    const { responderId, startsAt, endsAt, notes } = req.body;
+    const responder = await findResponderOrFail(responderId);
+
+    if (req.user.role !== USER_ROLES.ADMIN && !isInUnit(req.user.user, responder)) {
+      const error = new Error('Responder is not in your unit');
+      error.statusCode = 403;
+      error.code = ERROR_CODES.INSUFFICIENT_PERMISSIONS;
+      throw error;
+    }
+
+    const overlapping = await Shift.findOverlapping(responder._id, startsAt, endsAt);
+
+    if (overlapping.length > 0) {
+      const error = new Error('Shift overlaps an existing shift');
+      error.statusCode = 409;
+      error.code = ERROR_CODES.SHIFT_OVERLAP;
+      error.details = {
+        overlappingShifts: overlapping.map(formatShift)
+      };
+      throw error;
+    }
+
+    const shift = await Shift.create({
+      responder: responder._id,
+      role: responder.role,
+      department: responder.department,
+      jurisdiction: responder.jurisdiction,
+      startsAt,
+      endsAt,
+      notes,
+      createdBy: req.user.userId
+    });
+
+    const response = {
+      success: true,
+      data: {
+        shift: formatShift(shift)
+      },
+      message: 'Shift scheduled successfully'
+    };
+
+    res.status(HTTP_STATUS.CREATED).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a shift
+ * DELETE /api/duty/shifts/:shiftId
+ *
+ * Supervisors cancel shifts in their own unit; admins any shift
+ */
+const deleteShift = async (req, res, next) => {
+  try {
+    assertRosterManager(req.user);
+
+    const shift = await Shift.findById(req.params.shiftId);
+
+    if (!shift) {
+      const error = new Error('Shift not found');
+      error.statusCode = 404;
+      error.code = ERROR_CODES.SHIFT_NOT_FOUND;
+      throw error;
+    }
+
+    if (req.user.role !== USER_ROLES.ADMIN && !isInUnit(req.user.user, shift)) {
+      const error = new Error('Shift is not in your unit');
+      error.statusCode = 403;
+      error.code = ERROR_CODES.INSUFFICIENT_PERMISSIONS;
+      throw error;
+    }
+
+    await shift.deleteOne();
+
+    const response = {
+      success: true,
+      data: {
+        shiftId: shift._id
+      },
+      message: 'Shift cancelled successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set supervisor flag
+ * PATCH /api/duty/responders/:userId/supervisor
+ *
+ * Grants or revokes roster management for a responder (admin only)
+ */
+const setSupervisor = async (req, res, next) => {
+  try {
+    const { isSupervisor } = req.body;
+    const responder = await findResponderOrFail(req.params.userId);
+
+    responder.isSupervisor = isSupervisor;
+    await responder.save();
+
+    const response = {
+      success: true,
+      data: {
+        userId: responder._id,
+        role: responder.role,
+        department: responder.department,
+        isSupervisor: responder.isSupervisor
+      },
+      message: isSupervisor ? 'Supervisor access granted' : 'Supervisor access revoked'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyDuty,
+  updateMyDutyStatus,
+  updateMyLocation,
+  getUnitRoster,
+  createShift,
+  deleteShift,
+  setSupervisor
+};
@@ -0,0 +1,370 @@
+/**
+ * Facility Controller
+ * Handles the hospital facility registry: admin CRUD, staff assignment,
+ * capacity and diversion updates by hospital staff, and ranked hospital
+ * recommendations for incidents
+ */
+
+const Facility = require('../models/Facility');
+const User = require('../models/User');
+const Incident = require('../models/Incident');
+const { recommendFacilities, isDiverting } = require('../services/facilityRecommendations');
+const { toSlug } = require('../utils/helpers');
+const {
+  USER_ROLES,
+  FACILITIES,
+  ERROR_CODES,
+  HTTP_STATUS
+} = require('../config/constants');
+
+/**
+ * Format a facility for API responses
+ * @param {object} facility - Facility document
+ * @returns {object} - Facility summary
+ */
+const formatFacility = (facility) => ({
+  id: facility._id,
+  name: facility.name,
+  code: facility.code,
+  location: {
+    latitude: facility.location.coordinates[1],
+    longitude: facility.location.coordinates[0]
+  },
+  address: facility.address || null,
+  phone: facility.phone || null,
+  licenseNumber: facility.licenseNumber || null,
+  specialties: facility.specialties || [],
+  wards: (facility.wards || []).map(ward => ({
+    ward: ward.ward,
+    totalBeds: ward.totalBeds,
+    availableBeds: ward.availableBeds,
+    updatedAt: ward.updatedAt
+  })),
+  capacityUpdatedAt: facility.capacityUpdatedAt || null,
+  diversion: {
+    status: facility.diversion?.status || 'open',
+    active: isDiverting(facility, FACILITIES.SPECIALTIES),
+    specialties: facility.diversion?.specialties || [],
+    reason: facility.diversion?.reason || null,
+    until: facility.diversion?.until || null,
+    updatedAt: facility.diversion?.updatedAt || null
+  },
+  isActive: facility.isActive,
+  ...(facility.distance !== undefined ? { distanceMeters: Math.round(facility.distance) } : {}),
+  createdAt: facility.createdAt,
+  updatedAt: facility.updatedAt
+});
+
+/**
+ * Load a facility by id or throw a 404 error
+ * @param {string} facilityId - Facility id
+ * @returns {Promise<object>} - Facility document
+ */
+const findFacilityOrFail = async (facilityId) => {
+  const facility = await Facility.findById(facilityId);
+  if (!facility) {
+    const error = new Error('Facility not found');
+    error.statusCode = 404;
+    error.code = ERROR_CODES.FACILITY_NOT_FOUND;
+    throw error;
+  }
+
+  return facility;
+};
+
+/**
+ * List facilities
+ * GET /api/facilities
+ *
+ * Lists active facilities by name, or by distance when a position is
+ * given. Can be narrowed to a specialty or to facilities accepting patients
+ */
+const listFacilities = async (req, res, next) => {
+  try {
+    const { latitude, longitude, radius, specialty, accepting, includeInactive } = req.query;
+
+    const filter = {};
+    if (specialty) {
+      filter.specialties = specialty;
+    }
+    if (!includeInactive || req.user.role !== USER_ROLES.ADMIN) {
+      filter.isActive = true;
+    }
+
+    let facilities;
+    if (latitude !== undefined && longitude !== undefined) {
+      facilities = await Facility.aggregate([
+        {
+          $geoNear: {
+            near: { type: 'Point', coordinates: [longitude, latitude] },
+            key: 'location',
+            distanceField: 'distance',
+            maxDistance: radius || FACILITIES.SEARCH_RADIUS_METERS,
+            spherical: true,
+            query: filter
+          }
+        },
+        { $limit: 100 }
+      ]);
+    } else {
+      facilities = await Facility.find(filter).sort({ name: 1 }).limit(100);
+    }
+
+    if (accepting) {
+      facilities = facilities.filter(facility => !isDiverting(facility, specialty ? [specialty] : []));
+    }
+
+    const response = {
+      success: true,
+      data: {
+        facilities: facilities.map(formatFacility)
+      },
+      message: `Retrieved ${facilities.length} facilities`
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get facility details
+ * GET /api/facilities/:id
+ */
+const getFacility = async (req, res, next) => {
+  try {
+    const facility = await findFacilityOrFail(req.params.id);
+
+    const response = {
+      success: true,
+      data: {
+        facility: formatFacility(facility)
+      },
+      message: 'Facility retrieved successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a facility
+ * POST /api/facilities
+ */
+const createFacility = async (req, res, next) => {
+  try {
+    const { name, code = toSlug(name), latitude, longitude, ...fields } = req.body;
+
+    if (await Facility.exists({ code })) {
+      const error = new Error(`A facility with code ${code} already exists`);
+      error.statusCode = 409;
+      error.code = ERROR_CODES.FACILITY_CODE_EXISTS;
+      error.details = { code };
+      throw error;
+    }
+
+    const facility = await new Facility({
+      ...fields,
+      name,
+      code,
+      location: { type: 'Point', coordinates: [longitude, latitude] },
+      capacityUpdatedAt: fields.wards ? new Date() : undefined,
+      createdBy: req.user.userId
+    }).save();
+
+    const response = {
+      success: true,
+      data: {
+        facility: formatFacility(facility)
+      },
+      message: 'Facility created successfully'
+    };
+
+    res.status(HTTP_STATUS.CREATED).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a facility
+ * PUT /api/facilities/:id
+ *
+ * Updates profile fields, specialties, the ward list or active state.
+ * Day-to-day bed counts go through the capacity endpoint
+ */
+const updateFacility = async (req, res, next) => {
+  try {
+    const facility = await findFacilityOrFail(req.params.id);
+    const { latitude, longitude, wards, ...fields } = req.body;
+
+    facility.set(fields);
+    if (latitude !== undefined && longitude !== undefined) {
+      facility.location = { type: 'Point', coordinates: [longitude, latitude] };
+    }
+    if (wards) {
+      facility.wards = wards;
+      facility.capacityUpdatedAt = new Date();
+      facility.capacityUpdatedBy = req.user.userId;
+    }
+
+    await facility.save();
+
+    const response = {
+      success: true,
+      data: {
+        facility: formatFacility(facility)
+      },
+      message: 'Facility updated successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update facility capacity
+ * PUT /api/facilities/:id/capacity
+ *
+ * Lets hospital staff of the facility report free beds per ward and start
+ * or end emergency room diversion
+ */
+const updateCapacity = async (req, res, next) => {
+  try {
+    const { wards, diversion } = req.body;
+    const facility = await findFacilityOrFail(req.params.id);
+
+    if (req.user.user?.facilityId?.toString() !== facility._id.toString()) {
+      const error = new Error('You can only update the capacity of your own facility');
+      error.statusCode = 403;
+      error.code = ERROR_CODES.INSUFFICIENT_PERMISSIONS;
+      error.details = { facilityId: facility._id };
+      throw error;
+    }
+
+    if (wards) {
+      facility.updateCapacity(wards, req.user.userId);
+    }
+    if (diversion) {
+      facility.setDiversion(diversion, req.user.userId);
+    }
+
+    await facility.save();
+
+    const response = {
+      success: true,
+      data: {
+        facility: formatFacility(facility)
+      },
+      message: 'Facility capacity updated successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Assign hospital staff to a facility
+ * PUT /api/facilities/:id/staff
+ */
+const assignStaff = async (req, res, next) => {
+  try {
+    const { userIds } = req.body;
+    const facility = await findFacilityOrFail(req.params.id);
+
+    const staff = await User.find({ _id: { $in: userIds }, role: USER_ROLES.HOSPITAL }).select('_id');
+    const staffIds = staff.map(member => member._id.toString());
+    const notStaff = userIds.filter(userId => !staffIds.includes(userId));
+
+    if (notStaff.length > 0) {
+      const error = new Error('Only hospital staff can be assigned to a facility');
+      error.statusCode = 400;
+      error.code = ERROR_CODES.INVALID_INPUT;
+      error.details = { userIds: notStaff };
+      throw error;
+    }
+
+    await User.updateMany({ _id: { $in: userIds } }, { $set: { facilityId: facility._id } });
+
+    const response = {
+      success: true,
+      data: {
+        facilityId: facility._id,
+        assignedStaff: staffIds
+      },
+      message: `Assigned ${staffIds.length} staff to ${facility.name}`
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Recommend hospitals for an incident
+ * GET /api/facilities/recommendations/:incidentId
+ *
+ * Ranks the nearest hospitals that offer the specialties the incident
+ * needs, are not diverting and have free beds; nearby hospitals that
+ * cannot take the patient are listed with the reasons
+ */
+const getRecommendations = async (req, res, next) => {
+  try {
+    const { specialties, limit } = req.query;
+
+    const incident = await Incident.findById(req.params.incidentId)
+      .select('type subtype tags severity department location status');
+
+    if (!incident) {
+      const error = new Error('Incident not found');
+      error.statusCode = 404;
+      error.code = ERROR_CODES.INCIDENT_NOT_FOUND;
+      throw error;
+    }
+
+    const result = await recommendFacilities(incident, {
+      specialties: specialties ? specialties.split(',') : undefined,
+      limit
+    });
+
+    const response = {
+      success: true,
+      data: {
+        incidentId: incident._id,
+        ...result
+      },
+      message: result.recommendations.length > 0
+        ? `Found ${result.recommendations.length} hospitals that can take the patient`
+        : 'No nearby hospital can take the patient'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listFacilities,
+  getFacility,
+  createFacility,
+  updateFacility,
+  updateCapacity,
+  assignStaff,
+  getRecommendations
+};
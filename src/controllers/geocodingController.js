@@ -0,0 +1,127 @@
+/**
+ * Geocoding Controller
+ * Proxies address and reverse lookups to the configured geocoding provider
+ * so the frontend never calls a geocoding API (or needs its key) directly
+ */
+
+const geocoding = require('../services/geocoding');
+const { HTTP_STATUS } = require('../config/constants');
+
+/**
+ * Format a geocoding result for API responses
+ * @param {object|null} result - Normalized geocoding result
+ * @returns {object|null} - Result with latitude/longitude location
+ */
+const formatResult = (result) => {
+  if (!result) {
+    return null;
+  }
+
+  return {
+    location: {
+      latitude: result.coordinates.lat,
+      longitude: result.coordinates.lng
+    },
+    formattedAddress: result.formattedAddress,
+    components: result.components,
+    placeId: result.placeId,
+    precision: result.precision,
+    provider: result.provider,
+    cached: result.cached,
+    ...(result.distanceMeters !== undefined ? { distanceMeters: result.distanceMeters } : {})
+  };
+};
+
+/**
+ * Geocode an address
+ * GET /api/geocode?address=
+ *
+ * A lookup that finds nothing is not an error: result is null
+ */
+const geocodeAddress = async (req, res, next) => {
+  try {
+    const { address } = req.query;
+
+    const result = await geocoding.geocode(address);
+
+    const response = {
+      success: true,
+      data: {
+        address,
+        result: formatResult(result)
+      },
+      message: result ? 'Address geocoded successfully' : 'No place found for the address'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reverse geocode coordinates
+ * GET /api/geocode/reverse?latitude=&longitude=
+ */
+const reverseGeocode = async (req, res, next) => {
+  try {
+    const { latitude, longitude } = req.query;
+
+    const result = await geocoding.reverseGeocode(latitude, longitude);
+
+    const response = {
+      success: true,
+      data: {
+        location: { latitude, longitude },
+        result: formatResult(result)
+      },
+      message: result ? 'Coordinates reverse geocoded successfully' : 'No place found near the coordinates'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Geocode several addresses
+ * POST /api/geocode/batch
+ *
+ * Each address gets its own result; failed lookups are reported per
+ * address instead of failing the batch
+ */
+const batchGeocode = async (req, res, next) => {
+  try {
+    const { addresses } = req.body;
+
+    const results = await geocoding.batchGeocode(addresses);
+    const found = results.filter(entry => entry.result).length;
+
+    const response = {
+      success: true,
+      data: {
+        results: results.map(entry => ({
+          address: entry.address,
+          success: entry.success,
+          result: formatResult(entry.result),
+          ...(entry.error ? { error: entry.error } : {})
+        }))
+      },
+      message: `Geocoded ${found} of ${addresses.length} addresses`
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  geocodeAddress,
+  reverseGeocode,
+  batchGeocode
+};
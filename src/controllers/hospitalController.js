@@ -0,0 +1,584 @@
+/**
+ * Hospital Controller
+ * Handles patient lookup, medical data access, and admission lifecycle for hospital staff
+ * Every access to patient data is recorded in the audit log
+ */
+
+const User = require('../models/User');
+const Incident = require('../models/Incident');
+const Admission = require('../models/Admission');
+const Facility = require('../models/Facility');
+const AuditLog = require('../models/AuditLog');
+const { alertContactsOfAdmission } = require('../services/contactAlerts');
+const { decryptSensitiveData } = require('../utils/encryption');
+const { buildRequestContext } = require('../utils/helpers');
+const {
+  ERROR_CODES,
+  HTTP_STATUS,
+  PAGINATION
+} = require('../config/constants');
+
+/**
+ * Statuses for admissions where the patient is still in hospital
+ */
+const ACTIVE_ADMISSION_FILTER = { $nin: ['discharged', 'transferred'] };
+
+/**
+ * Record a patient data access in the audit log
+ * @param {object} req - Express request object
+ * @param {object} details - Access details
+ * @param {string} details.action - Short action name (e.g. 'patient_search')
+ * @param {string} details.description - Human readable description
+ * @param {string} [details.patientId] - Accessed patient id
+ * @param {object} [details.metadata] - Additional metadata
+ * @returns {Promise<object|null>} - Audit log entry (null if logging failed)
+ */
+const logPatientAccess = (req, { action, description, patientId, metadata = {} }) => {
+  return AuditLog.logEvent({
+    eventType: 'patient_data_accessed',
+    action,
+    description,
+    userId: req.user.userId,
+    userModel: 'User',
+    userRole: req.user.role,
+    resourceType: 'User',
+    resourceId: patientId,
+    requestContext: buildRequestContext(req),
+    securityContext: {
+      authenticationMethod: 'jwt',
+      permissions: ['hospital.patientData'],
+      sensitiveDataAccessed: true,
+      encryptedDataAccessed: true
+    },
+    outcome: 'success',
+    statusCode: HTTP_STATUS.OK,
+    metadata: {
+      hospital: req.user.user?.department,
+      ...metadata
+    }
+  });
+};
+
+/**
+ * Mask a phone number, keeping only the last four digits
+ * @param {string} phone - Decrypted phone number
+ * @returns {string|null} - Masked phone number
+ */
+const maskPhone = (phone) => {
+  if (!phone) return null;
+  const digits = String(phone);
+  return `${'*'.repeat(Math.max(digits.length - 4, 0))}${digits.slice(-4)}`;
+};
+
+/**
+ * Load a patient by id or throw a 404 error
+ * @param {string} patientId - Patient (User) id
+ * @returns {Promise<object>} - User document
+ */
+const findPatientOrFail = async (patientId) => {
+  const patient = await User.findById(patientId);
+  if (!patient) {
+    const error = new Error('Patient not found');
+    error.statusCode = 404;
+    error.code = ERROR_CODES.USER_NOT_FOUND;
+    throw error;
+  }
+  return patient;
+};
+
+/**
+ * Load the patient's active admission at the requesting hospital or throw a 404 error
+ * @param {string} patientId - Patient (User) id
+ * @param {string} hospital - Hospital name (hospital user's department)
+ * @returns {Promise<object>} - Admission document
+ */
+const findActiveAdmissionOrFail = async (patientId, hospital) => {
+  const admission = await Admission.findOne({
+    patient: patientId,
+    hospital,
+    status: ACTIVE_ADMISSION_FILTER
+  }).sort({ admittedAt: -1 });
+
+  if (!admission) {
+    const error = new Error('No active admission found for patient at your hospital');
+    error.statusCode = 404;
+    error.code = ERROR_CODES.ADMISSION_NOT_FOUND;
+    error.details = { patientId, hospital };
+    throw error;
+  }
+
+  return admission;
+};
+
+/**
+ * Format admission for API responses
+ * @param {object} admission - Admission document
+ * @param {string} [patientName] - Decrypted patient name
+ * @returns {object} - Admission summary
+ */
+const formatAdmission = (admission, patientName) => ({
+  id: admission._id,
+  patientId: admission.patient?._id || admission.patient,
+  ...(patientName !== undefined && { patientName }),
+  incidentId: admission.incident?._id || admission.incident,
+  hospital: admission.hospital,
+  ward: admission.ward || null,
+  room: admission.room || null,
+  status: admission.status,
+  condition: admission.condition || null,
+  notes: admission.notes || null,
+  admittedAt: admission.admittedAt,
+  dischargedAt: admission.dischargedAt || null,
+  lengthOfStayHours: admission.lengthOfStayHours
+});
+
+/**
+ * Get hospital dashboard
+ * GET /api/hospital/dashboard
+ *
+ * Returns admission counters and current patients for the requesting hospital
+ */
+const getHospitalDashboard = async (req, res, next) => {
+  try {
+    const hospital = req.user.user?.department;
+
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+
+    const [
+      currentPatients,
+      criticalPatients,
+      admissionsToday,
+      dischargesToday,
+      stayStats,
+      currentAdmissions,
+      activeMedicalIncidents,
+      facility
+    ] = await Promise.all([
+      Admission.countDocuments({ hospital, status: ACTIVE_ADMISSION_FILTER }),
+      Admission.countDocuments({ hospital, status: 'critical' }),
+      Admission.countDocuments({ hospital, admittedAt: { $gte: startOfDay } }),
+      Admission.countDocuments({ hospital, dischargedAt: { $gte: startOfDay } }),
+      Admission.aggregate([
+        { $match: { hospital, dischargedAt: { $exists: true } } },
+        {
+          $group: {
+            _id: null,
+            averageStayMs: { $avg: { $subtract: ['$dischargedAt', '$admittedAt'] } }
+          }
+        }
+      ]),
+      Admission.find({ hospital, status: ACTIVE_ADMISSION_FILTER })
+        .populate('patient', 'fullName')
+        .sort({ admittedAt: -1 })
+        .limit(20),
+      Incident.countDocuments({
+        department: 'medical',
+        status: { $in: ['reported', 'verified', 'assigned', 'in_progress'] }
+      }),
+      req.user.user?.facilityId
+        ? Facility.findById(req.user.user.facilityId).select('name code wards diversion capacityUpdatedAt')
+        : null
+    ]);
+
+    const formattedAdmissions = currentAdmissions.map(admission => formatAdmission(
+      admission,
+      admission.patient?.fullName ? decryptSensitiveData(admission.patient.fullName) : null
+    ));
+
+    if (formattedAdmissions.length > 0) {
+      await logPatientAccess(req, {
+        action: 'hospital_dashboard_view',
+        description: `Hospital dashboard listed ${formattedAdmissions.length} current patients`,
+        metadata: { patientIds: formattedAdmissions.map(a => a.patientId) }
+      });
+    }
+
+    const averageStayHours = stayStats[0]?.averageStayMs
+      ? Math.round(stayStats[0].averageStayMs / (60 * 60 * 1000))
+      : 0;
+
+    const response = {
+      success: true,
+      data: {
+        hospital: hospital || null,
+        facility: facility ? {
+          id: facility._id,
+          name: facility.name,
+          code: facility.code,
+          wards: facility.wards,
+          diversion: facility.diversion,
+          capacityUpdatedAt: facility.capacityUpdatedAt || null
+        } : null,
+        currentPatients,
+        criticalPatients,
+        admissionsToday,
+        dischargesToday,
+        averageStay: averageStayHours,
+        activeMedicalIncidents,
+        currentAdmissions: formattedAdmissions,
+        recentAdmissions: formattedAdmissions.slice(0, 5)
+      },
+      message: 'Hospital dashboard data retrieved successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Search patients by phone or email
+ * POST /api/hospital/patients/search
+ *
+ * Phone lookups use the blind index so encrypted numbers are never scanned
+ */
+const searchPatients = async (req, res, next) => {
+  try {
+    const { type, query } = req.body;
+
+    const patient = type === 'phone'
+      ? await User.findByPhone(query)
+      : await User.findByEmail(query);
+
+    const results = [];
+    if (patient && patient.isActive) {
+      const decrypted = patient.getDecryptedData();
+      const lastAdmission = await Admission.findOne({ patient: patient._id })
+        .sort({ admittedAt: -1 })
+        .select('admittedAt status hospital');
+
+      results.push({
+        id: patient._id,
+        fullName: decrypted.fullName,
+        dateOfBirth: patient.dob,
+        gender: patient.gender,
+        phone: maskPhone(decrypted.phone),
+        email: patient.email,
+        bloodGroup: patient.bloodGroup,
+        lastVisit: lastAdmission?.admittedAt || null,
+        currentlyAdmitted: !!lastAdmission && !['discharged', 'transferred'].includes(lastAdmission.status)
+      });
+    }
+
+    await logPatientAccess(req, {
+      action: 'patient_search',
+      description: `Patient search by ${type} returned ${results.length} result(s)`,
+      patientId: patient?._id,
+      metadata: { searchType: type, resultCount: results.length }
+    });
+
+    const response = {
+      success: true,
+      data: results,
+      message: results.length > 0 ? 'Patient found' : 'No matching patient found'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get patient medical data
+ * GET /api/hospital/patients/:patientId
+ *
+ * Returns decrypted identity and medical information
+ */
+const getPatientData = async (req, res, next) => {
+  try {
+    const { patientId } = req.params;
+
+    const patient = await findPatientOrFail(patientId);
+    const decrypted = patient.getDecryptedData();
+    const activeAdmission = await Admission.findActiveForPatient(patient._id);
+
+    await logPatientAccess(req, {
+      action: 'patient_record_view',
+      description: 'Viewed patient medical record',
+      patientId: patient._id,
+      metadata: { fields: ['bloodGroup', 'allergies', 'medicalConditions', 'emergencyContacts'] }
+    });
+
+    const response = {
+      success: true,
+      data: {
+        id: patient._id,
+        fullName: decrypted.fullName,
+        dateOfBirth: patient.dob,
+        age: patient.age,
+        gender: patient.gender,
+        phone: decrypted.phone,
+        email: patient.email,
+        bloodGroup: decrypted.bloodGroup,
+        allergies: decrypted.allergies || [],
+        medicalConditions: decrypted.medicalConditions || [],
+        emergencyContacts: (decrypted.emergencyContacts || []).map(contact => ({
+          name: contact.name,
+          relation: contact.relation,
+          phone: contact.phone
+        })),
+        insurance: decrypted.insurance || null,
+        activeAdmission: activeAdmission ? formatAdmission(activeAdmission) : null
+      },
+      message: 'Patient data retrieved successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Admit a patient
+ * POST /api/hospital/patients/admit
+ *
+ * Creates an admission linked to the originating incident
+ */
+const admitPatient = async (req, res, next) => {
+  try {
+    const { patientId, incidentId, status, ward, room, condition, notes } = req.body;
+    const hospital = req.user.user?.department;
+
+    const [patient, incident] = await Promise.all([
+      findPatientOrFail(patientId),
+      Incident.findById(incidentId)
+    ]);
+
+    if (!incident) {
+      const error = new Error('Originating incident not found');
+      error.statusCode = 404;
+      error.code = ERROR_CODES.INCIDENT_NOT_FOUND;
+      error.details = { incidentId };
+      throw error;
+    }
+
+    const existingAdmission = await Admission.findActiveForPatient(patient._id);
+    if (existingAdmission) {
+      const error = new Error('Patient already has an active admission');
+      error.statusCode = 409;
+      error.code = ERROR_CODES.PATIENT_ALREADY_ADMITTED;
+      error.details = {
+        admissionId: existingAdmission._id,
+        hospital: existingAdmission.hospital,
+        admittedAt: existingAdmission.admittedAt
+      };
+      throw error;
+    }
+
+    const admission = new Admission({
+      patient: patient._id,
+      incident: incident._id,
+      hospital,
+      admittedBy: req.user.userId,
+      ward,
+      room,
+      status,
+      condition,
+      notes,
+      statusHistory: [{
+        status,
+        changedBy: req.user.userId,
+        notes: `Admitted from incident ${incident._id}`
+      }]
+    });
+    await admission.save();
+
+    // Tell the patient's emergency contacts where they are, if the patient opted in
+    alertContactsOfAdmission(admission, incident)
+      .catch(error => console.error(`Emergency contact alert error for admission ${admission._id}:`, error));
+
+    await logPatientAccess(req, {
+      action: 'patient_admit',
+      description: `Admitted patient from incident ${incident._id}`,
+      patientId: patient._id,
+      metadata: { admissionId: admission._id, incidentId: incident._id }
+    });
+
+    const response = {
+      success: true,
+      data: {
+        admission: formatAdmission(admission, decryptSensitiveData(patient.fullName)),
+        incident: {
+          id: incident._id,
+          title: incident.title,
+          type: incident.type,
+          status: incident.status
+        }
+      },
+      message: 'Patient admitted successfully'
+    };
+
+    res.status(HTTP_STATUS.CREATED).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update patient status
+ * PUT /api/hospital/patients/:patientId/status
+ *
+ * Updates the clinical status of the patient's active admission
+ */
+const updatePatientStatus = async (req, res, next) => {
+  try {
+    const { patientId } = req.params;
+    const { status, notes } = req.body;
+    const hospital = req.user.user?.department;
+
+    const admission = await findActiveAdmissionOrFail(patientId, hospital);
+    const previousStatus = admission.status;
+
+    await admission.updateStatus(status, req.user.userId, notes);
+
+    await logPatientAccess(req, {
+      action: 'patient_status_update',
+      description: `Updated patient status from ${previousStatus} to ${status}`,
+      patientId,
+      metadata: { admissionId: admission._id, previousStatus, newStatus: status }
+    });
+
+    const response = {
+      success: true,
+      data: {
+        admission: formatAdmission(admission),
+        previousStatus,
+        newStatus: admission.status
+      },
+      message: `Patient status updated to ${admission.status}`
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get patient admission history
+ * GET /api/hospital/patients/:patientId/history
+ *
+ * Returns all admissions for the patient with their originating incidents
+ */
+const getPatientHistory = async (req, res, next) => {
+  try {
+    const { patientId } = req.params;
+    const {
+      page = PAGINATION.DEFAULT_PAGE,
+      limit = PAGINATION.DEFAULT_LIMIT
+    } = req.query;
+
+    await findPatientOrFail(patientId);
+
+    const skip = (page - 1) * limit;
+
+    const [admissions, total] = await Promise.all([
+      Admission.find({ patient: patientId })
+        .populate('incident', 'title type severity status incidentTime')
+        .sort({ admittedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Admission.countDocuments({ patient: patientId })
+    ]);
+
+    await logPatientAccess(req, {
+      action: 'patient_history_view',
+      description: `Viewed ${admissions.length} admission record(s)`,
+      patientId,
+      metadata: { page, limit, total }
+    });
+
+    const totalPages = Math.ceil(total / limit);
+
+    const response = {
+      success: true,
+      data: {
+        admissions: admissions.map(admission => ({
+          ...formatAdmission(admission),
+          incident: admission.incident ? {
+            id: admission.incident._id,
+            title: admission.incident.title,
+            type: admission.incident.type,
+            severity: admission.incident.severity,
+            status: admission.incident.status,
+            incidentTime: admission.incident.incidentTime
+          } : null,
+          statusHistory: admission.statusHistory,
+          discharge: admission.discharge
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      },
+      message: `Retrieved ${admissions.length} admission records`
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Discharge a patient
+ * POST /api/hospital/patients/:patientId/discharge
+ *
+ * Closes the patient's active admission at the requesting hospital
+ */
+const dischargePatient = async (req, res, next) => {
+  try {
+    const { patientId } = req.params;
+    const hospital = req.user.user?.department;
+
+    const admission = await findActiveAdmissionOrFail(patientId, hospital);
+    await admission.dischargePatient(req.user.userId, req.body);
+
+    await logPatientAccess(req, {
+      action: 'patient_discharge',
+      description: `Discharged patient (${admission.discharge.disposition})`,
+      patientId,
+      metadata: { admissionId: admission._id, disposition: admission.discharge.disposition }
+    });
+
+    const response = {
+      success: true,
+      data: {
+        admission: {
+          ...formatAdmission(admission),
+          discharge: admission.discharge
+        }
+      },
+      message: 'Patient discharged successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getHospitalDashboard,
+  searchPatients,
+  getPatientData,
+  admitPatient,
+  updatePatientStatus,
+  getPatientHistory,
+  dischargePatient
+};
@@ -6,7 +6,23 @@
 
 const Incident = require('../models/Incident');
 const Guest = require('../models/Guest');
-const { calculateDistance } = require('../utils/helpers');
+const { calculateDistance, buildRequestContext } = require('../utils/helpers');
+const { buildSpatialFilter } = require('../utils/geoQuery');
+const { detectDuplicates } = require('../services/duplicateDetection');
+const { findNearbyReports } = require('../services/proximityCheck');
+const { clusterIncidents } = require('../services/mapClustering');
+const { dispatchIncident } = require('../services/dispatch');
+const {
+  canAccessInternalNotes,
+  getVisibleNoteTypes,
+  listNoteThreads
+} = require('../services/incidentNotes');
+const { signMediaUrls } = require('../services/mediaStorage');
+const { redactCaptureLocations } = require('../services/mediaProcessing');
+const {
+  getAllowedTransitions,
+  assertStatusTransition
+} = require('../config/statusTransitions');
 const { 
   INCIDENT_TYPES, 
   INCIDENT_STATUS, 
@@ -15,19 +31,158 @@ const {
   ERROR_CODES, 
   HTTP_STATUS,
   GEO_CONSTANTS,
-  PAGINATION
+  PAGINATION,
+  INCIDENT_NOTES,
+  PROXIMITY_CHECK
 } = require('../config/constants');
 
+/**
+ * Incident model type for each reportable incident type
+ */
+const MODEL_INCIDENT_TYPES = {
+  [INCIDENT_TYPES.ACCIDENT]: 'accident',
+  [INCIDENT_TYPES.FIRE]: 'fire',
+  [INCIDENT_TYPES.MEDICAL]: 'medical_emergency',
+  [INCIDENT_TYPES.NATURAL_DISASTER]: 'natural_disaster',
+  [INCIDENT_TYPES.CRIME]: 'crime',
+  [INCIDENT_TYPES.OTHER]: 'other'
+};
+
+/**
+ * Default responding department for each incident model type
+ */
+const TYPE_DEPARTMENTS = {
+  accident: 'traffic',
+  fire: 'fire',
+  medical_emergency: 'medical',
+  natural_disaster: 'municipal',
+  crime: 'police',
+  other: 'other'
+};
+
+/**
+ * Model fields behind the list sort options
+ */
+const LIST_SORT_FIELDS = {
+  upvotes: 'upvoteCount'
+};
+
+/**
+ * Build the type, status and date filters shared by incident list queries
+ * @param {object} filters - { type, status, startDate, endDate } from the query string
+ * @returns {object} - Mongo query
+ */
+const buildIncidentFilters = ({ type, status, startDate, endDate }) => {
+  const query = {};
+  
+  // Filter by type (API types map onto model types)
+  if (type && MODEL_INCIDENT_TYPES[type]) {
+    query.type = MODEL_INCIDENT_TYPES[type];
+  }
+  
+  // Filter by status
+  if (status && Object.values(INCIDENT_STATUS).includes(status)) {
+    query.status = status;
+  }
+  
+  // Date range filtering
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) {
+      query.createdAt.$gte = new Date(startDate);
+    }
+    if (endDate) {
+      query.createdAt.$lte = new Date(endDate);
+    }
+  }
+  
+  return query;
+};
+
+/**
+ * Format an incident for list and map views
+ * @param {object} incident - Incident document
+ * @param {object} origin - Search centre { latitude, longitude } (optional)
+ * @returns {object} - Incident summary without reporter details
+ */
+const formatIncidentListItem = (incident, origin = null) => {
+  const [longitude, latitude] = incident.location.coordinates;
+  
+  return {
+    incidentId: incident._id,
+    title: incident.title,
+    description: incident.description,
+    type: incident.type,
+    severity: incident.severity,
+    priority: incident.priority,
+    status: incident.status,
+    coordinates: { latitude, longitude },
+    upvotes: incident.upvoteCount,
+    mediaCount: incident.media.length,
+    ageInHours: incident.ageInHours,
+    reportedBy: {
+      // Don't expose reporter identity in list view
+      userType: incident.reportedByModel === 'Guest' ? USER_TYPES.GUEST : USER_TYPES.USER
+    },
+    createdAt: incident.createdAt,
+    ...(origin ? {
+      distance: Math.round(calculateDistance(origin.latitude, origin.longitude, latitude, longitude))
+    } : {})
+  };
+};
+
+/**
+ * Format a scored duplicate candidate for API responses
+ * @param {object} result - { incident, score, breakdown } from detectDuplicates
+ * @returns {object} - Candidate summary
+ */
+const formatDuplicateCandidate = ({ incident, score, breakdown }) => ({
+  incidentId: incident._id,
+  title: incident.title,
+  description: incident.description,
+  type: incident.type,
+  status: incident.status,
+  priority: incident.priority,
+  upvoteCount: incident.upvoteCount,
+  distance: Math.round(incident.distance),
+  reportedAt: incident.reportedAt,
+  score,
+  breakdown
+});
+
+/**
+ * Format a ranked nearby incident for the proximity check response
+ * @param {object} result - { incident, score, breakdown } from findNearbyReports
+ * @returns {object} - Nearby incident summary
+ */
+const formatNearbyIncident = ({ incident, score, breakdown }) => ({
+  id: incident._id,
+  title: incident.title,
+  description: incident.description,
+  type: incident.type,
+  severity: incident.severity,
+  priority: incident.priority,
+  status: incident.status,
+  upvotes: incident.upvoteCount,
+  distance: Math.round(incident.distance),
+  incidentTime: incident.incidentTime,
+  createdAt: incident.createdAt,
+  matchScore: score,
+  breakdown
+});
+
 /**
  * Create new incident
  * POST /api/incidents
  * 
  * Creates a new incident report with geolocation and media support
  * Handles both user and guest reporting with action count tracking
+ * Confident duplicates of an open incident are linked and merged into its
+ * upvotes; weaker matches are returned as suggestions
  */
 const createIncident = async (req, res, next) => {
   try {
-    const incidentData = req.body;
+    const { geoLocation, type, ...incidentFields } = req.body;
     const reporter = req.user;
     
     // Validate reporter information
@@ -38,6 +193,9 @@ const createIncident = async (req, res, next) => {
       throw error;
     }
     
+    let reporterId;
+    let reporterModel;
+    
     // Set reporter information based on user type
     if (req.isGuest) {
       // Handle guest reporting
@@ -63,26 +221,70 @@ const createIncident = async (req, res, next) => {
         throw error;
       }
       
-      incidentData.reportedBy = {
-        userType: USER_TYPES.GUEST,
-        guestId: guest._id
-      };
+      reporterId = guest._id;
+      reporterModel = 'Guest';
       
       // Increment guest action count
       await guest.incrementActionCount();
       
     } else {
       // Handle user reporting
-      incidentData.reportedBy = {
-        userType: USER_TYPES.USER,
-        userId: reporter.userId
-      };
+      reporterId = reporter.userId;
+      reporterModel = 'User';
+    }
+    
+    const { ipAddress, headers } = buildRequestContext(req);
+    const modelType = MODEL_INCIDENT_TYPES[type] || type;
+    
+    // Build incident
+    const incident = new Incident({
+      ...incidentFields,
+      type: modelType,
+      department: TYPE_DEPARTMENTS[modelType] || 'other',
+      location: geoLocation,
+      incidentTime: new Date(),
+      reportedBy: reporterId,
+      reportedByModel: reporterModel,
+      ipAddress,
+      userAgent: headers.userAgent
+    });
+    
+    // Score open incidents nearby; a confident match absorbs this report
+    const { match, suggestions } = await detectDuplicates(incident);
+    
+    if (match) {
+      incident.status = 'duplicate';
+      incident.duplicateOf = match.incident._id;
     }
     
-    // Create incident
-    const incident = new Incident(incidentData);
     await incident.save();
     
+    let duplicateOf = null;
+    
+    if (match) {
+      const existing = await Incident.findById(match.incident._id);
+      await existing.mergeDuplicate(incident, {
+        userId: reporterId,
+        userModel: reporterModel,
+        ipAddress,
+        userAgent: headers.userAgent
+      });
+      
+      duplicateOf = {
+        ...formatDuplicateCandidate(match),
+        upvoteCount: existing.upvoteCount
+      };
+    }
+    
+    // Dispatch failures must not fail the report; the incident stays unassigned
+    if (!match) {
+      try {
+        await dispatchIncident(incident);
+      } catch (error) {
+        console.error('Auto-dispatch error:', error);
+      }
+    }
+    
     // Prepare response
     const response = {
       success: true,
@@ -97,6 +299,8 @@ const createIncident = async (req, res, next) => {
           reportedBy: incident.reportedBy,
           createdAt: incident.createdAt
         },
+        duplicateOf,
+        duplicateSuggestions: suggestions.map(formatDuplicateCandidate),
         reporter: {
           type: req.isGuest ? 'guest' : 'user',
           actionsRemaining: req.isGuest ? 
@@ -104,7 +308,9 @@ const createIncident = async (req, res, next) => {
             null
         }
       },
-      message: 'Incident reported successfully'
+      message: duplicateOf ?
+        'Incident matched an existing report and was merged' :
+        'Incident reported successfully'
     };
     
     res.status(HTTP_STATUS.CREATED).json(response);
@@ -118,7 +324,8 @@ const createIncident = async (req, res, next) => {
  * Get incident by ID
  * GET /api/incidents/:id
  * 
- * Retrieves detailed incident information including media and upvote data
+ * Retrieves detailed incident information including media and upvote data,
+ * plus the latest note threads visible to the viewer
  */
 const getIncidentById = async (req, res, next) => {
   try {
@@ -146,11 +353,26 @@ const getIncidentById = async (req, res, next) => {
       }
     }
     
+    // Latest note threads the viewer may see (internal notes for responders only)
+    const notes = await listNoteThreads(incident, getVisibleNoteTypes(req.user, incident), {
+      limit: INCIDENT_NOTES.DETAIL_LIMIT
+    });
+    
+    // Photo capture locations reveal where the reporter stood, so only
+    // responders handling the incident see them
+    const incidentObject = incident.toObject();
+    if (!canAccessInternalNotes(req.user, incident)) {
+      incidentObject.media = redactCaptureLocations(incidentObject.media);
+    }
+    
     const response = {
       success: true,
       data: {
         incident: {
-          ...incident.toObject(),
+          ...incidentObject,
+          media: signMediaUrls(incidentObject.media),
+          notes: notes.threads,
+          noteThreadCount: notes.pagination.total,
           hasUpvoted,
           canUpvote: req.isAuthenticated && !hasUpvoted,
           canEdit: req.isAuthenticated && (
@@ -188,6 +410,8 @@ const listIncidents = async (req, res, next) => {
       lat,
       lng,
       radius = GEO_CONSTANTS.DEFAULT_RADIUS_METERS,
+      bbox,
+      polygon,
       sortBy = 'createdAt',
       sortOrder = 'desc',
       startDate,
@@ -195,128 +419,33 @@ const listIncidents = async (req, res, next) => {
     } = req.query;
     
     // Build query
-    const query = {};
-    
-    // Filter by type
-    if (type && Object.values(INCIDENT_TYPES).includes(type)) {
-      query.type = type;
-    }
+    const query = buildIncidentFilters({ type, status, startDate, endDate });
     
-    // Filter by status
-    if (status && Object.values(INCIDENT_STATUS).includes(status)) {
-      query.status = status;
-    }
-    
-    // Date range filtering
-    if (startDate || endDate) {
-      query.createdAt = {};
-      if (startDate) {
-        query.createdAt.$gte = new Date(startDate);
-      }
-      if (endDate) {
-        query.createdAt.$lte = new Date(endDate);
-      }
+    // Centre and radius, viewport bounding box or polygon on `location`
+    const spatial = buildSpatialFilter({ lat, lng, radius, bbox, polygon });
+    if (spatial) {
+      Object.assign(query, spatial.filter);
     }
     
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const sortDirection = sortOrder === 'desc' ? -1 : 1;
     
-    let incidents;
-    let totalIncidents;
+    const [incidents, totalIncidents] = await Promise.all([
+      Incident.find(query)
+        .sort({ [LIST_SORT_FIELDS[sortBy] || sortBy]: sortDirection })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Incident.countDocuments(query)
+    ]);
     
-    // Handle geospatial queries
-    if (lat && lng) {
-      const latitude = parseFloat(lat);
-      const longitude = parseFloat(lng);
-      const searchRadius = Math.min(parseInt(radius), GEO_CONSTANTS.MAX_RADIUS_METERS);
-      
-      // Validate coordinates
-      if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
-        const error = new Error('Invalid coordinates');
-        error.statusCode = 400;
-        error.code = ERROR_CODES.INVALID_INPUT;
-        error.details = {
-          latitude: { min: -90, max: 90, provided: latitude },
-          longitude: { min: -180, max: 180, provided: longitude }
-        };
-        throw error;
-      }
-      
-      // Build geospatial query using $geoWithin for better compatibility
-      const geoQuery = {
-        ...query,
-        geoLocation: {
-          $geoWithin: {
-            $centerSphere: [
-              [longitude, latitude],
-              searchRadius / 6378100 // Convert meters to radians (Earth radius in meters)
-            ]
-          }
-        }
-      };
-      
-      // Execute geospatial query
-      const [geoIncidents, geoTotal] = await Promise.all([
-        Incident.find(geoQuery)
-          .populate('reportedBy.userId', 'email role')
-          .populate('reportedBy.guestId', 'guestId')
-          .sort({ [sortBy]: sortDirection })
-          .skip(skip)
-          .limit(parseInt(limit)),
-        Incident.countDocuments(geoQuery)
-      ]);
-      
-      incidents = geoIncidents;
-      totalIncidents = geoTotal;
-      
-    } else {
-      // Regular query without geospatial filtering
-      const [regularIncidents, regularTotal] = await Promise.all([
-        Incident.find(query)
-          .populate('reportedBy.userId', 'email role')
-          .populate('reportedBy.guestId', 'guestId')
-          .sort({ [sortBy]: sortDirection })
-          .skip(skip)
-          .limit(parseInt(limit)),
-        Incident.countDocuments(query)
-      ]);
-      
-      incidents = regularIncidents;
-      totalIncidents = regularTotal;
-    }
-    
-    // Format incident data for list view
-    const formattedIncidents = incidents.map(incident => ({
-      incidentId: incident._id,
-      title: incident.title,
-      type: incident.type,
-      status: incident.status,
-      coordinates: incident.coordinates,
-      upvotes: incident.upvotes,
-      mediaCount: incident.mediaCount,
-      ageInHours: incident.ageInHours,
-      reportedBy: {
-        userType: incident.reportedBy.userType,
-        // Don't expose sensitive reporter details in list view
-        reporterId: incident.reporterId
-      },
-      createdAt: incident.createdAt,
-      // Include distance if geospatial query was used
-      ...(lat && lng && incident.geoLocation ? {
-        distance: calculateDistance(
-          parseFloat(lat), 
-          parseFloat(lng), 
-          incident.geoLocation.coordinates[1], 
-          incident.geoLocation.coordinates[0]
-        )
-      } : {})
-    }));
+    // Distance is only meaningful from a search centre
+    const origin = spatial && spatial.searchType === 'geospatial' ? spatial.area : null;
     
     const response = {
       success: true,
       data: {
-        incidents: formattedIncidents,
+        incidents: incidents.map(incident => formatIncidentListItem(incident, origin)),
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -328,15 +457,68 @@ const listIncidents = async (req, res, next) => {
         filters: {
           type,
           status,
-          location: lat && lng ? { latitude: parseFloat(lat), longitude: parseFloat(lng), radius: parseInt(radius) } : null,
+          location: origin,
+          area: spatial ? spatial.area : null,
           dateRange: startDate || endDate ? { startDate, endDate } : null,
           sortBy,
           sortOrder
         },
         summary: {
           totalResults: totalIncidents,
-          searchType: lat && lng ? 'geospatial' : 'standard'
+          searchType: spatial ? spatial.searchType : 'standard'
+        }
+      },
+      message: 'Incidents retrieved successfully'
+    };
+    
+    res.status(HTTP_STATUS.OK).json(response);
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get incidents by location
+ * GET /api/incidents/by-location
+ * 
+ * Lists incidents around a point, nearest first, with the same type, status
+ * and date filters as the incident list
+ */
+const getIncidentsByLocation = async (req, res, next) => {
+  try {
+    const {
+      latitude,
+      longitude,
+      radius = GEO_CONSTANTS.DEFAULT_RADIUS_METERS,
+      limit = 50,
+      type,
+      status,
+      startDate,
+      endDate
+    } = req.query;
+    
+    const searchRadius = Math.min(parseInt(radius), GEO_CONSTANTS.MAX_RADIUS_METERS);
+    const query = {
+      ...buildIncidentFilters({ type, status, startDate, endDate }),
+      location: {
+        $nearSphere: {
+          $geometry: { type: 'Point', coordinates: [longitude, latitude] },
+          $maxDistance: searchRadius
         }
+      }
+    };
+    
+    const incidents = await Incident.find(query).limit(parseInt(limit));
+    
+    const origin = { latitude, longitude, radius: searchRadius };
+    
+    const response = {
+      success: true,
+      data: {
+        incidents: incidents.map(incident => formatIncidentListItem(incident, origin)),
+        searchArea: origin,
+        total: incidents.length
       },
       message: 'Incidents retrieved successfully'
     };
@@ -348,6 +530,47 @@ const listIncidents = async (req, res, next) => {
   }
 };
 
+/**
+ * Get map clusters
+ * GET /api/incidents/clusters
+ * 
+ * Groups incidents in a map viewport into grid cells with counts by severity
+ * and type. Single-incident cells, and every incident at high zoom, are
+ * returned individually
+ */
+const getIncidentClusters = async (req, res, next) => {
+  try {
+    const { bbox, zoom, type, status, startDate, endDate } = req.query;
+    
+    const spatial = buildSpatialFilter({ bbox });
+    const query = {
+      ...buildIncidentFilters({ type, status, startDate, endDate }),
+      ...spatial.filter
+    };
+    
+    const result = await clusterIncidents(query, parseInt(zoom));
+    
+    const response = {
+      success: true,
+      data: {
+        mode: result.mode,
+        zoom: parseInt(zoom),
+        bbox: spatial.area.bbox,
+        clusters: result.clusters,
+        incidents: result.incidents.map(incident => formatIncidentListItem(incident)),
+        total: result.total,
+        truncated: result.truncated
+      },
+      message: 'Incident clusters retrieved successfully'
+    };
+    
+    res.status(HTTP_STATUS.OK).json(response);
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Update incident
  * PUT /api/incidents/:id
@@ -406,6 +629,13 @@ const updateIncident = async (req, res, next) => {
       delete updateData.createdAt;
     }
     
+    // Status changes must follow the state machine
+    if (updateData.status && updateData.status !== incident.status) {
+      assertStatusTransition(incident.status, updateData.status, user.role);
+      incident.modifiedBy = user.userId;
+      incident.modifiedByModel = 'User';
+    }
+    
     // Update incident
     Object.keys(updateData).forEach(key => {
       if (updateData[key] !== undefined) {
@@ -435,6 +665,62 @@ const updateIncident = async (req, res, next) => {
   }
 };
 
+/**
+ * Update incident status
+ * PATCH /api/incidents/:id/status
+ * 
+ * Applies a transition from the status state machine; the transition must
+ * exist for the current status and be permitted for the caller's role
+ */
+const updateIncidentStatus = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status, reason, notes } = req.body;
+    const user = req.user;
+    
+    const incident = await Incident.findById(id);
+    
+    if (!incident) {
+      const error = new Error('Incident not found');
+      error.statusCode = 404;
+      error.code = ERROR_CODES.INCIDENT_NOT_FOUND;
+      throw error;
+    }
+    
+    const previousStatus = incident.status;
+    
+    await incident.updateStatus(
+      status,
+      user.userId,
+      'User',
+      reason || `Status updated by ${user.role}`,
+      notes,
+      user.role
+    );
+    
+    const response = {
+      success: true,
+      data: {
+        incidentId: incident._id,
+        previousStatus,
+        newStatus: incident.status,
+        allowedTransitions: getAllowedTransitions(incident.status, user.role),
+        updatedBy: {
+          userId: user.userId,
+          role: user.role
+        },
+        updatedAt: incident.updatedAt
+      },
+      message: `Incident status updated to ${incident.status}`
+    };
+    
+    res.status(HTTP_STATUS.OK).json(response);
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Delete incident
  * DELETE /api/incidents/:id
@@ -605,6 +891,171 @@ const upvoteIncident = async (req, res, next) => {
   }
 };
 
+/**
+ * Check for nearby reports
+ * POST /api/incidents/check-proximity
+ * 
+ * Lists open incidents near the caller ranked by distance, type match and
+ * recency, so the caller can join one instead of filing a new report
+ */
+const checkProximity = async (req, res, next) => {
+  try {
+    const { location, type } = req.body;
+    const { latitude, longitude, radius = PROXIMITY_CHECK.DEFAULT_RADIUS_METERS } = location;
+    
+    const results = await findNearbyReports({
+      latitude,
+      longitude,
+      radius,
+      type: type ? MODEL_INCIDENT_TYPES[type] || type : undefined
+    });
+    
+    const response = {
+      success: true,
+      data: {
+        nearbyIncidents: results.map(formatNearbyIncident),
+        hasNearbyIncidents: results.length > 0,
+        searchArea: {
+          center: { latitude, longitude },
+          radius
+        }
+      },
+      message: results.length > 0 ?
+        `Found ${results.length} active incidents nearby` :
+        'No active incidents nearby'
+    };
+    
+    res.status(HTTP_STATUS.OK).json(response);
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Join an existing report
+ * POST /api/incidents/:id/join
+ * 
+ * Upvotes an open incident and/or adds information to it instead of filing
+ * a new report. Counts as a single guest action
+ */
+const joinIncident = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { location, upvote = true, information } = req.body;
+    
+    if (!upvote && !information) {
+      const error = new Error('Joining a report requires an upvote or additional information');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      error.code = ERROR_CODES.INVALID_INPUT;
+      throw error;
+    }
+    
+    const incident = await Incident.findById(id);
+    
+    if (!incident) {
+      const error = new Error('Incident not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      error.code = ERROR_CODES.INCIDENT_NOT_FOUND;
+      throw error;
+    }
+    
+    if (!incident.isActive) {
+      const error = new Error('Only active incidents can be joined');
+      error.statusCode = HTTP_STATUS.CONFLICT;
+      error.code = ERROR_CODES.INCIDENT_NOT_JOINABLE;
+      error.details = { status: incident.status };
+      throw error;
+    }
+    
+    const [incidentLongitude, incidentLatitude] = incident.location.coordinates;
+    const distance = Math.round(
+      calculateDistance(location.latitude, location.longitude, incidentLatitude, incidentLongitude)
+    );
+    
+    if (distance > PROXIMITY_CHECK.JOIN_RADIUS_METERS) {
+      const error = new Error('You are too far from this incident to join its report');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      error.code = ERROR_CODES.LOCATION_OUT_OF_RANGE;
+      error.details = { distance, maxDistance: PROXIMITY_CHECK.JOIN_RADIUS_METERS };
+      throw error;
+    }
+    
+    let guest = null;
+    let participantId = req.user.userId;
+    let participantModel = 'User';
+    
+    if (req.isGuest) {
+      guest = await Guest.findOne({ guestId: req.user.guestId });
+      
+      if (!guest) {
+        const error = new Error('Guest not found');
+        error.statusCode = HTTP_STATUS.NOT_FOUND;
+        error.code = ERROR_CODES.GUEST_NOT_FOUND;
+        throw error;
+      }
+      
+      if (!guest.canPerformAction) {
+        const error = new Error('Guest has reached maximum action limit');
+        error.statusCode = HTTP_STATUS.FORBIDDEN;
+        error.code = ERROR_CODES.GUEST_ACTION_LIMIT_EXCEEDED;
+        error.details = {
+          remainingActions: guest.remainingDailyActions,
+          suggestion: 'Register as a user to continue reporting incidents'
+        };
+        throw error;
+      }
+      
+      participantId = guest._id;
+      participantModel = 'Guest';
+    }
+    
+    const { ipAddress, headers } = buildRequestContext(req);
+    const upvoted = upvote && !incident.isCountedFor(participantId, participantModel);
+    
+    await incident.joinReport({
+      userId: participantId,
+      userModel: participantModel,
+      ipAddress,
+      userAgent: headers.userAgent,
+      location: { type: 'Point', coordinates: [location.longitude, location.latitude] },
+      distance
+    }, { upvote, information });
+    
+    // Upvote and information together are one guest action
+    if (guest) {
+      await guest.recordAction('incident_upvote', {
+        incidentId: incident._id,
+        joinedReport: true,
+        upvoted,
+        informationAdded: Boolean(information)
+      }, req);
+    }
+    
+    const response = {
+      success: true,
+      data: {
+        incidentId: incident._id,
+        upvoted,
+        alreadyCounted: upvote && !upvoted,
+        informationAdded: Boolean(information),
+        upvotes: incident.upvoteCount,
+        distance,
+        participant: {
+          type: req.isGuest ? 'guest' : 'user',
+          actionsRemaining: guest ? guest.remainingDailyActions : null
+        }
+      },
+      message: 'Joined the existing incident report'
+    };
+    
+    res.status(HTTP_STATUS.OK).json(response);
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get incidents by reporter
  * GET /api/incidents/my-reports
@@ -730,8 +1181,13 @@ module.exports = {
   getIncidentById,
   listIncidents,
   updateIncident,
+  updateIncidentStatus,
   deleteIncident,
+  getIncidentsByLocation,
+  getIncidentClusters,
   upvoteIncident,
+  checkProximity,
+  joinIncident,
   getMyIncidents,
   getIncidentStatistics
 };
\ No newline at end of file
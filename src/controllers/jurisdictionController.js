@@ -0,0 +1,429 @@
+/**
+ * Jurisdiction Controller
+ * Handles jurisdiction boundaries: admin CRUD, GeoJSON import, officer
+ * assignment and point lookups. Boundary changes re-stamp open incidents
+ */
+
+const Jurisdiction = require('../models/Jurisdiction');
+const User = require('../models/User');
+const Incident = require('../models/Incident');
+const { restampIncidents } = require('../services/jurisdictions');
+const { parseBoundary } = require('../utils/geoQuery');
+const { createValidationError, toSlug } = require('../utils/helpers');
+const {
+  USER_ROLES,
+  JURISDICTIONS,
+  ERROR_CODES,
+  HTTP_STATUS
+} = require('../config/constants');
+
+/**
+ * MongoDB error code for geometries a 2dsphere index cannot store
+ * (self-intersecting rings, duplicate vertices)
+ */
+const INVALID_GEOMETRY_ERROR = 16755;
+
+/**
+ * Format a jurisdiction for API responses
+ * @param {object} jurisdiction - Jurisdiction document
+ * @param {object} [options] - { includeBoundary }
+ * @returns {object} - Jurisdiction summary
+ */
+const formatJurisdiction = (jurisdiction, { includeBoundary = false } = {}) => ({
+  id: jurisdiction._id,
+  name: jurisdiction.name,
+  code: jurisdiction.code,
+  departments: jurisdiction.departments,
+  description: jurisdiction.description || null,
+  isActive: jurisdiction.isActive,
+  source: jurisdiction.source,
+  ...(includeBoundary ? { boundary: jurisdiction.boundary } : {}),
+  createdAt: jurisdiction.createdAt,
+  updatedAt: jurisdiction.updatedAt
+});
+
+/**
+ * Load a jurisdiction by id or throw a 404 error
+ * @param {string} jurisdictionId - Jurisdiction id
+ * @returns {Promise<object>} - Jurisdiction document
+ */
+const findJurisdictionOrFail = async (jurisdictionId) => {
+  const jurisdiction = await Jurisdiction.findById(jurisdictionId);
+  if (!jurisdiction) {
+    const error = new Error('Jurisdiction not found');
+    error.statusCode = 404;
+    error.code = ERROR_CODES.JURISDICTION_NOT_FOUND;
+    throw error;
+  }
+
+  return jurisdiction;
+};
+
+/**
+ * Save a jurisdiction, reporting boundaries MongoDB cannot index as
+ * validation errors
+ * @param {object} jurisdiction - Jurisdiction document
+ * @returns {Promise<object>} - Saved document
+ */
+const saveJurisdiction = async (jurisdiction) => {
+  try {
+    return await jurisdiction.save();
+  } catch (error) {
+    if (error.code === INVALID_GEOMETRY_ERROR) {
+      throw createValidationError('boundary is not a valid polygon; rings must not cross themselves', {
+        code: jurisdiction.code
+      });
+    }
+    throw error;
+  }
+};
+
+/**
+ * List jurisdictions
+ * GET /api/jurisdictions
+ *
+ * Lists jurisdictions, optionally for one department; boundaries are only
+ * included on request. Inactive jurisdictions are listed for admins only
+ */
+const listJurisdictions = async (req, res, next) => {
+  try {
+    const { department, includeBoundary, includeInactive } = req.query;
+
+    const filter = {};
+    if (department) {
+      filter.departments = department;
+    }
+    if (!includeInactive || req.user.role !== USER_ROLES.ADMIN) {
+      filter.isActive = true;
+    }
+
+    const query = Jurisdiction.find(filter).sort({ name: 1 });
+    if (!includeBoundary) {
+      query.select('-boundary');
+    }
+    const jurisdictions = await query;
+
+    const response = {
+      success: true,
+      data: {
+        jurisdictions: jurisdictions.map(jurisdiction => formatJurisdiction(jurisdiction, { includeBoundary }))
+      },
+      message: `Retrieved ${jurisdictions.length} jurisdictions`
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Find the jurisdiction containing a point
+ * GET /api/jurisdictions/lookup
+ *
+ * Returns the active jurisdiction of a department whose boundary contains
+ * the point, or null
+ */
+const lookupJurisdiction = async (req, res, next) => {
+  try {
+    const { latitude, longitude, department } = req.query;
+
+    const jurisdiction = await Jurisdiction.findContaining([longitude, latitude], department)
+      .select('-boundary');
+
+    const response = {
+      success: true,
+      data: {
+        location: { latitude, longitude },
+        department,
+        jurisdiction: jurisdiction ? formatJurisdiction(jurisdiction) : null
+      },
+      message: jurisdiction
+        ? `Location is in jurisdiction ${jurisdiction.code}`
+        : 'Location is outside every jurisdiction'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get jurisdiction details
+ * GET /api/jurisdictions/:id
+ *
+ * Returns the jurisdiction with its boundary, assigned officers and the
+ * number of open incidents stamped with it
+ */
+const getJurisdiction = async (req, res, next) => {
+  try {
+    const jurisdiction = await findJurisdictionOrFail(req.params.id);
+
+    const [officerCount, openIncidentCount] = await Promise.all([
+      User.countDocuments({ jurisdictionId: jurisdiction._id, isActive: true }),
+      Incident.countDocuments({
+        jurisdictionId: jurisdiction._id,
+        status: { $in: JURISDICTIONS.RESTAMP_STATUSES }
+      })
+    ]);
+
+    const response = {
+      success: true,
+      data: {
+        jurisdiction: formatJurisdiction(jurisdiction, { includeBoundary: true }),
+        officerCount,
+        openIncidentCount
+      },
+      message: 'Jurisdiction retrieved successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a jurisdiction
+ * POST /api/jurisdictions
+ *
+ * Stores a boundary and stamps open incidents inside it
+ */
+const createJurisdiction = async (req, res, next) => {
+  try {
+    const { name, code = toSlug(name), departments, boundary, description } = req.body;
+
+    if (await Jurisdiction.exists({ code })) {
+      const error = new Error(`A jurisdiction with code ${code} already exists`);
+      error.statusCode = 409;
+      error.code = ERROR_CODES.JURISDICTION_CODE_EXISTS;
+      error.details = { code };
+      throw error;
+    }
+
+    const jurisdiction = await saveJurisdiction(new Jurisdiction({
+      name,
+      code,
+      departments,
+      boundary: parseBoundary(boundary),
+      description,
+      createdBy: req.user.userId,
+      updatedBy: req.user.userId
+    }));
+
+    const incidents = await restampIncidents(jurisdiction);
+
+    const response = {
+      success: true,
+      data: {
+        jurisdiction: formatJurisdiction(jurisdiction, { includeBoundary: true }),
+        incidents
+      },
+      message: 'Jurisdiction created successfully'
+    };
+
+    res.status(HTTP_STATUS.CREATED).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Import jurisdictions from GeoJSON
+ * POST /api/jurisdictions/import
+ *
+ * Creates or updates one jurisdiction per Polygon or MultiPolygon feature,
+ * keyed by the `code` property (or the slug of `name`). Features without
+ * `departments` use the departments given in the query. Failed features
+ * are reported without stopping the import
+ */
+const importJurisdictions = async (req, res, next) => {
+  try {
+    const features = req.body.type === 'Feature' ? [req.body] : req.body.features;
+    const defaultDepartments = req.query.departments?.split(',');
+    const results = [];
+
+    for (const [index, feature] of features.entries()) {
+      const properties = feature.properties || {};
+      const code = properties.code ? String(properties.code).toLowerCase() : toSlug(properties.name);
+
+      try {
+        if (!properties.name || !code) {
+          throw createValidationError('Feature needs a name property');
+        }
+
+        const departments = typeof properties.departments === 'string'
+          ? properties.departments.split(',').map(department => department.trim())
+          : properties.departments || defaultDepartments;
+
+        const existing = await Jurisdiction.findOne({ code });
+        const jurisdiction = existing || new Jurisdiction({ code, createdBy: req.user.userId });
+
+        jurisdiction.set({
+          name: properties.name,
+          departments,
+          boundary: parseBoundary(feature.geometry),
+          description: properties.description,
+          isActive: true,
+          source: 'import',
+          updatedBy: req.user.userId
+        });
+
+        await saveJurisdiction(jurisdiction);
+        const incidents = await restampIncidents(jurisdiction);
+
+        results.push({ index, code, id: jurisdiction._id, action: existing ? 'updated' : 'created', incidents });
+      } catch (error) {
+        results.push({ index, code: code || null, action: 'failed', error: error.message });
+      }
+    }
+
+    const count = (action) => results.filter(result => result.action === action).length;
+    const summary = { created: count('created'), updated: count('updated'), failed: count('failed') };
+
+    const response = {
+      success: true,
+      data: { summary, results },
+      message: `Imported ${summary.created + summary.updated} of ${features.length} jurisdictions`
+    };
+
+    res.status(summary.created > 0 ? HTTP_STATUS.CREATED : HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a jurisdiction
+ * PUT /api/jurisdictions/:id
+ *
+ * Updates name, departments, boundary, description or active state; open
+ * incidents are re-stamped when the area or departments change
+ */
+const updateJurisdiction = async (req, res, next) => {
+  try {
+    const jurisdiction = await findJurisdictionOrFail(req.params.id);
+    const { boundary, ...fields } = req.body;
+
+    jurisdiction.set({
+      ...fields,
+      ...(boundary ? { boundary: parseBoundary(boundary) } : {}),
+      updatedBy: req.user.userId
+    });
+
+    const areaChanged = ['boundary', 'departments', 'isActive'].some(path => jurisdiction.isModified(path));
+
+    await saveJurisdiction(jurisdiction);
+    const incidents = areaChanged ? await restampIncidents(jurisdiction) : null;
+
+    const response = {
+      success: true,
+      data: {
+        jurisdiction: formatJurisdiction(jurisdiction, { includeBoundary: true }),
+        incidents
+      },
+      message: 'Jurisdiction updated successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate a jurisdiction
+ * DELETE /api/jurisdictions/:id
+ *
+ * Jurisdictions are deactivated rather than removed so incident and
+ * officer references stay valid; open incidents are re-stamped
+ */
+const deleteJurisdiction = async (req, res, next) => {
+  try {
+    const jurisdiction = await findJurisdictionOrFail(req.params.id);
+
+    jurisdiction.isActive = false;
+    jurisdiction.updatedBy = req.user.userId;
+    await jurisdiction.save();
+
+    const incidents = await restampIncidents(jurisdiction);
+
+    const response = {
+      success: true,
+      data: {
+        jurisdiction: formatJurisdiction(jurisdiction),
+        incidents
+      },
+      message: 'Jurisdiction deactivated successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Assign officers to a jurisdiction
+ * PUT /api/jurisdictions/:id/officers
+ *
+ * Links police officers to the jurisdiction by id and sets their
+ * jurisdiction text to its code
+ */
+const assignOfficers = async (req, res, next) => {
+  try {
+    const { userIds } = req.body;
+    const jurisdiction = await findJurisdictionOrFail(req.params.id);
+
+    const officers = await User.find({ _id: { $in: userIds }, role: USER_ROLES.POLICE }).select('_id');
+    const officerIds = officers.map(officer => officer._id.toString());
+    const notOfficers = userIds.filter(userId => !officerIds.includes(userId));
+
+    if (notOfficers.length > 0) {
+      const error = new Error('Only police officers can be assigned to a jurisdiction');
+      error.statusCode = 400;
+      error.code = ERROR_CODES.INVALID_INPUT;
+      error.details = { userIds: notOfficers };
+      throw error;
+    }
+
+    await User.updateMany(
+      { _id: { $in: userIds } },
+      { $set: { jurisdictionId: jurisdiction._id, jurisdiction: jurisdiction.code } }
+    );
+
+    const response = {
+      success: true,
+      data: {
+        jurisdictionId: jurisdiction._id,
+        code: jurisdiction.code,
+        assignedOfficers: officerIds
+      },
+      message: `Assigned ${officerIds.length} officers to jurisdiction ${jurisdiction.code}`
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listJurisdictions,
+  lookupJurisdiction,
+  getJurisdiction,
+  createJurisdiction,
+  importJurisdictions,
+  updateJurisdiction,
+  deleteJurisdiction,
+  assignOfficers
+};
@@ -0,0 +1,216 @@
+/**
+ * Media Controller
+ * Handles attaching uploaded photos and videos to incidents: quota checks,
+ * uploads through the storage adapter and rollback when the incident cannot
+ * be saved
+ */
+
+const Incident = require('../models/Incident');
+const Guest = require('../models/Guest');
+const {
+  uploadMedia,
+  rollbackUploads,
+  validateFile,
+  signMediaUrls
+} = require('../services/mediaStorage');
+const { checkMediaEvidence, toMediaExif } = require('../services/mediaProcessing');
+const {
+  INCIDENT_MEDIA,
+  ERROR_CODES,
+  HTTP_STATUS
+} = require('../config/constants');
+
+/**
+ * Build an incident media entry from an uploaded file
+ * Photos with EXIF data are cross-checked against the incident
+ * @param {object} file - File object from multer
+ * @param {object} upload - Result from uploadMedia
+ * @param {object} uploader - { id, model }
+ * @param {object} incident - Incident the media is attached to
+ * @returns {object} - mediaFileSchema entry
+ */
+const buildMediaEntry = (file, upload, uploader, incident) => {
+  const entry = {
+    cloudinaryId: upload.publicId,
+    storageProvider: upload.provider,
+    publicUrl: upload.publicUrl || upload.url,
+    secureUrl: upload.url,
+    fileName: file.originalname.slice(0, 255),
+    fileType: file.mimetype.split('/')[0],
+    mimeType: file.mimetype,
+    fileSize: upload.bytes || file.size,
+    uploadedAt: new Date(),
+    uploadedBy: uploader.id,
+    uploadedByModel: uploader.model,
+    exif: toMediaExif(upload.exif),
+    evidenceCheck: checkMediaEvidence(upload.exif, incident) || undefined,
+    metadataStripped: Boolean(upload.metadataStripped)
+  };
+
+  if (upload.width && upload.height) {
+    entry.dimensions = { width: upload.width, height: upload.height };
+  }
+
+  if (upload.duration) {
+    entry.duration = upload.duration;
+  }
+
+  return entry;
+};
+
+/**
+ * Format an incident media entry for API responses
+ * @param {object} media - Incident media subdocument
+ * @returns {object} - Media summary
+ */
+const formatMedia = (media) => ({
+  id: media._id,
+  url: media.secureUrl,
+  fileName: media.fileName,
+  fileType: media.fileType,
+  mimeType: media.mimeType,
+  fileSize: media.fileSize,
+  dimensions: media.dimensions && media.dimensions.width ? media.dimensions : null,
+  duration: media.duration ?? null,
+  uploadedAt: media.uploadedAt,
+  uploadedByModel: media.uploadedByModel,
+  capturedAt: media.exif ? media.exif.capturedAt || null : null,
+  evidenceFlags: media.evidenceCheck ? media.evidenceCheck.flags : [],
+  metadataStripped: media.metadataStripped
+});
+
+/**
+ * Attach media to an incident
+ * POST /api/incidents/:id/media
+ *
+ * Accepts multipart files under any field name, uploads them to the
+ * configured storage provider and saves them on the incident in one write. Uploads are deleted again if
+ * any upload or the save fails. Guests are limited to a daily media quota.
+ */
+const uploadIncidentMedia = async (req, res, next) => {
+  try {
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      const error = new Error('No media files provided');
+      error.statusCode = 400;
+      error.code = ERROR_CODES.MISSING_REQUIRED_FIELD;
+      throw error;
+    }
+
+    const invalidFiles = files
+      .map(file => ({ fileName: file.originalname, errors: validateFile(file).errors }))
+      .filter(result => result.errors.length > 0);
+
+    if (invalidFiles.length > 0) {
+      const error = new Error('One or more media files are invalid');
+      error.statusCode = 400;
+      error.code = ERROR_CODES.FILE_UPLOAD_ERROR;
+      error.details = { files: invalidFiles };
+      throw error;
+    }
+
+    const incident = await Incident.findById(req.params.id);
+
+    if (!incident) {
+      const error = new Error('Incident not found');
+      error.statusCode = 404;
+      error.code = ERROR_CODES.INCIDENT_NOT_FOUND;
+      throw error;
+    }
+
+    const remainingSlots = INCIDENT_MEDIA.MAX_FILES - incident.media.length;
+    if (files.length > remainingSlots) {
+      const error = new Error(`An incident can have at most ${INCIDENT_MEDIA.MAX_FILES} media files`);
+      error.statusCode = 400;
+      error.code = ERROR_CODES.TOO_MANY_FILES;
+      error.details = {
+        maxFiles: INCIDENT_MEDIA.MAX_FILES,
+        currentFiles: incident.media.length,
+        remainingSlots: Math.max(0, remainingSlots)
+      };
+      throw error;
+    }
+
+    let guest = null;
+    let uploader = { id: req.user.userId, model: 'User' };
+
+    if (req.isGuest) {
+      guest = await Guest.findOne({ guestId: req.user.guestId });
+
+      if (!guest) {
+        const error = new Error('Guest not found');
+        error.statusCode = 404;
+        error.code = ERROR_CODES.GUEST_NOT_FOUND;
+        throw error;
+      }
+
+      // Each file is recorded as a guest action, so both quotas must cover the request
+      const remainingUploads = Math.min(guest.remainingDailyMediaUploads, guest.remainingDailyActions);
+
+      if (!guest.canPerformAction || files.length > remainingUploads) {
+        const error = new Error('Guest has reached the daily media upload limit');
+        error.statusCode = 403;
+        error.code = ERROR_CODES.GUEST_ACTION_LIMIT_EXCEEDED;
+        error.details = {
+          requested: files.length,
+          remainingUploads,
+          suggestion: 'Register as a user to upload more media'
+        };
+        throw error;
+      }
+
+      uploader = { id: guest._id, model: 'Guest' };
+    }
+
+    // Upload one at a time so a failure leaves a known set to roll back
+    const uploads = [];
+    try {
+      for (const file of files) {
+        uploads.push(await uploadMedia(file.buffer, {
+          folder: `incidents/${incident._id}`,
+          mimeType: file.mimetype,
+          tags: ['emergency', 'incident', incident.type]
+        }));
+      }
+
+      await incident.addMedia(files.map((file, index) => buildMediaEntry(file, uploads[index], uploader, incident)));
+    } catch (error) {
+      await rollbackUploads(uploads);
+      throw error;
+    }
+
+    if (guest) {
+      for (const file of files) {
+        await guest.recordAction('media_upload', {
+          incidentId: incident._id,
+          fileSize: file.size
+        }, req);
+      }
+    }
+
+    const added = signMediaUrls(incident.media.slice(-files.length).map(media => media.toObject()));
+
+    const response = {
+      success: true,
+      data: {
+        incidentId: incident._id,
+        media: added.map(formatMedia),
+        mediaCount: incident.media.length,
+        verificationScore: incident.verificationScore,
+        remainingSlots: INCIDENT_MEDIA.MAX_FILES - incident.media.length,
+        ...(guest && { remainingGuestUploads: guest.remainingDailyMediaUploads })
+      },
+      message: `Attached ${added.length} media files`
+    };
+
+    res.status(HTTP_STATUS.CREATED).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  uploadIncidentMedia
+};
@@ -0,0 +1,195 @@
+/**
+ * Note Controller
+ * Handles threaded notes on incidents: listing the threads a viewer may
+ * see, posting internal or public notes and replies, and editing notes
+ */
+
+const Incident = require('../models/Incident');
+const IncidentNote = require('../models/IncidentNote');
+const {
+  canAccessInternalNotes,
+  getVisibleNoteTypes,
+  formatNote,
+  listNoteThreads
+} = require('../services/incidentNotes');
+const { NOTE_VISIBILITY, ERROR_CODES, HTTP_STATUS } = require('../config/constants');
+
+/**
+ * Load an incident by id or throw a 404 error
+ * @param {string} incidentId - Incident id
+ * @returns {Promise<object>} - Incident document
+ */
+const findIncidentOrFail = async (incidentId) => {
+  const incident = await Incident.findById(incidentId);
+
+  if (!incident) {
+    const error = new Error('Incident not found');
+    error.statusCode = 404;
+    error.code = ERROR_CODES.INCIDENT_NOT_FOUND;
+    throw error;
+  }
+
+  return incident;
+};
+
+/**
+ * Load a note on an incident visible to the viewer or throw a 404 error
+ * Notes the viewer may not see are reported as missing
+ * @param {object} incident - Incident document
+ * @param {string} noteId - Note id
+ * @param {Array<string>} visibilities - Visible NOTE_VISIBILITY values
+ * @returns {Promise<object>} - IncidentNote document
+ */
+const findNoteOrFail = async (incident, noteId, visibilities) => {
+  const note = await IncidentNote.findOne({
+    _id: noteId,
+    incident: incident._id,
+    visibility: { $in: visibilities }
+  });
+
+  if (!note) {
+    const error = new Error('Note not found');
+    error.statusCode = 404;
+    error.code = ERROR_CODES.NOTE_NOT_FOUND;
+    throw error;
+  }
+
+  return note;
+};
+
+/**
+ * List incident notes
+ * GET /api/incidents/:id/notes
+ *
+ * Returns paginated threads; internal notes are only included for
+ * admins and the responders handling the incident
+ */
+const getIncidentNotes = async (req, res, next) => {
+  try {
+    const { page, limit, visibility } = req.query;
+    const incident = await findIncidentOrFail(req.params.id);
+
+    const { threads, pagination } = await listNoteThreads(
+      incident,
+      getVisibleNoteTypes(req.user, incident),
+      { page, limit, visibility }
+    );
+
+    const response = {
+      success: true,
+      data: {
+        incidentId: incident._id,
+        notes: threads,
+        pagination,
+        canPostInternal: canAccessInternalNotes(req.user, incident)
+      },
+      message: `Retrieved ${threads.length} note threads`
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add an incident note
+ * POST /api/incidents/:id/notes
+ *
+ * Replies join the top-level thread of the note they answer and take its
+ * visibility; internal notes require responder access to the incident
+ */
+const createIncidentNote = async (req, res, next) => {
+  try {
+    const { content, parentNoteId, attachments } = req.body;
+    let { visibility = NOTE_VISIBILITY.PUBLIC } = req.body;
+
+    const incident = await findIncidentOrFail(req.params.id);
+    const visibilities = getVisibleNoteTypes(req.user, incident);
+
+    let parentNote = null;
+    if (parentNoteId) {
+      const parent = await findNoteOrFail(incident, parentNoteId, visibilities);
+      parentNote = parent.parentNote || parent._id;
+      visibility = parent.visibility;
+    }
+
+    if (!visibilities.includes(visibility)) {
+      const error = new Error('Internal notes are limited to responders handling this incident');
+      error.statusCode = 403;
+      error.code = ERROR_CODES.INSUFFICIENT_PERMISSIONS;
+      error.details = {
+        userRole: req.user.role,
+        visibility
+      };
+      throw error;
+    }
+
+    const note = await incident.addNote(req.user.userId, req.user.role, content, {
+      visibility,
+      parentNote,
+      attachments
+    });
+
+    const response = {
+      success: true,
+      data: {
+        incidentId: incident._id,
+        note: formatNote(note, incident)
+      },
+      message: parentNote ? 'Reply added successfully' : 'Note added successfully'
+    };
+
+    res.status(HTTP_STATUS.CREATED).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Edit an incident note
+ * PATCH /api/incidents/:id/notes/:noteId
+ *
+ * Only the author may edit; the previous content is kept in the edit history
+ */
+const updateIncidentNote = async (req, res, next) => {
+  try {
+    const { content } = req.body;
+
+    const incident = await findIncidentOrFail(req.params.id);
+    const note = await findNoteOrFail(incident, req.params.noteId, getVisibleNoteTypes(req.user, incident));
+
+    if (note.author.toString() !== req.user.userId.toString()) {
+      const error = new Error('Only the author can edit this note');
+      error.statusCode = 403;
+      error.code = ERROR_CODES.INSUFFICIENT_PERMISSIONS;
+      throw error;
+    }
+
+    if (note.content !== content) {
+      await note.edit(content, req.user.userId);
+    }
+
+    const response = {
+      success: true,
+      data: {
+        incidentId: incident._id,
+        note: formatNote(note, incident)
+      },
+      message: 'Note updated successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getIncidentNotes,
+  createIncidentNote,
+  updateIncidentNote
+};
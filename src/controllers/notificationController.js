@@ -0,0 +1,277 @@
+/**
+ * Notification Controller
+ * Handles users' notification channel preferences, Web Push subscriptions
+ * and delivery log, and the notification health report for admins
+ */
+
+const User = require('../models/User');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const { TEMPLATES } = require('../services/notificationTemplates');
+const { getNotificationHealth } = require('../services/notifications');
+const { NOTIFICATIONS_CONFIG, DEFAULT_CHANNEL_PREFERENCES } = require('../config/notifications');
+const { ERROR_CODES, HTTP_STATUS, USER_ROLES } = require('../config/constants');
+
+/**
+ * Format a user's notification settings for API responses
+ * @param {object} user - User document with pushSubscriptions selected
+ * @returns {object} - Preferences, push subscriptions and the events users can mute
+ */
+const formatSettings = (user) => {
+  const preferences = user.notificationPreferences || {};
+
+  return {
+    preferences: {
+      ...Object.fromEntries(Object.entries(DEFAULT_CHANNEL_PREFERENCES)
+        .map(([channel, enabled]) => [channel, preferences[channel] ?? enabled])),
+      webhookUrl: preferences.webhookUrl || null,
+      mutedEvents: preferences.mutedEvents || []
+    },
+    pushSubscriptions: (user.pushSubscriptions || []).map(subscription => ({
+      endpoint: subscription.endpoint,
+      userAgent: subscription.userAgent || null,
+      createdAt: subscription.createdAt
+    })),
+    events: Object.entries(TEMPLATES).filter(([, template]) => !template.toContacts).map(([event, template]) => ({
+      event,
+      description: template.description,
+      channels: Object.keys(template.channels),
+      mandatory: Boolean(template.mandatory)
+    })),
+    vapidPublicKey: NOTIFICATIONS_CONFIG.PUSH.VAPID_PUBLIC_KEY || null
+  };
+};
+
+/**
+ * Load the current user with push subscriptions or throw a 404 error
+ * @param {string} userId - User id
+ * @returns {Promise<object>} - User document
+ */
+const findUserOrFail = async (userId) => {
+  const user = await User.findById(userId).select('+pushSubscriptions');
+  if (!user) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    error.code = ERROR_CODES.USER_NOT_FOUND;
+    throw error;
+  }
+
+  return user;
+};
+
+/**
+ * Get notification settings
+ * GET /api/notifications/preferences
+ */
+const getPreferences = async (req, res, next) => {
+  try {
+    const user = await findUserOrFail(req.user.userId);
+
+    const response = {
+      success: true,
+      data: formatSettings(user),
+      message: 'Notification preferences retrieved successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update notification preferences
+ * PUT /api/notifications/preferences
+ *
+ * Turns channels on or off, sets the webhook URL and mutes events.
+ * Mandatory events such as password resets cannot be muted
+ */
+const updatePreferences = async (req, res, next) => {
+  try {
+    const user = await findUserOrFail(req.user.userId);
+    const { webhookUrl, ...preferences } = req.body;
+
+    user.set(Object.fromEntries(Object.entries(preferences)
+      .map(([field, value]) => [`notificationPreferences.${field}`, value])));
+    if (webhookUrl !== undefined) {
+      user.set('notificationPreferences.webhookUrl', webhookUrl || undefined);
+    }
+
+    if (user.notificationPreferences.webhook && !user.notificationPreferences.webhookUrl) {
+      const error = new Error('A webhook URL is required to enable webhook notifications');
+      error.statusCode = 400;
+      error.code = ERROR_CODES.VALIDATION_ERROR;
+      error.details = { field: 'webhookUrl' };
+      throw error;
+    }
+
+    await user.save();
+
+    const response = {
+      success: true,
+      data: formatSettings(user),
+      message: 'Notification preferences updated successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Register a Web Push subscription
+ * POST /api/notifications/push-subscriptions
+ *
+ * Re-registering an endpoint replaces it. Users keep up to
+ * PUSH.MAX_SUBSCRIPTIONS_PER_USER subscriptions; the oldest is dropped
+ */
+const addPushSubscription = async (req, res, next) => {
+  try {
+    const { endpoint, keys } = req.body;
+    const user = await findUserOrFail(req.user.userId);
+
+    const subscriptions = (user.pushSubscriptions || [])
+      .filter(subscription => subscription.endpoint !== endpoint);
+    subscriptions.push({
+      endpoint,
+      keys,
+      userAgent: req.get('User-Agent')?.substring(0, 500),
+      createdAt: new Date()
+    });
+
+    user.pushSubscriptions = subscriptions.slice(-NOTIFICATIONS_CONFIG.PUSH.MAX_SUBSCRIPTIONS_PER_USER);
+    await user.save();
+
+    const response = {
+      success: true,
+      data: formatSettings(user),
+      message: 'Push subscription saved successfully'
+    };
+
+    res.status(HTTP_STATUS.CREATED).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a Web Push subscription
+ * DELETE /api/notifications/push-subscriptions
+ */
+const removePushSubscription = async (req, res, next) => {
+  try {
+    const { endpoint } = req.body;
+    const user = await findUserOrFail(req.user.userId);
+
+    user.pushSubscriptions = (user.pushSubscriptions || [])
+      .filter(subscription => subscription.endpoint !== endpoint);
+    await user.save();
+
+    const response = {
+      success: true,
+      data: formatSettings(user),
+      message: 'Push subscription removed successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List notification deliveries
+ * GET /api/notifications/deliveries
+ *
+ * Lists the current user's delivery log, newest first. Admins can pass a
+ * userId to see another user's deliveries
+ */
+const listDeliveries = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, channel, event, userId } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = { userId: userId && req.user.role === USER_ROLES.ADMIN ? userId : req.user.userId };
+    if (status) {
+      filter.status = status;
+    }
+    if (channel) {
+      filter.channel = channel;
+    }
+    if (event) {
+      filter.event = event;
+    }
+
+    const [deliveries, totalDeliveries] = await Promise.all([
+      NotificationDelivery.find(filter).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+      NotificationDelivery.countDocuments(filter)
+    ]);
+
+    const response = {
+      success: true,
+      data: {
+        deliveries,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: totalDeliveries,
+          pages: Math.ceil(totalDeliveries / parseInt(limit)),
+          hasNext: skip + parseInt(limit) < totalDeliveries,
+          hasPrev: parseInt(page) > 1
+        }
+      },
+      message: `Retrieved ${deliveries.length} deliveries`
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get notification health
+ * GET /api/notifications/health
+ *
+ * Reports the configured transport, each channel's configuration and the
+ * delivery backlog
+ */
+const getHealth = async (req, res, next) => {
+  try {
+    const [health, backlog] = await Promise.all([
+      getNotificationHealth(),
+      NotificationDelivery.aggregate([
+        { $match: { status: { $in: ['pending', 'retrying'] } } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const response = {
+      success: true,
+      data: {
+        ...health,
+        backlog: Object.fromEntries(backlog.map(entry => [entry._id, entry.count]))
+      },
+      message: health.healthy ? 'Notification channels are available' : 'No notification channel is available'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPreferences,
+  updatePreferences,
+  addPushSubscription,
+  removePushSubscription,
+  listDeliveries,
+  getHealth
+};
@@ -0,0 +1,623 @@
+/**
+ * Police Controller
+ * Handles officer workflows: dashboard overview, claiming incidents,
+ * status updates, case notes, and backup requests
+ */
+
+const Incident = require('../models/Incident');
+const User = require('../models/User');
+const IncidentNote = require('../models/IncidentNote');
+const AuditLog = require('../models/AuditLog');
+const {
+  buildJurisdictionFilter,
+  buildIncidentsInJurisdictionFilter,
+  isInOfficerJurisdiction,
+  findJurisdiction,
+  getJurisdictionRef
+} = require('../services/jurisdictions');
+const { buildRequestContext } = require('../utils/helpers');
+const {
+  USER_ROLES,
+  ERROR_CODES,
+  HTTP_STATUS,
+  PAGINATION,
+  RESPONDER_DEPARTMENTS,
+  DUTY_STATUS,
+  NOTE_VISIBILITY
+} = require('../config/constants');
+
+/**
+ * Incident departments handled by police officers
+ */
+const POLICE_DEPARTMENTS = RESPONDER_DEPARTMENTS[USER_ROLES.POLICE];
+
+/**
+ * Statuses for incidents that still require a response
+ */
+const ACTIVE_STATUSES = ['reported', 'verified', 'assigned', 'in_progress'];
+
+/**
+ * Statuses an incident must be in before it can be claimed
+ */
+const CLAIMABLE_STATUSES = ['reported', 'verified'];
+
+/**
+ * Format incident for officer-facing lists
+ * @param {object} incident - Incident document
+ * @returns {object} - Incident summary
+ */
+const formatIncidentSummary = (incident) => ({
+  id: incident._id,
+  title: incident.title,
+  description: incident.description,
+  type: incident.type,
+  severity: incident.severity,
+  status: incident.status,
+  priority: incident.priority,
+  department: incident.department,
+  jurisdiction: incident.jurisdiction || null,
+  jurisdictionId: incident.jurisdictionId || null,
+  location: {
+    coordinates: incident.location?.coordinates,
+    address: incident.address?.formattedAddress || null
+  },
+  upvotes: incident.upvoteCount,
+  currentAssignment: incident.currentAssignment || null,
+  reportedAt: incident.reportedAt,
+  createdAt: incident.createdAt,
+  updatedAt: incident.updatedAt
+});
+
+/**
+ * Load an incident by id or throw a 404 error
+ * @param {string} incidentId - Incident id
+ * @param {string} [select] - Optional projection (e.g. 'status assignments')
+ * @returns {Promise<object>} - Incident document
+ */
+const findIncidentOrFail = async (incidentId, select) => {
+  const query = Incident.findById(incidentId);
+  if (select) {
+    query.select(select);
+  }
+
+  const incident = await query;
+  if (!incident) {
+    const error = new Error('Incident not found');
+    error.statusCode = 404;
+    error.code = ERROR_CODES.INCIDENT_NOT_FOUND;
+    throw error;
+  }
+
+  return incident;
+};
+
+/**
+ * Ensure the requesting user may act on the incident
+ * Admins may act on any incident; officers only on incidents assigned to them
+ * @param {object} incident - Incident document
+ * @param {object} reqUser - Authenticated user context
+ */
+const assertAssignedOfficer = (incident, reqUser) => {
+  if (reqUser.role === USER_ROLES.ADMIN) {
+    return;
+  }
+
+  if (!incident.currentAssignment || incident.currentAssignment.toString() !== reqUser.userId.toString()) {
+    const error = new Error('Incident is not assigned to you');
+    error.statusCode = 403;
+    error.code = ERROR_CODES.INSUFFICIENT_PERMISSIONS;
+    error.details = {
+      incidentId: incident._id,
+      currentAssignment: incident.currentAssignment || null
+    };
+    throw error;
+  }
+};
+
+/**
+ * Get police officer dashboard
+ * GET /api/police/dashboard
+ *
+ * Returns workload counters and recent activity for the authenticated officer
+ */
+const getPoliceDashboard = async (req, res, next) => {
+  try {
+    const officerId = req.user.userId;
+    const officer = req.user.user;
+
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+
+    const areaFilter = {
+      department: { $in: POLICE_DEPARTMENTS },
+      ...buildJurisdictionFilter(officer)
+    };
+
+    const [
+      assignedCount,
+      inProgressCount,
+      resolvedToday,
+      highPriorityCount,
+      unassignedCount,
+      recentIncidents
+    ] = await Promise.all([
+      Incident.countDocuments({ currentAssignment: officerId, status: 'assigned' }),
+      Incident.countDocuments({ currentAssignment: officerId, status: 'in_progress' }),
+      Incident.countDocuments({
+        currentAssignment: officerId,
+        status: { $in: ['resolved', 'closed'] },
+        resolvedAt: { $gte: startOfDay }
+      }),
+      Incident.countDocuments({
+        ...areaFilter,
+        status: { $in: ACTIVE_STATUSES },
+        priority: { $in: ['high', 'critical'] }
+      }),
+      Incident.countDocuments({
+        ...areaFilter,
+        status: { $in: CLAIMABLE_STATUSES }
+      }),
+      Incident.find({ currentAssignment: officerId })
+        .select('title status statusHistory updatedAt')
+        .sort({ updatedAt: -1 })
+        .limit(10)
+    ]);
+
+    // Flatten status history of recently touched incidents into an activity feed
+    const recentActivity = recentIncidents
+      .flatMap(incident => incident.statusHistory.map(entry => ({
+        type: entry.status,
+        incidentId: incident._id,
+        message: `${incident.title} marked as ${entry.status.replace(/_/g, ' ')}`,
+        timestamp: entry.timestamp
+      })))
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, 10);
+
+    const response = {
+      success: true,
+      data: {
+        assignedCount,
+        inProgressCount,
+        resolvedToday,
+        highPriorityCount,
+        unassignedCount,
+        jurisdiction: officer?.jurisdiction || null,
+        jurisdictionId: officer?.jurisdictionId || null,
+        department: officer?.department || null,
+        recentActivity
+      },
+      message: 'Police dashboard data retrieved successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Claim an incident
+ * POST /api/police/incidents/:id/claim
+ *
+ * Assigns an unassigned incident to the requesting officer
+ */
+const claimIncident = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { notes } = req.body;
+    const officerId = req.user.userId;
+    const officer = req.user.user;
+
+    const incident = await findIncidentOrFail(id);
+
+    if (!POLICE_DEPARTMENTS.includes(incident.department)) {
+      const error = new Error('Incident is not handled by the police department');
+      error.statusCode = 403;
+      error.code = ERROR_CODES.INSUFFICIENT_PERMISSIONS;
+      error.details = {
+        department: incident.department,
+        allowedDepartments: POLICE_DEPARTMENTS
+      };
+      throw error;
+    }
+
+    if (!isInOfficerJurisdiction(incident, officer)) {
+      const error = new Error('Incident is outside your jurisdiction');
+      error.statusCode = 403;
+      error.code = ERROR_CODES.INSUFFICIENT_PERMISSIONS;
+      error.details = {
+        incidentJurisdiction: incident.jurisdiction || null,
+        officerJurisdiction: officer.jurisdiction || null
+      };
+      throw error;
+    }
+
+    if (!CLAIMABLE_STATUSES.includes(incident.status)) {
+      const error = new Error('Incident cannot be claimed in its current status');
+      error.statusCode = 409;
+      error.code = ERROR_CODES.INCIDENT_ALREADY_ASSIGNED;
+      error.details = {
+        status: incident.status,
+        currentAssignment: incident.currentAssignment || null,
+        claimableStatuses: CLAIMABLE_STATUSES
+      };
+      throw error;
+    }
+
+    await incident.assignTo(officerId, officerId, incident.priority, notes || 'Claimed by officer', { source: 'self' });
+
+    // A self-claimed assignment is accepted immediately
+    const assignment = incident.assignments[incident.assignments.length - 1];
+    await incident.acceptAssignment(assignment);
+
+    const response = {
+      success: true,
+      data: {
+        incident: formatIncidentSummary(incident),
+        assignment: {
+          id: assignment._id,
+          assignedTo: assignment.assignedTo,
+          status: assignment.status,
+          priority: assignment.priority,
+          assignedAt: assignment.assignedAt,
+          acceptedAt: assignment.acceptedAt
+        }
+      },
+      message: 'Incident claimed successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get incidents assigned to the officer
+ * GET /api/police/incidents/assigned
+ *
+ * Returns active incidents currently assigned to the requesting officer
+ */
+const getAssignedIncidents = async (req, res, next) => {
+  try {
+    const {
+      page = PAGINATION.DEFAULT_PAGE,
+      limit = PAGINATION.DEFAULT_LIMIT,
+      status,
+      priority
+    } = req.query;
+
+    const filter = {
+      currentAssignment: req.user.userId,
+      status: status || { $in: ['assigned', 'in_progress'] }
+    };
+    if (priority) {
+      filter.priority = priority;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [incidents, total] = await Promise.all([
+      Incident.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Incident.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    const response = {
+      success: true,
+      data: {
+        incidents: incidents.map(formatIncidentSummary),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      },
+      message: `Retrieved ${incidents.length} assigned incidents`
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get incidents within a jurisdiction
+ * GET /api/police/incidents/jurisdiction/:jurisdictionId
+ *
+ * Accepts a jurisdiction id or code. Codes without a stored boundary are
+ * matched against the jurisdiction text of incidents and officers.
+ * Officers may only view their own jurisdiction; admins may view any
+ */
+const getIncidentsByJurisdiction = async (req, res, next) => {
+  try {
+    const { jurisdictionId } = req.params;
+    const {
+      page = PAGINATION.DEFAULT_PAGE,
+      limit = PAGINATION.DEFAULT_LIMIT,
+      status,
+      priority
+    } = req.query;
+
+    const jurisdiction = await findJurisdiction(jurisdictionId);
+    const code = jurisdiction ? jurisdiction.code : jurisdictionId;
+
+    const officer = req.user.user;
+    const isOwnJurisdiction = jurisdiction && officer?.jurisdictionId
+      ? officer.jurisdictionId.toString() === jurisdiction._id.toString()
+      : officer?.jurisdiction === code;
+
+    if (req.user.role === USER_ROLES.POLICE && !isOwnJurisdiction) {
+      const error = new Error('You can only view incidents in your own jurisdiction');
+      error.statusCode = 403;
+      error.code = ERROR_CODES.INSUFFICIENT_PERMISSIONS;
+      error.details = {
+        requestedJurisdiction: jurisdictionId,
+        officerJurisdiction: officer?.jurisdiction || null
+      };
+      throw error;
+    }
+
+    const filter = {
+      department: { $in: POLICE_DEPARTMENTS },
+      ...(jurisdiction ? buildIncidentsInJurisdictionFilter(jurisdiction) : { jurisdiction: code }),
+      status: status || { $in: ACTIVE_STATUSES }
+    };
+    if (priority) {
+      filter.priority = priority;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [incidents, total, officers] = await Promise.all([
+      Incident.find(filter)
+        .sort({ reportedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Incident.countDocuments(filter),
+      User.findByJurisdiction(jurisdiction || code)
+        .where('role').equals(USER_ROLES.POLICE)
+        .select('email badgeNumber department jurisdiction dutyStatus lastLogin')
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    const response = {
+      success: true,
+      data: {
+        jurisdiction: code,
+        jurisdictionId: jurisdiction ? jurisdiction._id : null,
+        jurisdictionName: jurisdiction ? jurisdiction.name : null,
+        incidents: incidents.map(formatIncidentSummary),
+        officers: officers.map(user => ({
+          id: user._id,
+          email: user.email,
+          badgeNumber: user.badgeNumber,
+          department: user.department,
+          dutyStatus: user.dutyStatus
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      },
+      message: `Retrieved ${incidents.length} incidents for jurisdiction ${code}`
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update incident status
+ * PUT /api/police/incidents/:id/status
+ *
+ * Records a status change made by the assigned officer
+ */
+const updateIncidentStatus = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status, notes, reason } = req.body;
+
+    const incident = await findIncidentOrFail(id);
+    assertAssignedOfficer(incident, req.user);
+
+    const previousStatus = incident.status;
+
+    // Close out the active assignment when the officer finishes the incident
+    if (['resolved', 'closed'].includes(status)) {
+      const assignment = incident.assignments
+        .slice()
+        .reverse()
+        .find(a => a.assignedTo.toString() === incident.currentAssignment?.toString());
+      if (assignment && !assignment.completedAt) {
+        assignment.status = 'completed';
+        assignment.completedAt = new Date();
+      }
+    }
+
+    await incident.updateStatus(
+      status,
+      req.user.userId,
+      'User',
+      reason || `Status updated by ${req.user.role}`,
+      notes,
+      req.user.role
+    );
+
+    const response = {
+      success: true,
+      data: {
+        incident: formatIncidentSummary(incident),
+        previousStatus,
+        newStatus: incident.status,
+        updatedBy: {
+          userId: req.user.userId,
+          role: req.user.role
+        }
+      },
+      message: `Incident status updated to ${incident.status}`
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a case note to an incident
+ * POST /api/police/incidents/:id/notes
+ *
+ * Notes are internal and only returned to responders; see
+ * POST /api/incidents/:id/notes for public notes and replies
+ */
+const addIncidentNote = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body;
+
+    const incident = await findIncidentOrFail(id);
+    assertAssignedOfficer(incident, req.user);
+
+    const savedNote = await incident.addNote(req.user.userId, req.user.role, note);
+    const totalNotes = await IncidentNote.countForIncident(incident._id, Object.values(NOTE_VISIBILITY));
+
+    const response = {
+      success: true,
+      data: {
+        note: {
+          id: savedNote._id,
+          author: savedNote.author,
+          authorRole: savedNote.authorRole,
+          visibility: savedNote.visibility,
+          content: savedNote.content,
+          createdAt: savedNote.createdAt
+        },
+        incidentId: incident._id,
+        totalNotes
+      },
+      message: 'Note added successfully'
+    };
+
+    res.status(HTTP_STATUS.CREATED).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Request backup for an incident
+ * POST /api/police/incidents/:id/backup
+ *
+ * Raises incident priority if needed and identifies officers in the same jurisdiction
+ */
+const requestBackup = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { backupType, priority, notes } = req.body;
+    const officerId = req.user.userId;
+    const officer = req.user.user;
+
+    const incident = await findIncidentOrFail(id);
+    assertAssignedOfficer(incident, req.user);
+
+    if (!incident.isActive) {
+      const error = new Error('Backup can only be requested for active incidents');
+      error.statusCode = 409;
+      error.code = ERROR_CODES.INVALID_INPUT;
+      error.details = { status: incident.status };
+      throw error;
+    }
+
+    // Escalate incident priority if the backup request is more urgent
+    const priorityRank = { low: 1, medium: 2, high: 3, critical: 4 };
+    if (priorityRank[priority] > priorityRank[incident.priority]) {
+      incident.priority = priority;
+      await Incident.updateOne({ _id: incident._id }, { $set: { priority } });
+    }
+
+    // Officers of the incident's jurisdiction, or of the requesting officer's
+    const area = incident.jurisdictionId || incident.jurisdiction ? incident : officer;
+    const jurisdiction = area?.jurisdiction;
+    const jurisdictionRef = getJurisdictionRef(area);
+    const availableOfficers = jurisdictionRef
+      ? await User.findByJurisdiction(jurisdictionRef, DUTY_STATUS.ON_DUTY)
+        .where('role').equals(USER_ROLES.POLICE)
+        .where('_id').ne(officerId)
+        .select('email badgeNumber department')
+      : [];
+
+    const noteContent = `Backup requested (${backupType}, ${priority} priority)${notes ? `: ${notes}` : ''}`;
+    await incident.addNote(officerId, req.user.role, noteContent);
+
+    await AuditLog.logUserAction(
+      'incident_updated',
+      'backup_requested',
+      `Backup requested (${backupType}, ${priority} priority)`,
+      officerId,
+      'User',
+      req.user.role,
+      'Incident',
+      incident._id,
+      buildRequestContext(req),
+      'success',
+      { backupType, priority, notifiedOfficers: availableOfficers.length }
+    );
+
+    const response = {
+      success: true,
+      data: {
+        incidentId: incident._id,
+        backupType,
+        priority: incident.priority,
+        jurisdiction: jurisdiction || null,
+        notifiedOfficers: availableOfficers.map(user => ({
+          id: user._id,
+          badgeNumber: user.badgeNumber,
+          department: user.department
+        })),
+        requestedAt: new Date().toISOString()
+      },
+      message: availableOfficers.length > 0
+        ? `Backup request sent to ${availableOfficers.length} officers`
+        : 'Backup request recorded; no other officers available in jurisdiction'
+    };
+
+    res.status(HTTP_STATUS.CREATED).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPoliceDashboard,
+  claimIncident,
+  getAssignedIncidents,
+  getIncidentsByJurisdiction,
+  updateIncidentStatus,
+  addIncidentNote,
+  requestBackup
+};
@@ -0,0 +1,140 @@
+/**
+ * SLA Controller
+ * Reports incidents breaching their verify, assign and resolve targets
+ * and the escalations raised by the SLA monitor, grouped by department
+ */
+
+const Incident = require('../models/Incident');
+const {
+  SLA_STAGES,
+  SLA_STAGE_OPEN_STATUSES,
+  getShortestTarget,
+  getSlaBreaches
+} = require('../config/slaTargets');
+const { SLA_MONITOR, HTTP_STATUS } = require('../config/constants');
+
+/**
+ * Build an empty per-stage counter
+ * @returns {object} - { verify: 0, assign: 0, resolve: 0 }
+ */
+const emptyStageCounts = () => SLA_STAGES.reduce((counts, stage) => ({ ...counts, [stage]: 0 }), {});
+
+/**
+ * Get SLA breach report
+ * GET /api/admin/sla
+ *
+ * Lists open breaches per department with the most overdue incidents
+ * first, plus the escalations recorded in the reporting window
+ */
+const getSlaReport = async (req, res, next) => {
+  try {
+    const { days = SLA_MONITOR.REPORT_DEFAULT_DAYS, department } = req.query;
+    const now = new Date();
+    const since = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+    const departmentFilter = department ? { department } : {};
+
+    const shortestTarget = Math.min(...SLA_STAGES.map(getShortestTarget));
+
+    const [activeIncidents, escalations] = await Promise.all([
+      Incident.find({
+        ...departmentFilter,
+        status: { $in: SLA_STAGE_OPEN_STATUSES.resolve },
+        reportedAt: { $lte: new Date(now.getTime() - shortestTarget * 60 * 1000) }
+      }).select('title type priority status department jurisdiction reportedAt currentAssignment'),
+
+      Incident.aggregate([
+        { $match: { ...departmentFilter, 'statusHistory.metadata.slaEscalation': { $exists: true } } },
+        { $unwind: '$statusHistory' },
+        {
+          $match: {
+            'statusHistory.metadata.slaEscalation': { $exists: true },
+            'statusHistory.timestamp': { $gte: since }
+          }
+        },
+        {
+          $group: {
+            _id: {
+              department: '$department',
+              stage: '$statusHistory.metadata.slaEscalation.stage'
+            },
+            count: { $sum: 1 }
+          }
+        }
+      ])
+    ]);
+
+    const departments = {};
+    const getDepartment = (name) => {
+      departments[name] = departments[name] || {
+        department: name,
+        openBreaches: 0,
+        openBreachesByStage: emptyStageCounts(),
+        escalations: 0,
+        escalationsByStage: emptyStageCounts(),
+        incidents: []
+      };
+      return departments[name];
+    };
+
+    activeIncidents.forEach(incident => {
+      // Report the most advanced stage each incident is overdue on
+      const breach = getSlaBreaches(incident, now).pop();
+      if (!breach) {
+        return;
+      }
+
+      const entry = getDepartment(incident.department);
+      entry.openBreaches += 1;
+      entry.openBreachesByStage[breach.stage] += 1;
+      entry.incidents.push({
+        id: incident._id,
+        title: incident.title,
+        type: incident.type,
+        priority: incident.priority,
+        status: incident.status,
+        jurisdiction: incident.jurisdiction || null,
+        assigned: Boolean(incident.currentAssignment),
+        stage: breach.stage,
+        targetMinutes: breach.targetMinutes,
+        dueAt: breach.dueAt,
+        overdueMinutes: breach.overdueMinutes
+      });
+    });
+
+    escalations.forEach(({ _id, count }) => {
+      const entry = getDepartment(_id.department);
+      entry.escalations += count;
+      entry.escalationsByStage[_id.stage] += count;
+    });
+
+    const byDepartment = Object.values(departments)
+      .map(entry => ({
+        ...entry,
+        incidents: entry.incidents.sort((a, b) => b.overdueMinutes - a.overdueMinutes)
+      }))
+      .sort((a, b) => b.openBreaches - a.openBreaches);
+
+    const response = {
+      success: true,
+      data: {
+        generatedAt: now,
+        window: { since, days },
+        totals: {
+          openBreaches: byDepartment.reduce((sum, entry) => sum + entry.openBreaches, 0),
+          escalations: byDepartment.reduce((sum, entry) => sum + entry.escalations, 0)
+        },
+        departments: byDepartment
+      },
+      message: 'SLA report generated successfully'
+    };
+
+    res.status(HTTP_STATUS.OK).json(response);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSlaReport
+};
@@ -0,0 +1,85 @@
+/**
+ * Stream Controller
+ * Server-Sent Events channel pushing incident updates to police,
+ * hospital, and admin dashboards
+ */
+
+const { subscribe, buildViewerScope } = require('../services/incidentEvents');
+const { HTTP_STATUS, STREAM_EVENTS } = require('../config/constants');
+
+/**
+ * Interval between heartbeat comments, keeps proxies from closing idle streams
+ */
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+/**
+ * Delay the browser waits before reconnecting a dropped stream
+ */
+const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * Write a single Server-Sent Events frame
+ * @param {object} res - Express response
+ * @param {object} frame - { id, event, data }
+ */
+const writeEvent = (res, { id, event, data }) => {
+  if (id !== undefined) {
+    res.write(`id: ${id}\n`);
+  }
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Open incident event stream
+ * GET /api/stream
+ * Keeps the connection open and pushes incident events visible to the
+ * viewer's role, department, and jurisdiction
+ */
+const streamIncidentEvents = async (req, res, next) => {
+  try {
+    const scope = buildViewerScope(req.user);
+    let eventId = 0;
+
+    res.status(HTTP_STATUS.OK);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    writeEvent(res, {
+      event: 'connected',
+      data: {
+        role: scope.role,
+        departments: scope.departments,
+        jurisdiction: scope.jurisdiction,
+        events: Object.values(STREAM_EVENTS),
+        timestamp: new Date().toISOString()
+      }
+    });
+
+    const unsubscribe = subscribe(scope, (event) => {
+      eventId += 1;
+      writeEvent(res, { id: eventId, event: event.type, data: event });
+    });
+
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+    }, HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  streamIncidentEvents
+};
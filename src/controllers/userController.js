@@ -7,13 +7,15 @@
 const User = require('../models/User');
 const { USER_ROLES, ERROR_CODES, HTTP_STATUS } = require('../config/constants');
 const { generateUserToken } = require('../middleware/auth');
+const { sendVerificationEmail } = require('../services/emailVerification');
 
 /**
  * Register new user
  * POST /api/user/register
  * 
  * Creates a new user account with comprehensive profile information
- * Handles email uniqueness validation and sensitive data encryption
+ * Handles email uniqueness validation and sensitive data encryption, and
+ * emails a link to verify the address
  */
 const registerUser = async (req, res, next) => {
   try {
@@ -36,11 +38,15 @@ const registerUser = async (req, res, next) => {
     const user = new User(userData);
     await user.save();
     
+    // Email the verification link; failed sends are retried by the notification worker
+    await sendVerificationEmail(user);
+    
     // Get decrypted data for response (without sensitive fields)
     const userResponse = {
       userId: user._id,
       email: user.email,
       role: user.role,
+      isVerified: user.isVerified,
       createdAt: user.createdAt,
       // Don't include sensitive encrypted data in registration response
       profileComplete: !!(
@@ -63,7 +69,8 @@ const registerUser = async (req, res, next) => {
       data: {
         user: userResponse,
         token, // Include token for immediate login
-        message: 'User registered successfully'
+        verificationEmailSent: true,
+        message: 'User registered successfully. Please check your email to verify your address.'
       },
       message: 'Registration completed successfully'
     };
@@ -206,6 +206,31 @@ describe('Authentication Middleware', () => {
     });
   });
 
+  describe('optionalAuth middleware', () => {
+    test('should continue anonymously with an invalid JWT token', async () => {
+      req.headers.authorization = 'Bearer invalid-token';
+
+      await optionalAuth(req, res, next);
+
+      expect(req.isAuthenticated).toBe(false);
+      expect(req.user).toBe(null);
+      expect(res.status).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should continue anonymously with an invalid guest ID', async () => {
+      Guest.findByGuestId.mockResolvedValue(null);
+
+      req.headers['x-guest-id'] = 'invalid-guest';
+
+      await optionalAuth(req, res, next);
+
+      expect(req.isAuthenticated).toBe(false);
+      expect(res.status).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe('requireAuth middleware', () => {
     test('should pass when user is authenticated', () => {
       req.isAuthenticated = true;
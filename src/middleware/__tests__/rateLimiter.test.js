@@ -13,7 +13,7 @@ const {
   generateKey,
   RATE_LIMIT_CONFIG
 } = require('../rateLimiter');
-const { USER_ROLES, ERROR_CODES } = require('../../config/constants');
+const { USER_ROLES, ERROR_CODES, PASSWORD_RESET } = require('../../config/constants');
 
 // Mock authentication middleware for testing
 const mockAuth = (userType, role = null) => {
@@ -225,6 +225,24 @@ describe('Rate Limiting Middleware', () => {
       expect(secondResponse.body.success).toBe(false);
       expect(secondResponse.body.error.code).toBe(ERROR_CODES.RATE_LIMIT_EXCEEDED);
     });
+
+    test('should limit password reset emails per address', async () => {
+      app.post('/test-reset-email', createEndpointLimiter('passwordResetEmail'), (req, res) => {
+        res.json({ success: true });
+      });
+
+      for (let i = 0; i < PASSWORD_RESET.MAX_REQUESTS_PER_EMAIL; i++) {
+        const response = await request(app).post('/test-reset-email').send({ email: 'reset@example.com' });
+        expect(response.status).toBe(200);
+      }
+
+      const limited = await request(app).post('/test-reset-email').send({ email: ' Reset@Example.com ' });
+      expect(limited.status).toBe(429);
+      expect(limited.body.error.code).toBe(ERROR_CODES.RATE_LIMIT_EXCEEDED);
+
+      const otherAddress = await request(app).post('/test-reset-email').send({ email: 'other@example.com' });
+      expect(otherAddress.status).toBe(200);
+    });
   });
 
   describe('Custom rate limit configurations', () => {
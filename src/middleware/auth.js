@@ -48,6 +48,17 @@ const extractGuestId = (headers) => {
          null;
 };
 
+/**
+ * Check that a token was issued for the user's current session version
+ * The version is bumped when the password is reset, ending all sessions
+ * @param {object} decoded - Decoded JWT payload
+ * @param {object} user - User document
+ * @returns {boolean} - True if the token is still current
+ */
+const isCurrentSession = (decoded, user) => {
+  return (decoded.sessionVersion || 0) === (user.sessionVersion || 0);
+};
+
 /**
  * Verify JWT token and get user data
  * @param {string} token - JWT token to verify
@@ -80,6 +91,11 @@ const verifyJWTToken = async (token) => {
       throw new Error('User account is deactivated');
     }
     
+    // Tokens issued before a password reset are no longer valid
+    if (!isCurrentSession(decoded, user)) {
+      throw new Error('Session has been invalidated');
+    }
+    
     return {
       userId: decoded.userId,
       userType: USER_TYPES.USER,
@@ -269,22 +285,35 @@ const requireUserAuth = (req, res, next) => {
  * Optional authentication middleware
  * Attempts authentication but doesn't require it
  * Useful for endpoints that work for both authenticated and anonymous users
+ * Invalid or expired credentials are ignored and the request continues anonymously
  */
 const optionalAuth = async (req, res, next) => {
+  let authContext = null;
+  
   try {
-    // Run authentication but don't fail if it doesn't work
-    await authenticate(req, res, () => {
-      // Authentication succeeded or failed, but we continue either way
-      next();
-    });
-  } catch (error) {
-    // If authentication middleware itself fails, continue without auth
-    req.user = null;
-    req.isAuthenticated = false;
-    req.isUser = false;
-    req.isGuest = false;
-    next();
+    const token = extractToken(req.headers.authorization);
+    if (token) {
+      authContext = await verifyJWTToken(token);
+    }
+  } catch (jwtError) {
+    // Ignored without logging so anonymous clients cannot flood the log
   }
+  
+  const guestId = extractGuestId(req.headers);
+  if (!authContext && guestId) {
+    try {
+      authContext = await verifyGuestId(guestId);
+    } catch (guestError) {
+      // Ignored like invalid tokens
+    }
+  }
+  
+  req.user = authContext;
+  req.isAuthenticated = !!authContext;
+  req.isUser = authContext?.userType === USER_TYPES.USER;
+  req.isGuest = authContext?.userType === USER_TYPES.GUEST;
+  
+  next();
 };
 
 /**
@@ -301,6 +330,7 @@ const generateUserToken = (user, expiresIn = '24h') => {
     userType: USER_TYPES.USER,
     role: user.role,
     email: user.email,
+    sessionVersion: user.sessionVersion || 0,
     iat: Math.floor(Date.now() / 1000)
   };
   
@@ -325,6 +355,10 @@ const refreshToken = async (token) => {
       throw new Error('User not found');
     }
     
+    if (!isCurrentSession(decoded, user)) {
+      throw new Error('Session has been invalidated');
+    }
+    
     // Generate new token
     return generateUserToken(user);
     
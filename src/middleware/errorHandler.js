@@ -245,8 +245,9 @@ const mapMulterError = (error) => {
  * @returns {object} - Standardized error details
  */
 const determineErrorDetails = (error) => {
-  // Application errors (already formatted)
-  if (error.isOperational) {
+  // Application errors (already formatted), including plain errors
+  // thrown by controllers with a statusCode and code attached
+  if (error.isOperational || (error.statusCode && error.code)) {
     return {
       statusCode: error.statusCode,
       code: error.code,
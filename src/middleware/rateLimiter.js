@@ -5,7 +5,7 @@
  */
 
 const rateLimit = require('express-rate-limit');
-const { USER_ROLES, ERROR_CODES, HTTP_STATUS } = require('../config/constants');
+const { USER_ROLES, ERROR_CODES, HTTP_STATUS, PASSWORD_RESET } = require('../config/constants');
 
 /**
  * Rate limit configurations for different user types
@@ -115,6 +115,31 @@ const ENDPOINT_LIMITS = {
     message: 'Too many password reset attempts. Please try again later.',
     standardHeaders: true,
     legacyHeaders: false,
+  },
+  
+  // Password reset emails - limit per address so one inbox cannot be flooded from many IPs
+  passwordResetEmail: {
+    windowMs: PASSWORD_RESET.EMAIL_WINDOW_MINUTES * 60 * 1000,
+    max: PASSWORD_RESET.MAX_REQUESTS_PER_EMAIL,
+    message: 'Too many password reset emails requested for this address. Please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: (req) => `email:${String(req.body?.email || '').trim().toLowerCase()}`,
+  },
+  
+  // Geocoding proxy - protect the upstream provider quota
+  geocoding: {
+    windowMs: 1 * 60 * 1000, // 1 minute
+    max: {
+      guest: 10,   // Guests: 10 lookups per minute
+      user: 30,    // Users: 30 lookups per minute
+      police: 60,  // Police: 60 lookups per minute
+      hospital: 60, // Hospitals: 60 lookups per minute
+      admin: 120   // Admins: 120 lookups per minute
+    },
+    message: 'Too many geocoding requests. Please wait before looking up more addresses.',
+    standardHeaders: true,
+    legacyHeaders: false,
   }
 };
 
@@ -281,7 +306,7 @@ const createEndpointLimiter = (endpointType, customConfig = {}) => {
     const config = { ...baseConfig, ...customConfig };
     const limiter = rateLimit({
       ...config,
-      keyGenerator: generateKey,
+      keyGenerator: config.keyGenerator || generateKey,
       handler: rateLimitHandler,
       skip: skipRateLimit
     });
@@ -395,6 +420,10 @@ const rateLimiters = {
   
   // Password reset
   passwordReset: createEndpointLimiter('passwordReset'),
+  passwordResetEmail: createEndpointLimiter('passwordResetEmail'),
+  
+  // Geocoding proxy
+  geocoding: createEndpointLimiter('geocoding'),
   
   // Global rate limiting
   global: globalRateLimiter,
@@ -4,7 +4,7 @@
  * Provides fine-grained access control for API endpoints
  */
 
-const { USER_ROLES, USER_TYPES, ERROR_CODES, HTTP_STATUS } = require('../config/constants');
+const { USER_ROLES, USER_TYPES, ERROR_CODES, HTTP_STATUS, EMAIL_VERIFICATION } = require('../config/constants');
 
 /**
  * Permission matrix defining what each role can access
@@ -39,7 +39,11 @@ const PERMISSIONS = {
     list: ['*'], // Anyone can list incidents
     upvote: [USER_ROLES.USER, USER_ROLES.GUEST, USER_ROLES.ADMIN, USER_ROLES.HOSPITAL],
     verify: [USER_ROLES.ADMIN, USER_ROLES.HOSPITAL], // Verify incident status
-    resolve: [USER_ROLES.ADMIN, USER_ROLES.HOSPITAL] // Mark incident as resolved
+    resolve: [USER_ROLES.ADMIN, USER_ROLES.HOSPITAL], // Mark incident as resolved
+    updateStatus: [USER_ROLES.POLICE, USER_ROLES.HOSPITAL, USER_ROLES.ADMIN], // Further gated per transition
+    respond: [USER_ROLES.POLICE, USER_ROLES.HOSPITAL], // Accept/decline/complete own assignments
+    comment: [USER_ROLES.USER, USER_ROLES.POLICE, USER_ROLES.HOSPITAL, USER_ROLES.ADMIN], // Post and edit notes
+    attachMedia: [USER_ROLES.USER, USER_ROLES.GUEST, USER_ROLES.POLICE, USER_ROLES.HOSPITAL, USER_ROLES.ADMIN] // Guests within their media quota
   },
 
   // Administrative permissions
@@ -49,15 +53,80 @@ const PERMISSIONS = {
     reports: [USER_ROLES.ADMIN, USER_ROLES.HOSPITAL],
     userManagement: [USER_ROLES.ADMIN],
     systemConfig: [USER_ROLES.ADMIN],
-    auditLogs: [USER_ROLES.ADMIN]
+    auditLogs: [USER_ROLES.ADMIN],
+    dispatch: [USER_ROLES.ADMIN]
   },
 
   // Hospital-specific permissions
   hospital: {
+    dashboard: [USER_ROLES.HOSPITAL],
     medicalIncidents: [USER_ROLES.HOSPITAL, USER_ROLES.ADMIN],
     patientData: [USER_ROLES.HOSPITAL], // Access to medical information
     emergencyAlerts: [USER_ROLES.HOSPITAL, USER_ROLES.ADMIN],
-    resourceManagement: [USER_ROLES.HOSPITAL]
+    resourceManagement: [USER_ROLES.HOSPITAL] // Own facility's beds and diversion
+  },
+
+  // Police-specific permissions
+  police: {
+    dashboard: [USER_ROLES.POLICE],
+    claimIncident: [USER_ROLES.POLICE], // Officers claim incidents for themselves
+    viewAssigned: [USER_ROLES.POLICE],
+    viewJurisdiction: [USER_ROLES.POLICE, USER_ROLES.ADMIN],
+    updateStatus: [USER_ROLES.POLICE, USER_ROLES.ADMIN],
+    addNote: [USER_ROLES.POLICE, USER_ROLES.ADMIN],
+    requestBackup: [USER_ROLES.POLICE]
+  },
+
+  // Real-time stream permissions
+  stream: {
+    incidents: [USER_ROLES.POLICE, USER_ROLES.HOSPITAL, USER_ROLES.ADMIN] // Dashboard push channel
+  },
+
+  // Hotspot and heatmap analytics permissions
+  analytics: {
+    hotspots: [USER_ROLES.POLICE, USER_ROLES.ADMIN] // Police limited to their departments' incidents
+  },
+
+  // Jurisdiction boundary permissions
+  jurisdictions: {
+    read: [USER_ROLES.POLICE, USER_ROLES.HOSPITAL, USER_ROLES.ADMIN],
+    manage: [USER_ROLES.ADMIN] // Boundaries, imports and officer assignment
+  },
+
+  // Hospital facility registry permissions
+  facilities: {
+    read: [USER_ROLES.POLICE, USER_ROLES.HOSPITAL, USER_ROLES.ADMIN],
+    recommend: [USER_ROLES.POLICE, USER_ROLES.HOSPITAL, USER_ROLES.ADMIN], // Patient destinations for incidents
+    manage: [USER_ROLES.ADMIN] // Registry entries and staff assignment
+  },
+
+  // Geocoding proxy permissions
+  geocoding: {
+    lookup: ['*'], // Address and reverse lookups while reporting incidents
+    batch: [USER_ROLES.POLICE, USER_ROLES.HOSPITAL, USER_ROLES.ADMIN]
+  },
+
+  // Area alert permissions (saved areas and their alerts are per user)
+  alerts: {
+    manageOwn: [USER_ROLES.USER, USER_ROLES.POLICE, USER_ROLES.HOSPITAL, USER_ROLES.ADMIN]
+  },
+
+  // Emergency contact alert permissions (opt-in, preview, test and history are per user)
+  contactAlerts: {
+    manageOwn: [USER_ROLES.USER, USER_ROLES.POLICE, USER_ROLES.HOSPITAL, USER_ROLES.ADMIN]
+  },
+
+  // Notification permissions (channel preferences, push subscriptions and delivery log)
+  notifications: {
+    manageOwn: [USER_ROLES.USER, USER_ROLES.POLICE, USER_ROLES.HOSPITAL, USER_ROLES.ADMIN],
+    health: [USER_ROLES.ADMIN]
+  },
+
+  // Duty roster permissions
+  duty: {
+    manageOwn: [USER_ROLES.POLICE, USER_ROLES.HOSPITAL], // Own availability and location
+    roster: [USER_ROLES.POLICE, USER_ROLES.HOSPITAL, USER_ROLES.ADMIN], // Unit view and shifts (supervisors only)
+    supervisors: [USER_ROLES.ADMIN]
   },
 
   // System permissions
@@ -79,6 +148,8 @@ const GUEST_RESTRICTIONS = {
     'incidents.read',
     'incidents.list',
     'incidents.upvote',
+    'incidents.attachMedia',
+    'geocoding.lookup',
     'guests.read',
     'guests.update'
   ],
@@ -87,12 +158,56 @@ const GUEST_RESTRICTIONS = {
     'incidents.delete',
     'incidents.verify',
     'incidents.resolve',
+    'incidents.updateStatus',
+    'incidents.respond',
+    'incidents.comment',
     'admin.*',
     'hospital.*',
+    'police.*',
+    'stream.*',
+    'duty.*',
+    'analytics.*',
+    'jurisdictions.*',
+    'facilities.*',
+    'geocoding.batch',
+    'alerts.*',
+    'notifications.*',
+    'contactAlerts.*',
     'users.*'
   ]
 };
 
+/**
+ * Parse a comma-separated list of actions from the environment
+ * @param {string} value - Environment value ('none' for an empty list)
+ * @param {array} defaults - Actions used when the value is not set
+ * @returns {array} - Action keys such as 'incidents.upvote' or 'alerts.*'
+ */
+const parseActionList = (value, defaults) => {
+  if (!value || !value.trim()) {
+    return [...defaults];
+  }
+
+  if (value.trim() === 'none') {
+    return [];
+  }
+
+  return value.split(',').map(action => action.trim()).filter(Boolean);
+};
+
+/**
+ * Actions self-registered users cannot perform until they verify their email
+ * Set UNVERIFIED_RESTRICTED_ACTIONS to a comma-separated list (wildcards such
+ * as 'alerts.*' allowed) to change the policy, or to 'none' to lift it
+ */
+const UNVERIFIED_RESTRICTIONS = {
+  appliesTo: [USER_ROLES.USER], // Staff accounts are created by admins
+  restrictedActions: parseActionList(
+    process.env.UNVERIFIED_RESTRICTED_ACTIONS,
+    EMAIL_VERIFICATION.DEFAULT_RESTRICTED_ACTIONS
+  )
+};
+
 /**
  * Resource ownership rules for self-access permissions
  */
@@ -146,6 +261,33 @@ const hasPermission = (userRole, resource, action) => {
   return actionPermissions.includes(userRole);
 };
 
+/**
+ * Check whether an action matches a list of action keys
+ * @param {array} actionList - Keys such as 'incidents.upvote' or 'admin.*'
+ * @param {string} actionKey - Action being performed ('resource.action')
+ * @returns {boolean} - Whether the action is in the list
+ */
+const matchesActionList = (actionList, actionKey) => {
+  return actionList.some(entry =>
+    entry === actionKey || (entry.endsWith('*') && actionKey.startsWith(entry.slice(0, -1)))
+  );
+};
+
+/**
+ * Check if a registered user may perform an action before verifying their email
+ * @param {object} user - User document
+ * @param {string} resource - Resource being accessed
+ * @param {string} action - Action being performed
+ * @returns {boolean} - Whether the action is allowed
+ */
+const unverifiedCanPerformAction = (user, resource, action) => {
+  if (!user || user.isVerified || !UNVERIFIED_RESTRICTIONS.appliesTo.includes(user.role)) {
+    return true;
+  }
+
+  return !matchesActionList(UNVERIFIED_RESTRICTIONS.restrictedActions, `${resource}.${action}`);
+};
+
 /**
  * Check if guest user can perform a specific action
  * @param {string} resource - Resource being accessed
@@ -260,6 +402,23 @@ const requireRole = (resource, action, options = {}) => {
         });
       }
 
+      // Check the email verification policy for registered users
+      if (req.isUser && !unverifiedCanPerformAction(req.user.user, resource, action)) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.EMAIL_NOT_VERIFIED,
+            message: 'Please verify your email address to perform this action',
+            details: {
+              resource,
+              action,
+              suggestion: 'Open the link in your verification email or request a new one'
+            }
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
       // Check ownership if required
       if (options.checkOwnership && req.params.id) {
         const ownershipRule = OWNERSHIP_RULES[resource];
@@ -527,7 +686,11 @@ const roleCheckers = {
     list: requireRole('incidents', 'list'),
     upvote: requireRole('incidents', 'upvote'),
     verify: requireRole('incidents', 'verify'),
-    resolve: requireRole('incidents', 'resolve')
+    resolve: requireRole('incidents', 'resolve'),
+    updateStatus: requireRole('incidents', 'updateStatus'),
+    respond: requireRole('incidents', 'respond'),
+    comment: requireRole('incidents', 'comment'),
+    attachMedia: requireRole('incidents', 'attachMedia')
   },
 
   // Admin functions
@@ -537,15 +700,80 @@ const roleCheckers = {
     reports: requireRole('admin', 'reports'),
     userManagement: requireRole('admin', 'userManagement'),
     systemConfig: requireRole('admin', 'systemConfig'),
-    auditLogs: requireRole('admin', 'auditLogs')
+    auditLogs: requireRole('admin', 'auditLogs'),
+    dispatch: requireRole('admin', 'dispatch')
   },
 
   // Hospital functions
   hospital: {
+    dashboard: requireRole('hospital', 'dashboard'),
     medicalIncidents: requireRole('hospital', 'medicalIncidents'),
     patientData: requireRole('hospital', 'patientData'),
     emergencyAlerts: requireRole('hospital', 'emergencyAlerts'),
     resourceManagement: requireRole('hospital', 'resourceManagement')
+  },
+
+  // Police functions
+  police: {
+    dashboard: requireRole('police', 'dashboard'),
+    claimIncident: requireRole('police', 'claimIncident'),
+    viewAssigned: requireRole('police', 'viewAssigned'),
+    viewJurisdiction: requireRole('police', 'viewJurisdiction'),
+    updateStatus: requireRole('police', 'updateStatus'),
+    addNote: requireRole('police', 'addNote'),
+    requestBackup: requireRole('police', 'requestBackup')
+  },
+
+  // Real-time stream functions
+  stream: {
+    incidents: requireRole('stream', 'incidents')
+  },
+
+  // Analytics functions
+  analytics: {
+    hotspots: requireRole('analytics', 'hotspots')
+  },
+
+  // Jurisdiction functions
+  jurisdictions: {
+    read: requireRole('jurisdictions', 'read'),
+    manage: requireRole('jurisdictions', 'manage')
+  },
+
+  // Facility functions
+  facilities: {
+    read: requireRole('facilities', 'read'),
+    recommend: requireRole('facilities', 'recommend'),
+    manage: requireRole('facilities', 'manage')
+  },
+
+  // Geocoding functions
+  geocoding: {
+    lookup: requireRole('geocoding', 'lookup'),
+    batch: requireRole('geocoding', 'batch')
+  },
+
+  // Area alert functions
+  alerts: {
+    manageOwn: requireRole('alerts', 'manageOwn')
+  },
+
+  // Emergency contact alert functions
+  contactAlerts: {
+    manageOwn: requireRole('contactAlerts', 'manageOwn')
+  },
+
+  // Notification functions
+  notifications: {
+    manageOwn: requireRole('notifications', 'manageOwn'),
+    health: requireRole('notifications', 'health')
+  },
+
+  // Duty roster functions
+  duty: {
+    manageOwn: requireRole('duty', 'manageOwn'),
+    roster: requireRole('duty', 'roster'),
+    supervisors: requireRole('duty', 'supervisors')
   }
 };
 
@@ -564,6 +792,7 @@ module.exports = {
   
   // Utility functions
   guestCanPerformAction,
+  unverifiedCanPerformAction,
   addPermissionHeaders,
   
   // Pre-configured role checkers
@@ -572,5 +801,6 @@ module.exports = {
   // Configuration
   PERMISSIONS,
   GUEST_RESTRICTIONS,
+  UNVERIFIED_RESTRICTIONS,
   OWNERSHIP_RULES
 };
\ No newline at end of file
@@ -396,6 +396,17 @@ const authSchemas = {
         'any.required': 'Reset token is required'
       }),
     newPassword: commonSchemas.password.required()
+  }),
+  
+  // Email verification link validation
+  verifyEmail: Joi.object({
+    token: Joi.string()
+      .max(200)
+      .required()
+      .messages({
+        'string.empty': 'Verification token is required',
+        'any.required': 'Verification token is required'
+      })
   })
 };
 
@@ -570,6 +581,161 @@ const adminSchemas = {
   })
 };
 
+/**
+ * Police-related validation schemas
+ */
+const policeSchemas = {
+  // Incident status update by an officer
+  // Accepts hyphenated statuses (e.g. 'in-progress') as sent by the dashboard
+  statusUpdate: Joi.object({
+    status: Joi.string()
+      .lowercase()
+      .replace(/-/g, '_')
+      .valid('verified', 'in_progress', 'resolved', 'closed', 'false_report', 'cancelled')
+      .required(),
+    
+    notes: Joi.string()
+      .max(1000)
+      .allow('')
+      .optional()
+      .custom((value, helpers) => sanitize.string(value)),
+    
+    reason: Joi.string()
+      .max(500)
+      .optional()
+      .custom((value, helpers) => sanitize.string(value))
+  }),
+  
+  // Claim incident schema
+  claim: Joi.object({
+    notes: Joi.string()
+      .max(1000)
+      .optional()
+      .custom((value, helpers) => sanitize.string(value))
+  }),
+  
+  // Incident note schema
+  note: Joi.object({
+    note: Joi.string()
+      .min(1)
+      .max(2000)
+      .required()
+      .custom((value, helpers) => sanitize.string(value))
+  }),
+  
+  // Backup request schema
+  backup: Joi.object({
+    backupType: Joi.string()
+      .valid('patrol', 'traffic', 'medical', 'fire', 'tactical', 'k9')
+      .default('patrol'),
+    
+    priority: Joi.string()
+      .valid('low', 'medium', 'high', 'critical')
+      .default('high'),
+    
+    notes: Joi.string()
+      .max(500)
+      .optional()
+      .custom((value, helpers) => sanitize.string(value))
+  }),
+  
+  // Officer incident list query schema
+  incidentQuery: Joi.object({
+    ...commonSchemas.pagination,
+    
+    status: Joi.string()
+      .lowercase()
+      .replace(/-/g, '_')
+      .valid('reported', 'verified', 'assigned', 'in_progress', 'resolved', 'closed')
+      .optional(),
+    
+    priority: Joi.string()
+      .valid('low', 'medium', 'high', 'critical')
+      .optional()
+  })
+};
+
+/**
+ * Hospital-related validation schemas
+ */
+const hospitalSchemas = {
+  // Patient search schema (blind-index lookup by phone or email)
+  patientSearch: Joi.object({
+    type: Joi.string()
+      .valid('phone', 'email')
+      .required(),
+    
+    query: Joi.when('type', {
+      is: 'email',
+      then: commonSchemas.email.required(),
+      otherwise: Joi.string()
+        .pattern(/^\+?[\d\s()-]{7,20}$/)
+        .required()
+        .messages({
+          'string.pattern.base': 'Please provide a valid phone number'
+        })
+    })
+  }),
+  
+  // Patient admission schema
+  admit: Joi.object({
+    patientId: commonSchemas.objectId.required(),
+    incidentId: commonSchemas.objectId.required(),
+    
+    status: Joi.string()
+      .valid('admitted', 'stable', 'fair', 'serious', 'critical')
+      .default('admitted'),
+    
+    ward: Joi.string().max(100).optional(),
+    room: Joi.string().max(50).optional(),
+    
+    condition: Joi.string()
+      .max(500)
+      .optional()
+      .custom((value, helpers) => sanitize.string(value)),
+    
+    notes: Joi.string()
+      .max(2000)
+      .optional()
+      .custom((value, helpers) => sanitize.string(value))
+  }),
+  
+  // Patient status update schema
+  statusUpdate: Joi.object({
+    status: Joi.string()
+      .valid('admitted', 'stable', 'fair', 'serious', 'critical')
+      .required(),
+    
+    notes: Joi.string()
+      .max(1000)
+      .allow('')
+      .optional()
+      .custom((value, helpers) => sanitize.string(value))
+  }),
+  
+  // Patient discharge schema
+  discharge: Joi.object({
+    disposition: Joi.string()
+      .valid('home', 'transferred', 'against_medical_advice', 'deceased', 'other')
+      .default('home'),
+    
+    summary: Joi.string()
+      .max(2000)
+      .optional()
+      .custom((value, helpers) => sanitize.string(value)),
+    
+    followUpInstructions: Joi.string()
+      .max(1000)
+      .optional()
+      .custom((value, helpers) => sanitize.string(value))
+  }),
+  
+  // Patient history query schema
+  historyQuery: Joi.object({
+    ...commonSchemas.pagination
+  })
+};
+
 /**
  * Create validation middleware
  * @param {object} schema - Joi schema to validate against
@@ -692,6 +858,7 @@ const validators = {
   refreshTokenValidation: validateBody(authSchemas.refreshToken),
   emailValidation: validateBody(authSchemas.email),
   passwordResetValidation: validateBody(authSchemas.passwordReset),
+  verifyEmailValidation: validateQuery(authSchemas.verifyEmail),
   
   // User validators
   user: {
@@ -722,6 +889,27 @@ const validators = {
     userQuery: validateQuery(adminSchemas.userQuery)
   },
   
+  // Hospital validators
+  hospital: {
+    patientSearch: validateBody(hospitalSchemas.patientSearch),
+    admit: validateBody(hospitalSchemas.admit),
+    statusUpdate: validateBody(hospitalSchemas.statusUpdate),
+    discharge: validateBody(hospitalSchemas.discharge),
+    historyQuery: validateQuery(hospitalSchemas.historyQuery),
+    patientIdParam: validateParams(Joi.object({
+      patientId: commonSchemas.objectId.required()
+    }))
+  },
+  
+  // Police validators
+  police: {
+    statusUpdate: validateBody(policeSchemas.statusUpdate),
+    claim: validateBody(policeSchemas.claim),
+    note: validateBody(policeSchemas.note),
+    backup: validateBody(policeSchemas.backup),
+    incidentQuery: validateQuery(policeSchemas.incidentQuery)
+  },
+  
   // Common validators
   common: {
     objectId: validateParams(Joi.object({
@@ -749,6 +937,8 @@ module.exports = {
     guest: guestSchemas,
     incident: incidentSchemas,
     admin: adminSchemas,
+    hospital: hospitalSchemas,
+    police: policeSchemas,
     common: commonSchemas
   },
   
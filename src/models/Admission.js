@@ -0,0 +1,183 @@
+/**
+ * Admission Model
+ *
+ * Hospital admission records linking a patient (User) to the originating
+ * Incident, with clinical status tracking and discharge information
+ */
+
+const mongoose = require('mongoose');
+
+// Admission Status History Schema for tracking patient condition changes
+const admissionStatusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true,
+    enum: ['admitted', 'stable', 'fair', 'serious', 'critical', 'transferred', 'discharged']
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    maxlength: 1000
+  }
+}, { _id: true });
+
+// Main Admission Schema
+const admissionSchema = new mongoose.Schema({
+  // Patient and Source Incident
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  incident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident',
+    required: true
+  },
+
+  // Admitting Hospital
+  hospital: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  admittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ward: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  room: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+
+  // Clinical Status
+  status: {
+    type: String,
+    required: true,
+    enum: ['admitted', 'stable', 'fair', 'serious', 'critical', 'transferred', 'discharged'],
+    default: 'admitted'
+  },
+  statusHistory: {
+    type: [admissionStatusHistorySchema],
+    default: []
+  },
+  condition: {
+    type: String,
+    maxlength: 500
+  },
+  notes: {
+    type: String,
+    maxlength: 2000
+  },
+
+  // Timing Information
+  admittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  dischargedAt: Date,
+
+  // Discharge Information
+  discharge: {
+    disposition: {
+      type: String,
+      enum: ['home', 'transferred', 'against_medical_advice', 'deceased', 'other']
+    },
+    summary: {
+      type: String,
+      maxlength: 2000
+    },
+    followUpInstructions: {
+      type: String,
+      maxlength: 1000
+    },
+    dischargedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Virtual for is active (patient still in hospital)
+admissionSchema.virtual('isActive').get(function() {
+  return !['discharged', 'transferred'].includes(this.status);
+});
+
+// Virtual for length of stay in hours
+admissionSchema.virtual('lengthOfStayHours').get(function() {
+  const end = this.dischargedAt || new Date();
+  return Math.floor((end - this.admittedAt) / (60 * 60 * 1000));
+});
+
+// Indexes for performance
+admissionSchema.index({ patient: 1, admittedAt: -1 });
+admissionSchema.index({ incident: 1 });
+admissionSchema.index({ hospital: 1, status: 1 });
+admissionSchema.index({ hospital: 1, admittedAt: -1 });
+
+// Instance method to update clinical status
+admissionSchema.methods.updateStatus = async function(newStatus, changedBy, notes) {
+  this.status = newStatus;
+  this.statusHistory.push({
+    status: newStatus,
+    changedBy,
+    timestamp: new Date(),
+    notes
+  });
+  return await this.save();
+};
+
+// Instance method to discharge patient
+admissionSchema.methods.dischargePatient = async function(dischargedBy, dischargeData = {}) {
+  const { disposition = 'home', summary, followUpInstructions } = dischargeData;
+  const finalStatus = disposition === 'transferred' ? 'transferred' : 'discharged';
+
+  this.discharge = {
+    disposition,
+    summary,
+    followUpInstructions,
+    dischargedBy
+  };
+  this.dischargedAt = new Date();
+
+  return await this.updateStatus(finalStatus, dischargedBy, summary?.substring(0, 1000));
+};
+
+// Static method to find the active admission for a patient
+admissionSchema.statics.findActiveForPatient = function(patientId) {
+  return this.findOne({
+    patient: patientId,
+    status: { $nin: ['discharged', 'transferred'] }
+  }).sort({ admittedAt: -1 });
+};
+
+// Create and export the model
+const Admission = mongoose.model('Admission', admissionSchema);
+
+module.exports = Admission;
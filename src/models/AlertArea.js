@@ -0,0 +1,151 @@
+/**
+ * AlertArea Model
+ *
+ * Named areas a user wants to hear about, such as home, work or school.
+ * An area is a circle (centre and radius) or a GeoJSON polygon, filtered by
+ * incident type and minimum severity. Both shapes are 2dsphere indexed so
+ * new incidents can be matched against every area in one query per shape
+ */
+
+const mongoose = require('mongoose');
+const Incident = require('./Incident');
+const { AREA_ALERTS } = require('../config/constants');
+
+const INCIDENT_TYPES = Incident.schema.path('type').enumValues;
+
+// Circle centre schema (GeoJSON Point)
+const centerSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    required: true
+  }
+}, { _id: false });
+
+// Polygon boundary schema (GeoJSON Polygon)
+const boundarySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Polygon'],
+    required: true
+  },
+  coordinates: {
+    type: Array,
+    required: true
+  }
+}, { _id: false });
+
+// Main AlertArea Schema
+const alertAreaSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  shape: {
+    type: String,
+    enum: ['circle', 'polygon'],
+    required: true
+  },
+
+  // Circle areas
+  center: {
+    type: centerSchema,
+    required: function() {
+      return this.shape === 'circle';
+    }
+  },
+  radiusMeters: {
+    type: Number,
+    min: AREA_ALERTS.MIN_RADIUS_METERS,
+    max: AREA_ALERTS.MAX_RADIUS_METERS,
+    required: function() {
+      return this.shape === 'circle';
+    }
+  },
+
+  // Polygon areas
+  boundary: {
+    type: boundarySchema,
+    required: function() {
+      return this.shape === 'polygon';
+    }
+  },
+
+  // Incident types to alert on; empty means every type
+  types: [{
+    type: String,
+    enum: INCIDENT_TYPES
+  }],
+
+  minSeverity: {
+    type: String,
+    enum: AREA_ALERTS.SEVERITIES,
+    default: AREA_ALERTS.DEFAULT_MIN_SEVERITY
+  },
+
+  // Incident events that raise an alert
+  triggers: {
+    type: [{
+      type: String,
+      enum: AREA_ALERTS.TRIGGERS
+    }],
+    default: () => [...AREA_ALERTS.TRIGGERS],
+    validate: {
+      validator: (triggers) => triggers.length > 0,
+      message: 'An area must alert on at least one incident event'
+    }
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  alertCount: {
+    type: Number,
+    default: 0
+  },
+  lastAlertAt: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+alertAreaSchema.index({ center: '2dsphere' });
+alertAreaSchema.index({ boundary: '2dsphere' });
+alertAreaSchema.index({ userId: 1, createdAt: 1 });
+
+// Clear the fields of the other shape so an area never carries both
+alertAreaSchema.pre('validate', function(next) {
+  if (this.shape === 'circle') {
+    this.boundary = undefined;
+  } else if (this.shape === 'polygon') {
+    this.center = undefined;
+    this.radiusMeters = undefined;
+  }
+  next();
+});
+
+// Create and export the model
+const AlertArea = mongoose.model('AlertArea', alertAreaSchema);
+
+module.exports = AlertArea;
@@ -0,0 +1,74 @@
+/**
+ * AreaAlert Model
+ *
+ * Alerts delivered to users when an incident is created or verified inside
+ * one of their alert areas. A user gets one alert per incident and trigger,
+ * naming every area that matched. Alerts are removed after
+ * AREA_ALERTS.RETENTION_DAYS
+ */
+
+const mongoose = require('mongoose');
+const { AREA_ALERTS } = require('../config/constants');
+
+// Main AreaAlert Schema
+const areaAlertSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  incidentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident',
+    required: true
+  },
+
+  trigger: {
+    type: String,
+    enum: AREA_ALERTS.TRIGGERS,
+    required: true
+  },
+
+  areas: [{
+    _id: false,
+    areaId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AlertArea'
+    },
+    name: String
+  }],
+
+  // Incident summary at the time of the alert
+  incident: {
+    title: String,
+    type: { type: String },
+    severity: String,
+    status: String,
+    location: {
+      latitude: Number,
+      longitude: Number
+    },
+    address: String
+  },
+
+  readAt: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+areaAlertSchema.index({ userId: 1, incidentId: 1, trigger: 1 }, { unique: true });
+areaAlertSchema.index({ userId: 1, readAt: 1, createdAt: -1 });
+areaAlertSchema.index({ createdAt: 1 }, { expireAfterSeconds: AREA_ALERTS.RETENTION_DAYS * 24 * 60 * 60 });
+
+// Create and export the model
+const AreaAlert = mongoose.model('AreaAlert', areaAlertSchema);
+
+module.exports = AreaAlert;
@@ -6,6 +6,7 @@
  */
 
 const mongoose = require('mongoose');
+const net = require('net');
 
 // Request Context Schema for capturing HTTP request details
 const requestContextSchema = new mongoose.Schema({
@@ -39,10 +40,10 @@ const requestContextSchema = new mongoose.Schema({
     required: true,
     validate: {
       validator: function(ip) {
-        // Basic IP validation (IPv4 and IPv6)
+        // Basic IP validation (IPv4 and IPv6, including compressed IPv6 forms)
         const ipv4Regex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
         const ipv6Regex = /^(?:[0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}$/;
-        return ipv4Regex.test(ip) || ipv6Regex.test(ip) || ip === '::1' || ip === '127.0.0.1';
+        return ipv4Regex.test(ip) || ipv6Regex.test(ip) || net.isIPv6(ip) || ip === '::1' || ip === '127.0.0.1';
       },
       message: 'Invalid IP address format'
     }
@@ -0,0 +1,87 @@
+/**
+ * ContactAlert Model
+ *
+ * Audit trail of alerts sent to a user's emergency contacts: what triggered
+ * the alert, the incident status and hospital it reported, who was messaged
+ * (masked) and the delivery for each contact. Alerts held back by the rate
+ * limit are recorded too. A user's contacts are alerted at most once per
+ * incident and trigger
+ */
+
+const mongoose = require('mongoose');
+const { CONTACT_ALERTS } = require('../config/constants');
+
+// Main ContactAlert Schema
+const contactAlertSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  trigger: {
+    type: String,
+    enum: CONTACT_ALERTS.TRIGGERS,
+    required: true
+  },
+
+  incidentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident'
+  },
+  admissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admission'
+  },
+
+  // User who caused the alert (the reporter, admitting staff or the user testing)
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // What the contacts were told
+  incident: {
+    type: { type: String },
+    status: String,
+    hospital: String
+  },
+
+  contacts: [{
+    _id: false,
+    contactId: mongoose.Schema.Types.ObjectId,
+    relation: String,
+    recipient: String, // Masked phone
+    deliveryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NotificationDelivery'
+    },
+    status: String
+  }],
+
+  outcome: {
+    type: String,
+    enum: CONTACT_ALERTS.OUTCOMES,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+contactAlertSchema.index(
+  { userId: 1, incidentId: 1, trigger: 1 },
+  { unique: true, partialFilterExpression: { incidentId: { $exists: true } } }
+);
+contactAlertSchema.index({ userId: 1, createdAt: -1 });
+
+// Create and export the model
+const ContactAlert = mongoose.model('ContactAlert', contactAlertSchema);
+
+module.exports = ContactAlert;
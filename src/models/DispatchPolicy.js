@@ -0,0 +1,91 @@
+/**
+ * Dispatch Policy Model
+ *
+ * Per-department configuration for the dispatch engine: whether new
+ * incidents are assigned automatically, ranked for a dispatcher, or left
+ * for manual assignment
+ */
+
+const mongoose = require('mongoose');
+const { DISPATCH, DISPATCH_MODES } = require('../config/constants');
+
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+// Main Dispatch Policy Schema
+const dispatchPolicySchema = new mongoose.Schema({
+  department: {
+    type: String,
+    enum: ['police', 'fire', 'medical', 'municipal', 'traffic', 'other'],
+    required: true,
+    unique: true
+  },
+  mode: {
+    type: String,
+    enum: Object.values(DISPATCH_MODES),
+    default: DISPATCH.DEFAULT_MODE
+  },
+
+  // Priorities assigned automatically in auto mode; others are suggested
+  autoAssignPriorities: {
+    type: [{
+      type: String,
+      enum: PRIORITIES
+    }],
+    default: () => [...DISPATCH.DEFAULT_AUTO_PRIORITIES]
+  },
+
+  // Overrides the priority-based search radius when set
+  searchRadiusMeters: {
+    type: Number,
+    min: 100,
+    max: 100000
+  },
+  maxActiveAssignments: {
+    type: Number,
+    min: 1,
+    max: 20,
+    default: DISPATCH.MAX_ACTIVE_ASSIGNMENTS
+  },
+
+  // Overrides the priority-based acceptance timeout when set
+  acceptTimeoutMinutes: {
+    type: Number,
+    min: 1,
+    max: 240
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Static method to get the effective policy for a department
+// Departments without a stored policy use the dispatch defaults
+dispatchPolicySchema.statics.resolve = async function(department) {
+  const policy = await this.findOne({ department }).lean();
+
+  return {
+    department,
+    mode: DISPATCH.DEFAULT_MODE,
+    autoAssignPriorities: [...DISPATCH.DEFAULT_AUTO_PRIORITIES],
+    searchRadiusMeters: null,
+    maxActiveAssignments: DISPATCH.MAX_ACTIVE_ASSIGNMENTS,
+    acceptTimeoutMinutes: null,
+    isDefault: !policy,
+    ...(policy || {})
+  };
+};
+
+// Create and export the model
+const DispatchPolicy = mongoose.model('DispatchPolicy', dispatchPolicySchema);
+
+module.exports = DispatchPolicy;
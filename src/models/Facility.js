@@ -0,0 +1,204 @@
+/**
+ * Facility Model
+ *
+ * Hospitals that can receive patients: location, specialties, bed counts
+ * per ward and emergency room diversion status. Hospital staff linked to a
+ * facility keep its capacity up to date
+ */
+
+const mongoose = require('mongoose');
+const { FACILITIES } = require('../config/constants');
+
+// Location Schema for GeoJSON Point
+const locationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    required: true,
+    validate: {
+      validator: function(coords) {
+        return coords.length === 2 &&
+               coords[0] >= -180 && coords[0] <= 180 && // longitude
+               coords[1] >= -90 && coords[1] <= 90;    // latitude
+      },
+      message: 'Invalid coordinates format'
+    }
+  }
+}, { _id: false });
+
+// Ward capacity schema
+const wardSchema = new mongoose.Schema({
+  ward: {
+    type: String,
+    required: true,
+    enum: FACILITIES.WARDS
+  },
+  totalBeds: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  availableBeds: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: {
+      validator: function(availableBeds) {
+        return availableBeds <= this.totalBeds;
+      },
+      message: 'Available beds cannot exceed total beds'
+    }
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Emergency room diversion schema
+const diversionSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['open', 'diverting'],
+    default: 'open'
+  },
+  // Diverted specialties; empty while diverting means all patients
+  specialties: [{
+    type: String,
+    enum: FACILITIES.SPECIALTIES
+  }],
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  until: Date, // Diversion ends by itself after this time
+  updatedAt: Date,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+// Main Facility Schema
+const facilitySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+
+  // Stable identifier used in imports and URLs
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: 100,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Code may only contain lowercase letters, digits and single hyphens']
+  },
+
+  location: {
+    type: locationSchema,
+    required: true
+  },
+  address: {
+    street: { type: String, trim: true, maxlength: 200 },
+    city: { type: String, trim: true, maxlength: 100 },
+    state: { type: String, trim: true, maxlength: 100 },
+    pincode: { type: String, trim: true, maxlength: 10 }
+  },
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: 20
+  },
+  licenseNumber: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+
+  specialties: [{
+    type: String,
+    enum: FACILITIES.SPECIALTIES
+  }],
+
+  wards: {
+    type: [wardSchema],
+    default: [],
+    validate: {
+      validator: (wards) => new Set(wards.map(ward => ward.ward)).size === wards.length,
+      message: 'Each ward may only be listed once'
+    }
+  },
+  capacityUpdatedAt: Date,
+  capacityUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  diversion: {
+    type: diversionSchema,
+    default: () => ({ status: 'open' })
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+facilitySchema.index({ location: '2dsphere' });
+facilitySchema.index({ specialties: 1, isActive: 1 });
+
+// Instance method to set bed counts of wards, keeping wards not mentioned
+facilitySchema.methods.updateCapacity = function(wards, updatedBy) {
+  const now = new Date();
+
+  wards.forEach(({ ward, totalBeds, availableBeds }) => {
+    const existing = this.wards.find(entry => entry.ward === ward);
+
+    if (existing) {
+      if (totalBeds !== undefined) existing.totalBeds = totalBeds;
+      existing.availableBeds = availableBeds;
+      existing.updatedAt = now;
+    } else {
+      this.wards.push({ ward, totalBeds: totalBeds ?? availableBeds, availableBeds, updatedAt: now });
+    }
+  });
+
+  this.capacityUpdatedAt = now;
+  this.capacityUpdatedBy = updatedBy;
+};
+
+// Instance method to start or end emergency room diversion
+facilitySchema.methods.setDiversion = function({ status, specialties = [], reason, until }, updatedBy) {
+  this.diversion = status === 'open'
+    ? { status, specialties: [], updatedAt: new Date(), updatedBy }
+    : { status, specialties, reason, until, updatedAt: new Date(), updatedBy };
+};
+
+// Create and export the model
+const Facility = mongoose.model('Facility', facilitySchema);
+
+module.exports = Facility;
@@ -0,0 +1,70 @@
+/**
+ * GeocodeCache Model
+ *
+ * Persistent cache of geocoding lookups, keyed by provider and normalized
+ * query. Lookups that found nothing are cached too, for a shorter time.
+ * MongoDB removes entries after expiresAt via a TTL index
+ */
+
+const mongoose = require('mongoose');
+
+// Main GeocodeCache Schema
+const geocodeCacheSchema = new mongoose.Schema({
+  // kind:provider:query, e.g. "forward:gazetteer:kothrud pune"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  kind: {
+    type: String,
+    enum: ['forward', 'reverse'],
+    required: true
+  },
+
+  provider: {
+    type: String,
+    required: true
+  },
+
+  // Normalized address, or "lat,lng" rounded to MAPS_CONFIG.CACHE.REVERSE_PRECISION
+  query: {
+    type: String,
+    required: true
+  },
+
+  // Normalized geocoding result, null when the provider found nothing
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  hits: {
+    type: Number,
+    default: 0
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  minimize: false,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+geocodeCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+geocodeCacheSchema.index({ provider: 1, kind: 1 });
+
+// Create and export the model
+const GeocodeCache = mongoose.model('GeocodeCache', geocodeCacheSchema);
+
+module.exports = GeocodeCache;
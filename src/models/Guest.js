@@ -7,6 +7,7 @@
 
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const { GUEST_LIMITS } = require('../config/constants');
 
 // Guest Action Schema for tracking individual actions
 const guestActionSchema = new mongoose.Schema({
@@ -288,6 +289,17 @@ guestSchema.virtual('remainingDailyActions').get(function() {
   return Math.max(0, maxDailyActions - this.dailyActions);
 });
 
+// Virtual for remaining media uploads today
+// Counters are only reset on save, so a stale counter from an earlier day counts as zero
+guestSchema.virtual('remainingDailyMediaUploads').get(function() {
+  const lastReset = this.lastDailyReset || this.createdAt;
+  const uploadsToday = lastReset && lastReset.toDateString() === new Date().toDateString()
+    ? this.dailyMediaUploads
+    : 0;
+  
+  return Math.max(0, GUEST_LIMITS.MAX_DAILY_MEDIA_UPLOADS - uploadsToday);
+});
+
 // Virtual for can perform action
 guestSchema.virtual('canPerformAction').get(function() {
   return !this.isBlocked && 
@@ -6,13 +6,66 @@
  */
 
 const mongoose = require('mongoose');
+const IncidentNote = require('./IncidentNote');
+const Jurisdiction = require('./Jurisdiction');
+const {
+  STREAM_EVENTS,
+  NOTE_VISIBILITY,
+  INCIDENT_MEDIA,
+  MEDIA_EVIDENCE,
+  MEDIA_EVIDENCE_FLAGS
+} = require('../config/constants');
+const { publishIncidentEvent } = require('../services/incidentEvents');
+const { assertStatusTransition } = require('../config/statusTransitions');
+const { getSlaBreaches } = require('../config/slaTargets');
+const { STORAGE_PROVIDERS } = require('../config/storage');
+
+const PRIORITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// EXIF data read from a photo before its location metadata was stripped
+const mediaExifSchema = new mongoose.Schema({
+  capturedAt: Date,
+  capturedAtHasTimeZone: Boolean, // False when the camera recorded local time without an offset
+  location: {
+    type: new mongoose.Schema({
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+      },
+      coordinates: [Number] // [longitude, latitude]
+    }, { _id: false }),
+    default: undefined
+  },
+  cameraMake: String,
+  cameraModel: String
+}, { _id: false });
+
+// Cross-check of a photo's EXIF data against the incident location and time
+const mediaEvidenceSchema = new mongoose.Schema({
+  distanceMeters: Number,
+  timeOffsetMinutes: Number,
+  flags: [{
+    type: String,
+    enum: Object.values(MEDIA_EVIDENCE_FLAGS)
+  }],
+  checkedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 // Media File Schema for incident attachments
 const mediaFileSchema = new mongoose.Schema({
-  cloudinaryId: {
+  cloudinaryId: { // Storage key for whichever provider holds the file
     type: String,
     required: true
   },
+  storageProvider: {
+    type: String,
+    enum: Object.values(STORAGE_PROVIDERS),
+    default: STORAGE_PROVIDERS.CLOUDINARY
+  },
   publicUrl: {
     type: String,
     required: true
@@ -59,6 +112,18 @@ const mediaFileSchema = new mongoose.Schema({
     type: String,
     enum: ['User', 'Guest'],
     required: true
+  },
+  exif: {
+    type: mediaExifSchema,
+    default: undefined
+  },
+  evidenceCheck: {
+    type: mediaEvidenceSchema,
+    default: undefined
+  },
+  metadataStripped: { // Location metadata removed from the stored file
+    type: Boolean,
+    default: false
   }
 }, { _id: true });
 
@@ -148,6 +213,32 @@ const upvoteSchema = new mongoose.Schema({
   }
 }, { _id: true });
 
+// Additional Report Schema for information added by people who joined an
+// existing report instead of filing a new one
+const additionalReportSchema = new mongoose.Schema({
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'reportedByModel',
+    required: true
+  },
+  reportedByModel: {
+    type: String,
+    enum: ['User', 'Guest'],
+    required: true
+  },
+  information: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  distance: Number, // Meters from the incident when submitted
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: true });
+
 // Assignment Schema for police/emergency responders
 const assignmentSchema = new mongoose.Schema({
   assignedTo: {
@@ -158,14 +249,28 @@ const assignmentSchema = new mongoose.Schema({
   assignedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return this.source !== 'auto'; // Auto-dispatch has no human dispatcher
+    }
   },
+  source: {
+    type: String,
+    enum: ['manual', 'self', 'auto'],
+    default: 'manual'
+  },
+  distanceMeters: Number, // Responder distance at dispatch time
   assignedAt: {
     type: Date,
     default: Date.now
   },
   acceptedAt: Date,
   completedAt: Date,
+  declinedAt: Date,
+  declineReason: {
+    type: String,
+    maxlength: 500
+  },
+  timedOutAt: Date, // Set when the scheduler released an unaccepted assignment
   status: {
     type: String,
     enum: ['pending', 'accepted', 'declined', 'completed', 'reassigned'],
@@ -330,16 +435,20 @@ const incidentSchema = new mongoose.Schema({
     enum: ['police', 'fire', 'medical', 'municipal', 'traffic', 'other'],
     required: true
   },
-  jurisdiction: String,
+  jurisdiction: String, // Jurisdiction code
+  jurisdictionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Jurisdiction'
+  },
   
   // Media and Evidence
   media: {
     type: [mediaFileSchema],
     validate: {
       validator: function(media) {
-        return media.length <= 20; // Max 20 media files per incident
+        return media.length <= INCIDENT_MEDIA.MAX_FILES;
       },
-      message: 'Cannot have more than 20 media files per incident'
+      message: `Cannot have more than ${INCIDENT_MEDIA.MAX_FILES} media files per incident`
     }
   },
   
@@ -394,6 +503,10 @@ const incidentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Incident'
   }],
+  additionalReports: {
+    type: [additionalReportSchema],
+    default: []
+  },
   
   // Additional Information
   tags: [{
@@ -471,9 +584,11 @@ incidentSchema.virtual('ageInHours').get(function() {
 incidentSchema.virtual('distance');
 
 // Virtual for current status duration
+// SLA escalation entries record no status change and are skipped
 incidentSchema.virtual('currentStatusDuration').get(function() {
-  const lastStatusChange = this.statusHistory.length > 0 
-    ? this.statusHistory[this.statusHistory.length - 1].timestamp 
+  const statusChanges = this.statusHistory.filter(entry => !entry.metadata?.slaEscalation);
+  const lastStatusChange = statusChanges.length > 0 
+    ? statusChanges[statusChanges.length - 1].timestamp 
     : this.reportedAt;
   return Math.floor((Date.now() - lastStatusChange) / (60 * 1000)); // Minutes
 });
@@ -483,11 +598,9 @@ incidentSchema.virtual('isActive').get(function() {
   return !['resolved', 'closed', 'duplicate', 'false_report', 'cancelled'].includes(this.status);
 });
 
-// Virtual for needs attention (high priority and old)
+// Virtual for needs attention (an SLA stage is overdue)
 incidentSchema.virtual('needsAttention').get(function() {
-  return this.isActive && 
-         (this.priority === 'high' || this.priority === 'critical') && 
-         this.ageInHours > 2;
+  return this.isActive && getSlaBreaches(this).length > 0;
 });
 
 // Indexes for performance and geospatial queries
@@ -495,6 +608,7 @@ incidentSchema.index({ location: '2dsphere' }); // Critical for proximity detect
 incidentSchema.index({ status: 1, createdAt: -1 });
 incidentSchema.index({ type: 1, severity: 1 });
 incidentSchema.index({ department: 1, jurisdiction: 1 });
+incidentSchema.index({ department: 1, jurisdictionId: 1 });
 incidentSchema.index({ reportedBy: 1, reportedAt: -1 });
 incidentSchema.index({ priority: 1, status: 1 });
 incidentSchema.index({ incidentTime: -1 });
@@ -520,16 +634,24 @@ incidentSchema.pre('save', function(next) {
   try {
     // Track status changes
     if (this.isModified('status') && !this.isNew) {
+      // Direct assignments must still follow the state machine
+      const previousStatus = this.$locals.persistedStatus;
+      if (previousStatus && previousStatus !== this.status) {
+        assertStatusTransition(previousStatus, this.status);
+      }
+      
       const statusChange = {
         status: this.status,
         changedBy: this.modifiedBy || this.reportedBy,
         changedByModel: this.modifiedByModel || this.reportedByModel,
         timestamp: new Date(),
         reason: this.statusChangeReason,
-        notes: this.statusChangeNotes
+        notes: this.statusChangeNotes,
+        metadata: this.statusChangeMetadata
       };
       
       this.statusHistory.push(statusChange);
+      this.statusChangeMetadata = undefined;
       
       // Update timing fields based on status
       switch (this.status) {
@@ -549,8 +671,8 @@ incidentSchema.pre('save', function(next) {
       }
     }
     
-    // Calculate verification score based on upvotes and other factors
-    if (this.isModified('upvotes') || this.isModified('upvoteCount')) {
+    // Calculate verification score based on upvotes, media and other factors
+    if (this.isModified('upvotes') || this.isModified('upvoteCount') || this.isModified('media')) {
       this.verificationScore = this.calculateVerificationScore();
     }
     
@@ -565,6 +687,73 @@ incidentSchema.pre('save', function(next) {
   }
 });
 
+// Queue a stream event to be published once the next save succeeds
+const queueStreamEvent = (incident, type, details) => {
+  incident.$locals.queuedEvents = incident.$locals.queuedEvents || [];
+  incident.$locals.queuedEvents.push({ type, details });
+};
+
+// Remember the persisted status so status change events can report it
+incidentSchema.post('init', function() {
+  this.$locals.persistedStatus = this.status;
+});
+
+// Pre-save middleware stamping new incidents with the jurisdiction whose
+// boundary contains them; incidents outside every boundary keep any
+// jurisdiction code they were given
+incidentSchema.pre('save', async function() {
+  if (!this.isNew || this.jurisdictionId || !this.location?.coordinates) {
+    return;
+  }
+
+  const jurisdiction = await Jurisdiction.findContaining(this.location.coordinates, this.department);
+  if (jurisdiction) {
+    this.jurisdictionId = jurisdiction._id;
+    this.jurisdiction = jurisdiction.code;
+  }
+});
+
+// Pre-save middleware for collecting real-time stream events
+incidentSchema.pre('save', function(next) {
+  const events = [];
+
+  if (this.isNew) {
+    // Merged duplicates need no response, so dashboards are not told about them
+    if (this.status !== 'duplicate') {
+      events.push({ type: STREAM_EVENTS.INCIDENT_CREATED });
+    }
+  } else if (this.isModified('status')) {
+    events.push({
+      type: STREAM_EVENTS.INCIDENT_STATUS_CHANGED,
+      details: {
+        previousStatus: this.$locals.persistedStatus || null,
+        newStatus: this.status,
+        changedBy: this.modifiedBy ? this.modifiedBy.toString() : null
+      }
+    });
+  }
+
+  this.$locals.pendingEvents = events.concat(this.$locals.queuedEvents || []);
+  this.$locals.queuedEvents = [];
+  next();
+});
+
+// Post-save middleware for publishing real-time stream events
+incidentSchema.post('save', function(doc) {
+  const events = doc.$locals.pendingEvents || [];
+  doc.$locals.pendingEvents = [];
+  doc.$locals.persistedStatus = doc.status;
+
+  events.forEach(({ type, details }) => publishIncidentEvent(type, doc, details));
+});
+
+// Drop queued stream events when a save fails so they are not published later
+incidentSchema.post('save', function(error, doc, next) {
+  this.$locals.queuedEvents = [];
+  this.$locals.pendingEvents = [];
+  next(error);
+});
+
 // Instance method to add upvote
 incidentSchema.methods.addUpvote = async function(userId, userModel, ipAddress, userAgent, location) {
   try {
@@ -590,6 +779,7 @@ incidentSchema.methods.addUpvote = async function(userId, userModel, ipAddress,
     this.upvotes.push(upvote);
     this.upvoteCount = this.upvotes.length;
     this.verificationScore = this.calculateVerificationScore();
+    queueStreamEvent(this, STREAM_EVENTS.INCIDENT_UPVOTED, { upvoteCount: this.upvoteCount });
     
     return await this.save();
   } catch (error) {
@@ -618,6 +808,72 @@ incidentSchema.methods.removeUpvote = async function(userId, userModel) {
   }
 };
 
+// Instance method to merge a duplicate report into this incident
+// The duplicate's reporter is counted as an upvote unless already counted
+incidentSchema.methods.mergeDuplicate = async function(duplicate, voter) {
+  try {
+    if (!this.relatedIncidents.some(id => id.toString() === duplicate._id.toString())) {
+      this.relatedIncidents.push(duplicate._id);
+    }
+    
+    if (this.isCountedFor(voter.userId, voter.userModel)) {
+      return await this.save();
+    }
+    
+    return await this.addUpvote(
+      voter.userId,
+      voter.userModel,
+      voter.ipAddress,
+      voter.userAgent,
+      duplicate.location
+    );
+  } catch (error) {
+    throw new Error(`Failed to merge duplicate: ${error.message}`);
+  }
+};
+
+// Instance method to check whether someone already counts towards the incident
+// as its reporter or an upvoter
+incidentSchema.methods.isCountedFor = function(userId, userModel) {
+  const id = userId.toString();
+  return this.reportedBy.toString() === id ||
+    this.upvotes.some(upvote => upvote.userId.toString() === id && upvote.userModel === userModel);
+};
+
+// Instance method to join an existing report instead of filing a new one
+// Upvotes (unless the participant already counts) and records any added
+// information in a single save
+incidentSchema.methods.joinReport = async function(participant, { upvote = true, information } = {}) {
+  try {
+    if (upvote && !this.isCountedFor(participant.userId, participant.userModel)) {
+      this.upvotes.push({
+        userId: participant.userId,
+        userModel: participant.userModel,
+        timestamp: new Date(),
+        ipAddress: participant.ipAddress,
+        userAgent: participant.userAgent,
+        location: participant.location
+      });
+      this.upvoteCount = this.upvotes.length;
+      this.verificationScore = this.calculateVerificationScore();
+      queueStreamEvent(this, STREAM_EVENTS.INCIDENT_UPVOTED, { upvoteCount: this.upvoteCount });
+    }
+    
+    if (information) {
+      this.additionalReports.push({
+        reportedBy: participant.userId,
+        reportedByModel: participant.userModel,
+        information,
+        distance: participant.distance
+      });
+    }
+    
+    return await this.save();
+  } catch (error) {
+    throw new Error(`Failed to join report: ${error.message}`);
+  }
+};
+
 // Instance method to calculate verification score
 incidentSchema.methods.calculateVerificationScore = function() {
   let score = 0;
@@ -625,8 +881,19 @@ incidentSchema.methods.calculateVerificationScore = function() {
   // Base score from upvotes (max 50 points)
   score += Math.min(this.upvoteCount * 5, 50);
   
-  // Bonus for media evidence (max 20 points)
-  score += Math.min(this.media.length * 5, 20);
+  // Bonus for media evidence (max 20 points); photos whose EXIF places them
+  // elsewhere or at another time count against the report instead
+  const flaggedMedia = this.media.filter(media =>
+    media.evidenceCheck && media.evidenceCheck.flags.length > 0
+  ).length;
+  const corroboratingMedia = this.media.filter(media =>
+    media.evidenceCheck && media.evidenceCheck.flags.length === 0 &&
+    media.evidenceCheck.distanceMeters !== null && media.evidenceCheck.distanceMeters !== undefined
+  ).length;
+  
+  score += Math.min((this.media.length - flaggedMedia) * 5, 20);
+  score += Math.min(corroboratingMedia * MEDIA_EVIDENCE.CORROBORATION_BONUS, MEDIA_EVIDENCE.MAX_CORROBORATION_BONUS);
+  score -= Math.min(flaggedMedia * MEDIA_EVIDENCE.MISMATCH_PENALTY, MEDIA_EVIDENCE.MAX_MISMATCH_PENALTY);
   
   // Bonus for detailed description (max 10 points)
   if (this.description.length > 100) score += 5;
@@ -643,7 +910,11 @@ incidentSchema.methods.calculateVerificationScore = function() {
 };
 
 // Instance method to update status
-incidentSchema.methods.updateStatus = async function(newStatus, changedBy, changedByModel, reason, notes) {
+// Transitions are checked against the state machine; pass actorRole to
+// also enforce the roles allowed to take the transition
+incidentSchema.methods.updateStatus = async function(newStatus, changedBy, changedByModel, reason, notes, actorRole) {
+  assertStatusTransition(this.status, newStatus, actorRole);
+  
   try {
     // Store change metadata for pre-save middleware
     this.modifiedBy = changedBy;
@@ -659,23 +930,42 @@ incidentSchema.methods.updateStatus = async function(newStatus, changedBy, chang
 };
 
 // Instance method to assign incident
-incidentSchema.methods.assignTo = async function(assignedTo, assignedBy, priority = 'medium', notes) {
+// options.source is 'manual', 'self' (claimed) or 'auto' (dispatch engine,
+// which passes a null assignedBy)
+incidentSchema.methods.assignTo = async function(assignedTo, assignedBy, priority = 'medium', notes, options = {}) {
   try {
+    const { source = 'manual', distanceMeters } = options;
     const assignment = {
       assignedTo,
       assignedBy,
+      source,
+      distanceMeters,
       assignedAt: new Date(),
       status: 'pending',
       priority,
       notes
     };
     
+    // Reassigning supersedes the open assignment of the previous responder
+    this.assignments
+      .filter(existing => ['pending', 'accepted'].includes(existing.status))
+      .forEach(existing => {
+        existing.status = 'reassigned';
+      });
+    
     this.assignments.push(assignment);
     this.currentAssignment = assignedTo;
+    queueStreamEvent(this, STREAM_EVENTS.INCIDENT_ASSIGNED, {
+      assignedTo: assignedTo.toString(),
+      assignedBy: assignedBy ? assignedBy.toString() : null,
+      source,
+      priority
+    });
     
     // Update incident status if not already assigned
     if (this.status === 'reported' || this.status === 'verified') {
-      await this.updateStatus('assigned', assignedBy, 'User', 'Incident assigned', notes);
+      this.statusChangeMetadata = { assignmentSource: source };
+      await this.updateStatus('assigned', assignedBy, assignedBy ? 'User' : undefined, 'Incident assigned', notes);
     }
     
     return await this.save();
@@ -684,14 +974,176 @@ incidentSchema.methods.assignTo = async function(assignedTo, assignedBy, priorit
   }
 };
 
+// Instance method to find the open assignment of the current responder
+incidentSchema.methods.getCurrentAssignment = function() {
+  if (!this.currentAssignment) {
+    return null;
+  }
+  
+  return this.assignments
+    .slice()
+    .reverse()
+    .find(a => a.assignedTo.toString() === this.currentAssignment.toString() &&
+      ['pending', 'accepted'].includes(a.status)) || null;
+};
+
+// Instance method to accept an assignment
+// The first acceptance also sets the incident's responseTime
+incidentSchema.methods.acceptAssignment = async function(assignment) {
+  try {
+    const now = new Date();
+    
+    assignment.status = 'accepted';
+    assignment.acceptedAt = now;
+    assignment.actualResponseTime = Math.floor((now - assignment.assignedAt) / (60 * 1000));
+    
+    if (this.responseTime === undefined || this.responseTime === null) {
+      this.responseTime = Math.floor((now - this.reportedAt) / (60 * 1000));
+    }
+    
+    queueStreamEvent(this, STREAM_EVENTS.INCIDENT_ASSIGNMENT_UPDATED, {
+      action: 'accepted',
+      assignmentId: assignment._id.toString(),
+      responderId: assignment.assignedTo.toString()
+    });
+    
+    return await this.save();
+  } catch (error) {
+    throw new Error(`Failed to accept assignment: ${error.message}`);
+  }
+};
+
+// Instance method to release the current assignment after a decline or timeout
+// An assigned incident returns to verified so it can be dispatched again
+incidentSchema.methods.releaseAssignment = async function(assignment, options = {}) {
+  try {
+    const { timedOut = false, reason, changedBy, changedByModel } = options;
+    const now = new Date();
+    
+    if (timedOut) {
+      assignment.status = 'reassigned';
+      assignment.timedOutAt = now;
+    } else {
+      assignment.status = 'declined';
+      assignment.declinedAt = now;
+      assignment.declineReason = reason;
+    }
+    
+    this.currentAssignment = undefined;
+    queueStreamEvent(this, STREAM_EVENTS.INCIDENT_ASSIGNMENT_UPDATED, {
+      action: timedOut ? 'timed_out' : 'declined',
+      assignmentId: assignment._id.toString(),
+      responderId: assignment.assignedTo.toString(),
+      reason: reason || null
+    });
+    
+    if (this.status === 'assigned') {
+      this.statusChangeMetadata = { assignmentOutcome: timedOut ? 'timed_out' : 'declined' };
+      return await this.updateStatus('verified', changedBy, changedByModel, reason || 'Assignment released');
+    }
+    
+    return await this.save();
+  } catch (error) {
+    throw new Error(`Failed to release assignment: ${error.message}`);
+  }
+};
+
+// Instance method to complete an assignment
+// Completing resolves the incident when it is still being worked on
+incidentSchema.methods.completeAssignment = async function(assignment, completedBy, actorRole, notes) {
+  try {
+    assignment.status = 'completed';
+    assignment.completedAt = new Date();
+    queueStreamEvent(this, STREAM_EVENTS.INCIDENT_ASSIGNMENT_UPDATED, {
+      action: 'completed',
+      assignmentId: assignment._id.toString(),
+      responderId: assignment.assignedTo.toString()
+    });
+    
+    if (['assigned', 'in_progress'].includes(this.status)) {
+      return await this.updateStatus('resolved', completedBy, 'User', 'Assignment completed', notes, actorRole);
+    }
+    
+    return await this.save();
+  } catch (error) {
+    throw new Error(`Failed to complete assignment: ${error.message}`);
+  }
+};
+
+// Instance method to find the SLA stages already escalated
+incidentSchema.methods.getSlaEscalations = function() {
+  return this.statusHistory
+    .filter(entry => entry.metadata?.slaEscalation)
+    .map(entry => ({ ...entry.metadata.slaEscalation, timestamp: entry.timestamp }));
+};
+
+// Instance method to escalate an SLA breach
+// Bumps the priority one level and records the breach in statusHistory
+// metadata without changing the status; the reporter stands in as the
+// actor because the check runs without a user
+incidentSchema.methods.escalateSla = async function(breach, notifiedSupervisors = []) {
+  try {
+    const previousPriority = this.priority;
+    const levelIndex = PRIORITY_LEVELS.indexOf(previousPriority);
+    this.priority = PRIORITY_LEVELS[Math.min(levelIndex + 1, PRIORITY_LEVELS.length - 1)];
+    
+    const slaEscalation = {
+      stage: breach.stage,
+      targetMinutes: breach.targetMinutes,
+      dueAt: breach.dueAt,
+      overdueMinutes: breach.overdueMinutes,
+      previousPriority,
+      newPriority: this.priority,
+      notifiedSupervisors: notifiedSupervisors.map(id => id.toString())
+    };
+    
+    this.statusHistory.push({
+      status: this.status,
+      changedBy: this.reportedBy,
+      changedByModel: this.reportedByModel,
+      timestamp: new Date(),
+      reason: `SLA breached: ${breach.stage} target of ${breach.targetMinutes} minutes`,
+      metadata: { slaEscalation }
+    });
+    queueStreamEvent(this, STREAM_EVENTS.INCIDENT_SLA_BREACHED, slaEscalation);
+    
+    return await this.save();
+  } catch (error) {
+    throw new Error(`Failed to escalate SLA breach: ${error.message}`);
+  }
+};
+
+// Instance method to add a note
+// Notes live in the IncidentNote collection and default to internal
+incidentSchema.methods.addNote = async function(authorId, authorRole, content, options = {}) {
+  try {
+    const { visibility = NOTE_VISIBILITY.INTERNAL, parentNote = null, attachments = [] } = options;
+    
+    return await IncidentNote.create({
+      incident: this._id,
+      parentNote,
+      author: authorId,
+      authorRole,
+      visibility,
+      content,
+      attachments
+    });
+  } catch (error) {
+    throw new Error(`Failed to add note: ${error.message}`);
+  }
+};
+
 // Instance method to add media
+// Accepts a single media entry or an array saved together
 incidentSchema.methods.addMedia = async function(mediaData) {
   try {
-    if (this.media.length >= 20) {
-      throw new Error('Maximum media limit reached (20 files)');
+    const items = Array.isArray(mediaData) ? mediaData : [mediaData];
+    
+    if (this.media.length + items.length > INCIDENT_MEDIA.MAX_FILES) {
+      throw new Error(`Maximum media limit reached (${INCIDENT_MEDIA.MAX_FILES} files)`);
     }
     
-    this.media.push(mediaData);
+    this.media.push(...items);
     return await this.save();
   } catch (error) {
     throw new Error(`Failed to add media: ${error.message}`);
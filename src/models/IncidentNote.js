@@ -0,0 +1,147 @@
+/**
+ * Incident Note Model
+ *
+ * Threaded comments on incidents. Internal notes are case notes shared
+ * between responders; public notes are visible to the reporter and the
+ * community. Replies belong to a top-level note and share its visibility.
+ */
+
+const mongoose = require('mongoose');
+const { NOTE_VISIBILITY, INCIDENT_NOTES } = require('../config/constants');
+
+// Attachment Schema for files referenced by a note
+const attachmentSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    validate: {
+      validator: function(url) {
+        return /^https?:\/\/.+/.test(url);
+      },
+      message: 'Attachment URL must be a valid HTTP/HTTPS URL'
+    }
+  },
+  type: {
+    type: String,
+    enum: ['image', 'video', 'document'],
+    required: true
+  },
+  filename: {
+    type: String,
+    maxlength: 255
+  },
+  size: {
+    type: Number,
+    min: 0
+  }
+}, { _id: true });
+
+// Edit Schema for the previous versions of a note
+const editSchema = new mongoose.Schema({
+  content: {
+    type: String,
+    required: true
+  },
+  editedAt: {
+    type: Date,
+    default: Date.now
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, { _id: false });
+
+// Main Incident Note Schema
+const incidentNoteSchema = new mongoose.Schema({
+  incident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident',
+    required: true
+  },
+
+  // Top-level note this reply belongs to (null for top-level notes)
+  parentNote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IncidentNote',
+    default: null
+  },
+
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  authorRole: {
+    type: String,
+    enum: ['user', 'police', 'hospital', 'admin'],
+    required: true
+  },
+
+  visibility: {
+    type: String,
+    enum: Object.values(NOTE_VISIBILITY),
+    default: NOTE_VISIBILITY.INTERNAL
+  },
+  content: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  attachments: {
+    type: [attachmentSchema],
+    validate: {
+      validator: function(attachments) {
+        return attachments.length <= INCIDENT_NOTES.MAX_ATTACHMENTS;
+      },
+      message: `Cannot have more than ${INCIDENT_NOTES.MAX_ATTACHMENTS} attachments per note`
+    }
+  },
+
+  // Previous versions, oldest first
+  editHistory: {
+    type: [editSchema],
+    default: []
+  },
+  editedAt: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+incidentNoteSchema.index({ incident: 1, parentNote: 1, visibility: 1, createdAt: 1 });
+
+// Instance method to edit the note, keeping the previous content
+incidentNoteSchema.methods.edit = async function(content, editedBy) {
+  try {
+    this.editHistory.push({
+      content: this.content,
+      editedAt: new Date(),
+      editedBy
+    });
+    this.content = content;
+    this.editedAt = new Date();
+
+    return await this.save();
+  } catch (error) {
+    throw new Error(`Failed to edit note: ${error.message}`);
+  }
+};
+
+// Static method to count the notes on an incident a viewer may see
+incidentNoteSchema.statics.countForIncident = function(incidentId, visibilities) {
+  return this.countDocuments({ incident: incidentId, visibility: { $in: visibilities } });
+};
+
+// Create and export the model
+const IncidentNote = mongoose.model('IncidentNote', incidentNoteSchema);
+
+module.exports = IncidentNote;
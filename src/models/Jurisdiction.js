@@ -0,0 +1,118 @@
+/**
+ * Jurisdiction Model
+ *
+ * Named area boundaries, stored as GeoJSON polygons, that decide which
+ * responder unit an incident belongs to. A boundary applies to one or more
+ * incident departments, so police and traffic beats can differ
+ */
+
+const mongoose = require('mongoose');
+
+const DEPARTMENTS = ['police', 'fire', 'medical', 'municipal', 'traffic', 'other'];
+
+// Boundary geometry schema (GeoJSON Polygon or MultiPolygon)
+const boundarySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Polygon', 'MultiPolygon'],
+    required: true
+  },
+  coordinates: {
+    type: Array,
+    required: true
+  }
+}, { _id: false });
+
+// Main Jurisdiction Schema
+const jurisdictionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+
+  // Stable identifier, also copied into Incident.jurisdiction and User.jurisdiction
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: 100,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Code may only contain lowercase letters, digits and single hyphens']
+  },
+
+  departments: {
+    type: [{
+      type: String,
+      enum: DEPARTMENTS
+    }],
+    validate: {
+      validator: (departments) => departments.length > 0,
+      message: 'A jurisdiction must apply to at least one department'
+    }
+  },
+
+  boundary: {
+    type: boundarySchema,
+    required: true
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  source: {
+    type: String,
+    enum: ['manual', 'import'],
+    default: 'manual'
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+jurisdictionSchema.index({ boundary: '2dsphere' });
+jurisdictionSchema.index({ departments: 1, isActive: 1 });
+
+// Static method to find the active jurisdiction containing a position
+// Overlapping boundaries resolve to the oldest jurisdiction
+jurisdictionSchema.statics.findContaining = function(coordinates, department) {
+  return this.findOne({
+    isActive: true,
+    departments: department,
+    boundary: {
+      $geoIntersects: {
+        $geometry: { type: 'Point', coordinates }
+      }
+    }
+  }).sort({ _id: 1 });
+};
+
+// Create and export the model
+const Jurisdiction = mongoose.model('Jurisdiction', jurisdictionSchema);
+
+module.exports = Jurisdiction;
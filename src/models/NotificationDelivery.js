@@ -0,0 +1,108 @@
+/**
+ * NotificationDelivery Model
+ *
+ * Delivery log for outbound notifications: one entry per user (or emergency
+ * contact), event and channel, tracking attempts, retries and the provider's message id. The
+ * rendered message is kept only while the delivery is pending so it can be
+ * retried, and never for sensitive events whose messages carry single-use
+ * links; entries are removed after NOTIFICATIONS_CONFIG.LOG_RETENTION_DAYS
+ */
+
+const mongoose = require('mongoose');
+const {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_TRANSPORTS,
+  DELIVERY_STATUS,
+  NOTIFICATIONS_CONFIG
+} = require('../config/notifications');
+
+// Main NotificationDelivery Schema
+const notificationDeliverySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Set when the message went to one of the user's emergency contacts
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+
+  event: {
+    type: String,
+    required: true,
+    maxlength: 50
+  },
+
+  channel: {
+    type: String,
+    enum: Object.values(NOTIFICATION_CHANNELS),
+    required: true
+  },
+
+  transport: {
+    type: String,
+    enum: Object.values(NOTIFICATION_TRANSPORTS),
+    required: true
+  },
+
+  // Masked recipient for support and auditing
+  recipient: {
+    type: String,
+    maxlength: 500
+  },
+
+  // Subject or title, omitted for sensitive events
+  summary: {
+    type: String,
+    maxlength: 300
+  },
+
+  // Rendered message, cleared once the delivery is finished (never set for sensitive events)
+  message: {
+    type: mongoose.Schema.Types.Mixed,
+    select: false
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(DELIVERY_STATUS),
+    default: DELIVERY_STATUS.PENDING
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  lastAttemptAt: Date,
+  lastError: {
+    type: String,
+    maxlength: 1000
+  },
+
+  sentAt: Date,
+  providerMessageId: String
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.message;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+notificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+notificationDeliverySchema.index({ userId: 1, createdAt: -1 });
+notificationDeliverySchema.index({ createdAt: 1 }, {
+  expireAfterSeconds: NOTIFICATIONS_CONFIG.LOG_RETENTION_DAYS * 24 * 60 * 60
+});
+
+// Create and export the model
+const NotificationDelivery = mongoose.model('NotificationDelivery', notificationDeliverySchema);
+
+module.exports = NotificationDelivery;
@@ -0,0 +1,103 @@
+/**
+ * Shift Model
+ *
+ * Scheduled duty shifts for police and hospital responders, used to build
+ * unit rosters alongside each responder's live availability
+ */
+
+const mongoose = require('mongoose');
+const { DUTY_ROSTER } = require('../config/constants');
+
+// Main Shift Schema
+const shiftSchema = new mongoose.Schema({
+  responder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Unit the shift belongs to, copied from the responder when scheduled
+  role: {
+    type: String,
+    enum: ['police', 'hospital'],
+    required: true
+  },
+  department: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+  jurisdiction: {
+    type: String,
+    maxlength: 200
+  },
+
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true,
+    validate: {
+      validator: function(endsAt) {
+        const durationMs = endsAt - this.startsAt;
+        return durationMs > 0 && durationMs <= DUTY_ROSTER.MAX_SHIFT_HOURS * 60 * 60 * 1000;
+      },
+      message: `Shift must end after it starts and last at most ${DUTY_ROSTER.MAX_SHIFT_HOURS} hours`
+    }
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the shift is running now
+shiftSchema.virtual('isCurrent').get(function() {
+  const now = new Date();
+  return this.startsAt <= now && this.endsAt > now;
+});
+
+// Indexes for performance
+shiftSchema.index({ responder: 1, startsAt: 1 });
+shiftSchema.index({ role: 1, department: 1, startsAt: 1 });
+
+// Static method to find shifts of a responder overlapping a time range
+shiftSchema.statics.findOverlapping = function(responderId, startsAt, endsAt) {
+  return this.find({
+    responder: responderId,
+    startsAt: { $lt: endsAt },
+    endsAt: { $gt: startsAt }
+  });
+};
+
+// Static method to find the shifts running at a point in time
+shiftSchema.statics.findCurrentForResponders = function(responderIds, at = new Date()) {
+  return this.find({
+    responder: { $in: responderIds },
+    startsAt: { $lte: at },
+    endsAt: { $gt: at }
+  });
+};
+
+// Create and export the model
+const Shift = mongoose.model('Shift', shiftSchema);
+
+module.exports = Shift;
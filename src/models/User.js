@@ -7,7 +7,23 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
-const { encryptSensitiveData, decryptSensitiveData } = require('../utils/encryption');
+const {
+  encryptSensitiveData,
+  decryptSensitiveData,
+  hashForSearch,
+  generateSecureToken,
+  hashToken
+} = require('../utils/encryption');
+const { DEFAULT_CHANNEL_PREFERENCES } = require('../config/notifications');
+const { PASSWORD_RESET, EMAIL_VERIFICATION, DUTY_ROSTER } = require('../config/constants');
+
+/**
+ * Normalize a phone number before blind-index hashing
+ * Strips formatting so '+91 98765-43210' and '+919876543210' hash identically
+ * @param {string} phone - Raw phone number
+ * @returns {string} - Normalized phone number
+ */
+const normalizePhone = (phone) => String(phone).replace(/[^\d+]/g, '');
 
 // Emergency Contact Schema
 const emergencyContactSchema = new mongoose.Schema({
@@ -26,6 +42,16 @@ const emergencyContactSchema = new mongoose.Schema({
   }
 }, { _id: true });
 
+// Emergency Contact Alert Settings Schema (opt-in alerts to emergency contacts)
+const emergencyContactAlertsSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  enabledAt: Date,
+  disabledAt: Date
+}, { _id: false });
+
 // Vehicle Schema
 const vehicleSchema = new mongoose.Schema({
   vehicleNumber: {
@@ -97,6 +123,82 @@ const addressSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// Location Schema for a responder's last reported position (GeoJSON Point)
+const locationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    required: true,
+    validate: {
+      validator: function(coords) {
+        return coords.length === 2 &&
+               coords[0] >= -180 && coords[0] <= 180 && // longitude
+               coords[1] >= -90 && coords[1] <= 90;    // latitude
+      },
+      message: 'Invalid coordinates format'
+    }
+  }
+}, { _id: false });
+
+// Notification Preferences Schema (channels the user wants notifications on)
+const notificationPreferencesSchema = new mongoose.Schema({
+  email: {
+    type: Boolean,
+    default: DEFAULT_CHANNEL_PREFERENCES.email
+  },
+  sms: {
+    type: Boolean,
+    default: DEFAULT_CHANNEL_PREFERENCES.sms
+  },
+  push: {
+    type: Boolean,
+    default: DEFAULT_CHANNEL_PREFERENCES.push
+  },
+  webhook: {
+    type: Boolean,
+    default: DEFAULT_CHANNEL_PREFERENCES.webhook
+  },
+  webhookUrl: {
+    type: String,
+    maxlength: 500
+  },
+  mutedEvents: [{
+    type: String,
+    maxlength: 50
+  }]
+}, { _id: false });
+
+// Web Push Subscription Schema (one per browser or device)
+const pushSubscriptionSchema = new mongoose.Schema({
+  endpoint: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  keys: {
+    p256dh: {
+      type: String,
+      required: true
+    },
+    auth: {
+      type: String,
+      required: true
+    }
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 // Main User Schema
 const userSchema = new mongoose.Schema({
   // Basic Information
@@ -126,6 +228,10 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed, // Encrypted object
     required: true
   },
+  phoneHash: {
+    type: String, // Blind index (HMAC) of normalized phone for lookups
+    select: false
+  },
   email: {
     type: String,
     required: true,
@@ -176,6 +282,10 @@ const userSchema = new mongoose.Schema({
       message: 'Must have between 1 and 5 emergency contacts'
     }
   },
+  emergencyContactAlerts: {
+    type: emergencyContactAlertsSchema,
+    default: () => ({})
+  },
   
   // Vehicle Information
   vehicles: {
@@ -217,6 +327,10 @@ const userSchema = new mongoose.Schema({
       return this.role === 'police';
     }
   },
+  jurisdictionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Jurisdiction'
+  },
   licenseNumber: {
     type: String,
     maxlength: 50,
@@ -224,6 +338,10 @@ const userSchema = new mongoose.Schema({
       return this.role === 'hospital';
     }
   },
+  facilityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility' // Hospital staff keep this facility's capacity up to date
+  },
   badgeNumber: {
     type: String,
     maxlength: 50,
@@ -232,6 +350,23 @@ const userSchema = new mongoose.Schema({
     }
   },
   
+  // Responder dispatch fields (police and hospital)
+  dutyStatus: {
+    type: String,
+    enum: ['on_duty', 'busy', 'on_break', 'off_duty'],
+    default: 'off_duty'
+  },
+  dutyStatusUpdatedAt: Date,
+  isSupervisor: {
+    type: Boolean,
+    default: false // Supervisors manage the roster of their unit
+  },
+  currentLocation: {
+    type: locationSchema,
+    default: undefined
+  },
+  locationUpdatedAt: Date,
+  
   // Account Status
   isActive: {
     type: Boolean,
@@ -270,7 +405,7 @@ const userSchema = new mongoose.Schema({
     default: Date.now
   },
   
-  // Password Reset
+  // Password Reset (SHA-256 hash of the emailed token)
   passwordResetToken: {
     type: String,
     select: false
@@ -279,8 +414,17 @@ const userSchema = new mongoose.Schema({
     type: Date,
     select: false
   },
+  passwordChangedAt: {
+    type: Date
+  },
   
-  // Email Verification
+  // Incremented to invalidate every JWT issued before (see generateUserToken)
+  sessionVersion: {
+    type: Number,
+    default: 0
+  },
+  
+  // Email Verification (SHA-256 hash of the emailed token)
   emailVerificationToken: {
     type: String,
     select: false
@@ -288,6 +432,22 @@ const userSchema = new mongoose.Schema({
   emailVerificationExpires: {
     type: Date,
     select: false
+  },
+  emailVerificationSentAt: {
+    type: Date
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  
+  // Notifications
+  notificationPreferences: {
+    type: notificationPreferencesSchema,
+    default: () => ({})
+  },
+  pushSubscriptions: {
+    type: [pushSubscriptionSchema],
+    select: false
   }
 }, {
   timestamps: true,
@@ -296,6 +456,7 @@ const userSchema = new mongoose.Schema({
     transform: function(doc, ret) {
       // Remove sensitive fields from JSON output
       delete ret.password;
+      delete ret.phoneHash;
       delete ret.passwordResetToken;
       delete ret.passwordResetExpires;
       delete ret.emailVerificationToken;
@@ -323,9 +484,12 @@ userSchema.virtual('fullAddress').get(function() {
 // Indexes for performance
 userSchema.index({ email: 1 }, { unique: true });
 userSchema.index({ 'phone.encrypted': 1 }, { unique: true, sparse: true }); // Unique encrypted phone
+userSchema.index({ phoneHash: 1 }, { sparse: true }); // Blind index for phone search
 userSchema.index({ role: 1 });
 userSchema.index({ department: 1 });
 userSchema.index({ jurisdiction: 1 });
+userSchema.index({ jurisdictionId: 1 }, { sparse: true });
+userSchema.index({ facilityId: 1 }, { sparse: true });
 userSchema.index({ isActive: 1, createdAt: -1 });
 userSchema.index({ lastLogin: -1 });
 userSchema.index({ lastActiveAt: -1 });
@@ -334,6 +498,8 @@ userSchema.index({ lastActiveAt: -1 });
 userSchema.index({ role: 1, department: 1 });
 userSchema.index({ role: 1, isActive: 1 });
 userSchema.index({ isActive: 1, isBanned: 1 });
+userSchema.index({ currentLocation: '2dsphere' }); // Dispatch candidate search
+userSchema.index({ role: 1, dutyStatus: 1 });
 
 // Pre-save middleware for password hashing
 userSchema.pre('save', async function(next) {
@@ -359,6 +525,7 @@ userSchema.pre('save', async function(next) {
     }
     
     if (this.isModified('phone') && typeof this.phone === 'string') {
+      this.phoneHash = this.constructor.hashPhone(this.phone);
       this.phone = encryptSensitiveData(this.phone);
     }
     
@@ -519,24 +686,119 @@ userSchema.methods.unbanUser = async function() {
   return await this.save();
 };
 
+// Instance method to start a password reset
+// Stores only the token hash and returns the raw token to email to the user
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = generateSecureToken(PASSWORD_RESET.TOKEN_BYTES);
+  
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET.EXPIRES_MINUTES * 60 * 1000);
+  
+  return resetToken;
+};
+
+// Static method to redeem a password reset token
+// Sets the new password, clears the token and bumps the session version in
+// one validated save, so a rejected password leaves the token usable. The
+// save only matches while the token is unused, so a token can only be used
+// once, even by concurrent requests
+userSchema.statics.redeemPasswordResetToken = async function(resetToken, newPassword) {
+  const tokenHash = hashToken(resetToken);
+  const user = await this.findOne({
+    passwordResetToken: tokenHash,
+    passwordResetExpires: { $gt: new Date() }
+  }).select('+password +passwordResetToken +passwordResetExpires');
+  
+  if (!user) {
+    return null;
+  }
+  
+  // Hashed by the pre-save hook
+  user.password = newPassword;
+  user.passwordChangedAt = new Date();
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  user.sessionVersion += 1;
+  user.$where = { passwordResetToken: tokenHash };
+  
+  try {
+    return await user.save();
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Instance method to start email verification
+// Stores only the token hash and returns the raw token to email to the user
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = generateSecureToken(EMAIL_VERIFICATION.TOKEN_BYTES);
+  
+  this.emailVerificationToken = hashToken(verificationToken);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION.EXPIRES_HOURS * 60 * 60 * 1000);
+  this.emailVerificationSentAt = new Date();
+  
+  return verificationToken;
+};
+
+// Static method to redeem an email verification token
+userSchema.statics.redeemEmailVerificationToken = function(verificationToken) {
+  return this.findOneAndUpdate(
+    {
+      emailVerificationToken: hashToken(verificationToken),
+      emailVerificationExpires: { $gt: new Date() }
+    },
+    {
+      $set: { isVerified: true, emailVerifiedAt: new Date() },
+      $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+    },
+    { new: true }
+  );
+};
+
 // Static method to find by email
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+// Static method to compute the phone blind index
+userSchema.statics.hashPhone = function(phone) {
+  return hashForSearch(normalizePhone(phone));
+};
+
+// Static method to find by phone using the blind index
+userSchema.statics.findByPhone = function(phone) {
+  return this.findOne({ phoneHash: this.hashPhone(phone) });
+};
+
 // Static method to find active users by role
 userSchema.statics.findActiveByRole = function(role) {
   return this.find({ role, isActive: true, isBanned: false });
 };
 
+// Build an availability filter from one or more duty statuses
+const dutyStatusFilter = (dutyStatuses) => (
+  dutyStatuses ? { dutyStatus: { $in: [].concat(dutyStatuses) } } : {}
+);
+
 // Static method to find by department
-userSchema.statics.findByDepartment = function(department) {
-  return this.find({ department, isActive: true, isBanned: false });
+// Returns available responders by default; pass duty statuses to choose
+// others, or null for everyone in the department
+userSchema.statics.findByDepartment = function(department, dutyStatuses = DUTY_ROSTER.AVAILABLE_STATUSES) {
+  return this.find({ department, isActive: true, isBanned: false, ...dutyStatusFilter(dutyStatuses) });
 };
 
 // Static method to find by jurisdiction
-userSchema.statics.findByJurisdiction = function(jurisdiction) {
-  return this.find({ jurisdiction, isActive: true, isBanned: false });
+// Accepts a jurisdiction code, or { _id, code } to also match officers linked by id
+// Pass duty statuses to only return responders with that availability
+userSchema.statics.findByJurisdiction = function(jurisdiction, dutyStatuses) {
+  const jurisdictionFilter = typeof jurisdiction === 'string'
+    ? { jurisdiction }
+    : { $or: [{ jurisdictionId: jurisdiction._id }, { jurisdiction: jurisdiction.code }] };
+
+  return this.find({ ...jurisdictionFilter, isActive: true, isBanned: false, ...dutyStatusFilter(dutyStatuses) });
 };
 
 // Static method for user statistics
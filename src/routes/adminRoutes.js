@@ -17,18 +17,26 @@ const {
   getSystemAnalytics,
   getAdminUsers
 } = require('../controllers/adminController');
+const {
+  getDispatchPolicies,
+  updateDispatchPolicy,
+  getDispatchCandidates,
+  dispatchToResponder
+} = require('../controllers/dispatchController');
+const { getSlaReport } = require('../controllers/slaController');
 
 // Import middleware
 const { authenticate } = require('../middleware/auth');
 const { rateLimiters } = require('../middleware/rateLimiter');
-const { validators, validateBody, validateQuery } = require('../middleware/validation');
+const { validators, validateBody, validateQuery, validateParams } = require('../middleware/validation');
 const { 
   requireAdmin,
   addPermissionHeaders,
   roleCheckers
 } = require('../middleware/roleCheck');
 const Joi = require('joi');
-const { INCIDENT_STATUS, USER_ROLES, ERROR_CODES } = require('../config/constants');
+const DispatchPolicy = require('../models/DispatchPolicy');
+const { INCIDENT_STATUS, USER_ROLES, DISPATCH_MODES, SLA_MONITOR, ERROR_CODES } = require('../config/constants');
 
 /**
  * Additional validation schemas for admin routes
@@ -84,6 +92,44 @@ const adminValidationSchemas = {
     sortBy: Joi.string().valid('createdAt', 'updatedAt', 'email', 'role').default('createdAt'),
     sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
     status: Joi.string().valid('active', 'deactivated').default('active')
+  }),
+
+  // Dispatch policy department parameter validation
+  departmentParam: Joi.object({
+    department: Joi.string()
+      .valid(...DispatchPolicy.schema.path('department').enumValues)
+      .required()
+  }),
+
+  // Dispatch policy update validation
+  dispatchPolicyUpdate: Joi.object({
+    mode: Joi.string().valid(...Object.values(DISPATCH_MODES)).optional(),
+    autoAssignPriorities: Joi.array()
+      .items(Joi.string().valid('low', 'medium', 'high', 'critical'))
+      .unique()
+      .optional(),
+    searchRadiusMeters: Joi.number().integer().min(100).max(100000).allow(null).optional(),
+    maxActiveAssignments: Joi.number().integer().min(1).max(20).optional(),
+    acceptTimeoutMinutes: Joi.number().integer().min(1).max(240).allow(null).optional()
+  }).min(1),
+
+  // Incident ID parameter validation
+  incidentIdParam: Joi.object({
+    incidentId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+  }),
+
+  // Manual dispatch validation
+  dispatchAssign: Joi.object({
+    responderId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    notes: Joi.string().max(1000).optional()
+  }),
+
+  // SLA report query validation
+  slaQuery: Joi.object({
+    days: Joi.number().integer().min(1).max(SLA_MONITOR.REPORT_MAX_DAYS).default(SLA_MONITOR.REPORT_DEFAULT_DAYS),
+    department: Joi.string()
+      .valid(...DispatchPolicy.schema.path('department').enumValues)
+      .optional()
   })
 };
 
@@ -133,6 +179,50 @@ router.delete('/incidents/bulk-delete',
   bulkDeleteIncidents
 );
 
+// GET /api/admin/incidents/:incidentId/dispatch - Rank responders for an incident
+router.get('/incidents/:incidentId/dispatch',
+  roleCheckers.admin.dispatch,
+  validateParams(adminValidationSchemas.incidentIdParam),
+  getDispatchCandidates
+);
+
+// POST /api/admin/incidents/:incidentId/dispatch - Assign an incident to a responder
+router.post('/incidents/:incidentId/dispatch',
+  roleCheckers.admin.dispatch,
+  validateParams(adminValidationSchemas.incidentIdParam),
+  validateBody(adminValidationSchemas.dispatchAssign),
+  dispatchToResponder
+);
+
+/**
+ * Dispatch Policy Routes
+ */
+
+// GET /api/admin/dispatch/policies - Get effective dispatch policy per department
+router.get('/dispatch/policies',
+  roleCheckers.admin.dispatch,
+  getDispatchPolicies
+);
+
+// PUT /api/admin/dispatch/policies/:department - Configure a department's dispatch policy
+router.put('/dispatch/policies/:department',
+  roleCheckers.admin.dispatch,
+  validateParams(adminValidationSchemas.departmentParam),
+  validateBody(adminValidationSchemas.dispatchPolicyUpdate),
+  updateDispatchPolicy
+);
+
+/**
+ * SLA Monitoring Routes
+ */
+
+// GET /api/admin/sla - Get SLA breaches and escalations by department
+router.get('/sla',
+  roleCheckers.admin.reports,
+  validateQuery(adminValidationSchemas.slaQuery),
+  getSlaReport
+);
+
 /**
  * User Management Routes
  */
@@ -175,11 +265,11 @@ router.use((err, req, res, next) => {
     error: {
       code: errorCode,
       message: err.message || 'Internal server error',
-      details: process.env.NODE_ENV === 'development' ? {
+      details: err.details || (process.env.NODE_ENV === 'development' ? {
         stack: err.stack,
         adminUser: req.user?.email,
         route: `${req.method} ${req.path}`
-      } : undefined
+      } : undefined)
     },
     timestamp: new Date().toISOString()
   });
@@ -0,0 +1,178 @@
+/**
+ * Analytics Routes
+ * API endpoints for hotspot detection and heatmap tiles over historical
+ * incidents, used for patrol planning and accident black-spot detection
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const { getHotspots, getHeatmap } = require('../controllers/analyticsController');
+
+// Import middleware
+const { authenticate } = require('../middleware/auth');
+const { rateLimiters } = require('../middleware/rateLimiter');
+const { validateQuery, validateParams } = require('../middleware/validation');
+const {
+  roleCheckers,
+  requireRegisteredUser,
+  addPermissionHeaders
+} = require('../middleware/roleCheck');
+const Joi = require('joi');
+const Incident = require('../models/Incident');
+const { HOTSPOT_ANALYSIS, ERROR_CODES } = require('../config/constants');
+
+/**
+ * Filters shared by hotspot and heatmap queries
+ */
+const analyticsFilters = {
+  days: Joi.number().integer().min(1).max(HOTSPOT_ANALYSIS.MAX_DAYS).default(HOTSPOT_ANALYSIS.DEFAULT_DAYS),
+  type: Joi.string().valid(...Incident.schema.path('type').enumValues).optional(),
+  department: Joi.string().valid(...Incident.schema.path('department').enumValues).optional(),
+  hours: Joi.string()
+    .pattern(/^\d{1,2}-\d{1,2}$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'hours must be a local hour range such as "22-5"'
+    }),
+  daysOfWeek: Joi.string()
+    .pattern(/^[0-6](,[0-6])*$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'daysOfWeek must be comma-separated days 0-6 with Sunday as 0'
+    }),
+  timezone: Joi.string().max(100).default(HOTSPOT_ANALYSIS.DEFAULT_TIMEZONE)
+};
+
+/**
+ * Validation schemas for analytics routes
+ */
+const analyticsValidationSchemas = {
+  // Hotspot query validation
+  hotspotQuery: Joi.object({
+    bbox: Joi.string().required(),
+    cellSize: Joi.number()
+      .integer()
+      .min(HOTSPOT_ANALYSIS.MIN_CELL_SIZE_METERS)
+      .max(HOTSPOT_ANALYSIS.MAX_CELL_SIZE_METERS)
+      .default(HOTSPOT_ANALYSIS.DEFAULT_CELL_SIZE_METERS),
+    confidence: Joi.number()
+      .valid(...Object.keys(HOTSPOT_ANALYSIS.CONFIDENCE_Z_SCORES).map(Number))
+      .default(HOTSPOT_ANALYSIS.DEFAULT_CONFIDENCE),
+    limit: Joi.number().integer().min(1).max(HOTSPOT_ANALYSIS.MAX_HOTSPOTS).default(HOTSPOT_ANALYSIS.DEFAULT_HOTSPOTS),
+    ...analyticsFilters
+  }),
+
+  // Heatmap tile parameter validation
+  tileParams: Joi.object({
+    z: Joi.number().integer().min(HOTSPOT_ANALYSIS.HEATMAP_MIN_ZOOM).max(HOTSPOT_ANALYSIS.HEATMAP_MAX_ZOOM).required(),
+    x: Joi.number().integer().min(0).required(),
+    y: Joi.number().integer().min(0).required()
+  }),
+
+  // Heatmap tile query validation
+  heatmapQuery: Joi.object(analyticsFilters)
+};
+
+/**
+ * Apply common analytics middleware to all routes
+ * - Authentication required (registered users only)
+ * - Rate limiting
+ * - Permission headers
+ */
+router.use(authenticate);
+router.use(requireRegisteredUser);
+router.use(rateLimiters.api);
+router.use(addPermissionHeaders('analytics'));
+
+// ============================================================================
+// HOTSPOT ROUTES
+// ============================================================================
+
+/**
+ * @route   GET /api/analytics/hotspots
+ * @desc    Rank statistically significant incident hotspots inside a bbox
+ * @access  Police (police and traffic incidents), Admin
+ * @rateLimit Standard API limits
+ */
+router.get('/hotspots',
+  roleCheckers.analytics.hotspots,
+  validateQuery(analyticsValidationSchemas.hotspotQuery),
+  getHotspots
+);
+
+/**
+ * @route   GET /api/analytics/heatmap/:z/:x/:y
+ * @desc    Get incident counts per bin of a heatmap map tile
+ * @access  Police (police and traffic incidents), Admin
+ * @rateLimit Standard API limits
+ */
+router.get('/heatmap/:z/:x/:y',
+  roleCheckers.analytics.hotspots,
+  validateParams(analyticsValidationSchemas.tileParams),
+  validateQuery(analyticsValidationSchemas.heatmapQuery),
+  getHeatmap
+);
+
+// ============================================================================
+// ERROR HANDLING
+// ============================================================================
+
+/**
+ * Error handling middleware specific to analytics routes
+ */
+router.use((error, req, res, next) => {
+  console.error(`Analytics Route Error: ${error.message}`, {
+    path: req.path,
+    method: req.method,
+    userRole: req.user?.role || 'unauthenticated',
+    stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+  });
+
+  const statusCode = error.statusCode || 500;
+  const errorCode = error.code || ERROR_CODES.INTERNAL_ERROR;
+
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code: errorCode,
+      message: error.message || 'Internal server error',
+      details: error.details || (process.env.NODE_ENV === 'development' ? {
+        stack: error.stack
+      } : {})
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ============================================================================
+// ROUTE DOCUMENTATION AND METADATA
+// ============================================================================
+
+/**
+ * Route metadata for API documentation
+ */
+router.routeInfo = {
+  basePath: '/api/analytics',
+  description: 'Incident hotspot detection and heatmap tiles',
+  version: '1.0.0',
+  routes: [
+    {
+      method: 'GET',
+      path: '/hotspots',
+      description: 'Rank incident hotspots inside a bbox',
+      access: 'Police, Admin',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'GET',
+      path: '/heatmap/:z/:x/:y',
+      description: 'Get a heatmap tile',
+      access: 'Police, Admin',
+      rateLimit: 'Standard API limits'
+    }
+  ]
+};
+
+module.exports = router;
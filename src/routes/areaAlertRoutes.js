@@ -0,0 +1,304 @@
+/**
+ * Area Alert Routes
+ * API endpoints for users' alert areas and the alerts raised when
+ * incidents are created or verified inside them
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  listAreas,
+  createArea,
+  updateArea,
+  deleteArea,
+  listAlerts,
+  markAlertRead,
+  markAllAlertsRead
+} = require('../controllers/areaAlertController');
+
+// Import middleware
+const { authenticate } = require('../middleware/auth');
+const { rateLimiters } = require('../middleware/rateLimiter');
+const { validateBody, validateQuery, validateParams } = require('../middleware/validation');
+const {
+  roleCheckers,
+  requireRegisteredUser,
+  addPermissionHeaders
+} = require('../middleware/roleCheck');
+const Joi = require('joi');
+const Incident = require('../models/Incident');
+const { AREA_ALERTS, ERROR_CODES } = require('../config/constants');
+
+const objectIdSchema = Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/)
+  .messages({
+    'string.pattern.base': 'Invalid id format'
+  });
+
+/**
+ * Area fields shared by create and update. Circles need latitude and
+ * longitude, polygons a GeoJSON Polygon or an array of positions
+ */
+const areaFields = {
+  name: Joi.string().trim().min(1).max(100),
+  shape: Joi.string().valid('circle', 'polygon'),
+  latitude: Joi.number().min(-90).max(90)
+    .when('shape', { is: 'circle', then: Joi.required(), otherwise: Joi.forbidden() }),
+  longitude: Joi.number().min(-180).max(180)
+    .when('shape', { is: 'circle', then: Joi.required(), otherwise: Joi.forbidden() }),
+  radiusMeters: Joi.number().integer().min(AREA_ALERTS.MIN_RADIUS_METERS).max(AREA_ALERTS.MAX_RADIUS_METERS),
+  polygon: Joi.alternatives()
+    .try(Joi.array(), Joi.object())
+    .when('shape', { is: 'polygon', then: Joi.required(), otherwise: Joi.forbidden() }),
+  types: Joi.array().items(Joi.string().valid(...Incident.schema.path('type').enumValues)).unique(),
+  minSeverity: Joi.string().valid(...AREA_ALERTS.SEVERITIES),
+  triggers: Joi.array().items(Joi.string().valid(...AREA_ALERTS.TRIGGERS)).unique().min(1)
+};
+
+/**
+ * Validation schemas for area alert routes
+ */
+const areaAlertValidationSchemas = {
+  // Area creation validation
+  createArea: Joi.object({
+    ...areaFields,
+    name: areaFields.name.required(),
+    shape: areaFields.shape.default('circle')
+  }),
+
+  // Area update validation
+  updateArea: Joi.object({
+    ...areaFields,
+    isActive: Joi.boolean().optional()
+  }).min(1),
+
+  // Alert list query validation
+  listQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    unread: Joi.boolean().default(false)
+  }),
+
+  // Object ID parameter validation
+  objectIdParam: Joi.object({
+    id: objectIdSchema.required()
+  })
+};
+
+/**
+ * Apply common area alert middleware to all routes
+ * - Authentication required (registered users only)
+ * - Rate limiting
+ * - Permission headers
+ */
+router.use(authenticate);
+router.use(requireRegisteredUser);
+router.use(rateLimiters.api);
+router.use(addPermissionHeaders('alerts'));
+
+// ============================================================================
+// AREA ROUTES
+// ============================================================================
+
+/**
+ * @route   GET /api/alerts/areas
+ * @desc    List the current user's alert areas
+ * @access  Registered users (own areas)
+ * @rateLimit Standard API limits
+ */
+router.get('/areas',
+  roleCheckers.alerts.manageOwn,
+  listAreas
+);
+
+/**
+ * @route   POST /api/alerts/areas
+ * @desc    Save a circle or polygon alert area with type and severity filters
+ * @access  Registered users (own areas)
+ * @rateLimit Standard API limits
+ */
+router.post('/areas',
+  roleCheckers.alerts.manageOwn,
+  validateBody(areaAlertValidationSchemas.createArea),
+  createArea
+);
+
+/**
+ * @route   PUT /api/alerts/areas/:id
+ * @desc    Update an alert area's name, geometry, filters or active state
+ * @access  Registered users (own areas)
+ * @rateLimit Standard API limits
+ */
+router.put('/areas/:id',
+  roleCheckers.alerts.manageOwn,
+  validateParams(areaAlertValidationSchemas.objectIdParam),
+  validateBody(areaAlertValidationSchemas.updateArea),
+  updateArea
+);
+
+/**
+ * @route   DELETE /api/alerts/areas/:id
+ * @desc    Delete an alert area
+ * @access  Registered users (own areas)
+ * @rateLimit Standard API limits
+ */
+router.delete('/areas/:id',
+  roleCheckers.alerts.manageOwn,
+  validateParams(areaAlertValidationSchemas.objectIdParam),
+  deleteArea
+);
+
+// ============================================================================
+// ALERT ROUTES
+// ============================================================================
+
+/**
+ * @route   GET /api/alerts
+ * @desc    List the current user's alerts, newest first
+ * @access  Registered users (own alerts)
+ * @rateLimit Standard API limits
+ */
+router.get('/',
+  roleCheckers.alerts.manageOwn,
+  validateQuery(areaAlertValidationSchemas.listQuery),
+  listAlerts
+);
+
+/**
+ * @route   PUT /api/alerts/read-all
+ * @desc    Mark every alert as read
+ * @access  Registered users (own alerts)
+ * @rateLimit Standard API limits
+ */
+router.put('/read-all',
+  roleCheckers.alerts.manageOwn,
+  markAllAlertsRead
+);
+
+/**
+ * @route   PUT /api/alerts/:id/read
+ * @desc    Mark an alert as read
+ * @access  Registered users (own alerts)
+ * @rateLimit Standard API limits
+ */
+router.put('/:id/read',
+  roleCheckers.alerts.manageOwn,
+  validateParams(areaAlertValidationSchemas.objectIdParam),
+  markAlertRead
+);
+
+// ============================================================================
+// ERROR HANDLING
+// ============================================================================
+
+/**
+ * Error handling middleware specific to area alert routes
+ */
+router.use((error, req, res, next) => {
+  console.error(`Area Alert Route Error: ${error.message}`, {
+    path: req.path,
+    method: req.method,
+    userRole: req.user?.role || 'unauthenticated',
+    stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+  });
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: ERROR_CODES.VALIDATION_ERROR,
+        message: 'Alert area validation failed',
+        details: {
+          errors: Object.keys(error.errors).map(key => ({
+            field: key,
+            message: error.errors[key].message
+          }))
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const statusCode = error.statusCode || 500;
+  const errorCode = error.code || ERROR_CODES.INTERNAL_ERROR;
+
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code: errorCode,
+      message: error.message || 'Internal server error',
+      details: error.details || (process.env.NODE_ENV === 'development' ? {
+        stack: error.stack
+      } : {})
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ============================================================================
+// ROUTE DOCUMENTATION AND METADATA
+// ============================================================================
+
+/**
+ * Route metadata for API documentation
+ */
+router.routeInfo = {
+  basePath: '/api/alerts',
+  description: 'Saved alert areas and alerts about incidents inside them',
+  version: '1.0.0',
+  routes: [
+    {
+      method: 'GET',
+      path: '/areas',
+      description: 'List alert areas',
+      access: 'Registered users (own areas)',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'POST',
+      path: '/areas',
+      description: 'Create an alert area',
+      access: 'Registered users (own areas)',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'PUT',
+      path: '/areas/:id',
+      description: 'Update an alert area',
+      access: 'Registered users (own areas)',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'DELETE',
+      path: '/areas/:id',
+      description: 'Delete an alert area',
+      access: 'Registered users (own areas)',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'GET',
+      path: '/',
+      description: 'List alerts',
+      access: 'Registered users (own alerts)',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'PUT',
+      path: '/read-all',
+      description: 'Mark all alerts as read',
+      access: 'Registered users (own alerts)',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'PUT',
+      path: '/:id/read',
+      description: 'Mark an alert as read',
+      access: 'Registered users (own alerts)',
+      rateLimit: 'Standard API limits'
+    }
+  ]
+};
+
+module.exports = router;
@@ -15,6 +15,8 @@ const {
   verifyToken,
   forgotPassword,
   resetPassword,
+  verifyEmail,
+  resendVerification,
   getAuthStats
 } = require('../controllers/authController');
 
@@ -75,16 +77,18 @@ router.get('/verify-token',
  * @desc    Request password reset (sends email with reset link)
  * @access  Public
  * @body    { email }
+ * @rateLimit Per IP and per email address
  */
 router.post('/forgot-password',
   rateLimiters.passwordReset,
   validators.emailValidation,
+  rateLimiters.passwordResetEmail,
   forgotPassword
 );
 
 /**
  * @route   POST /api/auth/reset-password
- * @desc    Reset password using reset token
+ * @desc    Reset password using the single-use token from the email and end all sessions
  * @access  Public
  * @body    { token, newPassword }
  */
@@ -94,6 +98,31 @@ router.post('/reset-password',
   resetPassword
 );
 
+/**
+ * @route   GET /api/auth/verify-email
+ * @desc    Verify email address using the single-use token from the email
+ * @access  Public
+ * @query   { token }
+ */
+router.get('/verify-email',
+  rateLimiters.auth,
+  validators.verifyEmailValidation,
+  verifyEmail
+);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Email a new verification link (once per cooldown period)
+ * @access  Private (registered users)
+ * @headers Authorization: Bearer <token>
+ */
+router.post('/resend-verification',
+  authenticate,
+  requireUserAuth,
+  rateLimiters.strict,
+  resendVerification
+);
+
 /**
  * @route   GET /api/auth/stats
  * @desc    Get authentication statistics (admin only)
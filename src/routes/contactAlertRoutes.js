@@ -0,0 +1,225 @@
+/**
+ * Emergency Contact Alert Routes
+ * API endpoints for opting in to alerts for a user's emergency contacts,
+ * previewing and testing the messages, and the alert history
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getSettings,
+  updateSettings,
+  previewAlert,
+  sendTestAlert,
+  listHistory
+} = require('../controllers/contactAlertController');
+
+// Import middleware
+const { authenticate } = require('../middleware/auth');
+const { rateLimiters } = require('../middleware/rateLimiter');
+const { validateBody, validateQuery } = require('../middleware/validation');
+const {
+  roleCheckers,
+  requireRegisteredUser,
+  addPermissionHeaders
+} = require('../middleware/roleCheck');
+const Joi = require('joi');
+const { ERROR_CODES } = require('../config/constants');
+
+/**
+ * Validation schemas for contact alert routes
+ */
+const contactAlertValidationSchemas = {
+  // Opt-in update validation
+  updateSettings: Joi.object({
+    enabled: Joi.boolean().required()
+  }),
+
+  // History query validation
+  historyQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  })
+};
+
+/**
+ * Apply common contact alert middleware to all routes
+ * - Authentication required (registered users only)
+ * - Rate limiting
+ * - Permission headers
+ */
+router.use(authenticate);
+router.use(requireRegisteredUser);
+router.use(rateLimiters.api);
+router.use(addPermissionHeaders('contactAlerts'));
+
+// ============================================================================
+// SETTINGS ROUTES
+// ============================================================================
+
+/**
+ * @route   GET /api/contact-alerts/settings
+ * @desc    Get the opt-in state, the contacts that would be alerted and the limits
+ * @access  Registered users (own settings)
+ * @rateLimit Standard API limits
+ */
+router.get('/settings',
+  roleCheckers.contactAlerts.manageOwn,
+  getSettings
+);
+
+/**
+ * @route   PUT /api/contact-alerts/settings
+ * @desc    Turn emergency contact alerts on or off
+ * @access  Registered users (own settings)
+ * @rateLimit Standard API limits
+ */
+router.put('/settings',
+  roleCheckers.contactAlerts.manageOwn,
+  validateBody(contactAlertValidationSchemas.updateSettings),
+  updateSettings
+);
+
+// ============================================================================
+// PREVIEW AND TEST ROUTES
+// ============================================================================
+
+/**
+ * @route   GET /api/contact-alerts/preview
+ * @desc    Preview the alert and test message each contact would receive
+ * @access  Registered users (own contacts)
+ * @rateLimit Standard API limits
+ */
+router.get('/preview',
+  roleCheckers.contactAlerts.manageOwn,
+  previewAlert
+);
+
+/**
+ * @route   POST /api/contact-alerts/test
+ * @desc    Send a test message to every emergency contact
+ * @access  Registered users (own contacts)
+ * @rateLimit Standard API limits, plus CONTACT_ALERTS.MAX_TESTS_PER_WINDOW per window
+ */
+router.post('/test',
+  roleCheckers.contactAlerts.manageOwn,
+  sendTestAlert
+);
+
+// ============================================================================
+// HISTORY ROUTES
+// ============================================================================
+
+/**
+ * @route   GET /api/contact-alerts/history
+ * @desc    List alerts sent to the user's contacts, newest first
+ * @access  Registered users (own alerts)
+ * @rateLimit Standard API limits
+ */
+router.get('/history',
+  roleCheckers.contactAlerts.manageOwn,
+  validateQuery(contactAlertValidationSchemas.historyQuery),
+  listHistory
+);
+
+// ============================================================================
+// ERROR HANDLING
+// ============================================================================
+
+/**
+ * Error handling middleware specific to contact alert routes
+ */
+router.use((error, req, res, next) => {
+  console.error(`Contact Alert Route Error: ${error.message}`, {
+    path: req.path,
+    method: req.method,
+    userRole: req.user?.role || 'unauthenticated',
+    stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+  });
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: ERROR_CODES.VALIDATION_ERROR,
+        message: 'Contact alert settings validation failed',
+        details: {
+          errors: Object.keys(error.errors).map(key => ({
+            field: key,
+            message: error.errors[key].message
+          }))
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const statusCode = error.statusCode || 500;
+  const errorCode = error.code || ERROR_CODES.INTERNAL_ERROR;
+
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code: errorCode,
+      message: error.message || 'Internal server error',
+      details: error.details || (process.env.NODE_ENV === 'development' ? {
+        stack: error.stack
+      } : {})
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ============================================================================
+// ROUTE DOCUMENTATION AND METADATA
+// ============================================================================
+
+/**
+ * Route metadata for API documentation
+ */
+router.routeInfo = {
+  basePath: '/api/contact-alerts',
+  description: 'Opt-in alerts to emergency contacts, with previews, tests and history',
+  version: '1.0.0',
+  routes: [
+    {
+      method: 'GET',
+      path: '/settings',
+      description: 'Get contact alert settings',
+      access: 'Registered users (own settings)',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'PUT',
+      path: '/settings',
+      description: 'Enable or disable contact alerts',
+      access: 'Registered users (own settings)',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'GET',
+      path: '/preview',
+      description: 'Preview contact alert messages',
+      access: 'Registered users (own contacts)',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'POST',
+      path: '/test',
+      description: 'Send a test message to emergency contacts',
+      access: 'Registered users (own contacts)',
+      rateLimit: 'Standard API limits, plus a per-user test limit'
+    },
+    {
+      method: 'GET',
+      path: '/history',
+      description: 'List contact alerts',
+      access: 'Registered users (own alerts)',
+      rateLimit: 'Standard API limits'
+    }
+  ]
+};
+
+module.exports = router;
@@ -0,0 +1,306 @@
+/**
+ * Duty Routes
+ * API endpoints for responder availability, location updates,
+ * unit rosters and shift scheduling
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getMyDuty,
+  updateMyDutyStatus,
+  updateMyLocation,
+  getUnitRoster,
+  createShift,
+  deleteShift,
+  setSupervisor
+} = require('../controllers/dutyController');
+
+// Import middleware
+const { authenticate } = require('../middleware/auth');
+const { rateLimiters } = require('../middleware/rateLimiter');
+const { validateBody, validateQuery, validateParams } = require('../middleware/validation');
+const {
+  roleCheckers,
+  requireRegisteredUser,
+  addPermissionHeaders
+} = require('../middleware/roleCheck');
+const Joi = require('joi');
+const { DUTY_STATUS, ERROR_CODES } = require('../config/constants');
+
+/**
+ * [longitude, latitude] pair
+ */
+const coordinatesSchema = Joi.array()
+  .ordered(
+    Joi.number().min(-180).max(180).required(),
+    Joi.number().min(-90).max(90).required()
+  )
+  .length(2);
+
+/**
+ * Validation schemas for duty routes
+ */
+const dutyValidationSchemas = {
+  // Duty status update validation
+  status: Joi.object({
+    status: Joi.string().valid(...Object.values(DUTY_STATUS)).required(),
+    coordinates: coordinatesSchema.optional()
+  }),
+
+  // Location update validation
+  location: Joi.object({
+    coordinates: coordinatesSchema.required()
+  }),
+
+  // Object ID parameter validation
+  objectIdParam: (name) => Joi.object({
+    [name]: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': `Invalid ${name} format`
+      })
+  }),
+
+  // Unit roster query validation (role/department/jurisdiction apply to admins)
+  rosterQuery: Joi.object({
+    role: Joi.string().valid('police', 'hospital').optional(),
+    department: Joi.string().max(100).optional(),
+    jurisdiction: Joi.string().max(200).optional(),
+    dutyStatus: Joi.string().valid(...Object.values(DUTY_STATUS)).optional()
+  }),
+
+  // Shift scheduling validation
+  shift: Joi.object({
+    responderId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    startsAt: Joi.date().iso().required(),
+    endsAt: Joi.date().iso().greater(Joi.ref('startsAt')).required(),
+    notes: Joi.string().trim().max(500).optional()
+  }),
+
+  // Supervisor flag validation
+  supervisor: Joi.object({
+    isSupervisor: Joi.boolean().required()
+  })
+};
+
+/**
+ * Apply common duty middleware to all routes
+ * - Authentication required (registered users only)
+ * - Rate limiting
+ * - Permission headers
+ */
+router.use(authenticate);
+router.use(requireRegisteredUser);
+router.use(rateLimiters.api);
+router.use(addPermissionHeaders('duty'));
+
+// ============================================================================
+// OWN AVAILABILITY ROUTES
+// ============================================================================
+
+/**
+ * @route   GET /api/duty/me
+ * @desc    Get own duty status, current shift and upcoming shifts
+ * @access  Police, Hospital staff
+ * @rateLimit Standard API limits
+ */
+router.get('/me',
+  roleCheckers.duty.manageOwn,
+  getMyDuty
+);
+
+/**
+ * @route   PUT /api/duty/me/status
+ * @desc    Set own availability (on_duty, busy, on_break, off_duty)
+ * @access  Police, Hospital staff
+ * @rateLimit Standard API limits
+ */
+router.put('/me/status',
+  roleCheckers.duty.manageOwn,
+  validateBody(dutyValidationSchemas.status),
+  updateMyDutyStatus
+);
+
+/**
+ * @route   PUT /api/duty/me/location
+ * @desc    Report own location for dispatch ranking
+ * @access  Police, Hospital staff
+ * @rateLimit Burst limits (frequent location pings)
+ */
+router.put('/me/location',
+  rateLimiters.burst,
+  roleCheckers.duty.manageOwn,
+  validateBody(dutyValidationSchemas.location),
+  updateMyLocation
+);
+
+// ============================================================================
+// ROSTER ROUTES
+// ============================================================================
+
+/**
+ * @route   GET /api/duty/unit
+ * @desc    Get unit members with availability, current shift and workload
+ * @access  Unit supervisors, Admin
+ * @rateLimit Standard API limits
+ */
+router.get('/unit',
+  roleCheckers.duty.roster,
+  validateQuery(dutyValidationSchemas.rosterQuery),
+  getUnitRoster
+);
+
+/**
+ * @route   POST /api/duty/shifts
+ * @desc    Schedule a shift for a unit member
+ * @access  Unit supervisors, Admin
+ * @rateLimit Standard API limits
+ */
+router.post('/shifts',
+  roleCheckers.duty.roster,
+  validateBody(dutyValidationSchemas.shift),
+  createShift
+);
+
+/**
+ * @route   DELETE /api/duty/shifts/:shiftId
+ * @desc    Cancel a scheduled shift
+ * @access  Unit supervisors, Admin
+ * @rateLimit Standard API limits
+ */
+router.delete('/shifts/:shiftId',
+  roleCheckers.duty.roster,
+  validateParams(dutyValidationSchemas.objectIdParam('shiftId')),
+  deleteShift
+);
+
+/**
+ * @route   PATCH /api/duty/responders/:userId/supervisor
+ * @desc    Grant or revoke supervisor access for a responder
+ * @access  Admin only
+ * @rateLimit Standard API limits
+ */
+router.patch('/responders/:userId/supervisor',
+  roleCheckers.duty.supervisors,
+  validateParams(dutyValidationSchemas.objectIdParam('userId')),
+  validateBody(dutyValidationSchemas.supervisor),
+  setSupervisor
+);
+
+// ============================================================================
+// ERROR HANDLING
+// ============================================================================
+
+/**
+ * Error handling middleware specific to duty routes
+ */
+router.use((error, req, res, next) => {
+  console.error(`Duty Route Error: ${error.message}`, {
+    path: req.path,
+    method: req.method,
+    userRole: req.user?.role || 'unauthenticated',
+    stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+  });
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: ERROR_CODES.VALIDATION_ERROR,
+        message: 'Duty data validation failed',
+        details: {
+          errors: Object.keys(error.errors).map(key => ({
+            field: key,
+            message: error.errors[key].message
+          }))
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const statusCode = error.statusCode || 500;
+  const errorCode = error.code || ERROR_CODES.INTERNAL_ERROR;
+
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code: errorCode,
+      message: error.message || 'Internal server error',
+      details: error.details || (process.env.NODE_ENV === 'development' ? {
+        stack: error.stack
+      } : {})
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ============================================================================
+// ROUTE DOCUMENTATION AND METADATA
+// ============================================================================
+
+/**
+ * Route metadata for API documentation
+ */
+router.routeInfo = {
+  basePath: '/api/duty',
+  description: 'Responder availability, unit rosters and shift scheduling',
+  version: '1.0.0',
+  routes: [
+    {
+      method: 'GET',
+      path: '/me',
+      description: 'Get own duty status and shifts',
+      access: 'Police, Hospital staff',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'PUT',
+      path: '/me/status',
+      description: 'Set own availability',
+      access: 'Police, Hospital staff',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'PUT',
+      path: '/me/location',
+      description: 'Report own location',
+      access: 'Police, Hospital staff',
+      rateLimit: 'Burst limits'
+    },
+    {
+      method: 'GET',
+      path: '/unit',
+      description: 'Get unit roster',
+      access: 'Unit supervisors, Admin',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'POST',
+      path: '/shifts',
+      description: 'Schedule a shift',
+      access: 'Unit supervisors, Admin',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'DELETE',
+      path: '/shifts/:shiftId',
+      description: 'Cancel a shift',
+      access: 'Unit supervisors, Admin',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'PATCH',
+      path: '/responders/:userId/supervisor',
+      description: 'Grant or revoke supervisor access',
+      access: 'Admin only',
+      rateLimit: 'Standard API limits'
+    }
+  ]
+};
+
+module.exports = router;
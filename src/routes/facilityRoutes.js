@@ -0,0 +1,369 @@
+/**
+ * Facility Routes
+ * API endpoints for the hospital facility registry, capacity and
+ * diversion updates, and hospital recommendations for incidents
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  listFacilities,
+  getFacility,
+  createFacility,
+  updateFacility,
+  updateCapacity,
+  assignStaff,
+  getRecommendations
+} = require('../controllers/facilityController');
+
+// Import middleware
+const { authenticate } = require('../middleware/auth');
+const { rateLimiters } = require('../middleware/rateLimiter');
+const { validateBody, validateQuery, validateParams } = require('../middleware/validation');
+const {
+  roleCheckers,
+  requireRegisteredUser,
+  addPermissionHeaders
+} = require('../middleware/roleCheck');
+const Joi = require('joi');
+const { FACILITIES, ERROR_CODES } = require('../config/constants');
+
+const objectIdSchema = Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/)
+  .messages({
+    'string.pattern.base': 'Invalid id format'
+  });
+
+const specialtiesSchema = Joi.array().items(Joi.string().valid(...FACILITIES.SPECIALTIES)).unique();
+
+/**
+ * Full ward entry, used when admins define the ward list
+ */
+const wardSchema = Joi.object({
+  ward: Joi.string().valid(...FACILITIES.WARDS).required(),
+  totalBeds: Joi.number().integer().min(0).max(10000).required(),
+  availableBeds: Joi.number().integer().min(0).max(Joi.ref('totalBeds')).required()
+});
+
+/**
+ * Facility profile fields shared by create and update
+ */
+const profileFields = {
+  latitude: Joi.number().min(-90).max(90),
+  longitude: Joi.number().min(-180).max(180),
+  address: Joi.object({
+    street: Joi.string().trim().max(200).optional(),
+    city: Joi.string().trim().max(100).optional(),
+    state: Joi.string().trim().max(100).optional(),
+    pincode: Joi.string().trim().max(10).optional()
+  }),
+  phone: Joi.string().trim().max(20),
+  licenseNumber: Joi.string().trim().max(50),
+  specialties: specialtiesSchema,
+  wards: Joi.array().items(wardSchema).unique('ward').max(FACILITIES.WARDS.length)
+};
+
+/**
+ * Validation schemas for facility routes
+ */
+const facilityValidationSchemas = {
+  // Facility list query validation (includeInactive applies to admins)
+  listQuery: Joi.object({
+    latitude: Joi.number().min(-90).max(90).optional(),
+    longitude: Joi.number().min(-180).max(180).optional(),
+    radius: Joi.number().integer().min(100).max(FACILITIES.SEARCH_RADIUS_METERS).optional(),
+    specialty: Joi.string().valid(...FACILITIES.SPECIALTIES).optional(),
+    accepting: Joi.boolean().default(false),
+    includeInactive: Joi.boolean().default(false)
+  }).and('latitude', 'longitude'),
+
+  // Facility creation validation
+  create: Joi.object({
+    name: Joi.string().trim().min(2).max(200).required(),
+    code: Joi.string()
+      .lowercase()
+      .max(100)
+      .pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'code may only contain letters, digits and single hyphens'
+      }),
+    ...profileFields,
+    latitude: profileFields.latitude.required(),
+    longitude: profileFields.longitude.required()
+  }),
+
+  // Facility update validation
+  update: Joi.object({
+    name: Joi.string().trim().min(2).max(200).optional(),
+    ...profileFields,
+    isActive: Joi.boolean().optional()
+  }).and('latitude', 'longitude').min(1),
+
+  // Capacity and diversion update validation (hospital staff)
+  capacity: Joi.object({
+    wards: Joi.array()
+      .items(Joi.object({
+        ward: Joi.string().valid(...FACILITIES.WARDS).required(),
+        availableBeds: Joi.number().integer().min(0).max(10000).required(),
+        totalBeds: Joi.number().integer().min(Joi.ref('availableBeds')).max(10000).optional()
+      }))
+      .unique('ward')
+      .min(1)
+      .max(FACILITIES.WARDS.length),
+    diversion: Joi.object({
+      status: Joi.string().valid('open', 'diverting').required(),
+      specialties: specialtiesSchema.optional(),
+      reason: Joi.string().trim().max(500).optional(),
+      until: Joi.date().iso().greater('now').optional()
+    })
+  }).or('wards', 'diversion'),
+
+  // Staff assignment validation
+  staff: Joi.object({
+    userIds: Joi.array().items(objectIdSchema).min(1).max(100).unique().required()
+  }),
+
+  // Recommendation query validation
+  recommendationQuery: Joi.object({
+    specialties: Joi.string()
+      .pattern(new RegExp(`^(${FACILITIES.SPECIALTIES.join('|')})(,(${FACILITIES.SPECIALTIES.join('|')}))*$`))
+      .optional()
+      .messages({
+        'string.pattern.base': `specialties must be a comma-separated list of: ${FACILITIES.SPECIALTIES.join(', ')}`
+      }),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(FACILITIES.MAX_RECOMMENDATIONS)
+      .default(FACILITIES.DEFAULT_RECOMMENDATIONS)
+  }),
+
+  // Object ID parameter validation
+  objectIdParam: (name) => Joi.object({
+    [name]: objectIdSchema.required()
+  })
+};
+
+/**
+ * Apply common facility middleware to all routes
+ * - Authentication required (registered users only)
+ * - Rate limiting
+ * - Permission headers
+ */
+router.use(authenticate);
+router.use(requireRegisteredUser);
+router.use(rateLimiters.api);
+router.use(addPermissionHeaders('facilities'));
+
+// ============================================================================
+// REGISTRY ROUTES
+// ============================================================================
+
+/**
+ * @route   GET /api/facilities
+ * @desc    List facilities, nearest first when a position is given
+ * @access  Police, Hospital, Admin
+ * @rateLimit Standard API limits
+ */
+router.get('/',
+  roleCheckers.facilities.read,
+  validateQuery(facilityValidationSchemas.listQuery),
+  listFacilities
+);
+
+/**
+ * @route   GET /api/facilities/recommendations/:incidentId
+ * @desc    Rank the nearest hospitals that can take a patient from an incident
+ * @access  Police, Hospital, Admin
+ * @rateLimit Standard API limits
+ */
+router.get('/recommendations/:incidentId',
+  roleCheckers.facilities.recommend,
+  validateParams(facilityValidationSchemas.objectIdParam('incidentId')),
+  validateQuery(facilityValidationSchemas.recommendationQuery),
+  getRecommendations
+);
+
+/**
+ * @route   GET /api/facilities/:id
+ * @desc    Get a facility with its capacity and diversion status
+ * @access  Police, Hospital, Admin
+ * @rateLimit Standard API limits
+ */
+router.get('/:id',
+  roleCheckers.facilities.read,
+  validateParams(facilityValidationSchemas.objectIdParam('id')),
+  getFacility
+);
+
+/**
+ * @route   POST /api/facilities
+ * @desc    Register a facility
+ * @access  Admin only
+ * @rateLimit Standard API limits
+ */
+router.post('/',
+  roleCheckers.facilities.manage,
+  validateBody(facilityValidationSchemas.create),
+  createFacility
+);
+
+/**
+ * @route   PUT /api/facilities/:id
+ * @desc    Update a facility's profile, specialties or ward list
+ * @access  Admin only
+ * @rateLimit Standard API limits
+ */
+router.put('/:id',
+  roleCheckers.facilities.manage,
+  validateParams(facilityValidationSchemas.objectIdParam('id')),
+  validateBody(facilityValidationSchemas.update),
+  updateFacility
+);
+
+/**
+ * @route   PUT /api/facilities/:id/staff
+ * @desc    Assign hospital staff to a facility
+ * @access  Admin only
+ * @rateLimit Standard API limits
+ */
+router.put('/:id/staff',
+  roleCheckers.facilities.manage,
+  validateParams(facilityValidationSchemas.objectIdParam('id')),
+  validateBody(facilityValidationSchemas.staff),
+  assignStaff
+);
+
+// ============================================================================
+// CAPACITY ROUTES
+// ============================================================================
+
+/**
+ * @route   PUT /api/facilities/:id/capacity
+ * @desc    Report free beds per ward and emergency room diversion
+ * @access  Hospital staff (own facility)
+ * @rateLimit Standard API limits
+ */
+router.put('/:id/capacity',
+  roleCheckers.hospital.resourceManagement,
+  validateParams(facilityValidationSchemas.objectIdParam('id')),
+  validateBody(facilityValidationSchemas.capacity),
+  updateCapacity
+);
+
+// ============================================================================
+// ERROR HANDLING
+// ============================================================================
+
+/**
+ * Error handling middleware specific to facility routes
+ */
+router.use((error, req, res, next) => {
+  console.error(`Facility Route Error: ${error.message}`, {
+    path: req.path,
+    method: req.method,
+    userRole: req.user?.role || 'unauthenticated',
+    stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+  });
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: ERROR_CODES.VALIDATION_ERROR,
+        message: 'Facility data validation failed',
+        details: {
+          errors: Object.keys(error.errors).map(key => ({
+            field: key,
+            message: error.errors[key].message
+          }))
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const statusCode = error.statusCode || 500;
+  const errorCode = error.code || ERROR_CODES.INTERNAL_ERROR;
+
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code: errorCode,
+      message: error.message || 'Internal server error',
+      details: error.details || (process.env.NODE_ENV === 'development' ? {
+        stack: error.stack
+      } : {})
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ============================================================================
+// ROUTE DOCUMENTATION AND METADATA
+// ============================================================================
+
+/**
+ * Route metadata for API documentation
+ */
+router.routeInfo = {
+  basePath: '/api/facilities',
+  description: 'Hospital facility registry, capacity and patient destination recommendations',
+  version: '1.0.0',
+  routes: [
+    {
+      method: 'GET',
+      path: '/',
+      description: 'List facilities',
+      access: 'Police, Hospital, Admin',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'GET',
+      path: '/recommendations/:incidentId',
+      description: 'Recommend hospitals for an incident',
+      access: 'Police, Hospital, Admin',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'GET',
+      path: '/:id',
+      description: 'Get a facility',
+      access: 'Police, Hospital, Admin',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'POST',
+      path: '/',
+      description: 'Register a facility',
+      access: 'Admin only',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'PUT',
+      path: '/:id',
+      description: 'Update a facility',
+      access: 'Admin only',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'PUT',
+      path: '/:id/staff',
+      description: 'Assign hospital staff to a facility',
+      access: 'Admin only',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'PUT',
+      path: '/:id/capacity',
+      description: 'Update beds and diversion status',
+      access: 'Hospital staff (own facility)',
+      rateLimit: 'Standard API limits'
+    }
+  ]
+};
+
+module.exports = router;
@@ -0,0 +1,177 @@
+/**
+ * Geocoding Routes
+ * Backend proxy for address, reverse and batch geocoding through the
+ * configured geocoding provider
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  geocodeAddress,
+  reverseGeocode,
+  batchGeocode
+} = require('../controllers/geocodingController');
+
+// Import middleware
+const { authenticate, requireAuth } = require('../middleware/auth');
+const { rateLimiters } = require('../middleware/rateLimiter');
+const { validateBody, validateQuery } = require('../middleware/validation');
+const {
+  roleCheckers,
+  addPermissionHeaders
+} = require('../middleware/roleCheck');
+const Joi = require('joi');
+const { MAPS_CONFIG } = require('../config/maps');
+const { ERROR_CODES } = require('../config/constants');
+
+const addressSchema = Joi.string()
+  .trim()
+  .min(2)
+  .max(MAPS_CONFIG.VALIDATION.ADDRESS_MAX_LENGTH);
+
+/**
+ * Validation schemas for geocoding routes
+ */
+const geocodingValidationSchemas = {
+  // Address lookup query validation
+  geocodeQuery: Joi.object({
+    address: addressSchema.required()
+  }),
+
+  // Reverse lookup query validation
+  reverseQuery: Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required()
+  }),
+
+  // Batch lookup validation
+  batch: Joi.object({
+    addresses: Joi.array()
+      .items(addressSchema)
+      .min(1)
+      .max(MAPS_CONFIG.BATCH.MAX_ADDRESSES)
+      .required()
+  })
+};
+
+/**
+ * Apply common geocoding middleware to all routes
+ * - Authentication required (users and guests, who look up addresses while reporting)
+ * - Rate limiting that protects the upstream provider quota
+ * - Permission headers
+ */
+router.use(authenticate);
+router.use(requireAuth);
+router.use(rateLimiters.geocoding);
+router.use(addPermissionHeaders('geocoding'));
+
+// ============================================================================
+// LOOKUP ROUTES
+// ============================================================================
+
+/**
+ * @route   GET /api/geocode
+ * @desc    Geocode an address
+ * @access  Authenticated users and guests
+ * @rateLimit Geocoding limits
+ */
+router.get('/',
+  roleCheckers.geocoding.lookup,
+  validateQuery(geocodingValidationSchemas.geocodeQuery),
+  geocodeAddress
+);
+
+/**
+ * @route   GET /api/geocode/reverse
+ * @desc    Find the address or place at a position
+ * @access  Authenticated users and guests
+ * @rateLimit Geocoding limits
+ */
+router.get('/reverse',
+  roleCheckers.geocoding.lookup,
+  validateQuery(geocodingValidationSchemas.reverseQuery),
+  reverseGeocode
+);
+
+/**
+ * @route   POST /api/geocode/batch
+ * @desc    Geocode up to 50 addresses
+ * @access  Police, Hospital, Admin
+ * @rateLimit Geocoding limits
+ */
+router.post('/batch',
+  roleCheckers.geocoding.batch,
+  validateBody(geocodingValidationSchemas.batch),
+  batchGeocode
+);
+
+// ============================================================================
+// ERROR HANDLING
+// ============================================================================
+
+/**
+ * Error handling middleware specific to geocoding routes
+ */
+router.use((error, req, res, next) => {
+  console.error(`Geocoding Route Error: ${error.message}`, {
+    path: req.path,
+    method: req.method,
+    userRole: req.user?.role || 'unauthenticated',
+    stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+  });
+
+  const statusCode = error.statusCode || 500;
+  const errorCode = error.code || ERROR_CODES.INTERNAL_ERROR;
+
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code: errorCode,
+      message: error.message || 'Internal server error',
+      details: error.details || (process.env.NODE_ENV === 'development' ? {
+        stack: error.stack
+      } : {})
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ============================================================================
+// ROUTE DOCUMENTATION AND METADATA
+// ============================================================================
+
+/**
+ * Route metadata for API documentation
+ */
+router.routeInfo = {
+  basePath: '/api/geocode',
+  description: 'Geocoding proxy backed by the configured geocoding provider and a persistent cache',
+  version: '1.0.0',
+  routes: [
+    {
+      method: 'GET',
+      path: '/',
+      description: 'Geocode an address',
+      access: 'Authenticated users and guests',
+      rateLimit: 'Geocoding limits'
+    },
+    {
+      method: 'GET',
+      path: '/reverse',
+      description: 'Reverse geocode coordinates',
+      access: 'Authenticated users and guests',
+      rateLimit: 'Geocoding limits'
+    },
+    {
+      method: 'POST',
+      path: '/batch',
+      description: 'Geocode several addresses',
+      access: 'Police, Hospital, Admin',
+      rateLimit: 'Geocoding limits'
+    }
+  ]
+};
+
+module.exports = router;
@@ -0,0 +1,251 @@
+/**
+ * Hospital Routes
+ * API endpoints for hospital staff: dashboard, patient search,
+ * medical record access, and admission lifecycle
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getHospitalDashboard,
+  searchPatients,
+  getPatientData,
+  admitPatient,
+  updatePatientStatus,
+  getPatientHistory,
+  dischargePatient
+} = require('../controllers/hospitalController');
+
+// Import middleware
+const { authenticate } = require('../middleware/auth');
+const { rateLimiters } = require('../middleware/rateLimiter');
+const { validators } = require('../middleware/validation');
+const {
+  roleCheckers,
+  requireRegisteredUser,
+  addPermissionHeaders
+} = require('../middleware/roleCheck');
+const { ERROR_CODES } = require('../config/constants');
+
+/**
+ * Apply common hospital middleware to all routes
+ * - Authentication required (registered users only)
+ * - Rate limiting
+ * - Permission headers
+ */
+router.use(authenticate);
+router.use(requireRegisteredUser);
+router.use(rateLimiters.api);
+router.use(addPermissionHeaders('hospital'));
+
+// ============================================================================
+// DASHBOARD ROUTES
+// ============================================================================
+
+/**
+ * @route   GET /api/hospital/dashboard
+ * @desc    Get admission counters and current patients
+ * @access  Hospital staff
+ * @rateLimit Burst limits (frequent dashboard refreshes)
+ */
+router.get('/dashboard',
+  rateLimiters.burst,
+  roleCheckers.hospital.dashboard,
+  getHospitalDashboard
+);
+
+// ============================================================================
+// PATIENT ROUTES
+// ============================================================================
+
+/**
+ * @route   POST /api/hospital/patients/search
+ * @desc    Find a patient by phone (blind index) or email
+ * @access  Hospital staff
+ * @rateLimit Standard API limits (every search is audited)
+ */
+router.post('/patients/search',
+  roleCheckers.hospital.patientData,
+  validators.hospital.patientSearch,
+  searchPatients
+);
+
+/**
+ * @route   POST /api/hospital/patients/admit
+ * @desc    Admit a patient from an incident
+ * @access  Hospital staff
+ * @rateLimit Standard API limits
+ */
+router.post('/patients/admit',
+  roleCheckers.hospital.patientData,
+  validators.hospital.admit,
+  admitPatient
+);
+
+/**
+ * @route   GET /api/hospital/patients/:patientId
+ * @desc    Get decrypted patient identity and medical information
+ * @access  Hospital staff
+ * @rateLimit Standard API limits
+ */
+router.get('/patients/:patientId',
+  roleCheckers.hospital.patientData,
+  validators.hospital.patientIdParam,
+  getPatientData
+);
+
+/**
+ * @route   PUT /api/hospital/patients/:patientId/status
+ * @desc    Update clinical status of the patient's active admission
+ * @access  Hospital staff (admitting hospital)
+ * @rateLimit Standard API limits
+ */
+router.put('/patients/:patientId/status',
+  roleCheckers.hospital.patientData,
+  validators.hospital.patientIdParam,
+  validators.hospital.statusUpdate,
+  updatePatientStatus
+);
+
+/**
+ * @route   GET /api/hospital/patients/:patientId/history
+ * @desc    Get the patient's admission history
+ * @access  Hospital staff
+ * @rateLimit Standard API limits
+ */
+router.get('/patients/:patientId/history',
+  roleCheckers.hospital.patientData,
+  validators.hospital.patientIdParam,
+  validators.hospital.historyQuery,
+  getPatientHistory
+);
+
+/**
+ * @route   POST /api/hospital/patients/:patientId/discharge
+ * @desc    Discharge the patient from the active admission
+ * @access  Hospital staff (admitting hospital)
+ * @rateLimit Standard API limits
+ */
+router.post('/patients/:patientId/discharge',
+  roleCheckers.hospital.patientData,
+  validators.hospital.patientIdParam,
+  validators.hospital.discharge,
+  dischargePatient
+);
+
+// ============================================================================
+// ERROR HANDLING
+// ============================================================================
+
+/**
+ * Error handling middleware specific to hospital routes
+ */
+router.use((error, req, res, next) => {
+  console.error(`Hospital Route Error: ${error.message}`, {
+    path: req.path,
+    method: req.method,
+    patientId: req.params?.patientId,
+    userRole: req.user?.role || 'unauthenticated',
+    stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+  });
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: ERROR_CODES.VALIDATION_ERROR,
+        message: 'Admission data validation failed',
+        details: {
+          errors: Object.keys(error.errors).map(key => ({
+            field: key,
+            message: error.errors[key].message
+          }))
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const statusCode = error.statusCode || 500;
+  const errorCode = error.code || ERROR_CODES.INTERNAL_ERROR;
+
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code: errorCode,
+      message: error.message || 'Internal server error',
+      details: error.details || (process.env.NODE_ENV === 'development' ? {
+        stack: error.stack
+      } : {})
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ============================================================================
+// ROUTE DOCUMENTATION AND METADATA
+// ============================================================================
+
+/**
+ * Route metadata for API documentation
+ */
+router.routeInfo = {
+  basePath: '/api/hospital',
+  description: 'Hospital patient lookup and admission management',
+  version: '1.0.0',
+  routes: [
+    {
+      method: 'GET',
+      path: '/dashboard',
+      description: 'Get hospital dashboard overview',
+      access: 'Hospital staff',
+      rateLimit: 'Burst limits'
+    },
+    {
+      method: 'POST',
+      path: '/patients/search',
+      description: 'Search patient by phone or email',
+      access: 'Hospital staff',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'POST',
+      path: '/patients/admit',
+      description: 'Admit patient from incident',
+      access: 'Hospital staff',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'GET',
+      path: '/patients/:patientId',
+      description: 'Get patient medical data',
+      access: 'Hospital staff',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'PUT',
+      path: '/patients/:patientId/status',
+      description: 'Update patient status',
+      access: 'Hospital staff (admitting hospital)',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'GET',
+      path: '/patients/:patientId/history',
+      description: 'Get patient admission history',
+      access: 'Hospital staff',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'POST',
+      path: '/patients/:patientId/discharge',
+      description: 'Discharge patient',
+      access: 'Hospital staff (admitting hospital)',
+      rateLimit: 'Standard API limits'
+    }
+  ]
+};
+
+module.exports = router;
@@ -12,23 +12,47 @@ const {
   createIncident,
   getIncidentById,
   listIncidents,
+  getIncidentsByLocation,
+  getIncidentClusters,
   updateIncident,
+  updateIncidentStatus,
   deleteIncident,
   upvoteIncident,
+  checkProximity,
+  joinIncident,
   getMyIncidents,
   getIncidentStatistics
 } = require('../controllers/incidentController');
+const {
+  acceptAssignment,
+  declineAssignment,
+  completeAssignment
+} = require('../controllers/assignmentController');
+const {
+  getIncidentNotes,
+  createIncidentNote,
+  updateIncidentNote
+} = require('../controllers/noteController');
+const { uploadIncidentMedia } = require('../controllers/mediaController');
+const { upload } = require('../services/mediaStorage');
 
 // Import middleware
-const { authenticate } = require('../middleware/auth');
+const { authenticate, optionalAuth } = require('../middleware/auth');
 const { rateLimiters } = require('../middleware/rateLimiter');
-const { validators, validateBody, validateQuery } = require('../middleware/validation');
+const { validators, validateBody, validateQuery, validateParams } = require('../middleware/validation');
 const { 
   roleCheckers, 
   requireAdmin, 
   requireHospitalOrAdmin,
   addPermissionHeaders 
 } = require('../middleware/roleCheck');
+const { INCIDENT_STATUSES } = require('../config/statusTransitions');
+const {
+  NOTE_VISIBILITY,
+  INCIDENT_NOTES,
+  PROXIMITY_CHECK,
+  MAP_CLUSTERING
+} = require('../config/constants');
 const Joi = require('joi');
 
 /**
@@ -54,10 +78,39 @@ const incidentValidationSchemas = {
     lat: Joi.number().min(-90).max(90).optional(),
     lng: Joi.number().min(-180).max(180).optional(),
     radius: Joi.number().integer().min(100).max(50000).default(5000).optional(),
+    bbox: Joi.string().max(200).optional(), // west,south,east,north
+    polygon: Joi.string().max(20000).optional(), // GeoJSON Polygon or ring as JSON
     sortBy: Joi.string().valid('createdAt', 'updatedAt', 'upvotes', 'type', 'status').default('createdAt'),
     sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
     startDate: Joi.date().iso().optional(),
     endDate: Joi.date().iso().min(Joi.ref('startDate')).optional()
+  })
+    .and('lat', 'lng')
+    .oxor('lat', 'bbox', 'polygon')
+    .messages({
+      'object.oxor': 'Use only one of lat/lng, bbox or polygon'
+    }),
+  
+  // Map cluster query validation
+  clusterQuery: Joi.object({
+    bbox: Joi.string().max(200).required(), // west,south,east,north
+    zoom: Joi.number().integer().min(0).max(MAP_CLUSTERING.MAX_ZOOM).required(),
+    type: Joi.string().valid('Accident', 'Fire', 'Medical', 'Natural Disaster', 'Crime', 'Other').optional(),
+    status: Joi.string().valid('reported', 'verified', 'resolved').optional(),
+    startDate: Joi.date().iso().optional(),
+    endDate: Joi.date().iso().min(Joi.ref('startDate')).optional()
+  }),
+  
+  // Incidents by location query validation
+  byLocationQuery: Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required(),
+    radius: Joi.number().integer().min(100).max(50000).default(1000),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+    type: Joi.string().valid('Accident', 'Fire', 'Medical', 'Natural Disaster', 'Crime', 'Other').optional(),
+    status: Joi.string().valid('reported', 'verified', 'resolved').optional(),
+    startDate: Joi.date().iso().optional(),
+    endDate: Joi.date().iso().min(Joi.ref('startDate')).optional()
   }),
   
   // My incidents query validation
@@ -70,11 +123,69 @@ const incidentValidationSchemas = {
     sortOrder: Joi.string().valid('asc', 'desc').default('desc')
   }),
   
+  // Incident note parameter validation
+  noteParams: Joi.object({
+    id: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    noteId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Invalid note ID format'
+      })
+  }),
+  
+  // Incident note list query validation
+  noteListQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(INCIDENT_NOTES.DEFAULT_LIMIT),
+    visibility: Joi.string().valid(...Object.values(NOTE_VISIBILITY)).optional()
+  }),
+  
+  // Incident note creation validation
+  noteCreate: Joi.object({
+    content: Joi.string().trim().min(1).max(2000).required(),
+    visibility: Joi.string().valid(...Object.values(NOTE_VISIBILITY)).default(NOTE_VISIBILITY.PUBLIC),
+    parentNoteId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+    attachments: Joi.array().items(
+      Joi.object({
+        url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+        type: Joi.string().valid('image', 'video', 'document').required(),
+        filename: Joi.string().max(255).optional(),
+        size: Joi.number().integer().min(0).optional()
+      })
+    ).max(INCIDENT_NOTES.MAX_ATTACHMENTS).default([])
+  }),
+  
+  // Incident note edit validation
+  noteUpdate: Joi.object({
+    content: Joi.string().trim().min(1).max(2000).required()
+  }),
+  
   // Upvote action validation
   upvoteAction: Joi.object({
     action: Joi.string().valid('add', 'remove').default('add')
   }),
   
+  // Proximity check validation
+  proximityCheck: Joi.object({
+    location: Joi.object({
+      latitude: Joi.number().min(-90).max(90).required(),
+      longitude: Joi.number().min(-180).max(180).required(),
+      radius: Joi.number().min(50).max(PROXIMITY_CHECK.MAX_RADIUS_METERS).default(PROXIMITY_CHECK.DEFAULT_RADIUS_METERS)
+    }).required(),
+    type: Joi.string().max(50).optional()
+  }),
+  
+  // Join existing report validation
+  joinIncident: Joi.object({
+    location: Joi.object({
+      latitude: Joi.number().min(-90).max(90).required(),
+      longitude: Joi.number().min(-180).max(180).required()
+    }).required(),
+    upvote: Joi.boolean().default(true),
+    information: Joi.string().trim().min(1).max(1000).optional()
+  }),
+  
   // Incident update validation (for status changes)
   incidentUpdate: Joi.object({
     title: Joi.string().min(3).max(200).optional(),
@@ -218,7 +329,7 @@ const validateIncidentUpdate = (req, res, next) => {
 
 /**
  * @route   GET /api/incidents
- * @desc    List incidents with filtering and geospatial queries
+ * @desc    List incidents with filtering and radius, bounding-box (bbox) or polygon queries
  * @access  Public (incident information is public for safety)
  * @rateLimit Standard API limits
  */
@@ -229,6 +340,32 @@ router.get('/',
   listIncidents
 );
 
+/**
+ * @route   GET /api/incidents/by-location
+ * @desc    List incidents around a point, nearest first
+ * @access  Public
+ * @rateLimit Standard API limits
+ */
+router.get('/by-location',
+  rateLimiters.api,
+  validateQuery(incidentValidationSchemas.byLocationQuery),
+  addPermissionHeaders('incidents'),
+  getIncidentsByLocation
+);
+
+/**
+ * @route   GET /api/incidents/clusters
+ * @desc    Map clusters for a viewport (bbox and zoom); individual incidents at high zoom
+ * @access  Public
+ * @rateLimit Standard API limits
+ */
+router.get('/clusters',
+  rateLimiters.api,
+  validateQuery(incidentValidationSchemas.clusterQuery),
+  addPermissionHeaders('incidents'),
+  getIncidentClusters
+);
+
 /**
  * @route   GET /api/incidents/:id
  * @desc    Get incident details by ID
@@ -238,6 +375,7 @@ router.get('/',
 router.get('/:id',
   rateLimiters.api,
   validateIncidentIdParam,
+  optionalAuth, // Tailors the embedded notes to the viewer when signed in
   addPermissionHeaders('incidents'),
   getIncidentById
 );
@@ -308,6 +446,22 @@ router.post('/:id/upvote',
   upvoteIncident
 );
 
+/**
+ * @route   POST /api/incidents/:id/join
+ * @desc    Join an existing report (upvote and/or add information) instead of filing a new one
+ * @access  Authenticated users and guests (one guest action)
+ * @rateLimit Upvoting limits (role-based)
+ */
+router.post('/:id/join',
+  rateLimiters.upvoting,
+  validateIncidentIdParam,
+  validateBody(incidentValidationSchemas.joinIncident),
+  authenticate,
+  roleCheckers.incidents.upvote,
+  addPermissionHeaders('incidents'),
+  joinIncident
+);
+
 /**
  * @route   GET /api/incidents/my-reports
  * @desc    Get current user's/guest's incident reports
@@ -342,30 +496,172 @@ router.get('/stats',
 
 /**
  * @route   PATCH /api/incidents/:id/status
- * @desc    Update incident status (verify/resolve)
- * @access  Admin or Hospital users only
+ * @desc    Move incident through the status state machine
+ *          (any transition in the table permitted for the caller's role)
+ * @access  Police, Hospital, or Admin users (gated per transition)
  * @rateLimit Standard API limits
  */
 router.patch('/:id/status',
   rateLimiters.api,
   validateIncidentIdParam,
   validateBody(Joi.object({
-    status: Joi.string().valid('verified', 'resolved').required()
+    status: Joi.string()
+      .lowercase()
+      .replace(/-/g, '_')
+      .valid(...INCIDENT_STATUSES)
+      .required(),
+    reason: Joi.string().trim().max(500).optional(),
+    notes: Joi.string().trim().max(1000).optional()
   })),
   authenticate,
-  requireHospitalOrAdmin,
+  roleCheckers.incidents.updateStatus,
   addPermissionHeaders('incidents'),
-  (req, res, next) => {
-    // Convert to updateIncident format
-    req.body = { status: req.body.status };
-    updateIncident(req, res, next);
-  }
+  updateIncidentStatus
+);
+
+// ============================================================================
+// ASSIGNMENT ROUTES
+// ============================================================================
+
+/**
+ * @route   POST /api/incidents/:id/assignment/accept
+ * @desc    Accept the pending assignment for this incident
+ * @access  Assigned Police or Hospital responder
+ * @rateLimit Standard API limits
+ */
+router.post('/:id/assignment/accept',
+  rateLimiters.api,
+  validateIncidentIdParam,
+  authenticate,
+  roleCheckers.incidents.respond,
+  addPermissionHeaders('incidents'),
+  acceptAssignment
+);
+
+/**
+ * @route   POST /api/incidents/:id/assignment/decline
+ * @desc    Decline a pending assignment; the incident is reassigned or escalated
+ * @access  Assigned Police or Hospital responder
+ * @rateLimit Standard API limits
+ */
+router.post('/:id/assignment/decline',
+  rateLimiters.api,
+  validateIncidentIdParam,
+  validateBody(Joi.object({
+    reason: Joi.string().trim().min(3).max(500).required()
+  })),
+  authenticate,
+  roleCheckers.incidents.respond,
+  addPermissionHeaders('incidents'),
+  declineAssignment
+);
+
+/**
+ * @route   POST /api/incidents/:id/assignment/complete
+ * @desc    Complete the accepted assignment and resolve the incident
+ * @access  Assigned Police or Hospital responder
+ * @rateLimit Standard API limits
+ */
+router.post('/:id/assignment/complete',
+  rateLimiters.api,
+  validateIncidentIdParam,
+  validateBody(Joi.object({
+    notes: Joi.string().trim().max(1000).optional()
+  })),
+  authenticate,
+  roleCheckers.incidents.respond,
+  addPermissionHeaders('incidents'),
+  completeAssignment
+);
+
+// ============================================================================
+// NOTE ROUTES
+// ============================================================================
+
+/**
+ * @route   GET /api/incidents/:id/notes
+ * @desc    List note threads (internal notes only for responders handling the incident)
+ * @access  Public (public notes); Responders and Admin (internal notes)
+ * @rateLimit Standard API limits
+ */
+router.get('/:id/notes',
+  rateLimiters.api,
+  validateIncidentIdParam,
+  validateQuery(incidentValidationSchemas.noteListQuery),
+  optionalAuth, // Anonymous viewers get the public notes
+  addPermissionHeaders('incidents'),
+  getIncidentNotes
+);
+
+/**
+ * @route   POST /api/incidents/:id/notes
+ * @desc    Add a note or reply (internal or public)
+ * @access  Registered users (public); Responders and Admin (internal)
+ * @rateLimit Standard API limits
+ */
+router.post('/:id/notes',
+  rateLimiters.api,
+  validateIncidentIdParam,
+  validateBody(incidentValidationSchemas.noteCreate),
+  authenticate,
+  roleCheckers.incidents.comment,
+  addPermissionHeaders('incidents'),
+  createIncidentNote
+);
+
+/**
+ * @route   PATCH /api/incidents/:id/notes/:noteId
+ * @desc    Edit own note; previous content is kept in its edit history
+ * @access  Note author
+ * @rateLimit Standard API limits
+ */
+router.patch('/:id/notes/:noteId',
+  rateLimiters.api,
+  validateParams(incidentValidationSchemas.noteParams),
+  validateBody(incidentValidationSchemas.noteUpdate),
+  authenticate,
+  roleCheckers.incidents.comment,
+  addPermissionHeaders('incidents'),
+  updateIncidentNote
+);
+
+// ============================================================================
+// MEDIA ROUTES
+// ============================================================================
+
+/**
+ * @route   POST /api/incidents/:id/media
+ * @desc    Upload photos or videos (multipart, any field name) and attach them to the incident
+ * @access  Authenticated users and guests (guests within their daily media quota)
+ * @rateLimit Standard API limits
+ */
+router.post('/:id/media',
+  rateLimiters.api,
+  validateIncidentIdParam,
+  authenticate,
+  roleCheckers.incidents.attachMedia,
+  addPermissionHeaders('incidents'),
+  upload.any(),
+  uploadIncidentMedia
 );
 
 // ============================================================================
 // UTILITY ROUTES
 // ============================================================================
 
+/**
+ * @route   POST /api/incidents/check-proximity
+ * @desc    List active incidents near a location, ranked by distance, type match and recency
+ * @access  Public
+ * @rateLimit Standard API limits
+ */
+router.post('/check-proximity',
+  rateLimiters.api,
+  validateBody(incidentValidationSchemas.proximityCheck),
+  addPermissionHeaders('incidents'),
+  checkProximity
+);
+
 /**
  * @route   GET /api/incidents/nearby
  * @desc    Get incidents near a specific location (convenience endpoint)
@@ -606,9 +902,9 @@ router.use((error, req, res, next) => {
     error: {
       code: errorCode,
       message: error.message || 'Internal server error',
-      details: process.env.NODE_ENV === 'development' ? {
+      details: error.details || (process.env.NODE_ENV === 'development' ? {
         stack: error.stack
-      } : {}
+      } : {})
     },
     timestamp: new Date().toISOString()
   });
@@ -629,7 +925,21 @@ router.routeInfo = {
     {
       method: 'GET',
       path: '/',
-      description: 'List incidents with filtering and geospatial queries',
+      description: 'List incidents with filtering and radius, bounding-box or polygon queries',
+      access: 'Public',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'GET',
+      path: '/by-location',
+      description: 'List incidents around a point, nearest first',
+      access: 'Public',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'GET',
+      path: '/clusters',
+      description: 'Map clusters for a viewport, with counts by severity and type',
       access: 'Public',
       rateLimit: 'Standard API limits'
     },
@@ -668,6 +978,13 @@ router.routeInfo = {
       access: 'Authenticated users and guests',
       rateLimit: 'Upvoting limits'
     },
+    {
+      method: 'POST',
+      path: '/:id/join',
+      description: 'Join an existing report instead of filing a new one',
+      access: 'Authenticated users and guests',
+      rateLimit: 'Upvoting limits'
+    },
     {
       method: 'GET',
       path: '/my-reports',
@@ -685,8 +1002,36 @@ router.routeInfo = {
     {
       method: 'PATCH',
       path: '/:id/status',
-      description: 'Update incident status',
-      access: 'Admin or Hospital users',
+      description: 'Apply a status transition from the incident state machine',
+      access: 'Police, Hospital, or Admin users (gated per transition)',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'POST',
+      path: '/:id/assignment/accept',
+      description: 'Accept a pending assignment',
+      access: 'Assigned Police or Hospital responder',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'POST',
+      path: '/:id/assignment/decline',
+      description: 'Decline a pending assignment for reassignment',
+      access: 'Assigned Police or Hospital responder',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'POST',
+      path: '/:id/assignment/complete',
+      description: 'Complete an assignment and resolve the incident',
+      access: 'Assigned Police or Hospital responder',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'POST',
+      path: '/check-proximity',
+      description: 'Rank active incidents near a location before reporting',
+      access: 'Public',
       rateLimit: 'Standard API limits'
     },
     {
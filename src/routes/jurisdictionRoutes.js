@@ -0,0 +1,357 @@
+/**
+ * Jurisdiction Routes
+ * API endpoints for jurisdiction boundaries, GeoJSON import, officer
+ * assignment and point lookups
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  listJurisdictions,
+  lookupJurisdiction,
+  getJurisdiction,
+  createJurisdiction,
+  importJurisdictions,
+  updateJurisdiction,
+  deleteJurisdiction,
+  assignOfficers
+} = require('../controllers/jurisdictionController');
+
+// Import middleware
+const { authenticate } = require('../middleware/auth');
+const { rateLimiters } = require('../middleware/rateLimiter');
+const { validateBody, validateQuery, validateParams } = require('../middleware/validation');
+const {
+  roleCheckers,
+  requireRegisteredUser,
+  addPermissionHeaders
+} = require('../middleware/roleCheck');
+const Joi = require('joi');
+const Incident = require('../models/Incident');
+const { JURISDICTIONS, ERROR_CODES } = require('../config/constants');
+
+const DEPARTMENTS = Incident.schema.path('department').enumValues;
+
+/**
+ * GeoJSON Polygon or MultiPolygon; rings are checked by parseBoundary
+ */
+const boundarySchema = Joi.object({
+  type: Joi.string().valid('Polygon', 'MultiPolygon').required(),
+  coordinates: Joi.array().min(1).required()
+});
+
+const codeSchema = Joi.string()
+  .lowercase()
+  .max(100)
+  .pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+  .messages({
+    'string.pattern.base': 'code may only contain letters, digits and single hyphens'
+  });
+
+/**
+ * Validation schemas for jurisdiction routes
+ */
+const jurisdictionValidationSchemas = {
+  // Jurisdiction list query validation (includeInactive applies to admins)
+  listQuery: Joi.object({
+    department: Joi.string().valid(...DEPARTMENTS).optional(),
+    includeBoundary: Joi.boolean().default(false),
+    includeInactive: Joi.boolean().default(false)
+  }),
+
+  // Point lookup query validation
+  lookupQuery: Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required(),
+    department: Joi.string().valid(...DEPARTMENTS).default('police')
+  }),
+
+  // Jurisdiction creation validation
+  create: Joi.object({
+    name: Joi.string().trim().min(2).max(200).required(),
+    code: codeSchema.optional(),
+    departments: Joi.array().items(Joi.string().valid(...DEPARTMENTS)).min(1).unique().required(),
+    boundary: boundarySchema.required(),
+    description: Joi.string().trim().max(1000).optional()
+  }),
+
+  // Jurisdiction update validation
+  update: Joi.object({
+    name: Joi.string().trim().min(2).max(200).optional(),
+    departments: Joi.array().items(Joi.string().valid(...DEPARTMENTS)).min(1).unique().optional(),
+    boundary: boundarySchema.optional(),
+    description: Joi.string().trim().max(1000).allow('').optional(),
+    isActive: Joi.boolean().optional()
+  }).min(1),
+
+  // GeoJSON import validation (Feature or FeatureCollection)
+  import: Joi.object({
+    type: Joi.string().valid('FeatureCollection', 'Feature').required(),
+    features: Joi.when('type', {
+      is: 'FeatureCollection',
+      then: Joi.array()
+        .items(Joi.object({ type: Joi.string().valid('Feature').required() }).unknown(true))
+        .min(1)
+        .max(JURISDICTIONS.MAX_IMPORT_FEATURES)
+        .required(),
+      otherwise: Joi.forbidden()
+    }),
+    geometry: Joi.when('type', { is: 'Feature', then: Joi.object().required() })
+  }).unknown(true),
+
+  // GeoJSON import query validation
+  importQuery: Joi.object({
+    departments: Joi.string()
+      .pattern(new RegExp(`^(${DEPARTMENTS.join('|')})(,(${DEPARTMENTS.join('|')}))*$`))
+      .optional()
+      .messages({
+        'string.pattern.base': `departments must be a comma-separated list of: ${DEPARTMENTS.join(', ')}`
+      })
+  }),
+
+  // Officer assignment validation
+  officers: Joi.object({
+    userIds: Joi.array()
+      .items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+        'string.pattern.base': 'Invalid userId format'
+      }))
+      .min(1)
+      .max(100)
+      .unique()
+      .required()
+  }),
+
+  // Object ID parameter validation
+  idParam: Joi.object({
+    id: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Invalid jurisdiction id format'
+      })
+  })
+};
+
+/**
+ * Apply common jurisdiction middleware to all routes
+ * - Authentication required (registered users only)
+ * - Rate limiting
+ * - Permission headers
+ */
+router.use(authenticate);
+router.use(requireRegisteredUser);
+router.use(rateLimiters.api);
+router.use(addPermissionHeaders('jurisdictions'));
+
+// ============================================================================
+// LOOKUP ROUTES
+// ============================================================================
+
+/**
+ * @route   GET /api/jurisdictions
+ * @desc    List active jurisdictions, optionally with boundaries
+ * @access  Police, Hospital, Admin
+ * @rateLimit Standard API limits
+ */
+router.get('/',
+  roleCheckers.jurisdictions.read,
+  validateQuery(jurisdictionValidationSchemas.listQuery),
+  listJurisdictions
+);
+
+/**
+ * @route   GET /api/jurisdictions/lookup
+ * @desc    Find the jurisdiction containing a point
+ * @access  Police, Hospital, Admin
+ * @rateLimit Standard API limits
+ */
+router.get('/lookup',
+  roleCheckers.jurisdictions.read,
+  validateQuery(jurisdictionValidationSchemas.lookupQuery),
+  lookupJurisdiction
+);
+
+/**
+ * @route   GET /api/jurisdictions/:id
+ * @desc    Get a jurisdiction with its boundary
+ * @access  Police, Hospital, Admin
+ * @rateLimit Standard API limits
+ */
+router.get('/:id',
+  roleCheckers.jurisdictions.read,
+  validateParams(jurisdictionValidationSchemas.idParam),
+  getJurisdiction
+);
+
+// ============================================================================
+// MANAGEMENT ROUTES
+// ============================================================================
+
+/**
+ * @route   POST /api/jurisdictions
+ * @desc    Create a jurisdiction and stamp open incidents inside it
+ * @access  Admin only
+ * @rateLimit Standard API limits
+ */
+router.post('/',
+  roleCheckers.jurisdictions.manage,
+  validateBody(jurisdictionValidationSchemas.create),
+  createJurisdiction
+);
+
+/**
+ * @route   POST /api/jurisdictions/import
+ * @desc    Create or update jurisdictions from a GeoJSON FeatureCollection
+ * @access  Admin only
+ * @rateLimit Standard API limits
+ */
+router.post('/import',
+  roleCheckers.jurisdictions.manage,
+  validateQuery(jurisdictionValidationSchemas.importQuery),
+  validateBody(jurisdictionValidationSchemas.import),
+  importJurisdictions
+);
+
+/**
+ * @route   PUT /api/jurisdictions/:id
+ * @desc    Update a jurisdiction and re-stamp open incidents
+ * @access  Admin only
+ * @rateLimit Standard API limits
+ */
+router.put('/:id',
+  roleCheckers.jurisdictions.manage,
+  validateParams(jurisdictionValidationSchemas.idParam),
+  validateBody(jurisdictionValidationSchemas.update),
+  updateJurisdiction
+);
+
+/**
+ * @route   DELETE /api/jurisdictions/:id
+ * @desc    Deactivate a jurisdiction and re-stamp open incidents
+ * @access  Admin only
+ * @rateLimit Standard API limits
+ */
+router.delete('/:id',
+  roleCheckers.jurisdictions.manage,
+  validateParams(jurisdictionValidationSchemas.idParam),
+  deleteJurisdiction
+);
+
+/**
+ * @route   PUT /api/jurisdictions/:id/officers
+ * @desc    Assign police officers to a jurisdiction
+ * @access  Admin only
+ * @rateLimit Standard API limits
+ */
+router.put('/:id/officers',
+  roleCheckers.jurisdictions.manage,
+  validateParams(jurisdictionValidationSchemas.idParam),
+  validateBody(jurisdictionValidationSchemas.officers),
+  assignOfficers
+);
+
+// ============================================================================
+// ERROR HANDLING
+// ============================================================================
+
+/**
+ * Error handling middleware specific to jurisdiction routes
+ */
+router.use((error, req, res, next) => {
+  console.error(`Jurisdiction Route Error: ${error.message}`, {
+    path: req.path,
+    method: req.method,
+    userRole: req.user?.role || 'unauthenticated',
+    stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+  });
+
+  const statusCode = error.statusCode || 500;
+  const errorCode = error.code || ERROR_CODES.INTERNAL_ERROR;
+
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code: errorCode,
+      message: error.message || 'Internal server error',
+      details: error.details || (process.env.NODE_ENV === 'development' ? {
+        stack: error.stack
+      } : {})
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ============================================================================
+// ROUTE DOCUMENTATION AND METADATA
+// ============================================================================
+
+/**
+ * Route metadata for API documentation
+ */
+router.routeInfo = {
+  basePath: '/api/jurisdictions',
+  description: 'Jurisdiction boundaries and automatic incident assignment',
+  version: '1.0.0',
+  routes: [
+    {
+      method: 'GET',
+      path: '/',
+      description: 'List jurisdictions',
+      access: 'Police, Hospital, Admin',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'GET',
+      path: '/lookup',
+      description: 'Find the jurisdiction containing a point',
+      access: 'Police, Hospital, Admin',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'GET',
+      path: '/:id',
+      description: 'Get a jurisdiction with its boundary',
+      access: 'Police, Hospital, Admin',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'POST',
+      path: '/',
+      description: 'Create a jurisdiction',
+      access: 'Admin only',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'POST',
+      path: '/import',
+      description: 'Import jurisdictions from GeoJSON',
+      access: 'Admin only',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'PUT',
+      path: '/:id',
+      description: 'Update a jurisdiction',
+      access: 'Admin only',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'DELETE',
+      path: '/:id',
+      description: 'Deactivate a jurisdiction',
+      access: 'Admin only',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'PUT',
+      path: '/:id/officers',
+      description: 'Assign police officers to a jurisdiction',
+      access: 'Admin only',
+      rateLimit: 'Standard API limits'
+    }
+  ]
+};
+
+module.exports = router;
@@ -1,7 +1,8 @@
 /**
  * Media Upload Routes
  * 
- * Handles media upload, deletion, and management via Cloudinary
+ * Handles media upload, deletion, and management through the media storage
+ * adapter (Cloudinary or local filesystem), and serves locally stored files
  */
 
 const express = require('express');
@@ -12,9 +13,12 @@ const {
   deleteMedia, 
   generateSignedUploadUrl,
   validateFile,
-  getMediaMetadata
-} = require('../services/cloudinary');
+  getMediaMetadata,
+  getStorageHealth
+} = require('../services/mediaStorage');
+const { verifySignedUrl, resolveFilePath } = require('../services/localMediaStorage');
 const { ERROR_CODES, getErrorMessage } = require('../config/cloudinary');
+const { STORAGE_ERROR_CODES } = require('../config/storage');
 const { HTTP_STATUS } = require('../config/constants');
 
 const router = express.Router();
@@ -50,9 +54,10 @@ router.post('/upload', upload.single('media'), async (req, res) => {
       });
     }
     
-    // Upload to Cloudinary
+    // Upload with the configured storage provider
     const uploadResult = await uploadMedia(req.file.buffer, {
       folder: req.body.folder || 'incidents',
+      mimeType: req.file.mimetype,
       tags: req.body.tags ? req.body.tags.split(',') : ['emergency', 'incident']
     });
     
@@ -116,7 +121,7 @@ router.post('/upload-multiple', upload.array('media', 5), async (req, res) => {
       });
     }
     
-    // Upload all files to Cloudinary
+    // Upload all files with the configured storage provider
     const uploadResults = await uploadMultipleMedia(req.files, {
       folder: req.body.folder || 'incidents',
       tags: req.body.tags ? req.body.tags.split(',') : ['emergency', 'incident']
@@ -145,6 +150,52 @@ router.post('/upload-multiple', upload.array('media', 5), async (req, res) => {
   }
 });
 
+/**
+ * Serve a locally stored media file
+ * GET /api/media/files/*?expires=&signature=
+ *
+ * Files stored by the local provider are only served through signed URLs
+ * that have not yet expired
+ */
+router.get('/files/*', (req, res) => {
+  const publicId = req.params[0];
+  const { expires, signature } = req.query;
+  
+  const sendError = (statusCode, code, message) => res.status(statusCode).json({
+    success: false,
+    error: {
+      code,
+      message,
+      type: 'media'
+    }
+  });
+  
+  let filePath;
+  let verification;
+  try {
+    filePath = resolveFilePath(publicId);
+    verification = verifySignedUrl(publicId, expires, signature);
+  } catch (error) {
+    return sendError(HTTP_STATUS.NOT_FOUND, STORAGE_ERROR_CODES.FILE_NOT_FOUND, 'Media file not found');
+  }
+  
+  if (!verification.isValid) {
+    return sendError(HTTP_STATUS.FORBIDDEN, STORAGE_ERROR_CODES.INVALID_SIGNATURE, 'Invalid media URL signature');
+  }
+  
+  if (verification.isExpired) {
+    return sendError(HTTP_STATUS.FORBIDDEN, STORAGE_ERROR_CODES.URL_EXPIRED, 'Media URL has expired');
+  }
+  
+  res.sendFile(filePath, {
+    headers: { 'Cache-Control': 'private, max-age=300' }
+  }, (error) => {
+    if (error && !res.headersSent) {
+      sendError(HTTP_STATUS.NOT_FOUND, STORAGE_ERROR_CODES.FILE_NOT_FOUND, 'Media file not found');
+    }
+  });
+});
+
 /**
  * Delete media file
  * DELETE /api/media/:publicId
@@ -165,7 +216,7 @@ router.delete('/:publicId', async (req, res) => {
       });
     }
     
-    // Delete from Cloudinary
+    // Delete from storage
     const deleteResult = await deleteMedia(publicId, resourceType);
     
     res.status(HTTP_STATUS.OK).json({
@@ -214,6 +265,17 @@ router.get('/signed-upload-url', (req, res) => {
   } catch (error) {
     console.error('Signed URL generation error:', error);
     
+    if (error.code === STORAGE_ERROR_CODES.OPERATION_NOT_SUPPORTED) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+          type: 'signed_url'
+        }
+      });
+    }
+    
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
       success: false,
       error: {
@@ -244,7 +306,7 @@ router.get('/:publicId/metadata', async (req, res) => {
       });
     }
     
-    // Get metadata from Cloudinary
+    // Get metadata from storage
     const metadata = await getMediaMetadata(publicId);
     
     res.status(HTTP_STATUS.OK).json({
@@ -270,25 +332,20 @@ router.get('/:publicId/metadata', async (req, res) => {
 });
 
 /**
- * Health check for Cloudinary service
+ * Health check for the configured storage provider
  * GET /api/media/health
  */
-router.get('/health', (req, res) => {
+router.get('/health', async (req, res) => {
   try {
-    const cloudinaryConfig = {
-      cloudName: process.env.CLOUDINARY_CLOUD_NAME ? '✅ Configured' : '❌ Missing',
-      apiKey: process.env.CLOUDINARY_API_KEY ? '✅ Configured' : '❌ Missing',
-      apiSecret: process.env.CLOUDINARY_API_SECRET ? '✅ Configured' : '❌ Missing'
-    };
-    
-    const isHealthy = Object.values(cloudinaryConfig).every(status => status.includes('✅'));
+    const { provider, service, healthy, configuration } = await getStorageHealth();
     
-    res.status(isHealthy ? HTTP_STATUS.OK : HTTP_STATUS.SERVICE_UNAVAILABLE).json({
-      success: isHealthy,
+    res.status(healthy ? HTTP_STATUS.OK : HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+      success: healthy,
       data: {
-        service: 'Cloudinary Media Service',
-        status: isHealthy ? 'healthy' : 'unhealthy',
-        configuration: cloudinaryConfig,
+        service,
+        provider,
+        status: healthy ? 'healthy' : 'unhealthy',
+        configuration,
         timestamp: new Date().toISOString()
       }
     });
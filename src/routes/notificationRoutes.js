@@ -0,0 +1,286 @@
+/**
+ * Notification Routes
+ * API endpoints for notification channel preferences, Web Push
+ * subscriptions, the delivery log and notification health
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getPreferences,
+  updatePreferences,
+  addPushSubscription,
+  removePushSubscription,
+  listDeliveries,
+  getHealth
+} = require('../controllers/notificationController');
+
+// Import middleware
+const { authenticate } = require('../middleware/auth');
+const { rateLimiters } = require('../middleware/rateLimiter');
+const { validateBody, validateQuery } = require('../middleware/validation');
+const {
+  roleCheckers,
+  requireRegisteredUser,
+  addPermissionHeaders
+} = require('../middleware/roleCheck');
+const Joi = require('joi');
+const { TEMPLATES } = require('../services/notificationTemplates');
+const { NOTIFICATION_CHANNELS, DELIVERY_STATUS } = require('../config/notifications');
+const { ERROR_CODES } = require('../config/constants');
+const { isPublicHttpsUrl } = require('../utils/helpers');
+
+const objectIdSchema = Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/)
+  .messages({
+    'string.pattern.base': 'Invalid id format'
+  });
+
+// Events users may mute; mandatory events are always delivered and
+// emergency contact events are controlled by the contact alert opt-in
+const MUTABLE_EVENTS = Object.keys(TEMPLATES)
+  .filter(event => !TEMPLATES[event].mandatory && !TEMPLATES[event].toContacts);
+
+const pushEndpointSchema = Joi.string().uri({ scheme: ['https'] }).max(1000);
+
+/**
+ * Validation schemas for notification routes
+ */
+const notificationValidationSchemas = {
+  // Preference update validation
+  updatePreferences: Joi.object({
+    ...Object.fromEntries(Object.values(NOTIFICATION_CHANNELS).map(channel => [channel, Joi.boolean()])),
+    webhookUrl: Joi.string().trim().max(500).allow('', null)
+      .custom((value, helpers) => (!value || isPublicHttpsUrl(value) ? value : helpers.error('webhookUrl.unsafe')))
+      .messages({
+        'webhookUrl.unsafe': 'Webhook URL must be an https URL on a public host'
+      }),
+    mutedEvents: Joi.array().items(Joi.string().valid(...MUTABLE_EVENTS)).unique()
+  }).min(1),
+
+  // Push subscription validation (PushSubscription.toJSON() from the browser)
+  pushSubscription: Joi.object({
+    endpoint: pushEndpointSchema.required(),
+    keys: Joi.object({
+      p256dh: Joi.string().max(200).required(),
+      auth: Joi.string().max(100).required()
+    }).required()
+  }),
+
+  // Push subscription removal validation
+  removePushSubscription: Joi.object({
+    endpoint: pushEndpointSchema.required()
+  }),
+
+  // Delivery list query validation
+  deliveriesQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: Joi.string().valid(...Object.values(DELIVERY_STATUS)),
+    channel: Joi.string().valid(...Object.values(NOTIFICATION_CHANNELS)),
+    event: Joi.string().valid(...Object.keys(TEMPLATES)),
+    userId: objectIdSchema
+  })
+};
+
+/**
+ * Apply common notification middleware to all routes
+ * - Authentication required (registered users only)
+ * - Rate limiting
+ * - Permission headers
+ */
+router.use(authenticate);
+router.use(requireRegisteredUser);
+router.use(rateLimiters.api);
+router.use(addPermissionHeaders('notifications'));
+
+// ============================================================================
+// PREFERENCE ROUTES
+// ============================================================================
+
+/**
+ * @route   GET /api/notifications/preferences
+ * @desc    Get channel preferences, push subscriptions and the events users can mute
+ * @access  Registered users (own preferences)
+ * @rateLimit Standard API limits
+ */
+router.get('/preferences',
+  roleCheckers.notifications.manageOwn,
+  getPreferences
+);
+
+/**
+ * @route   PUT /api/notifications/preferences
+ * @desc    Turn channels on or off, set the webhook URL and mute events
+ * @access  Registered users (own preferences)
+ * @rateLimit Standard API limits
+ */
+router.put('/preferences',
+  roleCheckers.notifications.manageOwn,
+  validateBody(notificationValidationSchemas.updatePreferences),
+  updatePreferences
+);
+
+// ============================================================================
+// PUSH SUBSCRIPTION ROUTES
+// ============================================================================
+
+/**
+ * @route   POST /api/notifications/push-subscriptions
+ * @desc    Register a browser's Web Push subscription
+ * @access  Registered users (own subscriptions)
+ * @rateLimit Standard API limits
+ */
+router.post('/push-subscriptions',
+  roleCheckers.notifications.manageOwn,
+  validateBody(notificationValidationSchemas.pushSubscription),
+  addPushSubscription
+);
+
+/**
+ * @route   DELETE /api/notifications/push-subscriptions
+ * @desc    Remove a Web Push subscription by endpoint
+ * @access  Registered users (own subscriptions)
+ * @rateLimit Standard API limits
+ */
+router.delete('/push-subscriptions',
+  roleCheckers.notifications.manageOwn,
+  validateBody(notificationValidationSchemas.removePushSubscription),
+  removePushSubscription
+);
+
+// ============================================================================
+// DELIVERY LOG ROUTES
+// ============================================================================
+
+/**
+ * @route   GET /api/notifications/deliveries
+ * @desc    List notification deliveries, newest first
+ * @access  Registered users (own deliveries), Admin (any user)
+ * @rateLimit Standard API limits
+ */
+router.get('/deliveries',
+  roleCheckers.notifications.manageOwn,
+  validateQuery(notificationValidationSchemas.deliveriesQuery),
+  listDeliveries
+);
+
+/**
+ * @route   GET /api/notifications/health
+ * @desc    Get transport, channel configuration and delivery backlog
+ * @access  Admin only
+ * @rateLimit Standard API limits
+ */
+router.get('/health',
+  roleCheckers.notifications.health,
+  getHealth
+);
+
+// ============================================================================
+// ERROR HANDLING
+// ============================================================================
+
+/**
+ * Error handling middleware specific to notification routes
+ */
+router.use((error, req, res, next) => {
+  console.error(`Notification Route Error: ${error.message}`, {
+    path: req.path,
+    method: req.method,
+    userRole: req.user?.role || 'unauthenticated',
+    stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+  });
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: ERROR_CODES.VALIDATION_ERROR,
+        message: 'Notification preferences validation failed',
+        details: {
+          errors: Object.keys(error.errors).map(key => ({
+            field: key,
+            message: error.errors[key].message
+          }))
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const statusCode = error.statusCode || 500;
+  const errorCode = error.code || ERROR_CODES.INTERNAL_ERROR;
+
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code: errorCode,
+      message: error.message || 'Internal server error',
+      details: error.details || (process.env.NODE_ENV === 'development' ? {
+        stack: error.stack
+      } : {})
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ============================================================================
+// ROUTE DOCUMENTATION AND METADATA
+// ============================================================================
+
+/**
+ * Route metadata for API documentation
+ */
+router.routeInfo = {
+  basePath: '/api/notifications',
+  description: 'Notification channel preferences, push subscriptions and delivery log',
+  version: '1.0.0',
+  routes: [
+    {
+      method: 'GET',
+      path: '/preferences',
+      description: 'Get notification preferences',
+      access: 'Registered users (own preferences)',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'PUT',
+      path: '/preferences',
+      description: 'Update notification preferences',
+      access: 'Registered users (own preferences)',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'POST',
+      path: '/push-subscriptions',
+      description: 'Register a push subscription',
+      access: 'Registered users (own subscriptions)',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'DELETE',
+      path: '/push-subscriptions',
+      description: 'Remove a push subscription',
+      access: 'Registered users (own subscriptions)',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'GET',
+      path: '/deliveries',
+      description: 'List notification deliveries',
+      access: 'Registered users (own deliveries), Admin (any user)',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'GET',
+      path: '/health',
+      description: 'Get notification health',
+      access: 'Admin only',
+      rateLimit: 'Standard API limits'
+    }
+  ]
+};
+
+module.exports = router;
@@ -0,0 +1,270 @@
+/**
+ * Police Routes
+ * API endpoints for police officers: dashboard, incident claiming,
+ * status updates, case notes, and backup requests
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getPoliceDashboard,
+  claimIncident,
+  getAssignedIncidents,
+  getIncidentsByJurisdiction,
+  updateIncidentStatus,
+  addIncidentNote,
+  requestBackup
+} = require('../controllers/policeController');
+
+// Import middleware
+const { authenticate } = require('../middleware/auth');
+const { rateLimiters } = require('../middleware/rateLimiter');
+const { validators, validateParams } = require('../middleware/validation');
+const {
+  roleCheckers,
+  requireRegisteredUser,
+  addPermissionHeaders
+} = require('../middleware/roleCheck');
+const Joi = require('joi');
+const { ERROR_CODES } = require('../config/constants');
+
+/**
+ * Additional validation schemas for police routes
+ */
+const policeValidationSchemas = {
+  // Incident ID parameter validation
+  incidentIdParam: Joi.object({
+    id: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Invalid incident ID format'
+      })
+  }),
+
+  // Jurisdiction parameter validation
+  jurisdictionParam: Joi.object({
+    jurisdictionId: Joi.string().trim().min(1).max(200).required()
+  })
+};
+
+/**
+ * Apply common police middleware to all routes
+ * - Authentication required (registered users only)
+ * - Rate limiting
+ * - Permission headers
+ */
+router.use(authenticate);
+router.use(requireRegisteredUser);
+router.use(rateLimiters.api);
+router.use(addPermissionHeaders('police'));
+
+// ============================================================================
+// DASHBOARD ROUTES
+// ============================================================================
+
+/**
+ * @route   GET /api/police/dashboard
+ * @desc    Get officer workload counters and recent activity
+ * @access  Police officers
+ * @rateLimit Burst limits (frequent dashboard refreshes)
+ */
+router.get('/dashboard',
+  rateLimiters.burst,
+  roleCheckers.police.dashboard,
+  getPoliceDashboard
+);
+
+// ============================================================================
+// INCIDENT ROUTES
+// ============================================================================
+
+/**
+ * @route   GET /api/police/incidents/assigned
+ * @desc    Get incidents currently assigned to the officer
+ * @access  Police officers
+ * @rateLimit Standard API limits
+ */
+router.get('/incidents/assigned',
+  roleCheckers.police.viewAssigned,
+  validators.police.incidentQuery,
+  getAssignedIncidents
+);
+
+/**
+ * @route   GET /api/police/incidents/jurisdiction/:jurisdictionId
+ * @desc    Get active incidents and on-roll officers for a jurisdiction
+ * @access  Police officers (own jurisdiction) or Admin
+ * @rateLimit Standard API limits
+ */
+router.get('/incidents/jurisdiction/:jurisdictionId',
+  roleCheckers.police.viewJurisdiction,
+  validateParams(policeValidationSchemas.jurisdictionParam),
+  validators.police.incidentQuery,
+  getIncidentsByJurisdiction
+);
+
+/**
+ * @route   POST /api/police/incidents/:id/claim
+ * @desc    Claim an unassigned incident
+ * @access  Police officers
+ * @rateLimit Standard API limits
+ */
+router.post('/incidents/:id/claim',
+  roleCheckers.police.claimIncident,
+  validateParams(policeValidationSchemas.incidentIdParam),
+  validators.police.claim,
+  claimIncident
+);
+
+/**
+ * @route   PUT /api/police/incidents/:id/status
+ * @desc    Update the status of an assigned incident
+ * @access  Assigned police officer or Admin
+ * @rateLimit Standard API limits
+ */
+router.put('/incidents/:id/status',
+  roleCheckers.police.updateStatus,
+  validateParams(policeValidationSchemas.incidentIdParam),
+  validators.police.statusUpdate,
+  updateIncidentStatus
+);
+
+/**
+ * @route   POST /api/police/incidents/:id/notes
+ * @desc    Add an internal case note to an incident
+ * @access  Assigned police officer or Admin
+ * @rateLimit Standard API limits
+ */
+router.post('/incidents/:id/notes',
+  roleCheckers.police.addNote,
+  validateParams(policeValidationSchemas.incidentIdParam),
+  validators.police.note,
+  addIncidentNote
+);
+
+/**
+ * @route   POST /api/police/incidents/:id/backup
+ * @desc    Request backup for an assigned incident
+ * @access  Assigned police officer
+ * @rateLimit Strict limiting
+ */
+router.post('/incidents/:id/backup',
+  rateLimiters.strict,
+  roleCheckers.police.requestBackup,
+  validateParams(policeValidationSchemas.incidentIdParam),
+  validators.police.backup,
+  requestBackup
+);
+
+// ============================================================================
+// ERROR HANDLING
+// ============================================================================
+
+/**
+ * Error handling middleware specific to police routes
+ */
+router.use((error, req, res, next) => {
+  console.error(`Police Route Error: ${error.message}`, {
+    path: req.path,
+    method: req.method,
+    incidentId: req.params?.id,
+    userRole: req.user?.role || 'unauthenticated',
+    stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+  });
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: ERROR_CODES.INVALID_INPUT,
+        message: 'Invalid identifier format',
+        details: { field: error.path, value: error.value }
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const statusCode = error.statusCode || 500;
+  const errorCode = error.code || ERROR_CODES.INTERNAL_ERROR;
+
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code: errorCode,
+      message: error.message || 'Internal server error',
+      details: error.details || (process.env.NODE_ENV === 'development' ? {
+        stack: error.stack
+      } : {})
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ============================================================================
+// ROUTE DOCUMENTATION AND METADATA
+// ============================================================================
+
+/**
+ * Route metadata for API documentation
+ */
+router.routeInfo = {
+  basePath: '/api/police',
+  description: 'Police officer dashboard and incident response workflows',
+  version: '1.0.0',
+  routes: [
+    {
+      method: 'GET',
+      path: '/dashboard',
+      description: 'Get officer dashboard overview',
+      access: 'Police officers',
+      rateLimit: 'Burst limits'
+    },
+    {
+      method: 'GET',
+      path: '/incidents/assigned',
+      description: 'Get incidents assigned to the officer',
+      access: 'Police officers',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'GET',
+      path: '/incidents/jurisdiction/:jurisdictionId',
+      description: 'Get incidents within a jurisdiction',
+      access: 'Police officers (own jurisdiction) or Admin',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'POST',
+      path: '/incidents/:id/claim',
+      description: 'Claim an unassigned incident',
+      access: 'Police officers',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'PUT',
+      path: '/incidents/:id/status',
+      description: 'Update incident status',
+      access: 'Assigned officer or Admin',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'POST',
+      path: '/incidents/:id/notes',
+      description: 'Add case note to incident',
+      access: 'Assigned officer or Admin',
+      rateLimit: 'Standard API limits'
+    },
+    {
+      method: 'POST',
+      path: '/incidents/:id/backup',
+      description: 'Request backup for incident',
+      access: 'Assigned officer',
+      rateLimit: 'Strict limiting'
+    }
+  ]
+};
+
+module.exports = router;
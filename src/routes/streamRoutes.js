@@ -0,0 +1,109 @@
+/**
+ * Stream Routes
+ * Server-Sent Events endpoint for real-time incident updates on
+ * police, hospital, and admin dashboards
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const { streamIncidentEvents } = require('../controllers/streamController');
+
+// Import middleware
+const { authenticate } = require('../middleware/auth');
+const { rateLimiters } = require('../middleware/rateLimiter');
+const {
+  roleCheckers,
+  requireRegisteredUser,
+  addPermissionHeaders
+} = require('../middleware/roleCheck');
+const { ERROR_CODES } = require('../config/constants');
+
+/**
+ * Apply common stream middleware to all routes
+ * - Authentication required (registered users only)
+ * - Rate limiting on connection attempts
+ * - Permission headers
+ */
+router.use(authenticate);
+router.use(requireRegisteredUser);
+router.use(rateLimiters.api);
+router.use(addPermissionHeaders('stream'));
+
+// ============================================================================
+// STREAM ROUTES
+// ============================================================================
+
+/**
+ * @route   GET /api/stream
+ * @desc    Open a Server-Sent Events stream of incident_created,
+ *          incident_status_changed, incident_assigned and incident_upvoted
+ *          events filtered by role, department and jurisdiction
+ * @access  Police, hospital staff, admin
+ * @rateLimit Standard API limits (per connection attempt)
+ */
+router.get('/',
+  roleCheckers.stream.incidents,
+  streamIncidentEvents
+);
+
+// ============================================================================
+// ERROR HANDLING
+// ============================================================================
+
+/**
+ * Error handling middleware specific to stream routes
+ */
+router.use((error, req, res, next) => {
+  console.error(`Stream Route Error: ${error.message}`, {
+    path: req.path,
+    method: req.method,
+    userRole: req.user?.role || 'unauthenticated',
+    stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+  });
+
+  // Headers are gone once the stream has opened, just close it
+  if (res.headersSent) {
+    return res.end();
+  }
+
+  const statusCode = error.statusCode || 500;
+  const errorCode = error.code || ERROR_CODES.INTERNAL_ERROR;
+
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code: errorCode,
+      message: error.message || 'Internal server error',
+      details: error.details || (process.env.NODE_ENV === 'development' ? {
+        stack: error.stack
+      } : {})
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ============================================================================
+// ROUTE DOCUMENTATION AND METADATA
+// ============================================================================
+
+/**
+ * Route metadata for API documentation
+ */
+router.routeInfo = {
+  basePath: '/api/stream',
+  description: 'Real-time incident event stream',
+  version: '1.0.0',
+  routes: [
+    {
+      method: 'GET',
+      path: '/',
+      description: 'Open incident event stream (text/event-stream)',
+      access: 'Police, hospital staff, admin',
+      rateLimit: 'Standard API limits'
+    }
+  ]
+};
+
+module.exports = router;
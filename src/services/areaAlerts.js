@@ -0,0 +1,264 @@
+/**
+ * Area Alert Service
+ *
+ * Matches new and newly verified incidents against users' alert areas,
+ * records an alert for each subscriber and notifies them. Circular areas
+ * are found with $geoNear on the area centre, polygon areas with
+ * $geoIntersects on the boundary, so both use the 2dsphere indexes on
+ * AlertArea. The matcher listens to the incident event bus and is started
+ * with the server
+ */
+
+const AlertArea = require('../models/AlertArea');
+const AreaAlert = require('../models/AreaAlert');
+const Incident = require('../models/Incident');
+const { onIncidentEvent } = require('./incidentEvents');
+const { notifyUser } = require('./notifications');
+const { NOTIFICATION_EVENTS } = require('./notificationTemplates');
+const { toTitleCase } = require('../utils/helpers');
+const { AREA_ALERTS, STREAM_EVENTS } = require('../config/constants');
+const { NOTIFICATIONS_CONFIG } = require('../config/notifications');
+
+let unsubscribe = null;
+
+/**
+ * Get the alert trigger for an incident event
+ * @param {object} event - Incident event payload
+ * @returns {string|null} - 'created', 'verified' or null for other events
+ */
+const getAlertTrigger = (event) => {
+  if (event.type === STREAM_EVENTS.INCIDENT_CREATED) {
+    return 'created';
+  }
+  if (event.type === STREAM_EVENTS.INCIDENT_STATUS_CHANGED && event.newStatus === 'verified') {
+    return 'verified';
+  }
+  return null;
+};
+
+/**
+ * Build the filter for active areas that want an incident
+ * Areas alert on incidents at or above their minimum severity
+ * @param {object} incident - Incident with type and severity
+ * @param {string} trigger - Alert trigger
+ * @returns {object} - AlertArea filter
+ */
+const buildAreaFilter = (incident, trigger) => {
+  const severityIndex = AREA_ALERTS.SEVERITIES.indexOf(incident.severity);
+
+  return {
+    isActive: true,
+    triggers: trigger,
+    minSeverity: { $in: AREA_ALERTS.SEVERITIES.slice(0, severityIndex + 1) },
+    $or: [{ types: { $size: 0 } }, { types: incident.type }]
+  };
+};
+
+/**
+ * Find the alert areas containing an incident
+ * @param {object} incident - Incident with location, type and severity
+ * @param {string} trigger - Alert trigger
+ * @returns {Promise<Array>} - Matching areas (plain objects)
+ */
+const findMatchingAreas = async (incident, trigger) => {
+  const filter = buildAreaFilter(incident, trigger);
+  const point = { type: 'Point', coordinates: incident.location.coordinates };
+
+  const [circles, polygons] = await Promise.all([
+    AlertArea.aggregate([
+      {
+        $geoNear: {
+          near: point,
+          key: 'center',
+          distanceField: 'distance',
+          maxDistance: AREA_ALERTS.MAX_RADIUS_METERS,
+          spherical: true,
+          query: { ...filter, shape: 'circle' }
+        }
+      },
+      { $match: { $expr: { $lte: ['$distance', '$radiusMeters'] } } }
+    ]),
+    AlertArea.find({
+      ...filter,
+      shape: 'polygon',
+      boundary: { $geoIntersects: { $geometry: point } }
+    }).lean()
+  ]);
+
+  return circles.concat(polygons);
+};
+
+/**
+ * Group matching areas into one alert per subscriber
+ * Users are not alerted about incidents they reported themselves
+ * @param {Array} areas - Matching areas
+ * @param {object} incident - Incident with reportedBy
+ * @returns {Array<object>} - { userId, areas: [{ areaId, name }] }
+ */
+const groupAreasByUser = (areas, incident) => {
+  const reporterId = incident.reportedBy ? incident.reportedBy.toString() : null;
+  const recipients = new Map();
+
+  areas.forEach(area => {
+    const userId = area.userId.toString();
+    if (userId === reporterId) {
+      return;
+    }
+
+    if (!recipients.has(userId)) {
+      recipients.set(userId, { userId: area.userId, areas: [] });
+    }
+    recipients.get(userId).areas.push({ areaId: area._id, name: area.name });
+  });
+
+  return [...recipients.values()];
+};
+
+/**
+ * Summarise an incident for an alert
+ * @param {object} incident - Incident document or plain object
+ * @returns {object} - Incident summary
+ */
+const summariseIncident = (incident) => ({
+  title: incident.title,
+  type: incident.type,
+  severity: incident.severity,
+  status: incident.status,
+  location: {
+    latitude: incident.location.coordinates[1],
+    longitude: incident.location.coordinates[0]
+  },
+  address: incident.address?.formattedAddress || null
+});
+
+/**
+ * Build the notification data for an alert
+ * @param {object} alert - Alert with incidentId, trigger, areas and incident summary
+ * @returns {object} - Template data for NOTIFICATION_EVENTS.AREA_ALERT
+ */
+const buildAlertNotification = (alert) => ({
+  incidentId: String(alert.incidentId),
+  title: alert.incident.title,
+  type: alert.incident.type,
+  severity: alert.incident.severity,
+  severityLabel: toTitleCase(alert.incident.severity),
+  trigger: alert.trigger,
+  triggerLabel: alert.trigger === 'verified' ? 'verified' : 'reported',
+  areaNames: alert.areas.map(area => area.name).join(', '),
+  address: alert.incident.address ||
+    `${alert.incident.location.latitude}, ${alert.incident.location.longitude}`,
+  incidentUrl: `${NOTIFICATIONS_CONFIG.APP_URL}/incident/${alert.incidentId}`
+});
+
+/**
+ * Record alerts for every user with an area containing the incident
+ * and notify them. Alerts are idempotent per user, incident and trigger,
+ * so a repeated event never alerts twice
+ * @param {object} incident - Incident with location, type, severity and reportedBy
+ * @param {string} trigger - 'created' or 'verified'
+ * @returns {Promise<object>} - { delivered, alerts } with the new alerts
+ */
+const deliverAreaAlerts = async (incident, trigger) => {
+  if (!incident.location?.coordinates || incident.status === 'duplicate') {
+    return { delivered: 0, alerts: [] };
+  }
+
+  const recipients = groupAreasByUser(await findMatchingAreas(incident, trigger), incident);
+  if (recipients.length === 0) {
+    return { delivered: 0, alerts: [] };
+  }
+
+  const summary = summariseIncident(incident);
+  const alerts = recipients.map(({ userId, areas }) => ({
+    userId,
+    incidentId: incident._id,
+    trigger,
+    areas,
+    incident: summary
+  }));
+
+  const result = await AreaAlert.bulkWrite(alerts.map(alert => ({
+    updateOne: {
+      filter: { userId: alert.userId, incidentId: alert.incidentId, trigger },
+      update: { $setOnInsert: alert },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  const created = Object.entries(result.upsertedIds || {})
+    .map(([index, id]) => ({ _id: id, ...alerts[index] }));
+
+  if (created.length > 0) {
+    await AlertArea.updateMany(
+      { _id: { $in: created.flatMap(alert => alert.areas.map(area => area.areaId)) } },
+      { $inc: { alertCount: 1 }, $set: { lastAlertAt: new Date() } }
+    );
+
+    // Send each alert on the subscriber's notification channels
+    await Promise.all(created.map(alert =>
+      notifyUser(alert.userId, NOTIFICATION_EVENTS.AREA_ALERT, buildAlertNotification(alert))
+        .catch(error => console.error(`Area alert notification error for user ${alert.userId}:`, error))
+    ));
+  }
+
+  return { delivered: created.length, alerts: created };
+};
+
+/**
+ * Handle an incident event from the event bus
+ * Never throws: alert delivery must not affect incident handling
+ * @param {object} event - Incident event payload
+ * @returns {Promise<void>}
+ */
+const handleIncidentEvent = async (event) => {
+  const trigger = getAlertTrigger(event);
+  if (!trigger) {
+    return;
+  }
+
+  try {
+    const incident = await Incident.findById(event.incidentId)
+      .select('title type severity status location address reportedBy')
+      .lean();
+
+    if (incident) {
+      await deliverAreaAlerts(incident, trigger);
+    }
+  } catch (error) {
+    console.error('Area alert delivery error:', error);
+  }
+};
+
+/**
+ * Start matching incident events against alert areas
+ */
+const startAreaAlertMatcher = () => {
+  if (unsubscribe) {
+    return;
+  }
+
+  unsubscribe = onIncidentEvent(handleIncidentEvent);
+  console.log('🔔 Area alert matcher started');
+};
+
+/**
+ * Stop matching incident events against alert areas
+ */
+const stopAreaAlertMatcher = () => {
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+};
+
+module.exports = {
+  getAlertTrigger,
+  buildAreaFilter,
+  findMatchingAreas,
+  groupAreasByUser,
+  buildAlertNotification,
+  deliverAreaAlerts,
+  handleIncidentEvent,
+  startAreaAlertMatcher,
+  stopAreaAlertMatcher
+};
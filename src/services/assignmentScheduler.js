@@ -0,0 +1,145 @@
+/**
+ * Assignment Scheduler
+ *
+ * Periodically releases assignments that were not accepted within their
+ * timeout and hands the incident back to the dispatch engine, which
+ * reassigns it or escalates it to supervisors
+ */
+
+const Incident = require('../models/Incident');
+const DispatchPolicy = require('../models/DispatchPolicy');
+const { redispatchIncident } = require('./dispatch');
+const { ASSIGNMENT_TIMEOUTS } = require('../config/constants');
+
+let timer = null;
+let running = false;
+
+/**
+ * Get the acceptance timeout for an incident under a policy
+ * @param {object} policy - Effective dispatch policy
+ * @param {string} priority - Incident priority
+ * @returns {number} - Timeout in minutes
+ */
+const getAcceptTimeout = (policy, priority) => policy.acceptTimeoutMinutes ||
+  ASSIGNMENT_TIMEOUTS.ACCEPT_MINUTES[priority] ||
+  ASSIGNMENT_TIMEOUTS.ACCEPT_MINUTES.medium;
+
+/**
+ * Build the filter for incidents whose pending assignment is past its timeout
+ * Departments whose policy sets a timeout use it; the others use the
+ * per-priority defaults, so a batch only holds assignments that are due
+ * @param {Array<object>} policies - Stored dispatch policies
+ * @param {Date} now - Reference time
+ * @returns {object} - Incident filter
+ */
+const buildExpiredFilter = (policies, now) => {
+  const pendingSince = (minutes) => ({
+    $elemMatch: {
+      status: 'pending',
+      assignedAt: { $lte: new Date(now.getTime() - minutes * 60 * 1000) }
+    }
+  });
+  const overridden = policies.filter(policy => policy.acceptTimeoutMinutes);
+
+  return {
+    status: 'assigned',
+    currentAssignment: { $ne: null },
+    $or: [
+      ...overridden.map(policy => ({
+        department: policy.department,
+        assignments: pendingSince(policy.acceptTimeoutMinutes)
+      })),
+      ...Object.entries(ASSIGNMENT_TIMEOUTS.ACCEPT_MINUTES).map(([priority, minutes]) => ({
+        department: { $nin: overridden.map(policy => policy.department) },
+        priority,
+        assignments: pendingSince(minutes)
+      }))
+    ]
+  };
+};
+
+/**
+ * Release and redispatch every pending assignment past its timeout
+ * @param {Date} now - Reference time
+ * @returns {Promise<object>} - { checked, released, reassigned, escalated }
+ */
+const processExpiredAssignments = async (now = new Date()) => {
+  const stats = { checked: 0, released: 0, reassigned: 0, escalated: 0 };
+
+  // Oldest assignments first, so a backlog is worked through in order
+  const policies = await DispatchPolicy.find({}).lean();
+  const incidents = await Incident.find(buildExpiredFilter(policies, now))
+    .sort({ 'assignments.assignedAt': 1 })
+    .limit(ASSIGNMENT_TIMEOUTS.BATCH_SIZE);
+
+  for (const incident of incidents) {
+    stats.checked += 1;
+
+    const assignment = incident.getCurrentAssignment();
+    if (!assignment || assignment.status !== 'pending') {
+      continue;
+    }
+
+    const policy = await DispatchPolicy.resolve(incident.department);
+    const timeoutMinutes = getAcceptTimeout(policy, incident.priority);
+
+    if (now - assignment.assignedAt < timeoutMinutes * 60 * 1000) {
+      continue;
+    }
+
+    try {
+      const reason = `Assignment not accepted within ${timeoutMinutes} minutes`;
+      await incident.releaseAssignment(assignment, { timedOut: true, reason });
+      stats.released += 1;
+
+      const result = await redispatchIncident(incident, { reason });
+      stats[result.escalated ? 'escalated' : 'reassigned'] += 1;
+    } catch (error) {
+      console.error(`Assignment timeout error for incident ${incident._id}:`, error);
+    }
+  }
+
+  return stats;
+};
+
+/**
+ * Start the periodic timeout check
+ * Overlapping runs are skipped so a slow check never stacks up
+ * @param {number} intervalMs - Check interval
+ */
+const startAssignmentScheduler = (intervalMs = ASSIGNMENT_TIMEOUTS.CHECK_INTERVAL_MS) => {
+  if (timer) {
+    return;
+  }
+
+  timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await processExpiredAssignments();
+    } catch (error) {
+      console.error('Assignment scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  // Never keep the process alive just for the scheduler
+  timer.unref();
+};
+
+/**
+ * Stop the periodic timeout check
+ */
+const stopAssignmentScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  getAcceptTimeout,
+  processExpiredAssignments,
+  startAssignmentScheduler,
+  stopAssignmentScheduler
+};
@@ -3,11 +3,12 @@
  * 
  * Handles media upload, optimization, and management using Cloudinary
  * Provides secure image and video upload capabilities for incident reporting
+ * Used as a storage provider through src/services/mediaStorage.js
  */
 
 const cloudinary = require('cloudinary').v2;
-const multer = require('multer');
 const { Readable } = require('stream');
+const { upload, validateFile } = require('./mediaUpload');
 
 /**
  * Configure Cloudinary with environment variables
@@ -23,41 +24,6 @@ const configureCloudinary = () => {
   console.log('✅ Cloudinary configured successfully');
 };
 
-/**
- * Multer configuration for handling file uploads
- */
-const storage = multer.memoryStorage();
-
-const fileFilter = (req, file, cb) => {
-  // Allowed file types
-  const allowedTypes = [
-    'image/jpeg',
-    'image/jpg', 
-    'image/png',
-    'image/gif',
-    'image/webp',
-    'video/mp4',
-    'video/avi',
-    'video/mov',
-    'video/wmv'
-  ];
-  
-  if (allowedTypes.includes(file.mimetype)) {
-    cb(null, true);
-  } else {
-    cb(new Error(`File type ${file.mimetype} is not allowed. Only images and videos are permitted.`), false);
-  }
-};
-
-const upload = multer({
-  storage: storage,
-  fileFilter: fileFilter,
-  limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
-    files: 5 // Maximum 5 files per request
-  }
-});
-
 /**
  * Upload media file to Cloudinary
  * @param {Buffer} fileBuffer - File buffer from multer
@@ -96,12 +62,14 @@ const uploadMedia = async (fileBuffer, options = {}) => {
           } else {
             resolve({
               url: result.secure_url,
+              publicUrl: result.url,
               publicId: result.public_id,
               format: result.format,
               resourceType: result.resource_type,
               bytes: result.bytes,
               width: result.width,
               height: result.height,
+              duration: result.duration, // Videos only, in seconds
               createdAt: result.created_at
             });
           }
@@ -242,50 +210,6 @@ const generateSignedUploadUrl = (options = {}) => {
   }
 };
 
-/**
- * Validate file type and size
- * @param {Object} file - File object from multer
- * @returns {Object} Validation result
- */
-const validateFile = (file) => {
-  const errors = [];
-  
-  // Check file type
-  const allowedTypes = [
-    'image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp',
-    'video/mp4', 'video/avi', 'video/mov', 'video/wmv'
-  ];
-  
-  if (!allowedTypes.includes(file.mimetype)) {
-    errors.push(`File type ${file.mimetype} is not allowed`);
-  }
-  
-  // Check file size based on type
-  const { FILE_VALIDATION } = require('../config/cloudinary');
-  let maxSize = FILE_VALIDATION.MAX_FILE_SIZE; // Default 10MB
-  
-  // Use type-specific limits
-  if (FILE_VALIDATION.ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
-    maxSize = FILE_VALIDATION.MAX_IMAGE_SIZE; // 5MB for images
-  } else if (FILE_VALIDATION.ALLOWED_VIDEO_TYPES.includes(file.mimetype)) {
-    maxSize = FILE_VALIDATION.MAX_VIDEO_SIZE; // 10MB for videos
-  }
-  
-  if (file.size > maxSize) {
-    errors.push(`File size ${file.size} exceeds maximum allowed size of ${maxSize} bytes`);
-  }
-  
-  // Check if file has content
-  if (!file.buffer || file.buffer.length === 0) {
-    errors.push('File appears to be empty');
-  }
-  
-  return {
-    isValid: errors.length === 0,
-    errors
-  };
-};
-
 /**
  * Get media metadata from Cloudinary
  * @param {string} publicId - Cloudinary public ID
@@ -315,6 +239,44 @@ const getMediaMetadata = async (publicId) => {
   }
 };
 
+/**
+ * Get a signed delivery URL for existing media
+ * Uploaded assets are public, so Cloudinary URLs do not expire
+ * @param {string} publicId - Cloudinary public ID
+ * @param {Object} options - { resourceType }
+ * @returns {Object} { url, expiresAt }
+ */
+const getSignedUrl = (publicId, options = {}) => {
+  const { resourceType = 'image' } = options;
+  
+  return {
+    url: cloudinary.url(publicId, {
+      resource_type: resourceType,
+      sign_url: true,
+      secure: true
+    }),
+    expiresAt: null
+  };
+};
+
+/**
+ * Report whether Cloudinary credentials are configured
+ * @returns {Object} Health summary
+ */
+const getHealth = () => {
+  const configuration = {
+    cloudName: process.env.CLOUDINARY_CLOUD_NAME ? '✅ Configured' : '❌ Missing',
+    apiKey: process.env.CLOUDINARY_API_KEY ? '✅ Configured' : '❌ Missing',
+    apiSecret: process.env.CLOUDINARY_API_SECRET ? '✅ Configured' : '❌ Missing'
+  };
+  
+  return {
+    service: 'Cloudinary Media Service',
+    healthy: Object.values(configuration).every(status => status.includes('✅')),
+    configuration
+  };
+};
+
 // Initialize Cloudinary configuration
 configureCloudinary();
 
@@ -327,5 +289,7 @@ module.exports = {
   generateSignedUploadUrl,
   validateFile,
   getMediaMetadata,
+  getSignedUrl,
+  getHealth,
   configureCloudinary
 };
\ No newline at end of file
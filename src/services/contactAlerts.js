@@ -0,0 +1,233 @@
+/**
+ * Emergency Contact Alert Service
+ *
+ * Texts a user's emergency contacts when the user reports a medical
+ * emergency or accident, or is admitted to hospital as a patient, telling
+ * them the incident status and the hospital. Alerts are opt-in: nothing is
+ * sent until the user enables them, except test messages the user sends
+ * themselves. Each user's contacts get at most
+ * CONTACT_ALERTS.MAX_ALERTS_PER_WINDOW alerts per window and one per
+ * incident and trigger, and every alert, sent or held back, is recorded
+ * in ContactAlert. The reporting trigger listens to the incident event bus
+ * and is started with the server
+ */
+
+const User = require('../models/User');
+const Incident = require('../models/Incident');
+const ContactAlert = require('../models/ContactAlert');
+const { onIncidentEvent } = require('./incidentEvents');
+const { notifyEmergencyContacts, maskPhone, readSensitive } = require('./notifications');
+const { NOTIFICATION_EVENTS, renderTemplate } = require('./notificationTemplates');
+const { toTitleCase } = require('../utils/helpers');
+const { CONTACT_ALERTS, STREAM_EVENTS } = require('../config/constants');
+const { NOTIFICATION_CHANNELS, DELIVERY_STATUS } = require('../config/notifications');
+
+const HOSPITAL_NOT_KNOWN = 'not known yet';
+
+// Incident shown in previews
+const PREVIEW_INCIDENT = { type: 'medical_emergency', status: 'reported' };
+
+let unsubscribe = null;
+
+/**
+ * Turn an enum value such as 'medical_emergency' into 'Medical Emergency'
+ * @param {string} value - Enum value
+ * @returns {string} - Label
+ */
+const toLabel = (value) => toTitleCase(String(value || '').replace(/_/g, ' '));
+
+/**
+ * Build the template data for a contact alert
+ * @param {object} incident - Incident with type and status
+ * @param {string} trigger - CONTACT_ALERTS.TRIGGERS value
+ * @param {string} [hospital] - Hospital the user was taken to
+ * @returns {object} - Template data
+ */
+const buildContactAlertData = (incident, trigger, hospital) => ({
+  situation: trigger === 'patient_admitted' ? 'has been admitted to hospital' : 'reported an emergency',
+  typeLabel: toLabel(incident.type),
+  statusLabel: toLabel(incident.status).toLowerCase(),
+  hospital: hospital || HOSPITAL_NOT_KNOWN
+});
+
+/**
+ * Count the alerts that count towards a user's rate limit
+ * @param {string} userId - User id
+ * @param {boolean} isTest - Count test messages instead of incident alerts
+ * @returns {Promise<number>} - Alerts in the current window
+ */
+const countRecentAlerts = (userId, isTest) => ContactAlert.countDocuments({
+  userId,
+  trigger: isTest ? 'test' : { $ne: 'test' },
+  outcome: { $ne: 'rate_limited' },
+  createdAt: { $gte: new Date(Date.now() - CONTACT_ALERTS.RATE_WINDOW_HOURS * 60 * 60 * 1000) }
+});
+
+/**
+ * Alert a user's emergency contacts and record the alert
+ * Users who have not opted in are skipped (test messages excepted).
+ * Alerts over the rate limit are recorded as rate_limited and not sent
+ * @param {object} details - Alert details
+ * @param {string} details.userId - User whose contacts are alerted
+ * @param {string} details.trigger - CONTACT_ALERTS.TRIGGERS value
+ * @param {object} [details.incident] - Incident with _id, type and status
+ * @param {string} [details.hospital] - Hospital the user was taken to
+ * @param {string} [details.admissionId] - Admission that triggered the alert
+ * @param {string} [details.triggeredBy] - User who caused the alert
+ * @returns {Promise<object|null>} - ContactAlert, or null if nothing was due
+ */
+const sendContactAlert = async ({ userId, trigger, incident, hospital, admissionId, triggeredBy }) => {
+  const user = await User.findById(userId);
+  const isTest = trigger === 'test';
+
+  if (!user || !user.isActive || user.isBanned || (!isTest && !user.emergencyContactAlerts?.enabled)) {
+    return null;
+  }
+
+  const limit = isTest ? CONTACT_ALERTS.MAX_TESTS_PER_WINDOW : CONTACT_ALERTS.MAX_ALERTS_PER_WINDOW;
+  const rateLimited = await countRecentAlerts(user._id, isTest) >= limit;
+
+  let alert;
+  try {
+    alert = await ContactAlert.create({
+      userId: user._id,
+      trigger,
+      incidentId: incident?._id,
+      admissionId,
+      triggeredBy,
+      incident: incident ? { type: incident.type, status: incident.status, hospital } : undefined,
+      outcome: rateLimited ? 'rate_limited' : 'notified'
+    });
+  } catch (error) {
+    // Already alerted for this incident and trigger
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+
+  if (rateLimited) {
+    return alert;
+  }
+
+  const deliveries = isTest
+    ? await notifyEmergencyContacts(user, NOTIFICATION_EVENTS.EMERGENCY_CONTACT_TEST)
+    : await notifyEmergencyContacts(
+      user, NOTIFICATION_EVENTS.EMERGENCY_CONTACT_ALERT, buildContactAlertData(incident, trigger, hospital)
+    );
+
+  alert.contacts = deliveries.map(delivery => ({
+    contactId: delivery.contactId,
+    relation: user.emergencyContacts.find(contact => String(contact._id) === String(delivery.contactId))?.relation,
+    recipient: delivery.recipient,
+    deliveryId: delivery._id,
+    status: delivery.status
+  }));
+  alert.outcome = deliveries.some(delivery => delivery.status !== DELIVERY_STATUS.FAILED) ? 'notified' : 'failed';
+  await alert.save();
+
+  return alert;
+};
+
+/**
+ * Alert a patient's emergency contacts about their admission
+ * @param {object} admission - Admission with patient, hospital and admittedBy
+ * @param {object} incident - Originating incident
+ * @returns {Promise<object|null>} - ContactAlert, or null if nothing was due
+ */
+const alertContactsOfAdmission = (admission, incident) => sendContactAlert({
+  userId: admission.patient,
+  trigger: 'patient_admitted',
+  incident,
+  hospital: admission.hospital,
+  admissionId: admission._id,
+  triggeredBy: admission.admittedBy
+});
+
+/**
+ * Preview the messages a user's contacts would receive
+ * @param {object} user - User document
+ * @returns {object} - { contacts, alertMessage, testMessage } per contact
+ */
+const previewContactAlert = (user) => {
+  const name = readSensitive(user.fullName) || '';
+
+  const contacts = (user.emergencyContacts || []).map(contact => {
+    const contactName = readSensitive(contact.name) || '';
+    const phone = readSensitive(contact.phone);
+    const data = { name, contactName, ...buildContactAlertData(PREVIEW_INCIDENT, 'incident_reported') };
+
+    return {
+      id: contact._id,
+      name: contactName,
+      relation: contact.relation,
+      phone: phone ? maskPhone(phone) : null,
+      alertMessage: renderTemplate(NOTIFICATION_EVENTS.EMERGENCY_CONTACT_ALERT, NOTIFICATION_CHANNELS.SMS, data).text,
+      testMessage: renderTemplate(NOTIFICATION_EVENTS.EMERGENCY_CONTACT_TEST, NOTIFICATION_CHANNELS.SMS, data).text
+    };
+  });
+
+  return { contacts };
+};
+
+/**
+ * Alert contacts when a registered user reports a medical emergency or accident
+ * Never throws: failures are logged so the event bus is unaffected
+ * @param {object} event - Incident event payload
+ * @returns {Promise<void>}
+ */
+const handleIncidentEvent = async (event) => {
+  if (event.type !== STREAM_EVENTS.INCIDENT_CREATED ||
+      !CONTACT_ALERTS.INCIDENT_TYPES.includes(event.incident?.type)) {
+    return;
+  }
+
+  try {
+    const incident = await Incident.findById(event.incidentId)
+      .select('type status reportedBy reportedByModel')
+      .lean();
+
+    if (incident && incident.reportedByModel === 'User') {
+      await sendContactAlert({
+        userId: incident.reportedBy,
+        trigger: 'incident_reported',
+        incident,
+        triggeredBy: incident.reportedBy
+      });
+    }
+  } catch (error) {
+    console.error('Emergency contact alert error:', error);
+  }
+};
+
+/**
+ * Start alerting contacts about incidents users report
+ */
+const startContactAlerts = () => {
+  if (unsubscribe) {
+    return;
+  }
+
+  unsubscribe = onIncidentEvent(handleIncidentEvent);
+  console.log('📱 Emergency contact alerts started');
+};
+
+/**
+ * Stop alerting contacts about incidents users report
+ */
+const stopContactAlerts = () => {
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+};
+
+module.exports = {
+  buildContactAlertData,
+  sendContactAlert,
+  alertContactsOfAdmission,
+  previewContactAlert,
+  handleIncidentEvent,
+  startContactAlerts,
+  stopContactAlerts
+};
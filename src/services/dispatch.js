@@ -0,0 +1,247 @@
+/**
+ * Dispatch Service
+ *
+ * Finds on-duty responders for an incident by department, jurisdiction,
+ * distance (2dsphere index on User.currentLocation) and current workload,
+ * then assigns or suggests them according to the department's policy
+ */
+
+const Incident = require('../models/Incident');
+const User = require('../models/User');
+const DispatchPolicy = require('../models/DispatchPolicy');
+const { publishIncidentEvent } = require('./incidentEvents');
+const { decryptSensitiveData } = require('../utils/encryption');
+const {
+  USER_ROLES,
+  RESPONDER_DEPARTMENTS,
+  DUTY_STATUS,
+  DISPATCH,
+  DISPATCH_MODES,
+  ASSIGNMENT_TIMEOUTS,
+  STREAM_EVENTS
+} = require('../config/constants');
+
+/**
+ * Incident statuses that can still be dispatched
+ */
+const DISPATCHABLE_STATUSES = ['reported', 'verified'];
+
+/**
+ * Incident statuses counted towards a responder's workload
+ */
+const ACTIVE_ASSIGNMENT_STATUSES = ['assigned', 'in_progress'];
+
+/**
+ * Get the responder role that handles an incident department
+ * @param {string} department - Incident department
+ * @returns {string|null} - Responder role, or null when nobody is dispatchable
+ */
+const getResponderRole = (department) => Object.keys(RESPONDER_DEPARTMENTS)
+  .find(role => RESPONDER_DEPARTMENTS[role].includes(department)) || null;
+
+/**
+ * Get the search radius for an incident priority under a policy
+ * @param {object} policy - Effective dispatch policy
+ * @param {string} priority - Incident priority
+ * @returns {number} - Radius in meters
+ */
+const getSearchRadius = (policy, priority) => policy.searchRadiusMeters ||
+  DISPATCH.SEARCH_RADIUS_METERS[priority] ||
+  DISPATCH.SEARCH_RADIUS_METERS.medium;
+
+/**
+ * Decide what the engine should do for an incident under a policy
+ * Auto mode only assigns the priorities it is configured for; the rest are
+ * suggested so a dispatcher still sees ranked candidates
+ * @param {object} policy - Effective dispatch policy
+ * @param {object} incident - Incident with department and priority
+ * @returns {string} - 'auto', 'suggest' or 'manual'
+ */
+const resolveDispatchAction = (policy, incident) => {
+  if (policy.mode === DISPATCH_MODES.MANUAL || !getResponderRole(incident.department)) {
+    return DISPATCH_MODES.MANUAL;
+  }
+
+  if (policy.mode === DISPATCH_MODES.AUTO && policy.autoAssignPriorities.includes(incident.priority)) {
+    return DISPATCH_MODES.AUTO;
+  }
+
+  return DISPATCH_MODES.SUGGEST;
+};
+
+/**
+ * Count open incidents currently assigned to each responder
+ * @param {Array} responderIds - Responder ObjectIds
+ * @returns {Promise<Map>} - Responder id string to open incident count
+ */
+const countActiveAssignments = async (responderIds) => {
+  const counts = await Incident.aggregate([
+    {
+      $match: {
+        currentAssignment: { $in: responderIds },
+        status: { $in: ACTIVE_ASSIGNMENT_STATUSES }
+      }
+    },
+    { $group: { _id: '$currentAssignment', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+};
+
+/**
+ * Find and rank on-duty responders for an incident
+ * Candidates are ordered by distance, then by workload; responders at the
+ * policy's workload limit are skipped
+ * @param {object} incident - Incident document
+ * @param {object} policy - Effective dispatch policy
+ * @param {object} options - { excludeResponderIds }
+ * @returns {Promise<Array>} - Ranked candidates
+ */
+const findCandidates = async (incident, policy, options = {}) => {
+  const { excludeResponderIds = [] } = options;
+  const role = getResponderRole(incident.department);
+
+  if (!role) {
+    return [];
+  }
+
+  const query = {
+    role,
+    dutyStatus: DUTY_STATUS.ON_DUTY,
+    isActive: true,
+    isBanned: false
+  };
+
+  if (role === USER_ROLES.POLICE && incident.jurisdiction) {
+    query.jurisdiction = incident.jurisdiction;
+  }
+
+  const responders = await User.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: incident.location.coordinates },
+        key: 'currentLocation',
+        distanceField: 'distance',
+        maxDistance: getSearchRadius(policy, incident.priority),
+        spherical: true,
+        query
+      }
+    },
+    { $limit: DISPATCH.MAX_CANDIDATES * 4 },
+    {
+      $project: {
+        fullName: 1,
+        role: 1,
+        department: 1,
+        jurisdiction: 1,
+        badgeNumber: 1,
+        distance: 1
+      }
+    }
+  ]);
+
+  const excluded = new Set(excludeResponderIds.map(id => id.toString()));
+
+  // Officers in a named unit (e.g. traffic) only take that unit's incidents,
+  // matching the stream and police dashboard scoping
+  const eligible = responders.filter(responder => {
+    const ownDepartment = responder.department ? responder.department.toLowerCase() : null;
+    const inOtherUnit = RESPONDER_DEPARTMENTS[role].includes(ownDepartment) &&
+      ownDepartment !== incident.department;
+    return !excluded.has(responder._id.toString()) && !inOtherUnit;
+  });
+
+  const workload = await countActiveAssignments(eligible.map(responder => responder._id));
+
+  return eligible
+    .map(responder => ({
+      responder: {
+        id: responder._id,
+        fullName: decryptSensitiveData(responder.fullName),
+        role: responder.role,
+        department: responder.department,
+        jurisdiction: responder.jurisdiction || null,
+        badgeNumber: responder.badgeNumber || null
+      },
+      distanceMeters: Math.round(responder.distance),
+      activeAssignments: workload.get(responder._id.toString()) || 0
+    }))
+    .filter(candidate => candidate.activeAssignments < policy.maxActiveAssignments)
+    .sort((a, b) => a.distanceMeters - b.distanceMeters || a.activeAssignments - b.activeAssignments)
+    .slice(0, DISPATCH.MAX_CANDIDATES);
+};
+
+/**
+ * Run the dispatch engine for an incident
+ * @param {object} incident - Incident document
+ * @param {object} options - { excludeResponderIds }
+ * @returns {Promise<object>} - { mode, action, candidates, assignment }
+ *   where assignment is the auto-created assignment (or null)
+ */
+const dispatchIncident = async (incident, options = {}) => {
+  const policy = await DispatchPolicy.resolve(incident.department);
+  const action = resolveDispatchAction(policy, incident);
+  const result = { mode: policy.mode, action, candidates: [], assignment: null };
+
+  const dispatchable = DISPATCHABLE_STATUSES.includes(incident.status) && !incident.currentAssignment;
+
+  if (action === DISPATCH_MODES.MANUAL || !dispatchable) {
+    return result;
+  }
+
+  result.candidates = await findCandidates(incident, policy, options);
+
+  if (action === DISPATCH_MODES.AUTO && result.candidates.length > 0) {
+    const [best] = result.candidates;
+
+    await incident.assignTo(best.responder.id, null, incident.priority, 'Auto-dispatched to nearest available responder', {
+      source: 'auto',
+      distanceMeters: best.distanceMeters
+    });
+
+    result.assignment = incident.assignments[incident.assignments.length - 1];
+  }
+
+  return result;
+};
+
+/**
+ * Dispatch an incident again after its responder declined or timed out
+ * Responders who already released the incident are excluded; when nobody
+ * is assigned the incident is escalated to supervisors on the stream
+ * @param {object} incident - Incident document with its assignment released
+ * @param {object} options - { reason }
+ * @returns {Promise<object>} - dispatchIncident result plus `escalated`
+ */
+const redispatchIncident = async (incident, options = {}) => {
+  const released = incident.assignments.filter(a => a.declinedAt || a.timedOutAt);
+  let result = { mode: null, action: null, candidates: [], assignment: null };
+
+  if (released.length < ASSIGNMENT_TIMEOUTS.MAX_REASSIGNMENTS) {
+    result = await dispatchIncident(incident, {
+      excludeResponderIds: released.map(a => a.assignedTo)
+    });
+  }
+
+  const escalated = !result.assignment;
+
+  if (escalated) {
+    publishIncidentEvent(STREAM_EVENTS.INCIDENT_ASSIGNMENT_UPDATED, incident, {
+      action: 'escalated',
+      reason: options.reason || null,
+      releasedAssignments: released.length,
+      candidateCount: result.candidates.length
+    });
+  }
+
+  return { ...result, escalated };
+};
+
+module.exports = {
+  getResponderRole,
+  getSearchRadius,
+  resolveDispatchAction,
+  findCandidates,
+  dispatchIncident,
+  redispatchIncident
+};
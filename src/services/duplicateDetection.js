@@ -0,0 +1,168 @@
+/**
+ * Duplicate Detection Service
+ *
+ * Scores existing incidents against a new report using proximity
+ * (2dsphere index), time window, type match and text similarity of
+ * title and description
+ */
+
+const Incident = require('../models/Incident');
+const { DUPLICATE_DETECTION } = require('../config/constants');
+
+/**
+ * Statuses of incidents a new report may duplicate
+ */
+const OPEN_STATUSES = ['reported', 'verified', 'assigned', 'in_progress'];
+
+/**
+ * Words too common in incident reports to signal similarity
+ */
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'near', 'from', 'this', 'that', 'there', 'have',
+  'has', 'was', 'were', 'are', 'been', 'into', 'onto', 'at', 'on', 'in', 'of',
+  'to', 'a', 'an', 'is', 'it', 'by', 'some', 'very', 'just', 'please', 'help'
+]);
+
+/**
+ * Split text into a set of meaningful lowercase tokens
+ * @param {string} text - Free text
+ * @returns {Set<string>} - Token set
+ */
+const tokenize = (text = '') => new Set(
+  text
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token.length > 2 && !STOP_WORDS.has(token))
+);
+
+/**
+ * Jaccard similarity between the title and description of two reports
+ * @param {object} a - Report with title/description
+ * @param {object} b - Report with title/description
+ * @returns {number} - Similarity between 0 and 1
+ */
+const textSimilarity = (a, b) => {
+  const tokensA = tokenize(`${a.title || ''} ${a.description || ''}`);
+  const tokensB = tokenize(`${b.title || ''} ${b.description || ''}`);
+
+  if (tokensA.size === 0 || tokensB.size === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  tokensA.forEach(token => {
+    if (tokensB.has(token)) shared += 1;
+  });
+
+  return shared / (tokensA.size + tokensB.size - shared);
+};
+
+/**
+ * Score a candidate incident against a new report
+ * @param {object} report - New report (title, description, type, incidentTime)
+ * @param {object} candidate - Candidate incident with `distance` in meters
+ * @returns {object} - { score, breakdown }
+ */
+const scoreCandidate = (report, candidate) => {
+  const { RADIUS_METERS, TIME_WINDOW_MINUTES, WEIGHTS } = DUPLICATE_DETECTION;
+  const windowMs = TIME_WINDOW_MINUTES * 60 * 1000;
+  const reportTime = new Date(report.incidentTime || Date.now()).getTime();
+  const candidateTime = new Date(candidate.incidentTime || candidate.reportedAt).getTime();
+
+  const breakdown = {
+    distance: Math.max(0, 1 - candidate.distance / RADIUS_METERS),
+    time: Math.max(0, 1 - Math.abs(reportTime - candidateTime) / windowMs),
+    type: candidate.type === report.type ? 1 : 0,
+    text: textSimilarity(report, candidate)
+  };
+
+  const score = Object.keys(WEIGHTS)
+    .reduce((total, factor) => total + WEIGHTS[factor] * breakdown[factor], 0);
+
+  return {
+    score: Math.round(score * 100) / 100,
+    breakdown: Object.fromEntries(
+      Object.entries(breakdown).map(([factor, value]) => [factor, Math.round(value * 100) / 100])
+    )
+  };
+};
+
+/**
+ * Find open incidents within the search radius and time window of a report
+ * @param {object} report - New report with GeoJSON location and incidentTime
+ * @returns {Promise<Array>} - Plain incident objects with `distance` in meters
+ */
+const findCandidates = async (report) => {
+  const { RADIUS_METERS, TIME_WINDOW_MINUTES, MAX_CANDIDATES } = DUPLICATE_DETECTION;
+  const windowMs = TIME_WINDOW_MINUTES * 60 * 1000;
+  const reportTime = new Date(report.incidentTime || Date.now()).getTime();
+
+  return await Incident.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: report.location.coordinates },
+        key: 'location',
+        distanceField: 'distance',
+        maxDistance: RADIUS_METERS,
+        spherical: true,
+        query: {
+          status: { $in: OPEN_STATUSES },
+          duplicateOf: null,
+          incidentTime: {
+            $gte: new Date(reportTime - windowMs),
+            $lte: new Date(reportTime + windowMs)
+          }
+        }
+      }
+    },
+    { $limit: MAX_CANDIDATES },
+    {
+      $project: {
+        title: 1,
+        description: 1,
+        type: 1,
+        severity: 1,
+        priority: 1,
+        status: 1,
+        location: 1,
+        upvoteCount: 1,
+        incidentTime: 1,
+        reportedAt: 1,
+        distance: 1
+      }
+    }
+  ]);
+};
+
+/**
+ * Detect duplicates of a new report
+ * @param {object} report - New report (location, type, title, description, incidentTime)
+ * @returns {Promise<object>} - { match, suggestions } where match is the
+ *   confident duplicate (or null) and suggestions are weaker candidates
+ */
+const detectDuplicates = async (report) => {
+  const { MERGE_THRESHOLD, SUGGEST_THRESHOLD, MAX_SUGGESTIONS } = DUPLICATE_DETECTION;
+  const candidates = await findCandidates(report);
+
+  const scored = candidates
+    .map(candidate => ({ incident: candidate, ...scoreCandidate(report, candidate) }))
+    .filter(result => result.score >= SUGGEST_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+
+  // Only merge automatically when the type matches as well
+  const best = scored[0];
+  const match = best && best.score >= MERGE_THRESHOLD && best.breakdown.type === 1 ? best : null;
+
+  return {
+    match,
+    suggestions: scored.filter(result => result !== match).slice(0, MAX_SUGGESTIONS)
+  };
+};
+
+module.exports = {
+  tokenize,
+  textSimilarity,
+  scoreCandidate,
+  detectDuplicates
+};
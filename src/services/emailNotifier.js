@@ -0,0 +1,87 @@
+/**
+ * Email Notifier
+ *
+ * Notification channel that sends plain-text email over SMTP
+ * (NOTIFICATIONS_CONFIG.EMAIL). The SMTP connection is created on first use.
+ * Permanent SMTP rejections (5xx replies such as an unknown mailbox) are
+ * not retried
+ */
+
+const nodemailer = require('nodemailer');
+const { NOTIFICATIONS_CONFIG, NOTIFICATION_ERROR_CODES } = require('../config/notifications');
+
+let transporter = null;
+
+/**
+ * Get the SMTP transporter
+ * @returns {Object} Nodemailer transporter
+ */
+const getTransporter = () => {
+  const { SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS } = NOTIFICATIONS_CONFIG.EMAIL;
+
+  if (!SMTP_HOST) {
+    const error = new Error('SMTP_HOST is not configured');
+    error.code = NOTIFICATION_ERROR_CODES.CHANNEL_NOT_CONFIGURED;
+    error.permanent = true;
+    throw error;
+  }
+
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+      connectionTimeout: NOTIFICATIONS_CONFIG.REQUEST_TIMEOUT_MS
+    });
+  }
+
+  return transporter;
+};
+
+/**
+ * Send an email
+ * @param {Object} delivery - { to, message: { subject, text } }
+ * @returns {Promise<Object>} { messageId }
+ */
+const send = async ({ to, message }) => {
+  try {
+    const info = await getTransporter().sendMail({
+      from: NOTIFICATIONS_CONFIG.EMAIL.FROM,
+      to,
+      subject: message.subject,
+      text: message.text
+    });
+
+    return { messageId: info.messageId };
+  } catch (error) {
+    if (error.responseCode >= 500) {
+      error.permanent = true;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Report email channel health
+ * @returns {Promise<Object>} { service, healthy, configuration }
+ */
+const getHealth = async () => {
+  const { SMTP_HOST, SMTP_PORT, SMTP_SECURE, FROM } = NOTIFICATIONS_CONFIG.EMAIL;
+
+  return {
+    service: 'SMTP Email',
+    healthy: Boolean(SMTP_HOST),
+    configuration: {
+      host: SMTP_HOST || null,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      from: FROM
+    }
+  };
+};
+
+module.exports = {
+  send,
+  getHealth
+};
@@ -0,0 +1,64 @@
+/**
+ * Email Verification Service
+ *
+ * Emails new users a single-use link to confirm their address. Only a hash
+ * of the token is stored, links expire after EMAIL_VERIFICATION.EXPIRES_HOURS
+ * and a new link replaces the previous one. Users can ask for another link
+ * once every EMAIL_VERIFICATION.RESEND_COOLDOWN_MINUTES
+ */
+
+const { notifyUser } = require('./notifications');
+const { NOTIFICATION_EVENTS } = require('./notificationTemplates');
+const { NOTIFICATIONS_CONFIG } = require('../config/notifications');
+const { EMAIL_VERIFICATION } = require('../config/constants');
+
+/**
+ * Seconds until a user may request another verification email
+ * @param {Object} user - User document
+ * @returns {number} Seconds remaining (0 if a new email may be sent)
+ */
+const getResendCooldownSeconds = (user) => {
+  if (!user.emailVerificationSentAt) {
+    return 0;
+  }
+
+  const availableAt = user.emailVerificationSentAt.getTime() + EMAIL_VERIFICATION.RESEND_COOLDOWN_MINUTES * 60 * 1000;
+  return Math.max(0, Math.ceil((availableAt - Date.now()) / 1000));
+};
+
+/**
+ * Create a verification token for the user and build the link's template data
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { verifyUrl, expiresInHours }
+ */
+const issueVerificationLink = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+
+  return {
+    verifyUrl: `${NOTIFICATIONS_CONFIG.APP_URL}/verify-email?token=${encodeURIComponent(verificationToken)}`,
+    expiresInHours: EMAIL_VERIFICATION.EXPIRES_HOURS
+  };
+};
+
+/**
+ * Replace the verification link of a delivery being retried
+ * @param {Object} user - User document
+ * @returns {Promise<Object|null>} Template data, or null if the user is already verified
+ */
+const reissueVerificationLink = async (user) => (user.isVerified ? null : issueVerificationLink(user));
+
+/**
+ * Create a verification token for the user and email the link
+ * Delivery failures are retried by the notification worker with a new link
+ * @param {Object} user - User document
+ * @returns {Promise<Array>} Deliveries created for the email
+ */
+const sendVerificationEmail = async (user) =>
+  notifyUser(user, NOTIFICATION_EVENTS.EMAIL_VERIFICATION, await issueVerificationLink(user));
+
+module.exports = {
+  getResendCooldownSeconds,
+  reissueVerificationLink,
+  sendVerificationEmail
+};
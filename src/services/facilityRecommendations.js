@@ -0,0 +1,203 @@
+/**
+ * Facility Recommendation Service
+ *
+ * Ranks the nearest hospitals (2dsphere index on Facility.location) that
+ * can take a patient from an incident: the hospital must offer the
+ * specialties the incident needs, must not be diverting those patients and
+ * must have free beds in the wards the patient needs
+ */
+
+const Facility = require('../models/Facility');
+const { FACILITIES } = require('../config/constants');
+
+/**
+ * Work out the specialties an incident needs from its type, subtype and tags
+ * @param {object} incident - Incident with type, subtype and tags
+ * @returns {Array<string>} - Required specialties
+ */
+const getRequiredSpecialties = (incident) => {
+  const specialties = new Set(FACILITIES.TYPE_SPECIALTIES[incident.type] || []);
+  const text = [incident.subtype, ...(incident.tags || [])]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+
+  Object.entries(FACILITIES.SPECIALTY_KEYWORDS).forEach(([specialty, keywords]) => {
+    if (keywords.some(keyword => text.includes(keyword))) {
+      specialties.add(specialty);
+    }
+  });
+
+  return [...specialties];
+};
+
+/**
+ * Get the wards a patient from an incident needs a free bed in
+ * @param {object} incident - Incident with severity
+ * @returns {Array<string>} - Ward names
+ */
+const getRequiredWards = (incident) => (incident.severity === 'critical'
+  ? [FACILITIES.INTAKE_WARD, FACILITIES.CRITICAL_WARD]
+  : [FACILITIES.INTAKE_WARD]);
+
+/**
+ * Check whether a facility is diverting patients needing any of the
+ * specialties. Diversions past their end time no longer apply
+ * @param {object} facility - Facility with diversion
+ * @param {Array<string>} specialties - Required specialties
+ * @param {Date} [now] - Reference time
+ * @returns {boolean}
+ */
+const isDiverting = (facility, specialties, now = new Date()) => {
+  const diversion = facility.diversion;
+
+  if (!diversion || diversion.status !== 'diverting') {
+    return false;
+  }
+  if (diversion.until && new Date(diversion.until) <= now) {
+    return false;
+  }
+
+  const diverted = diversion.specialties || [];
+  return diverted.length === 0 || specialties.some(specialty => diverted.includes(specialty));
+};
+
+/**
+ * Decide whether a facility can take a patient
+ * @param {object} facility - Facility document or plain object
+ * @param {object} requirements - { specialties, wards }
+ * @param {Date} [now] - Reference time
+ * @returns {object} - { eligible, reasons } where reasons are codes such
+ *   as 'diverting', 'missing_specialty:burns' or 'no_beds:icu'
+ */
+const evaluateFacility = (facility, { specialties, wards }, now = new Date()) => {
+  const reasons = [];
+
+  if (isDiverting(facility, specialties, now)) {
+    reasons.push('diverting');
+  }
+
+  specialties
+    .filter(specialty => !(facility.specialties || []).includes(specialty))
+    .forEach(specialty => reasons.push(`missing_specialty:${specialty}`));
+
+  wards.forEach(wardName => {
+    const ward = (facility.wards || []).find(entry => entry.ward === wardName);
+    if (!ward || ward.availableBeds < 1) {
+      reasons.push(`no_beds:${wardName}`);
+    }
+  });
+
+  return { eligible: reasons.length === 0, reasons };
+};
+
+/**
+ * Get free beds per ward
+ * @param {object} facility - Facility with wards
+ * @returns {object} - Ward name to { available, total }
+ */
+const summariseBeds = (facility) => Object.fromEntries((facility.wards || [])
+  .map(ward => [ward.ward, { available: ward.availableBeds, total: ward.totalBeds }]));
+
+/**
+ * Format a ranked facility for API responses
+ * @param {object} facility - Facility with distance (meters)
+ * @param {Array<string>} reasons - Evaluation reasons
+ * @param {Date} now - Reference time
+ * @returns {object} - Facility summary
+ */
+const formatCandidate = (facility, reasons, now) => {
+  const staleBefore = now.getTime() - FACILITIES.CAPACITY_STALE_MINUTES * 60 * 1000;
+
+  return {
+    facility: {
+      id: facility._id,
+      name: facility.name,
+      code: facility.code,
+      phone: facility.phone || null,
+      location: {
+        latitude: facility.location.coordinates[1],
+        longitude: facility.location.coordinates[0]
+      },
+      specialties: facility.specialties || []
+    },
+    distanceMeters: Math.round(facility.distance),
+    beds: summariseBeds(facility),
+    capacityUpdatedAt: facility.capacityUpdatedAt || null,
+    capacityStale: !facility.capacityUpdatedAt || new Date(facility.capacityUpdatedAt).getTime() < staleBefore,
+    ...(reasons.length > 0 ? { reasons } : {})
+  };
+};
+
+/**
+ * Rank facilities for a patient
+ * Facilities that can take the patient are ordered by distance, then by
+ * free intake beds; the nearest ones that cannot are listed with reasons
+ * @param {Array} facilities - Facilities with distance (meters)
+ * @param {object} requirements - { specialties, wards }
+ * @param {object} [options] - { limit, now }
+ * @returns {object} - { recommendations, excluded }
+ */
+const rankFacilities = (facilities, requirements, options = {}) => {
+  const { limit = FACILITIES.DEFAULT_RECOMMENDATIONS, now = new Date() } = options;
+  const intakeBeds = (facility) => summariseBeds(facility)[FACILITIES.INTAKE_WARD]?.available || 0;
+
+  const evaluated = facilities.map(facility => ({
+    facility,
+    ...evaluateFacility(facility, requirements, now)
+  }));
+
+  const recommendations = evaluated
+    .filter(entry => entry.eligible)
+    .sort((a, b) => a.facility.distance - b.facility.distance || intakeBeds(b.facility) - intakeBeds(a.facility))
+    .slice(0, limit)
+    .map((entry, index) => ({ rank: index + 1, ...formatCandidate(entry.facility, [], now) }));
+
+  const excluded = evaluated
+    .filter(entry => !entry.eligible)
+    .sort((a, b) => a.facility.distance - b.facility.distance)
+    .slice(0, limit)
+    .map(entry => formatCandidate(entry.facility, entry.reasons, now));
+
+  return { recommendations, excluded };
+};
+
+/**
+ * Recommend hospitals for a patient from an incident
+ * @param {object} incident - Incident document
+ * @param {object} [options] - { specialties, limit } where specialties
+ *   replaces the specialties worked out from the incident
+ * @returns {Promise<object>} - { requirements, recommendations, excluded }
+ */
+const recommendFacilities = async (incident, options = {}) => {
+  const { specialties = getRequiredSpecialties(incident), limit } = options;
+  const requirements = { specialties, wards: getRequiredWards(incident) };
+
+  const facilities = await Facility.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: incident.location.coordinates },
+        key: 'location',
+        distanceField: 'distance',
+        maxDistance: FACILITIES.SEARCH_RADIUS_METERS,
+        spherical: true,
+        query: { isActive: true }
+      }
+    },
+    { $limit: FACILITIES.MAX_RECOMMENDATIONS * 5 }
+  ]);
+
+  return {
+    requirements,
+    ...rankFacilities(facilities, requirements, { limit })
+  };
+};
+
+module.exports = {
+  getRequiredSpecialties,
+  getRequiredWards,
+  isDiverting,
+  evaluateFacility,
+  rankFacilities,
+  recommendFacilities
+};
@@ -0,0 +1,311 @@
+/**
+ * Gazetteer Geocoder
+ *
+ * Offline geocoding provider backed by a city/locality dataset with
+ * pincodes (MAPS_CONFIG.GAZETTEER.DATA_FILE, JSON or CSV). Addresses are
+ * matched on place names, aliases and 6-digit pincodes; reverse lookups
+ * return the nearest locality, or the nearest city further out. Precision
+ * is limited to the locality, so results suit jurisdiction and area
+ * lookups rather than turn-by-turn navigation.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MAPS_CONFIG, GEOCODING_PROVIDERS } = require('../config/maps');
+const { calculateDistance, toSlug } = require('../utils/helpers');
+
+const PLACE_TYPES = ['locality', 'city'];
+
+// Match scores: a pincode outweighs a name, a locality outweighs a city
+const SCORES = {
+  PINCODE: 20,
+  LOCALITY_NAME: 10,
+  CITY_NAME: 5,
+  CITY_CONTEXT: 3
+};
+
+let gazetteer = null;
+
+/**
+ * Normalize text for matching: lower case, punctuation to spaces
+ * @param {string} text - Text to normalize
+ * @returns {string} - Normalized text
+ */
+const normalizeText = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Parse one CSV line, honouring double-quoted fields
+ * @param {string} line - CSV line
+ * @returns {Array<string>} - Field values
+ */
+const parseCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+
+  return fields.map(value => value.trim());
+};
+
+/**
+ * Parse a CSV gazetteer with a header row. Aliases are separated by "|"
+ * @param {string} content - CSV content
+ * @returns {Array<Object>} - Raw entries
+ */
+const parseCsv = (content) => {
+  const [header, ...lines] = content.split(/\r?\n/).filter(line => line.trim());
+  const columns = parseCsvLine(header || '');
+
+  return lines.map(line => {
+    const values = parseCsvLine(line);
+    const entry = Object.fromEntries(columns.map((column, index) => [column, values[index]]));
+    return {
+      ...entry,
+      aliases: entry.aliases ? entry.aliases.split('|') : []
+    };
+  });
+};
+
+/**
+ * Read a coordinate, treating missing values as invalid
+ * Empty CSV fields would otherwise read as 0
+ * @param {*} value - Raw value
+ * @returns {number} - Coordinate, or NaN
+ */
+const toCoordinate = (value) => (value === '' || value === null || value === undefined ? NaN : Number(value));
+
+/**
+ * Validate and index raw gazetteer entries. Invalid entries are skipped
+ * @param {Array<Object>} rawEntries - Entries from the dataset
+ * @returns {Array<Object>} - Entries with coordinates and normalized names
+ */
+const buildEntries = (rawEntries) => rawEntries.reduce((entries, raw, index) => {
+  const latitude = toCoordinate(raw.latitude);
+  const longitude = toCoordinate(raw.longitude);
+  const type = PLACE_TYPES.includes(raw.type) ? raw.type : 'locality';
+
+  if (!raw.name || !Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+      Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    console.warn(`Gazetteer entry ${index} skipped: name, latitude and longitude are required`);
+    return entries;
+  }
+
+  const names = [raw.name, ...(raw.aliases || [])].map(normalizeText).filter(Boolean);
+
+  entries.push({
+    name: raw.name,
+    type,
+    pincode: raw.pincode ? String(raw.pincode) : null,
+    city: raw.city || (type === 'city' ? raw.name : null),
+    district: raw.district || null,
+    state: raw.state || null,
+    country: raw.country || null,
+    latitude,
+    longitude,
+    names: [...new Set(names)]
+  });
+
+  return entries;
+}, []);
+
+/**
+ * Load the gazetteer dataset. The file is read once and kept in memory
+ * @param {string} [dataFile] - JSON or CSV file (defaults to the configured file)
+ * @param {Object} [options] - { reload } to read the file again
+ * @returns {Array<Object>} - Gazetteer entries
+ */
+const loadGazetteer = (dataFile = MAPS_CONFIG.GAZETTEER.DATA_FILE, options = {}) => {
+  if (gazetteer && gazetteer.file === dataFile && !options.reload) {
+    return gazetteer.entries;
+  }
+
+  const content = fs.readFileSync(dataFile, 'utf8');
+  const rawEntries = path.extname(dataFile).toLowerCase() === '.csv'
+    ? parseCsv(content)
+    : JSON.parse(content);
+
+  if (!Array.isArray(rawEntries)) {
+    throw new Error(`Gazetteer file ${dataFile} must contain an array of places`);
+  }
+
+  gazetteer = { file: dataFile, entries: buildEntries(rawEntries) };
+  return gazetteer.entries;
+};
+
+/**
+ * Use an in-memory dataset instead of the configured file
+ * @param {Array<Object>} rawEntries - Gazetteer entries
+ * @returns {Array<Object>} - Indexed entries
+ */
+const setGazetteer = (rawEntries) => {
+  gazetteer = { file: MAPS_CONFIG.GAZETTEER.DATA_FILE, entries: buildEntries(rawEntries) };
+  return gazetteer.entries;
+};
+
+/**
+ * Format a gazetteer entry as a normalized geocoding result
+ * @param {Object} entry - Gazetteer entry
+ * @param {string} precision - 'locality', 'city' or 'pincode'
+ * @returns {Object} - Geocoding result
+ */
+const formatEntry = (entry, precision) => {
+  const locality = entry.type === 'locality' ? entry.name : null;
+  const region = [entry.state, entry.pincode].filter(Boolean).join(' ');
+
+  return {
+    coordinates: { lat: entry.latitude, lng: entry.longitude },
+    formattedAddress: [locality, entry.city, region, entry.country].filter(Boolean).join(', '),
+    components: {
+      locality,
+      city: entry.city,
+      district: entry.district,
+      state: entry.state,
+      pincode: entry.pincode,
+      country: entry.country
+    },
+    placeId: `gazetteer:${toSlug([entry.name, entry.pincode].filter(Boolean).join(' '))}`,
+    precision,
+    provider: GEOCODING_PROVIDERS.GAZETTEER
+  };
+};
+
+/**
+ * Geocode an address against the gazetteer
+ * @param {string} address - Free-text address
+ * @param {Object} [options] - { entries } to match against a given dataset
+ * @returns {Promise<Object|null>} - Geocoding result, or null if no place matches
+ */
+const geocode = async (address, options = {}) => {
+  const entries = options.entries || loadGazetteer();
+  const text = ` ${normalizeText(address)} `;
+  const pincode = (String(address).match(/\b\d{6}\b/) || [])[0] || null;
+
+  const matchedName = (entry) => entry.names
+    .filter(name => text.includes(` ${name} `))
+    .sort((a, b) => b.length - a.length)[0];
+
+  let best = null;
+  entries.forEach(entry => {
+    const name = matchedName(entry);
+    const pincodeMatch = Boolean(pincode && entry.pincode === pincode);
+
+    if (!name && !pincodeMatch) {
+      return;
+    }
+
+    let score = 0;
+    if (pincodeMatch) {
+      score += SCORES.PINCODE;
+    }
+    if (name) {
+      score += entry.type === 'locality' ? SCORES.LOCALITY_NAME : SCORES.CITY_NAME;
+    }
+    if (entry.type === 'locality' && entry.city && text.includes(` ${normalizeText(entry.city)} `)) {
+      score += SCORES.CITY_CONTEXT;
+    }
+
+    const candidate = { entry, score, nameLength: name ? name.length : 0, name };
+    if (!best || candidate.score > best.score ||
+        (candidate.score === best.score && candidate.nameLength > best.nameLength)) {
+      best = candidate;
+    }
+  });
+
+  if (!best) {
+    return null;
+  }
+
+  const precision = best.name ? best.entry.type : 'pincode';
+  return formatEntry(best.entry, precision);
+};
+
+/**
+ * Reverse geocode coordinates to the nearest gazetteer place
+ * A locality is reported within LOCALITY_RADIUS_METERS, otherwise the
+ * nearest city within MAX_REVERSE_DISTANCE_METERS
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Object} [options] - { entries } to search a given dataset
+ * @returns {Promise<Object|null>} - Geocoding result with distanceMeters, or null
+ */
+const reverse = async (lat, lng, options = {}) => {
+  const entries = options.entries || loadGazetteer();
+  const { LOCALITY_RADIUS_METERS, MAX_REVERSE_DISTANCE_METERS } = MAPS_CONFIG.GAZETTEER;
+
+  const nearest = (type) => entries
+    .filter(entry => entry.type === type)
+    .map(entry => ({ entry, distance: calculateDistance(lat, lng, entry.latitude, entry.longitude) }))
+    .sort((a, b) => a.distance - b.distance)[0];
+
+  const locality = nearest('locality');
+  const city = nearest('city');
+
+  const match = locality && locality.distance <= LOCALITY_RADIUS_METERS
+    ? locality
+    : city && city.distance <= MAX_REVERSE_DISTANCE_METERS ? city : null;
+
+  if (!match) {
+    return null;
+  }
+
+  return {
+    ...formatEntry(match.entry, match.entry.type),
+    distanceMeters: Math.round(match.distance)
+  };
+};
+
+/**
+ * Report gazetteer health
+ * @returns {Promise<Object>} - { service, healthy, configuration }
+ */
+const getHealth = async () => {
+  const configuration = {
+    dataFile: MAPS_CONFIG.GAZETTEER.DATA_FILE,
+    places: 0
+  };
+
+  try {
+    configuration.places = loadGazetteer().length;
+  } catch (error) {
+    console.error('Gazetteer health check error:', error.message);
+  }
+
+  return {
+    service: 'Gazetteer Geocoder',
+    healthy: configuration.places > 0,
+    configuration
+  };
+};
+
+module.exports = {
+  normalizeText,
+  loadGazetteer,
+  setGazetteer,
+  geocode,
+  reverse,
+  getHealth
+};
@@ -0,0 +1,250 @@
+/**
+ * Geocoding Service
+ *
+ * Geocoding adapter used by the maps service and the geocoding proxy
+ * routes. Every provider implements geocode, reverse and getHealth and
+ * returns normalized results ({ coordinates, formattedAddress, components,
+ * placeId, precision, provider }) or null when nothing matches. The
+ * provider is chosen by GEOCODING_PROVIDER; GEOCODING_FALLBACK_PROVIDER is
+ * tried when the primary provider fails. Providers are loaded on first use
+ * so an unused provider never needs credentials. Lookups, including ones
+ * that found nothing, are cached in MongoDB per provider.
+ */
+
+const mongoose = require('mongoose');
+const GeocodeCache = require('../models/GeocodeCache');
+const { MAPS_CONFIG, GEOCODING_PROVIDERS } = require('../config/maps');
+const { HTTP_STATUS } = require('../config/constants');
+
+const PROVIDER_LOADERS = {
+  [GEOCODING_PROVIDERS.GOOGLE]: () => require('./googleGeocoder'),
+  [GEOCODING_PROVIDERS.NOMINATIM]: () => require('./nominatimGeocoder'),
+  [GEOCODING_PROVIDERS.GAZETTEER]: () => require('./gazetteerGeocoder')
+};
+
+/**
+ * Get the name of the primary geocoding provider
+ * @returns {string} GEOCODING_PROVIDERS value
+ */
+const getProviderName = () => MAPS_CONFIG.GEOCODING.PROVIDER;
+
+/**
+ * Load a geocoding provider
+ * @param {string} name - GEOCODING_PROVIDERS value (defaults to the configured provider)
+ * @returns {Object} Provider module
+ */
+const getProvider = (name = getProviderName()) => {
+  const loader = PROVIDER_LOADERS[name];
+
+  if (!loader) {
+    const error = new Error(`Unknown geocoding provider: ${name}`);
+    error.statusCode = HTTP_STATUS.INTERNAL_SERVER_ERROR;
+    error.code = MAPS_CONFIG.ERROR_CODES.UNKNOWN_PROVIDER;
+    throw error;
+  }
+
+  return loader();
+};
+
+/**
+ * Get the providers to try, primary first
+ * @param {Object} options - { provider } to use a single provider
+ * @returns {Array<string>} Provider names
+ */
+const getProviderChain = (options = {}) => {
+  if (options.provider) {
+    return [options.provider];
+  }
+
+  const { PROVIDER, FALLBACK_PROVIDER } = MAPS_CONFIG.GEOCODING;
+  return [PROVIDER, FALLBACK_PROVIDER].filter((name, index, names) => name && names.indexOf(name) === index);
+};
+
+/**
+ * Normalize an address for cache keys
+ * @param {string} address - Address
+ * @returns {string} Lower-case address with single spaces
+ */
+const normalizeAddress = (address) => address.trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Build the cache query for a reverse lookup
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {string} Rounded "lat,lng"
+ */
+const reverseQuery = (lat, lng) => {
+  const precision = MAPS_CONFIG.CACHE.REVERSE_PRECISION;
+  return `${lat.toFixed(precision)},${lng.toFixed(precision)}`;
+};
+
+/**
+ * Check whether the persistent cache can be used
+ * Without a connection mongoose would buffer the query until it times out
+ * @returns {boolean}
+ */
+const isCacheAvailable = () => MAPS_CONFIG.CACHE.ENABLED && mongoose.connection.readyState === 1;
+
+/**
+ * Read a cached lookup and count the hit
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} Cache entry, or null on a miss
+ */
+const readCache = async (key) => {
+  try {
+    return await GeocodeCache.findOneAndUpdate(
+      { key, expiresAt: { $gt: new Date() } },
+      { $inc: { hits: 1 } },
+      { new: true }
+    ).lean();
+  } catch (error) {
+    console.error('Geocode cache read error:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Store a lookup result. Empty results expire sooner so new places are found
+ * @param {Object} entry - { key, kind, provider, query, result }
+ * @returns {Promise<void>}
+ */
+const writeCache = async ({ key, kind, provider, query, result }) => {
+  const { TTL_DAYS, MISS_TTL_HOURS } = MAPS_CONFIG.CACHE;
+  const ttlMs = result ? TTL_DAYS * 24 * 60 * 60 * 1000 : MISS_TTL_HOURS * 60 * 60 * 1000;
+
+  try {
+    await GeocodeCache.updateOne(
+      { key },
+      {
+        $set: { kind, provider, query, result, expiresAt: new Date(Date.now() + ttlMs) },
+        $setOnInsert: { hits: 0 }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error('Geocode cache write error:', error.message);
+  }
+};
+
+/**
+ * Run a lookup through the provider chain, using the cache per provider
+ * @param {string} kind - 'forward' or 'reverse'
+ * @param {string} query - Normalized query used in the cache key
+ * @param {Function} run - (provider) => Promise<Object|null>
+ * @param {Object} options - { provider, skipCache }
+ * @returns {Promise<Object|null>} Result with provider and cached flag, or null
+ */
+const lookup = async (kind, query, run, options = {}) => {
+  const useCache = !options.skipCache && isCacheAvailable();
+  const failures = [];
+
+  for (const provider of getProviderChain(options)) {
+    const key = `${kind}:${provider}:${query}`;
+
+    if (useCache) {
+      const cached = await readCache(key);
+      if (cached) {
+        return cached.result ? { ...cached.result, cached: true } : null;
+      }
+    }
+
+    try {
+      const result = await run(getProvider(provider));
+
+      if (useCache) {
+        await writeCache({ key, kind, provider, query, result });
+      }
+
+      return result ? { ...result, cached: false } : null;
+
+    } catch (error) {
+      if (error.code === MAPS_CONFIG.ERROR_CODES.UNKNOWN_PROVIDER) {
+        throw error;
+      }
+      console.error(`Geocoding provider ${provider} failed:`, error.message);
+      failures.push({ provider, message: error.message });
+    }
+  }
+
+  const error = new Error(`Geocoding failed: ${failures.map(failure => failure.message).join('; ')}`);
+  error.statusCode = HTTP_STATUS.SERVICE_UNAVAILABLE;
+  error.code = MAPS_CONFIG.ERROR_CODES.PROVIDER_ERROR;
+  error.details = { failures };
+  throw error;
+};
+
+/**
+ * Geocode an address
+ * @param {string} address - Address to geocode
+ * @param {Object} options - Provider options plus { provider, skipCache }
+ * @returns {Promise<Object|null>} Geocoding result, or null if nothing matches
+ */
+const geocode = (address, options = {}) => lookup(
+  'forward',
+  normalizeAddress(address),
+  provider => provider.geocode(address.trim(), options),
+  options
+);
+
+/**
+ * Reverse geocode coordinates
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Object} options - Provider options plus { provider, skipCache }
+ * @returns {Promise<Object|null>} Geocoding result, or null if nothing matches
+ */
+const reverseGeocode = (lat, lng, options = {}) => lookup(
+  'reverse',
+  reverseQuery(lat, lng),
+  provider => provider.reverse(lat, lng, options),
+  options
+);
+
+/**
+ * Geocode several addresses, MAPS_CONFIG.BATCH.CONCURRENCY at a time
+ * A failed address does not fail the batch
+ * @param {Array<string>} addresses - Addresses to geocode
+ * @param {Object} options - Provider options plus { provider, skipCache }
+ * @returns {Promise<Array<Object>>} { address, success, result, error } per address, in order
+ */
+const batchGeocode = async (addresses, options = {}) => {
+  const results = new Array(addresses.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < addresses.length) {
+      const index = next++;
+      const address = addresses[index];
+      try {
+        results[index] = { address, success: true, result: await geocode(address, options) };
+      } catch (error) {
+        results[index] = { address, success: false, result: null, error: error.message };
+      }
+    }
+  };
+
+  const workers = Math.min(MAPS_CONFIG.BATCH.CONCURRENCY, addresses.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+
+  return results;
+};
+
+/**
+ * Report the health of the configured providers
+ * @returns {Promise<Array<Object>>} { provider, role, service, healthy, configuration }
+ */
+const getGeocodingHealth = () => Promise.all(getProviderChain().map(async (provider, index) => ({
+  provider,
+  role: index === 0 ? 'primary' : 'fallback',
+  ...await getProvider(provider).getHealth()
+})));
+
+module.exports = {
+  getProviderName,
+  getProvider,
+  normalizeAddress,
+  geocode,
+  reverseGeocode,
+  batchGeocode,
+  getGeocodingHealth
+};
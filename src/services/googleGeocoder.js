@@ -0,0 +1,138 @@
+/**
+ * Google Geocoder
+ *
+ * Geocoding provider backed by the Google Geocoding API. Needs
+ * GOOGLE_MAPS_API_KEY; results are normalized to the shared geocoding
+ * result shape used by the geocoding service.
+ */
+
+const axios = require('axios');
+const { MAPS_CONFIG, GEOCODING_PROVIDERS, buildApiUrl } = require('../config/maps');
+
+/**
+ * Get error message for geocoding status
+ * @param {string} status - Google Maps API status
+ * @returns {string} Human-readable error message
+ */
+const getGeocodingErrorMessage = (status) => {
+  const errorMessages = {
+    'ZERO_RESULTS': 'No results found for the provided address',
+    'OVER_QUERY_LIMIT': 'API query limit exceeded',
+    'REQUEST_DENIED': 'API request denied - check API key',
+    'INVALID_REQUEST': 'Invalid request parameters',
+    'UNKNOWN_ERROR': 'Unknown error occurred'
+  };
+
+  return errorMessages[status] || `Geocoding failed with status: ${status}`;
+};
+
+/**
+ * Precision reported for Google location types
+ */
+const LOCATION_TYPE_PRECISION = {
+  ROOFTOP: 'address',
+  RANGE_INTERPOLATED: 'street',
+  GEOMETRIC_CENTER: 'street',
+  APPROXIMATE: 'locality'
+};
+
+/**
+ * Normalize a Google geocoding result
+ * @param {Object} result - Google API result
+ * @returns {Object} Geocoding result
+ */
+const formatResult = (result) => {
+  const component = (...types) => {
+    const match = (result.address_components || [])
+      .find(entry => types.some(type => entry.types.includes(type)));
+    return match ? match.long_name : null;
+  };
+
+  return {
+    coordinates: {
+      lat: result.geometry.location.lat,
+      lng: result.geometry.location.lng
+    },
+    formattedAddress: result.formatted_address,
+    components: {
+      locality: component('sublocality_level_1', 'sublocality', 'neighborhood'),
+      city: component('locality', 'administrative_area_level_3'),
+      district: component('administrative_area_level_2'),
+      state: component('administrative_area_level_1'),
+      pincode: component('postal_code'),
+      country: component('country')
+    },
+    placeId: result.place_id,
+    precision: LOCATION_TYPE_PRECISION[result.geometry.location_type] || 'locality',
+    provider: GEOCODING_PROVIDERS.GOOGLE
+  };
+};
+
+/**
+ * Call the Geocoding API and return the first result
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object|null>} Geocoding result, or null for no results
+ */
+const request = async (params) => {
+  const response = await axios.get(buildApiUrl('geocode', params), {
+    timeout: MAPS_CONFIG.FALLBACK.TIMEOUT_MS
+  });
+
+  if (response.data.status === 'ZERO_RESULTS') {
+    return null;
+  }
+
+  if (response.data.status !== 'OK' || response.data.results.length === 0) {
+    throw new Error(getGeocodingErrorMessage(response.data.status));
+  }
+
+  return formatResult(response.data.results[0]);
+};
+
+/**
+ * Geocode an address
+ * @param {string} address - Address to geocode
+ * @param {Object} options - { language, region }
+ * @returns {Promise<Object|null>} Geocoding result, or null for no results
+ */
+const geocode = (address, options = {}) => request({
+  address,
+  language: options.language || MAPS_CONFIG.GEOCODING.LANGUAGE,
+  region: options.region || MAPS_CONFIG.GEOCODING.REGION
+});
+
+/**
+ * Reverse geocode coordinates
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Object} options - { language, resultType, locationType }
+ * @returns {Promise<Object|null>} Geocoding result, or null for no results
+ */
+const reverse = (lat, lng, options = {}) => request({
+  latlng: `${lat},${lng}`,
+  language: options.language || MAPS_CONFIG.GEOCODING.LANGUAGE,
+  result_type: options.resultType || MAPS_CONFIG.GEOCODING.RESULT_TYPE,
+  location_type: options.locationType || MAPS_CONFIG.GEOCODING.LOCATION_TYPE
+});
+
+/**
+ * Report Google geocoder health
+ * @returns {Promise<Object>} { service, healthy, configuration }
+ */
+const getHealth = async () => {
+  const configuration = {
+    apiKey: MAPS_CONFIG.API_KEY ? '✅ Configured' : '❌ Missing'
+  };
+
+  return {
+    service: 'Google Geocoding',
+    healthy: configuration.apiKey.includes('✅'),
+    configuration
+  };
+};
+
+module.exports = {
+  geocode,
+  reverse,
+  getHealth
+};
@@ -0,0 +1,586 @@
+/**
+ * Hotspot Analysis Service
+ *
+ * Bins historical incidents into a metre grid over a bounding box and scores
+ * every cell with the Getis-Ord Gi* statistic, so a hotspot is a cluster of
+ * incidents denser than chance rather than just a busy cell. Contiguous
+ * significant cells are merged into one hotspot with its time-of-day,
+ * day-of-week and trend breakdown. Also renders heatmap tiles for the map
+ */
+
+const Incident = require('../models/Incident');
+const { HOTSPOT_ANALYSIS } = require('../config/constants');
+const { bboxToGeometry } = require('../utils/geoQuery');
+const { createValidationError } = require('../utils/helpers');
+
+const METERS_PER_DEGREE_LATITUDE = 111320;
+const MAX_MERCATOR_LATITUDE = 85.05112878;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// ============================================================================
+// Time filters
+// ============================================================================
+
+/**
+ * Parse a local hour range such as "22-5"; ranges may wrap past midnight
+ * @param {string} hours - "from-to", from inclusive and to exclusive
+ * @returns {object} - { from, to }
+ */
+const parseHourRange = (hours) => {
+  const match = /^(\d{1,2})-(\d{1,2})$/.exec(String(hours));
+  const from = match && Number(match[1]);
+  const to = match && Number(match[2]);
+
+  if (!match || from > 23 || to > 24 || from === to) {
+    throw createValidationError('hours must be "from-to" with from 0-23, to 0-24 and from different from to', { hours });
+  }
+
+  return { from, to };
+};
+
+/**
+ * Check whether a local hour falls in a range
+ * @param {number} hour - Hour 0-23
+ * @param {object} range - { from, to }
+ * @returns {boolean}
+ */
+const isHourInRange = (hour, { from, to }) => (from < to
+  ? hour >= from && hour < to
+  : hour >= from || hour < to);
+
+/**
+ * Build a reader for the local hour and day of week of a date
+ * @param {string} timezone - IANA time zone
+ * @returns {Function} - (date) => { hour, dayOfWeek } with Sunday as 0
+ */
+const createLocalTimeReader = (timezone) => {
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hour: 'numeric',
+      hourCycle: 'h23',
+      weekday: 'short'
+    });
+  } catch (error) {
+    throw createValidationError('timezone must be an IANA time zone such as Asia/Kolkata', { timezone });
+  }
+
+  return (date) => {
+    const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, part.value]));
+    return { hour: Number(parts.hour), dayOfWeek: WEEKDAYS.indexOf(parts.weekday) };
+  };
+};
+
+/**
+ * Build the time-of-day and day-of-week filter applied to incidents
+ * @param {object} options - { timezone, hours, daysOfWeek }
+ *   where daysOfWeek is an array of days with Sunday as 0
+ * @returns {object} - { readLocalTime, matches(localTime) }
+ */
+const createTimeFilter = ({ timezone = HOTSPOT_ANALYSIS.DEFAULT_TIMEZONE, hours, daysOfWeek } = {}) => {
+  const readLocalTime = createLocalTimeReader(timezone);
+  const hourRange = hours ? parseHourRange(hours) : null;
+  const days = daysOfWeek ? new Set(daysOfWeek) : null;
+
+  return {
+    readLocalTime,
+    matches: ({ hour, dayOfWeek }) => (!hourRange || isHourInRange(hour, hourRange)) &&
+      (!days || days.has(dayOfWeek))
+  };
+};
+
+// ============================================================================
+// Grid and statistics
+// ============================================================================
+
+/**
+ * Lay a grid of roughly square cells over a bounding box
+ * @param {Array<number>} bounds - [west, south, east, north]; west may exceed east across the antimeridian
+ * @param {number} cellSizeMeters - Cell edge
+ * @returns {object} - { west, south, latStep, lngStep, rows, cols }
+ */
+const buildGrid = ([west, south, east, north], cellSizeMeters) => {
+  const span = east > west ? east - west : east + 360 - west;
+  const midLatitude = ((south + north) / 2) * Math.PI / 180;
+  const latStep = cellSizeMeters / METERS_PER_DEGREE_LATITUDE;
+  const lngStep = cellSizeMeters / (METERS_PER_DEGREE_LATITUDE * Math.max(Math.cos(midLatitude), 0.01));
+  const rows = Math.ceil((north - south) / latStep);
+  const cols = Math.ceil(span / lngStep);
+
+  if (rows * cols > HOTSPOT_ANALYSIS.MAX_GRID_CELLS) {
+    throw createValidationError('bbox is too large for the cell size; zoom in or use a larger cellSize', {
+      gridCells: rows * cols,
+      maxGridCells: HOTSPOT_ANALYSIS.MAX_GRID_CELLS
+    });
+  }
+
+  return { west, south, latStep, lngStep, rows, cols };
+};
+
+/**
+ * Find the grid cell holding a position
+ * @param {object} grid - Grid from buildGrid
+ * @param {Array<number>} coordinates - [longitude, latitude]
+ * @returns {object|null} - { row, col }, or null outside the grid
+ */
+const locateCell = (grid, [longitude, latitude]) => {
+  const col = Math.floor((((longitude - grid.west) % 360 + 360) % 360) / grid.lngStep);
+  const row = Math.floor((latitude - grid.south) / grid.latStep);
+
+  if (row < 0 || row >= grid.rows || col < 0 || col >= grid.cols) {
+    return null;
+  }
+  return { row, col };
+};
+
+/**
+ * Standard normal cumulative distribution (Abramowitz and Stegun 7.1.26)
+ * @param {number} z - Z-score
+ * @returns {number}
+ */
+const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 +
+    t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Score occupied cells with the Getis-Ord Gi* statistic over the whole grid
+ * Neighbours are the cell itself and the eight cells around it
+ * @param {Map} cells - Occupied cells keyed "row/col", each with a count
+ * @param {object} grid - Grid from buildGrid
+ * @returns {Map} - Z-scores keyed "row/col"; empty when counts do not vary
+ */
+const computeGiStar = (cells, grid) => {
+  const n = grid.rows * grid.cols;
+  const zScores = new Map();
+  if (n < 2) {
+    return zScores;
+  }
+
+  let total = 0;
+  let totalSquares = 0;
+  cells.forEach(({ count }) => {
+    total += count;
+    totalSquares += count * count;
+  });
+
+  const mean = total / n;
+  const deviation = Math.sqrt(totalSquares / n - mean * mean);
+  if (!(deviation > 0)) {
+    return zScores;
+  }
+
+  cells.forEach((cell, key) => {
+    let neighbours = 0;
+    let neighbourSum = 0;
+
+    for (let row = cell.row - 1; row <= cell.row + 1; row++) {
+      for (let col = cell.col - 1; col <= cell.col + 1; col++) {
+        if (row < 0 || row >= grid.rows || col < 0 || col >= grid.cols) continue;
+        neighbours += 1;
+        neighbourSum += cells.get(`${row}/${col}`)?.count || 0;
+      }
+    }
+
+    const spread = Math.sqrt((n * neighbours - neighbours * neighbours) / (n - 1));
+    zScores.set(key, (neighbourSum - mean * neighbours) / (deviation * spread));
+  });
+
+  return zScores;
+};
+
+/**
+ * Highest confidence level a z-score reaches
+ * @param {number} zScore - Z-score
+ * @returns {number|null} - 90, 95 or 99
+ */
+const getConfidenceLevel = (zScore) => {
+  const levels = Object.entries(HOTSPOT_ANALYSIS.CONFIDENCE_Z_SCORES)
+    .filter(([, threshold]) => zScore >= threshold)
+    .map(([level]) => Number(level));
+  return levels.length > 0 ? Math.max(...levels) : null;
+};
+
+/**
+ * Classify the change between the earlier and the recent half of the period
+ * Under no change an incident is equally likely to fall in either half
+ * @param {number} recent - Incidents in the recent half
+ * @param {number} previous - Incidents in the earlier half
+ * @returns {object} - { direction, recent, previous, changePercent, zScore }
+ */
+const classifyTrend = (recent, previous) => {
+  const zScore = recent + previous > 0 ? (recent - previous) / Math.sqrt(recent + previous) : 0;
+  let direction = 'stable';
+  if (zScore >= HOTSPOT_ANALYSIS.TREND_Z_SCORE) direction = 'rising';
+  if (zScore <= -HOTSPOT_ANALYSIS.TREND_Z_SCORE) direction = 'falling';
+
+  return {
+    direction,
+    recent,
+    previous,
+    changePercent: previous > 0 ? Math.round(((recent - previous) / previous) * 100) : null,
+    zScore: Math.round(zScore * 100) / 100
+  };
+};
+
+/**
+ * Index of the largest value
+ * @param {Array<number>} values - Values
+ * @returns {number}
+ */
+const indexOfMax = (values) => values.reduce((best, value, index) => (value > values[best] ? index : best), 0);
+
+/**
+ * Merge contiguous significant cells into hotspots
+ * @param {Map} cells - Occupied cells keyed "row/col"
+ * @param {Set} significant - Keys of significant cells
+ * @returns {Array<Array<object>>} - Cells of each hotspot
+ */
+const groupContiguousCells = (cells, significant) => {
+  const visited = new Set();
+  const groups = [];
+
+  significant.forEach(start => {
+    if (visited.has(start)) return;
+
+    const group = [];
+    const queue = [start];
+    visited.add(start);
+
+    while (queue.length > 0) {
+      const cell = cells.get(queue.pop());
+      group.push(cell);
+
+      for (let row = cell.row - 1; row <= cell.row + 1; row++) {
+        for (let col = cell.col - 1; col <= cell.col + 1; col++) {
+          const key = `${row}/${col}`;
+          if (significant.has(key) && !visited.has(key)) {
+            visited.add(key);
+            queue.push(key);
+          }
+        }
+      }
+    }
+
+    groups.push(group);
+  });
+
+  return groups;
+};
+
+/**
+ * Summarise the cells of a hotspot
+ * @param {Array<object>} group - Cells of the hotspot
+ * @param {object} grid - Grid from buildGrid
+ * @param {Map} zScores - Z-scores keyed "row/col"
+ * @param {boolean} includeTrend - Whether the incidents cover the whole period
+ * @returns {object} - Hotspot
+ */
+const summariseHotspot = (group, grid, zScores, includeTrend) => {
+  const peak = group.reduce((best, cell) => (zScores.get(cell.key) > zScores.get(best.key) ? cell : best));
+  const zScore = zScores.get(peak.key);
+
+  const byHour = Array(24).fill(0);
+  const byDayOfWeek = Array(7).fill(0);
+  const byType = {};
+  let count = 0;
+  let recent = 0;
+  let longitudeSum = 0;
+  let latitudeSum = 0;
+
+  group.forEach(cell => {
+    count += cell.count;
+    recent += cell.recent;
+    longitudeSum += cell.longitudeSum;
+    latitudeSum += cell.latitudeSum;
+    cell.byHour.forEach((value, hour) => { byHour[hour] += value; });
+    cell.byDayOfWeek.forEach((value, day) => { byDayOfWeek[day] += value; });
+    Object.entries(cell.byType).forEach(([type, value]) => { byType[type] = (byType[type] || 0) + value; });
+  });
+
+  const rows = group.map(cell => cell.row);
+  const cols = group.map(cell => cell.col);
+  const wrap = (longitude) => (longitude > 180 ? longitude - 360 : longitude);
+
+  return {
+    id: `${peak.row}/${peak.col}`,
+    cells: group.length,
+    count,
+    center: {
+      latitude: latitudeSum / count,
+      longitude: wrap(longitudeSum / count)
+    },
+    bounds: {
+      west: wrap(grid.west + Math.min(...cols) * grid.lngStep),
+      south: grid.south + Math.min(...rows) * grid.latStep,
+      east: wrap(grid.west + (Math.max(...cols) + 1) * grid.lngStep),
+      north: grid.south + (Math.max(...rows) + 1) * grid.latStep
+    },
+    zScore: Math.round(zScore * 100) / 100,
+    pValue: Math.round(2 * (1 - normalCdf(zScore)) * 10000) / 10000,
+    confidence: getConfidenceLevel(zScore),
+    trend: includeTrend ? classifyTrend(recent, count - recent) : null,
+    byHour,
+    byDayOfWeek,
+    peakHour: indexOfMax(byHour),
+    peakDayOfWeek: indexOfMax(byDayOfWeek),
+    byType
+  };
+};
+
+/**
+ * Find statistically significant hotspots among incidents
+ * @param {Array<object>} incidents - Incidents with location, type and incidentTime
+ * @param {object} options - { bounds, cellSizeMeters, confidence, limit, since, until, timeFilter, includeTrend }
+ *   where includeTrend is false when the incidents are only the most recent part of the period
+ * @returns {object} - { hotspots, grid: { rows, cols }, analysed }
+ */
+const findHotspots = (incidents, {
+  bounds,
+  cellSizeMeters = HOTSPOT_ANALYSIS.DEFAULT_CELL_SIZE_METERS,
+  confidence = HOTSPOT_ANALYSIS.DEFAULT_CONFIDENCE,
+  limit = HOTSPOT_ANALYSIS.DEFAULT_HOTSPOTS,
+  since,
+  until,
+  timeFilter = createTimeFilter(),
+  includeTrend = true
+}) => {
+  const grid = buildGrid(bounds, cellSizeMeters);
+  const midpoint = new Date((since.getTime() + until.getTime()) / 2);
+  const cells = new Map();
+  let analysed = 0;
+
+  incidents.forEach(incident => {
+    const localTime = timeFilter.readLocalTime(incident.incidentTime);
+    const position = locateCell(grid, incident.location.coordinates);
+    if (!position || !timeFilter.matches(localTime)) return;
+
+    const key = `${position.row}/${position.col}`;
+    if (!cells.has(key)) {
+      cells.set(key, {
+        key,
+        ...position,
+        count: 0,
+        recent: 0,
+        longitudeSum: 0,
+        latitudeSum: 0,
+        byHour: Array(24).fill(0),
+        byDayOfWeek: Array(7).fill(0),
+        byType: {}
+      });
+    }
+
+    const cell = cells.get(key);
+    const [longitude, latitude] = incident.location.coordinates;
+    cell.count += 1;
+    cell.recent += incident.incidentTime >= midpoint ? 1 : 0;
+    // Unwrapped across the antimeridian so the centroid stays inside the box
+    cell.longitudeSum += longitude < grid.west ? longitude + 360 : longitude;
+    cell.latitudeSum += latitude;
+    cell.byHour[localTime.hour] += 1;
+    cell.byDayOfWeek[localTime.dayOfWeek] += 1;
+    cell.byType[incident.type] = (cell.byType[incident.type] || 0) + 1;
+    analysed += 1;
+  });
+
+  const zScores = computeGiStar(cells, grid);
+  const threshold = HOTSPOT_ANALYSIS.CONFIDENCE_Z_SCORES[confidence];
+  const significant = new Set(
+    [...zScores].filter(([, zScore]) => zScore >= threshold).map(([key]) => key)
+  );
+
+  const hotspots = groupContiguousCells(cells, significant)
+    .map(group => summariseHotspot(group, grid, zScores, includeTrend))
+    .filter(hotspot => hotspot.count >= HOTSPOT_ANALYSIS.MIN_INCIDENTS)
+    .sort((a, b) => b.zScore - a.zScore || b.count - a.count)
+    .slice(0, limit);
+
+  return {
+    hotspots,
+    grid: { rows: grid.rows, cols: grid.cols },
+    analysed
+  };
+};
+
+// ============================================================================
+// Heatmap tiles
+// ============================================================================
+
+/**
+ * Web Mercator y of a latitude in [0, 1]
+ * @param {number} latitude - Latitude in degrees
+ * @returns {number}
+ */
+const mercatorY = (latitude) => {
+  const radians = Math.max(Math.min(latitude, MAX_MERCATOR_LATITUDE), -MAX_MERCATOR_LATITUDE) * Math.PI / 180;
+  return (1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2;
+};
+
+/**
+ * Bounds of a z/x/y map tile
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @returns {object} - { west, south, east, north }
+ */
+const tileToBounds = (z, x, y) => {
+  const tiles = 2 ** z;
+  if (x >= tiles || y >= tiles) {
+    throw createValidationError(`Tile x and y must be below ${tiles} at zoom ${z}`, { z, x, y });
+  }
+
+  const latitudeOf = (row) => Math.atan(Math.sinh(Math.PI * (1 - (2 * row) / tiles))) * 180 / Math.PI;
+  return {
+    west: (x / tiles) * 360 - 180,
+    south: latitudeOf(y + 1),
+    east: ((x + 1) / tiles) * 360 - 180,
+    north: latitudeOf(y)
+  };
+};
+
+/**
+ * Bin incidents into the pixels of a heatmap tile
+ * @param {Array<object>} incidents - Incidents with location and incidentTime
+ * @param {object} tile - { z, x, y }
+ * @param {object} timeFilter - Filter from createTimeFilter
+ * @returns {object} - { cells: [{ col, row, count, intensity }], maxCount, total }
+ */
+const buildHeatmapTile = (incidents, { z, x, y }, timeFilter = createTimeFilter()) => {
+  const tiles = 2 ** z;
+  const size = HOTSPOT_ANALYSIS.HEATMAP_GRID_SIZE;
+  const clamp = (value) => Math.min(Math.max(Math.floor(value), 0), size - 1);
+  const bins = new Map();
+  let total = 0;
+
+  incidents.forEach(incident => {
+    if (!timeFilter.matches(timeFilter.readLocalTime(incident.incidentTime))) return;
+
+    const [longitude, latitude] = incident.location.coordinates;
+    const col = clamp((((longitude + 180) / 360) * tiles - x) * size);
+    const row = clamp((mercatorY(latitude) * tiles - y) * size);
+    const key = `${row}/${col}`;
+
+    bins.set(key, { col, row, count: (bins.get(key)?.count || 0) + 1 });
+    total += 1;
+  });
+
+  const maxCount = Math.max(0, ...[...bins.values()].map(bin => bin.count));
+
+  return {
+    cells: [...bins.values()].map(bin => ({
+      ...bin,
+      intensity: Math.round((bin.count / maxCount) * 1000) / 1000
+    })),
+    maxCount,
+    total
+  };
+};
+
+// ============================================================================
+// Queries
+// ============================================================================
+
+/**
+ * Load the incidents of a period inside an area
+ * @param {object} filter - Extra incident filter (type, department)
+ * @param {object} geometry - GeoJSON area
+ * @param {Date} since - Period start
+ * @param {Date} until - Period end
+ * @returns {Promise<object>} - { incidents, truncated }
+ */
+const loadIncidents = async (filter, geometry, since, until) => {
+  const incidents = await Incident.find({
+    ...filter,
+    status: { $nin: HOTSPOT_ANALYSIS.EXCLUDED_STATUSES },
+    incidentTime: { $gte: since, $lte: until },
+    location: { $geoWithin: { $geometry: geometry } }
+  })
+    .sort({ incidentTime: -1 })
+    .limit(HOTSPOT_ANALYSIS.MAX_INCIDENTS + 1)
+    .select('location type incidentTime')
+    .lean();
+
+  const truncated = incidents.length > HOTSPOT_ANALYSIS.MAX_INCIDENTS;
+  return { incidents: truncated ? incidents.slice(0, -1) : incidents, truncated };
+};
+
+/**
+ * Find hotspots among the incidents of the last days inside a bounding box
+ * @param {object} params - { bounds, days, filter, cellSizeMeters, confidence, limit, timezone, hours, daysOfWeek }
+ * @returns {Promise<object>} - findHotspots result plus { since, until, truncated }
+ */
+const analyzeHotspots = async ({
+  bounds,
+  days = HOTSPOT_ANALYSIS.DEFAULT_DAYS,
+  filter = {},
+  timezone,
+  hours,
+  daysOfWeek,
+  ...options
+}) => {
+  const timeFilter = createTimeFilter({ timezone, hours, daysOfWeek });
+  const until = new Date();
+  const since = new Date(until.getTime() - days * 24 * 60 * 60 * 1000);
+
+  const { incidents, truncated } = await loadIncidents(filter, bboxToGeometry(bounds), since, until);
+
+  // A truncated load keeps only the most recent incidents, which would make every trend look like it is rising
+  return {
+    ...findHotspots(incidents, { bounds, since, until, timeFilter, ...options, includeTrend: !truncated }),
+    since,
+    until,
+    truncated
+  };
+};
+
+/**
+ * Render a heatmap tile of the incidents of the last days
+ * @param {object} params - { z, x, y, days, filter, timezone, hours, daysOfWeek }
+ * @returns {Promise<object>} - buildHeatmapTile result plus { bounds, since, until, truncated }
+ */
+const getHeatmapTile = async ({
+  z,
+  x,
+  y,
+  days = HOTSPOT_ANALYSIS.DEFAULT_DAYS,
+  filter = {},
+  timezone,
+  hours,
+  daysOfWeek
+}) => {
+  const timeFilter = createTimeFilter({ timezone, hours, daysOfWeek });
+  const bounds = tileToBounds(z, x, y);
+  const until = new Date();
+  const since = new Date(until.getTime() - days * 24 * 60 * 60 * 1000);
+
+  const { incidents, truncated } = await loadIncidents(
+    filter,
+    bboxToGeometry([bounds.west, bounds.south, bounds.east, bounds.north]),
+    since,
+    until
+  );
+
+  return {
+    ...buildHeatmapTile(incidents, { z, x, y }, timeFilter),
+    bounds,
+    since,
+    until,
+    truncated
+  };
+};
+
+module.exports = {
+  parseHourRange,
+  createTimeFilter,
+  buildGrid,
+  computeGiStar,
+  findHotspots,
+  tileToBounds,
+  buildHeatmapTile,
+  analyzeHotspots,
+  getHeatmapTile
+};
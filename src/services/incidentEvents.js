@@ -0,0 +1,160 @@
+/**
+ * Incident Event Service
+ *
+ * In-process event bus for real-time incident updates. The Incident model
+ * publishes lifecycle events here and the stream controller fans them out
+ * to connected dashboards, filtered by each viewer's role, department
+ * and jurisdiction
+ */
+
+const { EventEmitter } = require('events');
+const { USER_ROLES, RESPONDER_DEPARTMENTS } = require('../config/constants');
+
+const INCIDENT_EVENT = 'incident';
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per connected dashboard
+
+/**
+ * Build the payload delivered to stream subscribers
+ * @param {string} type - Event type (see STREAM_EVENTS)
+ * @param {object} incident - Incident document
+ * @param {object} details - Event-specific details
+ * @returns {object} - Event payload
+ */
+const buildEventPayload = (type, incident, details = {}) => ({
+  type,
+  incidentId: incident._id.toString(),
+  timestamp: new Date().toISOString(),
+  incident: {
+    id: incident._id.toString(),
+    title: incident.title,
+    type: incident.type,
+    severity: incident.severity,
+    priority: incident.priority,
+    status: incident.status,
+    department: incident.department,
+    jurisdiction: incident.jurisdiction || null,
+    location: incident.location,
+    upvoteCount: incident.upvoteCount,
+    currentAssignment: incident.currentAssignment ? incident.currentAssignment.toString() : null,
+    reportedAt: incident.reportedAt,
+    updatedAt: incident.updatedAt
+  },
+  ...details
+});
+
+/**
+ * Publish an incident event to all subscribers
+ * Never throws: a failing subscriber must not break the incident save
+ * @param {string} type - Event type
+ * @param {object} incident - Incident document
+ * @param {object} details - Event-specific details
+ */
+const publishIncidentEvent = (type, incident, details) => {
+  try {
+    emitter.emit(INCIDENT_EVENT, buildEventPayload(type, incident, details));
+  } catch (error) {
+    console.error('Incident event publish error:', error);
+  }
+};
+
+/**
+ * Build the filter scope for an authenticated viewer
+ * Responders see their role's departments, narrowed to their own department
+ * when it names one of them; police are further scoped to their jurisdiction
+ * @param {object} authUser - req.user from the auth middleware
+ * @returns {object} - Viewer scope
+ */
+const buildViewerScope = (authUser) => {
+  const profile = authUser.user || {};
+  const ownDepartment = profile.department ? profile.department.toLowerCase() : null;
+  let departments = RESPONDER_DEPARTMENTS[authUser.role] || [];
+
+  if (departments.includes(ownDepartment)) {
+    departments = [ownDepartment];
+  }
+
+  return {
+    userId: authUser.userId ? authUser.userId.toString() : null,
+    role: authUser.role,
+    departments,
+    jurisdiction: authUser.role === USER_ROLES.POLICE ? profile.jurisdiction || null : null
+  };
+};
+
+/**
+ * Check whether an event is visible to a viewer
+ * Incidents without a jurisdiction are visible to every officer, matching
+ * the police incident queries
+ * @param {object} scope - Viewer scope from buildViewerScope
+ * @param {object} event - Event payload
+ * @returns {boolean}
+ */
+const canViewerReceive = (scope, event) => {
+  if (scope.role === USER_ROLES.ADMIN) {
+    return true;
+  }
+
+  const { incident } = event;
+
+  // Responders always hear about incidents assigned to them
+  if (scope.userId && incident.currentAssignment === scope.userId) {
+    return true;
+  }
+
+  if (!scope.departments.includes(incident.department)) {
+    return false;
+  }
+
+  if (scope.jurisdiction && incident.jurisdiction && incident.jurisdiction !== scope.jurisdiction) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Subscribe to incident events visible to a viewer
+ * @param {object} scope - Viewer scope from buildViewerScope
+ * @param {Function} listener - Called with each visible event payload
+ * @returns {Function} - Unsubscribe function
+ */
+const subscribe = (scope, listener) => {
+  const handler = (event) => {
+    if (canViewerReceive(scope, event)) {
+      listener(event);
+    }
+  };
+
+  emitter.on(INCIDENT_EVENT, handler);
+
+  return () => emitter.off(INCIDENT_EVENT, handler);
+};
+
+/**
+ * Listen to every incident event, without viewer filtering
+ * Used by server-side consumers such as area alerts
+ * @param {Function} listener - Called with each event payload
+ * @returns {Function} - Unsubscribe function
+ */
+const onIncidentEvent = (listener) => {
+  emitter.on(INCIDENT_EVENT, listener);
+
+  return () => emitter.off(INCIDENT_EVENT, listener);
+};
+
+/**
+ * Get the number of active subscribers
+ * @returns {number}
+ */
+const getSubscriberCount = () => emitter.listenerCount(INCIDENT_EVENT);
+
+module.exports = {
+  publishIncidentEvent,
+  buildViewerScope,
+  canViewerReceive,
+  subscribe,
+  onIncidentEvent,
+  getSubscriberCount
+};
@@ -0,0 +1,147 @@
+/**
+ * Incident Notes Service
+ *
+ * Visibility rules and thread listing for incident notes. Admins and the
+ * responders handling an incident see internal and public notes; everyone
+ * else, including anonymous viewers, sees public notes only
+ */
+
+const IncidentNote = require('../models/IncidentNote');
+const {
+  USER_ROLES,
+  RESPONDER_DEPARTMENTS,
+  NOTE_VISIBILITY,
+  INCIDENT_NOTES
+} = require('../config/constants');
+
+/**
+ * Check whether a viewer may read and write internal notes on an incident
+ * Responders qualify when the incident belongs to their role's departments
+ * or is assigned to them
+ * @param {object} authUser - req.user from the auth middleware (may be null)
+ * @param {object} incident - Incident document
+ * @returns {boolean}
+ */
+const canAccessInternalNotes = (authUser, incident) => {
+  if (!authUser || !authUser.userId) {
+    return false;
+  }
+
+  if (authUser.role === USER_ROLES.ADMIN) {
+    return true;
+  }
+
+  const departments = RESPONDER_DEPARTMENTS[authUser.role];
+  if (!departments) {
+    return false;
+  }
+
+  return departments.includes(incident.department) ||
+    Boolean(incident.currentAssignment && incident.currentAssignment.toString() === authUser.userId.toString());
+};
+
+/**
+ * Get the note visibilities a viewer may see on an incident
+ * @param {object} authUser - req.user from the auth middleware (may be null)
+ * @param {object} incident - Incident document
+ * @returns {Array<string>} - Visible NOTE_VISIBILITY values
+ */
+const getVisibleNoteTypes = (authUser, incident) => (
+  canAccessInternalNotes(authUser, incident)
+    ? [NOTE_VISIBILITY.INTERNAL, NOTE_VISIBILITY.PUBLIC]
+    : [NOTE_VISIBILITY.PUBLIC]
+);
+
+/**
+ * Format a note for API responses
+ * @param {object} note - IncidentNote document
+ * @param {object} incident - Incident the note belongs to
+ * @returns {object} - Note summary
+ */
+const formatNote = (note, incident) => ({
+  id: note._id,
+  parentNoteId: note.parentNote || null,
+  author: {
+    id: note.author,
+    role: note.authorRole,
+    isReporter: incident.reportedBy.toString() === note.author.toString()
+  },
+  visibility: note.visibility,
+  content: note.content,
+  attachments: note.attachments.map(attachment => ({
+    url: attachment.url,
+    type: attachment.type,
+    filename: attachment.filename || null,
+    size: attachment.size ?? null
+  })),
+  createdAt: note.createdAt,
+  edited: note.editHistory.length > 0,
+  editedAt: note.editedAt || null,
+  editHistory: note.editHistory.map(edit => ({
+    content: edit.content,
+    editedAt: edit.editedAt,
+    editedBy: edit.editedBy
+  }))
+});
+
+/**
+ * List the note threads on an incident visible to a viewer
+ * Top-level notes are paginated newest first; each carries all of its
+ * replies, oldest first
+ * @param {object} incident - Incident document
+ * @param {Array<string>} visibilities - Visible NOTE_VISIBILITY values
+ * @param {object} options - { page, limit, visibility }
+ * @returns {Promise<object>} - { threads, pagination }
+ */
+const listNoteThreads = async (incident, visibilities, options = {}) => {
+  const { page = 1, limit = INCIDENT_NOTES.DEFAULT_LIMIT, visibility } = options;
+  const shown = visibility ? visibilities.filter(value => value === visibility) : visibilities;
+
+  const rootFilter = {
+    incident: incident._id,
+    parentNote: null,
+    visibility: { $in: shown }
+  };
+
+  const [roots, totalThreads] = await Promise.all([
+    IncidentNote.find(rootFilter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    IncidentNote.countDocuments(rootFilter)
+  ]);
+
+  const replies = roots.length > 0
+    ? await IncidentNote.find({
+      incident: incident._id,
+      parentNote: { $in: roots.map(root => root._id) },
+      visibility: { $in: shown }
+    }).sort({ createdAt: 1 })
+    : [];
+
+  const threads = roots.map(root => ({
+    ...formatNote(root, incident),
+    replies: replies
+      .filter(reply => reply.parentNote.toString() === root._id.toString())
+      .map(reply => formatNote(reply, incident))
+  }));
+
+  return {
+    threads,
+    pagination: {
+      page,
+      limit,
+      total: totalThreads,
+      pages: Math.ceil(totalThreads / limit),
+      hasNext: page * limit < totalThreads,
+      hasPrev: page > 1
+    }
+  };
+};
+
+module.exports = {
+  canAccessInternalNotes,
+  getVisibleNoteTypes,
+  formatNote,
+  listNoteThreads
+};
@@ -0,0 +1,153 @@
+/**
+ * Jurisdiction Service
+ *
+ * Matches incidents and officers to jurisdiction boundaries. Incidents are
+ * matched by jurisdiction id; incidents reported before their area had a
+ * boundary only carry a jurisdiction code and are matched by that instead
+ */
+
+const Incident = require('../models/Incident');
+const Jurisdiction = require('../models/Jurisdiction');
+const { JURISDICTIONS } = require('../config/constants');
+
+/**
+ * Build the incident filter for an officer's jurisdiction
+ * Incidents without a jurisdiction are visible to every officer
+ * @param {object} officer - User document with jurisdiction and jurisdictionId
+ * @returns {object} - MongoDB filter
+ */
+const buildJurisdictionFilter = (officer) => {
+  if (officer?.jurisdictionId) {
+    return {
+      $or: [
+        { jurisdictionId: officer.jurisdictionId },
+        { jurisdictionId: null, jurisdiction: { $in: [officer.jurisdiction || null, null] } }
+      ]
+    };
+  }
+
+  if (officer?.jurisdiction) {
+    return {
+      $or: [
+        { jurisdiction: officer.jurisdiction },
+        { jurisdiction: null }
+      ]
+    };
+  }
+
+  return {};
+};
+
+/**
+ * Build the incident filter for one jurisdiction
+ * @param {object} jurisdiction - Jurisdiction document
+ * @returns {object} - MongoDB filter
+ */
+const buildIncidentsInJurisdictionFilter = (jurisdiction) => ({
+  $or: [
+    { jurisdictionId: jurisdiction._id },
+    { jurisdictionId: null, jurisdiction: jurisdiction.code }
+  ]
+});
+
+/**
+ * Check whether an incident lies in an officer's jurisdiction
+ * Incidents or officers without a jurisdiction are never out of area
+ * @param {object} incident - Incident document
+ * @param {object} officer - User document
+ * @returns {boolean}
+ */
+const isInOfficerJurisdiction = (incident, officer) => {
+  if (incident.jurisdictionId && officer?.jurisdictionId) {
+    return incident.jurisdictionId.toString() === officer.jurisdictionId.toString();
+  }
+
+  return !incident.jurisdiction || !officer?.jurisdiction || incident.jurisdiction === officer.jurisdiction;
+};
+
+/**
+ * Reference to the jurisdiction of an incident or officer for
+ * User.findByJurisdiction
+ * @param {object} holder - Incident or user document
+ * @returns {object|string|null} - { _id, code } when linked by id, else the code
+ */
+const getJurisdictionRef = (holder) => {
+  if (holder?.jurisdictionId) {
+    return { _id: holder.jurisdictionId, code: holder.jurisdiction };
+  }
+  return holder?.jurisdiction || null;
+};
+
+/**
+ * Find a jurisdiction by id or code
+ * @param {string} idOrCode - Jurisdiction ObjectId or code
+ * @returns {Promise<object|null>} - Jurisdiction document
+ */
+const findJurisdiction = (idOrCode) => (/^[0-9a-fA-F]{24}$/.test(idOrCode)
+  ? Jurisdiction.findById(idOrCode)
+  : Jurisdiction.findOne({ code: String(idOrCode).toLowerCase() }));
+
+/**
+ * Re-stamp open incidents after a jurisdiction was created, re-drawn or
+ * deactivated. Incidents it no longer contains are matched against the
+ * remaining boundaries and keep their jurisdiction code if none match
+ * @param {object} jurisdiction - Saved jurisdiction document
+ * @returns {Promise<object>} - { stamped, released }
+ */
+const restampIncidents = async (jurisdiction) => {
+  const open = { status: { $in: JURISDICTIONS.RESTAMP_STATUSES } };
+
+  const previous = await Incident.find({ ...open, jurisdictionId: jurisdiction._id })
+    .select('location department')
+    .lean();
+
+  if (previous.length > 0) {
+    await Incident.updateMany(
+      { _id: { $in: previous.map(incident => incident._id) } },
+      { $unset: { jurisdictionId: 1 } }
+    );
+  }
+
+  if (jurisdiction.isActive) {
+    const { type, coordinates } = jurisdiction.boundary;
+
+    await Incident.updateMany(
+      {
+        ...open,
+        jurisdictionId: null,
+        department: { $in: jurisdiction.departments },
+        location: { $geoWithin: { $geometry: { type, coordinates } } }
+      },
+      { $set: { jurisdictionId: jurisdiction._id, jurisdiction: jurisdiction.code } }
+    );
+  }
+
+  // Incidents outside the new boundary may fall inside another one
+  const released = await Incident.find({
+    _id: { $in: previous.map(incident => incident._id) },
+    jurisdictionId: null
+  }).select('location department');
+
+  for (const incident of released) {
+    const match = await Jurisdiction.findContaining(incident.location.coordinates, incident.department);
+    if (match) {
+      await Incident.updateOne(
+        { _id: incident._id },
+        { $set: { jurisdictionId: match._id, jurisdiction: match.code } }
+      );
+    }
+  }
+
+  const stamped = await Incident.countDocuments({ ...open, jurisdictionId: jurisdiction._id });
+
+  return { stamped, released: released.length };
+};
+
+module.exports = {
+  buildJurisdictionFilter,
+  buildIncidentsInJurisdictionFilter,
+  isInOfficerJurisdiction,
+  getJurisdictionRef,
+  findJurisdiction,
+  restampIncidents
+};
@@ -0,0 +1,72 @@
+/**
+ * Local Notifier
+ *
+ * Stand-in transport for every notification channel, used when
+ * NOTIFICATION_TRANSPORT is "local" (the default under tests). Messages
+ * are kept in an in-memory outbox instead of being sent, so development
+ * setups need no mail server or gateway and tests can inspect what would
+ * have been delivered
+ */
+
+const { NOTIFICATION_CHANNELS } = require('../config/notifications');
+
+const MAX_OUTBOX_SIZE = 1000;
+
+let outbox = [];
+let sequence = 0;
+
+/**
+ * Record a message in the outbox
+ * @param {Object} delivery - { channel, to, deliveryId, event, message }
+ * @returns {Promise<Object>} { messageId }, plus delivered and expired for push
+ */
+const send = async ({ channel, to, deliveryId, event, message }) => {
+  sequence += 1;
+  const messageId = `local-${sequence}`;
+
+  outbox.push({ messageId, channel, to, deliveryId, event, message, sentAt: new Date() });
+  if (outbox.length > MAX_OUTBOX_SIZE) {
+    outbox = outbox.slice(-MAX_OUTBOX_SIZE);
+  }
+
+  if (channel === NOTIFICATION_CHANNELS.PUSH) {
+    return { messageId, delivered: to.length, expired: [] };
+  }
+
+  return { messageId };
+};
+
+/**
+ * Get recorded messages
+ * @param {Object} [filter] - { channel, event, to } to narrow the result
+ * @returns {Array<Object>} Messages, oldest first
+ */
+const getOutbox = (filter = {}) => outbox.filter(entry =>
+  Object.entries(filter).every(([key, value]) => entry[key] === value)
+);
+
+/**
+ * Clear the outbox
+ */
+const clearOutbox = () => {
+  outbox = [];
+};
+
+/**
+ * Report local transport health
+ * @returns {Promise<Object>} { service, healthy, configuration }
+ */
+const getHealth = async () => ({
+  service: 'Local Notification Outbox',
+  healthy: true,
+  configuration: {
+    messages: outbox.length
+  }
+});
+
+module.exports = {
+  send,
+  getOutbox,
+  clearOutbox,
+  getHealth
+};
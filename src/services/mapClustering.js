@@ -0,0 +1,176 @@
+/**
+ * Map Clustering Service
+ *
+ * Groups incidents inside a map viewport into Web Mercator grid cells sized
+ * in screen pixels, so the map draws one marker per cell instead of one per
+ * incident. Cells holding a single incident, and every incident once the map
+ * is zoomed in far enough, are returned individually
+ */
+
+const Incident = require('../models/Incident');
+const { MAP_CLUSTERING } = require('../config/constants');
+
+/**
+ * Web Mercator stops at this latitude; positions beyond it share the edge cells
+ */
+const MAX_MERCATOR_LATITUDE = 85.05112878;
+
+const TILE_SIZE_PIXELS = 256;
+
+const SEVERITIES = Incident.schema.path('severity').enumValues;
+const TYPES = Incident.schema.path('type').enumValues;
+
+/**
+ * Number of grid cells across the world at a zoom level
+ * @param {number} zoom - Map zoom level
+ * @returns {number}
+ */
+const getCellsAcross = (zoom) => (TILE_SIZE_PIXELS * 2 ** zoom) / MAP_CLUSTERING.CELL_SIZE_PIXELS;
+
+/**
+ * $group accumulators counting documents per value of a field
+ * @param {string} field - Document field
+ * @param {Array<string>} values - Possible values
+ * @returns {object} - Accumulators keyed `${field}_${value}`
+ */
+const countByAccumulators = (field, values) => Object.fromEntries(values.map(value => [
+  `${field}_${value}`,
+  { $sum: { $cond: [{ $eq: [`$${field}`, value] }, 1, 0] } }
+]));
+
+/**
+ * Collect non-zero `${field}_${value}` counts from a cell into an object
+ * @param {object} cell - Aggregated cell
+ * @param {string} field - Document field
+ * @param {Array<string>} values - Possible values
+ * @returns {object} - Counts keyed by value
+ */
+const collectCounts = (cell, field, values) => Object.fromEntries(
+  values
+    .map(value => [value, cell[`${field}_${value}`]])
+    .filter(([, count]) => count > 0)
+);
+
+/**
+ * Build the aggregation pipeline grouping matching incidents into grid cells
+ * @param {object} query - Incident query including the viewport filter
+ * @param {number} zoom - Map zoom level
+ * @returns {Array<object>} - Aggregation pipeline
+ */
+const buildClusterPipeline = (query, zoom) => {
+  const cellsAcross = getCellsAcross(zoom);
+  const latitudeRadians = { $degreesToRadians: '$latitude' };
+
+  // Web Mercator: y = (1 - ln(tan(φ) + sec(φ)) / π) / 2
+  const mercatorY = {
+    $divide: [
+      {
+        $subtract: [1, {
+          $divide: [
+            { $ln: { $add: [{ $tan: latitudeRadians }, { $divide: [1, { $cos: latitudeRadians }] }] } },
+            Math.PI
+          ]
+        }]
+      },
+      2
+    ]
+  };
+
+  return [
+    { $match: query },
+    {
+      $project: {
+        severity: 1,
+        type: 1,
+        longitude: { $arrayElemAt: ['$location.coordinates', 0] },
+        latitude: {
+          $max: [
+            { $min: [{ $arrayElemAt: ['$location.coordinates', 1] }, MAX_MERCATOR_LATITUDE] },
+            -MAX_MERCATOR_LATITUDE
+          ]
+        }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          x: { $floor: { $multiply: [{ $divide: [{ $add: ['$longitude', 180] }, 360] }, cellsAcross] } },
+          y: { $floor: { $multiply: [mercatorY, cellsAcross] } }
+        },
+        count: { $sum: 1 },
+        incidentId: { $first: '$_id' },
+        latitude: { $avg: '$latitude' },
+        longitude: { $avg: '$longitude' },
+        south: { $min: '$latitude' },
+        north: { $max: '$latitude' },
+        west: { $min: '$longitude' },
+        east: { $max: '$longitude' },
+        ...countByAccumulators('severity', SEVERITIES),
+        ...countByAccumulators('type', TYPES)
+      }
+    },
+    { $sort: { count: -1 } },
+    { $limit: MAP_CLUSTERING.MAX_CLUSTERS }
+  ];
+};
+
+/**
+ * Format an aggregated cell for API responses
+ * @param {object} cell - Aggregated cell
+ * @param {number} zoom - Map zoom level
+ * @returns {object} - Cluster summary
+ */
+const formatCluster = (cell, zoom) => ({
+  id: `${zoom}/${cell._id.x}/${cell._id.y}`,
+  count: cell.count,
+  center: { latitude: cell.latitude, longitude: cell.longitude },
+  bounds: { west: cell.west, south: cell.south, east: cell.east, north: cell.north },
+  bySeverity: collectCounts(cell, 'severity', SEVERITIES),
+  byType: collectCounts(cell, 'type', TYPES)
+});
+
+/**
+ * Cluster the incidents matching a viewport query
+ * @param {object} query - Incident query including the viewport filter
+ * @param {number} zoom - Map zoom level
+ * @returns {Promise<object>} - { mode, clusters, incidents, total, truncated }
+ *   where incidents are Incident documents
+ */
+const clusterIncidents = async (query, zoom) => {
+  if (zoom >= MAP_CLUSTERING.EXPAND_ZOOM) {
+    const [incidents, total] = await Promise.all([
+      Incident.find(query)
+        .sort({ reportedAt: -1 })
+        .limit(MAP_CLUSTERING.MAX_INCIDENTS),
+      Incident.countDocuments(query)
+    ]);
+
+    return {
+      mode: 'incidents',
+      clusters: [],
+      incidents,
+      total,
+      truncated: total > incidents.length
+    };
+  }
+
+  const cells = await Incident.aggregate(buildClusterPipeline(query, zoom));
+  const singleIds = cells.filter(cell => cell.count === 1).map(cell => cell.incidentId);
+  const incidents = singleIds.length > 0
+    ? await Incident.find({ _id: { $in: singleIds } })
+    : [];
+
+  return {
+    mode: 'clusters',
+    clusters: cells.filter(cell => cell.count > 1).map(cell => formatCluster(cell, zoom)),
+    incidents,
+    total: cells.reduce((sum, cell) => sum + cell.count, 0),
+    truncated: cells.length === MAP_CLUSTERING.MAX_CLUSTERS
+  };
+};
+
+module.exports = {
+  getCellsAcross,
+  buildClusterPipeline,
+  clusterIncidents
+};
@@ -1,17 +1,18 @@
 /**
- * Google Maps Service
+ * Maps Service
  * 
  * Handles geocoding, reverse geocoding, distance calculations,
- * and location validation for the emergency incident platform
+ * and location validation for the emergency incident platform.
+ * Geocoding goes through the configured provider (see services/geocoding)
  */
 
-const axios = require('axios');
-const { MAPS_CONFIG, buildApiUrl, validateMapsConfig } = require('../config/maps');
+const { MAPS_CONFIG, validateMapsConfig } = require('../config/maps');
+const geocoding = require('./geocoding');
 
 // Validate configuration on startup
 const configValidation = validateMapsConfig();
 if (!configValidation.isValid) {
-  console.warn('⚠️ Google Maps service may not function properly due to configuration issues');
+  console.warn('⚠️ Maps service may not function properly due to configuration issues');
 }
 
 /**
@@ -95,41 +96,17 @@ const geocodeAddress = async (address, options = {}) => {
       throw new Error(`Address exceeds maximum length of ${MAPS_CONFIG.VALIDATION.ADDRESS_MAX_LENGTH} characters`);
     }
     
-    const params = {
-      address: address.trim(),
-      language: options.language || MAPS_CONFIG.GEOCODING.LANGUAGE,
-      region: options.region || MAPS_CONFIG.GEOCODING.REGION,
-      ...options
-    };
-    
-    const url = buildApiUrl('geocode', params);
+    const result = await geocoding.geocode(address, options);
     
-    const response = await axios.get(url, {
-      timeout: MAPS_CONFIG.FALLBACK.TIMEOUT_MS
-    });
-    
-    if (response.data.status === 'OK' && response.data.results.length > 0) {
-      const result = response.data.results[0];
-      const location = result.geometry.location;
-      
-      return {
-        success: true,
-        coordinates: {
-          lat: location.lat,
-          lng: location.lng
-        },
-        formattedAddress: result.formatted_address,
-        addressComponents: result.address_components,
-        placeId: result.place_id,
-        locationType: result.geometry.location_type,
-        viewport: result.geometry.viewport,
-        types: result.types
-      };
-    } else {
-      const errorMessage = getGeocodingErrorMessage(response.data.status);
-      throw new Error(errorMessage);
+    if (!result) {
+      throw new Error('No results found for the provided address');
     }
     
+    return {
+      success: true,
+      ...result
+    };
+    
   } catch (error) {
     console.error('Geocoding error:', error);
     
@@ -163,39 +140,17 @@ const reverseGeocode = async (lat, lng, options = {}) => {
       throw new Error(`Invalid coordinates: ${validation.errors.join(', ')}`);
     }
     
-    const params = {
-      latlng: `${lat},${lng}`,
-      language: options.language || MAPS_CONFIG.GEOCODING.LANGUAGE,
-      result_type: options.resultType || MAPS_CONFIG.GEOCODING.RESULT_TYPE,
-      location_type: options.locationType || MAPS_CONFIG.GEOCODING.LOCATION_TYPE,
-      ...options
-    };
-    
-    const url = buildApiUrl('geocode', params);
-    
-    const response = await axios.get(url, {
-      timeout: MAPS_CONFIG.FALLBACK.TIMEOUT_MS
-    });
+    const result = await geocoding.reverseGeocode(lat, lng, options);
     
-    if (response.data.status === 'OK' && response.data.results.length > 0) {
-      const result = response.data.results[0];
-      
-      return {
-        success: true,
-        formattedAddress: result.formatted_address,
-        addressComponents: result.address_components,
-        placeId: result.place_id,
-        types: result.types,
-        coordinates: {
-          lat: result.geometry.location.lat,
-          lng: result.geometry.location.lng
-        }
-      };
-    } else {
-      const errorMessage = getGeocodingErrorMessage(response.data.status);
-      throw new Error(errorMessage);
+    if (!result) {
+      throw new Error('No results found for the provided coordinates');
     }
     
+    return {
+      success: true,
+      ...result
+    };
+    
   } catch (error) {
     console.error('Reverse geocoding error:', error);
     
@@ -316,23 +271,6 @@ const formatDistance = (distanceMeters) => {
   }
 };
 
-/**
- * Get error message for geocoding status
- * @param {string} status - Google Maps API status
- * @returns {string} Human-readable error message
- */
-const getGeocodingErrorMessage = (status) => {
-  const errorMessages = {
-    'ZERO_RESULTS': 'No results found for the provided address',
-    'OVER_QUERY_LIMIT': 'API query limit exceeded',
-    'REQUEST_DENIED': 'API request denied - check API key',
-    'INVALID_REQUEST': 'Invalid request parameters',
-    'UNKNOWN_ERROR': 'Unknown error occurred'
-  };
-  
-  return errorMessages[status] || `Geocoding failed with status: ${status}`;
-};
-
 /**
  * Simple point-in-polygon algorithm (ray casting)
  * @param {Object} point - Point coordinates {lat, lng}
@@ -354,6 +292,7 @@ const pointInPolygon = (point, polygon) => {
 
 /**
  * Batch geocode multiple addresses
+ * Lookups run MAPS_CONFIG.BATCH.CONCURRENCY at a time and share the geocoding cache
  * @param {Array} addresses - Array of addresses to geocode
  * @param {Object} options - Geocoding options
  * @returns {Promise<Array>} Array of geocoding results
@@ -364,30 +303,16 @@ const batchGeocode = async (addresses, options = {}) => {
       throw new Error('Addresses must be an array');
     }
     
-    const results = [];
-    const batchSize = options.batchSize || 10;
-    const delay = options.delay || 100; // ms between requests
-    
-    for (let i = 0; i < addresses.length; i += batchSize) {
-      const batch = addresses.slice(i, i + batchSize);
-      const batchPromises = batch.map(address => 
-        geocodeAddress(address, options).catch(error => ({
-          success: false,
-          error: error.message,
-          address
-        }))
-      );
-      
-      const batchResults = await Promise.all(batchPromises);
-      results.push(...batchResults);
-      
-      // Add delay between batches to respect rate limits
-      if (i + batchSize < addresses.length) {
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
+    if (addresses.length > MAPS_CONFIG.BATCH.MAX_ADDRESSES) {
+      throw new Error(`Cannot geocode more than ${MAPS_CONFIG.BATCH.MAX_ADDRESSES} addresses at once`);
     }
     
-    return results;
+    const results = await geocoding.batchGeocode(addresses, options);
+    
+    return results.map(({ address, success, result, error }) => (success && result
+      ? { success: true, address, ...result }
+      : { success: false, error: error || 'No results found for the provided address', address }
+    ));
     
   } catch (error) {
     console.error('Batch geocoding error:', error);
@@ -0,0 +1,122 @@
+/**
+ * Media Processing Service
+ *
+ * Runs on every upload before the file reaches storage: reads EXIF capture
+ * time and GPS from photos and removes location metadata from the stored
+ * copy. For incident media, the EXIF data is cross-checked against the
+ * incident's location and time to flag photos taken elsewhere or at another
+ * time.
+ */
+
+const { extractExif, stripLocationMetadata } = require('../utils/exif');
+const { calculateDistance } = require('../utils/helpers');
+const { MEDIA_EVIDENCE, MEDIA_EVIDENCE_FLAGS } = require('../config/constants');
+
+/**
+ * Extract EXIF data and strip location metadata from an uploaded file
+ * Only images are processed; other files are returned unchanged
+ * @param {Buffer} fileBuffer - File contents
+ * @param {string} mimeType - File MIME type
+ * @returns {Object} { buffer, exif, metadataStripped }
+ */
+const processMediaFile = (fileBuffer, mimeType) => {
+  if (!mimeType || !mimeType.startsWith('image/')) {
+    return { buffer: fileBuffer, exif: null, metadataStripped: false };
+  }
+
+  const exif = extractExif(fileBuffer);
+  const { buffer, stripped } = stripLocationMetadata(fileBuffer);
+
+  return { buffer, exif, metadataStripped: stripped };
+};
+
+/**
+ * Cross-check a photo's EXIF data against its incident
+ * @param {Object} exif - Result of processMediaFile (may be null)
+ * @param {Object} incident - Incident document
+ * @returns {Object|null} { distanceMeters, timeOffsetMinutes, flags, checkedAt },
+ *   or null when the photo has neither a capture time nor GPS position
+ */
+const checkMediaEvidence = (exif, incident) => {
+  if (!exif || (!exif.location && !exif.capturedAt)) {
+    return null;
+  }
+
+  const check = {
+    distanceMeters: null,
+    timeOffsetMinutes: null,
+    flags: [],
+    checkedAt: new Date()
+  };
+
+  if (exif.location && incident.location && incident.location.coordinates) {
+    const [longitude, latitude] = incident.location.coordinates;
+
+    check.distanceMeters = Math.round(
+      calculateDistance(exif.location.latitude, exif.location.longitude, latitude, longitude)
+    );
+
+    if (check.distanceMeters > MEDIA_EVIDENCE.MAX_DISTANCE_METERS) {
+      check.flags.push(MEDIA_EVIDENCE_FLAGS.GPS_MISMATCH);
+    }
+  }
+
+  if (exif.capturedAt && incident.incidentTime) {
+    const allowance = MEDIA_EVIDENCE.MAX_TIME_OFFSET_MINUTES +
+      (exif.capturedAtHasTimeZone ? 0 : MEDIA_EVIDENCE.UNKNOWN_TIME_ZONE_ALLOWANCE_MINUTES);
+
+    check.timeOffsetMinutes = Math.round(
+      Math.abs(new Date(exif.capturedAt) - new Date(incident.incidentTime)) / (60 * 1000)
+    );
+
+    if (check.timeOffsetMinutes > allowance) {
+      check.flags.push(MEDIA_EVIDENCE_FLAGS.CAPTURE_TIME_MISMATCH);
+    }
+  }
+
+  return check;
+};
+
+/**
+ * Convert EXIF data to the incident media exif shape (GeoJSON location)
+ * @param {Object} exif - Result of processMediaFile (may be null)
+ * @returns {Object|undefined} mediaExifSchema value
+ */
+const toMediaExif = (exif) => {
+  if (!exif) {
+    return undefined;
+  }
+
+  return {
+    capturedAt: exif.capturedAt || undefined,
+    capturedAtHasTimeZone: exif.capturedAtHasTimeZone,
+    location: exif.location
+      ? { type: 'Point', coordinates: [exif.location.longitude, exif.location.latitude] }
+      : undefined,
+    cameraMake: exif.cameraMake || undefined,
+    cameraModel: exif.cameraModel || undefined
+  };
+};
+
+/**
+ * Remove EXIF capture locations from incident media for viewers who may not
+ * see where reporters were standing
+ * @param {Array<Object>} mediaList - Incident media entries (plain objects)
+ * @returns {Array<Object>} Media entries without exif.location
+ */
+const redactCaptureLocations = (mediaList = []) => mediaList.map(media => {
+  if (!media.exif || !media.exif.location) {
+    return media;
+  }
+
+  const exif = { ...media.exif };
+  delete exif.location;
+  return { ...media, exif };
+});
+
+module.exports = {
+  processMediaFile,
+  checkMediaEvidence,
+  toMediaExif,
+  redactCaptureLocations
+};
@@ -0,0 +1,199 @@
+/**
+ * Media Storage Service
+ *
+ * Storage adapter used by the media routes and incident media flows. Every
+ * provider implements uploadMedia, deleteMedia, getSignedUrl,
+ * getMediaMetadata and getHealth; the provider for new uploads is chosen by
+ * MEDIA_STORAGE_PROVIDER. Providers are loaded on first use so an unused
+ * provider never needs credentials. Photos go through the processing
+ * pipeline first, so stored copies never carry location metadata.
+ */
+
+const { upload, validateFile } = require('./mediaUpload');
+const { processMediaFile } = require('./mediaProcessing');
+const {
+  STORAGE_PROVIDERS,
+  STORAGE_CONFIG,
+  STORAGE_ERROR_CODES
+} = require('../config/storage');
+const { HTTP_STATUS } = require('../config/constants');
+
+const PROVIDER_LOADERS = {
+  [STORAGE_PROVIDERS.CLOUDINARY]: () => require('./cloudinary'),
+  [STORAGE_PROVIDERS.LOCAL]: () => require('./localMediaStorage')
+};
+
+/**
+ * Get the name of the provider used for new uploads
+ * @returns {string} STORAGE_PROVIDERS value
+ */
+const getProviderName = () => STORAGE_CONFIG.PROVIDER;
+
+/**
+ * Load a storage provider
+ * @param {string} name - STORAGE_PROVIDERS value (defaults to the configured provider)
+ * @returns {Object} Provider module
+ */
+const getProvider = (name = getProviderName()) => {
+  const loader = PROVIDER_LOADERS[name];
+
+  if (!loader) {
+    const error = new Error(`Unknown media storage provider: ${name}`);
+    error.statusCode = HTTP_STATUS.INTERNAL_SERVER_ERROR;
+    error.code = STORAGE_ERROR_CODES.UNKNOWN_PROVIDER;
+    throw error;
+  }
+
+  return loader();
+};
+
+/**
+ * Process and upload a media file with the configured provider
+ * EXIF data is read before location metadata is stripped from the stored copy
+ * @param {Buffer} fileBuffer - File buffer from multer
+ * @param {Object} options - { folder, tags, mimeType }
+ * @returns {Promise<Object>} Upload result tagged with the provider name,
+ *   plus the extracted exif and whether metadata was stripped
+ */
+const uploadMedia = async (fileBuffer, options = {}) => {
+  const provider = getProviderName();
+  const { buffer, exif, metadataStripped } = processMediaFile(fileBuffer, options.mimeType);
+  const result = await getProvider(provider).uploadMedia(buffer, options);
+
+  return { ...result, provider, exif, metadataStripped };
+};
+
+/**
+ * Upload multiple media files with the configured provider
+ * If any upload fails, the files already stored are deleted again
+ * @param {Array} files - Array of file objects from multer
+ * @param {Object} options - Upload options
+ * @returns {Promise<Array>} Array of upload results
+ */
+const uploadMultipleMedia = async (files, options = {}) => {
+  const folder = `${options.folder || 'emergency-incidents'}/${Date.now()}`;
+
+  const settled = await Promise.allSettled(files.map(file =>
+    uploadMedia(file.buffer, { ...options, folder, mimeType: file.mimetype })
+  ));
+  const results = settled.filter(result => result.status === 'fulfilled').map(result => result.value);
+  const failure = settled.find(result => result.status === 'rejected');
+
+  if (failure) {
+    console.error('Multiple upload error:', failure.reason);
+    await rollbackUploads(results);
+    throw new Error(`Multiple media upload failed: ${failure.reason.message}`);
+  }
+
+  console.log(`✅ Successfully uploaded ${results.length} media files`);
+  return results;
+};
+
+/**
+ * Delete stored media
+ * @param {string} publicId - Provider storage key
+ * @param {string} resourceType - Resource type (image/video)
+ * @param {string} provider - Provider that stored the file (defaults to the configured provider)
+ * @returns {Promise<Object>} Deletion result
+ */
+const deleteMedia = (publicId, resourceType = 'image', provider = getProviderName()) => (
+  getProvider(provider).deleteMedia(publicId, resourceType)
+);
+
+/**
+ * Delete uploaded files from storage after a failed request
+ * Failures are logged rather than thrown so the original error is reported
+ * @param {Array<Object>} uploads - Results from uploadMedia
+ * @returns {Promise<void>}
+ */
+const rollbackUploads = async (uploads) => {
+  const results = await Promise.allSettled(
+    uploads.map(upload => deleteMedia(upload.publicId, upload.resourceType, upload.provider))
+  );
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.error(`Failed to roll back media upload ${uploads[index].publicId}:`, result.reason.message);
+    }
+  });
+};
+
+/**
+ * Get a signed delivery URL for stored media
+ * @param {string} publicId - Provider storage key
+ * @param {Object} options - { resourceType, expiresIn }
+ * @param {string} provider - Provider that stored the file (defaults to the configured provider)
+ * @returns {Object} { url, expiresAt }
+ */
+const getSignedUrl = (publicId, options = {}, provider = getProviderName()) => (
+  getProvider(provider).getSignedUrl(publicId, options)
+);
+
+/**
+ * Get metadata for stored media
+ * @param {string} publicId - Provider storage key
+ * @param {string} provider - Provider that stored the file (defaults to the configured provider)
+ * @returns {Promise<Object>} Media metadata
+ */
+const getMediaMetadata = (publicId, provider = getProviderName()) => (
+  getProvider(provider).getMediaMetadata(publicId)
+);
+
+/**
+ * Generate a signed upload URL for direct client uploads
+ * Only providers with a public upload endpoint support this
+ * @param {Object} options - Upload options
+ * @returns {Object} Signed upload data
+ */
+const generateSignedUploadUrl = (options = {}) => {
+  const provider = getProvider();
+
+  if (!provider.generateSignedUploadUrl) {
+    const error = new Error(`Direct uploads are not supported by the ${getProviderName()} storage provider`);
+    error.statusCode = HTTP_STATUS.BAD_REQUEST;
+    error.code = STORAGE_ERROR_CODES.OPERATION_NOT_SUPPORTED;
+    throw error;
+  }
+
+  return provider.generateSignedUploadUrl(options);
+};
+
+/**
+ * Report the health of the configured provider
+ * @returns {Promise<Object>} { provider, service, healthy, configuration }
+ */
+const getStorageHealth = async () => ({
+  provider: getProviderName(),
+  ...await getProvider().getHealth()
+});
+
+/**
+ * Replace stored URLs of locally stored incident media with fresh signed URLs
+ * Local URLs expire, so the URLs saved at upload time cannot be served as-is
+ * @param {Array<Object>} mediaList - Incident media entries (plain objects)
+ * @returns {Array<Object>} Media entries with current URLs
+ */
+const signMediaUrls = (mediaList = []) => mediaList.map(media => {
+  if (media.storageProvider !== STORAGE_PROVIDERS.LOCAL) {
+    return media;
+  }
+
+  const { url } = getSignedUrl(media.cloudinaryId, {}, STORAGE_PROVIDERS.LOCAL);
+  return { ...media, publicUrl: url, secureUrl: url };
+});
+
+module.exports = {
+  upload,
+  validateFile,
+  getProviderName,
+  getProvider,
+  uploadMedia,
+  uploadMultipleMedia,
+  deleteMedia,
+  rollbackUploads,
+  getSignedUrl,
+  getMediaMetadata,
+  generateSignedUploadUrl,
+  getStorageHealth,
+  signMediaUrls
+};
@@ -0,0 +1,92 @@
+/**
+ * Media Upload Handling
+ *
+ * Multer configuration and file validation shared by every storage provider.
+ * Files are buffered in memory and handed to the configured provider.
+ */
+
+const multer = require('multer');
+const { FILE_VALIDATION } = require('../config/cloudinary');
+
+/**
+ * Multer configuration for handling file uploads
+ */
+const storage = multer.memoryStorage();
+
+const fileFilter = (req, file, cb) => {
+  // Allowed file types
+  const allowedTypes = [
+    'image/jpeg',
+    'image/jpg',
+    'image/png',
+    'image/gif',
+    'image/webp',
+    'video/mp4',
+    'video/avi',
+    'video/mov',
+    'video/wmv'
+  ];
+
+  if (allowedTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error(`File type ${file.mimetype} is not allowed. Only images and videos are permitted.`), false);
+  }
+};
+
+const upload = multer({
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+    files: 5 // Maximum 5 files per request
+  }
+});
+
+/**
+ * Validate file type and size
+ * @param {Object} file - File object from multer
+ * @returns {Object} Validation result
+ */
+const validateFile = (file) => {
+  const errors = [];
+
+  // Check file type
+  const allowedTypes = [
+    'image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp',
+    'video/mp4', 'video/avi', 'video/mov', 'video/wmv'
+  ];
+
+  if (!allowedTypes.includes(file.mimetype)) {
+    errors.push(`File type ${file.mimetype} is not allowed`);
+  }
+
+  // Check file size based on type
+  let maxSize = FILE_VALIDATION.MAX_FILE_SIZE; // Default 10MB
+
+  // Use type-specific limits
+  if (FILE_VALIDATION.ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+    maxSize = FILE_VALIDATION.MAX_IMAGE_SIZE; // 5MB for images
+  } else if (FILE_VALIDATION.ALLOWED_VIDEO_TYPES.includes(file.mimetype)) {
+    maxSize = FILE_VALIDATION.MAX_VIDEO_SIZE; // 10MB for videos
+  }
+
+  if (file.size > maxSize) {
+    errors.push(`File size ${file.size} exceeds maximum allowed size of ${maxSize} bytes`);
+  }
+
+  // Check if file has content
+  if (!file.buffer || file.buffer.length === 0) {
+    errors.push('File appears to be empty');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+module.exports = {
+  upload,
+  validateFile
+};
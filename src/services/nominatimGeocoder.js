@@ -0,0 +1,147 @@
+/**
+ * Nominatim Geocoder
+ *
+ * Geocoding provider for the OpenStreetMap Nominatim API or any
+ * compatible self-hosted instance (MAPS_CONFIG.NOMINATIM.BASE_URL). The
+ * public instance requires an identifying User-Agent and allows about one
+ * request per second, so production deployments should self-host.
+ */
+
+const axios = require('axios');
+const { MAPS_CONFIG, GEOCODING_PROVIDERS } = require('../config/maps');
+
+/**
+ * Precision reported for Nominatim address types
+ */
+const ADDRESS_TYPE_PRECISION = {
+  house: 'address',
+  building: 'address',
+  road: 'street',
+  suburb: 'locality',
+  neighbourhood: 'locality',
+  quarter: 'locality',
+  city: 'city',
+  town: 'city',
+  village: 'city',
+  postcode: 'pincode'
+};
+
+/**
+ * Normalize a Nominatim result
+ * @param {Object} result - Nominatim jsonv2 result
+ * @returns {Object} Geocoding result
+ */
+const formatResult = (result) => {
+  const address = result.address || {};
+
+  return {
+    coordinates: {
+      lat: parseFloat(result.lat),
+      lng: parseFloat(result.lon)
+    },
+    formattedAddress: result.display_name,
+    components: {
+      locality: address.suburb || address.neighbourhood || address.quarter || null,
+      city: address.city || address.town || address.village || null,
+      district: address.state_district || address.county || null,
+      state: address.state || null,
+      pincode: address.postcode || null,
+      country: address.country || null
+    },
+    placeId: result.osm_type && result.osm_id
+      ? `osm:${result.osm_type}:${result.osm_id}`
+      : `nominatim:${result.place_id}`,
+    precision: ADDRESS_TYPE_PRECISION[result.addresstype || result.type] || 'locality',
+    provider: GEOCODING_PROVIDERS.NOMINATIM
+  };
+};
+
+/**
+ * Call a Nominatim endpoint
+ * @param {string} endpoint - 'search' or 'reverse'
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object|Array>} Response body
+ */
+const request = async (endpoint, params) => {
+  const { BASE_URL, USER_AGENT, EMAIL } = MAPS_CONFIG.NOMINATIM;
+
+  const response = await axios.get(`${BASE_URL.replace(/\/+$/, '')}/${endpoint}`, {
+    params: {
+      format: 'jsonv2',
+      addressdetails: 1,
+      ...(EMAIL ? { email: EMAIL } : {}),
+      ...params
+    },
+    headers: { 'User-Agent': USER_AGENT },
+    timeout: MAPS_CONFIG.FALLBACK.TIMEOUT_MS
+  });
+
+  return response.data;
+};
+
+/**
+ * Geocode an address
+ * @param {string} address - Address to geocode
+ * @param {Object} options - { language, countryCodes }
+ * @returns {Promise<Object|null>} Geocoding result, or null for no results
+ */
+const geocode = async (address, options = {}) => {
+  const countryCodes = options.countryCodes || MAPS_CONFIG.NOMINATIM.COUNTRY_CODES;
+
+  const results = await request('search', {
+    q: address,
+    limit: 1,
+    'accept-language': options.language || MAPS_CONFIG.GEOCODING.LANGUAGE,
+    ...(countryCodes ? { countrycodes: countryCodes } : {})
+  });
+
+  return Array.isArray(results) && results.length > 0 ? formatResult(results[0]) : null;
+};
+
+/**
+ * Reverse geocode coordinates
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Object} options - { language }
+ * @returns {Promise<Object|null>} Geocoding result, or null for no results
+ */
+const reverse = async (lat, lng, options = {}) => {
+  const result = await request('reverse', {
+    lat,
+    lon: lng,
+    'accept-language': options.language || MAPS_CONFIG.GEOCODING.LANGUAGE
+  });
+
+  // Nominatim answers "Unable to geocode" with an error body, not a status code
+  return result && !result.error ? formatResult(result) : null;
+};
+
+/**
+ * Report Nominatim geocoder health
+ * @returns {Promise<Object>} { service, healthy, configuration }
+ */
+const getHealth = async () => {
+  const configuration = {
+    baseUrl: MAPS_CONFIG.NOMINATIM.BASE_URL,
+    reachable: '❌ Unreachable'
+  };
+
+  try {
+    await request('status', { format: 'json' });
+    configuration.reachable = '✅ Reachable';
+  } catch (error) {
+    console.error('Nominatim health check error:', error.message);
+  }
+
+  return {
+    service: 'Nominatim Geocoding',
+    healthy: configuration.reachable.includes('✅'),
+    configuration
+  };
+};
+
+module.exports = {
+  geocode,
+  reverse,
+  getHealth
+};
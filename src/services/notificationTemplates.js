@@ -0,0 +1,187 @@
+/**
+ * Notification Templates
+ *
+ * Message templates per notification event and channel. Placeholders are
+ * written {{name}} and filled from the event data; missing values render
+ * empty. Webhooks receive the event name and data as JSON rather than a
+ * rendered message. Mandatory events ignore channel preferences and mutes,
+ * sensitive events (those carrying secrets such as reset links) leave no
+ * subject in the delivery log, and toContacts events go to the user's
+ * emergency contacts rather than the user
+ */
+
+const { NOTIFICATION_CHANNELS, NOTIFICATION_ERROR_CODES } = require('../config/notifications');
+const { HTTP_STATUS } = require('../config/constants');
+
+/**
+ * Notification events
+ */
+const NOTIFICATION_EVENTS = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification',
+  AREA_ALERT: 'area_alert',
+  EMERGENCY_CONTACT_ALERT: 'emergency_contact_alert',
+  EMERGENCY_CONTACT_TEST: 'emergency_contact_test'
+};
+
+const TEMPLATES = {
+  [NOTIFICATION_EVENTS.PASSWORD_RESET]: {
+    description: 'Password reset link',
+    mandatory: true,
+    sensitive: true,
+    channels: {
+      [NOTIFICATION_CHANNELS.EMAIL]: {
+        subject: 'Reset your password',
+        text: [
+          'Hello {{name}},',
+          '',
+          'We received a request to reset the password for your account.',
+          'Open this link within {{expiresInMinutes}} minutes to choose a new password:',
+          '',
+          '{{resetUrl}}',
+          '',
+          'If you did not ask for a password reset, you can ignore this email.'
+        ].join('\n')
+      }
+    }
+  },
+
+  [NOTIFICATION_EVENTS.EMAIL_VERIFICATION]: {
+    description: 'Email address verification link',
+    mandatory: true,
+    sensitive: true,
+    channels: {
+      [NOTIFICATION_CHANNELS.EMAIL]: {
+        subject: 'Verify your email address',
+        text: [
+          'Hello {{name}},',
+          '',
+          'Please confirm that this is your email address by opening this link within {{expiresInHours}} hours:',
+          '',
+          '{{verifyUrl}}',
+          '',
+          'If you did not create an account, you can ignore this email.'
+        ].join('\n')
+      }
+    }
+  },
+
+  [NOTIFICATION_EVENTS.AREA_ALERT]: {
+    description: 'Incident inside one of the user\'s alert areas',
+    channels: {
+      [NOTIFICATION_CHANNELS.EMAIL]: {
+        subject: '{{severityLabel}} incident near {{areaNames}}: {{title}}',
+        text: [
+          'Hello {{name}},',
+          '',
+          'An incident was {{triggerLabel}} inside your alert area {{areaNames}}.',
+          '',
+          '{{title}}',
+          'Severity: {{severityLabel}}',
+          'Location: {{address}}',
+          '',
+          'Details: {{incidentUrl}}',
+          '',
+          'You can change your alert areas and notification settings in your dashboard.'
+        ].join('\n')
+      },
+      [NOTIFICATION_CHANNELS.SMS]: {
+        text: 'ALERT: {{title}} ({{severityLabel}}) {{triggerLabel}} near {{areaNames}}. {{incidentUrl}}'
+      },
+      [NOTIFICATION_CHANNELS.PUSH]: {
+        title: '{{severityLabel}} incident near {{areaNames}}',
+        body: '{{title}}',
+        url: '{{incidentUrl}}'
+      },
+      [NOTIFICATION_CHANNELS.WEBHOOK]: {}
+    }
+  },
+
+  [NOTIFICATION_EVENTS.EMERGENCY_CONTACT_ALERT]: {
+    description: 'Incident involving the user, sent to their emergency contacts',
+    toContacts: true,
+    channels: {
+      [NOTIFICATION_CHANNELS.SMS]: {
+        text: 'Emergency alert for {{contactName}}: {{name}} {{situation}}. ' +
+          'Incident: {{typeLabel}}, status {{statusLabel}}. Hospital: {{hospital}}. ' +
+          'You get this message because {{name}} listed you as an emergency contact.'
+      }
+    }
+  },
+
+  [NOTIFICATION_EVENTS.EMERGENCY_CONTACT_TEST]: {
+    description: 'Test message to the user\'s emergency contacts',
+    toContacts: true,
+    channels: {
+      [NOTIFICATION_CHANNELS.SMS]: {
+        text: 'Test alert for {{contactName}}: {{name}} listed you as an emergency contact. ' +
+          'If they report an emergency or are admitted to hospital you will get a message with the ' +
+          'incident status and hospital. No action is needed.'
+      }
+    }
+  }
+};
+
+/**
+ * Fill {{placeholders}} in a template string
+ * @param {string} text - Template text
+ * @param {object} data - Placeholder values
+ * @returns {string} - Rendered text
+ */
+const fillPlaceholders = (text, data) => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (
+  data[key] === undefined || data[key] === null ? '' : String(data[key])
+));
+
+/**
+ * Get the template for an event or throw an error
+ * @param {string} event - NOTIFICATION_EVENTS value
+ * @returns {object} - Template
+ */
+const getTemplate = (event) => {
+  const template = TEMPLATES[event];
+  if (!template) {
+    const error = new Error(`Unknown notification template: ${event}`);
+    error.statusCode = HTTP_STATUS.INTERNAL_SERVER_ERROR;
+    error.code = NOTIFICATION_ERROR_CODES.UNKNOWN_TEMPLATE;
+    throw error;
+  }
+
+  return template;
+};
+
+/**
+ * Get the channels an event can be sent on
+ * @param {string} event - NOTIFICATION_EVENTS value
+ * @returns {Array<string>} - NOTIFICATION_CHANNELS values
+ */
+const getTemplateChannels = (event) => Object.keys(getTemplate(event).channels);
+
+/**
+ * Render the message for an event on a channel
+ * @param {string} event - NOTIFICATION_EVENTS value
+ * @param {string} channel - NOTIFICATION_CHANNELS value
+ * @param {object} data - Event data
+ * @returns {object|null} - Rendered message, or null if the event has no
+ *   template for the channel. Webhook messages are { event, data }
+ */
+const renderTemplate = (event, channel, data = {}) => {
+  const channelTemplate = getTemplate(event).channels[channel];
+  if (!channelTemplate) {
+    return null;
+  }
+
+  if (channel === NOTIFICATION_CHANNELS.WEBHOOK) {
+    return { event, data };
+  }
+
+  return Object.fromEntries(Object.entries(channelTemplate)
+    .map(([field, text]) => [field, fillPlaceholders(text, data).trim()]));
+};
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  TEMPLATES,
+  getTemplate,
+  getTemplateChannels,
+  renderTemplate
+};
@@ -0,0 +1,508 @@
+/**
+ * Notification Service
+ *
+ * Sends templated notifications to users over email, SMS, Web Push and
+ * webhooks. The channels for an event are the ones its template supports
+ * and the user has enabled (mandatory events skip preferences). Every
+ * delivery is recorded in the NotificationDelivery log; failed deliveries
+ * are retried with exponential backoff by the notification worker until
+ * they succeed, fail permanently or run out of attempts. Events marked
+ * toContacts go to a user's emergency contacts by SMS instead of to the
+ * user, and the contact's phone is read from the user on each attempt so it
+ * is never copied into the log. Messages of sensitive events carry
+ * single-use links, so they are never stored either: a retry asks the
+ * service that owns the link for a new one. Channel providers
+ * are loaded on first use, and NOTIFICATION_TRANSPORT=local swaps them all
+ * for the in-memory local transport
+ */
+
+const User = require('../models/User');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const { NOTIFICATION_EVENTS, getTemplate, getTemplateChannels, renderTemplate } = require('./notificationTemplates');
+const { decryptSensitiveData } = require('../utils/encryption');
+const {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_TRANSPORTS,
+  DELIVERY_STATUS,
+  DEFAULT_CHANNEL_PREFERENCES,
+  NOTIFICATIONS_CONFIG,
+  NOTIFICATION_ERROR_CODES
+} = require('../config/notifications');
+const { HTTP_STATUS } = require('../config/constants');
+
+const CHANNEL_LOADERS = {
+  [NOTIFICATION_CHANNELS.EMAIL]: () => require('./emailNotifier'),
+  [NOTIFICATION_CHANNELS.SMS]: () => require('./smsNotifier'),
+  [NOTIFICATION_CHANNELS.PUSH]: () => require('./pushNotifier'),
+  [NOTIFICATION_CHANNELS.WEBHOOK]: () => require('./webhookNotifier')
+};
+
+// Issue a new single-use link for a retried sensitive delivery, or return
+// null when the link is no longer needed
+const LINK_REISSUERS = {
+  [NOTIFICATION_EVENTS.PASSWORD_RESET]: (user) => require('./passwordReset').reissuePasswordResetLink(user),
+  [NOTIFICATION_EVENTS.EMAIL_VERIFICATION]: (user) => require('./emailVerification').reissueVerificationLink(user)
+};
+
+let timer = null;
+let running = false;
+
+/**
+ * Get the name of the transport used for new deliveries
+ * @returns {string} NOTIFICATION_TRANSPORTS value
+ */
+const getTransportName = () => NOTIFICATIONS_CONFIG.TRANSPORT;
+
+/**
+ * Load the transport for a channel
+ * @param {string} channel - NOTIFICATION_CHANNELS value
+ * @param {string} [transport] - NOTIFICATION_TRANSPORTS value (defaults to the configured transport)
+ * @returns {Object} Channel module with send and getHealth
+ */
+const getChannelTransport = (channel, transport = getTransportName()) => {
+  const loader = CHANNEL_LOADERS[channel];
+
+  if (!loader) {
+    const error = new Error(`Unknown notification channel: ${channel}`);
+    error.statusCode = HTTP_STATUS.INTERNAL_SERVER_ERROR;
+    error.code = NOTIFICATION_ERROR_CODES.UNKNOWN_CHANNEL;
+    throw error;
+  }
+
+  return transport === NOTIFICATION_TRANSPORTS.LOCAL ? require('./localNotifier') : loader();
+};
+
+/**
+ * Delay before the next attempt, doubling per attempt up to RETRY.MAX_DELAY_MS
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempts) => {
+  const { BASE_DELAY_MS, MAX_DELAY_MS } = NOTIFICATIONS_CONFIG.RETRY;
+  return Math.min(BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_MS);
+};
+
+/**
+ * Choose the channels to notify a user on
+ * @param {Object} user - User with notificationPreferences
+ * @param {string} event - NOTIFICATION_EVENTS value
+ * @returns {Array<string>} NOTIFICATION_CHANNELS values
+ */
+const selectChannels = (user, event) => {
+  const channels = getTemplateChannels(event);
+  if (getTemplate(event).mandatory) {
+    return channels;
+  }
+
+  const preferences = user.notificationPreferences || {};
+  if ((preferences.mutedEvents || []).includes(event)) {
+    return [];
+  }
+
+  return channels.filter(channel => preferences[channel] ?? DEFAULT_CHANNEL_PREFERENCES[channel]);
+};
+
+/**
+ * Mask all but the last four digits of a phone number
+ * @param {string} phone - Phone number
+ * @returns {string} Masked phone number
+ */
+const maskPhone = (phone) => phone.replace(/\d(?=(?:\D*\d){4})/g, '*');
+
+/**
+ * Read a field that may be stored encrypted
+ * @param {*} value - Plain string or encrypted object
+ * @returns {string|null} Plain value, or null if it cannot be decrypted
+ */
+const readSensitive = (value) => {
+  if (typeof value === 'string') {
+    return value;
+  }
+
+  try {
+    return decryptSensitiveData(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Resolve where to send a channel's message for a user
+ * @param {Object} user - User with pushSubscriptions selected
+ * @param {string} channel - NOTIFICATION_CHANNELS value
+ * @param {string} [contactId] - Emergency contact to send to instead of the user (SMS only)
+ * @returns {Object|null} { to, display }, or null if the user has no address on the channel
+ */
+const resolveRecipient = (user, channel, contactId) => {
+  if (contactId) {
+    const contact = (user.emergencyContacts || []).find(entry => String(entry._id) === String(contactId));
+    const phone = contact && channel === NOTIFICATION_CHANNELS.SMS ? readSensitive(contact.phone) : null;
+    return phone ? { to: phone, display: maskPhone(phone) } : null;
+  }
+
+  switch (channel) {
+    case NOTIFICATION_CHANNELS.EMAIL:
+      return user.email ? { to: user.email, display: user.email } : null;
+
+    case NOTIFICATION_CHANNELS.SMS: {
+      const phone = user.phone ? readSensitive(user.phone) : null;
+      return phone ? { to: phone, display: maskPhone(phone) } : null;
+    }
+
+    case NOTIFICATION_CHANNELS.PUSH: {
+      const subscriptions = (user.pushSubscriptions || []).map(({ endpoint, keys }) => ({
+        endpoint,
+        keys: { p256dh: keys.p256dh, auth: keys.auth }
+      }));
+      return subscriptions.length > 0
+        ? { to: subscriptions, display: `${subscriptions.length} push subscriptions` }
+        : null;
+    }
+
+    case NOTIFICATION_CHANNELS.WEBHOOK: {
+      const url = user.notificationPreferences?.webhookUrl;
+      return url ? { to: url, display: url } : null;
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Template data shared by every message to a user
+ * @param {Object} user - Recipient user
+ * @param {Object} data - Event data
+ * @returns {Object} Template data
+ */
+const buildMessageData = (user, data) => ({
+  name: user.fullName ? readSensitive(user.fullName) : '',
+  appUrl: NOTIFICATIONS_CONFIG.APP_URL,
+  ...data
+});
+
+/**
+ * Load a user with the fields needed to notify them
+ * @param {string} userId - User id
+ * @returns {Promise<Object|null>} User document
+ */
+const loadRecipientUser = (userId) => User.findById(userId).select('+pushSubscriptions');
+
+/**
+ * Remove push subscriptions the push service reported as gone
+ * @param {string} userId - User id
+ * @param {Array<string>} endpoints - Expired subscription endpoints
+ * @returns {Promise<void>}
+ */
+const removePushSubscriptions = async (userId, endpoints) => {
+  if (endpoints && endpoints.length > 0) {
+    await User.updateOne({ _id: userId }, { $pull: { pushSubscriptions: { endpoint: { $in: endpoints } } } });
+  }
+};
+
+/**
+ * Render a sensitive delivery's message again for a retry
+ * The link is replaced by a new one unless a later delivery of the event
+ * superseded this one or the owning service no longer needs it
+ * @param {Object} delivery - NotificationDelivery document
+ * @param {Object} user - Recipient user
+ * @returns {Promise<Object>} Rendered message
+ */
+const rebuildSensitiveMessage = async (delivery, user) => {
+  const superseded = await NotificationDelivery.exists({
+    userId: delivery.userId,
+    event: delivery.event,
+    channel: delivery.channel,
+    createdAt: { $gt: delivery.createdAt }
+  });
+  const reissue = LINK_REISSUERS[delivery.event];
+  const data = !superseded && reissue ? await reissue(user) : null;
+
+  if (!data) {
+    const error = new Error('Link was superseded or is no longer needed');
+    error.permanent = true;
+    throw error;
+  }
+
+  return renderTemplate(delivery.event, delivery.channel, buildMessageData(user, data));
+};
+
+/**
+ * Make one delivery attempt and record the outcome
+ * Successful and finally failed deliveries drop their stored message;
+ * other failures are scheduled for a retry
+ * @param {Object} delivery - NotificationDelivery document with message selected
+ * @param {Object} [user] - Recipient, loaded when not given
+ * @param {Object} [message] - Rendered message, for sensitive deliveries that store none
+ * @returns {Promise<Object>} Updated delivery
+ */
+const attemptDelivery = async (delivery, user, message) => {
+  const now = new Date();
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = now;
+
+  try {
+    const recipientUser = user || await loadRecipientUser(delivery.userId);
+    const recipient = recipientUser && resolveRecipient(recipientUser, delivery.channel, delivery.contactId);
+
+    if (!recipient) {
+      const error = new Error(`Recipient has no ${delivery.channel} address`);
+      error.permanent = true;
+      throw error;
+    }
+
+    const content = message || (getTemplate(delivery.event).sensitive
+      ? await rebuildSensitiveMessage(delivery, recipientUser)
+      : delivery.message);
+
+    const result = await getChannelTransport(delivery.channel, delivery.transport).send({
+      channel: delivery.channel,
+      to: recipient.to,
+      deliveryId: delivery._id,
+      event: delivery.event,
+      message: content
+    });
+
+    await removePushSubscriptions(delivery.userId, result.expired);
+
+    delivery.status = DELIVERY_STATUS.SENT;
+    delivery.sentAt = now;
+    delivery.providerMessageId = result.messageId || undefined;
+    delivery.lastError = undefined;
+    delivery.nextAttemptAt = undefined;
+    delivery.message = undefined;
+  } catch (error) {
+    await removePushSubscriptions(delivery.userId, error.expired);
+
+    delivery.lastError = String(error.message).substring(0, 1000);
+
+    if (error.permanent || delivery.attempts >= NOTIFICATIONS_CONFIG.RETRY.MAX_ATTEMPTS) {
+      delivery.status = DELIVERY_STATUS.FAILED;
+      delivery.nextAttemptAt = undefined;
+      delivery.message = undefined;
+    } else {
+      delivery.status = DELIVERY_STATUS.RETRYING;
+      delivery.nextAttemptAt = new Date(now.getTime() + getRetryDelay(delivery.attempts));
+    }
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+/**
+ * Log a delivery and make its first attempt
+ * @param {Object} user - Recipient user (or the user whose contact is notified)
+ * @param {string} event - NOTIFICATION_EVENTS value
+ * @param {string} channel - NOTIFICATION_CHANNELS value
+ * @param {Object} recipient - { display } from resolveRecipient
+ * @param {Object} message - Rendered message
+ * @param {string} [contactId] - Emergency contact id
+ * @returns {Promise<Object>} Delivery after the first attempt
+ */
+const createDelivery = async (user, event, channel, recipient, message, contactId) => {
+  const { sensitive } = getTemplate(event);
+  const delivery = await NotificationDelivery.create({
+    userId: user._id,
+    contactId,
+    event,
+    channel,
+    transport: getTransportName(),
+    recipient: recipient.display,
+    summary: sensitive ? undefined : message.subject || message.title,
+    message: sensitive ? undefined : message
+  });
+
+  return attemptDelivery(delivery, user, message);
+};
+
+/**
+ * Notify a user about an event on each of their channels
+ * Inactive and banned users are not notified. Delivery failures never
+ * throw; they are recorded in the delivery log and retried
+ * @param {Object|string} userOrId - User document or id
+ * @param {string} event - NOTIFICATION_EVENTS value
+ * @param {Object} [data] - Template data
+ * @returns {Promise<Array>} Deliveries created for the notification
+ */
+const notifyUser = async (userOrId, event, data = {}) => {
+  const user = await loadRecipientUser(userOrId._id || userOrId);
+
+  if (!user || !user.isActive || user.isBanned) {
+    return [];
+  }
+
+  const messageData = buildMessageData(user, data);
+
+  const deliveries = [];
+  for (const channel of selectChannels(user, event)) {
+    const recipient = resolveRecipient(user, channel);
+    if (!recipient) {
+      continue;
+    }
+
+    deliveries.push(await createDelivery(user, event, channel, recipient, renderTemplate(event, channel, messageData)));
+  }
+
+  return deliveries;
+};
+
+/**
+ * Notify a user's emergency contacts about an event
+ * Each contact gets the event's template on every channel it supports that
+ * reaches a phone. Callers check the user's consent first
+ * @param {Object|string} userOrId - User document or id
+ * @param {string} event - NOTIFICATION_EVENTS value of a toContacts template
+ * @param {Object} [data] - Template data
+ * @param {Array<string>} [contactIds] - Contacts to notify (defaults to all)
+ * @returns {Promise<Array>} Deliveries created for the notification
+ */
+const notifyEmergencyContacts = async (userOrId, event, data = {}, contactIds) => {
+  const user = await loadRecipientUser(userOrId._id || userOrId);
+
+  if (!user || !user.isActive || user.isBanned) {
+    return [];
+  }
+
+  const contacts = (user.emergencyContacts || []).filter(contact =>
+    !contactIds || contactIds.map(String).includes(String(contact._id))
+  );
+
+  const deliveries = [];
+  for (const contact of contacts) {
+    const messageData = {
+      name: user.fullName ? readSensitive(user.fullName) : '',
+      contactName: readSensitive(contact.name) || '',
+      appUrl: NOTIFICATIONS_CONFIG.APP_URL,
+      ...data
+    };
+
+    for (const channel of getTemplateChannels(event)) {
+      const recipient = resolveRecipient(user, channel, contact._id);
+      if (!recipient) {
+        continue;
+      }
+
+      deliveries.push(await createDelivery(
+        user, event, channel, recipient, renderTemplate(event, channel, messageData), contact._id
+      ));
+    }
+  }
+
+  return deliveries;
+};
+
+/**
+ * Retry deliveries whose next attempt is due
+ * Each delivery is claimed by pushing its next attempt back first, so two
+ * workers never send it twice and a crashed worker's claim expires
+ * @returns {Promise<Object>} { processed, sent, retrying, failed }
+ */
+const processDueDeliveries = async () => {
+  const { BATCH_SIZE, BASE_DELAY_MS } = NOTIFICATIONS_CONFIG.RETRY;
+  const stats = { processed: 0, sent: 0, retrying: 0, failed: 0 };
+
+  const due = await NotificationDelivery.find({
+    status: DELIVERY_STATUS.RETRYING,
+    nextAttemptAt: { $lte: new Date() }
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(BATCH_SIZE)
+    .select('_id');
+
+  for (const { _id } of due) {
+    const now = new Date();
+    const delivery = await NotificationDelivery.findOneAndUpdate(
+      { _id, status: DELIVERY_STATUS.RETRYING, nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + BASE_DELAY_MS) } },
+      { new: true }
+    ).select('+message');
+
+    if (!delivery) {
+      continue;
+    }
+
+    try {
+      await attemptDelivery(delivery);
+      stats.processed += 1;
+      stats[delivery.status] += 1;
+    } catch (error) {
+      console.error(`Notification retry error for delivery ${_id}:`, error);
+    }
+  }
+
+  return stats;
+};
+
+/**
+ * Report the health of the configured notification transport
+ * @returns {Promise<Object>} { transport, healthy, channels }
+ */
+const getNotificationHealth = async () => {
+  const channels = {};
+  for (const channel of Object.values(NOTIFICATION_CHANNELS)) {
+    try {
+      channels[channel] = await getChannelTransport(channel).getHealth();
+    } catch (error) {
+      channels[channel] = { healthy: false, error: error.message };
+    }
+  }
+
+  return {
+    transport: getTransportName(),
+    healthy: Object.values(channels).some(channel => channel.healthy),
+    channels
+  };
+};
+
+/**
+ * Start the periodic delivery retry worker
+ * Overlapping runs are skipped so a slow run never stacks up
+ * @param {number} intervalMs - Check interval
+ */
+const startNotificationWorker = (intervalMs = NOTIFICATIONS_CONFIG.RETRY.WORKER_INTERVAL_MS) => {
+  if (timer) {
+    return;
+  }
+
+  timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await processDueDeliveries();
+    } catch (error) {
+      console.error('Notification worker error:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  // Never keep the process alive just for the worker
+  timer.unref();
+};
+
+/**
+ * Stop the periodic delivery retry worker
+ */
+const stopNotificationWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  getTransportName,
+  getChannelTransport,
+  getRetryDelay,
+  selectChannels,
+  resolveRecipient,
+  maskPhone,
+  readSensitive,
+  attemptDelivery,
+  notifyUser,
+  notifyEmergencyContacts,
+  processDueDeliveries,
+  getNotificationHealth,
+  startNotificationWorker,
+  stopNotificationWorker
+};
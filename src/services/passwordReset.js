@@ -0,0 +1,52 @@
+/**
+ * Password Reset Service
+ *
+ * Emails users a single-use link to reset their password. Only a hash of
+ * the token is stored, links expire after PASSWORD_RESET.EXPIRES_MINUTES
+ * and a new link replaces the previous one
+ */
+
+const User = require('../models/User');
+const { notifyUser } = require('./notifications');
+const { NOTIFICATION_EVENTS } = require('./notificationTemplates');
+const { NOTIFICATIONS_CONFIG } = require('../config/notifications');
+const { PASSWORD_RESET } = require('../config/constants');
+
+/**
+ * Create a reset token for the user and build the link's template data
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { resetUrl, expiresInMinutes }
+ */
+const issuePasswordResetLink = async (user) => {
+  const resetToken = user.createPasswordResetToken();
+  await user.save();
+
+  return {
+    resetUrl: `${NOTIFICATIONS_CONFIG.APP_URL}/reset-password?token=${encodeURIComponent(resetToken)}`,
+    expiresInMinutes: PASSWORD_RESET.EXPIRES_MINUTES
+  };
+};
+
+/**
+ * Replace the reset link of a delivery being retried
+ * @param {Object} user - User document
+ * @returns {Promise<Object|null>} Template data, or null if the reset is no longer pending
+ */
+const reissuePasswordResetLink = async (user) => {
+  const pending = await User.exists({ _id: user._id, passwordResetExpires: { $gt: new Date() } });
+  return pending ? issuePasswordResetLink(user) : null;
+};
+
+/**
+ * Create a reset token for the user and email the link
+ * Delivery failures are retried by the notification worker with a new link
+ * @param {Object} user - User document
+ * @returns {Promise<Array>} Deliveries created for the email
+ */
+const sendPasswordResetEmail = async (user) =>
+  notifyUser(user, NOTIFICATION_EVENTS.PASSWORD_RESET, await issuePasswordResetLink(user));
+
+module.exports = {
+  reissuePasswordResetLink,
+  sendPasswordResetEmail
+};
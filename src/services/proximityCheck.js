@@ -0,0 +1,73 @@
+/**
+ * Proximity Check Service
+ *
+ * Finds open incidents near a location before a new report is filed and
+ * ranks them by distance, type match and recency, so the caller can join an
+ * existing report instead of filing another one
+ */
+
+const Incident = require('../models/Incident');
+const { calculateDistance } = require('../utils/helpers');
+const { PROXIMITY_CHECK } = require('../config/constants');
+
+/**
+ * Score a nearby incident against the caller's location and report type
+ * @param {object} query - { type, radius } of the proximity check
+ * @param {object} incident - Nearby incident with `distance` in meters
+ * @param {Date} now - Reference time for recency
+ * @returns {object} - { score, breakdown } with values between 0 and 1
+ */
+const scoreNearbyIncident = (query, incident, now = new Date()) => {
+  const { RECENCY_WINDOW_HOURS, WEIGHTS } = PROXIMITY_CHECK;
+  const windowMs = RECENCY_WINDOW_HOURS * 60 * 60 * 1000;
+  const incidentTime = new Date(incident.incidentTime || incident.reportedAt).getTime();
+
+  const breakdown = {
+    distance: Math.max(0, 1 - incident.distance / query.radius),
+    type: query.type && incident.type === query.type ? 1 : 0,
+    recency: Math.max(0, 1 - Math.max(0, now.getTime() - incidentTime) / windowMs)
+  };
+
+  const score = Object.keys(WEIGHTS)
+    .reduce((total, factor) => total + WEIGHTS[factor] * breakdown[factor], 0);
+
+  return {
+    score: Math.round(score * 100) / 100,
+    breakdown: Object.fromEntries(
+      Object.entries(breakdown).map(([factor, value]) => [factor, Math.round(value * 100) / 100])
+    )
+  };
+};
+
+/**
+ * Find and rank open incidents near a location
+ * @param {object} query - { latitude, longitude, radius, type }
+ * @returns {Promise<Array>} - { incident, score, breakdown } sorted by score,
+ *   where incident is a plain object with `distance` in meters
+ */
+const findNearbyReports = async ({ latitude, longitude, radius = PROXIMITY_CHECK.DEFAULT_RADIUS_METERS, type }) => {
+  const incidents = await Incident.findNearby(longitude, latitude, radius)
+    .select('title description type severity priority status location upvoteCount incidentTime reportedAt createdAt')
+    .limit(PROXIMITY_CHECK.MAX_CANDIDATES)
+    .lean();
+
+  const now = new Date();
+
+  return incidents
+    .map(incident => {
+      const [incidentLongitude, incidentLatitude] = incident.location.coordinates;
+      const withDistance = {
+        ...incident,
+        distance: calculateDistance(latitude, longitude, incidentLatitude, incidentLongitude)
+      };
+
+      return { incident: withDistance, ...scoreNearbyIncident({ type, radius }, withDistance, now) };
+    })
+    .sort((a, b) => b.score - a.score || a.incident.distance - b.incident.distance)
+    .slice(0, PROXIMITY_CHECK.MAX_RESULTS);
+};
+
+module.exports = {
+  scoreNearbyIncident,
+  findNearbyReports
+};
@@ -0,0 +1,98 @@
+/**
+ * Push Notifier
+ *
+ * Notification channel for Web Push with VAPID keys
+ * (NOTIFICATIONS_CONFIG.PUSH). A message goes to every subscription the
+ * user has; subscriptions the push service reports as gone (404 or 410)
+ * are returned as expired so the caller can remove them. The payload is
+ * JSON { title, body, url } for the service worker to display
+ */
+
+const webpush = require('web-push');
+const { NOTIFICATIONS_CONFIG, NOTIFICATION_ERROR_CODES } = require('../config/notifications');
+
+const EXPIRED_STATUS_CODES = [404, 410];
+
+let vapidConfigured = false;
+
+/**
+ * Apply the VAPID details once
+ */
+const configureVapid = () => {
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = NOTIFICATIONS_CONFIG.PUSH;
+
+  if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) {
+    const error = new Error('VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY are not configured');
+    error.code = NOTIFICATION_ERROR_CODES.CHANNEL_NOT_CONFIGURED;
+    error.permanent = true;
+    throw error;
+  }
+
+  if (!vapidConfigured) {
+    webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+    vapidConfigured = true;
+  }
+};
+
+/**
+ * Send a push message to each of a user's subscriptions
+ * Succeeds when at least one subscription accepts the message
+ * @param {Object} delivery - { to: [subscription], message: { title, body, url } }
+ * @returns {Promise<Object>} { messageId, delivered, expired: [endpoint] }
+ */
+const send = async ({ to, message }) => {
+  configureVapid();
+
+  const payload = JSON.stringify({ title: message.title, body: message.body, url: message.url });
+  const results = await Promise.allSettled(to.map(subscription =>
+    webpush.sendNotification(subscription, payload, { TTL: NOTIFICATIONS_CONFIG.PUSH.TTL_SECONDS })
+  ));
+
+  const expired = [];
+  const errors = [];
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      return;
+    }
+    if (EXPIRED_STATUS_CODES.includes(result.reason.statusCode)) {
+      expired.push(to[index].endpoint);
+    } else {
+      errors.push(result.reason);
+    }
+  });
+
+  const delivered = results.length - expired.length - errors.length;
+  if (delivered === 0) {
+    const error = errors[0] || new Error('All push subscriptions have expired');
+    if (errors.length === 0) {
+      error.code = NOTIFICATION_ERROR_CODES.SUBSCRIPTION_EXPIRED;
+      error.permanent = true;
+    }
+    error.expired = expired;
+    throw error;
+  }
+
+  return { messageId: null, delivered, expired };
+};
+
+/**
+ * Report push channel health
+ * @returns {Promise<Object>} { service, healthy, configuration }
+ */
+const getHealth = async () => {
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = NOTIFICATIONS_CONFIG.PUSH;
+
+  return {
+    service: 'Web Push',
+    healthy: Boolean(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY),
+    configuration: {
+      hasVapidKeys: Boolean(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY),
+      subject: VAPID_SUBJECT
+    }
+  };
+};
+
+module.exports = {
+  send,
+  getHealth
+};
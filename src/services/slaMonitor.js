@@ -0,0 +1,162 @@
+/**
+ * SLA Monitor
+ *
+ * Periodically checks active incidents against their verify, assign and
+ * resolve targets. Each breached stage is escalated once: the incident's
+ * priority is bumped, unit supervisors are notified on the stream and the
+ * breach is recorded in the incident's statusHistory metadata
+ */
+
+const Incident = require('../models/Incident');
+const User = require('../models/User');
+const { getResponderRole, dispatchIncident } = require('./dispatch');
+const {
+  SLA_STAGES,
+  SLA_STAGE_OPEN_STATUSES,
+  getStageTargetRules,
+  getSlaBreaches
+} = require('../config/slaTargets');
+const { USER_ROLES, DUTY_STATUS, SLA_MONITOR } = require('../config/constants');
+
+let timer = null;
+let running = false;
+
+/**
+ * Find the supervisors responsible for an incident
+ * Off-duty supervisors are skipped; police supervisors are scoped to the
+ * incident's jurisdiction when it has one
+ * @param {object} incident - Incident document
+ * @returns {Promise<Array>} - Supervisor user ids
+ */
+const findSupervisors = async (incident) => {
+  const role = getResponderRole(incident.department);
+
+  if (!role) {
+    return [];
+  }
+
+  const filter = {
+    role,
+    isSupervisor: true,
+    isActive: true,
+    isBanned: false,
+    dutyStatus: { $ne: DUTY_STATUS.OFF_DUTY }
+  };
+
+  if (role === USER_ROLES.POLICE && incident.jurisdiction) {
+    filter.jurisdiction = incident.jurisdiction;
+  }
+
+  const supervisors = await User.find(filter).select('_id').lean();
+  return supervisors.map(supervisor => supervisor._id);
+};
+
+/**
+ * Build the query for incidents with an unescalated breach
+ * Each stage matches incidents still in that stage, past the target for
+ * their own type and priority and not yet escalated for it or a later
+ * stage, so every match is escalated and none can hold up the batch
+ * @param {Date} now - Reference time
+ * @returns {object} - MongoDB filter
+ */
+const buildCandidateFilter = (now) => ({
+  $or: SLA_STAGES.flatMap((stage, index) => getStageTargetRules(stage).map(rule => ({
+    status: { $in: SLA_STAGE_OPEN_STATUSES[stage] },
+    priority: rule.priority,
+    type: rule.type || { $nin: rule.exceptTypes },
+    reportedAt: { $lte: new Date(now.getTime() - rule.minutes * 60 * 1000) },
+    'statusHistory.metadata.slaEscalation.stage': { $nin: SLA_STAGES.slice(index) }
+  })))
+});
+
+/**
+ * Escalate every SLA breach that has not been escalated yet
+ * Only the most advanced breached stage of an incident is escalated, and
+ * it covers the earlier stages, so one slow incident gets a single
+ * priority bump at a time
+ * @param {Date} now - Reference time
+ * @returns {Promise<object>} - { checked, escalated, redispatched }
+ */
+const processSlaBreaches = async (now = new Date()) => {
+  const stats = { checked: 0, escalated: 0, redispatched: 0 };
+
+  const incidents = await Incident.find(buildCandidateFilter(now))
+    .sort({ reportedAt: 1 })
+    .limit(SLA_MONITOR.BATCH_SIZE);
+
+  for (const incident of incidents) {
+    stats.checked += 1;
+
+    const lastEscalatedIndex = Math.max(
+      -1,
+      ...incident.getSlaEscalations().map(escalation => SLA_STAGES.indexOf(escalation.stage))
+    );
+    const breach = getSlaBreaches(incident, now)
+      .filter(candidate => SLA_STAGES.indexOf(candidate.stage) > lastEscalatedIndex)
+      .pop();
+
+    if (!breach) {
+      continue;
+    }
+
+    try {
+      const supervisors = await findSupervisors(incident);
+      await incident.escalateSla(breach, supervisors);
+      stats.escalated += 1;
+
+      // The higher priority may now qualify an unassigned incident for auto dispatch
+      if (!incident.currentAssignment) {
+        const result = await dispatchIncident(incident);
+        if (result.assignment) {
+          stats.redispatched += 1;
+        }
+      }
+    } catch (error) {
+      console.error(`SLA escalation error for incident ${incident._id}:`, error);
+    }
+  }
+
+  return stats;
+};
+
+/**
+ * Start the periodic SLA check
+ * Overlapping runs are skipped so a slow check never stacks up
+ * @param {number} intervalMs - Check interval
+ */
+const startSlaMonitor = (intervalMs = SLA_MONITOR.CHECK_INTERVAL_MS) => {
+  if (timer) {
+    return;
+  }
+
+  timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await processSlaBreaches();
+    } catch (error) {
+      console.error('SLA monitor error:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  // Never keep the process alive just for the monitor
+  timer.unref();
+};
+
+/**
+ * Stop the periodic SLA check
+ */
+const stopSlaMonitor = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  findSupervisors,
+  processSlaBreaches,
+  startSlaMonitor,
+  stopSlaMonitor
+};
@@ -0,0 +1,71 @@
+/**
+ * SMS Notifier
+ *
+ * Notification channel for an HTTP SMS gateway (NOTIFICATIONS_CONFIG.SMS).
+ * Messages are posted as JSON { to, sender, message } with the API key as
+ * a bearer token; the gateway's message id is read from `messageId` or
+ * `id` in the response. Messages longer than SMS.MAX_LENGTH are truncated
+ */
+
+const axios = require('axios');
+const { NOTIFICATIONS_CONFIG, NOTIFICATION_ERROR_CODES } = require('../config/notifications');
+const { isRetryableHttpError } = require('../utils/helpers');
+
+/**
+ * Send an SMS
+ * @param {Object} delivery - { to, message: { text } }
+ * @returns {Promise<Object>} { messageId }
+ */
+const send = async ({ to, message }) => {
+  const { GATEWAY_URL, API_KEY, SENDER_ID, MAX_LENGTH } = NOTIFICATIONS_CONFIG.SMS;
+
+  if (!GATEWAY_URL) {
+    const error = new Error('SMS_GATEWAY_URL is not configured');
+    error.code = NOTIFICATION_ERROR_CODES.CHANNEL_NOT_CONFIGURED;
+    error.permanent = true;
+    throw error;
+  }
+
+  const text = message.text.length > MAX_LENGTH
+    ? `${message.text.substring(0, MAX_LENGTH - 3)}...`
+    : message.text;
+
+  try {
+    const response = await axios.post(GATEWAY_URL, {
+      to,
+      sender: SENDER_ID,
+      message: text
+    }, {
+      headers: API_KEY ? { Authorization: `Bearer ${API_KEY}` } : {},
+      timeout: NOTIFICATIONS_CONFIG.REQUEST_TIMEOUT_MS
+    });
+
+    return { messageId: response.data?.messageId || response.data?.id || null };
+  } catch (error) {
+    error.permanent = !isRetryableHttpError(error);
+    throw error;
+  }
+};
+
+/**
+ * Report SMS channel health
+ * @returns {Promise<Object>} { service, healthy, configuration }
+ */
+const getHealth = async () => {
+  const { GATEWAY_URL, API_KEY, SENDER_ID } = NOTIFICATIONS_CONFIG.SMS;
+
+  return {
+    service: 'SMS Gateway',
+    healthy: Boolean(GATEWAY_URL),
+    configuration: {
+      gatewayUrl: GATEWAY_URL || null,
+      hasApiKey: Boolean(API_KEY),
+      senderId: SENDER_ID
+    }
+  };
+};
+
+module.exports = {
+  send,
+  getHealth
+};
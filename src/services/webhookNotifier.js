@@ -0,0 +1,81 @@
+/**
+ * Webhook Notifier
+ *
+ * Notification channel that posts events to a user's webhook URL. The JSON
+ * body { id, event, data, sentAt } is signed with HMAC-SHA256 using
+ * NOTIFICATIONS_CONFIG.WEBHOOK.SIGNING_SECRET and the signature is sent as
+ * "sha256=<hex>" in the signature header, so receivers can verify it. The
+ * delivery id lets receivers ignore retried duplicates
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { NOTIFICATIONS_CONFIG, NOTIFICATION_ERROR_CODES } = require('../config/notifications');
+const { isRetryableHttpError } = require('../utils/helpers');
+
+/**
+ * Sign a webhook body
+ * @param {string} body - Serialized JSON body
+ * @param {string} [secret] - Signing secret
+ * @returns {string} "sha256=<hex>" signature
+ */
+const signPayload = (body, secret = NOTIFICATIONS_CONFIG.WEBHOOK.SIGNING_SECRET) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+/**
+ * Post an event to a webhook
+ * @param {Object} delivery - { to: url, deliveryId, message: { event, data } }
+ * @returns {Promise<Object>} { messageId }
+ */
+const send = async ({ to, deliveryId, message }) => {
+  const { SIGNING_SECRET, SIGNATURE_HEADER } = NOTIFICATIONS_CONFIG.WEBHOOK;
+
+  if (!SIGNING_SECRET) {
+    const error = new Error('WEBHOOK_SIGNING_SECRET is not configured');
+    error.code = NOTIFICATION_ERROR_CODES.CHANNEL_NOT_CONFIGURED;
+    error.permanent = true;
+    throw error;
+  }
+
+  const body = JSON.stringify({
+    id: String(deliveryId),
+    event: message.event,
+    data: message.data,
+    sentAt: new Date().toISOString()
+  });
+
+  try {
+    await axios.post(to, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        [SIGNATURE_HEADER]: signPayload(body, SIGNING_SECRET)
+      },
+      timeout: NOTIFICATIONS_CONFIG.REQUEST_TIMEOUT_MS,
+      maxRedirects: 0
+    });
+
+    return { messageId: String(deliveryId) };
+  } catch (error) {
+    error.permanent = !isRetryableHttpError(error);
+    throw error;
+  }
+};
+
+/**
+ * Report webhook channel health
+ * @returns {Promise<Object>} { service, healthy, configuration }
+ */
+const getHealth = async () => ({
+  service: 'Webhook',
+  healthy: Boolean(NOTIFICATIONS_CONFIG.WEBHOOK.SIGNING_SECRET),
+  configuration: {
+    signatureHeader: NOTIFICATIONS_CONFIG.WEBHOOK.SIGNATURE_HEADER,
+    hasSigningSecret: Boolean(NOTIFICATIONS_CONFIG.WEBHOOK.SIGNING_SECRET)
+  }
+});
+
+module.exports = {
+  signPayload,
+  send,
+  getHealth
+};
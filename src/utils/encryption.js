@@ -142,6 +142,25 @@ const generateEncryptionKey = () => {
   return crypto.randomBytes(KEY_LENGTH).toString('hex');
 };
 
+/**
+ * Generate a random single-use token, such as a password reset token
+ * @param {number} [bytes=32] - Number of random bytes
+ * @returns {string} Hex-encoded token
+ */
+const generateSecureToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hash a single-use token for storage
+ * Only the hash is stored so a leaked database cannot be used to redeem tokens
+ * @param {string} token - Token to hash
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
 /**
  * Validate encryption key format
  * @param {string} key - Encryption key to validate
@@ -286,6 +305,8 @@ module.exports = {
   encryptArray,
   decryptArray,
   generateEncryptionKey,
+  generateSecureToken,
+  hashToken,
   validateEncryptionKey,
   hashForSearch,
   encryptObjectFields,
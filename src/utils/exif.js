@@ -0,0 +1,399 @@
+/**
+ * EXIF Utilities
+ *
+ * Reads capture time, GPS position and camera details from JPEG, PNG and
+ * WebP images, and removes location metadata before images are stored for
+ * public delivery. Other formats are passed through untouched.
+ */
+
+const TIFF_TYPE_SIZES = {
+  1: 1, // BYTE
+  2: 1, // ASCII
+  3: 2, // SHORT
+  4: 4, // LONG
+  5: 8, // RATIONAL
+  7: 1, // UNDEFINED
+  9: 4, // SLONG
+  10: 8 // SRATIONAL
+};
+
+const TAGS = {
+  MAKE: 0x010f,
+  MODEL: 0x0110,
+  DATE_TIME: 0x0132,
+  EXIF_IFD: 0x8769,
+  GPS_IFD: 0x8825,
+  DATE_TIME_ORIGINAL: 0x9003,
+  OFFSET_TIME_ORIGINAL: 0x9011
+};
+
+const GPS_TAGS = {
+  LATITUDE_REF: 1,
+  LATITUDE: 2,
+  LONGITUDE_REF: 3,
+  LONGITUDE: 4,
+  ALTITUDE_REF: 5,
+  ALTITUDE: 6
+};
+
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'binary');
+const XMP_HEADER = Buffer.from('http://ns.adobe.com/xap/1.0/', 'binary');
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Create a reader for a TIFF block (the payload of an EXIF segment)
+ * @param {Buffer} buffer - Buffer containing the TIFF block
+ * @param {number} start - Offset of the TIFF header in the buffer
+ * @returns {Object|null} Reader, or null when the header is invalid
+ */
+const createTiffReader = (buffer, start) => {
+  if (start + 8 > buffer.length) return null;
+
+  const byteOrder = buffer.toString('binary', start, start + 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') return null;
+
+  const little = byteOrder === 'II';
+  const inRange = (offset, size) => offset >= 0 && start + offset + size <= buffer.length;
+  const uint16 = (offset) => (little ? buffer.readUInt16LE(start + offset) : buffer.readUInt16BE(start + offset));
+  const uint32 = (offset) => (little ? buffer.readUInt32LE(start + offset) : buffer.readUInt32BE(start + offset));
+  const int32 = (offset) => (little ? buffer.readInt32LE(start + offset) : buffer.readInt32BE(start + offset));
+
+  if (uint16(2) !== 42) return null;
+
+  /**
+   * Read the entries of an IFD; each entry knows where its value lives
+   */
+  const readIfd = (offset) => {
+    if (!offset || !inRange(offset, 2)) return [];
+
+    const count = uint16(offset);
+    const entries = [];
+
+    for (let index = 0; index < count; index++) {
+      const entryOffset = offset + 2 + index * 12;
+      if (!inRange(entryOffset, 12)) break;
+
+      const type = uint16(entryOffset + 2);
+      const valueCount = uint32(entryOffset + 4);
+      const size = (TIFF_TYPE_SIZES[type] || 0) * valueCount;
+
+      entries.push({
+        tag: uint16(entryOffset),
+        type,
+        count: valueCount,
+        size,
+        entryOffset,
+        valueOffset: size > 4 ? uint32(entryOffset + 8) : entryOffset + 8
+      });
+    }
+
+    return entries;
+  };
+
+  /**
+   * Read an entry's value as a string, number or array of numbers
+   */
+  const readValue = (entry) => {
+    if (!entry || !entry.size || !inRange(entry.valueOffset, entry.size)) return null;
+
+    const { type, count, valueOffset } = entry;
+
+    if (type === 2) {
+      return buffer.toString('binary', start + valueOffset, start + valueOffset + count).replace(/\0+$/, '').trim();
+    }
+
+    const values = [];
+    for (let index = 0; index < count; index++) {
+      const offset = valueOffset + index * TIFF_TYPE_SIZES[type];
+
+      if (type === 1 || type === 7) values.push(buffer[start + offset]);
+      else if (type === 3) values.push(uint16(offset));
+      else if (type === 4) values.push(uint32(offset));
+      else if (type === 9) values.push(int32(offset));
+      else if (type === 5) values.push(uint32(offset + 4) ? uint32(offset) / uint32(offset + 4) : 0);
+      else if (type === 10) values.push(int32(offset + 4) ? int32(offset) / int32(offset + 4) : 0);
+    }
+
+    return count === 1 ? values[0] : values;
+  };
+
+  return {
+    buffer,
+    start,
+    inRange,
+    readIfd,
+    readValue,
+    firstIfdOffset: uint32(4)
+  };
+};
+
+/**
+ * Parse an EXIF date ("YYYY:MM:DD HH:MM:SS") with an optional UTC offset
+ * Without an offset the time is read as UTC and marked as zoneless
+ * @returns {Object|null} { date, hasTimeZone }
+ */
+const parseExifDate = (value, offset) => {
+  const match = typeof value === 'string' && value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second] = match;
+  const zone = typeof offset === 'string' && /^[+-]\d{2}:\d{2}$/.test(offset) ? offset : 'Z';
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`);
+
+  return Number.isNaN(date.getTime()) ? null : { date, hasTimeZone: zone !== 'Z' };
+};
+
+/**
+ * Convert GPS degrees/minutes/seconds and a hemisphere reference to decimal degrees
+ */
+const toDecimalDegrees = (dms, ref) => {
+  if (!Array.isArray(dms) || dms.length !== 3) return null;
+
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return ref === 'S' || ref === 'W' ? -degrees : degrees;
+};
+
+/**
+ * Read EXIF fields from a TIFF block
+ * @param {Buffer} buffer - Buffer containing the TIFF block
+ * @param {number} start - Offset of the TIFF header
+ * @returns {Object|null} EXIF summary
+ */
+const parseTiff = (buffer, start) => {
+  const reader = createTiffReader(buffer, start);
+  if (!reader) return null;
+
+  const byTag = (entries) => new Map(entries.map(entry => [entry.tag, entry]));
+  const ifd0 = byTag(reader.readIfd(reader.firstIfdOffset));
+  const exifIfd = byTag(reader.readIfd(reader.readValue(ifd0.get(TAGS.EXIF_IFD))));
+  const gpsIfd = byTag(reader.readIfd(reader.readValue(ifd0.get(TAGS.GPS_IFD))));
+
+  const captured = parseExifDate(
+    reader.readValue(exifIfd.get(TAGS.DATE_TIME_ORIGINAL)) || reader.readValue(ifd0.get(TAGS.DATE_TIME)),
+    reader.readValue(exifIfd.get(TAGS.OFFSET_TIME_ORIGINAL))
+  );
+
+  const latitude = toDecimalDegrees(
+    reader.readValue(gpsIfd.get(GPS_TAGS.LATITUDE)),
+    reader.readValue(gpsIfd.get(GPS_TAGS.LATITUDE_REF))
+  );
+  const longitude = toDecimalDegrees(
+    reader.readValue(gpsIfd.get(GPS_TAGS.LONGITUDE)),
+    reader.readValue(gpsIfd.get(GPS_TAGS.LONGITUDE_REF))
+  );
+  const hasLocation = latitude !== null && longitude !== null &&
+    Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180 &&
+    !(latitude === 0 && longitude === 0);
+
+  return {
+    capturedAt: captured ? captured.date : null,
+    capturedAtHasTimeZone: captured ? captured.hasTimeZone : false,
+    location: hasLocation ? { latitude, longitude } : null,
+    cameraMake: reader.readValue(ifd0.get(TAGS.MAKE)) || null,
+    cameraModel: reader.readValue(ifd0.get(TAGS.MODEL)) || null
+  };
+};
+
+/**
+ * Blank the GPS IFD of a TIFF block in place, keeping the rest of the EXIF
+ * data (capture time, orientation) intact
+ * @param {Buffer} buffer - Writable buffer containing the TIFF block
+ * @param {number} start - Offset of the TIFF header
+ * @returns {boolean} Whether GPS data was removed
+ */
+const blankGpsIfd = (buffer, start) => {
+  const reader = createTiffReader(buffer, start);
+  if (!reader) return false;
+
+  const gpsPointer = reader.readIfd(reader.firstIfdOffset).find(entry => entry.tag === TAGS.GPS_IFD);
+  const gpsOffset = reader.readValue(gpsPointer);
+  const entries = reader.readIfd(gpsOffset);
+  if (entries.length === 0) return false;
+
+  entries.forEach(entry => {
+    if (entry.size > 4 && reader.inRange(entry.valueOffset, entry.size)) {
+      buffer.fill(0, start + entry.valueOffset, start + entry.valueOffset + entry.size);
+    }
+    buffer.fill(0, start + entry.entryOffset, start + entry.entryOffset + 12);
+  });
+
+  // An empty IFD: zero entries and no next IFD
+  buffer.fill(0, start + gpsOffset, start + gpsOffset + 2);
+  return true;
+};
+
+/**
+ * Split a JPEG into its header segments and the remaining scan data
+ * @returns {Object|null} { segments: [{ marker, start, end }], dataStart }
+ */
+const readJpegSegments = (buffer) => {
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+
+  const segments = [];
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    if (marker === 0xda || marker === 0xd9) break; // Start of scan / end of image
+
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if (end > buffer.length) break;
+
+    segments.push({ marker, start: offset, end });
+    offset = end;
+  }
+
+  return { segments, dataStart: offset };
+};
+
+const isExifSegment = (buffer, segment) => segment.marker === 0xe1 &&
+  buffer.subarray(segment.start + 4, segment.start + 4 + EXIF_HEADER.length).equals(EXIF_HEADER);
+
+const isXmpSegment = (buffer, segment) => segment.marker === 0xe1 &&
+  buffer.subarray(segment.start + 4, segment.start + 4 + XMP_HEADER.length).equals(XMP_HEADER);
+
+/**
+ * Iterate over the chunks of a PNG file
+ * @returns {Array|null} [{ type, start, dataStart, end }]
+ */
+const readPngChunks = (buffer) => {
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return null;
+
+  const chunks = [];
+  let offset = 8;
+
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const end = offset + 12 + length;
+    if (end > buffer.length) break;
+
+    chunks.push({ type: buffer.toString('binary', offset + 4, offset + 8), start: offset, dataStart: offset + 8, end });
+    offset = end;
+  }
+
+  return chunks;
+};
+
+const isPngXmpChunk = (buffer, chunk) => chunk.type === 'iTXt' &&
+  buffer.toString('binary', chunk.dataStart, chunk.dataStart + 17) === 'XML:com.adobe.xmp';
+
+/**
+ * Iterate over the chunks of a WebP (RIFF) file
+ * @returns {Array|null} [{ type, start, dataStart, end }]
+ */
+const readWebpChunks = (buffer) => {
+  if (buffer.length < 12 || buffer.toString('binary', 0, 4) !== 'RIFF' || buffer.toString('binary', 8, 12) !== 'WEBP') {
+    return null;
+  }
+
+  const chunks = [];
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const size = buffer.readUInt32LE(offset + 4);
+    const end = Math.min(offset + 8 + size + (size % 2), buffer.length);
+
+    chunks.push({ type: buffer.toString('binary', offset, offset + 4), start: offset, dataStart: offset + 8, end });
+    offset = end;
+  }
+
+  return chunks;
+};
+
+/**
+ * Offset of the TIFF header in an EXIF payload, skipping an optional "Exif\0\0" prefix
+ */
+const tiffStartOf = (buffer, dataStart) => (
+  buffer.subarray(dataStart, dataStart + EXIF_HEADER.length).equals(EXIF_HEADER)
+    ? dataStart + EXIF_HEADER.length
+    : dataStart
+);
+
+/**
+ * Extract EXIF data from an image
+ * @param {Buffer} buffer - Image file contents
+ * @returns {Object|null} { capturedAt, capturedAtHasTimeZone, location: { latitude, longitude }, cameraMake, cameraModel },
+ *   or null when the image has no readable EXIF data
+ */
+const extractExif = (buffer) => {
+  try {
+    const jpeg = readJpegSegments(buffer);
+    if (jpeg) {
+      const segment = jpeg.segments.find(candidate => isExifSegment(buffer, candidate));
+      return segment ? parseTiff(buffer, segment.start + 4 + EXIF_HEADER.length) : null;
+    }
+
+    const pngChunks = readPngChunks(buffer);
+    if (pngChunks) {
+      const chunk = pngChunks.find(candidate => candidate.type === 'eXIf');
+      return chunk ? parseTiff(buffer, chunk.dataStart) : null;
+    }
+
+    const webpChunks = readWebpChunks(buffer);
+    if (webpChunks) {
+      const chunk = webpChunks.find(candidate => candidate.type === 'EXIF');
+      return chunk ? parseTiff(buffer, tiffStartOf(buffer, chunk.dataStart)) : null;
+    }
+
+    return null;
+  } catch (error) {
+    console.warn('EXIF extraction failed:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Remove location metadata from an image
+ * JPEG keeps its EXIF block with the GPS data blanked and loses XMP/IPTC
+ * segments; PNG and WebP lose their EXIF and XMP chunks
+ * @param {Buffer} buffer - Image file contents
+ * @returns {Object} { buffer, stripped } where stripped is false for unsupported formats
+ */
+const stripLocationMetadata = (buffer) => {
+  const jpeg = readJpegSegments(buffer);
+  if (jpeg) {
+    const output = Buffer.from(buffer);
+    const kept = [output.subarray(0, 2)];
+
+    jpeg.segments.forEach(segment => {
+      if (isXmpSegment(output, segment) || segment.marker === 0xed) return; // XMP and IPTC can carry location
+      if (isExifSegment(output, segment)) blankGpsIfd(output, segment.start + 4 + EXIF_HEADER.length);
+      kept.push(output.subarray(segment.start, segment.end));
+    });
+
+    kept.push(output.subarray(jpeg.dataStart));
+    return { buffer: Buffer.concat(kept), stripped: true };
+  }
+
+  const pngChunks = readPngChunks(buffer);
+  if (pngChunks) {
+    const kept = pngChunks
+      .filter(chunk => chunk.type !== 'eXIf' && !isPngXmpChunk(buffer, chunk))
+      .map(chunk => buffer.subarray(chunk.start, chunk.end));
+
+    return { buffer: Buffer.concat([PNG_SIGNATURE, ...kept]), stripped: true };
+  }
+
+  const webpChunks = readWebpChunks(buffer);
+  if (webpChunks) {
+    const kept = webpChunks
+      .filter(chunk => chunk.type !== 'EXIF' && chunk.type !== 'XMP ')
+      .map(chunk => Buffer.from(buffer.subarray(chunk.start, chunk.end)));
+
+    const extended = kept.find(chunk => chunk.toString('binary', 0, 4) === 'VP8X');
+    if (extended) {
+      extended[8] &= ~0x0c; // Clear the EXIF and XMP presence flags
+    }
+
+    const header = Buffer.from(buffer.subarray(0, 12));
+    header.writeUInt32LE(4 + kept.reduce((total, chunk) => total + chunk.length, 0), 4);
+    return { buffer: Buffer.concat([header, ...kept]), stripped: true };
+  }
+
+  return { buffer, stripped: false };
+};
+
+module.exports = {
+  extractExif,
+  stripLocationMetadata
+};
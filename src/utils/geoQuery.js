@@ -0,0 +1,219 @@
+/**
+ * Geospatial Query Utilities
+ * Builds $geoWithin filters on incident `location` from a centre and radius,
+ * a bounding box or a GeoJSON polygon
+ */
+
+const { GEO_CONSTANTS } = require('../config/constants');
+const { createValidationError } = require('./helpers');
+
+const EARTH_RADIUS_METERS = 6378100;
+
+/**
+ * Widest longitude span of a single box polygon. Polygon edges are
+ * geodesics, so wide boxes are split to keep their edges close to the
+ * parallels the map shows
+ */
+const MAX_BOX_SPAN_DEGREES = 90;
+
+/**
+ * Wrap a longitude into [-180, 180]
+ * @param {number} longitude - Longitude in degrees
+ * @returns {number} - Wrapped longitude
+ */
+const wrapLongitude = (longitude) => (longitude > 180 ? longitude - 360 : longitude);
+
+/**
+ * Check a [longitude, latitude] position
+ * @param {Array} position - GeoJSON position
+ * @returns {boolean}
+ */
+const isValidPosition = (position) => Array.isArray(position) &&
+  position.length === 2 &&
+  position.every(Number.isFinite) &&
+  position[0] >= -180 && position[0] <= 180 &&
+  position[1] >= -90 && position[1] <= 90;
+
+/**
+ * Parse a `west,south,east,north` bounding box
+ * West may exceed east for viewports crossing the antimeridian
+ * @param {string} bbox - Comma-separated bounds in degrees
+ * @returns {Array<number>} - [west, south, east, north]
+ */
+const parseBbox = (bbox) => {
+  const bounds = String(bbox).split(',').map(Number);
+  const [west, south, east, north] = bounds;
+
+  if (bounds.length !== 4 || !bounds.every(Number.isFinite) ||
+      !isValidPosition([west, south]) || !isValidPosition([east, north])) {
+    throw createValidationError('bbox must be "west,south,east,north" in degrees', { bbox });
+  }
+
+  if (south >= north || west === east) {
+    throw createValidationError('bbox must have south below north and distinct west and east bounds', { bbox });
+  }
+
+  return bounds;
+};
+
+/**
+ * Convert a bounding box to a GeoJSON Polygon, or a MultiPolygon when the
+ * box is split
+ * @param {Array<number>} bounds - [west, south, east, north]
+ * @returns {object} - GeoJSON geometry
+ */
+const bboxToGeometry = ([west, south, east, north]) => {
+  const span = east > west ? east - west : east + 360 - west;
+  const parts = Math.ceil(span / MAX_BOX_SPAN_DEGREES);
+
+  const boxes = Array.from({ length: parts }, (_, index) => {
+    const from = wrapLongitude(west + (span * index) / parts);
+    const to = wrapLongitude(west + (span * (index + 1)) / parts);
+    return [[[from, south], [to, south], [to, north], [from, north], [from, south]]];
+  });
+
+  return boxes.length === 1
+    ? { type: 'Polygon', coordinates: boxes[0] }
+    : { type: 'MultiPolygon', coordinates: boxes };
+};
+
+/**
+ * Parse a GeoJSON Polygon, or a bare ring of [longitude, latitude] positions
+ * Unclosed rings are closed
+ * @param {string|object} polygon - JSON string or parsed value
+ * @param {number} [maxVertices] - Largest vertex count accepted
+ * @returns {object} - GeoJSON Polygon
+ */
+const parsePolygon = (polygon, maxVertices = GEO_CONSTANTS.MAX_POLYGON_VERTICES) => {
+  let value = polygon;
+
+  if (typeof polygon === 'string') {
+    try {
+      value = JSON.parse(polygon);
+    } catch (error) {
+      throw createValidationError('polygon must be valid JSON');
+    }
+  }
+
+  const rings = Array.isArray(value) ? [value] : value && value.type === 'Polygon' && value.coordinates;
+
+  if (!Array.isArray(rings) || rings.length === 0) {
+    throw createValidationError('polygon must be a GeoJSON Polygon or an array of [longitude, latitude] positions');
+  }
+
+  const vertexCount = rings.reduce((total, ring) => total + (Array.isArray(ring) ? ring.length : 0), 0);
+  if (vertexCount > maxVertices) {
+    throw createValidationError(`polygon cannot have more than ${maxVertices} vertices`, {
+      vertexCount
+    });
+  }
+
+  const coordinates = rings.map(ring => {
+    if (!Array.isArray(ring) || !ring.every(isValidPosition)) {
+      throw createValidationError('polygon positions must be [longitude, latitude] pairs within range');
+    }
+
+    const [first] = ring;
+    const last = ring[ring.length - 1];
+    const closed = first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+
+    if (closed.length < 4) {
+      throw createValidationError('polygon rings need at least three distinct positions');
+    }
+
+    return closed;
+  });
+
+  return { type: 'Polygon', coordinates };
+};
+
+/**
+ * Parse an area boundary given as a GeoJSON Polygon or MultiPolygon
+ * @param {object} geometry - GeoJSON geometry
+ * @returns {object} - GeoJSON Polygon or MultiPolygon with closed rings
+ */
+const parseBoundary = (geometry) => {
+  const maxVertices = GEO_CONSTANTS.MAX_BOUNDARY_VERTICES;
+
+  if (geometry && geometry.type === 'Polygon') {
+    return parsePolygon(geometry, maxVertices);
+  }
+
+  if (!geometry || geometry.type !== 'MultiPolygon' ||
+      !Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+    throw createValidationError('boundary must be a GeoJSON Polygon or MultiPolygon');
+  }
+
+  const coordinates = geometry.coordinates.map(rings => parsePolygon({ type: 'Polygon', coordinates: rings }, maxVertices).coordinates);
+  const vertexCount = coordinates.flat().reduce((total, ring) => total + ring.length, 0);
+
+  if (vertexCount > maxVertices) {
+    throw createValidationError(`boundary cannot have more than ${maxVertices} vertices`, { vertexCount });
+  }
+
+  return { type: 'MultiPolygon', coordinates };
+};
+
+/**
+ * Build the spatial part of an incident query
+ * At most one of centre/radius, bbox and polygon may be given
+ * @param {object} params - { lat, lng, radius, bbox, polygon }
+ * @returns {object|null} - { filter, searchType, area }, or null without a spatial filter
+ */
+const buildSpatialFilter = ({ lat, lng, radius = GEO_CONSTANTS.DEFAULT_RADIUS_METERS, bbox, polygon } = {}) => {
+  if (bbox !== undefined) {
+    const bounds = parseBbox(bbox);
+    const [west, south, east, north] = bounds;
+
+    return {
+      filter: { location: { $geoWithin: { $geometry: bboxToGeometry(bounds) } } },
+      searchType: 'bbox',
+      area: { bbox: { west, south, east, north } }
+    };
+  }
+
+  if (polygon !== undefined) {
+    const geometry = parsePolygon(polygon);
+
+    return {
+      filter: { location: { $geoWithin: { $geometry: geometry } } },
+      searchType: 'polygon',
+      area: { polygon: geometry }
+    };
+  }
+
+  if (lat !== undefined && lng !== undefined) {
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lng);
+    const searchRadius = Math.min(parseInt(radius), GEO_CONSTANTS.MAX_RADIUS_METERS);
+
+    if (!isValidPosition([longitude, latitude])) {
+      throw createValidationError('Invalid coordinates', {
+        latitude: { min: -90, max: 90, provided: latitude },
+        longitude: { min: -180, max: 180, provided: longitude }
+      });
+    }
+
+    return {
+      filter: {
+        location: {
+          $geoWithin: {
+            $centerSphere: [[longitude, latitude], searchRadius / EARTH_RADIUS_METERS]
+          }
+        }
+      },
+      searchType: 'geospatial',
+      area: { latitude, longitude, radius: searchRadius }
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  parseBbox,
+  bboxToGeometry,
+  parsePolygon,
+  parseBoundary,
+  buildSpatialFilter
+};
@@ -267,6 +267,95 @@ const toTitleCase = (str) => {
   });
 };
 
+/**
+ * Convert a name to a URL-safe code
+ * @param {string} name - Name to convert
+ * @returns {string} - e.g. "Pune Central" -> "pune-central"
+ */
+const toSlug = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * Build audit log request context from an Express request
+ * @param {object} req - Express request object
+ * @returns {object} - Request context for AuditLog entries
+ */
+const buildRequestContext = (req) => {
+  // Express reports IPv4 clients as IPv4-mapped IPv6 addresses
+  const ipAddress = (req.ip || req.connection?.remoteAddress || '127.0.0.1').replace(/^::ffff:/, '');
+
+  return {
+    method: req.method,
+    url: (req.originalUrl || req.url || '').substring(0, 500),
+    path: ((req.baseUrl || '') + (req.path || '')).substring(0, 200),
+    query: req.query || {},
+    headers: {
+      userAgent: req.get ? req.get('User-Agent') : undefined,
+      referer: req.get ? req.get('Referer') : undefined,
+      acceptLanguage: req.get ? req.get('Accept-Language') : undefined,
+      contentType: req.get ? req.get('Content-Type') : undefined
+    },
+    ipAddress
+  };
+};
+
+/**
+ * Check whether a failed outbound HTTP request is worth retrying
+ * Network errors, timeouts, 408, 429 and 5xx responses are retryable;
+ * other 4xx responses will fail the same way again
+ * @param {Error} error - Axios error
+ * @returns {boolean} - True if the request may succeed on retry
+ */
+const isRetryableHttpError = (error) => {
+  const status = error.response?.status;
+  return !status || status === 408 || status === 429 || status >= 500;
+};
+
+/**
+ * Check whether a user-supplied URL is safe for the server to call
+ * Only https URLs on public hosts are allowed; localhost, internal names
+ * and private, loopback or link-local IP literals are rejected
+ * @param {string} value - URL to check
+ * @returns {boolean} - True if the URL is https and not an internal address
+ */
+const isPublicHttpsUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+
+  if (url.protocol !== 'https:' || url.username || url.password) {
+    return false;
+  }
+
+  const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') ||
+      host.endsWith('.internal') || (!host.includes('.') && !host.includes(':'))) {
+    return false;
+  }
+
+  const ipv4 = host.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+  if (ipv4) {
+    const [a, b] = ipv4.slice(1).map(Number);
+    return !(a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168));
+  }
+
+  if (host.includes(':')) {
+    return !(host === '::' || host === '::1' || /^f[cd]/.test(host) || /^fe[89ab]/.test(host) ||
+      host.startsWith('::ffff:'));
+  }
+
+  return true;
+};
+
 module.exports = {
   createSuccessResponse,
   createErrorResponse,
@@ -284,4 +373,8 @@ module.exports = {
   safeJsonParse,
   debounce,
   toTitleCase,
+  toSlug,
+  buildRequestContext,
+  isRetryableHttpError,
+  isPublicHttpsUrl,
 };
\ No newline at end of file
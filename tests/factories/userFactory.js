@@ -1,6 +1,6 @@
 /**
  * User Test Factory
- * 
+ *
  * Factory functions for creating test user data
  */
 
@@ -8,35 +8,53 @@ const { faker } = require('@faker-js/faker');
 const bcrypt = require('bcrypt');
 const User = require('../../src/models/User');
 
+// Keeps phone numbers, emails, badge and license numbers unique within a test file
+let sequence = 0;
+
+/**
+ * Fields the User model requires for each staff role
+ */
+const ROLE_DEFAULTS = {
+  police: (id) => ({
+    department: 'Central Police',
+    jurisdiction: 'Pune City',
+    badgeNumber: `PB-${id}`
+  }),
+  hospital: (id) => ({
+    department: 'Emergency',
+    licenseNumber: `LIC-${id}`
+  })
+};
+
 /**
  * Generate a valid user object for testing
+ * Role-specific required fields are filled in for police and hospital users
  */
 const createUserData = (overrides = {}) => {
+  sequence += 1;
+  const role = overrides.role || 'user';
+
   const userData = {
-    email: faker.internet.email().toLowerCase(),
-    password: 'TestPassword123!',
     fullName: faker.person.fullName(),
-    phone: faker.phone.number('+1##########'),
-    dateOfBirth: faker.date.birthdate({ min: 18, max: 80, mode: 'age' }),
+    dob: faker.date.birthdate({ min: 18, max: 80, mode: 'age' }),
+    gender: faker.helpers.arrayElement(['male', 'female', 'other']),
+    phone: `+9198${String(sequence).padStart(8, '0')}`,
+    email: `user${sequence}@example.com`,
+    password: 'TestPassword123!',
     address: {
       street: faker.location.streetAddress(),
-      city: faker.location.city(),
-      state: faker.location.state(),
-      zipCode: faker.location.zipCode(),
-      country: 'USA'
+      city: 'Pune',
+      state: 'MH',
+      pincode: '411001'
     },
-    emergencyContact: {
+    emergencyContacts: [{
       name: faker.person.fullName(),
-      relationship: faker.helpers.arrayElement(['spouse', 'parent', 'sibling', 'friend', 'other']),
-      phone: faker.phone.number('+1##########')
-    },
-    medicalInfo: {
-      bloodType: faker.helpers.arrayElement(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']),
-      allergies: faker.helpers.arrayElements(['peanuts', 'shellfish', 'dairy', 'none'], { min: 0, max: 2 }),
-      medications: faker.helpers.arrayElements(['aspirin', 'insulin', 'none'], { min: 0, max: 1 }),
-      conditions: faker.helpers.arrayElements(['diabetes', 'hypertension', 'asthma', 'none'], { min: 0, max: 1 })
-    },
-    role: faker.helpers.arrayElement(['user', 'hospital', 'admin']),
+      relation: faker.helpers.arrayElement(['spouse', 'parent', 'sibling', 'friend', 'other']),
+      phone: '+919999999999'
+    }],
+    bloodGroup: faker.helpers.arrayElement(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']),
+    role,
+    ...(ROLE_DEFAULTS[role] ? ROLE_DEFAULTS[role](sequence) : {}),
     ...overrides
   };
 
@@ -68,6 +86,16 @@ const createMultipleUsers = (count = 3, overrides = {}) => {
   return Array.from({ length: count }, () => createUserData(overrides));
 };
 
+/**
+ * Create a police user
+ */
+const createPoliceUser = (overrides = {}) => {
+  return createUserData({
+    role: 'police',
+    ...overrides
+  });
+};
+
 /**
  * Create a hospital user
  */
@@ -93,7 +121,7 @@ const createAdminUser = (overrides = {}) => {
  */
 const createInvalidUserData = (invalidField) => {
   const baseData = createUserData();
-  
+
   switch (invalidField) {
     case 'email':
       baseData.email = 'invalid-email';
@@ -104,13 +132,13 @@ const createInvalidUserData = (invalidField) => {
     case 'phone':
       baseData.phone = 'invalid-phone';
       break;
-    case 'bloodType':
-      baseData.medicalInfo.bloodType = 'Z+'; // Invalid blood type
+    case 'bloodGroup':
+      baseData.bloodGroup = 'Z+'; // Invalid blood group
       break;
     default:
       delete baseData[invalidField];
   }
-  
+
   return baseData;
 };
 
@@ -119,7 +147,8 @@ module.exports = {
   createUserWithHashedPassword,
   createTestUser,
   createMultipleUsers,
+  createPoliceUser,
   createHospitalUser,
   createAdminUser,
   createInvalidUserData
-};
\ No newline at end of file
+};
@@ -0,0 +1,242 @@
+/**
+ * Unit Tests: Hotspot Analytics
+ *
+ * Tests hotspot detection and heatmap tiles over historical incidents
+ *
+ * This test suite covers:
+ * - Gi* scoring of a dense cluster against scattered background incidents
+ * - Hour-of-day filters wrapping past midnight
+ * - Trend direction between the two halves of the period
+ * - Heatmap tile bounds and binning
+ * - Department scoping for police and validation of the query
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const Incident = require('../../src/models/Incident');
+const { generateUserToken } = require('../../src/middleware/auth');
+const {
+  createTimeFilter,
+  findHotspots,
+  tileToBounds,
+  buildHeatmapTile
+} = require('../../src/services/hotspotAnalysis');
+const { ERROR_CODES } = require('../../src/config/constants');
+const { createTestUser } = require('../factories/userFactory');
+const { clearTestData } = require('../utils/testHelpers');
+
+const PUNE_BOUNDS = [73.7, 18.4, 73.99, 18.6];
+const PUNE_BBOX = PUNE_BOUNDS.join(',');
+const BLACK_SPOT = [73.8567, 18.5204];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const until = new Date('2026-06-30T00:00:00Z');
+const since = new Date(until.getTime() - 90 * DAY_MS);
+
+/**
+ * Build incidents spread evenly over the Pune grid, one per ~2km
+ */
+const scatteredIncidents = () => {
+  const incidents = [];
+  for (let longitude = 73.71; longitude < 73.99; longitude += 0.02) {
+    for (let latitude = 18.41; latitude < 18.6; latitude += 0.02) {
+      incidents.push({
+        type: 'accident',
+        location: { coordinates: [longitude, latitude] },
+        incidentTime: new Date(since.getTime() + 45 * DAY_MS)
+      });
+    }
+  }
+  return incidents;
+};
+
+/**
+ * Build incidents at the black spot, daysAgo before the end of the period
+ */
+const blackSpotIncidents = (count, daysAgo, hour = 20) => Array.from({ length: count }, (_, index) => ({
+  type: 'accident',
+  location: { coordinates: [BLACK_SPOT[0] + index * 0.0001, BLACK_SPOT[1]] },
+  incidentTime: new Date(until.getTime() - daysAgo * DAY_MS + (hour - 5.5) * 60 * 60 * 1000)
+}));
+
+const createOfficer = () => createTestUser({
+  role: 'police',
+  department: 'Traffic Police',
+  jurisdiction: 'Pune City'
+});
+
+const authHeader = (user) => ({ Authorization: `Bearer ${generateUserToken(user)}` });
+
+/**
+ * Create and save an incident at a position
+ */
+const createIncident = async ([longitude, latitude], overrides = {}) => {
+  const incident = new Incident({
+    title: 'Car crash at MG Road junction',
+    description: 'Two cars collided at the MG Road junction and people are injured',
+    type: 'accident',
+    severity: 'high',
+    location: { type: 'Point', coordinates: [longitude, latitude] },
+    reportedBy: new mongoose.Types.ObjectId(),
+    reportedByModel: 'User',
+    department: 'traffic',
+    incidentTime: new Date(),
+    ...overrides
+  });
+  return await incident.save();
+};
+
+describe('Hotspot Analytics Unit Tests', () => {
+  afterEach(async () => {
+    await clearTestData();
+  });
+
+  // ============================================================================
+  // Hotspot detection
+  // ============================================================================
+
+  describe('findHotspots', () => {
+    test('should report a dense cluster as a significant hotspot', () => {
+      const { hotspots } = findHotspots(
+        [...scatteredIncidents(), ...blackSpotIncidents(12, 10)],
+        { bounds: PUNE_BOUNDS, since, until }
+      );
+
+      expect(hotspots).toHaveLength(1);
+      expect(hotspots[0].count).toBe(12);
+      expect(hotspots[0].confidence).toBe(99);
+      expect(hotspots[0].center.latitude).toBeCloseTo(BLACK_SPOT[1], 3);
+      expect(hotspots[0].peakHour).toBe(20);
+    });
+
+    test('should not report evenly scattered incidents', () => {
+      const { hotspots, analysed } = findHotspots(scatteredIncidents(), { bounds: PUNE_BOUNDS, since, until });
+
+      expect(analysed).toBeGreaterThan(100);
+      expect(hotspots).toEqual([]);
+    });
+
+    test('should classify a cluster growing in the recent half as rising', () => {
+      const { hotspots } = findHotspots(
+        [...scatteredIncidents(), ...blackSpotIncidents(2, 80), ...blackSpotIncidents(14, 5)],
+        { bounds: PUNE_BOUNDS, since, until }
+      );
+
+      expect(hotspots[0].trend).toMatchObject({ direction: 'rising', recent: 14, previous: 2 });
+    });
+
+    test('should leave out the trend when only part of the period was loaded', () => {
+      const { hotspots } = findHotspots(
+        [...scatteredIncidents(), ...blackSpotIncidents(14, 5)],
+        { bounds: PUNE_BOUNDS, since, until, includeTrend: false }
+      );
+
+      expect(hotspots[0].trend).toBeNull();
+    });
+
+    test('should only count incidents inside a wrapping hour range', () => {
+      const timeFilter = createTimeFilter({ timezone: 'Asia/Kolkata', hours: '22-5' });
+      const { hotspots } = findHotspots(
+        [...scatteredIncidents(), ...blackSpotIncidents(10, 10, 23), ...blackSpotIncidents(10, 10, 12)],
+        { bounds: PUNE_BOUNDS, since, until, timeFilter }
+      );
+
+      expect(hotspots[0].count).toBe(10);
+      expect(hotspots[0].byHour[23]).toBe(10);
+    });
+
+    test('should reject grids that are too large', () => {
+      expect(() => findHotspots([], { bounds: [60, 5, 100, 40], cellSizeMeters: 100, since, until }))
+        .toThrow('bbox is too large');
+    });
+  });
+
+  // ============================================================================
+  // Heatmap tiles
+  // ============================================================================
+
+  describe('Heatmap tiles', () => {
+    test('should compute tile bounds', () => {
+      const bounds = tileToBounds(1, 1, 0);
+
+      expect(bounds.west).toBe(0);
+      expect(bounds.east).toBe(180);
+      expect(bounds.south).toBeCloseTo(0, 6);
+      expect(bounds.north).toBeCloseTo(85.0511, 3);
+    });
+
+    test('should bin incidents with intensity relative to the busiest bin', () => {
+      const tile = buildHeatmapTile(
+        [...blackSpotIncidents(4, 1), ...blackSpotIncidents(1, 1).map(incident => ({
+          ...incident,
+          location: { coordinates: [73.9, 18.45] }
+        }))],
+        { z: 11, x: 1444, y: 931 }
+      );
+
+      expect(tile.total).toBe(5);
+      expect(tile.maxCount).toBe(4);
+      expect(tile.cells.map(cell => cell.intensity).sort()).toEqual([0.25, 1]);
+    });
+  });
+
+  // ============================================================================
+  // GET /api/analytics/hotspots
+  // ============================================================================
+
+  describe('GET /api/analytics/hotspots', () => {
+    test('should only analyse police and traffic incidents for officers', async () => {
+      const officer = await createOfficer();
+      await Promise.all([
+        ...Array.from({ length: 5 }, () => createIncident(BLACK_SPOT)),
+        ...Array.from({ length: 5 }, () => createIncident(BLACK_SPOT, { type: 'medical', department: 'medical' })),
+        createIncident([73.95, 18.45])
+      ]);
+
+      const response = await request(app)
+        .get('/api/analytics/hotspots')
+        .set(authHeader(officer))
+        .query({ bbox: PUNE_BBOX });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.summary.incidentsAnalysed).toBe(6);
+      expect(response.body.data.hotspots[0]).toMatchObject({ count: 5, byType: { accident: 5 } });
+    });
+
+    test('should reject departments outside the officer\'s scope', async () => {
+      const officer = await createOfficer();
+
+      const response = await request(app)
+        .get('/api/analytics/hotspots')
+        .set(authHeader(officer))
+        .query({ bbox: PUNE_BBOX, department: 'medical' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe(ERROR_CODES.INSUFFICIENT_PERMISSIONS);
+    });
+
+    test('should reject regular users', async () => {
+      const user = await createTestUser();
+
+      const response = await request(app)
+        .get('/api/analytics/hotspots')
+        .set(authHeader(user))
+        .query({ bbox: PUNE_BBOX });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should validate the time zone', async () => {
+      const officer = await createOfficer();
+
+      const response = await request(app)
+        .get('/api/analytics/hotspots')
+        .set(authHeader(officer))
+        .query({ bbox: PUNE_BBOX, timezone: 'Mars/Olympus' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe(ERROR_CODES.VALIDATION_ERROR);
+    });
+  });
+});
@@ -0,0 +1,329 @@
+/**
+ * Unit Tests: Area Alerts
+ *
+ * Tests users' alert areas and the alerts raised for incidents inside them
+ *
+ * This test suite covers:
+ * - Severity, type and trigger filters for matching areas
+ * - Matching circle and polygon areas with the 2dsphere indexes
+ * - One alert per user and trigger, never for the user's own reports
+ * - Alerts raised from incident created and verified events
+ * - Alert area CRUD, ownership and the per-user area limit
+ * - Listing alerts and marking them read
+ */
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../../src/app');
+const Incident = require('../../src/models/Incident');
+const AlertArea = require('../../src/models/AlertArea');
+const AreaAlert = require('../../src/models/AreaAlert');
+const {
+  buildAreaFilter,
+  groupAreasByUser,
+  deliverAreaAlerts,
+  startAreaAlertMatcher,
+  stopAreaAlertMatcher
+} = require('../../src/services/areaAlerts');
+const { generateUserToken } = require('../../src/middleware/auth');
+const { AREA_ALERTS } = require('../../src/config/constants');
+const { createTestUser } = require('../factories/userFactory');
+const { clearTestData } = require('../utils/testHelpers');
+
+// [longitude, latitude] in Kothrud, Pune
+const HOME = [73.8077, 18.5074];
+
+// A square of about 1 km around HOME
+const HOME_SQUARE = [[
+  [73.8030, 18.5030], [73.8125, 18.5030], [73.8125, 18.5120], [73.8030, 18.5120], [73.8030, 18.5030]
+]];
+
+/**
+ * Create and save an incident at an offset (metres north) from HOME
+ */
+const createIncident = async (overrides = {}, metresNorth = 0) => {
+  const incident = new Incident({
+    title: 'Fire in apartment block',
+    description: 'Smoke coming out of the third floor of an apartment block',
+    type: 'fire',
+    severity: 'high',
+    location: { type: 'Point', coordinates: [HOME[0], HOME[1] + metresNorth / 111320] },
+    reportedBy: new mongoose.Types.ObjectId(),
+    reportedByModel: 'User',
+    department: 'fire',
+    incidentTime: new Date(),
+    ...overrides
+  });
+  return await incident.save();
+};
+
+/**
+ * Create and save a circular alert area around HOME
+ */
+const createCircle = async (userId, overrides = {}) => {
+  const area = new AlertArea({
+    userId,
+    name: 'Home',
+    shape: 'circle',
+    center: { type: 'Point', coordinates: HOME },
+    radiusMeters: 1000,
+    ...overrides
+  });
+  return await area.save();
+};
+
+const authHeader = (user) => ({ Authorization: `Bearer ${generateUserToken(user)}` });
+
+describe('Area Alert Unit Tests', () => {
+  beforeAll(async () => {
+    await AlertArea.syncIndexes();
+    await AreaAlert.syncIndexes();
+  });
+
+  afterEach(async () => {
+    stopAreaAlertMatcher();
+    await clearTestData();
+    await AlertArea.deleteMany({});
+    await AreaAlert.deleteMany({});
+  });
+
+  // ============================================================================
+  // Filters
+  // ============================================================================
+
+  describe('Area filters', () => {
+    test('should only match areas whose minimum severity the incident reaches', () => {
+      expect(buildAreaFilter({ type: 'fire', severity: 'medium' }, 'created')).toMatchObject({
+        isActive: true,
+        triggers: 'created',
+        minSeverity: { $in: ['low', 'medium'] }
+      });
+      expect(buildAreaFilter({ type: 'fire', severity: 'critical' }, 'verified').minSeverity.$in)
+        .toEqual(AREA_ALERTS.SEVERITIES);
+    });
+
+    test('should match areas for every type or for the incident type', () => {
+      expect(buildAreaFilter({ type: 'crime', severity: 'high' }, 'created').$or)
+        .toEqual([{ types: { $size: 0 } }, { types: 'crime' }]);
+    });
+
+    test('should group areas per user and skip the reporter', () => {
+      const reporter = new mongoose.Types.ObjectId();
+      const neighbour = new mongoose.Types.ObjectId();
+      const areas = [
+        { _id: 'a1', userId: neighbour, name: 'Home' },
+        { _id: 'a2', userId: reporter, name: 'Work' },
+        { _id: 'a3', userId: neighbour, name: 'School' }
+      ];
+
+      expect(groupAreasByUser(areas, { reportedBy: reporter })).toEqual([{
+        userId: neighbour,
+        areas: [{ areaId: 'a1', name: 'Home' }, { areaId: 'a3', name: 'School' }]
+      }]);
+    });
+  });
+
+  // ============================================================================
+  // Matching
+  // ============================================================================
+
+  describe('Alert delivery', () => {
+    test('should alert users whose circle or polygon contains the incident', async () => {
+      const [circleUser, polygonUser, farUser] = await Promise.all([createTestUser(), createTestUser(), createTestUser()]);
+      await createCircle(circleUser._id);
+      await new AlertArea({
+        userId: polygonUser._id,
+        name: 'Neighbourhood',
+        shape: 'polygon',
+        boundary: { type: 'Polygon', coordinates: HOME_SQUARE }
+      }).save();
+      await createCircle(farUser._id, { radiusMeters: 200 });
+
+      const incident = await createIncident({}, 400);
+      const result = await deliverAreaAlerts(incident, 'created');
+
+      expect(result.delivered).toBe(2);
+      const alerts = await AreaAlert.find({ incidentId: incident._id });
+      expect(alerts.map(alert => alert.userId.toString()).sort())
+        .toEqual([circleUser._id.toString(), polygonUser._id.toString()].sort());
+      expect(alerts[0].incident).toMatchObject({ title: 'Fire in apartment block', severity: 'high' });
+    });
+
+    test('should respect type, severity and trigger filters', async () => {
+      const user = await createTestUser();
+      await createCircle(user._id, { name: 'Crime only', types: ['crime'] });
+      await createCircle(user._id, { name: 'Critical only', minSeverity: 'critical' });
+      await createCircle(user._id, { name: 'Verified only', triggers: ['verified'] });
+      await createCircle(user._id, { name: 'Paused', isActive: false });
+
+      const incident = await createIncident();
+
+      expect((await deliverAreaAlerts(incident, 'created')).delivered).toBe(0);
+
+      const verified = await deliverAreaAlerts(incident, 'verified');
+      expect(verified.alerts[0].areas.map(area => area.name)).toEqual(['Verified only']);
+    });
+
+    test('should send one alert per user, incident and trigger', async () => {
+      const user = await createTestUser();
+      const home = await createCircle(user._id);
+      await createCircle(user._id, { name: 'Work', radiusMeters: 5000 });
+
+      const incident = await createIncident();
+      const first = await deliverAreaAlerts(incident, 'created');
+      const repeat = await deliverAreaAlerts(incident, 'created');
+
+      expect(first.delivered).toBe(1);
+      expect(first.alerts[0].areas).toHaveLength(2);
+      expect(repeat.delivered).toBe(0);
+      expect(await AreaAlert.countDocuments({ userId: user._id })).toBe(1);
+      expect((await AlertArea.findById(home._id)).alertCount).toBe(1);
+    });
+
+    test('should not alert users about their own reports', async () => {
+      const user = await createTestUser();
+      await createCircle(user._id);
+
+      const incident = await createIncident({ reportedBy: user._id });
+
+      expect((await deliverAreaAlerts(incident, 'created')).delivered).toBe(0);
+    });
+
+    test('should raise alerts from incident events', async () => {
+      const user = await createTestUser();
+      await createCircle(user._id);
+      startAreaAlertMatcher();
+
+      const incident = await createIncident();
+      incident.status = 'verified';
+      await incident.save();
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      const alerts = await AreaAlert.find({ userId: user._id }).sort({ trigger: 1 });
+      expect(alerts.map(alert => alert.trigger)).toEqual(['created', 'verified']);
+    });
+  });
+
+  // ============================================================================
+  // Endpoints
+  // ============================================================================
+
+  describe('Area alert endpoints', () => {
+    test('should create, list, update and delete alert areas', async () => {
+      const user = await createTestUser();
+
+      const created = await request(app)
+        .post('/api/alerts/areas')
+        .set(authHeader(user))
+        .send({ name: 'School', latitude: HOME[1], longitude: HOME[0], radiusMeters: 800, types: ['fire'] });
+
+      expect(created.status).toBe(201);
+      expect(created.body.data.area).toMatchObject({
+        shape: 'circle',
+        center: { latitude: HOME[1], longitude: HOME[0] },
+        radiusMeters: 800,
+        minSeverity: AREA_ALERTS.DEFAULT_MIN_SEVERITY,
+        triggers: AREA_ALERTS.TRIGGERS
+      });
+
+      const areaId = created.body.data.area.id;
+      const updated = await request(app)
+        .put(`/api/alerts/areas/${areaId}`)
+        .set(authHeader(user))
+        .send({ shape: 'polygon', polygon: HOME_SQUARE[0], isActive: false });
+
+      expect(updated.status).toBe(200);
+      expect(updated.body.data.area).toMatchObject({ shape: 'polygon', isActive: false });
+      expect(updated.body.data.area.radiusMeters).toBeUndefined();
+
+      const listed = await request(app).get('/api/alerts/areas').set(authHeader(user));
+      expect(listed.body.data.areas).toHaveLength(1);
+
+      const deleted = await request(app).delete(`/api/alerts/areas/${areaId}`).set(authHeader(user));
+      expect(deleted.status).toBe(200);
+      expect(await AlertArea.countDocuments({ userId: user._id })).toBe(0);
+    });
+
+    test('should reject invalid areas', async () => {
+      const user = await createTestUser();
+
+      const missingCentre = await request(app)
+        .post('/api/alerts/areas')
+        .set(authHeader(user))
+        .send({ name: 'Home' });
+      expect(missingCentre.status).toBe(400);
+
+      const openPolygon = await request(app)
+        .post('/api/alerts/areas')
+        .set(authHeader(user))
+        .send({ name: 'Home', shape: 'polygon', polygon: [[73.80, 18.50], [73.81, 18.50]] });
+      expect(openPolygon.status).toBe(400);
+    });
+
+    test('should limit the number of areas per user', async () => {
+      const user = await createTestUser();
+      await AlertArea.insertMany(Array.from({ length: AREA_ALERTS.MAX_AREAS_PER_USER }, (_, index) => ({
+        userId: user._id,
+        name: `Area ${index}`,
+        shape: 'circle',
+        center: { type: 'Point', coordinates: HOME },
+        radiusMeters: 1000
+      })));
+
+      const response = await request(app)
+        .post('/api/alerts/areas')
+        .set(authHeader(user))
+        .send({ name: 'One more', latitude: HOME[1], longitude: HOME[0] });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe('ALERT_AREA_LIMIT_REACHED');
+    });
+
+    test("should hide other users' areas and alerts", async () => {
+      const [owner, other] = await Promise.all([createTestUser(), createTestUser()]);
+      const area = await createCircle(owner._id);
+      const incident = await createIncident();
+      const { alerts } = await deliverAreaAlerts(incident, 'created');
+
+      const areaResponse = await request(app)
+        .delete(`/api/alerts/areas/${area._id}`)
+        .set(authHeader(other));
+      expect(areaResponse.status).toBe(404);
+
+      const alertResponse = await request(app)
+        .put(`/api/alerts/${alerts[0]._id}/read`)
+        .set(authHeader(other));
+      expect(alertResponse.status).toBe(404);
+    });
+
+    test('should list alerts and mark them read', async () => {
+      const user = await createTestUser();
+      await createCircle(user._id, { minSeverity: 'low' });
+      const first = await createIncident();
+      await createIncident({ title: 'Second fire nearby' }, 200);
+      const { alerts } = await deliverAreaAlerts(first, 'created');
+      await deliverAreaAlerts(await Incident.findOne({ title: 'Second fire nearby' }), 'created');
+
+      const listed = await request(app).get('/api/alerts').set(authHeader(user));
+      expect(listed.status).toBe(200);
+      expect(listed.body.data.unreadCount).toBe(2);
+
+      const read = await request(app)
+        .put(`/api/alerts/${alerts[0]._id}/read`)
+        .set(authHeader(user));
+      expect(read.body.data.alert.read).toBe(true);
+
+      const unread = await request(app).get('/api/alerts').query({ unread: true }).set(authHeader(user));
+      expect(unread.body.data.alerts.map(alert => alert.incident.title)).toEqual(['Second fire nearby']);
+
+      const readAll = await request(app).put('/api/alerts/read-all').set(authHeader(user));
+      expect(readAll.body.data.updated).toBe(1);
+    });
+
+    test('should not be available to guests', async () => {
+      const response = await request(app).get('/api/alerts');
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Unit Tests: Email Verification
+ *
+ * Tests email verification for new accounts
+ *
+ * This test suite covers:
+ * - Verification emails on registration with hashed single-use tokens
+ * - The verify-email endpoint, including expired and reused links
+ * - Resending with a cooldown
+ * - The policy for what unverified users may do
+ * - Backfilling accounts created before email verification
+ */
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Incident = require('../../src/models/Incident');
+const NotificationDelivery = require('../../src/models/NotificationDelivery');
+const localNotifier = require('../../src/services/localNotifier');
+const { NOTIFICATION_EVENTS } = require('../../src/services/notificationTemplates');
+const { getResendCooldownSeconds } = require('../../src/services/emailVerification');
+const { generateUserToken } = require('../../src/middleware/auth');
+const { unverifiedCanPerformAction, UNVERIFIED_RESTRICTIONS } = require('../../src/middleware/roleCheck');
+const { hashToken } = require('../../src/utils/encryption');
+const { backfillEmailVerification } = require('../../scripts/backfill-email-verification');
+const { EMAIL_VERIFICATION } = require('../../src/config/constants');
+const { createTestUser } = require('../factories/userFactory');
+const { clearTestData } = require('../utils/testHelpers');
+
+/**
+ * Create and save an incident reported by someone else
+ */
+const createIncident = async () => {
+  const incident = new Incident({
+    title: 'Pothole on bridge',
+    description: 'Large pothole in the left lane of the bridge',
+    type: 'other',
+    severity: 'medium',
+    location: { type: 'Point', coordinates: [73.8412, 18.5204] },
+    reportedBy: new mongoose.Types.ObjectId(),
+    reportedByModel: 'User',
+    department: 'municipal',
+    incidentTime: new Date()
+  });
+  return await incident.save();
+};
+
+/**
+ * Get the token from the latest verification email sent to an address
+ */
+const getEmailedToken = (email) => {
+  const emails = localNotifier.getOutbox({ event: NOTIFICATION_EVENTS.EMAIL_VERIFICATION, to: email });
+  return decodeURIComponent(emails[emails.length - 1].message.text.match(/token=([^\s]+)/)[1]);
+};
+
+const authHeader = (user) => ({ Authorization: `Bearer ${generateUserToken(user)}` });
+
+describe('Email Verification Unit Tests', () => {
+  afterEach(async () => {
+    localNotifier.clearOutbox();
+    await clearTestData();
+    await NotificationDelivery.deleteMany({});
+  });
+
+  // ============================================================================
+  // Policy
+  // ============================================================================
+
+  describe('Unverified user policy', () => {
+    const defaultActions = [...UNVERIFIED_RESTRICTIONS.restrictedActions];
+
+    afterEach(() => {
+      UNVERIFIED_RESTRICTIONS.restrictedActions = defaultActions;
+    });
+
+    test('should let unverified users report but not upvote by default', () => {
+      const user = { role: 'user', isVerified: false };
+
+      expect(unverifiedCanPerformAction(user, 'incidents', 'create')).toBe(true);
+      expect(unverifiedCanPerformAction(user, 'incidents', 'upvote')).toBe(false);
+      expect(unverifiedCanPerformAction({ ...user, isVerified: true }, 'incidents', 'upvote')).toBe(true);
+    });
+
+    test('should not restrict staff accounts', () => {
+      expect(unverifiedCanPerformAction({ role: 'police', isVerified: false }, 'incidents', 'upvote')).toBe(true);
+    });
+
+    test('should support wildcard policies', () => {
+      UNVERIFIED_RESTRICTIONS.restrictedActions = ['alerts.*'];
+      const user = { role: 'user', isVerified: false };
+
+      expect(unverifiedCanPerformAction(user, 'alerts', 'manageOwn')).toBe(false);
+      expect(unverifiedCanPerformAction(user, 'incidents', 'upvote')).toBe(true);
+    });
+
+    test('should report the resend cooldown', () => {
+      expect(getResendCooldownSeconds({})).toBe(0);
+      expect(getResendCooldownSeconds({ emailVerificationSentAt: new Date() }))
+        .toBe(EMAIL_VERIFICATION.RESEND_COOLDOWN_MINUTES * 60);
+      expect(getResendCooldownSeconds({ emailVerificationSentAt: new Date(Date.now() - 60 * 60 * 1000) })).toBe(0);
+    });
+  });
+
+  // ============================================================================
+  // Verification flow
+  // ============================================================================
+
+  describe('Verification flow', () => {
+    test('should email a verification link on registration', async () => {
+      const response = await request(app)
+        .post('/api/user/register')
+        .send({
+          fullName: 'Neha Kulkarni',
+          email: 'new.user@example.com',
+          phone: '+919877300001',
+          dob: '1993-02-14',
+          gender: 'female',
+          address: { street: '12 FC Road', city: 'Pune', state: 'MH', pincode: '411005' }
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.user.isVerified).toBe(false);
+
+      const token = getEmailedToken('new.user@example.com');
+      const stored = await User.findByEmail('new.user@example.com').select('+emailVerificationToken');
+      expect(stored.emailVerificationToken).toBe(hashToken(token));
+    });
+
+    test('should verify the email once', async () => {
+      const user = await createTestUser();
+      await request(app).post('/api/auth/resend-verification').set(authHeader(user));
+      const token = getEmailedToken(user.email);
+
+      const verified = await request(app).get('/api/auth/verify-email').query({ token });
+      expect(verified.status).toBe(200);
+      expect(verified.body.data).toMatchObject({ verified: true, email: user.email });
+
+      const updated = await User.findById(user._id).select('+emailVerificationToken');
+      expect(updated.isVerified).toBe(true);
+      expect(updated.emailVerifiedAt).toBeDefined();
+      expect(updated.emailVerificationToken).toBeUndefined();
+
+      const reused = await request(app).get('/api/auth/verify-email').query({ token });
+      expect(reused.status).toBe(400);
+      expect(reused.body.error.code).toBe('INVALID_TOKEN');
+    });
+
+    test('should reject expired links', async () => {
+      const user = await createTestUser();
+      await request(app).post('/api/auth/resend-verification').set(authHeader(user));
+      const token = getEmailedToken(user.email);
+
+      await User.updateOne({ _id: user._id }, { emailVerificationExpires: new Date(Date.now() - 1000) });
+      const response = await request(app).get('/api/auth/verify-email').query({ token });
+
+      expect(response.status).toBe(400);
+      expect((await User.findById(user._id)).isVerified).toBe(false);
+    });
+
+    test('should enforce the resend cooldown and replace earlier links', async () => {
+      const user = await createTestUser();
+
+      const first = await request(app).post('/api/auth/resend-verification').set(authHeader(user));
+      expect(first.status).toBe(200);
+      const firstToken = getEmailedToken(user.email);
+
+      const tooSoon = await request(app).post('/api/auth/resend-verification').set(authHeader(user));
+      expect(tooSoon.status).toBe(429);
+      expect(tooSoon.body.error.details.retryAfter).toBeGreaterThan(0);
+
+      await User.updateOne({ _id: user._id }, { emailVerificationSentAt: new Date(Date.now() - 60 * 60 * 1000) });
+      const second = await request(app).post('/api/auth/resend-verification').set(authHeader(user));
+      expect(second.status).toBe(200);
+
+      const replaced = await request(app).get('/api/auth/verify-email').query({ token: firstToken });
+      expect(replaced.status).toBe(400);
+    });
+
+    test('should not resend to verified users', async () => {
+      const user = await createTestUser({ isVerified: true });
+
+      const response = await request(app).post('/api/auth/resend-verification').set(authHeader(user));
+
+      expect(response.status).toBe(409);
+      expect(localNotifier.getOutbox()).toHaveLength(0);
+    });
+
+    test('should block upvotes until the email is verified', async () => {
+      const user = await createTestUser();
+      const incident = await createIncident();
+
+      const blocked = await request(app)
+        .post(`/api/incidents/${incident._id}/upvote`)
+        .set(authHeader(user))
+        .send({});
+      expect(blocked.status).toBe(403);
+      expect(blocked.body.error.code).toBe('EMAIL_NOT_VERIFIED');
+
+      await User.updateOne({ _id: user._id }, { isVerified: true });
+      const allowed = await request(app)
+        .post(`/api/incidents/${incident._id}/upvote`)
+        .set(authHeader(user))
+        .send({});
+      expect(allowed.status).toBe(200);
+    });
+  });
+
+  // ============================================================================
+  // Backfill
+  // ============================================================================
+
+  describe('Backfill for existing accounts', () => {
+    test('should mark accounts that were never sent a link as verified', async () => {
+      const existing = await createTestUser();
+      const registered = await createTestUser();
+      await request(app).post('/api/auth/resend-verification').set(authHeader(registered));
+
+      const stats = await backfillEmailVerification();
+
+      expect(stats).toMatchObject({ checked: 1, verified: 1 });
+      expect((await User.findById(existing._id)).isVerified).toBe(true);
+      expect((await User.findById(registered._id)).isVerified).toBe(false);
+    });
+
+    test('should email a link instead when asked', async () => {
+      const existing = await createTestUser();
+
+      const stats = await backfillEmailVerification({ sendLinks: true });
+
+      expect(stats).toMatchObject({ checked: 1, emailed: 1 });
+      expect(getEmailedToken(existing.email)).toBeDefined();
+      expect((await User.findById(existing._id)).isVerified).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Unit Tests: Password Reset
+ *
+ * Tests the emailed, single-use password reset flow
+ *
+ * This test suite covers:
+ * - Token generation and hashed storage
+ * - Reset emails and responses for unknown accounts
+ * - Single-use and expired tokens
+ * - Invalidating existing sessions after a reset
+ * - Keeping reset links out of the delivery log, with a new link on retry
+ * - password_reset audit log entries
+ */
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const AuditLog = require('../../src/models/AuditLog');
+const NotificationDelivery = require('../../src/models/NotificationDelivery');
+const localNotifier = require('../../src/services/localNotifier');
+const { NOTIFICATION_EVENTS } = require('../../src/services/notificationTemplates');
+const { processDueDeliveries } = require('../../src/services/notifications');
+const { generateUserToken } = require('../../src/middleware/auth');
+const { ENDPOINT_LIMITS } = require('../../src/middleware/rateLimiter');
+const { hashToken, generateSecureToken } = require('../../src/utils/encryption');
+const { PASSWORD_RESET } = require('../../src/config/constants');
+const { DELIVERY_STATUS } = require('../../src/config/notifications');
+const { createTestUser } = require('../factories/userFactory');
+const { clearTestData } = require('../utils/testHelpers');
+
+const NEW_PASSWORD = 'NewPassword456!';
+
+/**
+ * Request a reset link and return the token from the email
+ */
+const requestResetToken = async (email) => {
+  await request(app).post('/api/auth/forgot-password').send({ email });
+
+  const emails = localNotifier.getOutbox({ event: NOTIFICATION_EVENTS.PASSWORD_RESET, to: email });
+  return decodeURIComponent(emails[emails.length - 1].message.text.match(/token=([^\s]+)/)[1]);
+};
+
+const authHeader = (token) => ({ Authorization: `Bearer ${token}` });
+
+describe('Password Reset Unit Tests', () => {
+  afterEach(async () => {
+    localNotifier.clearOutbox();
+    await clearTestData();
+    await NotificationDelivery.deleteMany({});
+  });
+
+  // ============================================================================
+  // Tokens
+  // ============================================================================
+
+  describe('Tokens', () => {
+    test('should store only the hash of the reset token', () => {
+      const user = new User({ email: 'hash@example.com' });
+
+      const resetToken = user.createPasswordResetToken();
+
+      expect(resetToken).toHaveLength(PASSWORD_RESET.TOKEN_BYTES * 2);
+      expect(user.passwordResetToken).toBe(hashToken(resetToken));
+      expect(user.passwordResetToken).not.toBe(resetToken);
+      expect(user.passwordResetExpires.getTime() - Date.now())
+        .toBeLessThanOrEqual(PASSWORD_RESET.EXPIRES_MINUTES * 60 * 1000);
+    });
+
+    test('should generate unique tokens', () => {
+      expect(generateSecureToken()).not.toBe(generateSecureToken());
+      expect(hashToken('abc')).toBe(hashToken('abc'));
+    });
+
+    test('should include the session version in JWTs', () => {
+      const token = generateUserToken({ _id: 'user-1', role: 'user', email: 'a@example.com', sessionVersion: 4 });
+
+      expect(jwt.decode(token).sessionVersion).toBe(4);
+    });
+
+    test('should rate limit reset emails per address', () => {
+      const { keyGenerator, max } = ENDPOINT_LIMITS.passwordResetEmail;
+
+      expect(max).toBe(PASSWORD_RESET.MAX_REQUESTS_PER_EMAIL);
+      expect(keyGenerator({ body: { email: ' Reset@Example.com ' } })).toBe('email:reset@example.com');
+    });
+  });
+
+  // ============================================================================
+  // Reset flow
+  // ============================================================================
+
+  describe('Reset flow', () => {
+    test('should email a link and store only the token hash', async () => {
+      const user = await createTestUser();
+
+      const resetToken = await requestResetToken(user.email);
+
+      const stored = await User.findById(user._id).select('+passwordResetToken +passwordResetExpires');
+      expect(stored.passwordResetToken).toBe(hashToken(resetToken));
+      expect(stored.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+
+      const [entry] = await AuditLog.find({ userId: user._id, eventType: 'password_reset' });
+      expect(entry).toMatchObject({ action: 'password_reset_requested', outcome: 'success' });
+    });
+
+    test('should respond the same for unknown emails and log the attempt', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.emailSent).toBe(true);
+      expect(localNotifier.getOutbox()).toHaveLength(0);
+
+      const [entry] = await AuditLog.find({ eventType: 'password_reset' });
+      expect(entry).toMatchObject({ userRole: 'system', outcome: 'failure' });
+      expect(entry.metadata.reason).toBe('account_not_found');
+    });
+
+    test('should reset the password once and allow login with it', async () => {
+      const user = await createTestUser();
+      const resetToken = await requestResetToken(user.email);
+
+      const reset = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, newPassword: NEW_PASSWORD });
+      expect(reset.status).toBe(200);
+
+      const reused = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, newPassword: 'OtherPassword789!' });
+      expect(reused.status).toBe(401);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: NEW_PASSWORD });
+      expect(login.status).toBe(200);
+
+      const actions = (await AuditLog.find({ eventType: 'password_reset' }).sort({ timestamp: 1 }))
+        .map(entry => entry.action);
+      expect(actions).toEqual(['password_reset_requested', 'password_reset_completed', 'password_reset_failed']);
+    });
+
+    test('should keep the link usable when the new password is rejected', async () => {
+      const user = await createTestUser();
+      const resetToken = await requestResetToken(user.email);
+
+      await expect(User.redeemPasswordResetToken(resetToken, 'short')).rejects.toThrow('password');
+
+      const unchanged = await User.findById(user._id);
+      expect(unchanged.sessionVersion).toBe(user.sessionVersion);
+
+      const reset = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, newPassword: NEW_PASSWORD });
+      expect(reset.status).toBe(200);
+    });
+
+    test('should replace earlier links and reject expired tokens', async () => {
+      const user = await createTestUser();
+      const firstToken = await requestResetToken(user.email);
+      const secondToken = await requestResetToken(user.email);
+
+      const replaced = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: firstToken, newPassword: NEW_PASSWORD });
+      expect(replaced.status).toBe(401);
+
+      await User.updateOne({ _id: user._id }, { passwordResetExpires: new Date(Date.now() - 1000) });
+      const expired = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: secondToken, newPassword: NEW_PASSWORD });
+      expect(expired.status).toBe(401);
+    });
+
+    test('should invalidate existing sessions after a reset', async () => {
+      const user = await createTestUser();
+      const accessToken = generateUserToken(user);
+      const refreshTokenValue = generateUserToken(user, '7d');
+
+      const before = await request(app).get('/api/auth/verify-token').set(authHeader(accessToken));
+      expect(before.status).toBe(200);
+
+      const resetToken = await requestResetToken(user.email);
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, newPassword: NEW_PASSWORD });
+
+      const after = await request(app).get('/api/auth/verify-token').set(authHeader(accessToken));
+      expect(after.status).toBe(401);
+
+      const refreshed = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: refreshTokenValue });
+      expect(refreshed.status).toBe(401);
+
+      const updated = await User.findById(user._id);
+      const current = await request(app).get('/api/auth/verify-token').set(authHeader(generateUserToken(updated)));
+      expect(current.status).toBe(200);
+    });
+
+    test('should not store reset links and email a new one on retry', async () => {
+      const user = await createTestUser();
+      const send = jest.spyOn(localNotifier, 'send').mockRejectedValueOnce(new Error('SMTP connection reset'));
+
+      try {
+        await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+
+        const delivery = await NotificationDelivery.findOne({ userId: user._id }).select('+message');
+        expect(delivery.status).toBe(DELIVERY_STATUS.RETRYING);
+        expect(delivery.message).toBeUndefined();
+
+        await NotificationDelivery.updateOne({ _id: delivery._id }, { nextAttemptAt: new Date(Date.now() - 1000) });
+        expect(await processDueDeliveries()).toMatchObject({ processed: 1, sent: 1 });
+      } finally {
+        send.mockRestore();
+      }
+
+      const [email] = localNotifier.getOutbox({ event: NOTIFICATION_EVENTS.PASSWORD_RESET });
+      const resetToken = decodeURIComponent(email.message.text.match(/token=([^\s]+)/)[1]);
+      const reset = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, newPassword: NEW_PASSWORD });
+      expect(reset.status).toBe(200);
+    });
+
+    test('should not email inactive accounts', async () => {
+      const user = await createTestUser({ isActive: false });
+
+      await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+
+      expect(localNotifier.getOutbox()).toHaveLength(0);
+    });
+  });
+});
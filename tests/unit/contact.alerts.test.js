@@ -0,0 +1,289 @@
+/**
+ * Unit Tests: Emergency Contact Alerts
+ *
+ * Tests the opt-in text alerts sent to a user's emergency contacts
+ *
+ * This test suite covers:
+ * - Message data and previews for each contact
+ * - Which incident events alert contacts
+ * - Opt-in, one alert per incident and trigger, and the rate limit
+ * - Alerts when a patient is admitted, naming the hospital
+ * - Settings, preview, test and history endpoints and the audit trail
+ */
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Incident = require('../../src/models/Incident');
+const ContactAlert = require('../../src/models/ContactAlert');
+const AuditLog = require('../../src/models/AuditLog');
+const NotificationDelivery = require('../../src/models/NotificationDelivery');
+const localNotifier = require('../../src/services/localNotifier');
+const {
+  buildContactAlertData,
+  sendContactAlert,
+  alertContactsOfAdmission,
+  previewContactAlert,
+  handleIncidentEvent,
+  stopContactAlerts
+} = require('../../src/services/contactAlerts');
+const { NOTIFICATION_EVENTS } = require('../../src/services/notificationTemplates');
+const { generateUserToken } = require('../../src/middleware/auth');
+const { encryptSensitiveData } = require('../../src/utils/encryption');
+const { CONTACT_ALERTS, STREAM_EVENTS } = require('../../src/config/constants');
+const { createTestUser } = require('../factories/userFactory');
+const { clearTestData } = require('../utils/testHelpers');
+
+const CONTACTS = [
+  { name: 'Ravi Rao', relation: 'sibling', phone: '+919811100001' },
+  { name: 'Meera Rao', relation: 'parent', phone: '+919811100002' }
+];
+
+const createContactUser = (overrides = {}) => createTestUser({
+  fullName: 'Asha Rao',
+  emergencyContacts: CONTACTS,
+  ...overrides
+});
+
+/**
+ * Create and save an incident reported by a user
+ */
+const createIncident = async (reportedBy, overrides = {}) => {
+  const incident = new Incident({
+    title: 'Collapsed at bus stop',
+    description: 'Person collapsed at the bus stop and is not responding',
+    type: 'medical_emergency',
+    severity: 'high',
+    location: { type: 'Point', coordinates: [73.8077, 18.5074] },
+    reportedBy,
+    reportedByModel: 'User',
+    department: 'medical',
+    incidentTime: new Date(),
+    ...overrides
+  });
+  return await incident.save();
+};
+
+const createdEvent = (incident) => ({
+  type: STREAM_EVENTS.INCIDENT_CREATED,
+  incidentId: String(incident._id),
+  incident: { type: incident.type }
+});
+
+const authHeader = (user) => ({ Authorization: `Bearer ${generateUserToken(user)}` });
+
+describe('Emergency Contact Alert Unit Tests', () => {
+  beforeAll(async () => {
+    await ContactAlert.syncIndexes();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    stopContactAlerts();
+    localNotifier.clearOutbox();
+    await clearTestData();
+    await ContactAlert.deleteMany({});
+    await NotificationDelivery.deleteMany({});
+  });
+
+  // ============================================================================
+  // Messages
+  // ============================================================================
+
+  describe('Messages', () => {
+    test('should describe the incident status and hospital', () => {
+      expect(buildContactAlertData({ type: 'accident', status: 'in_progress' }, 'patient_admitted', 'City Hospital'))
+        .toEqual({
+          situation: 'has been admitted to hospital',
+          typeLabel: 'Accident',
+          statusLabel: 'in progress',
+          hospital: 'City Hospital'
+        });
+
+      expect(buildContactAlertData({ type: 'medical_emergency', status: 'reported' }, 'incident_reported').hospital)
+        .toBe('not known yet');
+    });
+
+    test('should preview each contact\'s messages with masked phones', () => {
+      const user = {
+        fullName: encryptSensitiveData('Asha Rao'),
+        emergencyContacts: CONTACTS.map((contact, index) => ({
+          _id: `contact-${index}`,
+          relation: contact.relation,
+          name: encryptSensitiveData(contact.name),
+          phone: encryptSensitiveData(contact.phone)
+        }))
+      };
+
+      const { contacts } = previewContactAlert(user);
+
+      expect(contacts).toHaveLength(2);
+      expect(contacts[0].phone).toBe('+********0001');
+      expect(contacts[0].alertMessage).toContain('Emergency alert for Ravi Rao: Asha Rao reported an emergency');
+      expect(contacts[0].alertMessage).toContain('Medical Emergency, status reported');
+      expect(contacts[1].testMessage).toContain('Test alert for Meera Rao');
+    });
+
+    test('should ignore events for other incident types', async () => {
+      const findById = jest.spyOn(Incident, 'findById');
+
+      await handleIncidentEvent({ type: STREAM_EVENTS.INCIDENT_CREATED, incidentId: 'x', incident: { type: 'fire' } });
+      await handleIncidentEvent({ type: STREAM_EVENTS.INCIDENT_UPVOTED, incidentId: 'x', incident: { type: 'accident' } });
+
+      expect(findById).not.toHaveBeenCalled();
+    });
+  });
+
+  // ============================================================================
+  // Delivery
+  // ============================================================================
+
+  describe('Delivery', () => {
+    test('should only alert contacts of users who opted in', async () => {
+      const user = await createContactUser();
+      const incident = await createIncident(user._id);
+
+      await handleIncidentEvent(createdEvent(incident));
+      expect(localNotifier.getOutbox()).toHaveLength(0);
+
+      await User.updateOne({ _id: user._id }, { 'emergencyContactAlerts.enabled': true });
+      await handleIncidentEvent(createdEvent(incident));
+
+      const messages = localNotifier.getOutbox({ event: NOTIFICATION_EVENTS.EMERGENCY_CONTACT_ALERT });
+      expect(messages.map(message => message.to).sort()).toEqual(CONTACTS.map(contact => contact.phone));
+      expect(messages[0].message.text).toContain('Asha Rao reported an emergency');
+
+      const [alert] = await ContactAlert.find({ userId: user._id });
+      expect(alert).toMatchObject({ trigger: 'incident_reported', outcome: 'notified' });
+      expect(alert.contacts).toHaveLength(2);
+      expect(alert.contacts[0].recipient).not.toContain('98111');
+    });
+
+    test('should not alert for guest reports', async () => {
+      const user = await createContactUser({ emergencyContactAlerts: { enabled: true } });
+      const incident = await createIncident(user._id, { reportedByModel: 'Guest' });
+
+      await handleIncidentEvent(createdEvent(incident));
+
+      expect(localNotifier.getOutbox()).toHaveLength(0);
+    });
+
+    test('should alert once per incident and trigger', async () => {
+      const user = await createContactUser({ emergencyContactAlerts: { enabled: true } });
+      const incident = await createIncident(user._id);
+
+      await handleIncidentEvent(createdEvent(incident));
+      await handleIncidentEvent(createdEvent(incident));
+
+      expect(await ContactAlert.countDocuments({ userId: user._id })).toBe(1);
+      expect(localNotifier.getOutbox()).toHaveLength(CONTACTS.length);
+    });
+
+    test('should hold back alerts over the rate limit and record them', async () => {
+      const user = await createContactUser({ emergencyContactAlerts: { enabled: true } });
+
+      for (let index = 0; index <= CONTACT_ALERTS.MAX_ALERTS_PER_WINDOW; index += 1) {
+        const incident = await createIncident(user._id);
+        await sendContactAlert({ userId: user._id, trigger: 'incident_reported', incident });
+      }
+
+      const outcomes = (await ContactAlert.find({ userId: user._id }).sort({ createdAt: 1 }))
+        .map(alert => alert.outcome);
+      expect(outcomes.filter(outcome => outcome === 'notified')).toHaveLength(CONTACT_ALERTS.MAX_ALERTS_PER_WINDOW);
+      expect(outcomes[outcomes.length - 1]).toBe('rate_limited');
+      expect(localNotifier.getOutbox()).toHaveLength(CONTACT_ALERTS.MAX_ALERTS_PER_WINDOW * CONTACTS.length);
+    });
+
+    test('should name the hospital when a patient is admitted', async () => {
+      const user = await createContactUser({ emergencyContactAlerts: { enabled: true } });
+      const incident = await createIncident(new mongoose.Types.ObjectId(), { type: 'accident', status: 'in_progress' });
+
+      const alert = await alertContactsOfAdmission({
+        _id: new mongoose.Types.ObjectId(),
+        patient: user._id,
+        hospital: 'Sassoon General Hospital',
+        admittedBy: new mongoose.Types.ObjectId()
+      }, incident);
+
+      expect(alert.incident).toMatchObject({ type: 'accident', status: 'in_progress', hospital: 'Sassoon General Hospital' });
+      expect(localNotifier.getOutbox()[0].message.text)
+        .toContain('has been admitted to hospital. Incident: Accident, status in progress. Hospital: Sassoon General Hospital.');
+    });
+  });
+
+  // ============================================================================
+  // Endpoints
+  // ============================================================================
+
+  describe('Contact alert endpoints', () => {
+    test('should opt in and out and record consent in the audit log', async () => {
+      const user = await createContactUser();
+
+      const current = await request(app).get('/api/contact-alerts/settings').set(authHeader(user));
+      expect(current.status).toBe(200);
+      expect(current.body.data).toMatchObject({ enabled: false, incidentTypes: CONTACT_ALERTS.INCIDENT_TYPES });
+      expect(current.body.data.contacts[0]).toMatchObject({ name: 'Ravi Rao', phone: '+********0001' });
+
+      const enabled = await request(app)
+        .put('/api/contact-alerts/settings')
+        .set(authHeader(user))
+        .send({ enabled: true });
+      expect(enabled.status).toBe(200);
+      expect(enabled.body.data.enabled).toBe(true);
+      expect(enabled.body.data.enabledAt).toBeTruthy();
+
+      const disabled = await request(app)
+        .put('/api/contact-alerts/settings')
+        .set(authHeader(user))
+        .send({ enabled: false });
+      expect(disabled.body.data.enabled).toBe(false);
+
+      const actions = (await AuditLog.find({ userId: user._id }).sort({ timestamp: 1 })).map(entry => entry.action);
+      expect(actions).toEqual(['contact_alerts_enabled', 'contact_alerts_disabled']);
+    });
+
+    test('should preview messages', async () => {
+      const user = await createContactUser();
+
+      const response = await request(app).get('/api/contact-alerts/preview').set(authHeader(user));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.contacts[1].alertMessage).toContain('Emergency alert for Meera Rao');
+    });
+
+    test('should send limited test messages before opting in', async () => {
+      const user = await createContactUser();
+
+      for (let index = 0; index < CONTACT_ALERTS.MAX_TESTS_PER_WINDOW; index += 1) {
+        const response = await request(app).post('/api/contact-alerts/test').set(authHeader(user));
+        expect(response.status).toBe(201);
+        expect(response.body.data.alert.contacts).toHaveLength(CONTACTS.length);
+      }
+
+      const limited = await request(app).post('/api/contact-alerts/test').set(authHeader(user));
+      expect(limited.status).toBe(429);
+      expect(localNotifier.getOutbox({ event: NOTIFICATION_EVENTS.EMERGENCY_CONTACT_TEST }))
+        .toHaveLength(CONTACT_ALERTS.MAX_TESTS_PER_WINDOW * CONTACTS.length);
+
+      const history = await request(app).get('/api/contact-alerts/history').set(authHeader(user));
+      expect(history.body.data.alerts).toHaveLength(CONTACT_ALERTS.MAX_TESTS_PER_WINDOW + 1);
+      expect(history.body.data.alerts[0].outcome).toBe('rate_limited');
+    });
+
+    test('should keep contact alerts out of notification preferences', async () => {
+      const user = await createContactUser();
+
+      const response = await request(app).get('/api/notifications/preferences').set(authHeader(user));
+
+      expect(response.body.data.events.map(event => event.event))
+        .not.toContain(NOTIFICATION_EVENTS.EMERGENCY_CONTACT_ALERT);
+    });
+
+    test('should not be available to guests', async () => {
+      const response = await request(app).get('/api/contact-alerts/settings');
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
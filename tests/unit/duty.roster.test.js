@@ -0,0 +1,192 @@
+/**
+ * Unit Tests: Duty Roster
+ *
+ * Tests responder availability, unit rosters and shift scheduling
+ *
+ * This test suite covers:
+ * - Toggling own duty status and location
+ * - Supervisor-only unit roster access
+ * - Shift scheduling and overlap detection
+ * - Department and jurisdiction lookups filtered by duty status
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Shift = require('../../src/models/Shift');
+const { generateUserToken } = require('../../src/middleware/auth');
+const { ERROR_CODES } = require('../../src/config/constants');
+const { createTestUser } = require('../factories/userFactory');
+const { clearTestData } = require('../utils/testHelpers');
+
+const createOfficer = (overrides = {}) => createTestUser({
+  role: 'police',
+  department: 'Central Police',
+  jurisdiction: 'Pune City',
+  ...overrides
+});
+
+const authHeader = (user) => ({ Authorization: `Bearer ${generateUserToken(user)}` });
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+describe('Duty Roster Unit Tests', () => {
+  afterEach(async () => {
+    await clearTestData();
+    await Shift.deleteMany({});
+  });
+
+  // ============================================================================
+  // PUT /api/duty/me/status
+  // ============================================================================
+
+  describe('PUT /api/duty/me/status', () => {
+    test('should update own availability and location', async () => {
+      const officer = await createOfficer();
+
+      const response = await request(app)
+        .put('/api/duty/me/status')
+        .set(authHeader(officer))
+        .send({ status: 'on_break', coordinates: [73.85, 18.52] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.dutyStatus).toBe('on_break');
+      expect(response.body.data.currentLocation.coordinates).toEqual([73.85, 18.52]);
+    });
+
+    test('should reject unknown statuses', async () => {
+      const officer = await createOfficer();
+
+      const response = await request(app)
+        .put('/api/duty/me/status')
+        .set(authHeader(officer))
+        .send({ status: 'sleeping' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should reject regular users', async () => {
+      const user = await createTestUser();
+
+      const response = await request(app)
+        .put('/api/duty/me/status')
+        .set(authHeader(user))
+        .send({ status: 'on_duty' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  // ============================================================================
+  // GET /api/duty/unit
+  // ============================================================================
+
+  describe('GET /api/duty/unit', () => {
+    test('should list own unit members for supervisors', async () => {
+      const supervisor = await createOfficer({ isSupervisor: true, dutyStatus: 'on_duty' });
+      await createOfficer({ dutyStatus: 'busy' });
+      await createOfficer({ jurisdiction: 'Mumbai City', dutyStatus: 'on_duty' });
+
+      const response = await request(app)
+        .get('/api/duty/unit')
+        .set(authHeader(supervisor));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.members).toHaveLength(2);
+      expect(response.body.data.summary).toMatchObject({ on_duty: 1, busy: 1 });
+    });
+
+    test('should reject responders who are not supervisors', async () => {
+      const officer = await createOfficer();
+
+      const response = await request(app)
+        .get('/api/duty/unit')
+        .set(authHeader(officer));
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  // ============================================================================
+  // POST /api/duty/shifts
+  // ============================================================================
+
+  describe('POST /api/duty/shifts', () => {
+    test('should schedule a shift for a unit member', async () => {
+      const supervisor = await createOfficer({ isSupervisor: true });
+      const officer = await createOfficer();
+
+      const response = await request(app)
+        .post('/api/duty/shifts')
+        .set(authHeader(supervisor))
+        .send({ responderId: officer._id.toString(), startsAt: hoursFromNow(1), endsAt: hoursFromNow(9) });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.shift.department).toBe('Central Police');
+    });
+
+    test('should reject overlapping shifts', async () => {
+      const supervisor = await createOfficer({ isSupervisor: true });
+      const officer = await createOfficer();
+      await Shift.create({
+        responder: officer._id,
+        role: 'police',
+        department: 'Central Police',
+        jurisdiction: 'Pune City',
+        startsAt: hoursFromNow(1),
+        endsAt: hoursFromNow(9),
+        createdBy: supervisor._id
+      });
+
+      const response = await request(app)
+        .post('/api/duty/shifts')
+        .set(authHeader(supervisor))
+        .send({ responderId: officer._id.toString(), startsAt: hoursFromNow(8), endsAt: hoursFromNow(12) });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe(ERROR_CODES.SHIFT_OVERLAP);
+    });
+
+    test('should reject responders outside the unit', async () => {
+      const supervisor = await createOfficer({ isSupervisor: true });
+      const outsider = await createOfficer({ jurisdiction: 'Mumbai City' });
+
+      const response = await request(app)
+        .post('/api/duty/shifts')
+        .set(authHeader(supervisor))
+        .send({ responderId: outsider._id.toString(), startsAt: hoursFromNow(1), endsAt: hoursFromNow(9) });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  // ============================================================================
+  // User lookups by duty status
+  // ============================================================================
+
+  describe('User.findByDepartment / findByJurisdiction', () => {
+    test('should filter by duty status', async () => {
+      await createOfficer({ dutyStatus: 'on_duty' });
+      await createOfficer({ dutyStatus: 'on_break' });
+      await createOfficer({ dutyStatus: 'off_duty' });
+
+      const onDuty = await User.findByDepartment('Central Police', 'on_duty');
+      const available = await User.findByJurisdiction('Pune City', ['on_duty', 'on_break']);
+
+      expect(onDuty).toHaveLength(1);
+      expect(available).toHaveLength(2);
+    });
+
+    test('should return available responders by department by default', async () => {
+      await createOfficer({ dutyStatus: 'on_duty' });
+      await createOfficer({ dutyStatus: 'busy' });
+      await createOfficer({ dutyStatus: 'off_duty' });
+
+      const available = await User.findByDepartment('Central Police');
+      const everyone = await User.findByDepartment('Central Police', null);
+
+      expect(available.map(user => user.dutyStatus).sort()).toEqual(['busy', 'on_duty']);
+      expect(everyone).toHaveLength(3);
+    });
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * Unit Tests: Facility Registry and Hospital Recommendations
+ *
+ * Tests hospital facilities, capacity updates and ranked recommendations
+ *
+ * This test suite covers:
+ * - Working out required specialties from the incident
+ * - Diversion, specialty and bed checks
+ * - Ranking by distance and listing excluded hospitals with reasons
+ * - Capacity updates limited to the staff member's own facility
+ * - GET /api/facilities/recommendations/:incidentId
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const Facility = require('../../src/models/Facility');
+const Incident = require('../../src/models/Incident');
+const { generateUserToken } = require('../../src/middleware/auth');
+const {
+  getRequiredSpecialties,
+  getRequiredWards,
+  evaluateFacility,
+  rankFacilities
+} = require('../../src/services/facilityRecommendations');
+const { ERROR_CODES } = require('../../src/config/constants');
+const { createTestUser } = require('../factories/userFactory');
+const { clearTestData } = require('../utils/testHelpers');
+
+const INCIDENT_POSITION = [73.8567, 18.5204];
+
+const createHospitalStaff = (overrides = {}) => createTestUser({
+  role: 'hospital',
+  department: 'Sassoon General Hospital',
+  ...overrides
+});
+
+const authHeader = (user) => ({ Authorization: `Bearer ${generateUserToken(user)}` });
+
+/**
+ * Plain facility with distance, as returned by $geoNear
+ */
+const facilityAt = (code, distance, overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: code,
+  code,
+  distance,
+  location: { type: 'Point', coordinates: INCIDENT_POSITION },
+  specialties: ['trauma', 'general'],
+  wards: [
+    { ward: 'emergency', totalBeds: 20, availableBeds: 4 },
+    { ward: 'icu', totalBeds: 10, availableBeds: 1 }
+  ],
+  capacityUpdatedAt: new Date(),
+  diversion: { status: 'open' },
+  ...overrides
+});
+
+/**
+ * Create and save a facility about `offsetKm` kilometres east of the incident
+ */
+const createFacility = (code, offsetKm, overrides = {}) => new Facility({
+  name: code,
+  code,
+  location: { type: 'Point', coordinates: [INCIDENT_POSITION[0] + offsetKm / 105, INCIDENT_POSITION[1]] },
+  specialties: ['trauma', 'burns', 'general'],
+  wards: [
+    { ward: 'emergency', totalBeds: 20, availableBeds: 4 },
+    { ward: 'icu', totalBeds: 10, availableBeds: 1 }
+  ],
+  capacityUpdatedAt: new Date(),
+  ...overrides
+}).save();
+
+/**
+ * Create and save an incident at the incident position
+ */
+const createIncident = async (overrides = {}) => {
+  const incident = new Incident({
+    title: 'Fire in residential building',
+    description: 'Fire on the third floor of a residential building, residents have burns',
+    type: 'fire',
+    severity: 'high',
+    location: { type: 'Point', coordinates: INCIDENT_POSITION },
+    reportedBy: new mongoose.Types.ObjectId(),
+    reportedByModel: 'User',
+    department: 'fire',
+    incidentTime: new Date(),
+    ...overrides
+  });
+  return await incident.save();
+};
+
+describe('Facility Recommendation Unit Tests', () => {
+  afterEach(async () => {
+    await clearTestData();
+    await Facility.deleteMany({});
+  });
+
+  // ============================================================================
+  // Requirements
+  // ============================================================================
+
+  describe('Patient requirements', () => {
+    test('should derive specialties from type, subtype and tags', () => {
+      expect(getRequiredSpecialties({ type: 'fire' })).toEqual(['burns']);
+      expect(getRequiredSpecialties({ type: 'medical_emergency', subtype: 'Chest pain', tags: ['infant'] }))
+        .toEqual(['cardiac', 'pediatric']);
+      expect(getRequiredSpecialties({ type: 'medical_emergency' })).toEqual([]);
+    });
+
+    test('should require an ICU bed for critical incidents', () => {
+      expect(getRequiredWards({ severity: 'high' })).toEqual(['emergency']);
+      expect(getRequiredWards({ severity: 'critical' })).toEqual(['emergency', 'icu']);
+    });
+  });
+
+  // ============================================================================
+  // Facility checks
+  // ============================================================================
+
+  describe('evaluateFacility', () => {
+    const requirements = { specialties: ['trauma'], wards: ['emergency', 'icu'] };
+
+    test('should accept a facility with the specialty and free beds', () => {
+      expect(evaluateFacility(facilityAt('ok', 100), requirements)).toEqual({ eligible: true, reasons: [] });
+    });
+
+    test('should report missing specialties and full wards', () => {
+      const facility = facilityAt('full', 100, {
+        specialties: ['general'],
+        wards: [{ ward: 'emergency', totalBeds: 20, availableBeds: 0 }]
+      });
+
+      expect(evaluateFacility(facility, requirements).reasons)
+        .toEqual(['missing_specialty:trauma', 'no_beds:emergency', 'no_beds:icu']);
+    });
+
+    test('should only apply specialty diversions to those patients', () => {
+      const facility = facilityAt('burns-divert', 100, {
+        diversion: { status: 'diverting', specialties: ['burns'] }
+      });
+
+      expect(evaluateFacility(facility, requirements).eligible).toBe(true);
+      expect(evaluateFacility({ ...facility, specialties: ['burns'] }, { specialties: ['burns'], wards: [] }).reasons)
+        .toEqual(['diverting']);
+    });
+
+    test('should ignore diversions that have ended', () => {
+      const facility = facilityAt('ended', 100, {
+        diversion: { status: 'diverting', specialties: [], until: new Date(Date.now() - 60 * 1000) }
+      });
+
+      expect(evaluateFacility(facility, requirements).eligible).toBe(true);
+    });
+  });
+
+  describe('rankFacilities', () => {
+    test('should rank eligible facilities by distance and list the rest with reasons', () => {
+      const { recommendations, excluded } = rankFacilities([
+        facilityAt('far', 9000),
+        facilityAt('diverting', 500, { diversion: { status: 'diverting', specialties: [] } }),
+        facilityAt('near', 2000),
+        facilityAt('stale', 4000, { capacityUpdatedAt: new Date(Date.now() - 24 * 60 * 60 * 1000) })
+      ], { specialties: ['trauma'], wards: ['emergency'] }, { limit: 2 });
+
+      expect(recommendations.map(entry => [entry.rank, entry.facility.code])).toEqual([[1, 'near'], [2, 'stale']]);
+      expect(recommendations[1].capacityStale).toBe(true);
+      expect(excluded).toEqual([expect.objectContaining({ reasons: ['diverting'], distanceMeters: 500 })]);
+    });
+  });
+
+  // ============================================================================
+  // Capacity updates
+  // ============================================================================
+
+  describe('PUT /api/facilities/:id/capacity', () => {
+    test('should let assigned staff update beds and diversion', async () => {
+      const facility = await createFacility('sassoon', 1);
+      const staff = await createHospitalStaff({ facilityId: facility._id });
+
+      const response = await request(app)
+        .put(`/api/facilities/${facility._id}/capacity`)
+        .set(authHeader(staff))
+        .send({
+          wards: [{ ward: 'emergency', availableBeds: 0 }],
+          diversion: { status: 'diverting', reason: 'Mass casualty event' }
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.facility.diversion).toMatchObject({ status: 'diverting', active: true });
+
+      const updated = await Facility.findById(facility._id);
+      expect(updated.wards.find(ward => ward.ward === 'emergency').availableBeds).toBe(0);
+      expect(updated.wards.find(ward => ward.ward === 'icu').availableBeds).toBe(1);
+      expect(updated.capacityUpdatedBy.toString()).toBe(staff._id.toString());
+    });
+
+    test('should reject staff of another facility', async () => {
+      const facility = await createFacility('sassoon', 1);
+      const otherFacility = await createFacility('ruby-hall', 2);
+      const staff = await createHospitalStaff({ facilityId: otherFacility._id });
+
+      const response = await request(app)
+        .put(`/api/facilities/${facility._id}/capacity`)
+        .set(authHeader(staff))
+        .send({ wards: [{ ward: 'emergency', availableBeds: 2 }] });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe(ERROR_CODES.INSUFFICIENT_PERMISSIONS);
+    });
+
+    test('should reject more free beds than the ward has', async () => {
+      const facility = await createFacility('sassoon', 1);
+      const staff = await createHospitalStaff({ facilityId: facility._id });
+
+      const response = await request(app)
+        .put(`/api/facilities/${facility._id}/capacity`)
+        .set(authHeader(staff))
+        .send({ wards: [{ ward: 'icu', availableBeds: 50 }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe(ERROR_CODES.VALIDATION_ERROR);
+    });
+  });
+
+  // ============================================================================
+  // GET /api/facilities/recommendations/:incidentId
+  // ============================================================================
+
+  describe('GET /api/facilities/recommendations/:incidentId', () => {
+    test('should recommend the nearest hospitals that can treat burns', async () => {
+      const officer = await createTestUser({
+        role: 'police',
+        department: 'Fire Response',
+        jurisdiction: 'pune-central'
+      });
+      await Promise.all([
+        createFacility('near-no-burns', 1, { specialties: ['general'] }),
+        createFacility('burns-centre', 3),
+        createFacility('far-burns', 8),
+        createFacility('out-of-range', 80)
+      ]);
+      const incident = await createIncident();
+
+      const response = await request(app)
+        .get(`/api/facilities/recommendations/${incident._id}`)
+        .set(authHeader(officer));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.requirements).toEqual({ specialties: ['burns'], wards: ['emergency'] });
+      expect(response.body.data.recommendations.map(entry => entry.facility.code)).toEqual(['burns-centre', 'far-burns']);
+      expect(response.body.data.excluded).toEqual([
+        expect.objectContaining({ reasons: ['missing_specialty:burns'] })
+      ]);
+    });
+
+    test('should reject regular users', async () => {
+      const user = await createTestUser();
+      const incident = await createIncident();
+
+      const response = await request(app)
+        .get(`/api/facilities/recommendations/${incident._id}`)
+        .set(authHeader(user));
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
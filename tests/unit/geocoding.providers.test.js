@@ -0,0 +1,241 @@
+/**
+ * Unit Tests: Geocoding Providers and Proxy
+ *
+ * Tests the geocoding provider abstraction and the backend geocoding proxy
+ *
+ * This test suite covers:
+ * - Offline gazetteer matching on place names, aliases and pincodes
+ * - Gazetteer reverse lookups and CSV datasets
+ * - Falling back to the secondary provider when the primary fails
+ * - Persistent caching of lookups, including lookups that found nothing
+ * - GET /api/geocode, GET /api/geocode/reverse and POST /api/geocode/batch
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../../src/app');
+const Guest = require('../../src/models/Guest');
+const GeocodeCache = require('../../src/models/GeocodeCache');
+const gazetteer = require('../../src/services/gazetteerGeocoder');
+const nominatim = require('../../src/services/nominatimGeocoder');
+const geocoding = require('../../src/services/geocoding');
+const { generateUserToken } = require('../../src/middleware/auth');
+const { MAPS_CONFIG, GEOCODING_PROVIDERS } = require('../../src/config/maps');
+const { createTestUser } = require('../factories/userFactory');
+const { clearTestData } = require('../utils/testHelpers');
+
+const PLACES = [
+  { name: 'Pune', aliases: ['Poona'], type: 'city', pincode: '411001', state: 'Maharashtra', country: 'India', latitude: 18.5204, longitude: 73.8567 },
+  { name: 'Camp', type: 'locality', pincode: '411001', city: 'Pune', state: 'Maharashtra', country: 'India', latitude: 18.5150, longitude: 73.8790 },
+  { name: 'Shivajinagar', aliases: ['Shivaji Nagar'], type: 'locality', pincode: '411005', city: 'Pune', state: 'Maharashtra', country: 'India', latitude: 18.5308, longitude: 73.8475 },
+  { name: 'Kothrud', type: 'locality', pincode: '411038', city: 'Pune', state: 'Maharashtra', country: 'India', latitude: 18.5074, longitude: 73.8077 }
+];
+
+const entries = gazetteer.setGazetteer(PLACES);
+
+const authHeader = (user) => ({ Authorization: `Bearer ${generateUserToken(user)}` });
+
+describe('Geocoding Provider Unit Tests', () => {
+  const originalProviders = { ...MAPS_CONFIG.GEOCODING };
+
+  beforeEach(() => {
+    MAPS_CONFIG.GEOCODING.PROVIDER = GEOCODING_PROVIDERS.GAZETTEER;
+    MAPS_CONFIG.GEOCODING.FALLBACK_PROVIDER = null;
+  });
+
+  afterEach(async () => {
+    Object.assign(MAPS_CONFIG.GEOCODING, originalProviders);
+    jest.restoreAllMocks();
+    await clearTestData();
+    await GeocodeCache.deleteMany({});
+  });
+
+  // ============================================================================
+  // Gazetteer provider
+  // ============================================================================
+
+  describe('Gazetteer geocoder', () => {
+    test('should prefer a locality over its city', async () => {
+      const result = await gazetteer.geocode('12 Paud Road, Kothrud, Pune', { entries });
+
+      expect(result).toMatchObject({
+        coordinates: { lat: 18.5074, lng: 73.8077 },
+        formattedAddress: 'Kothrud, Pune, Maharashtra 411038, India',
+        components: { locality: 'Kothrud', city: 'Pune', pincode: '411038' },
+        precision: 'locality',
+        provider: 'gazetteer'
+      });
+    });
+
+    test('should match aliases and fall back to the city', async () => {
+      expect((await gazetteer.geocode('Flat 4, Shivaji Nagar', { entries })).components.locality).toBe('Shivajinagar');
+      expect(await gazetteer.geocode('MG Road, Poona', { entries })).toMatchObject({
+        precision: 'city',
+        components: { locality: null, city: 'Pune' }
+      });
+    });
+
+    test('should use pincodes to pick between places', async () => {
+      expect((await gazetteer.geocode('Pune 411001', { entries })).components.city).toBe('Pune');
+      expect(await gazetteer.geocode('PIN 411038', { entries })).toMatchObject({
+        precision: 'pincode',
+        components: { locality: 'Kothrud' }
+      });
+    });
+
+    test('should return null for unknown places', async () => {
+      expect(await gazetteer.geocode('Atlantis', { entries })).toBeNull();
+    });
+
+    test('should reverse geocode to the nearest locality, then the nearest city', async () => {
+      expect(await gazetteer.reverse(18.531, 73.848, { entries })).toMatchObject({
+        components: { locality: 'Shivajinagar' },
+        distanceMeters: expect.any(Number)
+      });
+      expect((await gazetteer.reverse(18.45, 73.70, { entries })).precision).toBe('city');
+      expect(await gazetteer.reverse(10, 10, { entries })).toBeNull();
+    });
+
+    test('should load CSV datasets with aliases', async () => {
+      const file = path.join(os.tmpdir(), `gazetteer-${Date.now()}.csv`);
+      fs.writeFileSync(file, [
+        'name,aliases,type,pincode,city,district,state,country,latitude,longitude',
+        'Aundh,,locality,411007,Pune,Pune,Maharashtra,India,18.5590,73.8075',
+        '"Viman Nagar",Airport|Lohegaon,locality,411014,Pune,Pune,Maharashtra,India,18.5679,73.9143',
+        'Broken,,locality,,,,,,,'
+      ].join('\n'));
+
+      try {
+        const csvEntries = gazetteer.loadGazetteer(file, { reload: true });
+
+        expect(csvEntries.map(entry => entry.name)).toEqual(['Aundh', 'Viman Nagar']);
+        expect((await gazetteer.geocode('Near Lohegaon', { entries: csvEntries })).components.pincode).toBe('411014');
+      } finally {
+        fs.unlinkSync(file);
+        gazetteer.setGazetteer(PLACES);
+      }
+    });
+  });
+
+  // ============================================================================
+  // Provider chain and cache
+  // ============================================================================
+
+  describe('Geocoding service', () => {
+    test('should fall back to the secondary provider when the primary fails', async () => {
+      MAPS_CONFIG.GEOCODING.PROVIDER = GEOCODING_PROVIDERS.NOMINATIM;
+      MAPS_CONFIG.GEOCODING.FALLBACK_PROVIDER = GEOCODING_PROVIDERS.GAZETTEER;
+      jest.spyOn(nominatim, 'geocode').mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      const result = await geocoding.geocode('Camp, Pune', { skipCache: true });
+
+      expect(result).toMatchObject({ provider: 'gazetteer', components: { locality: 'Camp' } });
+    });
+
+    test('should report every provider failure', async () => {
+      MAPS_CONFIG.GEOCODING.PROVIDER = GEOCODING_PROVIDERS.NOMINATIM;
+      jest.spyOn(nominatim, 'geocode').mockRejectedValue(new Error('Request failed with status code 429'));
+
+      await expect(geocoding.geocode('Camp, Pune', { skipCache: true })).rejects.toMatchObject({
+        statusCode: 503,
+        code: MAPS_CONFIG.ERROR_CODES.PROVIDER_ERROR
+      });
+    });
+
+    test('should cache lookups per normalized address', async () => {
+      const spy = jest.spyOn(gazetteer, 'geocode');
+
+      const first = await geocoding.geocode('Kothrud,  PUNE');
+      const second = await geocoding.geocode('kothrud, pune');
+
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(first.cached).toBe(false);
+      expect(second).toMatchObject({ cached: true, components: { locality: 'Kothrud' } });
+
+      const entry = await GeocodeCache.findOne({ key: 'forward:gazetteer:kothrud, pune' });
+      expect(entry.hits).toBe(1);
+    });
+
+    test('should cache lookups that found nothing for a shorter time', async () => {
+      const spy = jest.spyOn(gazetteer, 'geocode');
+
+      expect(await geocoding.geocode('Atlantis')).toBeNull();
+      expect(await geocoding.geocode('Atlantis')).toBeNull();
+      expect(spy).toHaveBeenCalledTimes(1);
+
+      const entry = await GeocodeCache.findOne({ key: 'forward:gazetteer:atlantis' });
+      expect(entry.result).toBeNull();
+      expect(entry.expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + MAPS_CONFIG.CACHE.MISS_TTL_HOURS * 60 * 60 * 1000);
+    });
+  });
+
+  // ============================================================================
+  // Proxy endpoints
+  // ============================================================================
+
+  describe('Geocoding proxy endpoints', () => {
+    test('should let guests geocode addresses', async () => {
+      const guest = await new Guest().save();
+
+      const response = await request(app)
+        .get('/api/geocode')
+        .query({ address: 'Shivaji Nagar, Pune' })
+        .set('x-guest-id', guest.guestId);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.result).toMatchObject({
+        location: { latitude: 18.5308, longitude: 73.8475 },
+        components: { locality: 'Shivajinagar' },
+        provider: 'gazetteer'
+      });
+    });
+
+    test('should reverse geocode coordinates', async () => {
+      const user = await createTestUser();
+
+      const response = await request(app)
+        .get('/api/geocode/reverse')
+        .query({ latitude: 18.5075, longitude: 73.8078 })
+        .set(authHeader(user));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.result.formattedAddress).toBe('Kothrud, Pune, Maharashtra 411038, India');
+    });
+
+    test('should require authentication', async () => {
+      const response = await request(app)
+        .get('/api/geocode')
+        .query({ address: 'Kothrud' });
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should batch geocode for responders only', async () => {
+      const officer = await createTestUser({
+        role: 'police',
+        department: 'Pune City Police',
+        jurisdiction: 'pune-central'
+      });
+      const user = await createTestUser();
+      const body = { addresses: ['Camp, Pune', 'Atlantis'] };
+
+      const response = await request(app)
+        .post('/api/geocode/batch')
+        .set(authHeader(officer))
+        .send(body);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.results.map(entry => entry.result && entry.result.components.locality))
+        .toEqual(['Camp', null]);
+
+      const rejected = await request(app)
+        .post('/api/geocode/batch')
+        .set(authHeader(user))
+        .send(body);
+
+      expect(rejected.status).toBe(403);
+    });
+  });
+});
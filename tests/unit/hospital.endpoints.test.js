@@ -0,0 +1,212 @@
+/**
+ * Unit Tests: Hospital Endpoints
+ *
+ * Tests hospital API endpoints for patient lookup and admission management
+ *
+ * This test suite covers:
+ * - Blind-index phone search and email search, and the phone hash backfill
+ * - Decrypted medical data access
+ * - Admission lifecycle (admit, status, discharge)
+ * - Audit logging of every patient data access
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Incident = require('../../src/models/Incident');
+const Admission = require('../../src/models/Admission');
+const AuditLog = require('../../src/models/AuditLog');
+const { generateUserToken } = require('../../src/middleware/auth');
+const { ERROR_CODES } = require('../../src/config/constants');
+const { backfillPhoneHashes } = require('../../scripts/backfill-phone-hashes');
+const { createTestUser } = require('../factories/userFactory');
+const { clearTestData } = require('../utils/testHelpers');
+
+const createHospitalUser = () => createTestUser({
+  fullName: 'Dr. Staff',
+  role: 'hospital',
+  department: 'City General Hospital',
+  licenseNumber: 'LIC-001'
+});
+
+const createPatient = (overrides = {}) => createTestUser({
+  bloodGroup: 'O+',
+  allergies: ['penicillin'],
+  medicalConditions: ['asthma'],
+  ...overrides
+});
+
+const createIncident = async () => {
+  const incident = new Incident({
+    title: 'Cyclist injured at crossing',
+    description: 'Cyclist hit by a car and needs medical attention',
+    type: 'medical_emergency',
+    severity: 'high',
+    location: { type: 'Point', coordinates: [73.8567, 18.5204] },
+    reportedBy: new mongoose.Types.ObjectId(),
+    reportedByModel: 'User',
+    department: 'medical',
+    incidentTime: new Date()
+  });
+  return await incident.save();
+};
+
+const authHeader = (user) => ({ Authorization: `Bearer ${generateUserToken(user)}` });
+
+describe('Hospital Endpoints Unit Tests', () => {
+  afterEach(async () => {
+    await clearTestData();
+    await Promise.all([Admission.deleteMany({}), AuditLog.deleteMany({})]);
+  });
+
+  // ============================================================================
+  // POST /api/hospital/patients/search
+  // ============================================================================
+
+  describe('POST /api/hospital/patients/search', () => {
+    test('should find patient by phone regardless of formatting', async () => {
+      const staff = await createHospitalUser();
+      const patient = await createPatient({ phone: '+919876543210' });
+
+      const response = await request(app)
+        .post('/api/hospital/patients/search')
+        .set(authHeader(staff))
+        .send({ type: 'phone', query: '+91 98765-43210' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].id).toBe(patient._id.toString());
+      expect(response.body.data[0].phone).toBe('*********3210');
+    });
+
+    test('should find patients saved before the phone hash once backfilled', async () => {
+      const patient = await createPatient({ phone: '+919876543211' });
+      await User.collection.updateOne({ _id: patient._id }, { $unset: { phoneHash: '' } });
+
+      expect(await User.findByPhone('+919876543211')).toBeNull();
+
+      const stats = await backfillPhoneHashes();
+
+      expect(stats).toEqual({ checked: 1, updated: 1, failed: 0 });
+      expect((await User.findByPhone('+91 98765 43211'))._id.toString()).toBe(patient._id.toString());
+    });
+
+    test('should find patient by email and log the access', async () => {
+      const staff = await createHospitalUser();
+      const patient = await createPatient();
+
+      const response = await request(app)
+        .post('/api/hospital/patients/search')
+        .set(authHeader(staff))
+        .send({ type: 'email', query: patient.email.toUpperCase() });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(1);
+
+      const logs = await AuditLog.find({ eventType: 'patient_data_accessed', action: 'patient_search' });
+      expect(logs).toHaveLength(1);
+      expect(logs[0].resourceId.toString()).toBe(patient._id.toString());
+    });
+
+    test('should reject non-hospital users', async () => {
+      const citizen = await createTestUser();
+
+      const response = await request(app)
+        .post('/api/hospital/patients/search')
+        .set(authHeader(citizen))
+        .send({ type: 'email', query: citizen.email });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe(ERROR_CODES.INSUFFICIENT_PERMISSIONS);
+    });
+  });
+
+  // ============================================================================
+  // GET /api/hospital/patients/:patientId
+  // ============================================================================
+
+  describe('GET /api/hospital/patients/:patientId', () => {
+    test('should return decrypted medical data', async () => {
+      const staff = await createHospitalUser();
+      const patient = await createPatient();
+
+      const response = await request(app)
+        .get(`/api/hospital/patients/${patient._id}`)
+        .set(authHeader(staff));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.bloodGroup).toBe('O+');
+      expect(response.body.data.allergies).toEqual(['penicillin']);
+      expect(response.body.data.medicalConditions).toEqual(['asthma']);
+
+      const logCount = await AuditLog.countDocuments({ eventType: 'patient_data_accessed' });
+      expect(logCount).toBe(1);
+    });
+  });
+
+  // ============================================================================
+  // Admission lifecycle
+  // ============================================================================
+
+  describe('Admission lifecycle', () => {
+    test('should admit, update, and discharge a patient', async () => {
+      const staff = await createHospitalUser();
+      const patient = await createPatient();
+      const incident = await createIncident();
+
+      const admitResponse = await request(app)
+        .post('/api/hospital/patients/admit')
+        .set(authHeader(staff))
+        .send({ patientId: patient._id.toString(), incidentId: incident._id.toString(), ward: 'ER' });
+
+      expect(admitResponse.status).toBe(201);
+      expect(admitResponse.body.data.admission.incidentId).toBe(incident._id.toString());
+
+      const duplicateResponse = await request(app)
+        .post('/api/hospital/patients/admit')
+        .set(authHeader(staff))
+        .send({ patientId: patient._id.toString(), incidentId: incident._id.toString() });
+
+      expect(duplicateResponse.status).toBe(409);
+      expect(duplicateResponse.body.error.code).toBe(ERROR_CODES.PATIENT_ALREADY_ADMITTED);
+
+      const statusResponse = await request(app)
+        .put(`/api/hospital/patients/${patient._id}/status`)
+        .set(authHeader(staff))
+        .send({ status: 'critical' });
+
+      expect(statusResponse.status).toBe(200);
+      expect(statusResponse.body.data.newStatus).toBe('critical');
+
+      const dischargeResponse = await request(app)
+        .post(`/api/hospital/patients/${patient._id}/discharge`)
+        .set(authHeader(staff))
+        .send({ summary: 'Recovered' });
+
+      expect(dischargeResponse.status).toBe(200);
+      expect(dischargeResponse.body.data.admission.status).toBe('discharged');
+
+      const historyResponse = await request(app)
+        .get(`/api/hospital/patients/${patient._id}/history`)
+        .set(authHeader(staff));
+
+      expect(historyResponse.status).toBe(200);
+      expect(historyResponse.body.data.admissions).toHaveLength(1);
+      expect(historyResponse.body.data.admissions[0].incident.title).toBe(incident.title);
+    });
+
+    test('should return 404 when discharging without an active admission', async () => {
+      const staff = await createHospitalUser();
+      const patient = await createPatient();
+
+      const response = await request(app)
+        .post(`/api/hospital/patients/${patient._id}/discharge`)
+        .set(authHeader(staff))
+        .send({});
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.code).toBe(ERROR_CODES.ADMISSION_NOT_FOUND);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Unit Tests: Incident Area Queries
+ *
+ * Tests viewport, bounding-box and polygon queries on incident locations
+ *
+ * This test suite covers:
+ * - Parsing bounding boxes, including viewports across the antimeridian
+ * - Parsing GeoJSON polygons and bare rings
+ * - Listing incidents inside a bbox or polygon combined with type filters
+ * - GET /api/incidents/by-location ordering by distance
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const Incident = require('../../src/models/Incident');
+const { parseBbox, bboxToGeometry, parsePolygon } = require('../../src/utils/geoQuery');
+const { ERROR_CODES } = require('../../src/config/constants');
+const { clearTestData } = require('../utils/testHelpers');
+
+/**
+ * Create and save an incident at a position
+ */
+const createIncident = async ([longitude, latitude], overrides = {}) => {
+  const incident = new Incident({
+    title: 'Car crash at MG Road junction',
+    description: 'Two cars collided at the MG Road junction and people are injured',
+    type: 'accident',
+    severity: 'high',
+    location: { type: 'Point', coordinates: [longitude, latitude] },
+    reportedBy: new mongoose.Types.ObjectId(),
+    reportedByModel: 'User',
+    department: 'traffic',
+    incidentTime: new Date(),
+    ...overrides
+  });
+  return await incident.save();
+};
+
+const PUNE_CENTRE = [73.8567, 18.5204];
+const PUNE_EAST = [73.93, 18.55];
+const MUMBAI = [72.8777, 19.076];
+
+describe('Incident Area Queries Unit Tests', () => {
+  afterEach(async () => {
+    await clearTestData();
+  });
+
+  // ============================================================================
+  // Parsing
+  // ============================================================================
+
+  describe('Bounding boxes', () => {
+    test('should parse west,south,east,north bounds', () => {
+      expect(parseBbox('73.7,18.4,73.99,18.6')).toEqual([73.7, 18.4, 73.99, 18.6]);
+    });
+
+    test('should reject malformed and inverted bounds', () => {
+      expect(() => parseBbox('73.7,18.4,73.99')).toThrow('bbox must be');
+      expect(() => parseBbox('73.7,18.6,73.99,18.4')).toThrow('south below north');
+      expect(() => parseBbox('190,18.4,73.99,18.6')).toThrow('bbox must be');
+    });
+
+    test('should build a box across the antimeridian', () => {
+      expect(bboxToGeometry([170, -10, -170, 10])).toEqual({
+        type: 'Polygon',
+        coordinates: [[[170, -10], [-170, -10], [-170, 10], [170, 10], [170, -10]]]
+      });
+    });
+
+    test('should split world-wide viewports into narrower boxes', () => {
+      const geometry = bboxToGeometry([-180, -60, 180, 60]);
+
+      expect(geometry.type).toBe('MultiPolygon');
+      expect(geometry.coordinates).toHaveLength(4);
+    });
+  });
+
+  describe('Polygons', () => {
+    test('should close a bare ring', () => {
+      const polygon = parsePolygon('[[73.7,18.4],[73.99,18.4],[73.99,18.6]]');
+
+      expect(polygon.type).toBe('Polygon');
+      expect(polygon.coordinates[0]).toHaveLength(4);
+      expect(polygon.coordinates[0][3]).toEqual([73.7, 18.4]);
+    });
+
+    test('should reject invalid JSON and out-of-range positions', () => {
+      expect(() => parsePolygon('not json')).toThrow('valid JSON');
+      expect(() => parsePolygon({ type: 'Polygon', coordinates: [[[0, 0], [0, 95], [5, 5], [0, 0]]] }))
+        .toThrow('within range');
+    });
+  });
+
+  // ============================================================================
+  // GET /api/incidents
+  // ============================================================================
+
+  describe('GET /api/incidents', () => {
+    test('should list incidents inside a bounding box', async () => {
+      const centre = await createIncident(PUNE_CENTRE);
+      await createIncident(MUMBAI);
+
+      const response = await request(app)
+        .get('/api/incidents')
+        .query({ bbox: '73.7,18.4,73.99,18.6' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.summary.searchType).toBe('bbox');
+      expect(response.body.data.incidents.map(incident => incident.incidentId)).toEqual([centre._id.toString()]);
+      expect(response.body.data.incidents[0].coordinates).toEqual({ latitude: 18.5204, longitude: 73.8567 });
+    });
+
+    test('should combine a polygon with the type filter', async () => {
+      await createIncident(PUNE_CENTRE);
+      const fire = await createIncident(PUNE_EAST, { type: 'fire', department: 'fire' });
+
+      const response = await request(app)
+        .get('/api/incidents')
+        .query({
+          polygon: JSON.stringify({
+            type: 'Polygon',
+            coordinates: [[[73.7, 18.4], [73.99, 18.4], [73.99, 18.6], [73.7, 18.6], [73.7, 18.4]]]
+          }),
+          type: 'Fire'
+        });
+
+      expect(response.body.data.incidents.map(incident => incident.incidentId)).toEqual([fire._id.toString()]);
+    });
+
+    test('should reject more than one area filter', async () => {
+      const response = await request(app)
+        .get('/api/incidents')
+        .query({ bbox: '73.7,18.4,73.99,18.6', lat: 18.5, lng: 73.8 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe(ERROR_CODES.VALIDATION_ERROR);
+    });
+  });
+
+  // ============================================================================
+  // GET /api/incidents/by-location
+  // ============================================================================
+
+  describe('GET /api/incidents/by-location', () => {
+    test('should list nearby incidents nearest first', async () => {
+      const east = await createIncident(PUNE_EAST);
+      const centre = await createIncident(PUNE_CENTRE);
+      await createIncident(MUMBAI);
+
+      const response = await request(app)
+        .get('/api/incidents/by-location')
+        .query({ latitude: 18.5204, longitude: 73.8567, radius: 20000 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.incidents.map(incident => incident.incidentId)).toEqual([
+        centre._id.toString(),
+        east._id.toString()
+      ]);
+      expect(response.body.data.incidents[0].distance).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * Unit Tests: Incident Assignment Lifecycle
+ *
+ * Tests responder assignment endpoints and the assignment timeout scheduler
+ *
+ * This test suite covers:
+ * - Accepting assignments and response time calculation
+ * - Declining with reassignment to the next candidate
+ * - Completing assignments
+ * - Releasing and reassigning timed-out assignments
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const Incident = require('../../src/models/Incident');
+const DispatchPolicy = require('../../src/models/DispatchPolicy');
+const { processExpiredAssignments } = require('../../src/services/assignmentScheduler');
+const { generateUserToken } = require('../../src/middleware/auth');
+const { ERROR_CODES, ASSIGNMENT_TIMEOUTS } = require('../../src/config/constants');
+const { createTestUser } = require('../factories/userFactory');
+const { clearTestData } = require('../utils/testHelpers');
+
+const INCIDENT_COORDINATES = [73.8567, 18.5204];
+
+const createOfficer = (longitudeOffset = 0.001) => createTestUser({
+  role: 'police',
+  department: 'Central Police',
+  jurisdiction: 'Pune City',
+  dutyStatus: 'on_duty',
+  currentLocation: {
+    type: 'Point',
+    coordinates: [INCIDENT_COORDINATES[0] + longitudeOffset, INCIDENT_COORDINATES[1]]
+  }
+});
+
+/**
+ * Create an incident assigned to a responder
+ */
+const createAssignedIncident = async (responder, assignedAt = new Date()) => {
+  const incident = new Incident({
+    title: 'Shop break-in reported',
+    description: 'Shutter forced open at a shop on Market Road',
+    type: 'crime',
+    severity: 'high',
+    priority: 'high',
+    location: { type: 'Point', coordinates: INCIDENT_COORDINATES },
+    reportedBy: new mongoose.Types.ObjectId(),
+    reportedByModel: 'User',
+    department: 'police',
+    jurisdiction: 'Pune City',
+    incidentTime: new Date(),
+    reportedAt: new Date(Date.now() - 30 * 60 * 1000)
+  });
+  await incident.save();
+  await incident.assignTo(responder._id, null, 'high', 'Auto-dispatched', { source: 'auto' });
+
+  incident.assignments[incident.assignments.length - 1].assignedAt = assignedAt;
+  return await incident.save();
+};
+
+const authHeader = (user) => ({ Authorization: `Bearer ${generateUserToken(user)}` });
+
+describe('Incident Assignment Lifecycle Unit Tests', () => {
+  afterEach(async () => {
+    await clearTestData();
+    await DispatchPolicy.deleteMany({});
+  });
+
+  // ============================================================================
+  // POST /api/incidents/:id/assignment/accept
+  // ============================================================================
+
+  describe('POST /api/incidents/:id/assignment/accept', () => {
+    test('should accept and record response times', async () => {
+      const officer = await createOfficer();
+      const incident = await createAssignedIncident(officer, new Date(Date.now() - 4 * 60 * 1000));
+
+      const response = await request(app)
+        .post(`/api/incidents/${incident._id}/assignment/accept`)
+        .set(authHeader(officer));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.assignment.status).toBe('accepted');
+      expect(response.body.data.assignment.actualResponseTime).toBe(4);
+      expect(response.body.data.responseTime).toBe(30);
+    });
+
+    test('should reject responders who are not assigned', async () => {
+      const officer = await createOfficer();
+      const otherOfficer = await createOfficer();
+      const incident = await createAssignedIncident(officer);
+
+      const response = await request(app)
+        .post(`/api/incidents/${incident._id}/assignment/accept`)
+        .set(authHeader(otherOfficer));
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.code).toBe(ERROR_CODES.ASSIGNMENT_NOT_FOUND);
+    });
+
+    test('should reject accepting twice', async () => {
+      const officer = await createOfficer();
+      const incident = await createAssignedIncident(officer);
+      await incident.acceptAssignment(incident.getCurrentAssignment());
+
+      const response = await request(app)
+        .post(`/api/incidents/${incident._id}/assignment/accept`)
+        .set(authHeader(officer));
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe(ERROR_CODES.INVALID_ASSIGNMENT_STATE);
+    });
+  });
+
+  // ============================================================================
+  // POST /api/incidents/:id/assignment/decline
+  // ============================================================================
+
+  describe('POST /api/incidents/:id/assignment/decline', () => {
+    test('should reassign to the next candidate under an auto policy', async () => {
+      await DispatchPolicy.create({ department: 'police', mode: 'auto', autoAssignPriorities: ['high'] });
+      const officer = await createOfficer(0.001);
+      const backup = await createOfficer(0.005);
+      const incident = await createAssignedIncident(officer);
+
+      const response = await request(app)
+        .post(`/api/incidents/${incident._id}/assignment/decline`)
+        .set(authHeader(officer))
+        .send({ reason: 'Attending another call' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.reassigned).toBe(true);
+
+      const updated = await Incident.findById(incident._id);
+      expect(updated.currentAssignment.toString()).toBe(backup._id.toString());
+      expect(updated.assignments[0].status).toBe('declined');
+      expect(updated.assignments[0].declineReason).toBe('Attending another call');
+    });
+
+    test('should escalate when nobody else is available', async () => {
+      const officer = await createOfficer();
+      const incident = await createAssignedIncident(officer);
+
+      const response = await request(app)
+        .post(`/api/incidents/${incident._id}/assignment/decline`)
+        .set(authHeader(officer))
+        .send({ reason: 'Vehicle breakdown' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.escalated).toBe(true);
+      expect(response.body.data.status).toBe('verified');
+    });
+
+    test('should reject declining an accepted assignment', async () => {
+      const officer = await createOfficer();
+      const incident = await createAssignedIncident(officer);
+      await incident.acceptAssignment(incident.getCurrentAssignment());
+      await incident.updateStatus('in_progress', officer._id, 'User');
+
+      const response = await request(app)
+        .post(`/api/incidents/${incident._id}/assignment/decline`)
+        .set(authHeader(officer))
+        .send({ reason: 'Shift ended' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe(ERROR_CODES.INVALID_ASSIGNMENT_STATE);
+
+      const unchanged = await Incident.findById(incident._id);
+      expect(unchanged.currentAssignment.toString()).toBe(officer._id.toString());
+      expect(unchanged.status).toBe('in_progress');
+    });
+  });
+
+  // ============================================================================
+  // POST /api/incidents/:id/assignment/complete
+  // ============================================================================
+
+  describe('POST /api/incidents/:id/assignment/complete', () => {
+    test('should complete and resolve the incident', async () => {
+      const officer = await createOfficer();
+      const incident = await createAssignedIncident(officer);
+      await incident.acceptAssignment(incident.getCurrentAssignment());
+
+      const response = await request(app)
+        .post(`/api/incidents/${incident._id}/assignment/complete`)
+        .set(authHeader(officer))
+        .send({ notes: 'Suspect detained' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('resolved');
+      expect(response.body.data.assignment.status).toBe('completed');
+    });
+  });
+
+  // ============================================================================
+  // Assignment timeout scheduler
+  // ============================================================================
+
+  describe('processExpiredAssignments', () => {
+    test('should release expired assignments and reassign', async () => {
+      await DispatchPolicy.create({
+        department: 'police',
+        mode: 'auto',
+        autoAssignPriorities: ['high'],
+        acceptTimeoutMinutes: 5
+      });
+      const officer = await createOfficer(0.001);
+      const backup = await createOfficer(0.005);
+      const incident = await createAssignedIncident(officer, new Date(Date.now() - 6 * 60 * 1000));
+
+      const stats = await processExpiredAssignments();
+
+      expect(stats).toMatchObject({ released: 1, reassigned: 1 });
+
+      const updated = await Incident.findById(incident._id);
+      expect(updated.assignments[0].timedOutAt).toBeDefined();
+      expect(updated.currentAssignment.toString()).toBe(backup._id.toString());
+    });
+
+    test('should not let assignments within their own timeout crowd out expired ones', async () => {
+      const batchSize = ASSIGNMENT_TIMEOUTS.BATCH_SIZE;
+      ASSIGNMENT_TIMEOUTS.BATCH_SIZE = 1;
+
+      try {
+        // Past the shortest default timeout but within the low priority one
+        const waiting = await createAssignedIncident(await createOfficer(0.001), new Date(Date.now() - 20 * 60 * 1000));
+        await Incident.updateOne({ _id: waiting._id }, { priority: 'low' });
+        const expired = await createAssignedIncident(await createOfficer(0.005), new Date(Date.now() - 12 * 60 * 1000));
+
+        const stats = await processExpiredAssignments();
+
+        expect(stats.released).toBe(1);
+        expect((await Incident.findById(expired._id)).assignments[0].timedOutAt).toBeDefined();
+        expect((await Incident.findById(waiting._id)).assignments[0].timedOutAt).toBeUndefined();
+      } finally {
+        ASSIGNMENT_TIMEOUTS.BATCH_SIZE = batchSize;
+      }
+    });
+
+    test('should leave assignments within their timeout', async () => {
+      const officer = await createOfficer();
+      await createAssignedIncident(officer, new Date(Date.now() - 2 * 60 * 1000));
+
+      const stats = await processExpiredAssignments();
+
+      expect(stats.released).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit Tests: Incident Map Clusters
+ *
+ * Tests server-side clustering of incidents for the map viewport
+ *
+ * This test suite covers:
+ * - Grid cell sizing per zoom level
+ * - Grouping nearby incidents into one cluster with severity and type counts
+ * - Returning lone incidents individually
+ * - Returning every incident once zoomed in
+ * - Validating bbox and zoom
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const Incident = require('../../src/models/Incident');
+const { getCellsAcross, buildClusterPipeline } = require('../../src/services/mapClustering');
+const { ERROR_CODES, MAP_CLUSTERING } = require('../../src/config/constants');
+const { clearTestData } = require('../utils/testHelpers');
+
+/**
+ * Create and save an incident at a position
+ */
+const createIncident = async ([longitude, latitude], overrides = {}) => {
+  const incident = new Incident({
+    title: 'Car crash at MG Road junction',
+    description: 'Two cars collided at the MG Road junction and people are injured',
+    type: 'accident',
+    severity: 'high',
+    location: { type: 'Point', coordinates: [longitude, latitude] },
+    reportedBy: new mongoose.Types.ObjectId(),
+    reportedByModel: 'User',
+    department: 'traffic',
+    incidentTime: new Date(),
+    ...overrides
+  });
+  return await incident.save();
+};
+
+const PUNE_BBOX = '73.7,18.4,73.99,18.6';
+const PUNE_CENTRE = [73.8567, 18.5204];
+const PUNE_CENTRE_NEARBY = [73.8571, 18.5207];
+const PUNE_EAST = [73.95, 18.45];
+
+describe('Incident Map Clusters Unit Tests', () => {
+  afterEach(async () => {
+    await clearTestData();
+  });
+
+  // ============================================================================
+  // Pipeline
+  // ============================================================================
+
+  describe('mapClustering', () => {
+    test('should double the cells across the world per zoom level', () => {
+      expect(getCellsAcross(0)).toBe(256 / MAP_CLUSTERING.CELL_SIZE_PIXELS);
+      expect(getCellsAcross(11)).toBe(getCellsAcross(10) * 2);
+    });
+
+    test('should match the query before grouping and cap the clusters', () => {
+      const query = { status: 'reported' };
+      const pipeline = buildClusterPipeline(query, 10);
+
+      expect(pipeline[0]).toEqual({ $match: query });
+      expect(pipeline[pipeline.length - 1]).toEqual({ $limit: MAP_CLUSTERING.MAX_CLUSTERS });
+    });
+  });
+
+  // ============================================================================
+  // GET /api/incidents/clusters
+  // ============================================================================
+
+  describe('GET /api/incidents/clusters', () => {
+    test('should cluster nearby incidents and return lone ones individually', async () => {
+      await createIncident(PUNE_CENTRE);
+      await createIncident(PUNE_CENTRE_NEARBY, { type: 'fire', severity: 'critical', department: 'fire' });
+      const lone = await createIncident(PUNE_EAST);
+
+      const response = await request(app)
+        .get('/api/incidents/clusters')
+        .query({ bbox: PUNE_BBOX, zoom: 12 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.mode).toBe('clusters');
+      expect(response.body.data.total).toBe(3);
+      expect(response.body.data.clusters).toHaveLength(1);
+      expect(response.body.data.clusters[0]).toMatchObject({
+        count: 2,
+        bySeverity: { high: 1, critical: 1 },
+        byType: { accident: 1, fire: 1 }
+      });
+      expect(response.body.data.incidents.map(incident => incident.incidentId)).toEqual([lone._id.toString()]);
+    });
+
+    test('should return every incident once zoomed in', async () => {
+      await createIncident(PUNE_CENTRE);
+      await createIncident(PUNE_CENTRE_NEARBY);
+
+      const response = await request(app)
+        .get('/api/incidents/clusters')
+        .query({ bbox: PUNE_BBOX, zoom: MAP_CLUSTERING.EXPAND_ZOOM });
+
+      expect(response.body.data.mode).toBe('incidents');
+      expect(response.body.data.clusters).toEqual([]);
+      expect(response.body.data.incidents).toHaveLength(2);
+    });
+
+    test('should apply the type filter', async () => {
+      await createIncident(PUNE_CENTRE);
+      await createIncident(PUNE_CENTRE_NEARBY, { type: 'fire', department: 'fire' });
+
+      const response = await request(app)
+        .get('/api/incidents/clusters')
+        .query({ bbox: PUNE_BBOX, zoom: 12, type: 'Fire' });
+
+      expect(response.body.data.total).toBe(1);
+      expect(response.body.data.incidents[0].type).toBe('fire');
+    });
+
+    test('should require a bbox and a zoom level in range', async () => {
+      const missingBbox = await request(app)
+        .get('/api/incidents/clusters')
+        .query({ zoom: 12 });
+      const badZoom = await request(app)
+        .get('/api/incidents/clusters')
+        .query({ bbox: PUNE_BBOX, zoom: MAP_CLUSTERING.MAX_ZOOM + 1 });
+
+      expect(missingBbox.status).toBe(400);
+      expect(badZoom.status).toBe(400);
+      expect(badZoom.body.error.code).toBe(ERROR_CODES.VALIDATION_ERROR);
+    });
+  });
+});
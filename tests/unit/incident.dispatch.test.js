@@ -0,0 +1,192 @@
+/**
+ * Unit Tests: Incident Dispatch
+ *
+ * Tests the dispatch engine and admin dispatch endpoints
+ *
+ * This test suite covers:
+ * - Candidate ranking by distance, jurisdiction, duty status and workload
+ * - Per-department policies (auto, suggest, manual)
+ * - Auto-assignment of new incidents
+ * - Manual dispatch eligibility checks
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const Incident = require('../../src/models/Incident');
+const DispatchPolicy = require('../../src/models/DispatchPolicy');
+const { dispatchIncident } = require('../../src/services/dispatch');
+const { generateUserToken } = require('../../src/middleware/auth');
+const { ERROR_CODES } = require('../../src/config/constants');
+const { createTestUser } = require('../factories/userFactory');
+const { clearTestData } = require('../utils/testHelpers');
+
+// Incident location and points roughly 200m and 2km away
+const INCIDENT_COORDINATES = [73.8567, 18.5204];
+const NEARBY_COORDINATES = [73.8585, 18.5210];
+const DISTANT_COORDINATES = [73.8750, 18.5250];
+
+const createOfficer = (coordinates, overrides = {}) => createTestUser({
+  role: 'police',
+  department: 'Central Police',
+  jurisdiction: 'Pune City',
+  dutyStatus: 'on_duty',
+  currentLocation: { type: 'Point', coordinates },
+  ...overrides
+});
+
+const createIncident = async (overrides = {}) => {
+  const incident = new Incident({
+    title: 'Vehicle collision at junction',
+    description: 'Two vehicles collided and are blocking the junction',
+    type: 'accident',
+    severity: 'high',
+    priority: 'high',
+    location: { type: 'Point', coordinates: INCIDENT_COORDINATES },
+    reportedBy: new mongoose.Types.ObjectId(),
+    reportedByModel: 'User',
+    department: 'police',
+    jurisdiction: 'Pune City',
+    incidentTime: new Date(),
+    ...overrides
+  });
+  return await incident.save();
+};
+
+const authHeader = (user) => ({ Authorization: `Bearer ${generateUserToken(user)}` });
+
+describe('Incident Dispatch Unit Tests', () => {
+  afterEach(async () => {
+    await clearTestData();
+    await DispatchPolicy.deleteMany({});
+  });
+
+  // ============================================================================
+  // Dispatch engine
+  // ============================================================================
+
+  describe('dispatchIncident', () => {
+    test('should suggest on-duty responders ordered by distance by default', async () => {
+      const distant = await createOfficer(DISTANT_COORDINATES);
+      const nearby = await createOfficer(NEARBY_COORDINATES);
+      await createOfficer(NEARBY_COORDINATES, { dutyStatus: 'off_duty' });
+      await createOfficer(NEARBY_COORDINATES, { jurisdiction: 'Mumbai' });
+      const incident = await createIncident();
+
+      const result = await dispatchIncident(incident);
+
+      expect(result.action).toBe('suggest');
+      expect(result.assignment).toBeNull();
+      expect(result.candidates.map(c => c.responder.id.toString()))
+        .toEqual([nearby._id.toString(), distant._id.toString()]);
+    });
+
+    test('should auto-assign the nearest responder for configured priorities', async () => {
+      const nearby = await createOfficer(NEARBY_COORDINATES);
+      await DispatchPolicy.create({ department: 'police', mode: 'auto', autoAssignPriorities: ['high'] });
+      const incident = await createIncident();
+
+      const result = await dispatchIncident(incident);
+
+      expect(result.action).toBe('auto');
+      expect(result.assignment.source).toBe('auto');
+
+      const updated = await Incident.findById(incident._id);
+      expect(updated.status).toBe('assigned');
+      expect(updated.currentAssignment.toString()).toBe(nearby._id.toString());
+    });
+
+    test('should only suggest priorities outside the auto list', async () => {
+      await createOfficer(NEARBY_COORDINATES);
+      await DispatchPolicy.create({ department: 'police', mode: 'auto', autoAssignPriorities: ['critical'] });
+      const incident = await createIncident({ priority: 'medium' });
+
+      const result = await dispatchIncident(incident);
+
+      expect(result.action).toBe('suggest');
+      expect(result.candidates).toHaveLength(1);
+      expect(result.assignment).toBeNull();
+    });
+
+    test('should skip responders at the workload limit', async () => {
+      const busy = await createOfficer(NEARBY_COORDINATES);
+      await DispatchPolicy.create({ department: 'police', maxActiveAssignments: 1 });
+      await createIncident({ status: 'assigned', currentAssignment: busy._id });
+      const incident = await createIncident();
+
+      const result = await dispatchIncident(incident);
+
+      expect(result.candidates).toHaveLength(0);
+    });
+
+    test('should not search in manual mode', async () => {
+      await createOfficer(NEARBY_COORDINATES);
+      await DispatchPolicy.create({ department: 'police', mode: 'manual' });
+      const incident = await createIncident();
+
+      const result = await dispatchIncident(incident);
+
+      expect(result.action).toBe('manual');
+      expect(result.candidates).toHaveLength(0);
+    });
+  });
+
+  // ============================================================================
+  // Admin dispatch endpoints
+  // ============================================================================
+
+  describe('Admin dispatch endpoints', () => {
+    test('should update and list department policies', async () => {
+      const admin = await createTestUser({ role: 'admin' });
+
+      const updateResponse = await request(app)
+        .put('/api/admin/dispatch/policies/medical')
+        .set(authHeader(admin))
+        .send({ mode: 'auto', autoAssignPriorities: ['critical'] });
+
+      expect(updateResponse.status).toBe(200);
+      expect(updateResponse.body.data.policy.mode).toBe('auto');
+      expect(updateResponse.body.data.policy.responderRole).toBe('hospital');
+
+      const listResponse = await request(app)
+        .get('/api/admin/dispatch/policies')
+        .set(authHeader(admin));
+
+      const medical = listResponse.body.data.policies.find(p => p.department === 'medical');
+      const fire = listResponse.body.data.policies.find(p => p.department === 'fire');
+      expect(medical.autoAssignPriorities).toEqual(['critical']);
+      expect(fire.isDefault).toBe(true);
+    });
+
+    test('should dispatch an incident to an eligible responder', async () => {
+      const admin = await createTestUser({ role: 'admin' });
+      const officer = await createOfficer(NEARBY_COORDINATES);
+      const incident = await createIncident();
+
+      const response = await request(app)
+        .post(`/api/admin/incidents/${incident._id}/dispatch`)
+        .set(authHeader(admin))
+        .send({ responderId: officer._id.toString() });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('assigned');
+      expect(response.body.data.assignment.source).toBe('manual');
+      expect(response.body.data.assignment.distanceMeters).toBeGreaterThan(0);
+    });
+
+    test('should reject responders of the wrong role', async () => {
+      const admin = await createTestUser({ role: 'admin' });
+      const doctor = await createTestUser({ role: 'hospital', department: 'City Hospital', licenseNumber: 'LIC-7' });
+      const incident = await createIncident();
+
+      const response = await request(app)
+        .post(`/api/admin/incidents/${incident._id}/dispatch`)
+        .set(authHeader(admin))
+        .send({ responderId: doctor._id.toString() });
+
+      expect(response.status).toBe(422);
+      expect(response.body.error.code).toBe(ERROR_CODES.RESPONDER_NOT_ELIGIBLE);
+      expect(response.body.error.details.requiredRole).toBe('police');
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Unit Tests: Incident Duplicate Detection
+ *
+ * Tests duplicate detection when an incident is created
+ *
+ * This test suite covers:
+ * - Candidate scoring (distance, time, type, text similarity)
+ * - Confident matches linked and merged into the existing incident's upvotes
+ * - Weaker matches returned as suggestions
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const Incident = require('../../src/models/Incident');
+const { scoreCandidate, textSimilarity } = require('../../src/services/duplicateDetection');
+const { generateUserToken } = require('../../src/middleware/auth');
+const { createTestUser } = require('../factories/userFactory');
+const { clearTestData } = require('../utils/testHelpers');
+
+const createExistingIncident = async (overrides = {}) => {
+  const incident = new Incident({
+    title: 'Car crash at MG Road junction',
+    description: 'Two cars collided at the MG Road junction and people are injured',
+    type: 'accident',
+    severity: 'high',
+    location: { type: 'Point', coordinates: [73.8567, 18.5204] },
+    reportedBy: new mongoose.Types.ObjectId(),
+    reportedByModel: 'User',
+    department: 'traffic',
+    incidentTime: new Date(),
+    ...overrides
+  });
+  return await incident.save();
+};
+
+const reportIncident = (user, body) => request(app)
+  .post('/api/incidents')
+  .set({ Authorization: `Bearer ${generateUserToken(user)}` })
+  .send({
+    title: 'Car collision on MG Road',
+    description: 'Two cars crashed at the MG Road junction, people injured',
+    type: 'Accident',
+    geoLocation: { type: 'Point', coordinates: [73.8568, 18.5205] },
+    ...body
+  });
+
+describe('Incident Duplicate Detection Unit Tests', () => {
+  afterEach(async () => {
+    await clearTestData();
+  });
+
+  // ============================================================================
+  // Scoring
+  // ============================================================================
+
+  describe('Scoring', () => {
+    test('should score text similarity on shared meaningful words', () => {
+      const a = { title: 'Car crash', description: 'Two cars collided at MG Road junction' };
+      const b = { title: 'Car collision', description: 'Cars collided at the MG Road junction' };
+      const c = { title: 'Smoke', description: 'Smoke rising from a warehouse roof' };
+
+      expect(textSimilarity(a, b)).toBeGreaterThan(0.4);
+      expect(textSimilarity(a, c)).toBe(0);
+    });
+
+    test('should weight distance, time, type and text', () => {
+      const now = new Date();
+      const report = { title: 'Car crash', description: 'Car crash at junction', type: 'accident', incidentTime: now };
+
+      const close = scoreCandidate(report, { ...report, distance: 0, incidentTime: now });
+      const far = scoreCandidate(report, { ...report, type: 'fire', distance: 290, incidentTime: now });
+
+      expect(close.score).toBe(1);
+      expect(close.breakdown).toEqual({ distance: 1, time: 1, type: 1, text: 1 });
+      expect(far.score).toBeLessThan(close.score);
+      expect(far.breakdown.type).toBe(0);
+    });
+  });
+
+  // ============================================================================
+  // POST /api/incidents
+  // ============================================================================
+
+  describe('POST /api/incidents', () => {
+    test('should merge a confident duplicate into the existing incident', async () => {
+      const reporter = await createTestUser();
+      const existing = await createExistingIncident();
+
+      const response = await reportIncident(reporter);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.incident.status).toBe('duplicate');
+      expect(response.body.data.duplicateOf.incidentId).toBe(existing._id.toString());
+
+      const merged = await Incident.findById(existing._id);
+      expect(merged.upvoteCount).toBe(1);
+      expect(merged.upvotes[0].userId.toString()).toBe(reporter._id.toString());
+      expect(merged.relatedIncidents.map(id => id.toString()))
+        .toContain(response.body.data.incident.incidentId.toString());
+
+      const duplicate = await Incident.findById(response.body.data.incident.incidentId);
+      expect(duplicate.duplicateOf.toString()).toBe(existing._id.toString());
+    });
+
+    test('should suggest weaker matches without merging', async () => {
+      const reporter = await createTestUser();
+      const existing = await createExistingIncident({
+        title: 'Road blocked by fallen tree',
+        description: 'A large tree has fallen across the road after the storm',
+        type: 'natural_disaster',
+        department: 'municipal'
+      });
+
+      const response = await reportIncident(reporter, {
+        title: 'Tree fallen on road',
+        description: 'Fallen tree blocking the road, traffic stuck'
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.incident.status).toBe('reported');
+      expect(response.body.data.duplicateOf).toBeNull();
+      expect(response.body.data.duplicateSuggestions.map(s => s.incidentId))
+        .toContain(existing._id.toString());
+
+      const unchanged = await Incident.findById(existing._id);
+      expect(unchanged.upvoteCount).toBe(0);
+    });
+
+    test('should ignore incidents outside the search radius', async () => {
+      const reporter = await createTestUser();
+      await createExistingIncident({ location: { type: 'Point', coordinates: [73.9, 18.6] } });
+
+      const response = await reportIncident(reporter);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.incident.status).toBe('reported');
+      expect(response.body.data.duplicateSuggestions).toHaveLength(0);
+    });
+  });
+});
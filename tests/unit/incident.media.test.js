@@ -0,0 +1,157 @@
+/**
+ * Unit Tests: Incident Media
+ *
+ * Tests attaching uploaded media to incidents
+ *
+ * This test suite covers:
+ * - Saving several media entries in one write with Incident.addMedia
+ * - The per-incident media cap
+ * - Guest daily media quotas
+ * - Authentication and empty uploads on POST /api/incidents/:id/media
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const Incident = require('../../src/models/Incident');
+const Guest = require('../../src/models/Guest');
+const { ERROR_CODES, INCIDENT_MEDIA, GUEST_LIMITS } = require('../../src/config/constants');
+const { clearTestData } = require('../utils/testHelpers');
+
+/**
+ * Build a media entry as stored by the media controller
+ */
+const mediaEntry = (index) => ({
+  cloudinaryId: `emergency-platform/incidents/photo_${index}`,
+  publicUrl: `http://res.cloudinary.com/demo/image/upload/photo_${index}.jpg`,
+  secureUrl: `https://res.cloudinary.com/demo/image/upload/photo_${index}.jpg`,
+  fileName: `photo_${index}.jpg`,
+  fileType: 'image',
+  mimeType: 'image/jpeg',
+  fileSize: 2048,
+  dimensions: { width: 800, height: 600 },
+  uploadedBy: new mongoose.Types.ObjectId(),
+  uploadedByModel: 'User'
+});
+
+/**
+ * Create and save an incident with a number of media files already attached
+ */
+const createIncident = async (mediaCount = 0) => {
+  const incident = new Incident({
+    title: 'Tree fallen across the road',
+    description: 'Large tree blocking both lanes after the storm',
+    type: 'natural_disaster',
+    severity: 'medium',
+    location: { type: 'Point', coordinates: [73.8567, 18.5204] },
+    reportedBy: new mongoose.Types.ObjectId(),
+    reportedByModel: 'User',
+    department: 'municipal',
+    incidentTime: new Date(),
+    media: Array.from({ length: mediaCount }, (_, index) => mediaEntry(index))
+  });
+  return await incident.save();
+};
+
+/**
+ * Create and save a guest session
+ */
+const createGuest = async (overrides = {}) => {
+  const guest = new Guest({
+    ipAddress: '127.0.0.1',
+    sessionId: `session-${new mongoose.Types.ObjectId()}`,
+    ...overrides
+  });
+  return await guest.save();
+};
+
+const attachPhoto = (req, index = 0) => req.attach(`media_${index}`, Buffer.from('fake image data'), {
+  filename: `photo_${index}.jpg`,
+  contentType: 'image/jpeg'
+});
+
+describe('Incident Media Unit Tests', () => {
+  afterEach(async () => {
+    await clearTestData();
+  });
+
+  // ============================================================================
+  // Incident.addMedia
+  // ============================================================================
+
+  describe('Incident.addMedia', () => {
+    test('should save several media entries together', async () => {
+      const incident = await createIncident();
+
+      await incident.addMedia([mediaEntry(1), mediaEntry(2)]);
+
+      const updated = await Incident.findById(incident._id);
+      expect(updated.media).toHaveLength(2);
+      expect(updated.media[0].dimensions.width).toBe(800);
+    });
+
+    test('should reject entries beyond the media cap', async () => {
+      const incident = await createIncident(INCIDENT_MEDIA.MAX_FILES - 1);
+
+      await expect(incident.addMedia([mediaEntry(1), mediaEntry(2)]))
+        .rejects.toThrow('Maximum media limit reached');
+    });
+  });
+
+  // ============================================================================
+  // POST /api/incidents/:id/media
+  // ============================================================================
+
+  describe('POST /api/incidents/:id/media', () => {
+    test('should require authentication', async () => {
+      const incident = await createIncident();
+
+      const response = await attachPhoto(request(app).post(`/api/incidents/${incident._id}/media`));
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should reject a request without files', async () => {
+      const incident = await createIncident();
+      const guest = await createGuest();
+
+      const response = await request(app)
+        .post(`/api/incidents/${incident._id}/media`)
+        .set('X-Guest-ID', guest.guestId);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.code).toBe(ERROR_CODES.MISSING_REQUIRED_FIELD);
+    });
+
+    test('should reject uploads once the incident is full', async () => {
+      const incident = await createIncident(INCIDENT_MEDIA.MAX_FILES);
+      const guest = await createGuest();
+
+      const response = await attachPhoto(
+        request(app)
+          .post(`/api/incidents/${incident._id}/media`)
+          .set('X-Guest-ID', guest.guestId)
+      );
+
+      expect(response.body.error.code).toBe(ERROR_CODES.TOO_MANY_FILES);
+      expect(response.body.error.details.remainingSlots).toBe(0);
+    });
+
+    test('should enforce the guest daily media quota', async () => {
+      const incident = await createIncident();
+      const guest = await createGuest({
+        dailyMediaUploads: GUEST_LIMITS.MAX_DAILY_MEDIA_UPLOADS,
+        lastDailyReset: new Date()
+      });
+
+      const response = await attachPhoto(
+        request(app)
+          .post(`/api/incidents/${incident._id}/media`)
+          .set('X-Guest-ID', guest.guestId)
+      );
+
+      expect(response.body.error.code).toBe(ERROR_CODES.GUEST_ACTION_LIMIT_EXCEEDED);
+      expect((await Incident.findById(incident._id)).media).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Unit Tests: Incident Proximity Check
+ *
+ * Tests the nearby report check and the "join existing report" flow
+ *
+ * This test suite covers:
+ * - Ranking nearby incidents by distance, type match and recency
+ * - Excluding closed incidents from the check
+ * - Joining a report with an upvote and added information as one guest action
+ * - Rejecting joins of closed incidents and from far away
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const Incident = require('../../src/models/Incident');
+const Guest = require('../../src/models/Guest');
+const { scoreNearbyIncident } = require('../../src/services/proximityCheck');
+const { ERROR_CODES, PROXIMITY_CHECK } = require('../../src/config/constants');
+const { clearTestData } = require('../utils/testHelpers');
+
+const CALLER = { latitude: 18.5204, longitude: 73.8567 };
+
+/**
+ * Create and save an incident offset north of the caller
+ */
+const createIncident = async (metersNorth, overrides = {}) => {
+  const incident = new Incident({
+    title: 'Car crash at MG Road junction',
+    description: 'Two cars collided at the MG Road junction and people are injured',
+    type: 'accident',
+    severity: 'high',
+    location: {
+      type: 'Point',
+      coordinates: [CALLER.longitude, CALLER.latitude + metersNorth / 111320]
+    },
+    reportedBy: new mongoose.Types.ObjectId(),
+    reportedByModel: 'User',
+    department: 'traffic',
+    incidentTime: new Date(),
+    ...overrides
+  });
+  return await incident.save();
+};
+
+/**
+ * Create and save a guest session
+ */
+const createGuest = async () => {
+  const guest = new Guest({
+    ipAddress: '127.0.0.1',
+    sessionId: `session-${new mongoose.Types.ObjectId()}`
+  });
+  return await guest.save();
+};
+
+describe('Incident Proximity Check Unit Tests', () => {
+  afterEach(async () => {
+    await clearTestData();
+  });
+
+  // ============================================================================
+  // Scoring
+  // ============================================================================
+
+  describe('scoreNearbyIncident', () => {
+    const now = new Date();
+
+    test('should give a full score to a fresh same-type incident at the caller\'s location', () => {
+      const { score } = scoreNearbyIncident(
+        { type: 'fire', radius: 500 },
+        { type: 'fire', distance: 0, incidentTime: now },
+        now
+      );
+
+      expect(score).toBe(1);
+    });
+
+    test('should weigh a type match above a small distance difference', () => {
+      const query = { type: 'fire', radius: 500 };
+      const sameType = scoreNearbyIncident(query, { type: 'fire', distance: 300, incidentTime: now }, now);
+      const otherType = scoreNearbyIncident(query, { type: 'accident', distance: 50, incidentTime: now }, now);
+
+      expect(sameType.score).toBeGreaterThan(otherType.score);
+    });
+
+    test('should give no recency credit outside the recency window', () => {
+      const old = new Date(now.getTime() - (PROXIMITY_CHECK.RECENCY_WINDOW_HOURS + 1) * 60 * 60 * 1000);
+
+      const { breakdown } = scoreNearbyIncident(
+        { radius: 500 },
+        { type: 'fire', distance: 100, incidentTime: old },
+        now
+      );
+
+      expect(breakdown).toEqual({ distance: 0.8, type: 0, recency: 0 });
+    });
+  });
+
+  // ============================================================================
+  // POST /api/incidents/check-proximity
+  // ============================================================================
+
+  describe('POST /api/incidents/check-proximity', () => {
+    test('should rank active incidents and skip closed ones', async () => {
+      const fire = await createIncident(300, { type: 'fire', department: 'fire' });
+      const accident = await createIncident(50);
+      await createIncident(20, { status: 'resolved' });
+      await createIncident(2000);
+
+      const response = await request(app)
+        .post('/api/incidents/check-proximity')
+        .send({ location: { ...CALLER, radius: 500 }, type: 'Fire' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.nearbyIncidents.map(incident => incident.id)).toEqual([
+        fire._id.toString(),
+        accident._id.toString()
+      ]);
+      expect(response.body.data.nearbyIncidents[1].distance).toBeCloseTo(50, -1);
+    });
+
+    test('should require a location', async () => {
+      const response = await request(app)
+        .post('/api/incidents/check-proximity')
+        .send({ type: 'Fire' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  // ============================================================================
+  // POST /api/incidents/:id/join
+  // ============================================================================
+
+  describe('POST /api/incidents/:id/join', () => {
+    test('should upvote and add information as a single guest action', async () => {
+      const incident = await createIncident(100);
+      const guest = await createGuest();
+
+      const response = await request(app)
+        .post(`/api/incidents/${incident._id}/join`)
+        .set('X-Guest-ID', guest.guestId)
+        .send({ location: CALLER, information: 'One of the drivers is trapped in the car' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.upvoted).toBe(true);
+      expect(response.body.data.informationAdded).toBe(true);
+
+      const updated = await Incident.findById(incident._id);
+      expect(updated.upvoteCount).toBe(1);
+      expect(updated.additionalReports).toHaveLength(1);
+      expect(updated.additionalReports[0].reportedByModel).toBe('Guest');
+      expect(updated.additionalReports[0].distance).toBeCloseTo(100, -1);
+
+      const updatedGuest = await Guest.findById(guest._id);
+      expect(updatedGuest.actions).toHaveLength(guest.actions.length + 1);
+    });
+
+    test('should not upvote twice for the same participant', async () => {
+      const incident = await createIncident(100);
+      const guest = await createGuest();
+
+      await request(app)
+        .post(`/api/incidents/${incident._id}/join`)
+        .set('X-Guest-ID', guest.guestId)
+        .send({ location: CALLER });
+
+      const response = await request(app)
+        .post(`/api/incidents/${incident._id}/join`)
+        .set('X-Guest-ID', guest.guestId)
+        .send({ location: CALLER, information: 'Traffic police have arrived' });
+
+      expect(response.body.data.upvoted).toBe(false);
+      expect(response.body.data.alreadyCounted).toBe(true);
+      expect((await Incident.findById(incident._id)).upvoteCount).toBe(1);
+    });
+
+    test('should reject joining a closed incident', async () => {
+      const incident = await createIncident(100, { status: 'resolved' });
+      const guest = await createGuest();
+
+      const response = await request(app)
+        .post(`/api/incidents/${incident._id}/join`)
+        .set('X-Guest-ID', guest.guestId)
+        .send({ location: CALLER });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe(ERROR_CODES.INCIDENT_NOT_JOINABLE);
+    });
+
+    test('should reject joining from too far away', async () => {
+      const incident = await createIncident(PROXIMITY_CHECK.JOIN_RADIUS_METERS + 1000);
+      const guest = await createGuest();
+
+      const response = await request(app)
+        .post(`/api/incidents/${incident._id}/join`)
+        .set('X-Guest-ID', guest.guestId)
+        .send({ location: CALLER });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe(ERROR_CODES.LOCATION_OUT_OF_RANGE);
+    });
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Unit Tests: Incident SLA Monitoring
+ *
+ * Tests SLA target lookup, the SLA monitor and the admin SLA report
+ *
+ * This test suite covers:
+ * - Per-type and per-priority SLA targets
+ * - Escalating breaches: priority bump, supervisor notification, statusHistory metadata
+ * - Escalating each stage only once
+ * - Selecting only breached incidents, so batches are never starved
+ * - GET /api/admin/sla breach report by department
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const Incident = require('../../src/models/Incident');
+const { processSlaBreaches } = require('../../src/services/slaMonitor');
+const { getSlaTargets, getSlaBreaches, getStageTargetRules } = require('../../src/config/slaTargets');
+const { SLA_MONITOR } = require('../../src/config/constants');
+const { generateUserToken } = require('../../src/middleware/auth');
+const { createTestUser } = require('../factories/userFactory');
+const { clearTestData } = require('../utils/testHelpers');
+
+/**
+ * Create and save an incident reported a number of minutes ago
+ */
+const createIncident = async (minutesAgo, overrides = {}) => {
+  const incident = new Incident({
+    title: 'Chain snatching reported',
+    description: 'Chain snatched near the bus stop on Ring Road',
+    type: 'crime',
+    severity: 'medium',
+    priority: 'medium',
+    location: { type: 'Point', coordinates: [73.8567, 18.5204] },
+    reportedBy: new mongoose.Types.ObjectId(),
+    reportedByModel: 'User',
+    department: 'police',
+    jurisdiction: 'Pune City',
+    incidentTime: new Date(),
+    reportedAt: new Date(Date.now() - minutesAgo * 60 * 1000),
+    ...overrides
+  });
+  return await incident.save();
+};
+
+const authHeader = (user) => ({ Authorization: `Bearer ${generateUserToken(user)}` });
+
+describe('Incident SLA Monitoring Unit Tests', () => {
+  afterEach(async () => {
+    await clearTestData();
+  });
+
+  // ============================================================================
+  // SLA targets
+  // ============================================================================
+
+  describe('SLA targets', () => {
+    test('should apply per-type overrides on top of priority targets', () => {
+      expect(getSlaTargets('crime', 'high')).toEqual({ verify: 15, assign: 30, resolve: 480 });
+      expect(getSlaTargets('medical_emergency', 'high')).toEqual({ verify: 10, assign: 15, resolve: 240 });
+    });
+
+    test('should only report stages still outstanding', () => {
+      const incident = { type: 'crime', priority: 'medium', status: 'verified', reportedAt: new Date(Date.now() - 90 * 60 * 1000) };
+
+      expect(getSlaBreaches(incident).map(breach => breach.stage)).toEqual([]);
+      expect(getSlaBreaches({ ...incident, status: 'reported' }).map(breach => breach.stage)).toEqual(['verify']);
+    });
+
+    test('should list the target of every type and priority for a stage', () => {
+      const rules = getStageTargetRules('resolve');
+
+      expect(rules).toContainEqual({ priority: 'critical', type: 'accident', minutes: 180 });
+      expect(rules).toContainEqual({ priority: 'critical', exceptTypes: ['medical_emergency', 'accident'], minutes: 240 });
+      expect(rules).toContainEqual({ priority: 'low', exceptTypes: [], minutes: 2880 });
+    });
+  });
+
+  // ============================================================================
+  // SLA monitor
+  // ============================================================================
+
+  describe('processSlaBreaches', () => {
+    test('should bump priority, notify supervisors and record the breach', async () => {
+      const supervisor = await createTestUser({
+        role: 'police',
+        department: 'Central Police',
+        jurisdiction: 'Pune City',
+        badgeNumber: 'PB-SLA-1',
+        isSupervisor: true,
+        dutyStatus: 'on_duty'
+      });
+      const incident = await createIncident(70);
+
+      const stats = await processSlaBreaches();
+
+      expect(stats.escalated).toBe(1);
+
+      const updated = await Incident.findById(incident._id);
+      const entry = updated.statusHistory[updated.statusHistory.length - 1];
+      expect(updated.priority).toBe('high');
+      expect(updated.status).toBe('reported');
+      expect(entry.metadata.slaEscalation).toMatchObject({
+        stage: 'verify',
+        previousPriority: 'medium',
+        newPriority: 'high',
+        notifiedSupervisors: [supervisor._id.toString()]
+      });
+    });
+
+    test('should escalate a stage only once', async () => {
+      const incident = await createIncident(7, { priority: 'critical' });
+
+      await processSlaBreaches();
+      const stats = await processSlaBreaches();
+
+      expect(stats.escalated).toBe(0);
+
+      const updated = await Incident.findById(incident._id);
+      expect(updated.getSlaEscalations()).toHaveLength(1);
+      expect(updated.priority).toBe('critical');
+    });
+
+    test('should not let incidents within their own targets crowd out breaches', async () => {
+      const batchSize = SLA_MONITOR.BATCH_SIZE;
+      SLA_MONITOR.BATCH_SIZE = 1;
+
+      try {
+        // Past the shortest resolve target but well within the low priority one
+        await createIncident(600, { priority: 'low', status: 'in_progress' });
+        const critical = await createIncident(7, { priority: 'critical' });
+
+        const stats = await processSlaBreaches();
+
+        expect(stats.escalated).toBe(1);
+        expect((await Incident.findById(critical._id)).getSlaEscalations()).toHaveLength(1);
+      } finally {
+        SLA_MONITOR.BATCH_SIZE = batchSize;
+      }
+    });
+
+    test('should leave incidents within their targets', async () => {
+      const incident = await createIncident(10);
+
+      const stats = await processSlaBreaches();
+
+      expect(stats.escalated).toBe(0);
+      expect((await Incident.findById(incident._id)).priority).toBe('medium');
+    });
+  });
+
+  // ============================================================================
+  // GET /api/admin/sla
+  // ============================================================================
+
+  describe('GET /api/admin/sla', () => {
+    test('should list open breaches and escalations by department', async () => {
+      const admin = await createTestUser({ role: 'admin' });
+      await createIncident(70);
+      await createIncident(30, { department: 'medical', type: 'medical_emergency', priority: 'high' });
+      await processSlaBreaches();
+
+      const response = await request(app)
+        .get('/api/admin/sla')
+        .set(authHeader(admin));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.totals.escalations).toBe(2);
+
+      const departments = response.body.data.departments.map(entry => entry.department).sort();
+      expect(departments).toEqual(['medical', 'police']);
+    });
+
+    test('should reject non-admin users', async () => {
+      const officer = await createTestUser({
+        role: 'police',
+        department: 'Central Police',
+        jurisdiction: 'Pune City',
+        badgeNumber: 'PB-SLA-2'
+      });
+
+      const response = await request(app)
+        .get('/api/admin/sla')
+        .set(authHeader(officer));
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
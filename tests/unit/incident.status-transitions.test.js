@@ -0,0 +1,154 @@
+/**
+ * Unit Tests: Incident Status Transitions
+ *
+ * Tests the incident status state machine and PATCH /api/incidents/:id/status
+ *
+ * This test suite covers:
+ * - Transition table lookups and terminal states
+ * - Structured 409 errors for undefined transitions
+ * - Role gating per transition
+ * - Enforcement on direct status assignment
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const Incident = require('../../src/models/Incident');
+const {
+  TERMINAL_STATUSES,
+  getAllowedTransitions,
+  assertStatusTransition
+} = require('../../src/config/statusTransitions');
+const { generateUserToken } = require('../../src/middleware/auth');
+const { ERROR_CODES } = require('../../src/config/constants');
+const { createTestUser } = require('../factories/userFactory');
+const { clearTestData } = require('../utils/testHelpers');
+
+const createAdmin = () => createTestUser({ role: 'admin' });
+
+const createIncident = async () => {
+  const incident = new Incident({
+    title: 'Water main burst on Camp Road',
+    description: 'A water main has burst and is flooding the street',
+    type: 'infrastructure_failure',
+    severity: 'medium',
+    location: { type: 'Point', coordinates: [73.8567, 18.5204] },
+    reportedBy: new mongoose.Types.ObjectId(),
+    reportedByModel: 'User',
+    department: 'municipal',
+    incidentTime: new Date()
+  });
+  return await incident.save();
+};
+
+const patchStatus = (user, incident, body) => request(app)
+  .patch(`/api/incidents/${incident._id}/status`)
+  .set({ Authorization: `Bearer ${generateUserToken(user)}` })
+  .send(body);
+
+describe('Incident Status Transitions Unit Tests', () => {
+  afterEach(async () => {
+    await clearTestData();
+  });
+
+  // ============================================================================
+  // Transition table
+  // ============================================================================
+
+  describe('Transition table', () => {
+    test('should expose terminal statuses', () => {
+      expect([...TERMINAL_STATUSES].sort()).toEqual(['cancelled', 'closed', 'duplicate', 'false_report']);
+    });
+
+    test('should filter allowed transitions by role', () => {
+      expect(getAllowedTransitions('reported')).toEqual(
+        ['verified', 'assigned', 'duplicate', 'false_report', 'cancelled']
+      );
+      expect(getAllowedTransitions('reported', 'hospital')).toEqual(['verified']);
+      expect(getAllowedTransitions('closed', 'admin')).toEqual([]);
+    });
+
+    test('should throw structured errors', () => {
+      expect(() => assertStatusTransition('reported', 'closed')).toThrow(
+        expect.objectContaining({ statusCode: 409, code: ERROR_CODES.INVALID_STATUS_TRANSITION })
+      );
+      expect(() => assertStatusTransition('reported', 'duplicate', 'police')).toThrow(
+        expect.objectContaining({ statusCode: 403, code: ERROR_CODES.INSUFFICIENT_PERMISSIONS })
+      );
+      expect(() => assertStatusTransition('reported', 'verified', 'hospital')).not.toThrow();
+    });
+  });
+
+  // ============================================================================
+  // PATCH /api/incidents/:id/status
+  // ============================================================================
+
+  describe('PATCH /api/incidents/:id/status', () => {
+    test('should walk the full workflow and report next transitions', async () => {
+      const admin = await createAdmin();
+      const incident = await createIncident();
+
+      for (const status of ['verified', 'assigned', 'in-progress', 'resolved', 'closed']) {
+        const response = await patchStatus(admin, incident, { status });
+        expect(response.status).toBe(200);
+      }
+
+      const updated = await Incident.findById(incident._id);
+      expect(updated.status).toBe('closed');
+      expect(updated.statusHistory.map(h => h.status))
+        .toEqual(['verified', 'assigned', 'in_progress', 'resolved', 'closed']);
+    });
+
+    test('should return a structured 409 for invalid transitions', async () => {
+      const admin = await createAdmin();
+      const incident = await createIncident();
+
+      const response = await patchStatus(admin, incident, { status: 'resolved' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe(ERROR_CODES.INVALID_STATUS_TRANSITION);
+      expect(response.body.error.details).toEqual({
+        currentStatus: 'reported',
+        requestedStatus: 'resolved',
+        isTerminal: false,
+        allowedTransitions: ['verified', 'assigned', 'duplicate', 'false_report', 'cancelled']
+      });
+    });
+
+    test('should reject transitions the role may not take', async () => {
+      const hospital = await createTestUser({ role: 'hospital', department: 'City Hospital', licenseNumber: 'LIC-9' });
+      const incident = await createIncident();
+
+      const response = await patchStatus(hospital, incident, { status: 'false_report' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.details.requiredRoles).toEqual(['police', 'admin']);
+    });
+
+    test('should reject citizens', async () => {
+      const citizen = await createTestUser();
+      const incident = await createIncident();
+
+      const response = await patchStatus(citizen, incident, { status: 'verified' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  // ============================================================================
+  // Model enforcement
+  // ============================================================================
+
+  describe('Model enforcement', () => {
+    test('should reject direct status assignment outside the table', async () => {
+      const incident = await createIncident();
+      const loaded = await Incident.findById(incident._id);
+
+      loaded.status = 'closed';
+
+      await expect(loaded.save()).rejects.toMatchObject({
+        code: ERROR_CODES.INVALID_STATUS_TRANSITION
+      });
+    });
+  });
+});
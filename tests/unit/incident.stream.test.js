@@ -0,0 +1,201 @@
+/**
+ * Unit Tests: Incident Stream
+ *
+ * Tests the real-time incident event channel
+ *
+ * This test suite covers:
+ * - Access control for GET /api/stream
+ * - Events published from Incident save, updateStatus, assignTo and addUpvote
+ * - Role, department and jurisdiction filtering
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Incident = require('../../src/models/Incident');
+const {
+  subscribe,
+  buildViewerScope,
+  canViewerReceive
+} = require('../../src/services/incidentEvents');
+const { generateUserToken } = require('../../src/middleware/auth');
+const { ERROR_CODES, STREAM_EVENTS } = require('../../src/config/constants');
+const { clearTestData } = require('../utils/testHelpers');
+
+const createCitizen = async () => {
+  const user = new User({
+    fullName: 'Citizen Reporter',
+    dob: new Date('1992-01-20'),
+    gender: 'female',
+    phone: '+919812300001',
+    email: 'citizen.stream@example.com',
+    password: 'TestPassword123!',
+    address: {
+      street: '4 Lake Road',
+      city: 'Pune',
+      state: 'MH',
+      pincode: '411001'
+    },
+    emergencyContacts: [{ name: 'Contact', relation: 'parent', phone: '+919999999999' }]
+  });
+  return await user.save();
+};
+
+const buildIncident = (overrides = {}) => new Incident({
+  title: 'Vehicle collision at junction',
+  description: 'Two vehicles collided at the main junction',
+  type: 'accident',
+  severity: 'high',
+  location: { type: 'Point', coordinates: [73.8567, 18.5204] },
+  reportedBy: new mongoose.Types.ObjectId(),
+  reportedByModel: 'User',
+  department: 'police',
+  jurisdiction: 'pune-central',
+  incidentTime: new Date(),
+  ...overrides
+});
+
+/**
+ * Build a fake event payload for filter tests
+ */
+const buildEvent = (incident) => ({
+  type: STREAM_EVENTS.INCIDENT_CREATED,
+  incidentId: 'incident-1',
+  incident: { id: 'incident-1', currentAssignment: null, jurisdiction: null, ...incident }
+});
+
+describe('Incident Stream Unit Tests', () => {
+  let events;
+  let unsubscribe;
+
+  beforeEach(() => {
+    events = [];
+    unsubscribe = subscribe(buildViewerScope({ userId: 'admin-1', role: 'admin' }), event => events.push(event));
+  });
+
+  afterEach(async () => {
+    unsubscribe();
+    await clearTestData();
+  });
+
+  // ============================================================================
+  // GET /api/stream
+  // ============================================================================
+
+  describe('GET /api/stream', () => {
+    test('should reject unauthenticated requests', async () => {
+      const response = await request(app).get('/api/stream');
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should reject citizens', async () => {
+      const citizen = await createCitizen();
+
+      const response = await request(app)
+        .get('/api/stream')
+        .set({ Authorization: `Bearer ${generateUserToken(citizen)}` });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe(ERROR_CODES.INSUFFICIENT_PERMISSIONS);
+    });
+  });
+
+  // ============================================================================
+  // Incident model hooks
+  // ============================================================================
+
+  describe('Incident model hooks', () => {
+    test('should publish incident_created on first save only', async () => {
+      const incident = await buildIncident().save();
+      incident.tags = ['junction'];
+      await incident.save();
+
+      expect(events.map(e => e.type)).toEqual([STREAM_EVENTS.INCIDENT_CREATED]);
+      expect(events[0].incidentId).toBe(incident._id.toString());
+    });
+
+    test('should publish status change with previous status', async () => {
+      const incident = await buildIncident().save();
+      const loaded = await Incident.findById(incident._id);
+      events.length = 0;
+
+      await loaded.updateStatus('verified', new mongoose.Types.ObjectId(), 'User', 'Confirmed');
+
+      expect(events).toHaveLength(1);
+      expect(events[0].type).toBe(STREAM_EVENTS.INCIDENT_STATUS_CHANGED);
+      expect(events[0].previousStatus).toBe('reported');
+      expect(events[0].newStatus).toBe('verified');
+    });
+
+    test('should publish assignment and upvote events', async () => {
+      const incident = await buildIncident().save();
+      const officerId = new mongoose.Types.ObjectId();
+      events.length = 0;
+
+      await incident.assignTo(officerId, officerId, 'high');
+      await incident.addUpvote(new mongoose.Types.ObjectId(), 'User', '127.0.0.1', 'jest', {
+        type: 'Point',
+        coordinates: [73.8567, 18.5204]
+      });
+
+      expect(events.map(e => e.type)).toEqual([
+        STREAM_EVENTS.INCIDENT_STATUS_CHANGED,
+        STREAM_EVENTS.INCIDENT_ASSIGNED,
+        STREAM_EVENTS.INCIDENT_UPVOTED
+      ]);
+      expect(events[1].assignedTo).toBe(officerId.toString());
+      expect(events[1].incident.currentAssignment).toBe(officerId.toString());
+      expect(events[2].upvoteCount).toBe(1);
+    });
+  });
+
+  // ============================================================================
+  // Viewer filtering
+  // ============================================================================
+
+  describe('Viewer filtering', () => {
+    const officer = buildViewerScope({
+      userId: 'officer-1',
+      role: 'police',
+      user: { department: 'Traffic Division', jurisdiction: 'pune-central' }
+    });
+    const hospital = buildViewerScope({
+      userId: 'staff-1',
+      role: 'hospital',
+      user: { department: 'City General Hospital' }
+    });
+
+    test('should scope police to their departments and jurisdiction', () => {
+      expect(canViewerReceive(officer, buildEvent({ department: 'police', jurisdiction: 'pune-central' }))).toBe(true);
+      expect(canViewerReceive(officer, buildEvent({ department: 'traffic' }))).toBe(true);
+      expect(canViewerReceive(officer, buildEvent({ department: 'police', jurisdiction: 'mumbai-north' }))).toBe(false);
+      expect(canViewerReceive(officer, buildEvent({ department: 'medical' }))).toBe(false);
+    });
+
+    test('should narrow to the viewer department when it names one', () => {
+      const trafficOfficer = buildViewerScope({ userId: 'officer-2', role: 'police', user: { department: 'traffic' } });
+
+      expect(canViewerReceive(trafficOfficer, buildEvent({ department: 'traffic' }))).toBe(true);
+      expect(canViewerReceive(trafficOfficer, buildEvent({ department: 'police' }))).toBe(false);
+    });
+
+    test('should scope hospital staff to medical incidents', () => {
+      expect(canViewerReceive(hospital, buildEvent({ department: 'medical' }))).toBe(true);
+      expect(canViewerReceive(hospital, buildEvent({ department: 'fire' }))).toBe(false);
+    });
+
+    test('should always deliver incidents assigned to the viewer', () => {
+      const event = buildEvent({ department: 'fire', currentAssignment: 'officer-1' });
+
+      expect(canViewerReceive(officer, event)).toBe(true);
+    });
+
+    test('should deliver nothing to citizens', () => {
+      const citizen = buildViewerScope({ userId: 'user-1', role: 'user', user: {} });
+
+      expect(canViewerReceive(citizen, buildEvent({ department: 'police' }))).toBe(false);
+    });
+  });
+});
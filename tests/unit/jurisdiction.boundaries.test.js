@@ -0,0 +1,306 @@
+/**
+ * Unit Tests: Jurisdiction Boundaries
+ *
+ * Tests jurisdiction polygons and automatic incident assignment
+ *
+ * This test suite covers:
+ * - Boundary validation for Polygon and MultiPolygon geometries
+ * - Officer jurisdiction matching by id with code fallback
+ * - Stamping new incidents with the containing jurisdiction
+ * - Re-stamping open incidents when a boundary is created or deactivated
+ * - GeoJSON import and id-based police jurisdiction queries
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const Incident = require('../../src/models/Incident');
+const Jurisdiction = require('../../src/models/Jurisdiction');
+const User = require('../../src/models/User');
+const { generateUserToken } = require('../../src/middleware/auth');
+const { parseBoundary } = require('../../src/utils/geoQuery');
+const { isInOfficerJurisdiction, buildJurisdictionFilter } = require('../../src/services/jurisdictions');
+const { ERROR_CODES } = require('../../src/config/constants');
+const { createTestUser } = require('../factories/userFactory');
+const { clearTestData } = require('../utils/testHelpers');
+
+/**
+ * Closed square ring around a [longitude, latitude] centre
+ */
+const square = ([longitude, latitude], half = 0.01) => [[
+  [longitude - half, latitude - half],
+  [longitude + half, latitude - half],
+  [longitude + half, latitude + half],
+  [longitude - half, latitude + half],
+  [longitude - half, latitude - half]
+]];
+
+const CENTRAL = [73.8567, 18.5204];
+const KOTHRUD = [73.8077, 18.5074];
+const OUTSIDE = [73.95, 18.45];
+
+const createOfficer = (overrides = {}) => createTestUser({
+  role: 'police',
+  department: 'Traffic Police',
+  ...overrides
+});
+
+const authHeader = (user) => ({ Authorization: `Bearer ${generateUserToken(user)}` });
+
+/**
+ * Create and save a jurisdiction around a centre
+ */
+const createJurisdiction = (code, centre, overrides = {}) => new Jurisdiction({
+  name: code,
+  code,
+  departments: ['police', 'traffic'],
+  boundary: { type: 'Polygon', coordinates: square(centre) },
+  ...overrides
+}).save();
+
+/**
+ * Create and save an incident at a position
+ */
+const createIncident = async ([longitude, latitude], overrides = {}) => {
+  const incident = new Incident({
+    title: 'Car crash at MG Road junction',
+    description: 'Two cars collided at the MG Road junction and people are injured',
+    type: 'accident',
+    severity: 'high',
+    location: { type: 'Point', coordinates: [longitude, latitude] },
+    reportedBy: new mongoose.Types.ObjectId(),
+    reportedByModel: 'User',
+    department: 'traffic',
+    incidentTime: new Date(),
+    ...overrides
+  });
+  return await incident.save();
+};
+
+describe('Jurisdiction Boundaries Unit Tests', () => {
+  afterEach(async () => {
+    await clearTestData();
+    await Jurisdiction.deleteMany({});
+  });
+
+  // ============================================================================
+  // Boundary validation
+  // ============================================================================
+
+  describe('parseBoundary', () => {
+    test('should accept polygons and multipolygons', () => {
+      expect(parseBoundary({ type: 'Polygon', coordinates: square(CENTRAL) }).type).toBe('Polygon');
+
+      const boundary = parseBoundary({ type: 'MultiPolygon', coordinates: [square(CENTRAL), square(KOTHRUD)] });
+      expect(boundary.type).toBe('MultiPolygon');
+      expect(boundary.coordinates).toHaveLength(2);
+    });
+
+    test('should reject other geometries and degenerate rings', () => {
+      expect(() => parseBoundary({ type: 'Point', coordinates: CENTRAL }))
+        .toThrow('boundary must be a GeoJSON Polygon or MultiPolygon');
+      expect(() => parseBoundary({ type: 'MultiPolygon', coordinates: [[[[73.8, 18.5], [73.9, 18.5]]]] }))
+        .toThrow('polygon rings need at least three distinct positions');
+    });
+  });
+
+  // ============================================================================
+  // Officer matching
+  // ============================================================================
+
+  describe('Officer jurisdiction matching', () => {
+    test('should match by id when both sides are linked', () => {
+      const jurisdictionId = new mongoose.Types.ObjectId();
+
+      expect(isInOfficerJurisdiction(
+        { jurisdictionId, jurisdiction: 'pune-central' },
+        { jurisdictionId: new mongoose.Types.ObjectId(jurisdictionId.toString()), jurisdiction: 'old-name' }
+      )).toBe(true);
+      expect(isInOfficerJurisdiction(
+        { jurisdictionId, jurisdiction: 'pune-central' },
+        { jurisdictionId: new mongoose.Types.ObjectId(), jurisdiction: 'pune-central' }
+      )).toBe(false);
+    });
+
+    test('should fall back to codes for unlinked incidents', () => {
+      expect(isInOfficerJurisdiction({ jurisdiction: 'kothrud' }, { jurisdiction: 'pune-central' })).toBe(false);
+      expect(isInOfficerJurisdiction({}, { jurisdiction: 'pune-central' })).toBe(true);
+      expect(buildJurisdictionFilter({ jurisdiction: 'pune-central' })).toEqual({
+        $or: [{ jurisdiction: 'pune-central' }, { jurisdiction: null }]
+      });
+    });
+  });
+
+  // ============================================================================
+  // Automatic assignment
+  // ============================================================================
+
+  describe('Incident stamping', () => {
+    test('should stamp new incidents with the containing jurisdiction', async () => {
+      const central = await createJurisdiction('pune-central', CENTRAL);
+
+      const inside = await createIncident(CENTRAL);
+      const outside = await createIncident(OUTSIDE);
+
+      expect(inside.jurisdictionId.toString()).toBe(central._id.toString());
+      expect(inside.jurisdiction).toBe('pune-central');
+      expect(outside.jurisdictionId).toBeUndefined();
+    });
+
+    test('should only use jurisdictions covering the incident department', async () => {
+      await createJurisdiction('pune-central', CENTRAL, { departments: ['medical'] });
+
+      const incident = await createIncident(CENTRAL);
+
+      expect(incident.jurisdictionId).toBeUndefined();
+    });
+
+    test('should re-stamp open incidents when a jurisdiction is created and deactivated', async () => {
+      const admin = await createTestUser({ role: 'admin' });
+      const incident = await createIncident(KOTHRUD);
+
+      const created = await request(app)
+        .post('/api/jurisdictions')
+        .set(authHeader(admin))
+        .send({
+          name: 'Kothrud',
+          departments: ['traffic'],
+          boundary: { type: 'Polygon', coordinates: square(KOTHRUD) }
+        });
+
+      expect(created.status).toBe(201);
+      expect(created.body.data.jurisdiction.code).toBe('kothrud');
+      expect(created.body.data.incidents.stamped).toBe(1);
+      expect((await Incident.findById(incident._id)).jurisdiction).toBe('kothrud');
+
+      const deactivated = await request(app)
+        .delete(`/api/jurisdictions/${created.body.data.jurisdiction.id}`)
+        .set(authHeader(admin));
+
+      expect(deactivated.status).toBe(200);
+      const released = await Incident.findById(incident._id);
+      expect(released.jurisdictionId).toBeUndefined();
+      expect(released.jurisdiction).toBe('kothrud');
+    });
+  });
+
+  // ============================================================================
+  // Management API
+  // ============================================================================
+
+  describe('Jurisdiction management', () => {
+    test('should import features and report failures per feature', async () => {
+      const admin = await createTestUser({ role: 'admin' });
+      await createJurisdiction('kothrud', KOTHRUD);
+
+      const response = await request(app)
+        .post('/api/jurisdictions/import')
+        .set(authHeader(admin))
+        .query({ departments: 'police,traffic' })
+        .send({
+          type: 'FeatureCollection',
+          features: [
+            { type: 'Feature', properties: { name: 'Pune Central' }, geometry: { type: 'Polygon', coordinates: square(CENTRAL) } },
+            { type: 'Feature', properties: { name: 'Kothrud', code: 'kothrud' }, geometry: { type: 'Polygon', coordinates: square(KOTHRUD, 0.02) } },
+            { type: 'Feature', properties: { name: 'Broken' }, geometry: { type: 'Point', coordinates: OUTSIDE } }
+          ]
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.summary).toEqual({ created: 1, updated: 1, failed: 1 });
+      expect(response.body.data.results[0]).toMatchObject({ code: 'pune-central', action: 'created' });
+      expect((await Jurisdiction.findOne({ code: 'kothrud' })).source).toBe('import');
+    });
+
+    test('should reject duplicate codes', async () => {
+      const admin = await createTestUser({ role: 'admin' });
+      await createJurisdiction('pune-central', CENTRAL);
+
+      const response = await request(app)
+        .post('/api/jurisdictions')
+        .set(authHeader(admin))
+        .send({
+          name: 'Pune Central',
+          departments: ['police'],
+          boundary: { type: 'Polygon', coordinates: square(CENTRAL) }
+        });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe(ERROR_CODES.JURISDICTION_CODE_EXISTS);
+    });
+
+    test('should not let officers change boundaries', async () => {
+      const officer = await createOfficer();
+
+      const response = await request(app)
+        .post('/api/jurisdictions')
+        .set(authHeader(officer))
+        .send({
+          name: 'Pune Central',
+          departments: ['police'],
+          boundary: { type: 'Polygon', coordinates: square(CENTRAL) }
+        });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should look up the jurisdiction containing a point', async () => {
+      const officer = await createOfficer();
+      await createJurisdiction('pune-central', CENTRAL);
+
+      const response = await request(app)
+        .get('/api/jurisdictions/lookup')
+        .set(authHeader(officer))
+        .query({ latitude: CENTRAL[1], longitude: CENTRAL[0], department: 'traffic' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.jurisdiction.code).toBe('pune-central');
+    });
+  });
+
+  // ============================================================================
+  // Police queries
+  // ============================================================================
+
+  describe('Police jurisdiction queries', () => {
+    test('should list incidents of an assigned officer\'s jurisdiction by id', async () => {
+      const admin = await createTestUser({ role: 'admin' });
+      const officer = await createOfficer({ jurisdiction: 'Pune City' });
+      const central = await createJurisdiction('pune-central', CENTRAL);
+      await createJurisdiction('kothrud', KOTHRUD);
+
+      const assigned = await request(app)
+        .put(`/api/jurisdictions/${central._id}/officers`)
+        .set(authHeader(admin))
+        .send({ userIds: [officer._id.toString()] });
+
+      expect(assigned.status).toBe(200);
+
+      const [inside] = await Promise.all([createIncident(CENTRAL), createIncident(KOTHRUD)]);
+      const linkedOfficer = await User.findById(officer._id);
+
+      expect(linkedOfficer.jurisdiction).toBe('pune-central');
+
+      const response = await request(app)
+        .get(`/api/police/incidents/jurisdiction/${central._id}`)
+        .set(authHeader(linkedOfficer));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.incidents.map(incident => incident.id.toString())).toEqual([inside._id.toString()]);
+    });
+
+    test('should reject assigning users who are not officers', async () => {
+      const admin = await createTestUser({ role: 'admin' });
+      const user = await createTestUser();
+      const central = await createJurisdiction('pune-central', CENTRAL);
+
+      const response = await request(app)
+        .put(`/api/jurisdictions/${central._id}/officers`)
+        .set(authHeader(admin))
+        .send({ userIds: [user._id.toString()] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe(ERROR_CODES.INVALID_INPUT);
+    });
+  });
+});
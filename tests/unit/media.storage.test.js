@@ -0,0 +1,162 @@
+/**
+ * Unit Tests: Media Storage
+ *
+ * Tests the media storage adapter with the local-filesystem provider
+ *
+ * This test suite covers:
+ * - Uploading through /api/media with the local provider
+ * - Serving files only through signed, unexpired URLs
+ * - Re-signing stored URLs of locally stored incident media
+ * - Operations the local provider does not support
+ * - Removing stored files when one of several uploads fails
+ * - Requiring a dedicated signing secret for the local provider
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const app = require('../../src/app');
+const { signMediaUrls, uploadMultipleMedia } = require('../../src/services/mediaStorage');
+const localMediaStorage = require('../../src/services/localMediaStorage');
+const { getSignedUrl } = localMediaStorage;
+const {
+  STORAGE_CONFIG,
+  STORAGE_PROVIDERS,
+  STORAGE_ERROR_CODES,
+  validateStorageConfig
+} = require('../../src/config/storage');
+
+const originalConfig = { ...STORAGE_CONFIG, LOCAL: { ...STORAGE_CONFIG.LOCAL } };
+
+/**
+ * Upload a small PNG through the media routes
+ */
+const uploadPhoto = () => request(app)
+  .post('/api/media/upload')
+  .attach('media', Buffer.from('fake image data'), { filename: 'photo.png', contentType: 'image/png' });
+
+/**
+ * Turn an absolute media URL into a path supertest can request
+ */
+const toRequestPath = (url) => {
+  const parsed = new URL(url);
+  return `${parsed.pathname}${parsed.search}`;
+};
+
+describe('Media Storage Unit Tests', () => {
+  beforeAll(() => {
+    STORAGE_CONFIG.PROVIDER = STORAGE_PROVIDERS.LOCAL;
+    STORAGE_CONFIG.LOCAL.ROOT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'media-storage-'));
+    STORAGE_CONFIG.LOCAL.SIGNING_SECRET = 'test-media-signing-secret';
+  });
+
+  afterAll(() => {
+    fs.rmSync(STORAGE_CONFIG.LOCAL.ROOT_DIR, { recursive: true, force: true });
+    Object.assign(STORAGE_CONFIG, originalConfig);
+  });
+
+  // ============================================================================
+  // Local provider
+  // ============================================================================
+
+  describe('Local provider', () => {
+    test('should store uploads on disk and serve them through the signed URL', async () => {
+      const upload = await uploadPhoto();
+
+      expect(upload.status).toBe(201);
+      expect(upload.body.data.media.provider).toBe('local');
+
+      const response = await request(app).get(toRequestPath(upload.body.data.media.url));
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('image/png');
+    });
+
+    test('should reject tampered and expired URLs', async () => {
+      const upload = await uploadPhoto();
+      const { publicId } = upload.body.data.media;
+
+      const tampered = await request(app)
+        .get(toRequestPath(upload.body.data.media.url).replace(/signature=\w/, 'signature=0'));
+      const expired = await request(app)
+        .get(toRequestPath(getSignedUrl(publicId, { expiresIn: -60 }).url));
+
+      expect(tampered.status).toBe(403);
+      expect(tampered.body.error.code).toBe(STORAGE_ERROR_CODES.INVALID_SIGNATURE);
+      expect(expired.status).toBe(403);
+      expect(expired.body.error.code).toBe(STORAGE_ERROR_CODES.URL_EXPIRED);
+    });
+
+    test('should not serve files outside the storage root', async () => {
+      const response = await request(app).get('/api/media/files/..%2F..%2Fetc%2Fpasswd?expires=1&signature=x');
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should remove stored files when one of several uploads fails', async () => {
+      const { uploadMedia } = localMediaStorage;
+      const stored = [];
+      const spy = jest.spyOn(localMediaStorage, 'uploadMedia')
+        .mockImplementationOnce(async (buffer, options) => {
+          stored.push(await uploadMedia(buffer, options));
+          return stored[0];
+        })
+        .mockRejectedValueOnce(new Error('Disk full'));
+      const files = ['first.png', 'second.png'].map(originalname => ({
+        originalname,
+        buffer: Buffer.from('fake image data'),
+        mimetype: 'image/png'
+      }));
+
+      try {
+        await expect(uploadMultipleMedia(files)).rejects.toThrow('Disk full');
+      } finally {
+        spy.mockRestore();
+      }
+
+      const response = await request(app).get(toRequestPath(getSignedUrl(stored[0].publicId).url));
+      expect(response.status).toBe(404);
+    });
+
+    test('should report direct client uploads as unsupported', async () => {
+      const response = await request(app).get('/api/media/signed-upload-url');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe(STORAGE_ERROR_CODES.OPERATION_NOT_SUPPORTED);
+    });
+  });
+
+  // ============================================================================
+  // signMediaUrls
+  // ============================================================================
+
+  describe('signMediaUrls', () => {
+    test('should re-sign locally stored media and leave Cloudinary media untouched', () => {
+      const cloudinaryMedia = { cloudinaryId: 'remote', storageProvider: 'cloudinary', secureUrl: 'https://cdn/remote.jpg' };
+      const localMedia = { cloudinaryId: 'emergency-platform/incidents/a.jpg', storageProvider: 'local', secureUrl: 'stale' };
+
+      const [remote, local] = signMediaUrls([cloudinaryMedia, localMedia]);
+
+      expect(remote).toBe(cloudinaryMedia);
+      expect(local.secureUrl).toContain('/api/media/files/emergency-platform/incidents/a.jpg?expires=');
+    });
+  });
+
+  // ============================================================================
+  // validateStorageConfig
+  // ============================================================================
+
+  describe('validateStorageConfig', () => {
+    test('should require MEDIA_SIGNING_SECRET for the local provider', () => {
+      const secret = STORAGE_CONFIG.LOCAL.SIGNING_SECRET;
+      STORAGE_CONFIG.LOCAL.SIGNING_SECRET = undefined;
+
+      try {
+        expect(() => validateStorageConfig()).toThrow('MEDIA_SIGNING_SECRET is required');
+      } finally {
+        STORAGE_CONFIG.LOCAL.SIGNING_SECRET = secret;
+      }
+    });
+  });
+});
@@ -0,0 +1,378 @@
+/**
+ * Unit Tests: Notifications
+ *
+ * Tests the notification service, its channels and the notification endpoints
+ *
+ * This test suite covers:
+ * - Rendering event templates per channel
+ * - Channel selection from preferences, mutes and mandatory events
+ * - Exponential retry backoff and webhook signatures
+ * - Deliveries through the local transport and the delivery log
+ * - Retrying failed deliveries and giving up after the last attempt
+ * - Password reset emails
+ * - Preference, push subscription and delivery log endpoints
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const NotificationDelivery = require('../../src/models/NotificationDelivery');
+const localNotifier = require('../../src/services/localNotifier');
+const { signPayload } = require('../../src/services/webhookNotifier');
+const { renderTemplate, NOTIFICATION_EVENTS } = require('../../src/services/notificationTemplates');
+const {
+  getRetryDelay,
+  selectChannels,
+  resolveRecipient,
+  notifyUser,
+  processDueDeliveries,
+  stopNotificationWorker
+} = require('../../src/services/notifications');
+const { isPublicHttpsUrl } = require('../../src/utils/helpers');
+const { generateUserToken } = require('../../src/middleware/auth');
+const {
+  NOTIFICATIONS_CONFIG,
+  NOTIFICATION_TRANSPORTS,
+  DELIVERY_STATUS,
+  validateNotificationConfig
+} = require('../../src/config/notifications');
+const { createTestUser } = require('../factories/userFactory');
+const { clearTestData } = require('../utils/testHelpers');
+
+const ALERT_DATA = {
+  title: 'Fire in apartment block',
+  severityLabel: 'High',
+  triggerLabel: 'reported',
+  areaNames: 'Home',
+  address: 'Paud Road, Kothrud, Pune',
+  incidentUrl: 'http://localhost:5173/incident/abc'
+};
+
+const PUSH_SUBSCRIPTION = {
+  endpoint: 'https://push.example.com/send/device-1',
+  keys: { p256dh: 'BNcRdreALRFXTkOOUHK1EtK2wtaz5Ry4YfYCA_0QTpQtUbVlUls0VJXg7A8u-Ts1XbjhazAkj7I99e8QcYP7DkM', auth: 'tBHItJI5svbpez7KI4CCXg' }
+};
+
+const authHeader = (user) => ({ Authorization: `Bearer ${generateUserToken(user)}` });
+
+describe('Notification Unit Tests', () => {
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    stopNotificationWorker();
+    localNotifier.clearOutbox();
+    await clearTestData();
+    await NotificationDelivery.deleteMany({});
+  });
+
+  // ============================================================================
+  // Templates and channel selection
+  // ============================================================================
+
+  describe('Templates and channel selection', () => {
+    test('should render templates per channel', () => {
+      const email = renderTemplate(NOTIFICATION_EVENTS.AREA_ALERT, 'email', { ...ALERT_DATA, name: 'Asha' });
+      expect(email.subject).toBe('High incident near Home: Fire in apartment block');
+      expect(email.text).toContain('Hello Asha,');
+      expect(email.text).toContain('http://localhost:5173/incident/abc');
+
+      const push = renderTemplate(NOTIFICATION_EVENTS.AREA_ALERT, 'push', ALERT_DATA);
+      expect(push.url).toBe(ALERT_DATA.incidentUrl);
+
+      const webhook = renderTemplate(NOTIFICATION_EVENTS.AREA_ALERT, 'webhook', ALERT_DATA);
+      expect(webhook).toEqual({ event: NOTIFICATION_EVENTS.AREA_ALERT, data: ALERT_DATA });
+    });
+
+    test('should render missing placeholders empty and reject unknown events', () => {
+      const email = renderTemplate(NOTIFICATION_EVENTS.PASSWORD_RESET, 'email', { resetUrl: 'https://app/reset' });
+      expect(email.text).toContain('Hello ,');
+      expect(email.text).not.toContain('{{');
+
+      expect(() => renderTemplate('unknown_event', 'email')).toThrow();
+    });
+
+    test('should select channels from preferences and mutes', () => {
+      const defaults = { notificationPreferences: {} };
+      expect(selectChannels(defaults, NOTIFICATION_EVENTS.AREA_ALERT)).toEqual(['email', 'push']);
+
+      const smsOnly = { notificationPreferences: { email: false, sms: true, push: false } };
+      expect(selectChannels(smsOnly, NOTIFICATION_EVENTS.AREA_ALERT)).toEqual(['sms']);
+
+      const muted = { notificationPreferences: { mutedEvents: [NOTIFICATION_EVENTS.AREA_ALERT] } };
+      expect(selectChannels(muted, NOTIFICATION_EVENTS.AREA_ALERT)).toEqual([]);
+    });
+
+    test('should send mandatory events whatever the preferences', () => {
+      const user = { notificationPreferences: { email: false, mutedEvents: [NOTIFICATION_EVENTS.PASSWORD_RESET] } };
+
+      expect(selectChannels(user, NOTIFICATION_EVENTS.PASSWORD_RESET)).toEqual(['email']);
+    });
+
+    test('should mask phone recipients in the delivery log', () => {
+      const recipient = resolveRecipient({ phone: '+919876543210' }, 'sms');
+
+      expect(recipient.to).toBe('+919876543210');
+      expect(recipient.display).not.toContain('98765');
+      expect(recipient.display.endsWith('3210')).toBe(true);
+      expect(resolveRecipient({}, 'webhook')).toBeNull();
+    });
+  });
+
+  // ============================================================================
+  // Retries and signatures
+  // ============================================================================
+
+  describe('Retries and signatures', () => {
+    test('should back off exponentially up to the maximum delay', () => {
+      const { BASE_DELAY_MS, MAX_DELAY_MS } = NOTIFICATIONS_CONFIG.RETRY;
+
+      expect(getRetryDelay(1)).toBe(BASE_DELAY_MS);
+      expect(getRetryDelay(2)).toBe(BASE_DELAY_MS * 2);
+      expect(getRetryDelay(3)).toBe(BASE_DELAY_MS * 4);
+      expect(getRetryDelay(20)).toBe(MAX_DELAY_MS);
+    });
+
+    test('should sign webhook bodies with HMAC-SHA256', () => {
+      const body = JSON.stringify({ id: '1', event: 'area_alert' });
+
+      expect(signPayload(body, 'secret')).toMatch(/^sha256=[0-9a-f]{64}$/);
+      expect(signPayload(body, 'secret')).toBe(signPayload(body, 'secret'));
+      expect(signPayload(body, 'secret')).not.toBe(signPayload(body, 'other-secret'));
+    });
+
+    test('should require WEBHOOK_SIGNING_SECRET for live notifications', () => {
+      const { TRANSPORT } = NOTIFICATIONS_CONFIG;
+      const secret = NOTIFICATIONS_CONFIG.WEBHOOK.SIGNING_SECRET;
+      NOTIFICATIONS_CONFIG.TRANSPORT = NOTIFICATION_TRANSPORTS.LIVE;
+      NOTIFICATIONS_CONFIG.WEBHOOK.SIGNING_SECRET = undefined;
+
+      try {
+        expect(() => validateNotificationConfig()).toThrow('WEBHOOK_SIGNING_SECRET is required');
+      } finally {
+        NOTIFICATIONS_CONFIG.TRANSPORT = TRANSPORT;
+        NOTIFICATIONS_CONFIG.WEBHOOK.SIGNING_SECRET = secret;
+      }
+    });
+
+    test('should only allow https webhook URLs on public hosts', () => {
+      expect(isPublicHttpsUrl('https://hooks.example.com/emergency')).toBe(true);
+      expect(isPublicHttpsUrl('http://hooks.example.com/emergency')).toBe(false);
+      expect(isPublicHttpsUrl('https://localhost/hook')).toBe(false);
+      expect(isPublicHttpsUrl('https://10.0.0.5/hook')).toBe(false);
+      expect(isPublicHttpsUrl('https://169.254.169.254/latest')).toBe(false);
+      expect(isPublicHttpsUrl('https://[::1]/hook')).toBe(false);
+    });
+  });
+
+  // ============================================================================
+  // Delivery
+  // ============================================================================
+
+  describe('Delivery', () => {
+    test('should deliver on the selected channels and log each delivery', async () => {
+      const user = await createTestUser({ fullName: 'Notify Tester', notificationPreferences: { sms: true, push: false } });
+
+      const deliveries = await notifyUser(user._id, NOTIFICATION_EVENTS.AREA_ALERT, ALERT_DATA);
+
+      expect(deliveries.map(delivery => delivery.channel).sort()).toEqual(['email', 'sms']);
+      expect(deliveries.every(delivery => delivery.status === DELIVERY_STATUS.SENT)).toBe(true);
+
+      const [email] = localNotifier.getOutbox({ channel: 'email' });
+      expect(email.to).toBe(user.email);
+      expect(email.message.text).toContain('Hello Notify Tester,');
+
+      const logged = await NotificationDelivery.find({ userId: user._id }).select('+message');
+      expect(logged).toHaveLength(2);
+      expect(logged.every(delivery => delivery.message === undefined)).toBe(true);
+      expect(logged.find(delivery => delivery.channel === 'sms').recipient).not.toContain('98771');
+    });
+
+    test('should skip channels without a recipient and inactive users', async () => {
+      const user = await createTestUser({ notificationPreferences: { webhook: true } });
+      expect(await notifyUser(user, NOTIFICATION_EVENTS.AREA_ALERT, ALERT_DATA)).toHaveLength(1);
+
+      const inactive = await createTestUser({ isActive: false });
+      expect(await notifyUser(inactive, NOTIFICATION_EVENTS.AREA_ALERT, ALERT_DATA)).toEqual([]);
+    });
+
+    test('should retry failed deliveries with backoff', async () => {
+      const user = await createTestUser({ notificationPreferences: { push: false } });
+      jest.spyOn(localNotifier, 'send').mockRejectedValueOnce(new Error('SMTP connection reset'));
+
+      const [delivery] = await notifyUser(user, NOTIFICATION_EVENTS.AREA_ALERT, ALERT_DATA);
+      expect(delivery.status).toBe(DELIVERY_STATUS.RETRYING);
+      expect(delivery.attempts).toBe(1);
+      expect(delivery.lastError).toBe('SMTP connection reset');
+      expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+      // Not due yet
+      expect((await processDueDeliveries()).processed).toBe(0);
+
+      await NotificationDelivery.updateOne({ _id: delivery._id }, { nextAttemptAt: new Date(Date.now() - 1000) });
+      const stats = await processDueDeliveries();
+
+      expect(stats).toMatchObject({ processed: 1, sent: 1 });
+      const retried = await NotificationDelivery.findById(delivery._id);
+      expect(retried).toMatchObject({ status: DELIVERY_STATUS.SENT, attempts: 2 });
+      expect(localNotifier.getOutbox({ channel: 'email' })[0].message.subject).toContain('Fire in apartment block');
+    });
+
+    test('should give up after the last attempt or on a permanent error', async () => {
+      const user = await createTestUser({ notificationPreferences: { push: false } });
+      const permanent = Object.assign(new Error('Mailbox does not exist'), { permanent: true });
+      jest.spyOn(localNotifier, 'send').mockRejectedValueOnce(permanent);
+
+      const [failed] = await notifyUser(user, NOTIFICATION_EVENTS.AREA_ALERT, ALERT_DATA);
+      expect(failed.status).toBe(DELIVERY_STATUS.FAILED);
+
+      jest.spyOn(localNotifier, 'send').mockRejectedValue(new Error('Gateway timeout'));
+      const [delivery] = await notifyUser(user, NOTIFICATION_EVENTS.AREA_ALERT, ALERT_DATA);
+      await NotificationDelivery.updateOne(
+        { _id: delivery._id },
+        { attempts: NOTIFICATIONS_CONFIG.RETRY.MAX_ATTEMPTS - 1, nextAttemptAt: new Date(Date.now() - 1000) }
+      );
+
+      expect((await processDueDeliveries()).failed).toBe(1);
+      const exhausted = await NotificationDelivery.findById(delivery._id).select('+message');
+      expect(exhausted.status).toBe(DELIVERY_STATUS.FAILED);
+      expect(exhausted.message).toBeUndefined();
+    });
+
+    test('should remove push subscriptions the push service reports as gone', async () => {
+      const user = await createTestUser({ pushSubscriptions: [PUSH_SUBSCRIPTION], notificationPreferences: { email: false } });
+      jest.spyOn(localNotifier, 'send').mockResolvedValueOnce({
+        messageId: null,
+        delivered: 0,
+        expired: [PUSH_SUBSCRIPTION.endpoint]
+      });
+
+      await notifyUser(user, NOTIFICATION_EVENTS.AREA_ALERT, ALERT_DATA);
+
+      const updated = await User.findById(user._id).select('+pushSubscriptions');
+      expect(updated.pushSubscriptions).toHaveLength(0);
+    });
+
+    test('should email the password reset link', async () => {
+      const user = await createTestUser({ notificationPreferences: { email: false } });
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: user.email });
+
+      expect(response.status).toBe(200);
+      const [email] = localNotifier.getOutbox({ event: NOTIFICATION_EVENTS.PASSWORD_RESET });
+      expect(email.to).toBe(user.email);
+      expect(email.message.text).toContain(`${NOTIFICATIONS_CONFIG.APP_URL}/reset-password?token=`);
+
+      const [logged] = await NotificationDelivery.find({ userId: user._id });
+      expect(logged.status).toBe(DELIVERY_STATUS.SENT);
+      expect(logged.summary).toBeUndefined();
+    });
+  });
+
+  // ============================================================================
+  // Endpoints
+  // ============================================================================
+
+  describe('Notification endpoints', () => {
+    test('should get and update preferences', async () => {
+      const user = await createTestUser();
+
+      const current = await request(app).get('/api/notifications/preferences').set(authHeader(user));
+      expect(current.status).toBe(200);
+      expect(current.body.data.preferences).toMatchObject({ email: true, sms: false, push: true, webhook: false });
+      expect(current.body.data.events.find(event => event.event === NOTIFICATION_EVENTS.PASSWORD_RESET).mandatory).toBe(true);
+
+      const updated = await request(app)
+        .put('/api/notifications/preferences')
+        .set(authHeader(user))
+        .send({ sms: true, webhook: true, webhookUrl: 'https://hooks.example.com/emergency', mutedEvents: ['area_alert'] });
+
+      expect(updated.status).toBe(200);
+      expect(updated.body.data.preferences).toMatchObject({
+        sms: true,
+        webhook: true,
+        webhookUrl: 'https://hooks.example.com/emergency',
+        mutedEvents: ['area_alert']
+      });
+    });
+
+    test('should reject unsafe webhook URLs and muting mandatory events', async () => {
+      const user = await createTestUser();
+
+      const internal = await request(app)
+        .put('/api/notifications/preferences')
+        .set(authHeader(user))
+        .send({ webhook: true, webhookUrl: 'https://192.168.1.10/hook' });
+      expect(internal.status).toBe(400);
+
+      const missingUrl = await request(app)
+        .put('/api/notifications/preferences')
+        .set(authHeader(user))
+        .send({ webhook: true });
+      expect(missingUrl.status).toBe(400);
+
+      const mandatory = await request(app)
+        .put('/api/notifications/preferences')
+        .set(authHeader(user))
+        .send({ mutedEvents: [NOTIFICATION_EVENTS.PASSWORD_RESET] });
+      expect(mandatory.status).toBe(400);
+    });
+
+    test('should register, replace and remove push subscriptions', async () => {
+      const user = await createTestUser();
+
+      const added = await request(app)
+        .post('/api/notifications/push-subscriptions')
+        .set(authHeader(user))
+        .send(PUSH_SUBSCRIPTION);
+      expect(added.status).toBe(201);
+
+      const replaced = await request(app)
+        .post('/api/notifications/push-subscriptions')
+        .set(authHeader(user))
+        .send(PUSH_SUBSCRIPTION);
+      expect(replaced.body.data.pushSubscriptions).toHaveLength(1);
+
+      const removed = await request(app)
+        .delete('/api/notifications/push-subscriptions')
+        .set(authHeader(user))
+        .send({ endpoint: PUSH_SUBSCRIPTION.endpoint });
+      expect(removed.status).toBe(200);
+      expect(removed.body.data.pushSubscriptions).toHaveLength(0);
+    });
+
+    test('should list only the current user\'s deliveries', async () => {
+      const user = await createTestUser();
+      const other = await createTestUser();
+      await notifyUser(user, NOTIFICATION_EVENTS.AREA_ALERT, ALERT_DATA);
+      await notifyUser(other, NOTIFICATION_EVENTS.AREA_ALERT, ALERT_DATA);
+
+      const response = await request(app)
+        .get('/api/notifications/deliveries?channel=email')
+        .set(authHeader(user));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.deliveries).toHaveLength(1);
+      expect(response.body.data.deliveries[0].userId).toBe(String(user._id));
+      expect(response.body.data.deliveries[0].message).toBeUndefined();
+    });
+
+    test('should restrict notification health to admins', async () => {
+      const user = await createTestUser();
+      const admin = await createTestUser({ role: 'admin' });
+
+      const denied = await request(app).get('/api/notifications/health').set(authHeader(user));
+      expect(denied.status).toBe(403);
+
+      const health = await request(app).get('/api/notifications/health').set(authHeader(admin));
+      expect(health.status).toBe(200);
+      expect(health.body.data).toMatchObject({ transport: 'local', healthy: true });
+    });
+
+    test('should not be available to guests', async () => {
+      const response = await request(app).get('/api/notifications/preferences');
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Unit Tests: Police Endpoints
+ *
+ * Tests police API endpoints for officer workflows and access control
+ *
+ * This test suite covers:
+ * - Role enforcement for police-only endpoints
+ * - Claiming incidents and assignment bookkeeping
+ * - Status updates restricted to the assigned officer
+ * - Jurisdiction scoping
+ * - Backup requests and their audit trail
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const Incident = require('../../src/models/Incident');
+const AuditLog = require('../../src/models/AuditLog');
+const { generateUserToken } = require('../../src/middleware/auth');
+const { ERROR_CODES } = require('../../src/config/constants');
+const { createTestUser } = require('../factories/userFactory');
+const { clearTestData } = require('../utils/testHelpers');
+
+const createOfficer = (overrides = {}) => createTestUser({
+  role: 'police',
+  department: 'Traffic Division',
+  jurisdiction: 'pune-central',
+  ...overrides
+});
+
+/**
+ * Create and save a police incident
+ */
+const createIncident = async (overrides = {}) => {
+  const incident = new Incident({
+    title: 'Vehicle collision at junction',
+    description: 'Two vehicles collided at the main junction',
+    type: 'accident',
+    severity: 'high',
+    location: { type: 'Point', coordinates: [73.8567, 18.5204] },
+    reportedBy: new mongoose.Types.ObjectId(),
+    reportedByModel: 'User',
+    department: 'police',
+    jurisdiction: 'pune-central',
+    incidentTime: new Date(),
+    ...overrides
+  });
+  return await incident.save();
+};
+
+const authHeader = (user) => ({ Authorization: `Bearer ${generateUserToken(user)}` });
+
+describe('Police Endpoints Unit Tests', () => {
+  afterEach(async () => {
+    await clearTestData();
+  });
+
+  // ============================================================================
+  // Access control
+  // ============================================================================
+
+  describe('Access control', () => {
+    test('should reject unauthenticated requests', async () => {
+      const response = await request(app).get('/api/police/dashboard');
+
+      expect(response.status).toBe(401);
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should reject non-police users', async () => {
+      const citizen = await createTestUser();
+
+      const response = await request(app)
+        .get('/api/police/dashboard')
+        .set(authHeader(citizen));
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe(ERROR_CODES.INSUFFICIENT_PERMISSIONS);
+    });
+  });
+
+  // ============================================================================
+  // POST /api/police/incidents/:id/claim
+  // ============================================================================
+
+  describe('POST /api/police/incidents/:id/claim', () => {
+    test('should assign incident to the claiming officer', async () => {
+      const officer = await createOfficer();
+      const incident = await createIncident();
+
+      const response = await request(app)
+        .post(`/api/police/incidents/${incident._id}/claim`)
+        .set(authHeader(officer))
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.incident.status).toBe('assigned');
+      expect(response.body.data.assignment.status).toBe('accepted');
+
+      const updated = await Incident.findById(incident._id);
+      expect(updated.currentAssignment.toString()).toBe(officer._id.toString());
+      expect(updated.assignments).toHaveLength(1);
+      expect(updated.statusHistory[updated.statusHistory.length - 1].status).toBe('assigned');
+    });
+
+    test('should return 409 when incident is already assigned', async () => {
+      const officer = await createOfficer();
+      const otherOfficer = await createOfficer();
+      const incident = await createIncident();
+
+      await request(app)
+        .post(`/api/police/incidents/${incident._id}/claim`)
+        .set(authHeader(otherOfficer))
+        .send({});
+
+      const response = await request(app)
+        .post(`/api/police/incidents/${incident._id}/claim`)
+        .set(authHeader(officer))
+        .send({});
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe(ERROR_CODES.INCIDENT_ALREADY_ASSIGNED);
+    });
+
+    test('should reject incidents outside the officer jurisdiction', async () => {
+      const officer = await createOfficer();
+      const incident = await createIncident({ jurisdiction: 'mumbai-north' });
+
+      const response = await request(app)
+        .post(`/api/police/incidents/${incident._id}/claim`)
+        .set(authHeader(officer))
+        .send({});
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  // ============================================================================
+  // PUT /api/police/incidents/:id/status
+  // ============================================================================
+
+  describe('PUT /api/police/incidents/:id/status', () => {
+    test('should accept hyphenated status from the dashboard', async () => {
+      const officer = await createOfficer();
+      const incident = await createIncident();
+
+      await request(app)
+        .post(`/api/police/incidents/${incident._id}/claim`)
+        .set(authHeader(officer))
+        .send({});
+
+      const response = await request(app)
+        .put(`/api/police/incidents/${incident._id}/status`)
+        .set(authHeader(officer))
+        .send({ status: 'in-progress', notes: 'En route' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.newStatus).toBe('in_progress');
+    });
+
+    test('should reject status updates from officers not assigned', async () => {
+      const officer = await createOfficer();
+      const incident = await createIncident();
+
+      const response = await request(app)
+        .put(`/api/police/incidents/${incident._id}/status`)
+        .set(authHeader(officer))
+        .send({ status: 'resolved' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe(ERROR_CODES.INSUFFICIENT_PERMISSIONS);
+    });
+  });
+
+  // ============================================================================
+  // POST /api/police/incidents/:id/backup
+  // ============================================================================
+
+  describe('POST /api/police/incidents/:id/backup', () => {
+    test('should escalate the stored priority and record backup requests in the audit log', async () => {
+      const officer = await createOfficer();
+      const incident = await createIncident();
+
+      await request(app)
+        .post(`/api/police/incidents/${incident._id}/claim`)
+        .set(authHeader(officer))
+        .send({});
+
+      const response = await request(app)
+        .post(`/api/police/incidents/${incident._id}/backup`)
+        .set(authHeader(officer))
+        .send({ backupType: 'traffic', priority: 'critical' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.priority).toBe('critical');
+      expect((await Incident.findById(incident._id)).priority).toBe('critical');
+
+      const [entry] = await AuditLog.find({ resourceId: incident._id, action: 'backup_requested' });
+      expect(entry.userId.toString()).toBe(officer._id.toString());
+      expect(entry.metadata).toMatchObject({ backupType: 'traffic', priority: 'critical' });
+    });
+  });
+
+  // ============================================================================
+  // GET /api/police/incidents/jurisdiction/:jurisdictionId
+  // ============================================================================
+
+  describe('GET /api/police/incidents/jurisdiction/:jurisdictionId', () => {
+    test('should return incidents and officers for own jurisdiction', async () => {
+      const officer = await createOfficer();
+      await createIncident();
+      await createIncident({ jurisdiction: 'mumbai-north' });
+
+      const response = await request(app)
+        .get('/api/police/incidents/jurisdiction/pune-central')
+        .set(authHeader(officer));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.incidents).toHaveLength(1);
+      expect(response.body.data.officers.map(o => o.badgeNumber)).toContain(officer.badgeNumber);
+    });
+
+    test('should forbid viewing another jurisdiction', async () => {
+      const officer = await createOfficer();
+
+      const response = await request(app)
+        .get('/api/police/incidents/jurisdiction/mumbai-north')
+        .set(authHeader(officer));
+
+      expect(response.status).toBe(403);
+    });
+  });
+});